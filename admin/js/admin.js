@@ -18,6 +18,9 @@ const AdminApp = (function() {
     const TOKEN_REFRESH_THRESHOLD = 60 * 1000; // Refresh 1 minute before expiry
     let tokenRefreshTimer = null;
     let isRefreshing = false;
+
+    // Matches the server's per-file limit for chat attachments
+    const MAX_CHAT_ATTACHMENT_MB = 10;
     let refreshSubscribers = [];
     
     // State
@@ -600,6 +603,22 @@ const AdminApp = (function() {
         return div.innerHTML;
     }
 
+    /**
+     * Link to the contact page for an email - everything else on file for
+     * the same person
+     */
+    function contactLink(email) {
+        return `<a href="contacts.html?email=${encodeURIComponent(email)}" class="text-sm" style="margin-left: 8px;"><i class="fas fa-address-book"></i> View contact</a>`;
+    }
+
+    /**
+     * Link to open a deal on the board from a message, consultation or chat
+     */
+    function dealLink(sourceType, sourceId, name) {
+        const params = new URLSearchParams({ sourceType, sourceId, name: name || '' });
+        return `<a href="deals.html?${params}" class="text-sm" style="margin-left: 8px;"><i class="fas fa-handshake"></i> Open deal</a>`;
+    }
+
     /**
      * Get status badge HTML
      */
@@ -609,6 +628,25 @@ const AdminApp = (function() {
         return `<span class="status-badge ${statusClass}">${label}</span>`;
     }
 
+    /**
+     * Flag a message, chat or ticket that is at risk of missing, or has
+     * missed, an SLA target (the `sla` field list endpoints add). Nothing
+     * for items on track.
+     */
+    function getSlaBadge(sla) {
+        if (!sla || (sla.status !== 'at_risk' && sla.status !== 'breached')) {
+            return '';
+        }
+
+        const pending = [sla.firstResponse, sla.resolution]
+            .filter(target => target && target.status === sla.status && target.dueAt);
+        const due = pending.length
+            ? ` - due ${new Date(pending[0].dueAt).toLocaleString('en-NG', { dateStyle: 'medium', timeStyle: 'short' })}`
+            : '';
+        const label = sla.status === 'breached' ? 'SLA breached' : 'SLA at risk';
+        return `<span class="sla-badge ${sla.status.replace('_', '-')}" title="${escapeHtml(sla.policyName)}${due}">${label}</span>`;
+    }
+
     // ========================================
     // Dashboard Functions
     // ========================================
@@ -779,7 +817,7 @@ const AdminApp = (function() {
                 <td><strong>${escapeHtml(msg.name)}</strong></td>
                 <td>${escapeHtml(msg.email)}</td>
                 <td>${msg.service || 'General'}</td>
-                <td>${getStatusBadge(msg.status)}</td>
+                <td>${getStatusBadge(msg.status)} ${getSlaBadge(msg.sla)}</td>
                 <td>${formatDate(msg.created_at)}</td>
                 <td>
                     <div class="action-buttons">
@@ -893,7 +931,7 @@ const AdminApp = (function() {
         detail.innerHTML = `
             <div class="form-group">
                 <label>From</label>
-                <p><strong>${escapeHtml(msg.name)}</strong> (${escapeHtml(msg.email)})</p>
+                <p><strong>${escapeHtml(msg.name)}</strong> (${escapeHtml(msg.email)})${contactLink(msg.email)}${dealLink('message', msg.id, msg.name)}</p>
             </div>
             ${msg.company ? `
             <div class="form-group">
@@ -923,6 +961,12 @@ const AdminApp = (function() {
                     ${escapeHtml(msg.message)}
                 </div>
             </div>
+            ${msg.replies && msg.replies.length ? `
+            <div class="form-group">
+                <label>Conversation</label>
+                ${msg.replies.map(r => renderMessageReply(msg, r)).join('')}
+            </div>
+            ` : ''}
             <div class="form-group">
                 <label>Reply</label>
                 <textarea id="reply-content" class="form-control" rows="4" placeholder="Type your reply..."></textarea>
@@ -980,6 +1024,24 @@ const AdminApp = (function() {
         modal.classList.add('active');
     }
 
+    /**
+     * One reply in a message's conversation - staff replies, and the
+     * client's answers that came back by email
+     */
+    function renderMessageReply(msg, reply) {
+        const inbound = reply.direction === 'inbound';
+        const otherSender = inbound && reply.from_email && reply.from_email !== String(msg.email).toLowerCase();
+        const who = inbound
+            ? `<strong>${escapeHtml(msg.name)}</strong> replied by email${otherSender ? ` from ${escapeHtml(reply.from_email)}` : ''}`
+            : `<strong>${escapeHtml(reply.staff_name || 'Staff')}</strong>${reply.sent_to_email ? ' (emailed)' : ''}`;
+        return `
+            <div style="background: ${inbound ? '#EEF6FF' : '#f5f5f5'}; padding: 12px 15px; border-radius: 8px; margin-bottom: 8px;">
+                <div style="font-size: 12px; color: #666; margin-bottom: 6px;">${who} &bull; ${new Date(reply.created_at).toLocaleString()}</div>
+                <div style="white-space: pre-line;">${escapeHtml(reply.content)}</div>
+            </div>
+        `;
+    }
+
     async function updateMessageStatus(id, status) {
         const result = await apiRequest(`/contact/${id}/status`, {
             method: 'PATCH',
@@ -1089,6 +1151,10 @@ const AdminApp = (function() {
             case 'session_claimed':
                 updateSessionClaimed(data.sessionId, data.staffName);
                 break;
+
+            case 'queue_status':
+                renderChatQueueStatus(data.queue);
+                break;
                 
             case 'session_transferred':
                 showChatNotification(`Chat transferred from ${data.fromStaffName} to ${data.toStaffName}`, 'info');
@@ -1155,6 +1221,11 @@ const AdminApp = (function() {
         const sessionItem = document.querySelector(`[data-session="${sessionId}"]`);
         if (sessionItem) {
             let badge = sessionItem.querySelector('.claimed-badge');
+            // A queued chat's "In queue" badge gives way to the assignee's
+            if (badge && badge.classList.contains('queued')) {
+                badge.remove();
+                badge = null;
+            }
             if (!badge) {
                 badge = document.createElement('span');
                 badge.className = 'claimed-badge';
@@ -1166,6 +1237,32 @@ const AdminApp = (function() {
         }
     }
 
+    /**
+     * Show how many chats are waiting for a free agent, and how many chats
+     * each online agent has against their limit
+     */
+    function renderChatQueueStatus(queue) {
+        const bar = document.getElementById('chat-queue-status');
+        if (!bar || !queue) {
+            return;
+        }
+
+        const waiting = queue.depth > 0
+            ? `<strong>${queue.depth} waiting</strong>${queue.oldestQueuedAt ? ` &middot; longest since ${formatRelativeTime(queue.oldestQueuedAt)}` : ''}`
+            : 'No one waiting';
+        const agents = queue.agents.map(agent => {
+            const full = agent.activeChats >= agent.maxChats;
+            return `<span class="chat-agent-load ${full ? 'full' : ''}" title="${full ? 'At their chat limit' : 'Has room for more chats'}">${escapeHtml(agent.name)} ${agent.activeChats}/${agent.maxChats}</span>`;
+        }).join('');
+
+        bar.innerHTML = `
+            <div><i class="fas fa-users-line"></i> Queue: ${waiting}</div>
+            <div class="chat-agent-loads">${agents || '<span class="text-muted">No agents online</span>'}</div>
+        `;
+        bar.classList.toggle('has-queue', queue.depth > 0);
+        bar.style.display = 'block';
+    }
+
     function showChatNotification(message, type) {
         const container = document.getElementById('chat-messages');
         if (!container) return;
@@ -1258,6 +1355,9 @@ const AdminApp = (function() {
 
         const session = data.data;
         document.getElementById('chat-visitor-name').textContent = session.visitor_name || 'Visitor';
+        showChatContactLink(session.visitor_email);
+        showChatDealLink(session.id, session.visitor_name);
+        showChatTranscriptButtons(session.id);
         renderChatMessages(session.messages);
 
         // Read-only: hide live-chat controls, show the closed banner
@@ -1290,6 +1390,9 @@ const AdminApp = (function() {
 
         // Reset the detail pane
         document.getElementById('chat-visitor-name').textContent = 'Select a chat';
+        showChatContactLink(null);
+        showChatDealLink(null);
+        showChatTranscriptButtons(null);
         document.getElementById('chat-messages').innerHTML = `
             <div class="empty-state">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1316,15 +1419,19 @@ const AdminApp = (function() {
         
         container.innerHTML = sessions.map(session => {
             const staffName = session.assigned_to_name || session.staff_name;
-            const assignedBadge = session.assigned_to 
+            let assignedBadge = session.assigned_to 
                 ? `<span class="claimed-badge" style="font-size: 10px; background: #2c3e50; color: white; padding: 2px 6px; border-radius: 4px; margin-left: 8px;">
                     ${escapeHtml(staffName || 'Assigned')}
                    </span>` 
                 : '';
+            if (!session.assigned_to && session.queued_at) {
+                assignedBadge = '<span class="claimed-badge queued">In queue</span>';
+            }
             
             return `
                 <div class="message-item ${session.unread_count > 0 ? 'unread' : ''}" 
                      data-session="${session.id}"
+                     data-email="${encodeURIComponent(session.visitor_email || '')}"
                      onclick="AdminApp.selectChatSession('${session.id}')">
                     <div class="message-avatar">${(session.visitor_name || 'V').charAt(0).toUpperCase()}</div>
                     <div class="message-content">
@@ -1336,6 +1443,7 @@ const AdminApp = (function() {
                         <div class="message-preview">${session.visitor_email || ''}</div>
                         <div class="message-meta">
                             ${getStatusBadge(session.status)}
+                            ${getSlaBadge(session.sla)}
                         </div>
                     </div>
                 </div>
@@ -1353,11 +1461,13 @@ const AdminApp = (function() {
         const html = `
             <div class="message-item unread" 
                  data-session="${session.id}"
+                 data-email="${encodeURIComponent(session.visitor.email)}"
                  onclick="AdminApp.selectChatSession('${session.id}')">
                 <div class="message-avatar">${session.visitor.name.charAt(0).toUpperCase()}</div>
                 <div class="message-content">
                     <div class="message-header">
                         <span class="message-sender">${escapeHtml(session.visitor.name)}</span>
+                        ${session.queued ? '<span class="claimed-badge queued">In queue</span>' : ''}
                         <span class="message-time">Just now</span>
                     </div>
                     <div class="message-preview">${escapeHtml(session.visitor.email)}</div>
@@ -1371,6 +1481,73 @@ const AdminApp = (function() {
         container.insertAdjacentHTML('afterbegin', html);
     }
 
+    /**
+     * Point the chat header's contact link at the visitor's email
+     */
+    function showChatContactLink(email) {
+        const link = document.getElementById('chat-contact-link');
+        if (!link) {
+            return;
+        }
+        link.href = email ? `contacts.html?email=${encodeURIComponent(email)}` : '#';
+        link.style.display = email ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Point the chat header's deal link at the open chat
+     */
+    function showChatDealLink(sessionId, name) {
+        const link = document.getElementById('chat-deal-link');
+        if (!link) {
+            return;
+        }
+        link.href = sessionId ? `deals.html?${new URLSearchParams({ sourceType: 'chat', sourceId: sessionId, name: name || '' })}` : '#';
+        link.style.display = sessionId ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Transcript download buttons for the chat on screen (active or history)
+     */
+    function showChatTranscriptButtons(sessionId) {
+        const buttons = document.getElementById('chat-transcript-buttons');
+        if (!buttons) {
+            return;
+        }
+        buttons.dataset.session = sessionId || '';
+        buttons.style.display = sessionId ? 'inline-flex' : 'none';
+    }
+
+    async function downloadChatTranscript(format) {
+        const sessionId = document.getElementById('chat-transcript-buttons').dataset.session;
+        if (!sessionId) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/chat/sessions/${sessionId}?format=${format}`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` }
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                showToast(result.message || 'Failed to download transcript', 'error');
+                return;
+            }
+
+            const blob = await response.blob();
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = match ? match[1] : `chat-transcript.${format}`;
+            a.click();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Transcript download error:', error);
+            showToast('Failed to download transcript', 'error');
+        }
+    }
+
     function selectChatSession(sessionId) {
         currentChatSession = sessionId;
         
@@ -1380,6 +1557,9 @@ const AdminApp = (function() {
             if (item.dataset.session === sessionId) {
                 item.classList.add('active');
                 item.classList.remove('unread');
+                showChatContactLink(decodeURIComponent(item.dataset.email || ''));
+                showChatDealLink(sessionId);
+                showChatTranscriptButtons(sessionId);
             }
         });
         
@@ -1489,6 +1669,7 @@ const AdminApp = (function() {
             <div class="chat-message ${msg.sender_type === 'staff' ? 'outgoing' : 'incoming'}">
                 <div class="chat-bubble">
                     ${escapeHtml(msg.content)}
+                    ${renderChatAttachments(msg)}
                     <div style="font-size: 10px; opacity: 0.7; margin-top: 4px;">
                         ${formatTime(msg.created_at)}
                     </div>
@@ -1499,6 +1680,27 @@ const AdminApp = (function() {
         container.scrollTop = container.scrollHeight;
     }
 
+    /**
+     * Image attachments as thumbnails that open full size, other files as links
+     */
+    function renderChatAttachments(message) {
+        return (message.attachments || []).map(attachment => {
+            const url = `/api/chat/sessions/${message.session_id}/attachments/${attachment.id}`;
+            const name = escapeHtml(attachment.file_name);
+            if (attachment.is_image) {
+                return `<a href="${url}" target="_blank" rel="noopener"><img class="chat-attachment-thumb" src="${url}" alt="${name}" loading="lazy"></a>`;
+            }
+            return `<a class="chat-attachment-file" href="${url}" target="_blank" rel="noopener">${name} (${formatFileSize(attachment.file_size)})</a>`;
+        }).join('');
+    }
+
+    function formatFileSize(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
     function appendChatMessage(message) {
         const container = document.getElementById('chat-messages');
         if (!container) return;
@@ -1512,6 +1714,7 @@ const AdminApp = (function() {
             <div class="chat-message ${message.sender_type === 'staff' ? 'outgoing' : 'incoming'}">
                 <div class="chat-bubble">
                     ${escapeHtml(message.content)}
+                    ${renderChatAttachments(message)}
                     <div style="font-size: 10px; opacity: 0.7; margin-top: 4px;">
                         ${formatTime(message.created_at)}
                     </div>
@@ -1544,6 +1747,16 @@ const AdminApp = (function() {
             closeBtn.addEventListener('click', closeChatSession);
         }
 
+        const attachBtn = document.getElementById('attach-chat-btn');
+        const fileInput = document.getElementById('chat-file');
+        if (attachBtn && fileInput) {
+            attachBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                sendChatAttachment(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+
         const activeTabBtn = document.getElementById('chat-tab-active');
         const historyTabBtn = document.getElementById('chat-tab-history');
         if (activeTabBtn) activeTabBtn.addEventListener('click', () => setChatTab('active'));
@@ -1565,6 +1778,47 @@ const AdminApp = (function() {
         input.value = '';
     }
 
+    /**
+     * Upload a file, then send it to the visitor as a message
+     */
+    async function sendChatAttachment(file) {
+        if (!file || !currentChatSession || !chatWs) {
+            return;
+        }
+
+        if (file.size > MAX_CHAT_ATTACHMENT_MB * 1024 * 1024) {
+            showToast(`Files can be up to ${MAX_CHAT_ATTACHMENT_MB} MB`, 'error');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const response = await fetch(`${API_BASE}/chat/sessions/${currentChatSession}/attachments`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` },
+                body: formData
+            });
+            const result = await response.json();
+            if (!result.success) {
+                showToast(result.message || 'Failed to send file', 'error');
+                return;
+            }
+
+            chatWs.send(JSON.stringify({
+                type: 'send_message',
+                sessionId: currentChatSession,
+                content: document.getElementById('chat-input').value.trim(),
+                attachmentIds: [result.data.id]
+            }));
+            document.getElementById('chat-input').value = '';
+        } catch (error) {
+            console.error('Attachment upload error:', error);
+            showToast('Failed to send file', 'error');
+        }
+    }
+
     async function closeChatSession() {
         if (!currentChatSession || !chatWs) return;
         
@@ -1714,11 +1968,11 @@ const AdminApp = (function() {
             <div class="form-row">
                 <div class="form-group">
                     <label>Name</label>
-                    <p><strong>${escapeHtml(c.name)}</strong></p>
+                    <p><strong>${escapeHtml(c.name)}</strong>${dealLink('consultation', c.id, c.name)}</p>
                 </div>
                 <div class="form-group">
                     <label>Email</label>
-                    <p>${escapeHtml(c.email)}</p>
+                    <p>${escapeHtml(c.email)}${contactLink(c.email)}</p>
                 </div>
             </div>
             ${c.phone ? `
@@ -1753,6 +2007,18 @@ const AdminApp = (function() {
                 <label>Status</label>
                 <div>${getStatusBadge(c.status)}</div>
             </div>
+            ${c.cancelled_by === 'client' ? `
+            <div class="form-group">
+                <label>Cancelled by Client</label>
+                <p>${c.cancellation_reason ? escapeHtml(c.cancellation_reason) : '<em>No reason given</em>'}</p>
+            </div>
+            ` : ''}
+            ${c.rescheduled_count > 0 ? `
+            <div class="form-group">
+                <label>Rescheduled by Client</label>
+                <p>${c.rescheduled_count} time${c.rescheduled_count === 1 ? '' : 's'}</p>
+            </div>
+            ` : ''}
         `;
         
         // Update button visibility based on status
@@ -1930,6 +2196,7 @@ const AdminApp = (function() {
         showNotification,
         getCurrentUser: () => currentUser,
         getAuthHeaders,
+        slaBadge: getSlaBadge,
         loadDashboardStats,
         loadMessages,
         viewMessage,
@@ -1941,6 +2208,7 @@ const AdminApp = (function() {
         showTransferModal,
         executeTransfer,
         releaseChat,
+        downloadChatTranscript,
         loadConsultations,
         viewConsultation,
         updateConsultationStatus,
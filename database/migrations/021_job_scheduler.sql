@@ -0,0 +1,40 @@
+-- Background job scheduler. Consultation reminders, refresh-token cleanup
+-- and draft expiry all had model methods written for them but nothing
+-- ever called those methods, so reminders never went out and expired rows
+-- piled up. scheduled_jobs holds one row per registered job (schedule,
+-- next/last run, and a lease lock); job_runs is the per-run history.
+--
+-- Locking is a lease on the job row rather than a Postgres advisory lock:
+-- advisory locks are tied to the session that took them, and pooled
+-- connections make that session unpredictable. A lease that expires on
+-- its own also means an instance that dies mid-run (Cloud Run scale-in)
+-- can't leave a job locked forever.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    schedule VARCHAR(100) NOT NULL, -- 5-field cron expression, UTC
+    enabled BOOLEAN DEFAULT true,
+    next_run_at TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(20), -- success, failed
+    locked_by VARCHAR(100),
+    locked_until TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_name VARCHAR(100) REFERENCES scheduled_jobs(name) ON DELETE CASCADE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, success, failed
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'schedule', -- schedule, manual
+    triggered_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    instance_id VARCHAR(100),
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at DESC);
@@ -0,0 +1,58 @@
+-- Consultation availability engine. GET /api/consultation/slots used to
+-- hardcode "no weekends" and return no slots at all, leaving js/booking.js
+-- to render its own fixed 9-5 list - so business hours, holidays, buffers
+-- and per-consultant schedules couldn't be set anywhere.
+--
+-- booking_date/booking_time are wall-clock values in the business timezone
+-- (the booking_timezone setting). consultations.timezone now records the
+-- VISITOR's timezone at booking time, so their local time can be shown
+-- back to them - it never changes how booking_time is interpreted.
+
+-- Weekly working hours per consultant. A consultant with no rows here
+-- falls back to the company-wide business_hours_start/end + working_days
+-- settings. Several rows on one day = a split shift.
+CREATE TABLE IF NOT EXISTS consultant_availability (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    staff_id UUID REFERENCES staff(id) ON DELETE CASCADE NOT NULL,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_consultant_availability_staff ON consultant_availability(staff_id, day_of_week);
+
+-- Ad-hoc closures: lunar-calendar public holidays (Eid, Mawlid), FG-declared
+-- work-free days, office closures (staff_id NULL), or one consultant's
+-- leave/training day (staff_id set). Fixed-date and Easter-based federal
+-- holidays are computed in code (server/utils/nigerianHolidays.js), not
+-- stored here.
+CREATE TABLE IF NOT EXISTS booking_blackouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    blackout_date DATE NOT NULL,
+    staff_id UUID REFERENCES staff(id) ON DELETE CASCADE,
+    blackout_type VARCHAR(20) NOT NULL DEFAULT 'blackout', -- holiday, blackout
+    reason VARCHAR(255),
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_blackouts_date ON booking_blackouts(blackout_date);
+
+-- Lets a consultant with can_manage_consultations (needed to work the
+-- admin Consultations page) still be kept out of the public booking pool.
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS accepts_bookings BOOLEAN DEFAULT true;
+
+-- Each booking records its own length, so changing the slot-duration
+-- setting later doesn't retroactively change existing appointments.
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_consultations_assigned_date ON consultations(assigned_to, booking_date);
+
+INSERT INTO system_settings (setting_key, setting_value, setting_type, category, description) VALUES
+    ('booking_timezone', 'Africa/Lagos', 'string', 'booking', 'Timezone consultant working hours and booking times are expressed in'),
+    ('booking_buffer_minutes', '15', 'number', 'booking', 'Gap kept free after each consultation before the next can start'),
+    ('booking_max_per_day', '4', 'number', 'booking', 'Maximum consultations per consultant per day'),
+    ('booking_window_days', '60', 'number', 'booking', 'How many days ahead visitors can book')
+ON CONFLICT (setting_key) DO NOTHING;
@@ -0,0 +1,20 @@
+-- Self-service booking management. Until now the only way a client could
+-- move or cancel a consultation was emailing us and having staff edit it.
+-- The booking confirmation email now carries a manage link; the raw token
+-- only ever exists in that email - we store its SHA-256 hash, same as
+-- contract acceptance and password-reset tokens.
+--
+-- The token expires when the consultation starts and is extended when the
+-- client reschedules.
+
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS manage_token_hash VARCHAR(64);
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS manage_token_expires_at TIMESTAMP;
+
+-- Who cancelled (client via the manage link, or staff) and why
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(20); -- client, staff
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS rescheduled_count INTEGER DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_consultations_manage_token ON consultations(manage_token_hash);
@@ -0,0 +1,16 @@
+-- iCalendar invites and staff calendar feeds. Booking emails carried no
+-- calendar attachment and staff had no way to see their consultations in
+-- their own calendar app.
+--
+-- ics_sequence is the RFC 5545 SEQUENCE for the consultation's (stable)
+-- UID; it's bumped when the time moves or the booking is cancelled so
+-- calendar apps replace the copy they already have.
+ALTER TABLE consultations ADD COLUMN IF NOT EXISTS ics_sequence INTEGER DEFAULT 0;
+
+-- Per-staff subscription feed (GET /api/calendar/feed/:token). Calendar
+-- apps can't send an Authorization header, so the token in the URL is the
+-- credential - stored hashed, shown once when generated, revocable.
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS calendar_feed_token_hash VARCHAR(64);
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS calendar_feed_token_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_calendar_feed_token ON staff(calendar_feed_token_hash);
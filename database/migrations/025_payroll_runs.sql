@@ -0,0 +1,68 @@
+-- Payroll runs: a month's payroll is processed as one batch instead of one
+-- paystub at a time. An Accountant opens a run, every active employee gets a
+-- draft paystub from their salary on file, deductions are reviewed, and an
+-- Admin approves the run - which locks every paystub in it for good.
+--
+-- Locked paystubs are never edited. If something changes after approval
+-- (a late salary change, a missed hire), a second run for the same month
+-- produces explicit "adjustment" paystubs holding only the difference, so
+-- the originally issued payslip and the correction both stay on record.
+
+CREATE TABLE IF NOT EXISTS payroll_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    pay_period_month INTEGER NOT NULL CHECK (pay_period_month BETWEEN 1 AND 12),
+    pay_period_year INTEGER NOT NULL,
+    run_number INTEGER NOT NULL DEFAULT 1,
+    run_type VARCHAR(20) NOT NULL DEFAULT 'regular' CHECK (run_type IN ('regular', 'adjustment')),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved')),
+    notes TEXT,
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    approved_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    UNIQUE(pay_period_month, pay_period_year, run_number)
+);
+
+-- At most one run per month can be open for editing at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_one_draft
+    ON payroll_runs(pay_period_month, pay_period_year) WHERE status = 'draft';
+
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS payroll_run_id UUID REFERENCES payroll_runs(id) ON DELETE CASCADE;
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS entry_type VARCHAR(20) NOT NULL DEFAULT 'regular';
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS adjusts_paystub_id UUID REFERENCES paystubs(id) ON DELETE SET NULL;
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP;
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_paystubs_run ON paystubs(payroll_run_id);
+
+-- One regular payslip per employee per month; any number of adjustments
+ALTER TABLE paystubs DROP CONSTRAINT IF EXISTS paystubs_staff_id_pay_period_month_pay_period_year_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_paystubs_regular_period
+    ON paystubs(staff_id, pay_period_month, pay_period_year) WHERE entry_type = 'regular';
+
+-- Paystubs generated one at a time before runs existed were already issued
+-- to staff - treat them as locked, so re-running those months produces
+-- adjustments rather than silently replacing them.
+UPDATE paystubs SET locked_at = generated_at
+WHERE payroll_run_id IS NULL AND locked_at IS NULL;
+
+-- Enforce the lock in the database itself, not just in the routes. The only
+-- thing that may change on a locked paystub is when it was emailed.
+CREATE OR REPLACE FUNCTION paystubs_lock_guard() RETURNS trigger AS $$
+BEGIN
+    IF OLD.locked_at IS NULL THEN
+        IF TG_OP = 'DELETE' THEN
+            RETURN OLD;
+        END IF;
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' AND (to_jsonb(NEW) - 'emailed_at') = (to_jsonb(OLD) - 'emailed_at') THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'Paystub % belongs to an approved payroll run and cannot be changed or deleted', OLD.id;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS paystubs_lock_guard ON paystubs;
+CREATE TRIGGER paystubs_lock_guard BEFORE UPDATE OR DELETE ON paystubs
+    FOR EACH ROW EXECUTE FUNCTION paystubs_lock_guard();
@@ -0,0 +1,24 @@
+-- Pension (PRA 2014) and NHF deductions on paystubs.
+-- Migration 011 deliberately left these out while the company wasn't
+-- enrolled. Rates are configurable under Settings > Payroll and both start
+-- switched off, so nothing changes on payslips until an Admin enables them
+-- for the month enrolment actually begins.
+
+-- Where each employee's pension goes: their Pension Fund Administrator and
+-- PenCom Retirement Savings Account PIN (PEN + 12 digits)
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS pfa_name VARCHAR(100);
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS rsa_pin VARCHAR(15);
+
+-- Employee pension and NHF come out of net pay; the employer pension share
+-- doesn't, but is recorded per paystub for the remittance schedule
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS pension_employee NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS pension_employer NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS nhf_contribution NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+INSERT INTO system_settings (setting_key, setting_value, setting_type, category, description) VALUES
+    ('pension_enabled', 'false', 'boolean', 'payroll', 'Deduct contributory pension (PRA 2014) on paystubs'),
+    ('pension_employee_rate', '8', 'number', 'payroll', 'Employee pension contribution, % of basic + housing + transport'),
+    ('pension_employer_rate', '10', 'number', 'payroll', 'Employer pension contribution, % of basic + housing + transport'),
+    ('nhf_enabled', 'false', 'boolean', 'payroll', 'Deduct National Housing Fund contributions on paystubs'),
+    ('nhf_rate', '2.5', 'number', 'payroll', 'NHF contribution, % of basic salary')
+ON CONFLICT (setting_key) DO NOTHING;
@@ -0,0 +1,69 @@
+-- Versioned, effective-dated PAYE tax tables.
+-- The graduated bands, CRA rule, minimum tax and DBIR Development Levy used
+-- to be constants in payeService.js. They now live here, one row per
+-- version of the rules, and a payroll run uses whichever table was in
+-- effect on the first day of its pay period. Tables are never edited once
+-- added - a change in the law is a new row with a later effective date - so
+-- every paystub can be reproduced from the table it records.
+
+CREATE TABLE IF NOT EXISTS tax_tables (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    -- Payroll is monthly, so tables take effect from the 1st of a month
+    effective_from DATE NOT NULL UNIQUE CHECK (EXTRACT(DAY FROM effective_from) = 1),
+    -- Annual bands in order, rates in percent. Only the last band is open
+    -- ended: [{ "amount": 300000, "rate": 7 }, ..., { "amount": null, "rate": 24 }]
+    bands JSONB NOT NULL,
+    -- CRA = higher of cra_fixed_amount or cra_gross_percent of gross, plus
+    -- cra_additional_percent of gross. All zero means no CRA.
+    cra_fixed_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+    cra_gross_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+    cra_additional_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+    -- Minimum tax as a percent of gross; 0 turns the rule off
+    minimum_tax_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+    development_levy_annual NUMERIC(12,2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The table payeService.js hard-coded until now
+INSERT INTO tax_tables (
+    name, effective_from, bands, cra_fixed_amount, cra_gross_percent,
+    cra_additional_percent, minimum_tax_percent, development_levy_annual, notes
+) VALUES (
+    'Personal Income Tax Act (as amended 2011)', '2011-01-01',
+    '[{"amount": 300000, "rate": 7}, {"amount": 300000, "rate": 11}, {"amount": 500000, "rate": 15}, {"amount": 500000, "rate": 19}, {"amount": 1600000, "rate": 21}, {"amount": null, "rate": 24}]',
+    200000, 1, 20, 1, 100,
+    'Graduated federal table with CRA and the 1% minimum tax; DBIR Development Levy of NGN 100 a year.'
+) ON CONFLICT (effective_from) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION tax_tables_immutable() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'Tax table % cannot be edited - add a new table with a later effective date instead', OLD.id;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tax_tables_immutable ON tax_tables;
+CREATE TRIGGER tax_tables_immutable BEFORE UPDATE ON tax_tables
+    FOR EACH ROW EXECUTE FUNCTION tax_tables_immutable();
+
+-- Which table each paystub was calculated with. A table that paystubs
+-- point at can't be deleted.
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS tax_table_id UUID REFERENCES tax_tables(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_paystubs_tax_table ON paystubs(tax_table_id);
+
+-- Every paystub so far was calculated with the seeded table. Most are locked,
+-- so the lock guard is lifted for this one backfill (the migration file runs
+-- as a single transaction). Migrations re-run on every boot, and toggling the
+-- trigger locks the whole table, so it's only done while there's something
+-- left to backfill.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM paystubs WHERE tax_table_id IS NULL) THEN
+        ALTER TABLE paystubs DISABLE TRIGGER paystubs_lock_guard;
+        UPDATE paystubs SET tax_table_id = (SELECT id FROM tax_tables WHERE effective_from = '2011-01-01')
+        WHERE tax_table_id IS NULL;
+        ALTER TABLE paystubs ENABLE TRIGGER paystubs_lock_guard;
+    END IF;
+END $$;
@@ -0,0 +1,5 @@
+-- The company's own Tax ID, printed on employees' annual tax deduction
+-- certificates and on the annual PAYE return. Set under Settings > Payroll.
+INSERT INTO system_settings (setting_key, setting_value, setting_type, category, description) VALUES
+    ('employer_tin', '', 'string', 'payroll', 'Company Tax Identification Number, shown on tax certificates and the annual PAYE return')
+ON CONFLICT (setting_key) DO NOTHING;
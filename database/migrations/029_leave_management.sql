@@ -0,0 +1,76 @@
+-- Leave management: leave types, staff leave requests with manager/HR
+-- approval, and year-end carry-over of unused annual leave.
+--
+-- Leave is counted in working days (weekends and federal public holidays
+-- don't count). Annual leave accrues monthly from the PTO days on the
+-- employee's contract; the other paid types have a fixed yearly allowance.
+-- Approved unpaid leave reduces pay in the payroll run for the month it
+-- falls in.
+
+CREATE TABLE IF NOT EXISTS leave_types (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(30) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    is_paid BOOLEAN NOT NULL DEFAULT true,
+    -- 'contract': pto_days from the employee's contract, accrued monthly
+    -- 'fixed': default_days a year, all available from January
+    -- 'none': no allowance (unpaid leave)
+    entitlement_source VARCHAR(20) NOT NULL DEFAULT 'fixed'
+        CHECK (entitlement_source IN ('contract', 'fixed', 'none')),
+    default_days NUMERIC(5,1) NOT NULL DEFAULT 0,
+    max_carry_over_days NUMERIC(5,1) NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    updated_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Labour Act minimums are lower; these are company policy defaults and
+-- are editable on the Leave page (HR/Admin)
+INSERT INTO leave_types (code, name, is_paid, entitlement_source, default_days, max_carry_over_days, sort_order) VALUES
+    ('annual', 'Annual Leave', true, 'contract', 15, 5, 1),
+    ('sick', 'Sick Leave', true, 'fixed', 12, 0, 2),
+    ('maternity', 'Maternity Leave', true, 'fixed', 60, 0, 3),
+    ('compassionate', 'Compassionate Leave', true, 'fixed', 5, 0, 4),
+    ('unpaid', 'Unpaid Leave', false, 'none', 0, 0, 5)
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    -- Working days, fixed when the request is made
+    days NUMERIC(5,1) NOT NULL CHECK (days > 0),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    reviewed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    -- A request stays inside one leave year, so it counts against one balance
+    CHECK (EXTRACT(YEAR FROM start_date) = EXTRACT(YEAR FROM end_date))
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_staff ON leave_requests(staff_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(start_date, end_date) WHERE status IN ('pending', 'approved');
+
+-- Unused leave brought into a year, capped by the type's
+-- max_carry_over_days. Written once per year by the leave-carry-over job.
+CREATE TABLE IF NOT EXISTS leave_carry_overs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    days NUMERIC(5,1) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (staff_id, leave_type_id, year)
+);
+
+-- Unpaid leave taken in the pay period, and the earnings it cost
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS unpaid_leave_days NUMERIC(5,1) NOT NULL DEFAULT 0;
+ALTER TABLE paystubs ADD COLUMN IF NOT EXISTS unpaid_leave_deduction NUMERIC(12,2) NOT NULL DEFAULT 0;
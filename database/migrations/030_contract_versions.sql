@@ -0,0 +1,49 @@
+-- Contract versions: amendments (raise, title change...) and renewals of
+-- fixed-term contracts are issued as new employee_contracts rows linked to
+-- the original offer, and every version goes through the same e-signature
+-- flow. Signing now captures a typed or drawn signature and produces a
+-- sealed PDF - stored in the document vault, with its SHA-256 recorded
+-- here - which the company then countersigns.
+
+ALTER TABLE employee_contracts
+    ADD COLUMN IF NOT EXISTS contract_type VARCHAR(20) NOT NULL DEFAULT 'offer',
+    -- The offer this version descends from (null on the offer itself)
+    ADD COLUMN IF NOT EXISTS original_contract_id UUID REFERENCES employee_contracts(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+    -- Amendments: the date the changed terms apply from, and a summary of
+    -- the change for the letter
+    ADD COLUMN IF NOT EXISTS effective_date DATE,
+    ADD COLUMN IF NOT EXISTS change_summary TEXT,
+    -- Fixed-term ('Contract' status) employment ends on this date
+    ADD COLUMN IF NOT EXISTS end_date DATE,
+    -- An unsigned version replaced by a newer one before it was signed
+    ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS accepted_signature_method VARCHAR(10),
+    -- Drawn signatures, as a PNG data URL
+    ADD COLUMN IF NOT EXISTS accepted_signature_image TEXT,
+    ADD COLUMN IF NOT EXISTS accepted_user_agent VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS countersigned_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS countersigned_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS countersigned_signature_name VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS countersigned_signature_image TEXT,
+    ADD COLUMN IF NOT EXISTS countersigned_ip VARCHAR(64),
+    -- Vault object for the sealed PDF: employee-signed, then replaced by
+    -- the countersigned copy. Both hashes are kept.
+    ADD COLUMN IF NOT EXISTS sealed_pdf_path VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS accepted_pdf_sha256 VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS countersigned_pdf_sha256 VARCHAR(64);
+
+ALTER TABLE employee_contracts DROP CONSTRAINT IF EXISTS employee_contracts_contract_type_check;
+ALTER TABLE employee_contracts ADD CONSTRAINT employee_contracts_contract_type_check
+    CHECK (contract_type IN ('offer', 'amendment', 'renewal'));
+
+CREATE INDEX IF NOT EXISTS idx_employee_contracts_original ON employee_contracts(original_contract_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_employee_contracts_version
+    ON employee_contracts(original_contract_id, version)
+    WHERE original_contract_id IS NOT NULL;
+
+-- Contracts accepted before this were signed by typed name. They have no
+-- sealed PDF until the company countersigns them.
+UPDATE employee_contracts
+SET accepted_signature_method = 'typed'
+WHERE accepted_at IS NOT NULL AND accepted_signature_method IS NULL;
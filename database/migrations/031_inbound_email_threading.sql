@@ -0,0 +1,26 @@
+-- Inbound email threading: replies to contact messages go out with a
+-- per-message Reply-To address and Message-ID, and the client's emailed
+-- answer is posted back to /api/inbound-email and stored alongside the
+-- staff replies in message_replies.
+
+-- The token in the message's reply address (replies+<token>@...). Messages
+-- from before this get one the first time staff reply.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_token VARCHAR(32);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_reply_token ON messages(reply_token) WHERE reply_token IS NOT NULL;
+
+ALTER TABLE message_replies
+    -- outbound: written by staff; inbound: emailed in by the client
+    ADD COLUMN IF NOT EXISTS direction VARCHAR(10) NOT NULL DEFAULT 'outbound',
+    -- Inbound: who it came from (usually, not always, the message's email)
+    ADD COLUMN IF NOT EXISTS from_email VARCHAR(255),
+    -- The email's Message-ID: ours for outbound, the client's for inbound
+    -- (so a redelivered email isn't recorded twice)
+    ADD COLUMN IF NOT EXISTS email_message_id VARCHAR(255);
+
+ALTER TABLE message_replies DROP CONSTRAINT IF EXISTS message_replies_direction_check;
+ALTER TABLE message_replies ADD CONSTRAINT message_replies_direction_check
+    CHECK (direction IN ('outbound', 'inbound'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_replies_email_message_id
+    ON message_replies(email_message_id)
+    WHERE email_message_id IS NOT NULL;
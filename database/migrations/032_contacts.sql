@@ -0,0 +1,55 @@
+-- Contacts: one record per person we deal with, keyed by their normalized
+-- (trimmed, lower-cased) email address. Messages, consultations, chats and
+-- visitors aren't copied in - a contact's timeline is everything filed
+-- under its email, plus the emails of any contacts merged into it.
+
+CREATE TABLE IF NOT EXISTS contacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) UNIQUE NOT NULL, -- always lower(trim(...))
+    name VARCHAR(255),
+    phone VARCHAR(50),
+    company VARCHAR(255),
+    -- Set when this contact was merged into another (the same person using
+    -- a second address). Undone by unmerging, which just clears it.
+    merged_into_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    merged_at TIMESTAMP,
+    merged_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    last_interaction_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT contacts_not_merged_into_self CHECK (merged_into_id IS NULL OR merged_into_id <> id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contacts_merged_into ON contacts(merged_into_id);
+CREATE INDEX IF NOT EXISTS idx_contacts_last_interaction ON contacts(last_interaction_at DESC);
+
+-- Timeline lookups go by normalized email
+CREATE INDEX IF NOT EXISTS idx_messages_email_normalized ON messages(LOWER(TRIM(email)));
+CREATE INDEX IF NOT EXISTS idx_consultations_email_normalized ON consultations(LOWER(TRIM(email)));
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_email_normalized ON chat_sessions(LOWER(TRIM(visitor_email)));
+CREATE INDEX IF NOT EXISTS idx_visitors_email_normalized ON visitors(LOWER(TRIM(email)));
+
+-- Contacts for everyone already on file, taking the name, phone and
+-- company from the most recent interaction that has one. This runs on every
+-- boot, so it skips the placeholder addresses erasure and data retention
+-- leave behind (utils/erasure.js); otherwise erased people come back.
+INSERT INTO contacts (email, name, phone, company, last_interaction_at, created_at)
+SELECT email,
+       (ARRAY_AGG(name ORDER BY at DESC) FILTER (WHERE name IS NOT NULL))[1],
+       (ARRAY_AGG(phone ORDER BY at DESC) FILTER (WHERE phone IS NOT NULL))[1],
+       (ARRAY_AGG(company ORDER BY at DESC) FILTER (WHERE company IS NOT NULL))[1],
+       MAX(at),
+       COALESCE(MIN(at), CURRENT_TIMESTAMP)
+FROM (
+    SELECT LOWER(TRIM(email)) AS email, name, NULL::VARCHAR AS phone, company, created_at AS at FROM messages
+    UNION ALL
+    SELECT LOWER(TRIM(email)), name, phone, company, created_at FROM consultations
+    UNION ALL
+    SELECT LOWER(TRIM(visitor_email)), visitor_name, NULL, NULL, started_at FROM chat_sessions
+    UNION ALL
+    SELECT LOWER(TRIM(email)), name, NULL, NULL, COALESCE(last_visit, first_visit) FROM visitors
+) interactions
+WHERE email LIKE '%_@_%'
+  AND email NOT LIKE '%@erased.invalid'
+GROUP BY email
+ON CONFLICT (email) DO NOTHING;
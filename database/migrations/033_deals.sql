@@ -0,0 +1,46 @@
+-- Sales pipeline: a deal is what a lead turned into - what's being sold,
+-- for how much (NGN) and when it's expected to close. Deals are opened
+-- from the message, consultation or chat the lead came in through and
+-- belong to that person's contact.
+
+CREATE TABLE IF NOT EXISTS deals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    source_type VARCHAR(20) NOT NULL, -- message, consultation, chat
+    source_id UUID NOT NULL,
+    stage VARCHAR(20) NOT NULL DEFAULT 'qualified',
+    value NUMERIC(14, 2) NOT NULL DEFAULT 0, -- NGN
+    expected_close_date DATE,
+    owner_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+    notes TEXT,
+    lost_reason TEXT,
+    closed_at TIMESTAMP, -- set when the deal is won or lost
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT deals_stage_check CHECK (stage IN ('qualified', 'proposal', 'negotiation', 'won', 'lost')),
+    CONSTRAINT deals_source_type_check CHECK (source_type IN ('message', 'consultation', 'chat')),
+    CONSTRAINT deals_value_check CHECK (value >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deals_stage ON deals(stage);
+CREATE INDEX IF NOT EXISTS idx_deals_contact ON deals(contact_id);
+CREATE INDEX IF NOT EXISTS idx_deals_owner ON deals(owner_id);
+CREATE INDEX IF NOT EXISTS idx_deals_expected_close ON deals(expected_close_date) WHERE stage NOT IN ('won', 'lost');
+-- One open deal per lead; a closed one can be followed by a new deal
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deals_open_source
+    ON deals(source_type, source_id)
+    WHERE stage NOT IN ('won', 'lost');
+
+-- Every stage a deal has been through, for time-in-stage and win rates
+CREATE TABLE IF NOT EXISTS deal_stage_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    deal_id UUID REFERENCES deals(id) ON DELETE CASCADE NOT NULL,
+    from_stage VARCHAR(20), -- null when the deal was created
+    to_stage VARCHAR(20) NOT NULL,
+    changed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_stage_history_deal ON deal_stage_history(deal_id, changed_at);
@@ -0,0 +1,137 @@
+-- Client quotes and invoices. A quote is priced as line items, with VAT
+-- and any withholding tax the client will deduct; once accepted it is
+-- turned into an invoice carrying the same lines. Invoices are tax
+-- documents: numbered without gaps, never edited once issued (only voided),
+-- and paid off by one or more recorded payments.
+
+-- Last number used per document type and year: QT-2026-0001, INV-2026-0001.
+-- Taken with an upsert inside the transaction that creates the document,
+-- so the row lock keeps numbers sequential and a rollback leaves no gap.
+CREATE TABLE IF NOT EXISTS billing_counters (
+    document_type VARCHAR(20) NOT NULL, -- quote, invoice
+    year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (document_type, year)
+);
+
+CREATE TABLE IF NOT EXISTS quotes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quote_number VARCHAR(20) UNIQUE NOT NULL,
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    deal_id UUID REFERENCES deals(id) ON DELETE SET NULL,
+    client_name VARCHAR(255) NOT NULL,
+    client_email VARCHAR(255) NOT NULL,
+    client_company VARCHAR(255),
+    client_address TEXT,
+    title VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    valid_until DATE NOT NULL,
+    -- Rates are kept on the document so later rate changes don't alter it
+    vat_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    wht_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    subtotal NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    vat_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(14, 2) NOT NULL DEFAULT 0, -- subtotal + VAT
+    wht_amount NUMERIC(14, 2) NOT NULL DEFAULT 0, -- deducted by the client at source
+    amount_due NUMERIC(14, 2) NOT NULL DEFAULT 0, -- total - WHT, what the client pays us
+    notes TEXT,
+    terms TEXT,
+    sent_at TIMESTAMP,
+    decided_at TIMESTAMP, -- accepted or declined
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT quotes_status_check CHECK (status IN ('draft', 'sent', 'accepted', 'declined'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+CREATE INDEX IF NOT EXISTS idx_quotes_contact ON quotes(contact_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_deal ON quotes(deal_id);
+
+CREATE TABLE IF NOT EXISTS quote_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quote_id UUID REFERENCES quotes(id) ON DELETE CASCADE NOT NULL,
+    position INTEGER NOT NULL,
+    description VARCHAR(500) NOT NULL,
+    quantity NUMERIC(12, 2) NOT NULL,
+    unit_price NUMERIC(14, 2) NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_items_quote ON quote_items(quote_id, position);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_number VARCHAR(20) UNIQUE NOT NULL,
+    quote_id UUID UNIQUE REFERENCES quotes(id) ON DELETE SET NULL, -- one invoice per quote
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    deal_id UUID REFERENCES deals(id) ON DELETE SET NULL,
+    client_name VARCHAR(255) NOT NULL,
+    client_email VARCHAR(255) NOT NULL,
+    client_company VARCHAR(255),
+    client_address TEXT,
+    title VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'issued',
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE NOT NULL,
+    vat_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    wht_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+    subtotal NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    vat_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    wht_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    amount_due NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    amount_paid NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    terms TEXT,
+    sent_at TIMESTAMP,
+    paid_at TIMESTAMP, -- when the balance reached zero
+    voided_at TIMESTAMP,
+    voided_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    void_reason TEXT,
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT invoices_status_check CHECK (status IN ('issued', 'partially_paid', 'paid', 'void')),
+    CONSTRAINT invoices_amount_paid_check CHECK (amount_paid >= 0 AND amount_paid <= amount_due)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+CREATE INDEX IF NOT EXISTS idx_invoices_contact ON invoices(contact_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_due ON invoices(due_date) WHERE status IN ('issued', 'partially_paid');
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE NOT NULL,
+    position INTEGER NOT NULL,
+    description VARCHAR(500) NOT NULL,
+    quantity NUMERIC(12, 2) NOT NULL,
+    unit_price NUMERIC(14, 2) NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id, position);
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE NOT NULL,
+    amount NUMERIC(14, 2) NOT NULL,
+    paid_on DATE NOT NULL,
+    method VARCHAR(20) NOT NULL DEFAULT 'bank_transfer', -- bank_transfer, cash, card, cheque, other
+    reference VARCHAR(255),
+    note TEXT,
+    recorded_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT invoice_payments_amount_check CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id, paid_on);
+
+INSERT INTO system_settings (setting_key, setting_value, setting_type, category, description) VALUES
+    ('vat_rate', '7.5', 'number', 'billing', 'VAT charged on quotes and invoices, %'),
+    ('quote_validity_days', '30', 'number', 'billing', 'Days a new quote is valid for'),
+    ('invoice_payment_terms_days', '30', 'number', 'billing', 'Days after issue a new invoice is due'),
+    ('invoice_bank_details', '', 'string', 'billing', 'Bank account for payment, printed on invoices'),
+    ('invoice_default_terms', '', 'string', 'billing', 'Terms printed on new quotes and invoices')
+ON CONFLICT (setting_key) DO NOTHING;
@@ -0,0 +1,61 @@
+-- SLA policies: response and resolution targets for contact messages, live
+-- chats and tickets, counted in business hours only (the business_hours_*
+-- and working_days settings, less public holidays). Items that come close
+-- to missing a target are escalated by the sla-escalation job.
+
+CREATE TABLE IF NOT EXISTS sla_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL, -- message, chat, ticket
+    -- What the policy covers; NULL matches anything. When several policies
+    -- match, the one matching on the most fields wins.
+    match_service VARCHAR(100), -- messages: the service enquired about
+    match_category VARCHAR(50), -- tickets: it_support, development
+    match_priority VARCHAR(20), -- tickets: low, medium, high, urgent
+    first_response_minutes INTEGER NOT NULL, -- business minutes
+    resolution_minutes INTEGER, -- business minutes; chats and tickets only
+    warn_at_percent INTEGER NOT NULL DEFAULT 80, -- at risk (and escalated) from this share of a target
+    escalation_action VARCHAR(20) NOT NULL DEFAULT 'notify', -- none, notify, reassign
+    escalate_to UUID REFERENCES staff(id) ON DELETE SET NULL, -- NULL: the assignee's manager
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT sla_policies_entity_type_check CHECK (entity_type IN ('message', 'chat', 'ticket')),
+    CONSTRAINT sla_policies_targets_check CHECK (first_response_minutes > 0 AND (resolution_minutes IS NULL OR resolution_minutes > 0)),
+    CONSTRAINT sla_policies_warn_check CHECK (warn_at_percent BETWEEN 1 AND 100),
+    CONSTRAINT sla_policies_action_check CHECK (escalation_action IN ('none', 'notify', 'reassign'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_policies_entity ON sla_policies(entity_type) WHERE is_active = true;
+
+-- One escalation per item and target, so the job acts once however often
+-- it runs
+CREATE TABLE IF NOT EXISTS sla_escalations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    policy_id UUID REFERENCES sla_policies(id) ON DELETE SET NULL,
+    entity_type VARCHAR(20) NOT NULL,
+    entity_id UUID NOT NULL,
+    target VARCHAR(20) NOT NULL, -- first_response, resolution
+    sla_status VARCHAR(20) NOT NULL, -- at_risk, breached
+    action VARCHAR(20) NOT NULL, -- notify, reassign
+    previous_assignee UUID REFERENCES staff(id) ON DELETE SET NULL,
+    reassigned_to UUID REFERENCES staff(id) ON DELETE SET NULL,
+    notified_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT sla_escalations_unique UNIQUE (entity_type, entity_id, target)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_escalations_created ON sla_escalations(created_at DESC);
+
+-- Starting policies, only on a fresh install
+INSERT INTO sla_policies (name, entity_type, match_priority, first_response_minutes, resolution_minutes)
+SELECT name, entity_type, match_priority, first_response_minutes, resolution_minutes
+FROM (VALUES
+    ('Contact messages', 'message', NULL, 240, NULL),
+    ('Live chats', 'chat', NULL, 5, 60),
+    ('Urgent tickets', 'ticket', 'urgent', 30, 240),
+    ('High priority tickets', 'ticket', 'high', 120, 960),
+    ('Tickets', 'ticket', NULL, 480, 2400)
+) AS defaults (name, entity_type, match_priority, first_response_minutes, resolution_minutes)
+WHERE NOT EXISTS (SELECT 1 FROM sla_policies);
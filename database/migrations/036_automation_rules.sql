@@ -0,0 +1,41 @@
+-- Automation rules: admin-defined "when a message/ticket arrives matching
+-- these conditions, do these things" (assign, tag, set status or priority,
+-- send a saved reply, notify). Rules run in position order when a contact
+-- message or ticket is created; round-robin assignment of messages only
+-- happens if no rule assigned it.
+
+CREATE TABLE IF NOT EXISTS automation_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL, -- message, ticket
+    -- [{ "field": "service", "operator": "equals", "value": "Data Analytics" }, ...]
+    conditions JSONB NOT NULL DEFAULT '[]',
+    match_type VARCHAR(3) NOT NULL DEFAULT 'all', -- all, any
+    -- [{ "type": "assign", "staffId": "..." }, { "type": "tag", "tagId": "..." }, ...]
+    actions JSONB NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0, -- run order, lowest first
+    stop_processing BOOLEAN NOT NULL DEFAULT false, -- skip later rules when this one matches
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT automation_rules_entity_type_check CHECK (entity_type IN ('message', 'ticket')),
+    CONSTRAINT automation_rules_match_type_check CHECK (match_type IN ('all', 'any'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_rules_order ON automation_rules(entity_type, position) WHERE is_active = true;
+
+-- One row each time a rule matched, with how each of its actions went
+CREATE TABLE IF NOT EXISTS automation_rule_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rule_id UUID NOT NULL REFERENCES automation_rules(id) ON DELETE CASCADE,
+    entity_type VARCHAR(20) NOT NULL,
+    entity_id UUID NOT NULL,
+    status VARCHAR(10) NOT NULL, -- success, partial, failed
+    -- [{ "type": "assign", "ok": true, "detail": "Assigned to Ada" }, ...]
+    results JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT automation_rule_runs_status_check CHECK (status IN ('success', 'partial', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_rule_runs_rule ON automation_rule_runs(rule_id, created_at DESC);
@@ -0,0 +1,17 @@
+-- Skills-based, load-aware chat routing. New chats go to the least-busy
+-- online agent with the skill for the chat's service (chosen in the widget,
+-- or worked out from the page it was started on), and no agent takes more
+-- than their max_concurrent_chats. When every online agent is full the chat
+-- waits in a queue (queued_at set) and is routed as soon as someone is free.
+
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS chat_skills TEXT[] NOT NULL DEFAULT '{}'; -- service slugs, e.g. data-analytics; none = takes anything
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS max_concurrent_chats INTEGER NOT NULL DEFAULT 3
+    CHECK (max_concurrent_chats BETWEEN 1 AND 20);
+
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS service VARCHAR(50); -- the skill the chat needs, if any
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS page VARCHAR(255); -- where the visitor started it
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS queued_at TIMESTAMP; -- waiting for a free agent since; cleared once assigned
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_queue
+    ON chat_sessions(queued_at)
+    WHERE status = 'active' AND assigned_to IS NULL AND queued_at IS NOT NULL;
@@ -0,0 +1,23 @@
+-- Files and images shared in live chats, by visitors or staff. A file is
+-- uploaded first (message_id NULL) and attached when the chat message that
+-- carries it is sent. The bytes live in attachment storage (see
+-- server/services/attachmentStorage.js), under storage_key in the driver
+-- that saved them.
+
+CREATE TABLE IF NOT EXISTS chat_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES chat_messages(id) ON DELETE CASCADE,
+    uploaded_by_type VARCHAR(20) NOT NULL, -- visitor, staff
+    staff_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL, -- from the file's contents, not the upload
+    file_size INTEGER NOT NULL,
+    is_image BOOLEAN NOT NULL DEFAULT false,
+    storage_driver VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_attachments_session ON chat_attachments(session_id);
+CREATE INDEX IF NOT EXISTS idx_chat_attachments_message ON chat_attachments(message_id);
@@ -0,0 +1,6 @@
+-- Chat transcripts. Visitors can ask for a transcript when they start a
+-- chat; it is emailed to them when the chat is closed (once - see
+-- transcript_sent_at). Staff can download any chat as PDF or plain text.
+
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS transcript_requested BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS transcript_sent_at TIMESTAMP;
@@ -0,0 +1,25 @@
+-- Customer satisfaction surveys. Visitors rate a chat when it closes (in
+-- the widget), and clients are emailed a survey link when their
+-- consultation is marked completed. Each survey asks for a CSAT rating
+-- (1-5), an NPS score (0-10, "how likely are you to recommend us") and a
+-- comment, and is linked to the staff member and service it was about.
+
+CREATE TABLE IF NOT EXISTS satisfaction_surveys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('chat', 'consultation')),
+    source_id UUID NOT NULL, -- chat_sessions.id or consultations.id
+    staff_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+    service VARCHAR(100),
+    respondent_email VARCHAR(255),
+    token_hash VARCHAR(64) UNIQUE, -- emailed survey links; sha256 of the token, never stored raw
+    csat_score SMALLINT CHECK (csat_score BETWEEN 1 AND 5),
+    nps_score SMALLINT CHECK (nps_score BETWEEN 0 AND 10),
+    comment TEXT,
+    sent_at TIMESTAMP,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_satisfaction_surveys_responded ON satisfaction_surveys(responded_at) WHERE responded_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_satisfaction_surveys_staff ON satisfaction_surveys(staff_id);
@@ -0,0 +1,57 @@
+-- Newsletter campaigns: emails to newsletter_subscribers composed from
+-- content blocks, sent in throttled batches by the newsletter-send job.
+-- Each recipient gets their own link token (stored hashed) for open/click
+-- tracking and one-click unsubscribe.
+
+CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subject VARCHAR(200) NOT NULL,
+    preheader VARCHAR(200), -- inbox preview text
+    -- [{ "type": "heading", "text": "..." }, { "type": "button", "text": "...", "url": "..." }, ...]
+    blocks JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, scheduled, sending, sent, cancelled
+    scheduled_at TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT newsletter_campaigns_status_check CHECK (status IN ('draft', 'scheduled', 'sending', 'sent', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_campaigns_due ON newsletter_campaigns(scheduled_at)
+    WHERE status IN ('scheduled', 'sending');
+
+-- Who a campaign goes to: the active subscribers when it started sending
+CREATE TABLE IF NOT EXISTS newsletter_campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+    subscriber_id UUID REFERENCES newsletter_subscribers(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE, -- set when sent
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed, skipped
+    error TEXT,
+    sent_at TIMESTAMP,
+    opened_at TIMESTAMP, -- first open
+    open_count INTEGER NOT NULL DEFAULT 0,
+    clicked_at TIMESTAMP, -- first click
+    click_count INTEGER NOT NULL DEFAULT 0,
+    unsubscribed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT newsletter_campaign_recipients_status_check CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    UNIQUE (campaign_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_recipients_pending ON newsletter_campaign_recipients(campaign_id, created_at)
+    WHERE status = 'pending';
+
+-- Every tracked link click, for the per-link breakdown
+CREATE TABLE IF NOT EXISTS newsletter_campaign_clicks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+    recipient_id UUID NOT NULL REFERENCES newsletter_campaign_recipients(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_clicks_campaign ON newsletter_campaign_clicks(campaign_id);
@@ -0,0 +1,42 @@
+-- Newsletter double opt-in and preferences: signing up sends a confirmation
+-- email, and only confirmed subscribers get campaigns. The timestamps and IP
+-- addresses of signing up, confirming and unsubscribing are kept as consent
+-- evidence (NDPR). Subscribers choose topics (keys in
+-- utils/newsletterTopics.js) and campaigns can be aimed at some of them.
+
+ALTER TABLE newsletter_subscribers
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS topics JSONB NOT NULL DEFAULT '[]',
+    -- Link token for confirming and the preference page (stored hashed),
+    -- replaced each time we email one
+    ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS confirmation_sent_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS subscribe_ip VARCHAR(45),
+    ADD COLUMN IF NOT EXISTS subscribe_user_agent VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS confirm_ip VARCHAR(45),
+    ADD COLUMN IF NOT EXISTS unsubscribe_ip VARCHAR(45),
+    ADD COLUMN IF NOT EXISTS topics_updated_at TIMESTAMP;
+
+-- Subscribers from before double opt-in stay subscribed to every topic.
+-- They have no confirmation on record, so confirmed_at stays empty.
+UPDATE newsletter_subscribers
+SET status = CASE WHEN is_active THEN 'confirmed' ELSE 'unsubscribed' END,
+    topics = '["data-analytics", "web-development", "software-development", "it-consulting", "company-news"]'
+WHERE status IS NULL;
+
+ALTER TABLE newsletter_subscribers ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE newsletter_subscribers ALTER COLUMN status SET NOT NULL;
+-- is_active is kept as status = 'confirmed' for older queries
+ALTER TABLE newsletter_subscribers ALTER COLUMN is_active SET DEFAULT false;
+
+ALTER TABLE newsletter_subscribers DROP CONSTRAINT IF EXISTS newsletter_subscribers_status_check;
+ALTER TABLE newsletter_subscribers ADD CONSTRAINT newsletter_subscribers_status_check
+    CHECK (status IN ('pending', 'confirmed', 'unsubscribed'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_newsletter_subscribers_token ON newsletter_subscribers(token_hash)
+    WHERE token_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_newsletter_subscribers_status ON newsletter_subscribers(status);
+
+-- Empty: every confirmed subscriber
+ALTER TABLE newsletter_campaigns ADD COLUMN IF NOT EXISTS topics JSONB NOT NULL DEFAULT '[]';
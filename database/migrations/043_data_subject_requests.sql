@@ -0,0 +1,43 @@
+-- Data subject requests (NDPA): someone asks for a copy of their personal
+-- data (access/portability) or for it to be erased. Staff log the request,
+-- the person proves they own the email address by following an emailed
+-- link (token stored hashed), and only then can the export be downloaded
+-- or the erasure run. The request row is kept as the record of what was
+-- asked and done.
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL, -- always lower(trim(...))
+    name VARCHAR(255),
+    request_type VARCHAR(20) NOT NULL, -- access, erasure
+    status VARCHAR(30) NOT NULL DEFAULT 'awaiting_verification', -- awaiting_verification, verified, completed, rejected
+    received_via VARCHAR(20) NOT NULL DEFAULT 'email', -- email, phone, letter, in_person
+    notes TEXT,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    due_at TIMESTAMP NOT NULL, -- the NDPA's one month from received_at
+    verification_token_hash VARCHAR(64) UNIQUE,
+    verification_sent_at TIMESTAMP,
+    verified_at TIMESTAMP,
+    verified_ip VARCHAR(45),
+    exported_at TIMESTAMP,
+    -- Rows changed per table by the erasure: { "messages": 2, ... }
+    erasure_summary JSONB,
+    erased_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    resolution TEXT, -- what was done, or why it was rejected
+    created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    completed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT data_subject_requests_type_check CHECK (request_type IN ('access', 'erasure')),
+    CONSTRAINT data_subject_requests_status_check CHECK (status IN ('awaiting_verification', 'verified', 'completed', 'rejected')),
+    CONSTRAINT data_subject_requests_via_check CHECK (received_via IN ('email', 'phone', 'letter', 'in_person'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_status ON data_subject_requests(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_email ON data_subject_requests(email);
+
+-- Finding someone's surveys, newsletter emails and analytics by email
+CREATE INDEX IF NOT EXISTS idx_satisfaction_surveys_email ON satisfaction_surveys(LOWER(TRIM(respondent_email)));
+CREATE INDEX IF NOT EXISTS idx_newsletter_recipients_email ON newsletter_campaign_recipients(LOWER(TRIM(email)));
+CREATE INDEX IF NOT EXISTS idx_analytics_events_visitor ON analytics_events(visitor_id);
@@ -0,0 +1,21 @@
+-- Data retention: how long analytics events, closed chats, visitor IP
+-- addresses and audit logs are kept before the nightly data-retention job
+-- deletes or anonymizes them (see services/retentionService.js). Periods
+-- are configurable under Settings > Data Retention; 0 keeps that kind of
+-- data forever. The job starts switched off, so nothing is purged until an
+-- Admin has checked the preview and enabled it.
+
+-- Closed chats are anonymized rather than deleted, so they still count in
+-- chat and satisfaction reports; this marks the ones already done
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_retention ON chat_sessions((COALESCE(ended_at, started_at))) WHERE status = 'closed' AND anonymized_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_visitors_last_visit ON visitors(last_visit);
+
+INSERT INTO system_settings (setting_key, setting_value, setting_type, category, description) VALUES
+    ('retention_enabled', 'false', 'boolean', 'retention', 'Run the nightly data-retention purge'),
+    ('retention_analytics_events_months', '13', 'number', 'retention', 'Delete analytics events older than this many months (0 = keep)'),
+    ('retention_closed_chats_months', '24', 'number', 'retention', 'Anonymize chats closed more than this many months ago (0 = keep)'),
+    ('retention_visitor_ip_days', '30', 'number', 'retention', 'Truncate visitor IP addresses not seen for this many days (0 = keep)'),
+    ('retention_audit_logs_months', '36', 'number', 'retention', 'Delete audit log entries older than this many months (0 = keep)')
+ON CONFLICT (setting_key) DO NOTHING;
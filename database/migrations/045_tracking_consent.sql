@@ -0,0 +1,26 @@
+-- Tracking consent (NDPA): each choice made in the cookie banner is
+-- recorded here, so /api/analytics/track can check it server-side rather
+-- than trusting the browser to stay quiet (see utils/trackingConsent.js).
+-- consent_id is a random id kept in the visitor's consent cookie; a new
+-- row is added every time they change their mind, so the latest row is
+-- the current choice and the earlier ones are the history.
+
+CREATE TABLE IF NOT EXISTS consent_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    consent_id UUID NOT NULL,
+    visitor_id UUID REFERENCES visitors(id) ON DELETE SET NULL,
+    analytics BOOLEAN NOT NULL DEFAULT false,
+    marketing BOOLEAN NOT NULL DEFAULT false,
+    functional BOOLEAN NOT NULL DEFAULT false,
+    policy_version VARCHAR(20) NOT NULL, -- the cookie policy version the choice was made under
+    -- Browser privacy signals sent with the choice; either one overrides
+    -- an analytics "yes"
+    gpc BOOLEAN NOT NULL DEFAULT false,
+    dnt BOOLEAN NOT NULL DEFAULT false,
+    ip_address VARCHAR(45), -- truncated to the network, like visitor IPs after retention
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_records_consent ON consent_records(consent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_consent_records_created_at ON consent_records(created_at);
@@ -0,0 +1,5 @@
+-- Remove contacts the 032 backfill recreated on boot for the placeholder
+-- addresses erasure and data retention leave behind (utils/erasure.js).
+-- The backfill now skips them, so this only clears up earlier boots.
+
+DELETE FROM contacts WHERE email LIKE '%@erased.invalid';
@@ -10,23 +10,60 @@
     let currentDate = new Date();
     let selectedDate = null;
     let selectedTime = null;
-    let bookedSlots = [];
+    let selectedSlot = null;
+    let slots = [];
+    let availableDates = new Set();
 
-    // Time slots configuration (9 AM to 6 PM, 1-hour slots)
-    const timeSlots = [
-        '09:00 AM', '10:00 AM', '11:00 AM', '12:00 PM',
-        '01:00 PM', '02:00 PM', '03:00 PM', '04:00 PM', '05:00 PM'
-    ];
+    // Slots are computed server-side in the business timezone; the visitor
+    // sees (and we send) their own timezone so times display correctly
+    const visitorTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
     // Initialize
     document.addEventListener('DOMContentLoaded', init);
 
     function init() {
-        renderCalendar();
+        loadMonthAvailability();
         setupEventListeners();
         setStep(1);
     }
 
+    function toDateStr(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // "14:30" -> "02:30 PM"
+    function formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const period = hours >= 12 ? 'PM' : 'AM';
+        return `${String(hours % 12 || 12).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${period}`;
+    }
+
+    // Fetch which days of the displayed month have free slots, then render
+    async function loadMonthAvailability() {
+        const year = currentDate.getFullYear();
+        const month = currentDate.getMonth();
+        const from = toDateStr(new Date(year, month, 1));
+        const to = toDateStr(new Date(year, month + 1, 0));
+
+        availableDates = new Set();
+        renderCalendar();
+
+        try {
+            const response = await fetch(`/api/consultation/availability?from=${from}&to=${to}&timezone=${encodeURIComponent(visitorTimeZone)}`);
+            const data = await response.json();
+            if (data.success) {
+                availableDates = new Set(data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching availability:', error);
+        }
+
+        // Ignore a stale response if the visitor has moved on to another month
+        if (currentDate.getFullYear() === year && currentDate.getMonth() === month) {
+            renderCalendar();
+        }
+    }
+
     // Update the 3-step progress indicator
     function setStep(step) {
         document.querySelectorAll('.booking-step').forEach(el => {
@@ -44,13 +81,15 @@
     function setupEventListeners() {
         // Calendar navigation
         document.querySelector('.calendar-nav.prev').addEventListener('click', () => {
+            currentDate.setDate(1);
             currentDate.setMonth(currentDate.getMonth() - 1);
-            renderCalendar();
+            loadMonthAvailability();
         });
 
         document.querySelector('.calendar-nav.next').addEventListener('click', () => {
+            currentDate.setDate(1);
             currentDate.setMonth(currentDate.getMonth() + 1);
-            renderCalendar();
+            loadMonthAvailability();
         });
 
         // Back button
@@ -84,10 +123,6 @@
         const firstDay = new Date(year, month, 1).getDay();
         const daysInMonth = new Date(year, month + 1, 0).getDate();
         
-        // Today's date for comparison
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
         // Generate days HTML
         let html = '';
         
@@ -99,7 +134,8 @@
         // Days of the month
         for (let day = 1; day <= daysInMonth; day++) {
             const date = new Date(year, month, day);
-            const isPast = date < today;
+            const dateStr = toDateStr(date);
+            const isAvailable = availableDates.has(dateStr);
             const isWeekend = date.getDay() === 0 || date.getDay() === 6;
             const isSelected = selectedDate && 
                               date.getDate() === selectedDate.getDate() &&
@@ -107,13 +143,12 @@
                               date.getFullYear() === selectedDate.getFullYear();
             
             let classes = 'calendar-day';
-            if (isPast) classes += ' disabled';
+            if (!isAvailable) classes += ' disabled';
             if (isWeekend) classes += ' weekend';
             if (isSelected) classes += ' selected';
-            if (!isPast && !isWeekend) classes += ' available';
+            if (isAvailable) classes += ' available';
             
-            const dataAttr = !isPast && !isWeekend ? 
-                `data-date="${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}"` : '';
+            const dataAttr = isAvailable ? `data-date="${dateStr}"` : '';
             
             html += `<div class="${classes}" ${dataAttr}>${day}</div>`;
         }
@@ -156,20 +191,18 @@
         slotsContainer.innerHTML = '<p class="loading"><i class="fas fa-spinner fa-spin"></i> Loading available times...</p>';
         
         try {
-            const response = await fetch(`/api/consultation/slots?date=${date}`);
+            const response = await fetch(`/api/consultation/slots?date=${date}&timezone=${encodeURIComponent(visitorTimeZone)}`);
             const data = await response.json();
             
             if (data.success) {
-                bookedSlots = data.bookedSlots || [];
+                slots = data.data || [];
                 renderTimeSlots();
             } else {
                 slotsContainer.innerHTML = '<p class="error">Failed to load time slots. Please try again.</p>';
             }
         } catch (error) {
             console.error('Error fetching slots:', error);
-            // Fallback to rendering all slots
-            bookedSlots = [];
-            renderTimeSlots();
+            slotsContainer.innerHTML = '<p class="error">Failed to load time slots. Please try again.</p>';
         }
     }
 
@@ -187,25 +220,30 @@
             return;
         }
         
+        if (slots.length === 0) {
+            slotsContainer.innerHTML = `
+                <div class="placeholder">
+                    <i class="fas fa-calendar-times"></i>
+                    <p>No times left on this day - please pick another date</p>
+                </div>
+            `;
+            return;
+        }
+        
         let html = '';
-        timeSlots.forEach(time => {
-            const isBooked = bookedSlots.includes(time);
-            const isSelected = selectedTime === time;
+        slots.forEach(slot => {
+            const isSelected = selectedSlot && selectedSlot.start === slot.start;
             
-            let classes = 'time-slot';
-            if (isBooked) classes += ' booked';
+            let classes = 'time-slot available';
             if (isSelected) classes += ' selected';
-            if (!isBooked) classes += ' available';
             
             html += `
-                <button type="button" class="${classes}" 
-                        ${isBooked ? 'disabled' : ''} 
-                        data-time="${time}">
-                    ${time}
-                    ${isBooked ? '<span class="booked-label">Booked</span>' : ''}
+                <button type="button" class="${classes}" data-start="${slot.start}">
+                    ${formatTime(slot.localTime)}
                 </button>
             `;
         });
+        html += `<p class="timezone-note">Times shown in your timezone (${visitorTimeZone})</p>`;
         
         slotsContainer.innerHTML = html;
         
@@ -217,16 +255,18 @@
 
     // Handle time slot click
     function handleTimeClick(e) {
-        const time = e.target.dataset.time || e.target.closest('.time-slot').dataset.time;
-        if (!time) return;
+        const button = e.target.closest('.time-slot');
+        const slot = slots.find(s => s.start === button.dataset.start);
+        if (!slot) return;
         
         // Update selection
         document.querySelectorAll('.time-slot.selected').forEach(el => {
             el.classList.remove('selected');
         });
-        e.target.classList.add('selected');
+        button.classList.add('selected');
         
-        selectedTime = time;
+        selectedSlot = slot;
+        selectedTime = formatTime(slot.localTime);
         
         // Show booking form
         showBookingForm();
@@ -260,12 +300,6 @@
         submitBtn.disabled = true;
         submitBtn.textContent = 'Booking...';
         
-        // Format date for API
-        const year = selectedDate.getFullYear();
-        const month = String(selectedDate.getMonth() + 1).padStart(2, '0');
-        const day = String(selectedDate.getDate()).padStart(2, '0');
-        const dateStr = `${year}-${month}-${day}`;
-        
         // Prepare data
         const data = {
             name: document.getElementById('booking-name').value,
@@ -274,8 +308,10 @@
             company: document.getElementById('booking-company').value,
             service: document.getElementById('booking-service').value,
             notes: document.getElementById('booking-notes').value,
-            booking_date: dateStr,
-            booking_time: selectedTime
+            // Business-timezone date/time exactly as the slots API returned them
+            booking_date: selectedSlot.date,
+            booking_time: selectedSlot.time,
+            timezone: visitorTimeZone
         };
         
         try {
@@ -295,6 +331,10 @@
                 alert(result.message || 'Failed to book consultation. Please try again.');
                 submitBtn.disabled = false;
                 submitBtn.textContent = originalText;
+                if (response.status === 400) {
+                    // Slot was taken meanwhile - refresh the times for that day
+                    fetchAvailableSlots(toDateStr(selectedDate));
+                }
             }
         } catch (error) {
             console.error('Booking error:', error);
@@ -311,7 +351,7 @@
         
         document.getElementById('success-details').innerHTML = `
             <p><strong>Date:</strong> ${dateStr}</p>
-            <p><strong>Time:</strong> ${selectedTime}</p>
+            <p><strong>Time:</strong> ${selectedTime} (${visitorTimeZone})</p>
             <p><strong>Service:</strong> ${data.service}</p>
             <p>A confirmation has been sent to <strong>${data.email}</strong></p>
         `;
@@ -328,7 +368,8 @@
     function resetBooking() {
         selectedDate = null;
         selectedTime = null;
-        bookedSlots = [];
+        selectedSlot = null;
+        slots = [];
         
         // Reset form
         document.getElementById('booking-form').reset();
@@ -342,8 +383,8 @@
         document.querySelector('.booking-container').style.display = 'grid';
         setStep(1);
 
-        // Re-render calendar
-        renderCalendar();
+        // Re-render calendar with fresh availability
+        loadMonthAvailability();
         
         // Scroll to top
         window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -10,7 +10,8 @@
     const config = {
         wsUrl: `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws/chat`,
         reconnectDelay: 3000,
-        maxReconnectAttempts: 5
+        maxReconnectAttempts: 5,
+        maxAttachmentMb: 10
     };
 
     // State
@@ -20,6 +21,7 @@
     let isConnected = false;
     let reconnectAttempts = 0;
     let visitorInfo = null;
+    let queuePosition = null;
     let chatSettings = {
         chat_enabled: true,
         chat_auto_reply_enabled: true,
@@ -107,6 +109,22 @@
                                 <label for="chat-email">Email</label>
                                 <input type="email" id="chat-email" name="email" required placeholder="your@email.com">
                             </div>
+                            <div class="form-group">
+                                <label for="chat-service">Topic</label>
+                                <select id="chat-service" name="service">
+                                    <option value="">General question</option>
+                                    <option value="it-consulting">IT Consulting</option>
+                                    <option value="software-development">Software Development</option>
+                                    <option value="website-development">Website Development</option>
+                                    <option value="data-analytics">Data Analytics</option>
+                                </select>
+                            </div>
+                            <div class="form-group form-check">
+                                <label>
+                                    <input type="checkbox" id="chat-transcript">
+                                    Email me a transcript when the chat ends
+                                </label>
+                            </div>
                             <button type="submit" class="btn-primary">Start Chat</button>
                         </form>
                     </div>
@@ -122,6 +140,12 @@
                 <!-- Input area (shown after starting chat) -->
                 <div class="chat-footer" id="chat-footer" style="display: none;">
                     <form id="chat-message-form">
+                        <button type="button" class="chat-attach" id="chat-attach" aria-label="Attach a file or screenshot">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"></path>
+                            </svg>
+                        </button>
+                        <input type="file" id="chat-file" accept=".png,.jpg,.jpeg,.gif,.webp,.pdf,.docx,.xlsx,.txt,.log,.csv" style="display: none;">
                         <input type="text" id="chat-input" placeholder="Type your message..." autocomplete="off">
                         <button type="submit" aria-label="Send message">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -304,7 +328,8 @@
                 color: #333;
             }
             
-            .chat-start-form input {
+            .chat-start-form input,
+            .chat-start-form select {
                 width: 100%;
                 padding: 12px;
                 border: 1px solid #ddd;
@@ -314,7 +339,22 @@
                 box-sizing: border-box;
             }
             
-            .chat-start-form input:focus {
+            .chat-start-form .form-check label {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-weight: 400;
+                cursor: pointer;
+            }
+
+            .chat-start-form .form-check input {
+                width: auto;
+                margin: 0;
+                padding: 0;
+            }
+
+            .chat-start-form input:focus,
+            .chat-start-form select:focus {
                 outline: none;
                 border-color: #0066CC;
             }
@@ -380,6 +420,75 @@
                 margin-top: 4px;
                 display: block;
             }
+
+            .chat-rating {
+                background: white;
+                border-radius: 12px;
+                padding: 14px;
+                box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+                font-size: 13px;
+                color: #333;
+            }
+
+            .chat-rating p {
+                margin: 0 0 8px;
+                font-weight: 600;
+                text-align: center;
+            }
+
+            .chat-rating-stars {
+                display: flex;
+                justify-content: center;
+                gap: 4px;
+                margin-bottom: 12px;
+            }
+
+            .chat-rating-stars button {
+                background: none;
+                border: none;
+                font-size: 26px;
+                line-height: 1;
+                color: #ccc;
+                cursor: pointer;
+                padding: 0 2px;
+            }
+
+            .chat-rating-stars button.selected {
+                color: #f5a623;
+            }
+
+            .chat-rating label {
+                display: block;
+                margin-bottom: 4px;
+            }
+
+            .chat-rating select,
+            .chat-rating textarea {
+                width: 100%;
+                padding: 8px;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                font-size: 13px;
+                font-family: inherit;
+                margin-bottom: 8px;
+                box-sizing: border-box;
+            }
+
+            .chat-rating-submit {
+                width: 100%;
+                padding: 10px;
+                background: #0066CC;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+
+            .chat-rating-submit:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
             
             .chat-footer {
                 padding: 12px;
@@ -427,6 +536,31 @@
                 width: 20px;
                 height: 20px;
             }
+
+            .chat-footer .chat-attach {
+                background: #f1f3f5;
+                color: #555;
+            }
+
+            .chat-footer .chat-attach:hover {
+                background: #e2e6ea;
+            }
+
+            .chat-attachment-thumb {
+                display: block;
+                max-width: 180px;
+                max-height: 140px;
+                border-radius: 8px;
+                margin-top: 6px;
+            }
+
+            .chat-attachment-file {
+                display: block;
+                margin-top: 6px;
+                color: inherit;
+                font-weight: 600;
+                word-break: break-all;
+            }
             
             .typing-indicator {
                 font-size: 12px;
@@ -523,7 +657,7 @@
                 if (data.messages && data.messages.length > 0) {
                     data.messages.forEach(msg => {
                         const sender = msg.sender_type === 'visitor' ? 'user' : 'agent';
-                        addMessage(msg.content, sender, msg.created_at);
+                        addMessage(msg.content, sender, msg.created_at, msg.attachments);
                     });
                 }
                 
@@ -550,7 +684,7 @@
             case 'new_message':
             case 'message_sent':
                 if (data.message && data.message.sender_type !== 'visitor') {
-                    addMessage(data.message.content, 'agent', data.message.created_at);
+                    addMessage(data.message.content, 'agent', data.message.created_at, data.message.attachments);
                     if (!isOpen) {
                         incrementUnread();
                     }
@@ -560,6 +694,21 @@
             case 'agent_joined':
                 addSystemMessage(data.message);
                 break;
+
+            case 'queue_update':
+                // Everyone is busy - show the place in the queue once, then keep the header up to date
+                if (queuePosition === null) {
+                    addSystemMessage(data.message);
+                }
+                queuePosition = data.position;
+                updateStatus(`In queue: ${data.position === 1 ? 'next' : `#${data.position}`}, about ${data.etaMinutes} min`, true);
+                break;
+
+            case 'agent_assigned':
+                queuePosition = null;
+                updateStatus('Online', true);
+                addSystemMessage(data.message);
+                break;
                 
             case 'typing':
                 showTyping();
@@ -567,6 +716,10 @@
                 
             case 'session_closed':
                 addSystemMessage(data.message);
+                if (sessionId) {
+                    showRatingPrompt(sessionId);
+                }
+                queuePosition = null;
                 sessionId = null;
                 sessionStorage.removeItem('chat_session');
                 sessionStorage.removeItem('chat_visitor_name');
@@ -607,15 +760,18 @@
     };
 
     // Start chat session
-    const startChat = (name, email) => {
+    const startChat = (name, email, service, transcript) => {
         visitorInfo = { name, email };
         
-        // Send start message
+        // Send start message (the service and page route the chat to someone who knows the subject)
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
                 type: 'start_chat',
                 name,
-                email
+                email,
+                service,
+                page: window.location.pathname,
+                transcript
             }));
             
             // Show messages area
@@ -641,8 +797,56 @@
         document.getElementById('chat-input').value = '';
     };
 
+    // Send a file or screenshot: upload it, then send it as a message
+    const sendAttachment = async (file) => {
+        if (!file || !sessionId || !ws || ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+
+        if (file.size > config.maxAttachmentMb * 1024 * 1024) {
+            addSystemMessage(`Files can be up to ${config.maxAttachmentMb} MB.`);
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const response = await fetch(`/api/chat/sessions/${sessionId}/visitor-attachments`, {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            if (!result.success) {
+                addSystemMessage(result.message || 'The file could not be sent.');
+                return;
+            }
+
+            ws.send(JSON.stringify({
+                type: 'send_message',
+                content: '',
+                attachmentIds: [result.data.id]
+            }));
+            addMessage('', 'visitor', null, [result.data]);
+        } catch (error) {
+            console.error('Attachment upload error:', error);
+            addSystemMessage('The file could not be sent.');
+        }
+    };
+
+    // Images show as thumbnails that open full size; other files as links
+    const renderAttachments = (attachments) => {
+        return (attachments || []).map(attachment => {
+            const url = `/api/chat/sessions/${sessionId}/attachments/${attachment.id}`;
+            const name = escapeHtml(attachment.file_name);
+            return attachment.is_image
+                ? `<a href="${url}" target="_blank" rel="noopener"><img class="chat-attachment-thumb" src="${url}" alt="${name}" loading="lazy"></a>`
+                : `<a class="chat-attachment-file" href="${url}" target="_blank" rel="noopener">${name}</a>`;
+        }).join('');
+    };
+
     // Add message to chat
-    const addMessage = (content, type, timestamp) => {
+    const addMessage = (content, type, timestamp, attachments) => {
         const messages = document.getElementById('chat-messages');
         const msg = document.createElement('div');
         msg.className = `message ${type}`;
@@ -651,7 +855,8 @@
         const timeStr = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
         msg.innerHTML = `
-            <p>${escapeHtml(content)}</p>
+            ${content ? `<p>${escapeHtml(content)}</p>` : ''}
+            ${renderAttachments(attachments)}
             <span class="message-time">${timeStr}</span>
         `;
         
@@ -669,6 +874,67 @@
         messages.scrollTop = messages.scrollHeight;
     };
 
+    // Once the chat has closed, ask how it went (CSAT 1-5, optional NPS and comment)
+    const showRatingPrompt = (closedSessionId) => {
+        const messages = document.getElementById('chat-messages');
+        const prompt = document.createElement('div');
+        prompt.className = 'chat-rating';
+        prompt.innerHTML = `
+            <p>How was your chat?</p>
+            <div class="chat-rating-stars" role="radiogroup" aria-label="Rate this chat from 1 to 5">
+                ${[1, 2, 3, 4, 5].map(score => `<button type="button" data-score="${score}" aria-label="${score} out of 5">&#9733;</button>`).join('')}
+            </div>
+            <label for="chat-rating-nps">How likely are you to recommend us?</label>
+            <select id="chat-rating-nps">
+                <option value="">Choose 0-10 (optional)</option>
+                ${Array.from({ length: 11 }, (_, score) => `<option value="${score}">${score}${score === 0 ? ' - not likely' : score === 10 ? ' - very likely' : ''}</option>`).join('')}
+            </select>
+            <textarea id="chat-rating-comment" rows="2" maxlength="2000" placeholder="Anything we could do better? (optional)"></textarea>
+            <button type="button" class="chat-rating-submit" disabled>Send feedback</button>
+        `;
+        messages.appendChild(prompt);
+        messages.scrollTop = messages.scrollHeight;
+
+        let csatScore = null;
+        const stars = prompt.querySelectorAll('.chat-rating-stars button');
+        const npsSelect = prompt.querySelector('#chat-rating-nps');
+        const submit = prompt.querySelector('.chat-rating-submit');
+        const updateSubmit = () => {
+            submit.disabled = csatScore === null && npsSelect.value === '';
+        };
+
+        stars.forEach(star => {
+            star.addEventListener('click', () => {
+                csatScore = Number(star.dataset.score);
+                stars.forEach(other => other.classList.toggle('selected', Number(other.dataset.score) <= csatScore));
+                updateSubmit();
+            });
+        });
+        npsSelect.addEventListener('change', updateSubmit);
+
+        submit.addEventListener('click', async () => {
+            submit.disabled = true;
+            try {
+                const response = await fetch(`/api/surveys/chat/${closedSessionId}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        csatScore,
+                        npsScore: npsSelect.value === '' ? null : Number(npsSelect.value),
+                        comment: prompt.querySelector('#chat-rating-comment').value.trim() || null
+                    })
+                });
+                const result = await response.json();
+                prompt.remove();
+                addSystemMessage(result.success ? 'Thanks for your feedback!' : (result.message || 'Your feedback could not be sent.'));
+            } catch (error) {
+                console.error('Chat rating error:', error);
+                submit.disabled = false;
+                addSystemMessage('Your feedback could not be sent. Please try again.');
+            }
+        });
+    };
+
     // Show typing indicator
     const showTyping = () => {
         const indicator = document.getElementById('typing-indicator');
@@ -732,6 +998,13 @@
             }
         }
         
+        // On a service page, start with that service as the topic
+        const pageService = window.location.pathname.split('/').pop().replace(/\.html$/, '');
+        const serviceSelect = document.getElementById('chat-service');
+        if ([...serviceSelect.options].some(option => option.value === pageService)) {
+            serviceSelect.value = pageService;
+        }
+
         // Check for existing session
         sessionId = sessionStorage.getItem('chat_session');
         
@@ -743,7 +1016,9 @@
             e.preventDefault();
             const name = document.getElementById('chat-name').value;
             const email = document.getElementById('chat-email').value;
-            startChat(name, email);
+            const service = document.getElementById('chat-service').value;
+            const transcript = document.getElementById('chat-transcript').checked;
+            startChat(name, email, service, transcript);
         });
         
         document.getElementById('chat-message-form').addEventListener('submit', (e) => {
@@ -751,6 +1026,13 @@
             sendMessage(document.getElementById('chat-input').value);
         });
         
+        const fileInput = document.getElementById('chat-file');
+        document.getElementById('chat-attach').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            sendAttachment(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
         // Send typing indicator
         let typingTimeout;
         document.getElementById('chat-input').addEventListener('input', () => {
@@ -14,7 +14,11 @@
         // Cookie settings
         cookieName: 'tekvwa_cookie_consent',
         cookieExpiry: 365, // days
+        // Must match CONSENT_POLICY_VERSION in server/utils/trackingConsent.js;
+        // raising it asks everyone to choose again
         version: '1.0',
+        consentEndpoint: '/api/analytics/consent',
+        visitorStorageKey: 'tekvwa_visitor_id',
 
         // Cookie categories
         categories: {
@@ -49,9 +53,14 @@
             // Check if consent already exists
             const existingConsent = this.getConsent();
             
-            if (!existingConsent) {
-                // Show cookie banner
+            if (!existingConsent || existingConsent.version !== this.version) {
+                // Show cookie banner (again, if the policy has changed since)
                 this.showBanner();
+            } else if (!existingConsent.consentId) {
+                // A choice made before consent was recorded server-side:
+                // give it a consent ID and record it, so the tracker keeps
+                // honouring it
+                this.saveConsent(existingConsent);
             } else {
                 // Apply existing consent
                 this.applyConsent(existingConsent);
@@ -360,6 +369,12 @@
 
         // Save consent to cookie
         saveConsent: function(consent) {
+            // The same browser keeps its consent ID, so the server has the
+            // history of its choices
+            const existingConsent = this.getConsent();
+            consent.consentId = (existingConsent && existingConsent.consentId) || this.generateConsentId();
+            consent.version = consent.version || this.version;
+
             const expires = new Date();
             expires.setDate(expires.getDate() + this.cookieExpiry);
             
@@ -367,6 +382,9 @@
             
             // Apply the consent
             this.applyConsent(consent);
+
+            // Record it server-side, where tracking is checked against it
+            this.recordConsent(consent);
             
             // Dispatch event for other scripts
             window.dispatchEvent(new CustomEvent('cookieConsentUpdated', {
@@ -374,6 +392,50 @@
             }));
         },
 
+        generateConsentId: function() {
+            if (window.crypto && window.crypto.randomUUID) {
+                return window.crypto.randomUUID();
+            }
+            const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+            bytes[6] = (bytes[6] & 0x0f) | 0x40;
+            bytes[8] = (bytes[8] & 0x3f) | 0x80;
+            const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+            return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        },
+
+        // Send a choice to the server. Once it's been sent (or failed),
+        // cookieConsentRecorded is dispatched; the tracker waits for it
+        // before sending events under a new consent ID.
+        recordConsent: function(consent) {
+            let visitorId = null;
+            try {
+                visitorId = localStorage.getItem(this.visitorStorageKey);
+            } catch (e) {
+                visitorId = null;
+            }
+
+            return fetch(this.consentEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    consentId: consent.consentId,
+                    visitorId: consent.analytics ? visitorId : null,
+                    analytics: Boolean(consent.analytics),
+                    marketing: Boolean(consent.marketing),
+                    functional: Boolean(consent.functional),
+                    version: consent.version
+                })
+            }).catch(error => {
+                console.debug('Consent record error:', error);
+            }).then(() => {
+                window.dispatchEvent(new CustomEvent('cookieConsentRecorded', {
+                    detail: consent
+                }));
+            });
+        },
+
         // Get existing consent from cookie
         getConsent: function() {
             const cookies = document.cookie.split(';');
@@ -426,6 +488,12 @@
         },
 
         disableAnalytics: function() {
+            // Forget the visitor ID, so the tracker stops identifying this browser
+            try {
+                localStorage.removeItem(this.visitorStorageKey);
+            } catch (e) {
+                // Storage unavailable, so there's nothing to forget
+            }
             if (window.gtag) {
                 window.gtag('consent', 'update', {
                     'analytics_storage': 'denied'
@@ -0,0 +1,85 @@
+/**
+ * Data Request Page JavaScript
+ * Reached from the link emailed when staff log a data protection request
+ * (?token=...). The person confirms the request is theirs with a button,
+ * so link scanners in mail apps can't confirm it for them.
+ */
+
+(function() {
+    'use strict';
+
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const apiBase = `/api/data-requests/verify/${encodeURIComponent(token || '')}`;
+
+    const DESCRIPTIONS = {
+        access: 'send you a copy of the personal data we hold about you',
+        erasure: 'erase the personal data we hold about you'
+    };
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    async function init() {
+        if (!token) {
+            showError('This link is missing its code. Please use the link from our email.');
+            return;
+        }
+
+        document.getElementById('confirm-btn').addEventListener('click', handleConfirm);
+
+        try {
+            const response = await fetch(apiBase);
+            const result = await response.json();
+            if (!result.success) {
+                showError(result.message || 'This link is invalid.');
+                return;
+            }
+
+            if (result.data.status !== 'awaiting_verification') {
+                showSection('request-confirmed');
+            } else if (result.data.expired) {
+                showError('This link has expired. Please contact us and we\'ll send you a new one.');
+            } else {
+                document.getElementById('request-description').textContent = DESCRIPTIONS[result.data.requestType];
+                showSection('request-confirm');
+            }
+        } catch (error) {
+            console.error('Load data request error:', error);
+            showError('We couldn\'t load your request. Please try again.');
+        }
+    }
+
+    function showSection(id) {
+        ['request-loading', 'request-error', 'request-confirm', 'request-confirmed'].forEach(section => {
+            document.getElementById(section).style.display = section === id ? 'block' : 'none';
+        });
+    }
+
+    function showError(message) {
+        document.getElementById('request-error-message').textContent = message;
+        showSection('request-error');
+    }
+
+    async function handleConfirm(e) {
+        const button = e.target;
+        button.disabled = true;
+        button.textContent = 'Confirming...';
+
+        try {
+            const response = await fetch(apiBase, { method: 'POST' });
+            const result = await response.json();
+
+            if (result.success) {
+                showSection('request-confirmed');
+            } else {
+                showError(result.message || 'This link is invalid.');
+            }
+        } catch (error) {
+            console.error('Confirm data request error:', error);
+            alert('An error occurred. Please try again.');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Confirm My Request';
+        }
+    }
+})();
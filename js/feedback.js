@@ -0,0 +1,135 @@
+/**
+ * Feedback Page JavaScript
+ * The satisfaction survey emailed after a completed consultation
+ * (?token=..., and ?rating=1-5 from the quick links in the email)
+ */
+
+(function() {
+    'use strict';
+
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const apiBase = `/api/surveys/${encodeURIComponent(token || '')}`;
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    async function init() {
+        if (!token) {
+            showError('This link is missing its survey code. Please use the link from your email.');
+            return;
+        }
+
+        try {
+            const response = await fetch(apiBase);
+            const result = await response.json();
+            if (!result.success) {
+                showError(result.message || 'This survey link is invalid.');
+                return;
+            }
+
+            const survey = result.data;
+            if (survey.answered) {
+                showDone('We already have your answers - thanks again for taking the time.');
+                return;
+            }
+            if (survey.closed) {
+                showError('This survey has closed.');
+                return;
+            }
+            showForm(survey);
+        } catch (error) {
+            console.error('Error loading survey:', error);
+            showError('We couldn\'t load the survey. Please try again.');
+        }
+    }
+
+    function showSection(id) {
+        ['feedback-loading', 'feedback-error', 'feedback-form-section', 'feedback-done']
+            .forEach(section => {
+                document.getElementById(section).style.display = section === id ? 'block' : 'none';
+            });
+    }
+
+    function showError(message) {
+        document.getElementById('feedback-error-message').textContent = message;
+        showSection('feedback-error');
+    }
+
+    function showForm(survey) {
+        const date = survey.bookingDate
+            ? new Date(`${survey.bookingDate}T12:00:00`)
+                .toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+            : null;
+        const about = [survey.service, date && `on ${date}`, survey.staffName && `with ${survey.staffName}`]
+            .filter(Boolean)
+            .join(' ');
+
+        document.getElementById('feedback-title').textContent = survey.clientName
+            ? `Hi ${survey.clientName}, how did we do?`
+            : 'How did we do?';
+        document.getElementById('feedback-intro').textContent = about
+            ? `Your consultation: ${about}.`
+            : '';
+
+        // The email's quick links pick a rating to start with
+        const rating = params.get('rating');
+        const csatSelect = document.getElementById('feedback-csat');
+        if ([...csatSelect.options].some(option => option.value && option.value === rating)) {
+            csatSelect.value = rating;
+        }
+
+        document.getElementById('feedback-form').addEventListener('submit', handleSubmit);
+        showSection('feedback-form-section');
+    }
+
+    async function handleSubmit(e) {
+        e.preventDefault();
+
+        const csatScore = document.getElementById('feedback-csat').value;
+        const npsScore = document.getElementById('feedback-nps').value;
+        if (!csatScore && !npsScore) {
+            alert('Please choose a rating.');
+            return;
+        }
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Sending...';
+
+        try {
+            const response = await fetch(apiBase, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    csatScore: csatScore ? Number(csatScore) : null,
+                    npsScore: npsScore ? Number(npsScore) : null,
+                    comment: document.getElementById('feedback-comment').value.trim() || null
+                })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                showDone('Your feedback helps us improve how we work with every client.');
+            } else if (response.status === 409) {
+                showDone(result.message);
+            } else {
+                alert(result.message || 'Failed to send your feedback. Please try again.');
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Send Feedback';
+            }
+        } catch (error) {
+            console.error('Feedback error:', error);
+            alert('An error occurred. Please try again.');
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Send Feedback';
+        }
+    }
+
+    function showDone(message) {
+        const details = document.getElementById('feedback-done-details');
+        details.innerHTML = '<p></p>';
+        details.querySelector('p').textContent = message;
+        showSection('feedback-done');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+})();
@@ -0,0 +1,340 @@
+/**
+ * Manage Booking Page JavaScript
+ * Self-service reschedule/cancel for a booked consultation, reached from the
+ * link in the booking confirmation email (?token=...)
+ */
+
+(function() {
+    'use strict';
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    const apiBase = `/api/consultation/manage/${encodeURIComponent(token || '')}`;
+    const visitorTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    // State
+    let booking = null;
+    const currentDate = new Date();
+    let selectedDate = null;
+    let selectedSlot = null;
+    let slots = [];
+    let availableDates = new Set();
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    async function init() {
+        if (!token) {
+            showError('This link is missing its booking code. Please use the link from your booking email.');
+            return;
+        }
+
+        setupEventListeners();
+
+        try {
+            const response = await fetch(apiBase);
+            const result = await response.json();
+            if (!result.success) {
+                showError(result.message || 'This booking link is invalid.');
+                return;
+            }
+            booking = result.data;
+            showDetails();
+        } catch (error) {
+            console.error('Error loading booking:', error);
+            showError('We couldn\'t load your booking. Please try again.');
+        }
+    }
+
+    function setupEventListeners() {
+        document.getElementById('show-reschedule').addEventListener('click', () => {
+            showSection('reschedule-section');
+            loadMonthAvailability();
+        });
+        document.getElementById('show-cancel').addEventListener('click', () => showSection('cancel-section'));
+        document.getElementById('reschedule-back').addEventListener('click', showDetails);
+        document.getElementById('cancel-back').addEventListener('click', showDetails);
+        document.getElementById('confirm-reschedule').addEventListener('click', handleReschedule);
+        document.getElementById('cancel-form').addEventListener('submit', handleCancel);
+
+        document.querySelector('.calendar-nav.prev').addEventListener('click', () => {
+            currentDate.setDate(1);
+            currentDate.setMonth(currentDate.getMonth() - 1);
+            loadMonthAvailability();
+        });
+        document.querySelector('.calendar-nav.next').addEventListener('click', () => {
+            currentDate.setDate(1);
+            currentDate.setMonth(currentDate.getMonth() + 1);
+            loadMonthAvailability();
+        });
+    }
+
+    function showSection(id) {
+        ['manage-loading', 'manage-error', 'manage-details', 'reschedule-section', 'cancel-section', 'manage-done']
+            .forEach(section => {
+                document.getElementById(section).style.display = section === id ? 'block' : 'none';
+            });
+    }
+
+    function showError(message) {
+        document.getElementById('manage-error-message').textContent = message;
+        showSection('manage-error');
+    }
+
+    function toDateStr(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // "14:30" -> "02:30 PM"
+    function formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const period = hours >= 12 ? 'PM' : 'AM';
+        return `${String(hours % 12 || 12).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${period}`;
+    }
+
+    // The booking's start instant in the visitor's own timezone
+    function describeStart(start) {
+        const date = new Date(start);
+        return {
+            date: date.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+            time: `${date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })} (${visitorTimeZone})`
+        };
+    }
+
+    function showDetails() {
+        const { date, time } = describeStart(booking.start);
+        document.getElementById('manage-date').textContent = date;
+        document.getElementById('manage-time').textContent = time;
+        document.getElementById('manage-service').textContent = booking.service || 'General Consultation';
+        document.getElementById('manage-status').textContent = booking.status.charAt(0).toUpperCase() + booking.status.slice(1);
+
+        const note = document.getElementById('manage-locked-note');
+        document.getElementById('manage-actions').style.display = booking.canChange ? 'flex' : 'none';
+        if (booking.canChange) {
+            note.style.display = 'none';
+        } else {
+            note.textContent = booking.status === 'cancelled'
+                ? 'This consultation has been cancelled.'
+                : 'This consultation can no longer be changed online. Please email info@tekvwa.org if you need help.';
+            note.style.display = 'block';
+        }
+
+        showSection('manage-details');
+    }
+
+    // Fetch which days of the displayed month have free slots, then render
+    async function loadMonthAvailability() {
+        const year = currentDate.getFullYear();
+        const month = currentDate.getMonth();
+        const from = toDateStr(new Date(year, month, 1));
+        const to = toDateStr(new Date(year, month + 1, 0));
+
+        availableDates = new Set();
+        renderCalendar();
+
+        try {
+            const response = await fetch(`${apiBase}/availability?from=${from}&to=${to}&timezone=${encodeURIComponent(visitorTimeZone)}`);
+            const data = await response.json();
+            if (data.success) {
+                availableDates = new Set(data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching availability:', error);
+        }
+
+        if (currentDate.getFullYear() === year && currentDate.getMonth() === month) {
+            renderCalendar();
+        }
+    }
+
+    function renderCalendar() {
+        const year = currentDate.getFullYear();
+        const month = currentDate.getMonth();
+
+        document.getElementById('calendar-month-year').textContent =
+            currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+        const firstDay = new Date(year, month, 1).getDay();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        let html = '';
+        for (let i = 0; i < firstDay; i++) {
+            html += '<div class="calendar-day empty"></div>';
+        }
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = toDateStr(new Date(year, month, day));
+            const isAvailable = availableDates.has(dateStr);
+            const isSelected = selectedDate === dateStr;
+
+            let classes = 'calendar-day';
+            classes += isAvailable ? ' available' : ' disabled';
+            if (isSelected) {
+                classes += ' selected';
+            }
+
+            html += `<div class="${classes}" ${isAvailable ? `data-date="${dateStr}"` : ''}>${day}</div>`;
+        }
+
+        document.getElementById('calendar-days').innerHTML = html;
+        document.querySelectorAll('.calendar-day.available').forEach(day => {
+            day.addEventListener('click', handleDayClick);
+        });
+    }
+
+    async function handleDayClick(e) {
+        const dateStr = e.target.dataset.date;
+        if (!dateStr) {
+            return;
+        }
+
+        document.querySelectorAll('.calendar-day.selected').forEach(el => el.classList.remove('selected'));
+        e.target.classList.add('selected');
+
+        selectedDate = dateStr;
+        selectedSlot = null;
+        document.getElementById('confirm-reschedule').disabled = true;
+
+        const [year, month, day] = dateStr.split('-');
+        document.getElementById('selected-date-display').textContent = new Date(year, month - 1, day)
+            .toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+        await fetchSlots(dateStr);
+    }
+
+    async function fetchSlots(date) {
+        const container = document.getElementById('time-slots');
+        container.innerHTML = '<p class="loading"><i class="fas fa-spinner fa-spin"></i> Loading available times...</p>';
+
+        try {
+            const response = await fetch(`${apiBase}/slots?date=${date}&timezone=${encodeURIComponent(visitorTimeZone)}`);
+            const data = await response.json();
+            if (!data.success) {
+                container.innerHTML = `<p class="error">${data.message || 'Failed to load time slots. Please try again.'}</p>`;
+                return;
+            }
+            slots = data.data || [];
+            renderTimeSlots();
+        } catch (error) {
+            console.error('Error fetching slots:', error);
+            container.innerHTML = '<p class="error">Failed to load time slots. Please try again.</p>';
+        }
+    }
+
+    function renderTimeSlots() {
+        const container = document.getElementById('time-slots');
+
+        if (slots.length === 0) {
+            container.innerHTML = `
+                <div class="placeholder">
+                    <i class="fas fa-calendar-times"></i>
+                    <p>No times left on this day - please pick another date</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = slots.map(slot => {
+            const isCurrent = slot.start === booking.start;
+            return `
+                <button type="button" class="time-slot ${isCurrent ? 'booked' : 'available'}" data-start="${slot.start}" ${isCurrent ? 'disabled' : ''}>
+                    ${formatTime(slot.localTime)}
+                    ${isCurrent ? '<span class="booked-label">Current</span>' : ''}
+                </button>
+            `;
+        }).join('') + `<p class="timezone-note">Times shown in your timezone (${visitorTimeZone})</p>`;
+
+        document.querySelectorAll('.time-slot.available').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.time-slot.selected').forEach(el => el.classList.remove('selected'));
+                button.classList.add('selected');
+                selectedSlot = slots.find(s => s.start === button.dataset.start);
+                document.getElementById('confirm-reschedule').disabled = !selectedSlot;
+            });
+        });
+    }
+
+    async function handleReschedule() {
+        if (!selectedSlot) {
+            return;
+        }
+
+        const button = document.getElementById('confirm-reschedule');
+        button.disabled = true;
+        button.textContent = 'Moving...';
+
+        try {
+            const response = await fetch(`${apiBase}/reschedule`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    // Business-timezone date/time exactly as the slots API returned them
+                    booking_date: selectedSlot.date,
+                    booking_time: selectedSlot.time,
+                    timezone: visitorTimeZone
+                })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                booking = result.data;
+                const { date, time } = describeStart(booking.start);
+                showDone('Booking Rescheduled', `
+                    <p><strong>New date:</strong> ${date}</p>
+                    <p><strong>New time:</strong> ${time}</p>
+                    <p>We've emailed you the updated details.</p>
+                `);
+            } else {
+                alert(result.message || 'Failed to reschedule. Please try again.');
+                if (response.status === 400 && selectedDate) {
+                    // Slot was taken meanwhile - refresh the times for that day
+                    fetchSlots(selectedDate);
+                }
+            }
+        } catch (error) {
+            console.error('Reschedule error:', error);
+            alert('An error occurred. Please try again.');
+        } finally {
+            button.disabled = !selectedSlot;
+            button.textContent = 'Move My Booking';
+        }
+    }
+
+    async function handleCancel(e) {
+        e.preventDefault();
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Cancelling...';
+
+        try {
+            const response = await fetch(`${apiBase}/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason: document.getElementById('cancel-reason').value })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                booking = result.data;
+                showDone('Booking Cancelled', `
+                    <p>Your consultation has been cancelled and the time released.</p>
+                    <p>Changed your mind? You're welcome to book a new time whenever suits you.</p>
+                `);
+            } else {
+                alert(result.message || 'Failed to cancel. Please try again.');
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Cancel Consultation';
+            }
+        } catch (error) {
+            console.error('Cancel error:', error);
+            alert('An error occurred. Please try again.');
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Cancel Consultation';
+        }
+    }
+
+    function showDone(title, detailsHtml) {
+        document.getElementById('manage-done-title').textContent = title;
+        document.getElementById('manage-done-details').innerHTML = detailsHtml;
+        showSection('manage-done');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+})();
@@ -0,0 +1,187 @@
+/**
+ * Newsletter Preferences Page JavaScript
+ * Reached from the link in the confirmation email (?token=...&confirm=1,
+ * which confirms the subscription) and from the footer of every newsletter
+ * (?token=...). Subscribers choose their topics or unsubscribe here.
+ */
+
+(function() {
+    'use strict';
+
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const apiBase = `/api/newsletter/preferences/${encodeURIComponent(token || '')}`;
+
+    let topics = {};
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    async function init() {
+        if (!token) {
+            showError('This link is missing its code. Please use the link from one of our emails.');
+            return;
+        }
+
+        document.getElementById('confirm-btn').addEventListener('click', (e) => handleConfirm(e.target));
+        document.getElementById('resubscribe-btn').addEventListener('click', (e) => handleConfirm(e.target));
+        document.getElementById('unsubscribe-btn').addEventListener('click', handleUnsubscribe);
+        document.getElementById('preferences-form').addEventListener('submit', handleSave);
+
+        try {
+            const response = await fetch(apiBase);
+            const result = await response.json();
+            if (!result.success) {
+                showError(result.message || 'This link is invalid.');
+                return;
+            }
+
+            topics = result.topics;
+            if (params.get('confirm') === '1' && result.data.status === 'pending') {
+                await handleConfirm(document.getElementById('confirm-btn'));
+            } else {
+                showPreferences(result.data);
+            }
+        } catch (error) {
+            console.error('Load preferences error:', error);
+            showError('We couldn\'t load your preferences. Please try again.');
+        }
+    }
+
+    function showSection(id) {
+        ['preferences-loading', 'preferences-error', 'preferences-pending', 'preferences-form-section', 'preferences-unsubscribed']
+            .forEach(section => {
+                document.getElementById(section).style.display = section === id ? 'block' : 'none';
+            });
+    }
+
+    function showError(message) {
+        document.getElementById('preferences-error-message').textContent = message;
+        showSection('preferences-error');
+    }
+
+    function showNotice(message) {
+        const notice = document.getElementById('preferences-notice');
+        notice.textContent = message;
+        notice.style.display = message ? 'block' : 'none';
+    }
+
+    function showPreferences(subscriber, notice) {
+        document.querySelectorAll('.preferences-email').forEach(el => {
+            el.textContent = subscriber.email;
+        });
+
+        if (subscriber.status === 'pending') {
+            if (subscriber.expired) {
+                showError('This confirmation link has expired. Please sign up again to get a new one.');
+            } else {
+                showSection('preferences-pending');
+            }
+            return;
+        }
+        if (subscriber.status === 'unsubscribed') {
+            showSection('preferences-unsubscribed');
+            return;
+        }
+
+        const options = document.getElementById('topic-options');
+        options.innerHTML = '';
+        Object.entries(topics).forEach(([key, label]) => {
+            const option = document.createElement('label');
+            option.className = 'topic-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'topics';
+            checkbox.value = key;
+            checkbox.checked = subscriber.topics.includes(key);
+
+            option.appendChild(checkbox);
+            option.appendChild(document.createTextNode(label));
+            options.appendChild(option);
+        });
+
+        showNotice(notice || '');
+        showSection('preferences-form-section');
+    }
+
+    async function handleConfirm(button) {
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Confirming...';
+
+        try {
+            const response = await fetch(`${apiBase}/confirm`, { method: 'POST' });
+            const result = await response.json();
+
+            if (result.success) {
+                showPreferences(result.data, 'You\'re subscribed - thank you! You can choose your topics below.');
+            } else {
+                showError(result.message || 'This link is invalid.');
+            }
+        } catch (error) {
+            console.error('Confirm subscription error:', error);
+            alert('An error occurred. Please try again.');
+        } finally {
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
+    async function handleSave(e) {
+        e.preventDefault();
+
+        const chosen = Array.from(document.querySelectorAll('#topic-options input:checked')).map(input => input.value);
+        if (!chosen.length) {
+            showNotice('Choose at least one topic, or unsubscribe from everything.');
+            return;
+        }
+
+        const button = e.target.querySelector('button[type="submit"]');
+        button.disabled = true;
+        button.textContent = 'Saving...';
+
+        try {
+            const response = await fetch(apiBase, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ topics: chosen })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                showPreferences(result.data, result.message);
+            } else {
+                showNotice(result.message || (result.errors && result.errors[0].msg) || 'Failed to save your preferences.');
+            }
+        } catch (error) {
+            console.error('Save preferences error:', error);
+            alert('An error occurred. Please try again.');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Save Preferences';
+        }
+    }
+
+    async function handleUnsubscribe(e) {
+        const button = e.target;
+        button.disabled = true;
+        button.textContent = 'Unsubscribing...';
+
+        try {
+            const response = await fetch(`${apiBase}/unsubscribe`, { method: 'POST' });
+            const result = await response.json();
+
+            if (result.success) {
+                showSection('preferences-unsubscribed');
+            } else {
+                showError(result.message || 'This link is invalid.');
+            }
+        } catch (error) {
+            console.error('Unsubscribe error:', error);
+            alert('An error occurred. Please try again.');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Unsubscribe From Everything';
+        }
+    }
+})();
@@ -1,6 +1,11 @@
 /**
  * Tekvwa Visitor Tracking Script
  * Add this script to all public pages to track site visitors
+ *
+ * Visitors are only identified once they've accepted analytics cookies
+ * (js/cookie-consent.js) and their browser isn't sending Global Privacy
+ * Control or Do Not Track. Until then only page views are sent, and the
+ * server counts them anonymously; it checks the consent again itself.
  */
 
 (function() {
@@ -9,6 +14,7 @@
     const TRACKING_ENDPOINT = '/api/analytics/track';
     const VISITOR_ENDPOINT = '/api/analytics/visitor';
     const STORAGE_KEY = 'tekvwa_visitor_id';
+    const CONSENT_COOKIE = 'tekvwa_cookie_consent';
 
     // Get or create visitor ID
     function getVisitorId() {
@@ -20,13 +26,62 @@
         localStorage.setItem(STORAGE_KEY, id);
     }
 
+    // The choice saved by the cookie banner, if any
+    function getConsent() {
+        const cookie = document.cookie.split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(CONSENT_COOKIE + '='));
+        if (!cookie) {
+            return null;
+        }
+        try {
+            return JSON.parse(cookie.slice(CONSENT_COOKIE.length + 1));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function hasPrivacySignal() {
+        return navigator.globalPrivacyControl === true ||
+            navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1';
+    }
+
+    // A choice accepting analytics from before consent was recorded
+    // server-side has no consent ID yet; cookie-consent.js gives it one and
+    // records it, and events wait for that so they aren't counted as no choice
+    function whenConsentRecorded() {
+        const consent = getConsent();
+        if (!consent || !consent.analytics || consent.consentId) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            window.addEventListener('cookieConsentRecorded', () => resolve(), { once: true });
+            setTimeout(resolve, 5000);
+        });
+    }
+
+    function hasAnalyticsConsent() {
+        const consent = getConsent();
+        return Boolean(consent && consent.analytics) && !hasPrivacySignal();
+    }
+
     // Track an event
     async function trackEvent(eventType, metadata = {}) {
         try {
-            let visitorId = getVisitorId();
+            await whenConsentRecorded();
+
+            const consented = hasAnalyticsConsent();
+            if (!consented && eventType !== 'page_view') {
+                return { success: true, tracked: false };
+            }
+
+            const consent = getConsent();
+            let visitorId = consented ? getVisitorId() : null;
 
             const payload = {
                 visitorId: visitorId,
+                consentId: consent ? consent.consentId : null,
                 eventType: eventType,
                 pageUrl: window.location.pathname,
                 referrer: document.referrer || 'direct',
@@ -53,6 +108,9 @@
             if (result.success && result.visitorId && !visitorId) {
                 setVisitorId(result.visitorId);
             }
+            if (result.success && result.tracked !== true) {
+                localStorage.removeItem(STORAGE_KEY);
+            }
 
             return result;
         } catch (error) {
@@ -121,18 +179,23 @@
         let startTime = Date.now();
         
         window.addEventListener('beforeunload', function() {
+            if (!hasAnalyticsConsent()) {
+                return;
+            }
             const timeSpent = Math.round((Date.now() - startTime) / 1000);
             
             // Send beacon for reliable tracking on page unload
             const payload = {
                 visitorId: getVisitorId(),
+                consentId: getConsent().consentId,
                 eventType: 'time_on_page',
                 pageUrl: window.location.pathname,
                 metadata: { seconds: timeSpent }
             };
 
             if (navigator.sendBeacon) {
-                navigator.sendBeacon(TRACKING_ENDPOINT, JSON.stringify(payload));
+                // Sent as JSON so the server can read the consent ID
+                navigator.sendBeacon(TRACKING_ENDPOINT, new Blob([JSON.stringify(payload)], { type: 'application/json' }));
             }
         });
     }
@@ -0,0 +1,59 @@
+/**
+ * Unsubscribe Page JavaScript
+ * Confirms unsubscribing from the newsletter, reached from the link at the
+ * bottom of every campaign email (?token=...)
+ */
+
+(function() {
+    'use strict';
+
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    function init() {
+        if (!token) {
+            showError('This link is missing its code. Please use the link from one of our emails.');
+            return;
+        }
+
+        document.getElementById('unsubscribe-btn').addEventListener('click', handleUnsubscribe);
+        showSection('unsubscribe-confirm');
+    }
+
+    function showSection(id) {
+        ['unsubscribe-error', 'unsubscribe-confirm', 'unsubscribe-done']
+            .forEach(section => {
+                document.getElementById(section).style.display = section === id ? 'block' : 'none';
+            });
+    }
+
+    function showError(message) {
+        document.getElementById('unsubscribe-error-message').textContent = message;
+        showSection('unsubscribe-error');
+    }
+
+    async function handleUnsubscribe(e) {
+        const button = e.target;
+        button.disabled = true;
+        button.textContent = 'Unsubscribing...';
+
+        try {
+            const response = await fetch(`/api/newsletter/t/${encodeURIComponent(token)}/unsubscribe`, {
+                method: 'POST'
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                showSection('unsubscribe-done');
+            } else {
+                showError(result.message || 'This unsubscribe link is invalid.');
+            }
+        } catch (error) {
+            console.error('Unsubscribe error:', error);
+            alert('An error occurred. Please try again.');
+            button.disabled = false;
+            button.textContent = 'Unsubscribe';
+        }
+    }
+})();
@@ -22,6 +22,7 @@ const jwt = require('jsonwebtoken');
 
 // Import routes
 const contactRoutes = require('./routes/contact');
+const inboundEmailRoutes = require('./routes/inboundEmail');
 const chatRoutes = require('./routes/chat');
 const consultationRoutes = require('./routes/consultation');
 const adminRoutes = require('./routes/admin');
@@ -29,6 +30,11 @@ const authRoutes = require('./routes/auth');
 const analyticsRoutes = require('./routes/analytics');
 const settingsRoutes = require('./routes/settings');
 const notesTagsRoutes = require('./routes/notes-tags');
+const contactsRoutes = require('./routes/contacts');
+const dealsRoutes = require('./routes/deals');
+const billingRoutes = require('./routes/billing');
+const slaRoutes = require('./routes/sla');
+const automationRoutes = require('./routes/automation');
 const auditExportRoutes = require('./routes/audit-export');
 const performanceRoutes = require('./routes/performance');
 const newsletterRoutes = require('./routes/newsletter');
@@ -36,11 +42,18 @@ const messagesRoutes = require('./routes/messages');
 const savedRepliesRoutes = require('./routes/savedReplies');
 const documentsRoutes = require('./routes/documents');
 const paystubsRoutes = require('./routes/paystubs');
+const payrollRunsRoutes = require('./routes/payrollRuns');
+const taxTablesRoutes = require('./routes/taxTables');
+const leaveRoutes = require('./routes/leave');
 const contractsRoutes = require('./routes/contracts');
 const ticketsRoutes = require('./routes/tickets');
 const letterheadRoutes = require('./routes/letterhead');
 const complianceRoutes = require('./routes/compliance');
 const onboardingRoutes = require('./routes/onboarding');
+const jobsRoutes = require('./routes/jobs');
+const calendarRoutes = require('./routes/calendar');
+const surveysRoutes = require('./routes/surveys');
+const dataRequestsRoutes = require('./routes/dataRequests');
 
 // Import middleware
 const { securityHeaders, corsOptions, botProtection } = require('./middleware/securityHeaders');
@@ -56,6 +69,10 @@ const {
 // Import WebSocket handler
 const { initChatHandler } = require('./websocket/chatHandler');
 
+// Import background jobs
+const JobScheduler = require('./services/jobScheduler');
+const { registerJobs } = require('./jobs');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -135,6 +152,9 @@ app.use('/api/contact', (req, res, next) => {
     }
     next();
 }, contactRoutes);
+// Clients' emailed replies to contact messages, posted by the mail provider
+// (authenticated by INBOUND_EMAIL_SECRET, not a staff token)
+app.use('/api/inbound-email', inboundEmailRoutes);
 // Note: newsletterLimiter only applies to the public subscribe/unsubscribe
 // endpoints - not to admin's GET /subscribers list.
 const newsletterLimiterGuard = (req, res, next) => {
@@ -159,26 +179,41 @@ app.use('/api/consultations', consultationBookingLimiterGuard, consultationRoute
 // Chat routes
 app.use('/api/chat', chatRoutes);
 
+// Satisfaction surveys (public chat ratings and emailed survey links)
+app.use('/api/surveys', surveysRoutes);
+
 // Auth routes (login has its own rate limiting in admin.js)
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/messages', messagesRoutes);
+app.use('/api/admin/jobs', jobsRoutes);
 app.use('/api/admin', savedRepliesRoutes);
 
 // Authenticated API routes
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api', notesTagsRoutes);
+app.use('/api/contacts', contactsRoutes);
+app.use('/api/deals', dealsRoutes);
+app.use('/api', billingRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/automation', automationRoutes);
 app.use('/api/audit', auditExportRoutes);
 app.use('/api/export', auditExportRoutes);
 app.use('/api/performance', performanceRoutes);
 app.use('/api/documents', documentsRoutes);
 app.use('/api/paystubs', paystubsRoutes);
+app.use('/api/payroll-runs', payrollRunsRoutes);
+app.use('/api/tax-tables', taxTablesRoutes);
+app.use('/api/leave', leaveRoutes);
 app.use('/api/contracts', contractsRoutes);
 app.use('/api/tickets', ticketsRoutes);
 app.use('/api/letterhead', letterheadRoutes);
 app.use('/api/compliance', complianceRoutes);
+// Data protection requests (admin, plus the public verification link)
+app.use('/api/data-requests', dataRequestsRoutes);
 app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -316,6 +351,17 @@ initializeDatabase().then(() => {
         console.log('Auth: JWT with refresh token rotation');
         console.log('Logging: Structured JSON with request IDs');
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+        // Background jobs (reminders, cleanup). Safe to run on every
+        // instance - the scheduler leases each job in the database, so
+        // only one instance runs it. JOB_SCHEDULER_ENABLED=false stops
+        // the schedule (e.g. a local dev server pointed at a shared DB);
+        // jobs stay registered so an admin can still run one manually.
+        registerJobs();
+        const schedulerStart = process.env.JOB_SCHEDULER_ENABLED === 'false'
+            ? JobScheduler.sync()
+            : JobScheduler.start();
+        schedulerStart.catch(err => console.error('Job scheduler failed to start:', err));
     });
 }).catch(err => {
     console.error('Failed to start server:', err);
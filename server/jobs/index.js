@@ -0,0 +1,106 @@
+/**
+ * Background Job Registry
+ * Every periodic job the scheduler runs is registered here, in one place,
+ * so "what runs in the background and when" is answerable from a single
+ * file. Schedules are UTC cron expressions (Lagos is UTC+1, no DST).
+ *
+ * Handlers return a small summary object - it's stored on the job_runs row
+ * and shown in the admin job history, so keep it to counts, not row data.
+ */
+
+const JobScheduler = require('../services/jobScheduler');
+const Consultation = require('../models/Consultation');
+const Draft = require('../models/Draft');
+const TokenManager = require('../services/tokenManager');
+const { sendBookingReminder } = require('../services/emailService');
+const { recordCarryOver } = require('../services/leaveService');
+const { runSlaEscalations } = require('../services/slaService');
+const { runNewsletterSends } = require('../services/newsletterService');
+const { runRetentionPurge } = require('../services/retentionService');
+
+/**
+ * Email tomorrow's confirmed consultations. Runs hourly rather than once a
+ * day so a booking confirmed late in the afternoon still gets its reminder;
+ * reminder_sent makes the repeat runs no-ops for anyone already reminded.
+ */
+async function sendConsultationReminders() {
+    const consultations = await Consultation.getNeedingReminders();
+    let sent = 0;
+    let failed = 0;
+
+    for (const consultation of consultations) {
+        try {
+            await sendBookingReminder(consultation);
+            await Consultation.markReminderSent(consultation.id);
+            sent++;
+        } catch (error) {
+            // Left unmarked on purpose - the next hourly run retries it
+            console.error(`Reminder for consultation ${consultation.id} failed:`, error);
+            failed++;
+        }
+    }
+
+    return { due: consultations.length, sent, failed };
+}
+
+function registerJobs() {
+    JobScheduler.register({
+        name: 'consultation-reminders',
+        description: 'Email a reminder for confirmed consultations booked for tomorrow',
+        schedule: '5 * * * *',
+        handler: sendConsultationReminders
+    });
+
+    JobScheduler.register({
+        name: 'refresh-token-cleanup',
+        description: 'Delete refresh tokens that expired more than a day ago',
+        schedule: '30 1 * * *',
+        handler: async () => ({ deleted: await TokenManager.cleanupExpiredTokens() })
+    });
+
+    JobScheduler.register({
+        name: 'draft-cleanup',
+        description: 'Delete reply drafts not touched in 30 days',
+        schedule: '45 1 * * *',
+        handler: async () => ({ deleted: await Draft.cleanup(30) })
+    });
+
+    // Just after midnight Lagos time on 1 January; safe to re-run, rows
+    // already written for the year are left alone
+    JobScheduler.register({
+        name: 'leave-carry-over',
+        description: 'Carry unused leave from last year into this year, up to each type\'s cap',
+        schedule: '15 23 31 12 *',
+        handler: async () => ({ recorded: await recordCarryOver(new Date().getUTCFullYear()) })
+    });
+
+    // Each item and target is escalated once (sla_escalations), so running
+    // often only makes escalations more timely
+    JobScheduler.register({
+        name: 'sla-escalation',
+        description: 'Escalate messages, chats and tickets about to miss (or past) an SLA target',
+        schedule: '*/5 * * * *',
+        handler: () => runSlaEscalations()
+    });
+
+    // Sends at most one batch a minute (NEWSLETTER_BATCH_SIZE), so a large
+    // list goes out over several runs rather than all at once
+    JobScheduler.register({
+        name: 'newsletter-send',
+        description: 'Start scheduled newsletter campaigns and email the next batch of recipients',
+        schedule: '* * * * *',
+        handler: () => runNewsletterSends()
+    });
+
+    // Does nothing until retention is switched on in Settings. Stops after
+    // a capped number of batches; a large backlog clears over several nights
+    JobScheduler.register({
+        name: 'data-retention',
+        description: 'Delete or anonymize data past its retention period (Settings > Data Retention)',
+        schedule: '15 2 * * *',
+        lockTtlMs: 30 * 60 * 1000,
+        handler: () => runRetentionPurge()
+    });
+}
+
+module.exports = { registerJobs };
@@ -160,41 +160,48 @@ const adminOnly = (req, res, next) => {
 };
 
 /**
- * Permission check middleware factory
+ * Whether a user (req.user) has a permission - admins have them all
  */
-const hasPermission = (permission) => {
-    return (req, res, next) => {
-        // Admins have all permissions
-        if (req.user.role === 'admin') {
-            return next();
-        }
+const userHasPermission = (user, permission) => {
+    if (user.role === 'admin') {
+        return true;
+    }
+
+    const permissions = user.permissions || {};
+    const permissionMap = {
+        // Short names
+        'messages': permissions.canManageMessages,
+        'consultations': permissions.canManageConsultations,
+        'chats': permissions.canManageChats,
+        'analytics': permissions.canViewAnalytics,
+        'employees': permissions.canManageEmployees || user.role === 'hr',
+        'payroll': permissions.canManagePayroll || user.role === 'accountant',
+        'tickets': permissions.canManageTickets || user.role === 'manager',
+        'onboarding': permissions.canManageOnboarding || user.role === 'hr',
+        'compliance': permissions.canViewCompliance,
+        'staff': user.role === 'admin' || user.role === 'manager',
+        // Full names (for backwards compatibility)
+        'can_manage_messages': permissions.canManageMessages,
+        'can_manage_consultations': permissions.canManageConsultations,
+        'can_manage_chats': permissions.canManageChats,
+        'can_view_analytics': permissions.canViewAnalytics,
+        'can_manage_employees': permissions.canManageEmployees || user.role === 'hr',
+        'can_manage_payroll': permissions.canManagePayroll || user.role === 'accountant',
+        'can_manage_tickets': permissions.canManageTickets || user.role === 'manager',
+        'can_manage_onboarding': permissions.canManageOnboarding || user.role === 'hr',
+        'can_view_compliance': permissions.canViewCompliance
+    };
 
-        const permissions = req.user.permissions || {};
-        const permissionMap = {
-            // Short names
-            'messages': permissions.canManageMessages,
-            'consultations': permissions.canManageConsultations,
-            'chats': permissions.canManageChats,
-            'analytics': permissions.canViewAnalytics,
-            'employees': permissions.canManageEmployees || req.user.role === 'hr',
-            'payroll': permissions.canManagePayroll || req.user.role === 'accountant',
-            'tickets': permissions.canManageTickets || req.user.role === 'manager',
-            'onboarding': permissions.canManageOnboarding || req.user.role === 'hr',
-            'compliance': permissions.canViewCompliance,
-            'staff': req.user.role === 'admin' || req.user.role === 'manager',
-            // Full names (for backwards compatibility)
-            'can_manage_messages': permissions.canManageMessages,
-            'can_manage_consultations': permissions.canManageConsultations,
-            'can_manage_chats': permissions.canManageChats,
-            'can_view_analytics': permissions.canViewAnalytics,
-            'can_manage_employees': permissions.canManageEmployees || req.user.role === 'hr',
-            'can_manage_payroll': permissions.canManagePayroll || req.user.role === 'accountant',
-            'can_manage_tickets': permissions.canManageTickets || req.user.role === 'manager',
-            'can_manage_onboarding': permissions.canManageOnboarding || req.user.role === 'hr',
-            'can_view_compliance': permissions.canViewCompliance
-        };
-
-        if (!permissionMap[permission]) {
+    return Boolean(permissionMap[permission]);
+};
+
+/**
+ * Permission check middleware factory. Given several permissions, any one
+ * of them is enough.
+ */
+const hasPermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!permissions.some(permission => userHasPermission(req.user, permission))) {
             return res.status(403).json({
                 success: false,
                 message: 'You don\'t have permission to access this resource'
@@ -210,5 +217,6 @@ module.exports = {
     managerOrAbove,
     hrOrAdmin,
     accountantOrAdmin,
-    hasPermission
+    hasPermission,
+    userHasPermission
 };
@@ -196,6 +196,25 @@ const passwordResetLimiter = rateLimit({
     keyGenerator: (req) => `reset:${normalizeIp(req.ip)}:${req.body.email || 'unknown'}`
 });
 
+/**
+ * Self-service manage-booking rate limiter - same reasoning as the
+ * contract acceptance limiter below. Higher ceiling because one visit to
+ * the page loads the booking, the calendar and a day's slots.
+ */
+const bookingManageLimiter = rateLimit({
+    ...commonOptions,
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // 60 requests per window
+    message: {
+        success: false,
+        error: {
+            code: 'RATE_LIMITED',
+            message: 'Too many attempts. Please try again in 15 minutes.'
+        }
+    },
+    keyGenerator: (req) => `booking-manage:${normalizeIp(req.ip)}`
+});
+
 /**
  * Contract offer-acceptance rate limiter - public, unauthenticated route
  * guarded only by a high-entropy token, so this is defense-in-depth against
@@ -249,6 +268,60 @@ const exportLimiter = rateLimit({
     keyGenerator: (req) => `export:${req.user?.id || normalizeIp(req.ip)}`
 });
 
+/**
+ * Satisfaction survey rate limiter - the chat rating and the emailed
+ * survey page are public, keyed by a chat ID or link token
+ */
+const surveyLimiter = rateLimit({
+    ...commonOptions,
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // 30 requests per window
+    message: {
+        success: false,
+        error: {
+            code: 'RATE_LIMITED',
+            message: 'Too many attempts. Please try again in 15 minutes.'
+        }
+    },
+    keyGenerator: (req) => `survey:${normalizeIp(req.ip)}`
+});
+
+/**
+ * Newsletter preference page rate limiter - public, keyed by the link
+ * token from a newsletter email
+ */
+const newsletterPreferencesLimiter = rateLimit({
+    ...commonOptions,
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // 30 requests per window
+    message: {
+        success: false,
+        error: {
+            code: 'RATE_LIMITED',
+            message: 'Too many attempts. Please try again in 15 minutes.'
+        }
+    },
+    keyGenerator: (req) => `newsletter-preferences:${normalizeIp(req.ip)}`
+});
+
+/**
+ * Data request verification rate limiter - the public page confirming a
+ * data protection request, keyed by the emailed link token
+ */
+const dataRequestLimiter = rateLimit({
+    ...commonOptions,
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 requests per window
+    message: {
+        success: false,
+        error: {
+            code: 'RATE_LIMITED',
+            message: 'Too many attempts. Please try again in 15 minutes.'
+        }
+    },
+    keyGenerator: (req) => `data-request:${normalizeIp(req.ip)}`
+});
+
 module.exports = {
     loginLimiter,
     contactFormLimiter,
@@ -259,6 +332,10 @@ module.exports = {
     publicApiLimiter,
     passwordResetLimiter,
     contractAcceptLimiter,
+    bookingManageLimiter,
+    surveyLimiter,
+    newsletterPreferencesLimiter,
+    dataRequestLimiter,
     refreshTokenLimiter,
     exportLimiter
 };
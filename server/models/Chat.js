@@ -6,17 +6,20 @@
 const db = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 
+// What clients see of an attachment (not where it is stored)
+const ATTACHMENT_FIELDS = 'id, session_id, message_id, file_name, mime_type, file_size, is_image, created_at';
+
 const Chat = {
     /**
      * Create a new chat session
      */
-    async createSession({ visitorId, visitorName, visitorEmail }) {
+    async createSession({ visitorId, visitorName, visitorEmail, service = null, page = null, transcriptRequested = false }) {
         const id = uuidv4();
         const result = await db.query(
-            `INSERT INTO chat_sessions (id, visitor_id, visitor_name, visitor_email)
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO chat_sessions (id, visitor_id, visitor_name, visitor_email, service, page, transcript_requested)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
              RETURNING *`,
-            [id, visitorId, visitorName, visitorEmail]
+            [id, visitorId, visitorName, visitorEmail, service, page, transcriptRequested]
         );
         return result.rows[0];
     },
@@ -85,11 +88,18 @@ const Chat = {
     },
 
     /**
-     * Get messages for a session
+     * Get messages for a session, each with its attachments
      */
     async getMessages(sessionId) {
         const result = await db.query(
-            `SELECT cm.*, s.name as staff_name
+            `SELECT cm.*, s.name as staff_name,
+                    COALESCE((
+                        SELECT json_agg(json_build_object(
+                            'id', ca.id, 'file_name', ca.file_name, 'mime_type', ca.mime_type,
+                            'file_size', ca.file_size, 'is_image', ca.is_image
+                        ) ORDER BY ca.created_at)
+                        FROM chat_attachments ca WHERE ca.message_id = cm.id
+                    ), '[]') as attachments
              FROM chat_messages cm
              LEFT JOIN staff s ON cm.sender_id = s.id AND cm.sender_type = 'staff'
              WHERE cm.session_id = $1
@@ -99,6 +109,68 @@ const Chat = {
         return result.rows;
     },
 
+    /**
+     * Record an uploaded attachment, not yet part of a message
+     */
+    async addAttachment({ sessionId, uploadedByType, staffId = null, fileName, mimeType, fileSize, isImage, storageDriver, storageKey }) {
+        const id = uuidv4();
+        const result = await db.query(
+            `INSERT INTO chat_attachments (id, session_id, uploaded_by_type, staff_id, file_name, mime_type,
+                                           file_size, is_image, storage_driver, storage_key)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING ${ATTACHMENT_FIELDS}`,
+            [id, sessionId, uploadedByType, staffId, fileName, mimeType, fileSize, isImage, storageDriver, storageKey]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * An attachment in a session, including where it is stored
+     */
+    async getAttachment(id, sessionId) {
+        const result = await db.query(
+            'SELECT * FROM chat_attachments WHERE id = $1 AND session_id = $2',
+            [id, sessionId]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * How many files have been uploaded in a session
+     */
+    async countAttachments(sessionId) {
+        const result = await db.query('SELECT COUNT(*) as count FROM chat_attachments WHERE session_id = $1', [sessionId]);
+        return parseInt(result.rows[0].count, 10);
+    },
+
+    /**
+     * Uploads by this visitor (staffId null) or staff member in a session
+     * that aren't part of a message yet
+     */
+    async getPendingAttachments(sessionId, uploadedByType, staffId, ids) {
+        const result = await db.query(
+            `SELECT ${ATTACHMENT_FIELDS} FROM chat_attachments
+             WHERE id = ANY($1) AND session_id = $2 AND uploaded_by_type = $3
+               AND staff_id IS NOT DISTINCT FROM $4 AND message_id IS NULL
+             ORDER BY created_at`,
+            [ids, sessionId, uploadedByType, staffId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Make uploaded attachments part of a message
+     */
+    async attachToMessage(messageId, attachmentIds) {
+        const result = await db.query(
+            `UPDATE chat_attachments SET message_id = $1
+             WHERE id = ANY($2) AND message_id IS NULL
+             RETURNING ${ATTACHMENT_FIELDS}`,
+            [messageId, attachmentIds]
+        );
+        return result.rows;
+    },
+
     /**
      * Close a session
      */
@@ -114,12 +186,38 @@ const Chat = {
     },
 
     /**
-     * Assign session to staff
+     * Mark a closed chat's requested transcript as being sent
+     * @returns the session (with assigned_to_name), or undefined if no
+     *   transcript was asked for or it has already gone
+     */
+    async claimTranscriptSend(id) {
+        const result = await db.query(
+            `UPDATE chat_sessions
+             SET transcript_sent_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'closed' AND transcript_requested AND transcript_sent_at IS NULL
+             RETURNING *, (SELECT name FROM staff WHERE id = chat_sessions.assigned_to) as assigned_to_name`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Undo claimTranscriptSend() after the email failed
+     */
+    async releaseTranscriptSend(id) {
+        await db.query(
+            'UPDATE chat_sessions SET transcript_sent_at = NULL WHERE id = $1',
+            [id]
+        );
+    },
+
+    /**
+     * Assign session to staff (takes it out of the queue)
      */
     async assignSession(id, staffId) {
         const result = await db.query(
             `UPDATE chat_sessions
-             SET assigned_to = $1
+             SET assigned_to = $1, queued_at = NULL
              WHERE id = $2
              RETURNING *`,
             [staffId, id]
@@ -127,6 +225,48 @@ const Chat = {
         return result.rows[0];
     },
 
+    /**
+     * Put a session in the queue for the next free agent
+     */
+    async queueSession(id) {
+        const result = await db.query(
+            `UPDATE chat_sessions
+             SET queued_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Sessions waiting for a free agent, longest waiting first
+     */
+    async getQueue() {
+        const result = await db.query(
+            `SELECT id, visitor_name, visitor_email, service, queued_at, created_at
+             FROM chat_sessions
+             WHERE status = 'active' AND assigned_to IS NULL AND queued_at IS NOT NULL
+             ORDER BY queued_at ASC`
+        );
+        return result.rows;
+    },
+
+    /**
+     * Average length in minutes of chats closed in the last 30 days, or null
+     * if there weren't any
+     */
+    async getAverageHandleMinutes() {
+        const result = await db.query(
+            `SELECT AVG(EXTRACT(EPOCH FROM (ended_at - started_at)) / 60) as minutes
+             FROM chat_sessions
+             WHERE status = 'closed' AND assigned_to IS NOT NULL
+               AND ended_at > CURRENT_TIMESTAMP - INTERVAL '30 days'`
+        );
+        const minutes = result.rows[0].minutes;
+        return minutes === null ? null : Number(minutes);
+    },
+
     /**
      * Mark messages as read
      */
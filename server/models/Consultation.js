@@ -10,14 +10,14 @@ const Consultation = {
     /**
      * Create a new consultation booking
      */
-    async create({ name, email, phone, company, service, bookingDate, bookingTime, timezone, notes, visitorId }) {
+    async create({ name, email, phone, company, service, bookingDate, bookingTime, timezone, durationMinutes, assignedTo, notes, visitorId }, client = db) {
         const id = uuidv4();
-        const result = await db.query(
+        const result = await client.query(
             `INSERT INTO consultations
-             (id, visitor_id, name, email, phone, company, service, booking_date, booking_time, timezone, notes)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             (id, visitor_id, name, email, phone, company, service, booking_date, booking_time, timezone, duration_minutes, assigned_to, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
              RETURNING *`,
-            [id, visitorId, name, email, phone, company, service, bookingDate, bookingTime, timezone, notes]
+            [id, visitorId, name, email, phone, company, service, bookingDate, bookingTime, timezone, durationMinutes || null, assignedTo || null, notes]
         );
         return result.rows[0];
     },
@@ -86,7 +86,10 @@ const Consultation = {
     async updateStatus(id, status, assignedTo = null) {
         const result = await db.query(
             `UPDATE consultations
-             SET status = $1, assigned_to = COALESCE($2, assigned_to)
+             SET status = $1, assigned_to = COALESCE($2, assigned_to),
+                 cancelled_at = CASE WHEN $1 = 'cancelled' AND status != 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+                 cancelled_by = CASE WHEN $1 = 'cancelled' AND status != 'cancelled' THEN 'staff' ELSE cancelled_by END,
+                 ics_sequence = CASE WHEN $1 = 'cancelled' AND status != 'cancelled' THEN COALESCE(ics_sequence, 0) + 1 ELSE ics_sequence END
              WHERE id = $3
              RETURNING *`,
             [status, assignedTo, id]
@@ -94,6 +97,66 @@ const Consultation = {
         return result.rows[0];
     },
 
+    /**
+     * Store the hash of a new self-service manage-booking token
+     */
+    async setManageToken(id, tokenHash, expiresAt) {
+        await db.query(
+            'UPDATE consultations SET manage_token_hash = $1, manage_token_expires_at = $2 WHERE id = $3',
+            [tokenHash, expiresAt, id]
+        );
+    },
+
+    /**
+     * Look up a consultation by the hash of its manage-booking token
+     */
+    async findByManageToken(tokenHash) {
+        const result = await db.query(
+            `SELECT c.*, s.name as assigned_to_name, s.email as assigned_to_email
+             FROM consultations c
+             LEFT JOIN staff s ON c.assigned_to = s.id
+             WHERE c.manage_token_hash = $1`,
+            [tokenHash]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Move a booking to a new slot (client self-service). The reminder is
+     * re-armed for the new time and the manage token extended to match.
+     * Returns nothing if the booking was cancelled or completed meanwhile.
+     */
+    async reschedule(id, { bookingDate, bookingTime, assignedTo, timezone, manageTokenExpiresAt }, client = db) {
+        const result = await client.query(
+            `UPDATE consultations
+             SET booking_date = $1, booking_time = $2, assigned_to = $3,
+                 timezone = COALESCE($4, timezone), manage_token_expires_at = $5,
+                 reminder_sent = false, rescheduled_count = COALESCE(rescheduled_count, 0) + 1,
+                 ics_sequence = COALESCE(ics_sequence, 0) + 1
+             WHERE id = $6 AND status NOT IN ('cancelled', 'completed')
+             RETURNING *`,
+            [bookingDate, bookingTime, assignedTo, timezone, manageTokenExpiresAt, id]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Cancel a booking on the client's behalf (self-service). Returns
+     * nothing if it was already cancelled or completed.
+     */
+    async cancelByClient(id, reason) {
+        const result = await db.query(
+            `UPDATE consultations
+             SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP,
+                 cancelled_by = 'client', cancellation_reason = $1,
+                 ics_sequence = COALESCE(ics_sequence, 0) + 1
+             WHERE id = $2 AND status NOT IN ('cancelled', 'completed')
+             RETURNING *`,
+            [reason || null, id]
+        );
+        return result.rows[0];
+    },
+
     /**
      * Update consultation
      */
@@ -103,7 +166,7 @@ const Consultation = {
         let paramIndex = 1;
 
         const allowedFields = ['name', 'email', 'phone', 'company', 'service',
-            'booking_date', 'booking_time', 'timezone', 'notes',
+            'booking_date', 'booking_time', 'timezone', 'duration_minutes', 'notes',
             'status', 'assigned_to', 'reminder_sent'];
 
         for (const [key, value] of Object.entries(updates)) {
@@ -119,6 +182,11 @@ const Consultation = {
             return this.findById(id);
         }
 
+        // Moving the time is a significant change for calendar invites
+        if (fields.some(f => f.startsWith('booking_date') || f.startsWith('booking_time'))) {
+            fields.push('ics_sequence = COALESCE(ics_sequence, 0) + 1');
+        }
+
         values.push(id);
         const result = await db.query(
             `UPDATE consultations SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
@@ -127,36 +195,6 @@ const Consultation = {
         return result.rows[0];
     },
 
-    /**
-     * Get available time slots for a date
-     */
-    async getAvailableSlots(date) {
-        // Define available slots (9 AM to 5 PM, 30-minute intervals)
-        const allSlots = [
-            '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-            '12:00', '12:30', '13:00', '13:30', '14:00', '14:30',
-            '15:00', '15:30', '16:00', '16:30', '17:00'
-        ];
-
-        // Get booked slots for the date
-        const result = await db.query(
-            `SELECT booking_time FROM consultations
-             WHERE booking_date = $1 AND status != 'cancelled'`,
-            [date]
-        );
-
-        const bookedSlots = result.rows.map(row => {
-            // Convert time to HH:MM format
-            const time = row.booking_time;
-            return time.substring(0, 5);
-        });
-
-        // Filter out booked slots
-        const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot));
-
-        return availableSlots;
-    },
-
     /**
      * Get upcoming consultations
      */
@@ -3,9 +3,13 @@
  * Handles contact form submissions
  */
 
+const crypto = require('crypto');
 const db = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 
+// Goes in the message's reply address, replies+<token>@...
+const generateReplyToken = () => crypto.randomBytes(12).toString('hex');
+
 const Message = {
     /**
      * Create a new message
@@ -13,14 +17,28 @@ const Message = {
     async create({ name, email, company, service, message, visitorId }) {
         const id = uuidv4();
         const result = await db.query(
-            `INSERT INTO messages (id, visitor_id, name, email, company, service, message)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `INSERT INTO messages (id, visitor_id, name, email, company, service, message, reply_token)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
              RETURNING *`,
-            [id, visitorId, name, email, company, service, message]
+            [id, visitorId, name, email, company, service, message, generateReplyToken()]
         );
         return result.rows[0];
     },
 
+    /**
+     * The message's reply token, creating one for messages from before
+     * inbound email threading
+     */
+    async ensureReplyToken(id) {
+        const result = await db.query(
+            `UPDATE messages SET reply_token = COALESCE(reply_token, $2)
+             WHERE id = $1
+             RETURNING reply_token`,
+            [id, generateReplyToken()]
+        );
+        return result.rows[0] ? result.rows[0].reply_token : null;
+    },
+
     /**
      * Get all messages with optional filters
      */
@@ -87,7 +105,18 @@ const Message = {
     },
 
     /**
-     * Get replies for a message
+     * Record the Message-ID a reply was emailed with
+     */
+    async setReplyEmailId(replyId, emailMessageId) {
+        await db.query(
+            'UPDATE message_replies SET sent_to_email = true, email_message_id = $2 WHERE id = $1',
+            [replyId, emailMessageId]
+        );
+    },
+
+    /**
+     * Get replies for a message (staff replies and the client's emailed
+     * answers, oldest first)
      */
     async getReplies(messageId) {
         const result = await db.query(
@@ -6,6 +6,7 @@
 const db = require('../config/database');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { pickAgent } = require('../utils/chatRouting');
 
 const Staff = {
     /**
@@ -31,6 +32,8 @@ const Staff = {
         hireDate = null,
         nin = null,
         tin = null,
+        pfaName = null,
+        rsaPin = null,
         permissions = {},
         isActive = false
     }) {
@@ -44,14 +47,14 @@ const Staff = {
                 can_manage_messages, can_manage_consultations,
                 can_manage_chats, can_view_analytics,
                 can_manage_employees, can_manage_payroll, can_manage_tickets,
-                can_manage_onboarding, can_view_compliance
+                can_manage_onboarding, can_view_compliance, pfa_name, rsa_pin
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
             RETURNING id, email, name, role, department, phone, is_active,
                       must_change_password, can_manage_messages, can_manage_consultations,
                       can_manage_chats, can_view_analytics, can_manage_employees,
                       can_manage_payroll, can_manage_tickets, can_manage_onboarding,
-                      can_view_compliance, hire_date, nin, tin, created_at`,
+                      can_view_compliance, hire_date, nin, tin, pfa_name, rsa_pin, created_at`,
             [
                 id, email, passwordHash, name, role, department, phone,
                 true, // must_change_password - new staff must change password
@@ -68,7 +71,9 @@ const Staff = {
                 permissions.canManagePayroll || false,
                 permissions.canManageTickets || false,
                 permissions.canManageOnboarding || false,
-                permissions.canViewCompliance || false
+                permissions.canViewCompliance || false,
+                pfaName,
+                rsaPin
             ]
         );
 
@@ -122,9 +127,10 @@ const Staff = {
                     must_change_password, can_manage_messages, can_manage_consultations,
                     can_manage_chats, can_view_analytics, can_manage_employees,
                     can_manage_payroll, can_manage_tickets, can_manage_onboarding,
-                    can_view_compliance, workspace_email, workspace_provisioned_at,
+                    can_view_compliance, chat_skills, max_concurrent_chats,
+                    workspace_email, workspace_provisioned_at,
                     welcome_email_sent_at, workspace_activated_at, dashboard_setup_sent_at,
-                    offer_accepted_at, hire_date, nin, tin, created_at, last_login
+                    offer_accepted_at, hire_date, nin, tin, pfa_name, rsa_pin, created_at, last_login
              FROM staff WHERE id = $1`,
             [id]
         );
@@ -141,9 +147,10 @@ const Staff = {
                    must_change_password, can_manage_messages, can_manage_consultations,
                    can_manage_chats, can_view_analytics, can_manage_employees,
                    can_manage_payroll, can_manage_tickets, can_manage_onboarding,
-                   can_view_compliance, workspace_email, workspace_provisioned_at,
+                   can_view_compliance, chat_skills, max_concurrent_chats,
+                   workspace_email, workspace_provisioned_at,
                    welcome_email_sent_at, workspace_activated_at, offer_accepted_at,
-                   hire_date, nin, tin, created_at, last_login
+                   hire_date, nin, tin, pfa_name, rsa_pin, created_at, last_login
             FROM staff
         `;
         const conditions = [];
@@ -220,7 +227,7 @@ const Staff = {
     /**
      * Update staff member
      */
-    async update(id, updates) {
+    async update(id, updates, client = db) {
         const fields = [];
         const values = [];
         let paramIndex = 1;
@@ -241,10 +248,14 @@ const Staff = {
             canManageTickets: 'can_manage_tickets',
             canManageOnboarding: 'can_manage_onboarding',
             canViewCompliance: 'can_view_compliance',
+            chatSkills: 'chat_skills',
+            maxConcurrentChats: 'max_concurrent_chats',
             offerAcceptedAt: 'offer_accepted_at',
             workspaceActivatedAt: 'workspace_activated_at',
             nin: 'nin',
-            tin: 'tin'
+            tin: 'tin',
+            pfaName: 'pfa_name',
+            rsaPin: 'rsa_pin'
             // Note: base_salary is deliberately NOT editable through this method.
             // Use updateSalary() instead, which routes gate to admin-only, so a
             // salary change always requires Admin sign-off even for HR/Accountant.
@@ -275,14 +286,15 @@ const Staff = {
         }
 
         values.push(id);
-        const result = await db.query(
+        const result = await client.query(
             `UPDATE staff SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
              WHERE id = $${paramIndex}
              RETURNING id, email, name, role, department, phone, is_active,
                        must_change_password, can_manage_messages, can_manage_consultations,
                        can_manage_chats, can_view_analytics, can_manage_employees,
                        can_manage_payroll, can_manage_tickets, can_manage_onboarding,
-                       can_view_compliance, workspace_email, offer_accepted_at, hire_date, nin, tin, created_at`,
+                       can_view_compliance, chat_skills, max_concurrent_chats,
+                       workspace_email, offer_accepted_at, hire_date, nin, tin, pfa_name, rsa_pin, created_at`,
             values
         );
         return result.rows[0];
@@ -293,11 +305,11 @@ const Staff = {
      * findById()/findAll() so payroll data is only ever fetched by routes
      * that explicitly ask for it (and are gated to admin/accountant/self).
      */
-    async getSalaryInfo(id) {
-        const result = await db.query(
+    async getSalaryInfo(id, client = db) {
+        const result = await client.query(
             `SELECT id, name, email, department, base_salary, housing_allowance,
                     transport_allowance, utility_allowance, meal_allowance,
-                    salary_currency, hire_date, nin, tin
+                    salary_currency, hire_date, nin, tin, pfa_name, rsa_pin
              FROM staff WHERE id = $1`,
             [id]
         );
@@ -311,8 +323,8 @@ const Staff = {
      * level, so an Accountant can process payroll without being able to
      * grant themselves or anyone else a raise.
      */
-    async updateSalary(id, { baseSalary, housingAllowance = 0, transportAllowance = 0, utilityAllowance = 0, mealAllowance = 0, currency = 'NGN' }) {
-        const result = await db.query(
+    async updateSalary(id, { baseSalary, housingAllowance = 0, transportAllowance = 0, utilityAllowance = 0, mealAllowance = 0, currency = 'NGN' }, client = db) {
+        const result = await client.query(
             `UPDATE staff SET
                 base_salary = $1, housing_allowance = $2, transport_allowance = $3,
                 utility_allowance = $4, meal_allowance = $5, salary_currency = $6,
@@ -422,13 +434,14 @@ const Staff = {
     },
 
     /**
-     * Get next available staff for chat assignment (round-robin by least active chats)
-     * @param {Array} onlineStaffIds - Array of staff IDs currently online (optional)
+     * Staff who can take chats, with how many active chats each has, least
+     * busy first
+     * @param {Array} staffIds - Only these staff (optional), e.g. those online
      */
-    async getNextAvailableForChats(onlineStaffIds = null) {
+    async getChatAgents(staffIds = null) {
         let query = `
-            SELECT s.id, s.name, s.email, s.role,
-                   COALESCE(active_chats.count, 0) as active_chat_count
+            SELECT s.id, s.name, s.email, s.role, s.chat_skills, s.max_concurrent_chats,
+                   COALESCE(active_chats.count, 0)::int as active_chat_count
             FROM staff s
             LEFT JOIN (
                 SELECT assigned_to, COUNT(*) as count
@@ -442,16 +455,26 @@ const Staff = {
 
         const params = [];
 
-        // Prefer online staff if provided
-        if (onlineStaffIds && onlineStaffIds.length > 0) {
+        if (staffIds) {
             query += ' AND s.id = ANY($1)';
-            params.push(onlineStaffIds);
+            params.push(staffIds);
         }
 
-        query += ' ORDER BY active_chat_count ASC, s.last_login DESC NULLS LAST LIMIT 1';
+        query += ' ORDER BY active_chat_count ASC, s.last_login DESC NULLS LAST';
 
         const result = await db.query(query, params);
-        return result.rows[0] || null;
+        return result.rows;
+    },
+
+    /**
+     * Get next available staff for chat assignment: the least busy with the
+     * chat's skill and room for another chat (see utils/chatRouting.js)
+     * @param {Array} onlineStaffIds - Array of staff IDs currently online (optional)
+     * @param {string} skill - Service the chat is about (optional)
+     */
+    async getNextAvailableForChats(onlineStaffIds = null, skill = null) {
+        const agents = await this.getChatAgents(onlineStaffIds && onlineStaffIds.length > 0 ? onlineStaffIds : null);
+        return pickAgent(agents, skill);
     },
 
     /**
@@ -18,8 +18,13 @@ const { loginLimiter, passwordResetLimiter } = require('../middleware/rateLimite
 const db = require('../config/database');
 const AuditService = require('../services/auditService');
 const TokenManager = require('../services/tokenManager');
-const { calculateMonthlyPAYE, monthlyDevelopmentLevy } = require('../services/payeService');
+const { calculatePaystub, getStatutorySettings } = require('../services/payrollService');
+const { getTaxTableForPeriod } = require('../services/taxTableService');
 const { sendAccountSetupEmail } = require('../services/emailService');
+const { CHAT_SKILLS, MAX_CONCURRENT_CHATS_LIMIT } = require('../utils/chatRouting');
+
+// PenCom Retirement Savings Account PIN: "PEN" + 12 digits
+const RSA_PIN_PATTERN = /^PEN\d{12}$/i;
 
 /**
  * POST /api/admin/login
@@ -455,7 +460,9 @@ router.post('/staff', authMiddleware, hrOrAdmin, [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('role').isIn(['admin', 'manager', 'staff', 'hr', 'accountant']).withMessage('Invalid role'),
     body('nin').trim().isLength({ min: 11, max: 11 }).isNumeric().withMessage('NIN is required and must be 11 digits'),
-    body('tin').optional({ nullable: true, checkFalsy: true }).trim()
+    body('tin').optional({ nullable: true, checkFalsy: true }).trim(),
+    body('pfaName').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 100 }),
+    body('rsaPin').optional({ nullable: true, checkFalsy: true }).trim().matches(RSA_PIN_PATTERN).withMessage('RSA PIN must be PEN followed by 12 digits')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -466,7 +473,7 @@ router.post('/staff', authMiddleware, hrOrAdmin, [
             });
         }
 
-        const { email, name, role, department, phone, nin, tin, permissions, sendSetupLink } = req.body;
+        const { email, name, role, department, phone, nin, tin, pfaName, rsaPin, permissions, sendSetupLink } = req.body;
         // New hires created without a manual password (the normal case,
         // now that onboarding starts with an offer letter, not dashboard
         // credentials) get a random, unused one here - nobody needs to
@@ -503,6 +510,8 @@ router.post('/staff', authMiddleware, hrOrAdmin, [
             phone,
             nin,
             tin: tin || null,
+            pfaName: pfaName || null,
+            rsaPin: rsaPin ? rsaPin.toUpperCase() : null,
             createdBy: req.user.id,
             permissions: permissions || {}
         });
@@ -589,6 +598,37 @@ router.patch('/staff/:id', authMiddleware, async (req, res) => {
             };
         }
 
+        if (updates.rsaPin) {
+            if (!RSA_PIN_PATTERN.test(updates.rsaPin.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'RSA PIN must be PEN followed by 12 digits'
+                });
+            }
+            updates = { ...updates, rsaPin: updates.rsaPin.trim().toUpperCase() };
+        }
+
+        if (updates.chatSkills !== undefined) {
+            if (!Array.isArray(updates.chatSkills) || updates.chatSkills.some(skill => !CHAT_SKILLS[skill])) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Chat skills must be from: ${Object.keys(CHAT_SKILLS).join(', ')}`
+                });
+            }
+            updates = { ...updates, chatSkills: [...new Set(updates.chatSkills)] };
+        }
+
+        if (updates.maxConcurrentChats !== undefined) {
+            const max = Number(updates.maxConcurrentChats);
+            if (!Number.isInteger(max) || max < 1 || max > MAX_CONCURRENT_CHATS_LIMIT) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Max concurrent chats must be between 1 and ${MAX_CONCURRENT_CHATS_LIMIT}`
+                });
+            }
+            updates = { ...updates, maxConcurrentChats: max };
+        }
+
         const staff = await Staff.update(targetId, updates);
         if (!staff) {
             return res.status(404).json({
@@ -843,16 +883,22 @@ router.get('/payroll/staff', authMiddleware, accountantOrAdmin, async (req, res)
         // Estimated PAYE/net at this month's salary structure - not a
         // stored figure, just a live preview so the list isn't gross-only.
         // The authoritative number is whatever a generated paystub records.
+        const now = new Date();
+        const statutory = await getStatutorySettings();
+        const taxTable = await getTaxTableForPeriod(now.getMonth() + 1, now.getFullYear());
         const withEstimates = result.rows.map(s => {
             const gross = parseFloat(s.gross_salary) || 0;
-            if (!gross) return { ...s, estimated_paye: 0, estimated_levy: 0, estimated_net: 0 };
-            const paye = calculateMonthlyPAYE(gross);
-            const levy = monthlyDevelopmentLevy();
+            if (!gross) {
+                return { ...s, estimated_paye: 0, estimated_levy: 0, estimated_pension: 0, estimated_nhf: 0, estimated_net: 0 };
+            }
+            const estimate = calculatePaystub(s, { statutory, taxTable });
             return {
                 ...s,
-                estimated_paye: paye.monthlyTax,
-                estimated_levy: levy,
-                estimated_net: gross - paye.monthlyTax - levy
+                estimated_paye: estimate.paye_tax,
+                estimated_levy: estimate.development_levy,
+                estimated_pension: estimate.pension_employee,
+                estimated_nhf: estimate.nhf_contribution,
+                estimated_net: estimate.net_pay
             };
         });
 
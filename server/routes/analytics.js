@@ -7,19 +7,45 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const Visitor = require('../models/Visitor');
+const { body, validationResult } = require('express-validator');
 const { authMiddleware, hasPermission } = require('../middleware/auth');
+const { summarizePipeline, buildForecast, summarizeClosedDeals } = require('../services/dealService');
+const { getResponses: getSurveyResponses } = require('../services/surveyService');
+const { summarizeSatisfaction, groupSatisfaction, satisfactionTrend } = require('../utils/satisfaction');
+const ConsentService = require('../services/consentService');
+const {
+    CONSENT_POLICY_VERSION, privacySignal, trackingDecision, anonymousEvent, summarizeConsent, consentTrend
+} = require('../utils/trackingConsent');
 const { v4: uuidv4 } = require('uuid');
 
 /**
  * POST /api/analytics/track
- * Track a page view or event (public endpoint)
+ * Track a page view or event (public endpoint). Only visitors who consented
+ * to analytics (consentId, from the cookie banner) are tracked; for anyone
+ * else, or a browser sending GPC/DNT, page views are counted anonymously
+ * and other events dropped (see utils/trackingConsent.js).
  */
 router.post('/track', async (req, res) => {
     try {
-        const { visitorId, eventType, pageUrl, referrer, metadata } = req.body;
+        const { visitorId, consentId, eventType, pageUrl, referrer, metadata } = req.body;
         const userAgent = req.headers['user-agent'];
         const ipAddress = req.ip || req.connection.remoteAddress;
 
+        const signal = privacySignal(req.headers);
+        const consent = signal ? null : await ConsentService.latestConsent(consentId);
+        const decision = trackingDecision(consent, signal);
+        if (!decision.allowed) {
+            const event = anonymousEvent({ eventType, pageUrl, referrer }, decision.reason);
+            if (event) {
+                await db.query(
+                    `INSERT INTO analytics_events (id, visitor_id, event_type, page_url, referrer, metadata)
+                     VALUES ($1, NULL, $2, $3, $4, $5)`,
+                    [uuidv4(), event.eventType, event.pageUrl, event.referrer, JSON.stringify(event.metadata)]
+                );
+            }
+            return res.json({ success: true, tracked: event ? 'anonymous' : false, visitorId: null });
+        }
+
         let actualVisitorId = visitorId;
 
         // Check if provided visitorId exists in database
@@ -64,19 +90,81 @@ router.post('/track', async (req, res) => {
             [uuidv4(), actualVisitorId, eventType || 'page_view', safePageUrl, referrer, metadata ? JSON.stringify(metadata) : null]
         );
 
-        res.json({ success: true, visitorId: actualVisitorId });
+        if (consent && !consent.visitor_id) {
+            await ConsentService.linkVisitor(consent.consent_id, actualVisitorId);
+        }
+
+        res.json({ success: true, tracked: true, visitorId: actualVisitorId });
     } catch (error) {
         console.error('Track event error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+/**
+ * POST /api/analytics/consent
+ * Record a choice from the cookie banner (public endpoint). Returns whether
+ * the browser will be tracked, which a privacy signal (GPC/DNT) overrides.
+ */
+router.post('/consent', [
+    body('consentId').isUUID().withMessage('A valid consent ID is required'),
+    body('analytics').isBoolean({ strict: true }).withMessage('analytics must be true or false'),
+    body('marketing').isBoolean({ strict: true }).withMessage('marketing must be true or false'),
+    body('functional').isBoolean({ strict: true }).withMessage('functional must be true or false'),
+    body('version').isString().trim().notEmpty().isLength({ max: 20 }).withMessage('A policy version is required'),
+    body('visitorId').optional({ nullable: true }).isUUID().withMessage('Invalid visitor ID')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { consentId, visitorId, analytics, marketing, functional, version } = req.body;
+        const signal = privacySignal(req.headers);
+
+        const record = await ConsentService.recordConsent({
+            consentId,
+            visitorId,
+            analytics,
+            marketing,
+            functional,
+            policyVersion: version,
+            gpc: signal === 'gpc',
+            dnt: signal === 'dnt',
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.headers['user-agent']
+        });
+        const decision = trackingDecision(record, signal);
+
+        res.json({
+            success: true,
+            data: {
+                analytics: decision.allowed,
+                reason: decision.reason,
+                policyVersion: CONSENT_POLICY_VERSION
+            }
+        });
+    } catch (error) {
+        console.error('Record consent error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record consent' });
+    }
+});
+
 /**
  * GET /api/analytics/visitor
- * Get or create visitor session (public endpoint)
+ * Get or create visitor session (public endpoint). Like /track, a visitor is
+ * only created for a browser that has consented (?consentId=).
  */
 router.get('/visitor', async (req, res) => {
     try {
+        const signal = privacySignal(req.headers);
+        const consent = signal ? null : await ConsentService.latestConsent(req.query.consentId);
+        const decision = trackingDecision(consent, signal);
+        if (!decision.allowed) {
+            return res.json({ success: true, visitorId: null, reason: decision.reason });
+        }
+
         const userAgent = req.headers['user-agent'];
         const ipAddress = req.ip || req.connection.remoteAddress;
         const referrer = req.headers.referer || 'direct';
@@ -87,6 +175,9 @@ router.get('/visitor', async (req, res) => {
              RETURNING id`,
             [uuidv4(), ipAddress, userAgent, referrer]
         );
+        if (!consent.visitor_id) {
+            await ConsentService.linkVisitor(consent.consent_id, visitorResult.rows[0].id);
+        }
 
         res.json({
             success: true,
@@ -410,6 +501,197 @@ router.get('/summary', authMiddleware, hasPermission('analytics'), async (req, r
     }
 });
 
+/**
+ * GET /api/analytics/pipeline
+ * Sales pipeline and forecast: open deals by stage, expected revenue by
+ * month for the next six months (weighted by stage), and the deals won
+ * and lost in the period (?period= days or startDate/endDate) with win
+ * rate, by lead source and by owner.
+ */
+router.get('/pipeline', authMiddleware, hasPermission('analytics'), async (req, res) => {
+    try {
+        const { startDate, endDate, period } = req.query;
+
+        let start, end;
+        const now = new Date();
+
+        if (period) {
+            const days = parseInt(period) || 30;
+            end = now.toISOString().split('T')[0];
+            start = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        } else {
+            end = endDate || now.toISOString().split('T')[0];
+            start = startDate || new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        }
+
+        const [openResult, closedResult] = await Promise.all([
+            db.query(`
+                SELECT d.id, d.stage, d.value, d.expected_close_date::text AS expected_close_date,
+                       d.source_type, d.owner_id, s.name AS owner_name
+                FROM deals d
+                LEFT JOIN staff s ON s.id = d.owner_id
+                WHERE d.stage NOT IN ('won', 'lost')
+            `),
+            db.query(`
+                SELECT d.id, d.stage, d.value, d.created_at, d.closed_at,
+                       d.source_type, d.owner_id, s.name AS owner_name
+                FROM deals d
+                LEFT JOIN staff s ON s.id = d.owner_id
+                WHERE d.stage IN ('won', 'lost')
+                AND d.closed_at >= $1 AND d.closed_at < $2::date + interval '1 day'
+            `, [start, end])
+        ]);
+
+        const openDeals = openResult.rows;
+        const closedDeals = closedResult.rows;
+
+        // Open pipeline and closed results side by side for each group
+        const breakdown = (keyOf, nameOf) => {
+            const groups = new Map();
+            for (const deal of [...openDeals, ...closedDeals]) {
+                const key = keyOf(deal) || null;
+                if (!groups.has(key)) {
+                    groups.set(key, { key, name: nameOf(deal), open: [], closed: [] });
+                }
+                groups.get(key)[deal.stage === 'won' || deal.stage === 'lost' ? 'closed' : 'open'].push(deal);
+            }
+            return [...groups.values()].map(({ key, name, open, closed }) => {
+                const pipeline = summarizePipeline(open);
+                return {
+                    key,
+                    name,
+                    openCount: pipeline.openCount,
+                    openValue: pipeline.openValue,
+                    weightedValue: pipeline.weightedValue,
+                    ...summarizeClosedDeals(closed)
+                };
+            }).sort((a, b) => b.weightedValue - a.weightedValue || b.wonValue - a.wonValue);
+        };
+
+        res.json({
+            success: true,
+            data: {
+                period: { start, end },
+                pipeline: summarizePipeline(openDeals),
+                forecast: buildForecast(openDeals, now.toISOString().slice(0, 7)),
+                closed: summarizeClosedDeals(closedDeals),
+                bySource: breakdown(deal => deal.source_type, deal => deal.source_type),
+                byOwner: breakdown(deal => deal.owner_id, deal => deal.owner_name || 'Unassigned')
+            }
+        });
+    } catch (error) {
+        console.error('Get pipeline analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve pipeline analytics'
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/satisfaction
+ * Customer satisfaction from chat ratings and consultation surveys answered
+ * in the period (?period= days or startDate/endDate): CSAT and NPS overall,
+ * by month, by staff member, by service and by source, with the latest
+ * comments.
+ */
+router.get('/satisfaction', authMiddleware, hasPermission('analytics'), async (req, res) => {
+    try {
+        const { startDate, endDate, period } = req.query;
+
+        let start, end;
+        const now = new Date();
+
+        if (period) {
+            const days = parseInt(period) || 30;
+            end = now.toISOString().split('T')[0];
+            start = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        } else {
+            end = endDate || now.toISOString().split('T')[0];
+            start = startDate || new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        }
+
+        const responses = await getSurveyResponses(start, end);
+
+        res.json({
+            success: true,
+            data: {
+                period: { start, end },
+                overall: summarizeSatisfaction(responses),
+                trend: satisfactionTrend(responses),
+                byStaff: groupSatisfaction(responses, r => r.staff_id, r => r.staff_name || 'Unassigned'),
+                byService: groupSatisfaction(responses, r => r.service, r => r.service || 'General'),
+                bySource: groupSatisfaction(responses, r => r.source_type, r => r.source_type),
+                recentComments: responses
+                    .filter(r => r.comment)
+                    .slice(0, 10)
+                    .map(r => ({
+                        comment: r.comment,
+                        csatScore: r.csat_score,
+                        npsScore: r.nps_score,
+                        source: r.source_type,
+                        service: r.service,
+                        staffName: r.staff_name,
+                        respondedAt: r.responded_at
+                    }))
+            }
+        });
+    } catch (error) {
+        console.error('Get satisfaction analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve satisfaction analytics'
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/consent
+ * Cookie consent rates for browsers that made a choice in the period
+ * (?period= days or startDate/endDate), counting each browser's latest
+ * choice: overall, by month, and how many page views were tracked with
+ * consent versus counted anonymously (and why).
+ */
+router.get('/consent', authMiddleware, hasPermission('analytics'), async (req, res) => {
+    try {
+        const { startDate, endDate, period } = req.query;
+
+        let start, end;
+        const now = new Date();
+
+        if (period) {
+            const days = parseInt(period) || 30;
+            end = now.toISOString().split('T')[0];
+            start = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        } else {
+            end = endDate || now.toISOString().split('T')[0];
+            start = startDate || new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        }
+
+        const [choices, pageViews] = await Promise.all([
+            ConsentService.getChoices(start, end),
+            ConsentService.getPageViewsByConsent(start, end)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                period: { start, end },
+                policyVersion: CONSENT_POLICY_VERSION,
+                overall: summarizeConsent(choices),
+                trend: consentTrend(choices),
+                pageViews
+            }
+        });
+    } catch (error) {
+        console.error('Get consent analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve consent analytics'
+        });
+    }
+});
+
 /**
  * GET /api/analytics/realtime
  * Get real-time visitor data
@@ -0,0 +1,390 @@
+/**
+ * Automation Routes
+ * Rules that act on new contact messages and tickets as they arrive (see
+ * services/automationService.js): managing them, their run order, trying
+ * them out against past items, and each rule's run log.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authMiddleware, managerOrAbove } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+const {
+    FIELDS,
+    OPERATORS,
+    ACTIONS,
+    STATUSES,
+    TICKET_PRIORITIES,
+    validateConditions,
+    validateRule
+} = require('../utils/ruleMatcher');
+const { DRY_RUN_LIMIT, MAX_DRY_RUN_LIMIT, checkActionReferences, dryRunRule } = require('../services/automationService');
+
+const ENTITY_TYPES = Object.keys(FIELDS);
+
+const ruleValidators = [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('entityType').isIn(ENTITY_TYPES).withMessage('Rules apply to messages or tickets'),
+    body('conditions').optional().isArray(),
+    body('matchType').optional().isIn(['all', 'any']),
+    body('actions').isArray({ min: 1 }).withMessage('Add at least one action'),
+    body('stopProcessing').optional().isBoolean().toBoolean(),
+    body('isActive').optional().isBoolean().toBoolean()
+];
+
+/**
+ * Conditions and actions as stored - just the keys each needs
+ */
+function cleanRule(reqBody) {
+    return {
+        conditions: (reqBody.conditions || []).map(({ field, operator, value }) => ({ field, operator, value: value ?? '' })),
+        actions: reqBody.actions.map(({ type, staffId, tagId, status, priority, savedReplyId }) => {
+            const action = { type };
+            Object.entries({ staffId, tagId, status, priority, savedReplyId })
+                .filter(([, value]) => value)
+                .forEach(([key, value]) => {
+                    action[key] = value;
+                });
+            return action;
+        })
+    };
+}
+
+/**
+ * Validate a rule from the request body
+ * @returns {Promise<string|null>} what's wrong, or null
+ */
+async function checkRule(reqBody) {
+    const problem = validateRule({ entityType: reqBody.entityType, conditions: reqBody.conditions || [], actions: reqBody.actions });
+    return problem || await checkActionReferences(reqBody.actions);
+}
+
+/**
+ * GET /api/automation/options
+ * The fields, comparisons and actions rules can use, for the rule editor
+ */
+router.get('/options', authMiddleware, managerOrAbove, (req, res) => {
+    res.json({
+        success: true,
+        data: { fields: FIELDS, operators: OPERATORS, actions: ACTIONS, statuses: STATUSES, priorities: TICKET_PRIORITIES }
+    });
+});
+
+/**
+ * GET /api/automation/rules
+ * Rules in run order, optionally for one ?entityType=, with how often
+ * each has matched
+ */
+router.get('/rules', authMiddleware, managerOrAbove, [
+    query('entityType').optional().isIn(ENTITY_TYPES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query(
+            `SELECT r.*, s.name AS created_by_name,
+                    (SELECT COUNT(*)::int FROM automation_rule_runs WHERE rule_id = r.id) AS run_count,
+                    (SELECT MAX(created_at) FROM automation_rule_runs WHERE rule_id = r.id) AS last_run_at
+             FROM automation_rules r
+             LEFT JOIN staff s ON s.id = r.created_by
+             WHERE $1::text IS NULL OR r.entity_type = $1
+             ORDER BY r.entity_type, r.position, r.created_at`,
+            [req.query.entityType || null]
+        );
+
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List automation rules error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve automation rules' });
+    }
+});
+
+/**
+ * POST /api/automation/rules
+ * Create a rule. It runs after the existing rules for its type.
+ */
+router.post('/rules', authMiddleware, managerOrAbove, ruleValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const problem = await checkRule(req.body);
+        if (problem) {
+            return res.status(400).json({ success: false, message: problem });
+        }
+
+        const { conditions, actions } = cleanRule(req.body);
+        const result = await db.query(
+            `INSERT INTO automation_rules (name, entity_type, conditions, match_type, actions, position,
+                                           stop_processing, is_active, created_by)
+             VALUES ($1, $2, $3, $4, $5,
+                     (SELECT COALESCE(MAX(position), 0) + 1 FROM automation_rules WHERE entity_type = $2),
+                     $6, $7, $8)
+             RETURNING *`,
+            [
+                req.body.name,
+                req.body.entityType,
+                JSON.stringify(conditions),
+                req.body.matchType || 'all',
+                JSON.stringify(actions),
+                req.body.stopProcessing === true,
+                req.body.isActive !== false,
+                req.user.id
+            ]
+        );
+        const rule = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'automation_rule_created',
+            entityType: 'automation_rule',
+            entityId: rule.id,
+            details: { name: rule.name, entityType: rule.entity_type, conditions, actions },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+        console.error('Create automation rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create automation rule' });
+    }
+});
+
+/**
+ * PUT /api/automation/rules/order
+ * Set the run order for a type: ids lists every rule for it, first to last
+ */
+router.put('/rules/order', authMiddleware, managerOrAbove, [
+    body('entityType').isIn(ENTITY_TYPES),
+    body('ids').isArray({ min: 1 }),
+    body('ids.*').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { entityType, ids } = req.body;
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            'SELECT id FROM automation_rules WHERE entity_type = $1 FOR UPDATE',
+            [entityType]
+        );
+        const known = existing.rows.map(row => row.id);
+        if (ids.length !== known.length || new Set(ids).size !== ids.length || !ids.every(id => known.includes(id))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: `List every ${entityType} rule once` });
+        }
+
+        for (const [index, id] of ids.entries()) {
+            await client.query(
+                'UPDATE automation_rules SET position = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [index + 1, id]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'automation_rules_reordered',
+            entityType: 'automation_rule',
+            entityId: null,
+            details: { entityType, ids },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Rule order saved' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reorder automation rules error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save rule order' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/automation/rules/dry-run
+ * Which of the latest ?limit= (default 100) messages or tickets a rule's
+ * conditions match - saved or not. Nothing is changed and no actions run.
+ */
+router.post('/rules/dry-run', authMiddleware, managerOrAbove, [
+    body('entityType').isIn(ENTITY_TYPES).withMessage('Rules apply to messages or tickets'),
+    body('conditions').optional().isArray(),
+    body('matchType').optional().isIn(['all', 'any']),
+    body('limit').optional().isInt({ min: 1, max: MAX_DRY_RUN_LIMIT }).toInt()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const problem = validateConditions(req.body.entityType, req.body.conditions || []);
+    if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+    }
+
+    try {
+        const { conditions } = cleanRule({ ...req.body, actions: [] });
+        const data = await dryRunRule(
+            { entityType: req.body.entityType, conditions, matchType: req.body.matchType || 'all' },
+            req.body.limit || DRY_RUN_LIMIT
+        );
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Automation dry run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to test rule' });
+    }
+});
+
+/**
+ * PUT /api/automation/rules/:id
+ * Replace a rule's definition. Its place in the run order is kept.
+ */
+router.put('/rules/:id', authMiddleware, managerOrAbove, [
+    param('id').isUUID(),
+    ...ruleValidators
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const problem = await checkRule(req.body);
+        if (problem) {
+            return res.status(400).json({ success: false, message: problem });
+        }
+
+        const existing = await db.query('SELECT * FROM automation_rules WHERE id = $1', [req.params.id]);
+        const before = existing.rows[0];
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Automation rule not found' });
+        }
+        if (before.entity_type !== req.body.entityType) {
+            return res.status(400).json({ success: false, message: 'A rule can\'t be moved between messages and tickets - create a new one' });
+        }
+
+        const { conditions, actions } = cleanRule(req.body);
+        const result = await db.query(
+            `UPDATE automation_rules
+             SET name = $1, conditions = $2, match_type = $3, actions = $4, stop_processing = $5,
+                 is_active = $6, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $7
+             RETURNING *`,
+            [
+                req.body.name,
+                JSON.stringify(conditions),
+                req.body.matchType || 'all',
+                JSON.stringify(actions),
+                req.body.stopProcessing === true,
+                req.body.isActive !== false,
+                req.params.id
+            ]
+        );
+        const rule = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'automation_rule_updated',
+            entityType: 'automation_rule',
+            entityId: rule.id,
+            details: {
+                name: rule.name,
+                before: { conditions: before.conditions, actions: before.actions, isActive: before.is_active },
+                after: { conditions, actions, isActive: rule.is_active }
+            },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        console.error('Update automation rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update automation rule' });
+    }
+});
+
+/**
+ * DELETE /api/automation/rules/:id
+ * Delete a rule and its run log
+ */
+router.delete('/rules/:id', authMiddleware, managerOrAbove, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query(
+            'DELETE FROM automation_rules WHERE id = $1 RETURNING id, name, entity_type, conditions, actions',
+            [req.params.id]
+        );
+        if (!result.rows.length) {
+            return res.status(404).json({ success: false, message: 'Automation rule not found' });
+        }
+
+        const rule = result.rows[0];
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'automation_rule_deleted',
+            entityType: 'automation_rule',
+            entityId: rule.id,
+            details: { name: rule.name, entityType: rule.entity_type, conditions: rule.conditions, actions: rule.actions },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Automation rule deleted' });
+    } catch (error) {
+        console.error('Delete automation rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete automation rule' });
+    }
+});
+
+/**
+ * GET /api/automation/rules/:id/runs
+ * A rule's run log, newest first (?limit=, default 50): each item it
+ * matched and how each action went
+ */
+router.get('/rules/:id/runs', authMiddleware, managerOrAbove, [
+    param('id').isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query(
+            `SELECT ru.*, COALESCE(m.name, t.title) AS label
+             FROM automation_rule_runs ru
+             LEFT JOIN messages m ON ru.entity_type = 'message' AND m.id = ru.entity_id
+             LEFT JOIN tickets t ON ru.entity_type = 'ticket' AND t.id = ru.entity_id
+             WHERE ru.rule_id = $1
+             ORDER BY ru.created_at DESC
+             LIMIT $2`,
+            [req.params.id, parseInt(req.query.limit) || 50]
+        );
+
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Automation rule runs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve rule runs' });
+    }
+});
+
+module.exports = router;
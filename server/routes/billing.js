@@ -0,0 +1,1107 @@
+/**
+ * Billing Routes
+ * Client quotes and invoices (see services/billingService.js). A quote is
+ * drafted, sent to the client as a PDF and marked accepted or declined;
+ * an accepted quote becomes an invoice with the same lines. Invoices can
+ * also be raised directly. Once issued an invoice isn't edited - it is
+ * paid off by recorded payments, or voided and raised again.
+ *
+ * Quotes are worked by whoever handles leads (messages, consultations or
+ * chats) and by payroll staff, who can see invoices too. Raising invoices
+ * and recording payments is for payroll staff (Accountant or Admin).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authMiddleware, hasPermission } = require('../middleware/auth');
+const { paginationMiddleware } = require('../middleware/pagination');
+const AuditService = require('../services/auditService');
+const { findContactIdByEmail } = require('../services/contactService');
+const { loadDeal } = require('../services/dealService');
+const { getEmployerTaxDetails } = require('../services/payrollService');
+const { generateQuotePDF, generateInvoicePDF } = require('../services/pdfService');
+const { sendQuoteEmail, sendInvoiceEmail } = require('../services/emailService');
+const {
+    WHT_RATES,
+    PAYMENT_METHODS,
+    getBillingSettings,
+    calculateTotals,
+    getPaymentStatus,
+    nextDocumentNumber,
+    saveLineItems,
+    loadQuote,
+    loadInvoice
+} = require('../services/billingService');
+
+const billingAccess = hasPermission('can_manage_messages', 'can_manage_consultations', 'can_manage_chats', 'can_manage_payroll');
+const invoiceAccess = hasPermission('can_manage_payroll');
+
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined'];
+const INVOICE_STATUSES = ['issued', 'partially_paid', 'paid', 'void'];
+
+// Client details and priced lines, shared by quotes and invoices
+const documentValidators = [
+    body('clientName').trim().notEmpty().withMessage('Client name is required').isLength({ max: 255 }),
+    body('clientEmail').trim().isEmail().withMessage('A valid client email is required'),
+    body('clientCompany').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('clientAddress').optional({ checkFalsy: true }).trim().isLength({ max: 1000 }),
+    body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 255 }),
+    body('dealId').optional({ checkFalsy: true }).isUUID(),
+    body('items').isArray({ min: 1, max: 100 }).withMessage('Add between 1 and 100 line items'),
+    body('items.*.description').isString().trim().notEmpty().withMessage('Every line needs a description').isLength({ max: 500 }),
+    body('items.*.quantity').isFloat({ gt: 0, max: 1000000 }).withMessage('Quantities must be more than zero'),
+    body('items.*.unitPrice').isFloat({ min: 0, max: 100000000000 }).withMessage('Invalid unit price'),
+    body('applyVat').optional().isBoolean().toBoolean(),
+    body('whtRate').optional().isIn(WHT_RATES.map(String)).withMessage(`WHT rate must be one of ${WHT_RATES.join(', ')}%`),
+    body('notes').optional({ checkFalsy: true }).trim().isLength({ max: 5000 }),
+    body('terms').optional({ checkFalsy: true }).trim().isLength({ max: 5000 })
+];
+
+/**
+ * Price a quote or invoice from the request body. VAT is charged at the
+ * current rate unless applyVat is false (VAT-exempt clients).
+ */
+async function priceDocument(reqBody) {
+    const settings = await getBillingSettings();
+    const totals = calculateTotals(reqBody.items, {
+        vatRate: reqBody.applyVat === false ? 0 : settings.vatRate,
+        whtRate: parseFloat(reqBody.whtRate) || 0
+    });
+    return { settings, totals };
+}
+
+/**
+ * The contact and deal a document is filed under: the deal's contact if
+ * it's for a deal, otherwise whoever has the client's email. Returns null
+ * for a deal that doesn't exist.
+ */
+async function resolveClient(dealId, clientEmail, client) {
+    if (dealId) {
+        const deal = await loadDeal(dealId, client);
+        return deal ? { dealId: deal.id, contactId: deal.contact_id } : null;
+    }
+    return { dealId: null, contactId: await findContactIdByEmail(clientEmail, client) };
+}
+
+/**
+ * Search and filter conditions for the quote and invoice lists
+ */
+function listConditions(alias, numberColumn, { search, contactId, dealId }) {
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(${alias}.${numberColumn} ILIKE $${params.length} OR ${alias}.title ILIKE $${params.length}
+                          OR ${alias}.client_name ILIKE $${params.length} OR ${alias}.client_company ILIKE $${params.length}
+                          OR ${alias}.client_email ILIKE $${params.length})`);
+    }
+    if (contactId) {
+        params.push(contactId);
+        conditions.push(`${alias}.contact_id IN (SELECT id FROM contacts WHERE id = $${params.length} OR merged_into_id = $${params.length})`);
+    }
+    if (dealId) {
+        params.push(dealId);
+        conditions.push(`${alias}.deal_id = $${params.length}`);
+    }
+    return { conditions, params };
+}
+
+/**
+ * GET /api/billing/settings
+ * The current VAT rate, default validity and payment terms, and the WHT
+ * rates and payment methods to choose from, for pricing documents in the
+ * dashboard
+ */
+router.get('/billing/settings', authMiddleware, billingAccess, async (req, res) => {
+    try {
+        const settings = await getBillingSettings();
+        res.json({
+            success: true,
+            data: {
+                vatRate: settings.vatRate,
+                quoteValidityDays: settings.quoteValidityDays,
+                paymentTermsDays: settings.paymentTermsDays,
+                defaultTerms: settings.defaultTerms,
+                whtRates: WHT_RATES,
+                paymentMethods: PAYMENT_METHODS
+            }
+        });
+    } catch (error) {
+        console.error('Get billing settings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve billing settings' });
+    }
+});
+
+// ==================== QUOTES ====================
+
+/**
+ * GET /api/quotes
+ * List quotes, newest first. Filter with ?status=, ?contactId= (taking in
+ * merged contacts), ?dealId= and ?search= (number, title or client).
+ */
+router.get('/quotes',
+    authMiddleware,
+    billingAccess,
+    [
+        query('status').optional().isIn(QUOTE_STATUSES),
+        query('contactId').optional().isUUID(),
+        query('dealId').optional().isUUID()
+    ],
+    paginationMiddleware({
+        limit: 25,
+        maxLimit: 100,
+        allowedSortFields: ['created_at', 'issue_date', 'valid_until', 'total'],
+        sortField: 'created_at',
+        sortOrder: 'DESC'
+    }),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        try {
+            const { limit, offset, sortField, sortOrder, search } = req.pagination;
+            const { conditions, params } = listConditions('q', 'quote_number', {
+                search,
+                contactId: req.query.contactId,
+                dealId: req.query.dealId
+            });
+            if (req.query.status) {
+                params.push(req.query.status);
+                conditions.push(`q.status = $${params.length}`);
+            }
+            const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const [dataResult, countResult] = await Promise.all([
+                db.query(
+                    `SELECT q.id, q.quote_number, q.title, q.client_name, q.client_email, q.client_company,
+                            q.status, q.issue_date::text AS issue_date, q.valid_until::text AS valid_until,
+                            q.total, q.amount_due, q.sent_at, q.deal_id, q.created_at,
+                            (q.status = 'sent' AND q.valid_until < CURRENT_DATE) AS is_expired,
+                            i.id AS invoice_id, i.invoice_number
+                     FROM quotes q
+                     LEFT JOIN invoices i ON i.quote_id = q.id
+                     ${where}
+                     ORDER BY q.${sortField} ${sortOrder}, q.id
+                     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                    [...params, limit, offset]
+                ),
+                db.query(`SELECT COUNT(*)::int AS total FROM quotes q ${where}`, params)
+            ]);
+
+            res.json(req.pagination.buildResponse(dataResult.rows, countResult.rows[0].total));
+        } catch (error) {
+            console.error('List quotes error:', error);
+            res.status(500).json({ success: false, message: 'Failed to retrieve quotes' });
+        }
+    }
+);
+
+/**
+ * GET /api/quotes/:id
+ * A quote with its line items
+ */
+router.get('/quotes/:id', authMiddleware, billingAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const quote = await loadQuote(req.params.id);
+        if (!quote) {
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+        res.json({ success: true, data: quote });
+    } catch (error) {
+        console.error('Get quote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve quote' });
+    }
+});
+
+/**
+ * POST /api/quotes
+ * Draft a quote. It's valid for the default number of days unless
+ * validUntil is given, and is filed under the deal's contact when it's
+ * for a deal.
+ */
+router.post('/quotes', authMiddleware, billingAccess, [
+    ...documentValidators,
+    body('validUntil').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid valid-until date')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        const { settings, totals } = await priceDocument(req.body);
+        const { clientName, clientEmail, clientCompany, clientAddress, title, dealId, validUntil, notes, terms } = req.body;
+
+        await client.query('BEGIN');
+
+        const filedUnder = await resolveClient(dealId, clientEmail, client);
+        if (!filedUnder) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Deal not found' });
+        }
+
+        const quoteNumber = await nextDocumentNumber('quote', new Date().getFullYear(), client);
+        const result = await client.query(
+            `INSERT INTO quotes (quote_number, contact_id, deal_id, client_name, client_email, client_company,
+                                 client_address, title, valid_until, vat_rate, wht_rate, subtotal, vat_amount,
+                                 total, wht_amount, amount_due, notes, terms, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::date, CURRENT_DATE + $10::int),
+                     $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+             RETURNING id`,
+            [
+                quoteNumber,
+                filedUnder.contactId,
+                filedUnder.dealId,
+                clientName,
+                clientEmail,
+                clientCompany || null,
+                clientAddress || null,
+                title,
+                validUntil || null,
+                settings.quoteValidityDays,
+                totals.vatRate,
+                totals.whtRate,
+                totals.subtotal,
+                totals.vatAmount,
+                totals.total,
+                totals.whtAmount,
+                totals.amountDue,
+                notes || null,
+                terms !== undefined ? terms || null : settings.defaultTerms || null,
+                req.user.id
+            ]
+        );
+        const quoteId = result.rows[0].id;
+        await saveLineItems('quote', quoteId, totals.items, client);
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'quote_created',
+            entityType: 'quote',
+            entityId: quoteId,
+            details: { quoteNumber, dealId: filedUnder.dealId, total: totals.total },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: await loadQuote(quoteId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create quote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create quote' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * PUT /api/quotes/:id
+ * Revise a draft or sent quote, replacing its lines. A revised quote that
+ * was already sent should be sent again.
+ */
+router.put('/quotes/:id', authMiddleware, billingAccess, [
+    param('id').isUUID(),
+    ...documentValidators,
+    body('validUntil').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid valid-until date')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        const { totals } = await priceDocument(req.body);
+        const { clientName, clientEmail, clientCompany, clientAddress, title, dealId, validUntil, notes, terms } = req.body;
+
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT id, quote_number, status FROM quotes WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const quote = existing.rows[0];
+        if (!quote) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+        if (!['draft', 'sent'].includes(quote.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: `This quote has already been ${quote.status}` });
+        }
+
+        const filedUnder = await resolveClient(dealId, clientEmail, client);
+        if (!filedUnder) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Deal not found' });
+        }
+
+        await client.query(
+            `UPDATE quotes
+             SET contact_id = $1, deal_id = $2, client_name = $3, client_email = $4, client_company = $5,
+                 client_address = $6, title = $7, valid_until = COALESCE($8::date, valid_until),
+                 vat_rate = $9, wht_rate = $10, subtotal = $11, vat_amount = $12, total = $13,
+                 wht_amount = $14, amount_due = $15, notes = $16, terms = $17, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $18`,
+            [
+                filedUnder.contactId,
+                filedUnder.dealId,
+                clientName,
+                clientEmail,
+                clientCompany || null,
+                clientAddress || null,
+                title,
+                validUntil || null,
+                totals.vatRate,
+                totals.whtRate,
+                totals.subtotal,
+                totals.vatAmount,
+                totals.total,
+                totals.whtAmount,
+                totals.amountDue,
+                notes || null,
+                terms || null,
+                quote.id
+            ]
+        );
+        await saveLineItems('quote', quote.id, totals.items, client);
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'quote_updated',
+            entityType: 'quote',
+            entityId: quote.id,
+            details: { quoteNumber: quote.quote_number, total: totals.total },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await loadQuote(quote.id) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update quote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update quote' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/quotes/:id/send
+ * Email the quote to the client as a PDF, with an optional covering
+ * message. Sending a draft marks it sent.
+ */
+router.post('/quotes/:id/send', authMiddleware, billingAccess, [
+    param('id').isUUID(),
+    body('message').optional({ checkFalsy: true }).trim().isLength({ max: 5000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const quote = await loadQuote(req.params.id);
+        if (!quote) {
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+        if (!['draft', 'sent'].includes(quote.status)) {
+            return res.status(400).json({ success: false, message: `This quote has already been ${quote.status}` });
+        }
+
+        const pdfBuffer = await generateQuotePDF(quote);
+        await sendQuoteEmail(quote, pdfBuffer, req.body.message);
+
+        await db.query(
+            `UPDATE quotes SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [quote.id]
+        );
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'quote_sent',
+            entityType: 'quote',
+            entityId: quote.id,
+            details: { quoteNumber: quote.quote_number, to: quote.client_email },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: `Quote sent to ${quote.client_email}`, data: await loadQuote(quote.id) });
+    } catch (error) {
+        console.error('Send quote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send quote' });
+    }
+});
+
+/**
+ * POST /api/quotes/:id/status
+ * Record the client's answer to a quote: accepted or declined
+ */
+router.post('/quotes/:id/status', authMiddleware, billingAccess, [
+    param('id').isUUID(),
+    body('status').isIn(['accepted', 'declined']).withMessage('Status must be accepted or declined')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { status } = req.body;
+        const result = await db.query(
+            `UPDATE quotes SET status = $1, decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2 AND status IN ('draft', 'sent')
+             RETURNING id, quote_number`,
+            [status, req.params.id]
+        );
+        if (!result.rows.length) {
+            const exists = await db.query('SELECT status FROM quotes WHERE id = $1', [req.params.id]);
+            return exists.rows.length
+                ? res.status(400).json({ success: false, message: `This quote has already been ${exists.rows[0].status}` })
+                : res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const quote = result.rows[0];
+        await AuditService.log({
+            staffId: req.user.id,
+            action: `quote_${status}`,
+            entityType: 'quote',
+            entityId: quote.id,
+            details: { quoteNumber: quote.quote_number },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await loadQuote(quote.id) });
+    } catch (error) {
+        console.error('Quote status error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update quote' });
+    }
+});
+
+/**
+ * GET /api/quotes/:id/pdf
+ * Download a quote as a PDF
+ */
+router.get('/quotes/:id/pdf', authMiddleware, billingAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const quote = await loadQuote(req.params.id);
+        if (!quote) {
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const pdfBuffer = await generateQuotePDF(quote);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${quote.quote_number}.pdf`);
+        res.send(pdfBuffer);
+    } catch (error) {
+        console.error('Quote PDF error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate quote PDF' });
+    }
+});
+
+/**
+ * POST /api/quotes/:id/invoice
+ * Raise the invoice for an accepted quote, with the same client, lines and
+ * rates. Due after the default payment terms unless dueDate is given.
+ * A quote is only ever invoiced once.
+ */
+router.post('/quotes/:id/invoice', authMiddleware, invoiceAccess, [
+    param('id').isUUID(),
+    body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid due date')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        const settings = await getBillingSettings();
+
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT * FROM quotes WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const quote = existing.rows[0];
+        if (!quote) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+        if (quote.status !== 'accepted') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: 'Only an accepted quote can be invoiced' });
+        }
+        const invoiced = await client.query('SELECT invoice_number FROM invoices WHERE quote_id = $1', [quote.id]);
+        if (invoiced.rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: `This quote is already on invoice ${invoiced.rows[0].invoice_number}` });
+        }
+
+        const invoiceNumber = await nextDocumentNumber('invoice', new Date().getFullYear(), client);
+        const result = await client.query(
+            `INSERT INTO invoices (invoice_number, quote_id, contact_id, deal_id, client_name, client_email,
+                                   client_company, client_address, title, due_date, vat_rate, wht_rate,
+                                   subtotal, vat_amount, total, wht_amount, amount_due, notes, terms, created_by)
+             SELECT $1, q.id, q.contact_id, q.deal_id, q.client_name, q.client_email, q.client_company,
+                    q.client_address, q.title, COALESCE($2::date, CURRENT_DATE + $3::int), q.vat_rate, q.wht_rate,
+                    q.subtotal, q.vat_amount, q.total, q.wht_amount, q.amount_due, q.notes, q.terms, $4
+             FROM quotes q
+             WHERE q.id = $5
+             RETURNING id`,
+            [invoiceNumber, req.body.dueDate || null, settings.paymentTermsDays, req.user.id, quote.id]
+        );
+        const invoiceId = result.rows[0].id;
+        await client.query(
+            `INSERT INTO invoice_items (invoice_id, position, description, quantity, unit_price, amount)
+             SELECT $1, position, description, quantity, unit_price, amount
+             FROM quote_items
+             WHERE quote_id = $2`,
+            [invoiceId, quote.id]
+        );
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'invoice_created',
+            entityType: 'invoice',
+            entityId: invoiceId,
+            details: { invoiceNumber, quoteNumber: quote.quote_number, amountDue: quote.amount_due },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: await loadInvoice(invoiceId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'This quote has already been invoiced' });
+        }
+        console.error('Convert quote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to invoice quote' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * DELETE /api/quotes/:id
+ * Delete a draft quote. Quotes that went to the client are kept, so their
+ * numbers stay traceable.
+ */
+router.delete('/quotes/:id', authMiddleware, billingAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query(
+            `DELETE FROM quotes WHERE id = $1 AND status = 'draft'
+             RETURNING id, quote_number, title, total`,
+            [req.params.id]
+        );
+        if (!result.rows.length) {
+            const exists = await db.query('SELECT status FROM quotes WHERE id = $1', [req.params.id]);
+            return exists.rows.length
+                ? res.status(400).json({ success: false, message: 'Only draft quotes can be deleted' })
+                : res.status(404).json({ success: false, message: 'Quote not found' });
+        }
+
+        const quote = result.rows[0];
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'quote_deleted',
+            entityType: 'quote',
+            entityId: quote.id,
+            details: { quoteNumber: quote.quote_number, title: quote.title, total: quote.total },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Quote deleted' });
+    } catch (error) {
+        console.error('Delete quote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete quote' });
+    }
+});
+
+// ==================== INVOICES ====================
+
+/**
+ * GET /api/invoices
+ * List invoices, newest first, with what's outstanding and overdue across
+ * all of them. Filter with ?status= (or ?status=overdue for unpaid
+ * invoices past their due date), ?contactId=, ?dealId= and ?search=.
+ */
+router.get('/invoices',
+    authMiddleware,
+    billingAccess,
+    [
+        query('status').optional().isIn([...INVOICE_STATUSES, 'overdue']),
+        query('contactId').optional().isUUID(),
+        query('dealId').optional().isUUID()
+    ],
+    paginationMiddleware({
+        limit: 25,
+        maxLimit: 100,
+        allowedSortFields: ['created_at', 'issue_date', 'due_date', 'amount_due'],
+        sortField: 'created_at',
+        sortOrder: 'DESC'
+    }),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        try {
+            const { limit, offset, sortField, sortOrder, search } = req.pagination;
+            const { conditions, params } = listConditions('i', 'invoice_number', {
+                search,
+                contactId: req.query.contactId,
+                dealId: req.query.dealId
+            });
+            if (req.query.status === 'overdue') {
+                conditions.push('i.status IN (\'issued\', \'partially_paid\') AND i.due_date < CURRENT_DATE');
+            } else if (req.query.status) {
+                params.push(req.query.status);
+                conditions.push(`i.status = $${params.length}`);
+            }
+            const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const [dataResult, countResult, summaryResult] = await Promise.all([
+                db.query(
+                    `SELECT i.id, i.invoice_number, i.title, i.client_name, i.client_email, i.client_company,
+                            i.status, i.issue_date::text AS issue_date, i.due_date::text AS due_date,
+                            i.total, i.amount_due, i.amount_paid, i.sent_at, i.deal_id, i.created_at,
+                            (i.status IN ('issued', 'partially_paid') AND i.due_date < CURRENT_DATE) AS is_overdue,
+                            q.quote_number
+                     FROM invoices i
+                     LEFT JOIN quotes q ON q.id = i.quote_id
+                     ${where}
+                     ORDER BY i.${sortField} ${sortOrder}, i.id
+                     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                    [...params, limit, offset]
+                ),
+                db.query(`SELECT COUNT(*)::int AS total FROM invoices i ${where}`, params),
+                db.query(
+                    `SELECT COALESCE(SUM(amount_due - amount_paid), 0) AS outstanding,
+                            COALESCE(SUM(amount_due - amount_paid) FILTER (WHERE due_date < CURRENT_DATE), 0) AS overdue,
+                            COUNT(*) FILTER (WHERE due_date < CURRENT_DATE)::int AS overdue_count
+                     FROM invoices
+                     WHERE status IN ('issued', 'partially_paid')`
+                )
+            ]);
+
+            res.json({
+                ...req.pagination.buildResponse(dataResult.rows, countResult.rows[0].total),
+                summary: summaryResult.rows[0]
+            });
+        } catch (error) {
+            console.error('List invoices error:', error);
+            res.status(500).json({ success: false, message: 'Failed to retrieve invoices' });
+        }
+    }
+);
+
+/**
+ * GET /api/invoices/:id
+ * An invoice with its line items and payments
+ */
+router.get('/invoices/:id', authMiddleware, billingAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const invoice = await loadInvoice(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+        res.json({ success: true, data: invoice });
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve invoice' });
+    }
+});
+
+/**
+ * POST /api/invoices
+ * Raise an invoice without a quote. Due after the default payment terms
+ * unless dueDate is given.
+ */
+router.post('/invoices', authMiddleware, invoiceAccess, [
+    ...documentValidators,
+    body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid due date')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        const { settings, totals } = await priceDocument(req.body);
+        const { clientName, clientEmail, clientCompany, clientAddress, title, dealId, dueDate, notes, terms } = req.body;
+
+        await client.query('BEGIN');
+
+        const filedUnder = await resolveClient(dealId, clientEmail, client);
+        if (!filedUnder) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Deal not found' });
+        }
+
+        const invoiceNumber = await nextDocumentNumber('invoice', new Date().getFullYear(), client);
+        const result = await client.query(
+            `INSERT INTO invoices (invoice_number, contact_id, deal_id, client_name, client_email, client_company,
+                                   client_address, title, due_date, vat_rate, wht_rate, subtotal, vat_amount,
+                                   total, wht_amount, amount_due, notes, terms, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::date, CURRENT_DATE + $10::int),
+                     $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+             RETURNING id`,
+            [
+                invoiceNumber,
+                filedUnder.contactId,
+                filedUnder.dealId,
+                clientName,
+                clientEmail,
+                clientCompany || null,
+                clientAddress || null,
+                title,
+                dueDate || null,
+                settings.paymentTermsDays,
+                totals.vatRate,
+                totals.whtRate,
+                totals.subtotal,
+                totals.vatAmount,
+                totals.total,
+                totals.whtAmount,
+                totals.amountDue,
+                notes || null,
+                terms !== undefined ? terms || null : settings.defaultTerms || null,
+                req.user.id
+            ]
+        );
+        const invoiceId = result.rows[0].id;
+        await saveLineItems('invoice', invoiceId, totals.items, client);
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'invoice_created',
+            entityType: 'invoice',
+            entityId: invoiceId,
+            details: { invoiceNumber, dealId: filedUnder.dealId, amountDue: totals.amountDue },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: await loadInvoice(invoiceId) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create invoice error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create invoice' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/invoices/:id/send
+ * Email the invoice to the client as a PDF, with an optional covering
+ * message. Can be resent as a reminder while there's a balance.
+ */
+router.post('/invoices/:id/send', authMiddleware, invoiceAccess, [
+    param('id').isUUID(),
+    body('message').optional({ checkFalsy: true }).trim().isLength({ max: 5000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const invoice = await loadInvoice(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+        if (invoice.status === 'void') {
+            return res.status(400).json({ success: false, message: 'A void invoice can\'t be sent' });
+        }
+
+        const [settings, employer] = await Promise.all([getBillingSettings(), getEmployerTaxDetails()]);
+        const pdfBuffer = await generateInvoicePDF(invoice, { bankDetails: settings.bankDetails, tin: employer.tin });
+        await sendInvoiceEmail(invoice, pdfBuffer, req.body.message);
+
+        await db.query(
+            'UPDATE invoices SET sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [invoice.id]
+        );
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'invoice_sent',
+            entityType: 'invoice',
+            entityId: invoice.id,
+            details: { invoiceNumber: invoice.invoice_number, to: invoice.client_email },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: `Invoice sent to ${invoice.client_email}`, data: await loadInvoice(invoice.id) });
+    } catch (error) {
+        console.error('Send invoice error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send invoice' });
+    }
+});
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download an invoice as a PDF
+ */
+router.get('/invoices/:id/pdf', authMiddleware, billingAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const invoice = await loadInvoice(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+
+        const [settings, employer] = await Promise.all([getBillingSettings(), getEmployerTaxDetails()]);
+        const pdfBuffer = await generateInvoicePDF(invoice, { bankDetails: settings.bankDetails, tin: employer.tin });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${invoice.invoice_number}.pdf`);
+        res.send(pdfBuffer);
+    } catch (error) {
+        console.error('Invoice PDF error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate invoice PDF' });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/payments
+ * Record a payment against an invoice - all or part of the balance. The
+ * invoice becomes partially paid, or paid once nothing is left to pay.
+ */
+router.post('/invoices/:id/payments', authMiddleware, invoiceAccess, [
+    param('id').isUUID(),
+    body('amount').isFloat({ gt: 0 }).withMessage('Enter the amount received'),
+    body('paidOn').isISO8601().withMessage('Enter the date it was received'),
+    body('method').optional().isIn(PAYMENT_METHODS),
+    body('reference').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('note').optional({ checkFalsy: true }).trim().isLength({ max: 1000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        const { amount, paidOn, method, reference, note } = req.body;
+        const payment = Math.round(parseFloat(amount) * 100) / 100;
+
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const invoice = existing.rows[0];
+        if (!invoice) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+        if (invoice.status === 'void') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: 'Payments can\'t be recorded against a void invoice' });
+        }
+        const balance = Math.round((Number(invoice.amount_due) - Number(invoice.amount_paid)) * 100) / 100;
+        if (payment > balance) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: balance > 0 ? `The balance is only ${balance.toFixed(2)}` : 'This invoice is already paid'
+            });
+        }
+
+        await client.query(
+            `INSERT INTO invoice_payments (invoice_id, amount, paid_on, method, reference, note, recorded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [invoice.id, payment, paidOn, method || 'bank_transfer', reference || null, note || null, req.user.id]
+        );
+        const amountPaid = Math.round((Number(invoice.amount_paid) + payment) * 100) / 100;
+        const status = getPaymentStatus(invoice.amount_due, amountPaid);
+        await client.query(
+            `UPDATE invoices
+             SET amount_paid = $1, status = $2,
+                 paid_at = CASE WHEN $2 = 'paid' THEN CURRENT_TIMESTAMP ELSE NULL END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [amountPaid, status, invoice.id]
+        );
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'invoice_payment_recorded',
+            entityType: 'invoice',
+            entityId: invoice.id,
+            details: { invoiceNumber: invoice.invoice_number, amount: payment, paidOn, method: method || 'bank_transfer', reference, status },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: await loadInvoice(invoice.id) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Record payment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record payment' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * DELETE /api/invoices/:id/payments/:paymentId
+ * Remove a payment recorded in error, putting it back on the balance
+ */
+router.delete('/invoices/:id/payments/:paymentId', authMiddleware, invoiceAccess, [
+    param('id').isUUID(),
+    param('paymentId').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const invoice = existing.rows[0];
+        const removed = invoice && await client.query(
+            'DELETE FROM invoice_payments WHERE id = $1 AND invoice_id = $2 RETURNING *',
+            [req.params.paymentId, invoice.id]
+        );
+        if (!removed || !removed.rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        const payment = removed.rows[0];
+        const amountPaid = Math.round((Number(invoice.amount_paid) - Number(payment.amount)) * 100) / 100;
+        const status = getPaymentStatus(invoice.amount_due, amountPaid);
+        await client.query(
+            `UPDATE invoices
+             SET amount_paid = $1, status = $2,
+                 paid_at = CASE WHEN $2 = 'paid' THEN paid_at ELSE NULL END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [amountPaid, status, invoice.id]
+        );
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'invoice_payment_deleted',
+            entityType: 'invoice',
+            entityId: invoice.id,
+            details: { invoiceNumber: invoice.invoice_number, amount: payment.amount, paidOn: payment.paid_on, reference: payment.reference },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await loadInvoice(invoice.id) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete payment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete payment' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/invoices/:id/void
+ * Void an invoice raised in error. It keeps its number; raise a new
+ * invoice if the client still owes something. Payments have to be
+ * removed first.
+ */
+router.post('/invoices/:id/void', authMiddleware, invoiceAccess, [
+    param('id').isUUID(),
+    body('reason').trim().notEmpty().withMessage('Say why the invoice is being voided').isLength({ max: 1000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const existing = await db.query('SELECT id, invoice_number, status, amount_paid FROM invoices WHERE id = $1', [req.params.id]);
+        const invoice = existing.rows[0];
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+        if (invoice.status === 'void') {
+            return res.status(400).json({ success: false, message: 'This invoice is already void' });
+        }
+
+        const result = await db.query(
+            `UPDATE invoices
+             SET status = 'void', voided_at = CURRENT_TIMESTAMP, voided_by = $1, void_reason = $2,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3 AND amount_paid = 0 AND status <> 'void'
+             RETURNING id`,
+            [req.user.id, req.body.reason, invoice.id]
+        );
+        if (!result.rows.length) {
+            return res.status(400).json({ success: false, message: 'Remove the payments recorded against this invoice before voiding it' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'invoice_voided',
+            entityType: 'invoice',
+            entityId: invoice.id,
+            details: { invoiceNumber: invoice.invoice_number, reason: req.body.reason },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await loadInvoice(invoice.id) });
+    } catch (error) {
+        console.error('Void invoice error:', error);
+        res.status(500).json({ success: false, message: 'Failed to void invoice' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/**
+ * Calendar Routes
+ * Per-staff iCalendar subscription feed of assigned consultations, so
+ * consultants see their bookings in Google Calendar / Outlook / Apple
+ * Calendar. Calendar apps poll the feed URL without any way to log in, so
+ * the URL's token is the credential: generated on request, shown once,
+ * stored only as a SHA-256 hash, and revocable from the Profile page.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const db = require('../config/database');
+const { authMiddleware, hasPermission } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+const { buildStaffFeed } = require('../services/calendarService');
+
+// How far back the feed goes - enough to look up last week's call
+const FEED_HISTORY_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const feedUrlFor = (token) => `${process.env.SITE_URL || 'http://localhost:3000'}/api/calendar/feed/${token}.ics`;
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ * Public (token-protected) - the subscription feed itself
+ */
+router.get('/feed/:token', async (req, res) => {
+    try {
+        const token = req.params.token.replace(/\.ics$/, '');
+        const staffResult = await db.query(
+            `SELECT id, name FROM staff
+             WHERE calendar_feed_token_hash = $1 AND is_active = true`,
+            [hashToken(token)]
+        );
+        const staff = staffResult.rows[0];
+        if (!staff) {
+            return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+        }
+
+        const consultations = await db.query(
+            `SELECT * FROM consultations
+             WHERE assigned_to = $1 AND status != 'cancelled'
+               AND booking_date >= CURRENT_DATE - $2::int
+             ORDER BY booking_date ASC, booking_time ASC`,
+            [staff.id, FEED_HISTORY_DAYS]
+        );
+
+        const ics = await buildStaffFeed(staff, consultations.rows);
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="consultations.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        res.send(ics);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build calendar feed' });
+    }
+});
+
+/**
+ * GET /api/calendar/feed-token
+ * Whether the current user has a feed enabled (the URL itself can't be
+ * shown again - only its hash is stored)
+ */
+router.get('/feed-token', authMiddleware, hasPermission('can_manage_consultations'), async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT calendar_feed_token_hash IS NOT NULL AS enabled, calendar_feed_token_created_at FROM staff WHERE id = $1',
+            [req.user.id]
+        );
+        const row = result.rows[0] || {};
+        res.json({ success: true, data: { enabled: !!row.enabled, createdAt: row.calendar_feed_token_created_at || null } });
+    } catch (error) {
+        console.error('Get calendar feed status error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load calendar feed status' });
+    }
+});
+
+/**
+ * POST /api/calendar/feed-token
+ * Create (or replace) the current user's feed URL. Any previous URL stops
+ * working immediately.
+ */
+router.post('/feed-token', authMiddleware, hasPermission('can_manage_consultations'), async (req, res) => {
+    try {
+        const rawToken = crypto.randomBytes(32).toString('hex');
+        await db.query(
+            `UPDATE staff SET calendar_feed_token_hash = $1, calendar_feed_token_created_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [hashToken(rawToken), req.user.id]
+        );
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'calendar_feed_token_created',
+            entityType: 'staff',
+            entityId: req.user.id,
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: { url: feedUrlFor(rawToken) } });
+    } catch (error) {
+        console.error('Create calendar feed token error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create calendar feed' });
+    }
+});
+
+/**
+ * DELETE /api/calendar/feed-token
+ * Turn the current user's feed off
+ */
+router.delete('/feed-token', authMiddleware, async (req, res) => {
+    try {
+        await db.query(
+            `UPDATE staff SET calendar_feed_token_hash = NULL, calendar_feed_token_created_at = NULL
+             WHERE id = $1`,
+            [req.user.id]
+        );
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'calendar_feed_token_revoked',
+            entityType: 'staff',
+            entityId: req.user.id,
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Calendar feed turned off' });
+    } catch (error) {
+        console.error('Revoke calendar feed token error:', error);
+        res.status(500).json({ success: false, message: 'Failed to turn off calendar feed' });
+    }
+});
+
+module.exports = router;
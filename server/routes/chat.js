@@ -5,12 +5,96 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const Visitor = require('../models/Visitor');
 const AuditService = require('../services/auditService');
+const { recordInteraction } = require('../services/contactService');
+const { attachSla } = require('../services/slaService');
 const { authMiddleware, hasPermission } = require('../middleware/auth');
 const { chatMessageLimiter } = require('../middleware/rateLimiter');
+const { detectFileType } = require('../utils/fileSignature');
+const { saveAttachment, readAttachment } = require('../services/attachmentStorage');
+const { TRANSCRIPT_FORMATS, exportTranscript, emailTranscriptIfRequested } = require('../services/chatTranscriptService');
+
+const MAX_ATTACHMENT_MB = 10;
+const MAX_ATTACHMENTS_PER_SESSION = 20;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_MB * 1024 * 1024, files: 1 }
+});
+
+/**
+ * Accept one file as `file`, turning multer's limit errors into 400s
+ */
+const uploadAttachment = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE' ? `Files can be up to ${MAX_ATTACHMENT_MB} MB` : 'Upload failed'
+            });
+        }
+        next();
+    });
+};
+
+/**
+ * Check and store an uploaded chat attachment for an active session. It is
+ * sent, and becomes part of a message, over the chat WebSocket
+ * (send_message with attachmentIds).
+ */
+const storeAttachment = async (req, res, { uploadedByType, staffId }) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'A file is required' });
+    }
+
+    const session = await Chat.getSession(req.params.id);
+    if (!session || session.status !== 'active') {
+        return res.status(404).json({ success: false, message: 'Chat not found or already closed' });
+    }
+
+    // The contents must match the file type, whatever the name says
+    const fileType = detectFileType(req.file.buffer, req.file.originalname);
+    if (!fileType) {
+        return res.status(400).json({
+            success: false,
+            message: 'Only images (PNG, JPEG, GIF, WebP), PDFs, Word and Excel documents and text files can be shared'
+        });
+    }
+
+    if (await Chat.countAttachments(session.id) >= MAX_ATTACHMENTS_PER_SESSION) {
+        return res.status(400).json({
+            success: false,
+            message: `A chat can have up to ${MAX_ATTACHMENTS_PER_SESSION} files`
+        });
+    }
+
+    const stored = await saveAttachment(req.file.buffer, fileType.mimeType);
+    const attachment = await Chat.addAttachment({
+        sessionId: session.id,
+        uploadedByType,
+        staffId,
+        fileName: req.file.originalname.replace(/[^\w.\- ()]/g, '_').slice(-255),
+        mimeType: fileType.mimeType,
+        fileSize: req.file.size,
+        isImage: fileType.image,
+        storageDriver: stored.driver,
+        storageKey: stored.key
+    });
+
+    res.status(201).json({ success: true, data: attachment });
+};
 
 /**
  * POST /api/chat/start
@@ -47,6 +131,9 @@ router.post('/start', chatMessageLimiter, [
             visitorEmail: email
         });
 
+        // Keep their contact record up to date (non-critical)
+        recordInteraction({ email, name }).catch(err => console.error('Contact update error (non-fatal):', err));
+
         // Add welcome message
         await Chat.addMessage({
             sessionId: session.id,
@@ -78,12 +165,12 @@ router.post('/start', chatMessageLimiter, [
 router.get('/sessions', authMiddleware, hasPermission('can_manage_chats'), async (req, res) => {
     try {
         const { status, limit, offset, assigned_to } = req.query;
-        const sessions = await Chat.getAllSessions({
+        const sessions = await attachSla('chat', await Chat.getAllSessions({
             status,
             assignedTo: assigned_to,
             limit: parseInt(limit) || 50,
             offset: parseInt(offset) || 0
-        });
+        }));
         res.json({ success: true, data: sessions, sessions: sessions });
     } catch (error) {
         console.error('Get sessions error:', error);
@@ -96,10 +183,38 @@ router.get('/sessions', authMiddleware, hasPermission('can_manage_chats'), async
 
 /**
  * GET /api/chat/sessions/:id
- * Get a single chat session with messages
+ * Get a single chat session with messages, or with ?format=pdf or
+ * ?format=txt download its transcript
  */
-router.get('/sessions/:id', authMiddleware, hasPermission('can_manage_chats'), async (req, res) => {
+router.get('/sessions/:id', authMiddleware, hasPermission('can_manage_chats'), [
+    query('format').optional().isIn(TRANSCRIPT_FORMATS).withMessage(`Format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}`)
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        if (req.query.format) {
+            const file = await exportTranscript(req.params.id, req.query.format, {
+                staffId: req.user.id,
+                ipAddress: req.ip
+            });
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+            return res.send(file.body);
+        }
+
         const session = await Chat.getSession(req.params.id);
         if (!session) {
             return res.status(404).json({
@@ -123,6 +238,77 @@ router.get('/sessions/:id', authMiddleware, hasPermission('can_manage_chats'), a
     }
 });
 
+/**
+ * POST /api/chat/sessions/:id/visitor-attachments
+ * Upload a file or image from the visitor's side of a chat (public - the
+ * session ID is the visitor's key to their chat)
+ */
+router.post('/sessions/:id/visitor-attachments', chatMessageLimiter, uploadAttachment, [
+    param('id').isUUID().withMessage('Invalid chat')
+], async (req, res) => {
+    try {
+        await storeAttachment(req, res, { uploadedByType: 'visitor', staffId: null });
+    } catch (error) {
+        console.error('Upload visitor attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload file'
+        });
+    }
+});
+
+/**
+ * POST /api/chat/sessions/:id/attachments
+ * Upload a file or image to send to the visitor
+ */
+router.post('/sessions/:id/attachments', authMiddleware, hasPermission('can_manage_chats'), uploadAttachment, [
+    param('id').isUUID().withMessage('Invalid chat')
+], async (req, res) => {
+    try {
+        await storeAttachment(req, res, { uploadedByType: 'staff', staffId: req.user.id });
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload file'
+        });
+    }
+});
+
+/**
+ * GET /api/chat/sessions/:id/attachments/:attachmentId
+ * Download an attachment (public, like the widget's uploads: both IDs are
+ * needed). Images open in the browser; anything else downloads.
+ */
+router.get('/sessions/:id/attachments/:attachmentId', [
+    param('id').isUUID(),
+    param('attachmentId').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        const attachment = await Chat.getAttachment(req.params.attachmentId, req.params.id);
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        const buffer = await readAttachment(attachment.storage_driver, attachment.storage_key);
+        res.setHeader('Content-Type', attachment.mime_type);
+        res.setHeader('Content-Disposition', `${attachment.is_image ? 'inline' : 'attachment'}; filename="${attachment.file_name.replace(/"/g, '')}"`);
+        res.setHeader('Cache-Control', 'private, max-age=86400');
+        res.send(buffer);
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download file'
+        });
+    }
+});
+
 /**
  * GET /api/chat/sessions/:id/messages
  * Get messages for a session
@@ -202,6 +388,10 @@ router.patch('/sessions/:id/close', authMiddleware, hasPermission('can_manage_ch
         // Log session closure
         await AuditService.logStatusChange(req.user.id, 'chat', req.params.id, 'active', 'closed', req.ip);
 
+        // Email the transcript if the visitor asked for it (non-critical)
+        emailTranscriptIfRequested(session.id, { staffId: req.user.id, ipAddress: req.ip })
+            .catch(err => console.error('Chat transcript email error (non-fatal):', err));
+
         res.json({ success: true, data: session });
     } catch (error) {
         console.error('Close session error:', error);
@@ -4,22 +4,39 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Consultation = require('../models/Consultation');
 const Visitor = require('../models/Visitor');
 const Staff = require('../models/Staff');
-const { sendBookingConfirmation, sendBookingNotification, sendBookingStatusConfirmed, sendBookingStatusCancelled } = require('../services/emailService');
-const { authMiddleware, hasPermission } = require('../middleware/auth');
+const {
+    sendBookingConfirmation, sendBookingNotification, sendBookingStatusConfirmed, sendBookingStatusCancelled,
+    sendBookingRescheduled, sendBookingClientChangeNotification
+} = require('../services/emailService');
+const { authMiddleware, hasPermission, managerOrAbove } = require('../middleware/auth');
+const { bookingManageLimiter } = require('../middleware/rateLimiter');
 const db = require('../config/database');
 const AuditService = require('../services/auditService');
+const AvailabilityService = require('../services/availabilityService');
+const BookingManageService = require('../services/bookingManageService');
+const { recordInteraction } = require('../services/contactService');
+const { sendConsultationSurvey } = require('../services/surveyService');
+const { getNigerianHolidays } = require('../utils/nigerianHolidays');
+const { isValidTimeZone, addDays, toDateString, timeToMinutes } = require('../utils/timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:00)?$/;
+
+const manageUrlFor = (token) => `${process.env.SITE_URL || 'http://localhost:3000'}/manage-booking.html?token=${token}`;
 
 // Validation rules
 const bookingValidation = [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
-    body('booking_date').notEmpty().withMessage('Date is required'),
+    body('booking_date').matches(DATE_PATTERN).withMessage('Date is required'),
     body('booking_time').notEmpty().withMessage('Time is required'),
+    body('timezone').optional().trim(),
     body('phone').optional().trim(),
     body('company').optional().trim(),
     body('service').notEmpty().withMessage('Service is required'),
@@ -43,7 +60,8 @@ const bookConsultation = async (req, res) => {
 
         const { name, email, phone, company, service, booking_date, booking_time, notes } = req.body;
 
-        // Parse time from "09:00 AM" format to "09:00:00"
+        // booking_date/booking_time are the business-timezone values from
+        // GET /slots. "09:00 AM" is still accepted from older clients.
         let timeForDb = booking_time;
         if (booking_time.includes('AM') || booking_time.includes('PM')) {
             const [time, period] = booking_time.split(' ');
@@ -57,60 +75,68 @@ const bookConsultation = async (req, res) => {
             }
             timeForDb = `${String(hours).padStart(2, '0')}:${minutes}:00`;
         }
+        if (!TIME_PATTERN.test(timeForDb)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid time'
+            });
+        }
 
-        // Check if slot is already booked
-        const existingBooking = await db.query(
-            'SELECT id FROM consultations WHERE booking_date = $1 AND booking_time = $2 AND status != $3',
-            [booking_date, timeForDb, 'cancelled']
-        );
+        const settings = await AvailabilityService.getBookingSettings();
+
+        // Re-check against live availability (the visitor may have had the
+        // page open a while), pick the least-booked free consultant and book
+        // them, under the date's lock so nobody else takes the slot meanwhile
+        const consultation = await AvailabilityService.withBookingDateLock(booking_date, async (client) => {
+            const assignedStaffId = await AvailabilityService.findConsultantForSlot(booking_date, timeForDb, { client });
+            if (!assignedStaffId) {
+                return null;
+            }
 
-        if (existingBooking.rows.length > 0) {
+            // Create or update visitor
+            const visitor = await Visitor.upsert({
+                email,
+                name,
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                source: 'booking'
+            });
+
+            return Consultation.create({
+                name,
+                email,
+                phone,
+                company,
+                service,
+                bookingDate: booking_date,
+                bookingTime: timeForDb,
+                timezone: isValidTimeZone(req.body.timezone) ? req.body.timezone : settings.timezone,
+                durationMinutes: settings.slotDuration,
+                assignedTo: assignedStaffId,
+                notes,
+                visitorId: visitor.id
+            }, client);
+        });
+        if (!consultation) {
             return res.status(400).json({
                 success: false,
                 message: 'This time slot is no longer available. Please choose another time.'
             });
         }
 
-        // Create or update visitor
-        const visitor = await Visitor.upsert({
-            email,
-            name,
-            ipAddress: req.ip,
-            userAgent: req.headers['user-agent'],
-            source: 'booking'
-        });
+        const assignedStaff = await Staff.findById(consultation.assigned_to);
+        consultation.assigned_to_name = assignedStaff?.name || null;
 
-        // Create consultation
-        const consultation = await Consultation.create({
-            name,
-            email,
-            phone,
-            company,
-            service,
-            bookingDate: booking_date,
-            bookingTime: timeForDb,
-            timezone: 'America/Toronto',
-            notes,
-            visitorId: visitor.id
-        });
+        // Keep their contact record up to date (non-critical)
+        recordInteraction({ email, name, phone, company }).catch(err => console.error('Contact update error (non-fatal):', err));
 
-        // Auto-assign to available staff
-        let assignedStaff = null;
-        try {
-            assignedStaff = await Staff.getNextAvailableForConsultations();
-            if (assignedStaff) {
-                await Consultation.update(consultation.id, { assignedTo: assignedStaff.id });
-                consultation.assigned_to = assignedStaff.id;
-                consultation.assigned_to_name = assignedStaff.name;
-                console.log(`Consultation ${consultation.id} auto-assigned to ${assignedStaff.name}`);
-            }
-        } catch (assignError) {
-            console.error('Auto-assign error (non-fatal):', assignError);
-            // Continue without assignment - not a critical error
-        }
+        // Self-service reschedule/cancel link, valid until the consultation starts
+        const manageToken = crypto.randomBytes(32).toString('hex');
+        const startsAt = await AvailabilityService.getBookingStart(booking_date, timeForDb);
+        await Consultation.setManageToken(consultation.id, BookingManageService.hashToken(manageToken), startsAt);
 
         // Send email notifications (async - don't wait)
-        sendBookingConfirmation(consultation).catch(err => console.error('Email error:', err));
+        sendBookingConfirmation(consultation, manageUrlFor(manageToken)).catch(err => console.error('Email error:', err));
         sendBookingNotification(consultation, assignedStaff).catch(err => console.error('Email error:', err));
 
         res.status(201).json({
@@ -187,68 +213,556 @@ router.get('/stats', authMiddleware, hasPermission('can_manage_consultations'),
 
 /**
  * GET /api/consultation/slots
- * Get available time slots for a date
+ * Free slots on a date in the visitor's timezone (public).
+ * Query: date (YYYY-MM-DD, visitor-local), timezone (IANA, defaults to the
+ * business timezone). Each slot carries its UTC start, the business-local
+ * date/time to submit back when booking, and the visitor-local time to show.
  */
 router.get('/slots', async (req, res) => {
     try {
         const { date } = req.query;
 
-        if (!date) {
+        if (!date || !DATE_PATTERN.test(date)) {
             return res.status(400).json({
                 success: false,
                 message: 'Date is required'
             });
         }
 
-        // Check if date is in the past or a weekend
-        const selectedDate = new Date(date + 'T00:00:00');
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const settings = await AvailabilityService.getBookingSettings();
+        const timezone = isValidTimeZone(req.query.timezone) ? req.query.timezone : settings.timezone;
+        const slots = await AvailabilityService.getSlotsForVisitorDate(date, timezone);
 
-        if (selectedDate < today) {
-            return res.json({ success: true, data: [], bookedSlots: [] });
+        res.json({ success: true, data: slots, timezone, businessTimezone: settings.timezone });
+    } catch (error) {
+        console.error('Get slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve available slots'
+        });
+    }
+});
+
+/**
+ * GET /api/consultation/availability
+ * Visitor-local dates between from and to (max 62 days) that have at least
+ * one free slot, so the booking calendar can disable the rest (public)
+ */
+router.get('/availability', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to || addDays(from, 62) < to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid from and to dates are required (at most 62 days apart)'
+            });
         }
 
-        const dayOfWeek = selectedDate.getDay();
-        if (dayOfWeek === 0 || dayOfWeek === 6) {
-            return res.json({ success: true, data: [], bookedSlots: [] });
+        const settings = await AvailabilityService.getBookingSettings();
+        const timezone = isValidTimeZone(req.query.timezone) ? req.query.timezone : settings.timezone;
+        const dates = await AvailabilityService.getAvailableDates(from, to, timezone);
+
+        res.json({ success: true, data: dates, timezone, bookingWindowDays: settings.windowDays });
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve availability'
+        });
+    }
+});
+
+/**
+ * GET /api/consultations/availability/staff
+ * All active consultants with their weekly working hours
+ */
+router.get('/availability/staff', authMiddleware, hasPermission('can_manage_consultations'), async (req, res) => {
+    try {
+        const [staff, hours] = await Promise.all([
+            db.query(
+                `SELECT id, name, COALESCE(accepts_bookings, true) AS accepts_bookings FROM staff
+                 WHERE is_active = true AND can_manage_consultations = true
+                 ORDER BY name`
+            ),
+            db.query(
+                `SELECT staff_id, day_of_week, start_time, end_time FROM consultant_availability
+                 ORDER BY day_of_week, start_time`
+            )
+        ]);
+
+        const data = staff.rows.map(s => ({
+            ...s,
+            hours: hours.rows.filter(h => h.staff_id === s.id)
+        }));
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Get consultants availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve working hours'
+        });
+    }
+});
+
+/**
+ * GET /api/consultations/availability/staff/:staffId
+ * A consultant's weekly working hours. An empty list means they follow the
+ * company business hours.
+ */
+router.get('/availability/staff/:staffId', authMiddleware, hasPermission('can_manage_consultations'), async (req, res) => {
+    try {
+        const [staff, hours] = await Promise.all([
+            db.query('SELECT id, name, accepts_bookings FROM staff WHERE id = $1', [req.params.staffId]),
+            db.query(
+                `SELECT id, day_of_week, start_time, end_time FROM consultant_availability
+                 WHERE staff_id = $1 ORDER BY day_of_week, start_time`,
+                [req.params.staffId]
+            )
+        ]);
+
+        if (staff.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
         }
 
-        // Get booked slots for this date
-        const bookedResult = await db.query(
-            `SELECT booking_time FROM consultations
-             WHERE booking_date = $1 AND status != 'cancelled'`,
-            [date]
+        res.json({ success: true, data: { ...staff.rows[0], hours: hours.rows } });
+    } catch (error) {
+        console.error('Get consultant availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve working hours'
+        });
+    }
+});
+
+/**
+ * PUT /api/consultations/availability/staff/:staffId
+ * Replace a consultant's weekly working hours and booking opt-in.
+ * Body: { accepts_bookings?, hours: [{ day_of_week, start_time, end_time }] }
+ * Consultants may edit their own; admins and managers anyone's.
+ */
+router.put('/availability/staff/:staffId', authMiddleware, hasPermission('can_manage_consultations'), [
+    body('hours').isArray().withMessage('hours must be a list'),
+    body('hours.*.day_of_week').isInt({ min: 0, max: 6 }).withMessage('day_of_week must be 0 (Sunday) to 6 (Saturday)'),
+    body('hours.*.start_time').matches(TIME_PATTERN).withMessage('start_time must be HH:MM'),
+    body('hours.*.end_time').matches(TIME_PATTERN).withMessage('end_time must be HH:MM'),
+    body('accepts_bookings').optional().isBoolean()
+], async (req, res) => {
+    const { staffId } = req.params;
+    if (staffId !== req.user.id && !['admin', 'manager'].includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You can only change your own working hours'
+        });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: errors.array()[0].msg,
+            errors: errors.array()
+        });
+    }
+
+    const { hours, accepts_bookings } = req.body;
+    if (hours.some(h => timeToMinutes(h.end_time) <= timeToMinutes(h.start_time))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Each end_time must be after its start_time'
+        });
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const staff = await client.query('SELECT id FROM staff WHERE id = $1', [staffId]);
+        if (staff.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+
+        await client.query('DELETE FROM consultant_availability WHERE staff_id = $1', [staffId]);
+        for (const h of hours) {
+            await client.query(
+                `INSERT INTO consultant_availability (staff_id, day_of_week, start_time, end_time)
+                 VALUES ($1, $2, $3, $4)`,
+                [staffId, h.day_of_week, h.start_time, h.end_time]
+            );
+        }
+        if (accepts_bookings !== undefined) {
+            await client.query('UPDATE staff SET accepts_bookings = $1 WHERE id = $2', [accepts_bookings, staffId]);
+        }
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'consultant_hours_updated',
+            entityType: 'staff',
+            entityId: staffId,
+            details: { hours, accepts_bookings },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Working hours updated' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update consultant availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update working hours'
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * GET /api/consultations/blackouts
+ * Upcoming blackout dates plus the computed public holidays for the
+ * current and next year
+ */
+router.get('/blackouts', authMiddleware, hasPermission('can_manage_consultations'), async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT b.id, b.blackout_date::text AS blackout_date, b.staff_id, s.name AS staff_name,
+                    b.blackout_type, b.reason, b.created_at
+             FROM booking_blackouts b
+             LEFT JOIN staff s ON b.staff_id = s.id
+             WHERE b.blackout_date >= CURRENT_DATE
+             ORDER BY b.blackout_date ASC`
         );
 
-        // Convert database times to display format
-        const bookedSlots = bookedResult.rows.map(row => {
-            const time = row.booking_time;
-            if (typeof time === 'string' && time.includes(':')) {
-                let [hours, minutes] = time.split(':');
-                hours = parseInt(hours);
-                const period = hours >= 12 ? 'PM' : 'AM';
-                if (hours > 12) {
-                    hours -= 12;
-                }
-                if (hours === 0) {
-                    hours = 12;
-                }
-                return `${String(hours).padStart(2, '0')}:${minutes.substring(0, 2)} ${period}`;
-            }
-            return time;
+        const year = new Date().getFullYear();
+        const holidays = [...getNigerianHolidays(year), ...getNigerianHolidays(year + 1)];
+
+        res.json({ success: true, data: result.rows, holidays });
+    } catch (error) {
+        console.error('Get blackouts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve blackout dates'
         });
+    }
+});
 
-        res.json({ success: true, data: [], bookedSlots });
+/**
+ * POST /api/consultations/blackouts
+ * Close a date for bookings - company-wide (no staff_id) or for one
+ * consultant. Existing bookings on the date are left for staff to handle.
+ */
+router.post('/blackouts', authMiddleware, managerOrAbove, [
+    body('blackout_date').matches(DATE_PATTERN).withMessage('blackout_date must be YYYY-MM-DD'),
+    body('staff_id').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid staff_id'),
+    body('blackout_type').optional().isIn(['holiday', 'blackout']).withMessage('blackout_type must be holiday or blackout'),
+    body('reason').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: errors.array()[0].msg,
+                errors: errors.array()
+            });
+        }
+
+        const { blackout_date, staff_id, blackout_type, reason } = req.body;
+        const result = await db.query(
+            `INSERT INTO booking_blackouts (blackout_date, staff_id, blackout_type, reason, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, blackout_date::text AS blackout_date, staff_id, blackout_type, reason`,
+            [blackout_date, staff_id || null, blackout_type || 'blackout', reason || null, req.user.id]
+        );
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'booking_blackout_created',
+            entityType: 'booking_blackout',
+            entityId: result.rows[0].id,
+            details: { blackout_date, staff_id: staff_id || null, blackout_type: result.rows[0].blackout_type, reason },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: result.rows[0] });
     } catch (error) {
-        console.error('Get slots error:', error);
+        console.error('Create blackout error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to retrieve available slots'
+            message: 'Failed to create blackout date'
         });
     }
 });
 
+/**
+ * DELETE /api/consultations/blackouts/:id
+ * Reopen a blacked-out date
+ */
+router.delete('/blackouts/:id', authMiddleware, managerOrAbove, async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM booking_blackouts WHERE id = $1 RETURNING blackout_date::text AS blackout_date, staff_id',
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blackout date not found'
+            });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'booking_blackout_deleted',
+            entityType: 'booking_blackout',
+            entityId: req.params.id,
+            details: result.rows[0],
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Blackout date removed' });
+    } catch (error) {
+        console.error('Delete blackout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove blackout date'
+        });
+    }
+});
+
+/**
+ * Resolve a manage-booking token from the URL. Sends the error response and
+ * returns null if the token is unknown or, when `forChange` is set, if the
+ * booking can no longer be changed.
+ */
+async function loadManagedBooking(req, res, { forChange = false } = {}) {
+    const consultation = await BookingManageService.findByToken(req.params.token);
+    if (!consultation) {
+        res.status(404).json({ success: false, message: 'This booking link is invalid.' });
+        return null;
+    }
+    const changeError = forChange ? BookingManageService.getChangeError(consultation) : null;
+    if (changeError) {
+        res.status(changeError.status).json({ success: false, message: changeError.message });
+        return null;
+    }
+    return consultation;
+}
+
+/**
+ * GET /api/consultation/manage/:token
+ * Public (unauthenticated) - the client follows the link in their booking
+ * confirmation email to view the booking. Token is looked up by hash, never
+ * stored raw, same pattern as contract acceptance tokens.
+ */
+router.get('/manage/:token', bookingManageLimiter, async (req, res) => {
+    try {
+        const consultation = await loadManagedBooking(req, res);
+        if (!consultation) {
+            return;
+        }
+        res.json({ success: true, data: await BookingManageService.toManagedView(consultation) });
+    } catch (error) {
+        console.error('Get managed booking error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load booking' });
+    }
+});
+
+/**
+ * GET /api/consultation/manage/:token/availability
+ * Public - same as GET /availability, but the booking's own slot counts as
+ * free so the client can see it among the options
+ */
+router.get('/manage/:token/availability', bookingManageLimiter, async (req, res) => {
+    try {
+        const consultation = await loadManagedBooking(req, res, { forChange: true });
+        if (!consultation) {
+            return;
+        }
+
+        const { from, to } = req.query;
+        if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to || addDays(from, 62) < to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid from and to dates are required (at most 62 days apart)'
+            });
+        }
+
+        const settings = await AvailabilityService.getBookingSettings();
+        const timezone = isValidTimeZone(req.query.timezone) ? req.query.timezone : settings.timezone;
+        const dates = await AvailabilityService.getAvailableDates(from, to, timezone, { excludeConsultationId: consultation.id });
+
+        res.json({ success: true, data: dates, timezone });
+    } catch (error) {
+        console.error('Get managed booking availability error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve availability' });
+    }
+});
+
+/**
+ * GET /api/consultation/manage/:token/slots
+ * Public - free slots on a visitor-local date for rescheduling into
+ */
+router.get('/manage/:token/slots', bookingManageLimiter, async (req, res) => {
+    try {
+        const consultation = await loadManagedBooking(req, res, { forChange: true });
+        if (!consultation) {
+            return;
+        }
+
+        const { date } = req.query;
+        if (!date || !DATE_PATTERN.test(date)) {
+            return res.status(400).json({ success: false, message: 'Date is required' });
+        }
+
+        const settings = await AvailabilityService.getBookingSettings();
+        const timezone = isValidTimeZone(req.query.timezone) ? req.query.timezone : settings.timezone;
+        const slots = await AvailabilityService.getSlotsForVisitorDate(date, timezone, { excludeConsultationId: consultation.id });
+
+        res.json({ success: true, data: slots, timezone });
+    } catch (error) {
+        console.error('Get managed booking slots error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve available slots' });
+    }
+});
+
+/**
+ * POST /api/consultation/manage/:token/reschedule
+ * Public - move the booking into a free slot. The current consultant keeps
+ * it if they're free at the new time; otherwise it goes to whoever is.
+ */
+router.post('/manage/:token/reschedule', bookingManageLimiter, [
+    body('booking_date').matches(DATE_PATTERN).withMessage('Date is required'),
+    body('booking_time').matches(TIME_PATTERN).withMessage('Time is required'),
+    body('timezone').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: errors.array()[0].msg,
+                errors: errors.array()
+            });
+        }
+
+        const consultation = await loadManagedBooking(req, res, { forChange: true });
+        if (!consultation) {
+            return;
+        }
+
+        const { booking_date, booking_time } = req.body;
+        const { consultation: updated, assignedTo, error } = await BookingManageService.rescheduleBooking(consultation, {
+            bookingDate: booking_date,
+            bookingTime: booking_time,
+            timezone: isValidTimeZone(req.body.timezone) ? req.body.timezone : null
+        });
+        if (error === 'unavailable') {
+            return res.status(409).json({
+                success: false,
+                message: 'This time slot is no longer available. Please choose another time.'
+            });
+        }
+        if (error === 'closed') {
+            return res.status(409).json({ success: false, message: 'This consultation can no longer be changed.' });
+        }
+
+        const previous = {
+            date: toDateString(consultation.booking_date),
+            time: String(consultation.booking_time).slice(0, 5),
+            assignedTo: consultation.assigned_to
+        };
+
+        await AuditService.log({
+            staffId: null,
+            action: 'consultation_rescheduled_by_client',
+            entityType: 'consultation',
+            entityId: consultation.id,
+            details: {
+                from: previous,
+                to: { date: booking_date, time: booking_time.slice(0, 5), assignedTo }
+            },
+            ipAddress: req.ip
+        });
+
+        // If the booking moved to a different consultant, the one who lost
+        // it needs to hear about it too
+        const staffIds = [...new Set([assignedTo, previous.assignedTo].filter(Boolean))];
+        const staffToNotify = await Promise.all(staffIds.map(id => Staff.findById(id)));
+        sendBookingRescheduled(updated, manageUrlFor(req.params.token)).catch(err => console.error('Email error:', err));
+        sendBookingClientChangeNotification(updated, {
+            action: 'rescheduled',
+            previousDate: previous.date,
+            previousTime: consultation.booking_time
+        }, staffToNotify).catch(err => console.error('Email error:', err));
+
+        res.json({ success: true, message: 'Your consultation has been rescheduled.', data: await BookingManageService.toManagedView(updated) });
+    } catch (error) {
+        console.error('Reschedule booking error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reschedule. Please try again.' });
+    }
+});
+
+/**
+ * POST /api/consultation/manage/:token/cancel
+ * Public - cancel the booking, with an optional reason for staff
+ */
+router.post('/manage/:token/cancel', bookingManageLimiter, [
+    body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason is too long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: errors.array()[0].msg,
+                errors: errors.array()
+            });
+        }
+
+        const consultation = await loadManagedBooking(req, res, { forChange: true });
+        if (!consultation) {
+            return;
+        }
+
+        const reason = req.body.reason || null;
+        const updated = await Consultation.cancelByClient(consultation.id, reason);
+        if (!updated) {
+            // Cancelled or completed since the link was opened
+            return res.status(409).json({ success: false, message: 'This consultation can no longer be changed.' });
+        }
+
+        await AuditService.log({
+            staffId: null,
+            action: 'consultation_cancelled_by_client',
+            entityType: 'consultation',
+            entityId: consultation.id,
+            details: { previousStatus: consultation.status, reason },
+            ipAddress: req.ip
+        });
+
+        const assignedStaff = consultation.assigned_to ? await Staff.findById(consultation.assigned_to) : null;
+        sendBookingStatusCancelled(updated).catch(err => console.error('Email error:', err));
+        sendBookingClientChangeNotification(updated, { action: 'cancelled', reason }, [assignedStaff])
+            .catch(err => console.error('Email error:', err));
+
+        res.json({ success: true, message: 'Your consultation has been cancelled.', data: await BookingManageService.toManagedView(updated) });
+    } catch (error) {
+        console.error('Cancel booking error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel. Please try again.' });
+    }
+});
+
 /**
  * GET /api/consultations
  * Get all consultations (admin) or filtered by assigned_to (staff)
@@ -321,6 +835,7 @@ router.get('/:id', authMiddleware, hasPermission('can_manage_consultations'), as
  */
 router.patch('/:id', authMiddleware, hasPermission('can_manage_consultations'), async (req, res) => {
     try {
+        const previous = await Consultation.findById(req.params.id);
         const consultation = await Consultation.update(req.params.id, req.body);
         if (!consultation) {
             return res.status(404).json({
@@ -329,6 +844,24 @@ router.patch('/:id', authMiddleware, hasPermission('can_manage_consultations'),
             });
         }
 
+        // Staff moved the time: re-arm the reminder, keep the client's manage
+        // link alive until the new start, and send an updated calendar invite
+        const moved = toDateString(previous.booking_date) !== toDateString(consultation.booking_date) ||
+            String(previous.booking_time).slice(0, 5) !== String(consultation.booking_time).slice(0, 5);
+        if (moved && consultation.status !== 'cancelled') {
+            await Consultation.update(consultation.id, { reminderSent: false });
+            if (consultation.manage_token_hash) {
+                const startsAt = await AvailabilityService.getBookingStart(consultation.booking_date, consultation.booking_time);
+                await Consultation.setManageToken(consultation.id, consultation.manage_token_hash, startsAt);
+            }
+            sendBookingRescheduled(consultation).catch(err => console.error('Email error:', err));
+        }
+
+        // Marked completed here rather than through /status
+        if (consultation.status === 'completed' && previous.status !== 'completed') {
+            sendConsultationSurvey(consultation).catch(err => console.error('Survey email error:', err));
+        }
+
         await AuditService.log({
             staffId: req.user.id,
             action: 'consultation_updated',
@@ -392,6 +925,9 @@ router.patch('/:id/status', authMiddleware, hasPermission('can_manage_consultati
                 sendBookingStatusConfirmed(consultation).catch(err => console.error('Email error:', err));
             } else if (status === 'cancelled') {
                 sendBookingStatusCancelled(consultation).catch(err => console.error('Email error:', err));
+            } else if (status === 'completed') {
+                // Ask the client how it went (once per consultation)
+                sendConsultationSurvey(consultation).catch(err => console.error('Survey email error:', err));
             }
         }
 
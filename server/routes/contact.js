@@ -11,6 +11,9 @@ const Visitor = require('../models/Visitor');
 const Staff = require('../models/Staff');
 const { sendContactNotification, sendContactConfirmation } = require('../services/emailService');
 const AuditService = require('../services/auditService');
+const { recordInteraction } = require('../services/contactService');
+const { runAutomationRules } = require('../services/automationService');
+const { buildConfirmationHeaders, buildThreadHeaders } = require('../services/inboundEmailService');
 const { authMiddleware, hasPermission } = require('../middleware/auth');
 
 // Validation rules
@@ -58,15 +61,29 @@ router.post('/', contactValidation, async (req, res) => {
             visitorId: visitor.id
         });
 
-        // Auto-assign to available staff
+        // Keep their contact record up to date (non-critical)
+        recordInteraction({ email, name, company }).catch(err => console.error('Contact update error (non-fatal):', err));
+
+        // Automation rules first (tags, assignment, saved replies...)
         let assignedStaff = null;
         try {
-            assignedStaff = await Staff.getNextAvailableForMessages();
+            ({ assignedStaff } = await runAutomationRules('message', newMessage.id));
+        } catch (automationError) {
+            console.error('Automation rules error (non-fatal):', automationError);
+        }
+
+        // Otherwise auto-assign to available staff
+        try {
+            if (!assignedStaff) {
+                assignedStaff = await Staff.getNextAvailableForMessages();
+                if (assignedStaff) {
+                    await Message.assign(newMessage.id, assignedStaff.id);
+                    console.log(`Message ${newMessage.id} auto-assigned to ${assignedStaff.name}`);
+                }
+            }
             if (assignedStaff) {
-                await Message.assign(newMessage.id, assignedStaff.id);
                 newMessage.assigned_to = assignedStaff.id;
                 newMessage.assigned_to_name = assignedStaff.name;
-                console.log(`Message ${newMessage.id} auto-assigned to ${assignedStaff.name}`);
             }
         } catch (assignError) {
             console.error('Auto-assign error (non-fatal):', assignError);
@@ -75,7 +92,7 @@ router.post('/', contactValidation, async (req, res) => {
 
         // Send email notifications (async, don't wait)
         sendContactNotification(newMessage, assignedStaff).catch(console.error);
-        sendContactConfirmation(newMessage).catch(console.error);
+        sendContactConfirmation(newMessage, buildConfirmationHeaders(newMessage)).catch(console.error);
 
         res.status(201).json({
             success: true,
@@ -233,7 +250,11 @@ router.post('/:id/reply', authMiddleware, hasPermission('can_manage_messages'),
         if (sendEmail) {
             try {
                 const { sendReplyEmail } = require('../services/emailService');
-                await sendReplyEmail(message.email, content, message.name);
+                // Threaded, with a Reply-To that brings the client's answer
+                // back to this message
+                const thread = await buildThreadHeaders(message, reply.id);
+                await sendReplyEmail(message.email, content, message.name, thread);
+                await Message.setReplyEmailId(reply.id, thread.messageId);
                 emailSent = true;
                 console.log(`Reply email sent to ${message.email}`);
             } catch (err) {
@@ -0,0 +1,333 @@
+/**
+ * Contacts Routes
+ * One record per client across their messages, consultations, chats and
+ * website visits (see services/contactService.js), with the whole history
+ * in one timeline. Notes and tags go through /api/notes and /api/tags
+ * with entity type "contact".
+ *
+ * Anyone who handles messages, consultations or chats can open contacts;
+ * each part of the timeline still needs its own permission.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authMiddleware, hasPermission, userHasPermission } = require('../middleware/auth');
+const { paginationMiddleware } = require('../middleware/pagination');
+const AuditService = require('../services/auditService');
+const {
+    findContactIdByEmail,
+    getContactGroup,
+    getMergeError,
+    mergeContacts,
+    unmergeContact,
+    getTimeline
+} = require('../services/contactService');
+
+const contactAccess = hasPermission('can_manage_messages', 'can_manage_consultations', 'can_manage_chats');
+
+// Interaction counts for a contact row aliased c, across it and the
+// contacts merged into it
+const GROUP_EMAILS = 'SELECT g.email FROM contacts g WHERE g.id = c.id OR g.merged_into_id = c.id';
+const COUNT_COLUMNS = `
+    (SELECT COUNT(*)::int FROM messages m WHERE LOWER(TRIM(m.email)) IN (${GROUP_EMAILS})) AS message_count,
+    (SELECT COUNT(*)::int FROM consultations co WHERE LOWER(TRIM(co.email)) IN (${GROUP_EMAILS})) AS consultation_count,
+    (SELECT COUNT(*)::int FROM chat_sessions cs WHERE LOWER(TRIM(cs.visitor_email)) IN (${GROUP_EMAILS})) AS chat_count`;
+
+/**
+ * Drop the counts of things the user isn't allowed to see
+ */
+const visibleCounts = (user, contact) => ({
+    ...contact,
+    message_count: userHasPermission(user, 'can_manage_messages') ? contact.message_count : null,
+    consultation_count: userHasPermission(user, 'can_manage_consultations') ? contact.consultation_count : null,
+    chat_count: userHasPermission(user, 'can_manage_chats') ? contact.chat_count : null
+});
+
+/**
+ * GET /api/contacts
+ * List contacts, most recently in touch first. ?search= matches the name,
+ * email or company of the contact or any contact merged into it; merged
+ * contacts are only listed on their own with ?includeMerged=true.
+ */
+router.get('/',
+    authMiddleware,
+    contactAccess,
+    paginationMiddleware({
+        limit: 25,
+        maxLimit: 100,
+        allowedSortFields: ['last_interaction_at', 'name', 'email', 'created_at'],
+        sortField: 'last_interaction_at',
+        sortOrder: 'DESC'
+    }),
+    async (req, res) => {
+        try {
+            const { limit, offset, sortField, sortOrder, search } = req.pagination;
+            const conditions = [];
+            const params = [];
+
+            if (req.query.includeMerged !== 'true') {
+                conditions.push('c.merged_into_id IS NULL');
+            }
+            if (search) {
+                params.push(`%${search}%`);
+                conditions.push(`EXISTS (
+                    SELECT 1 FROM contacts g
+                    WHERE (g.id = c.id OR g.merged_into_id = c.id)
+                      AND (g.email ILIKE $${params.length} OR g.name ILIKE $${params.length} OR g.company ILIKE $${params.length})
+                )`);
+            }
+            const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const [dataResult, countResult] = await Promise.all([
+                db.query(
+                    `SELECT c.*,
+                            (SELECT COUNT(*)::int FROM contacts g WHERE g.merged_into_id = c.id) AS merged_count,
+                            ${COUNT_COLUMNS}
+                     FROM contacts c
+                     ${where}
+                     ORDER BY c.${sortField} ${sortOrder} NULLS LAST, c.id
+                     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                    [...params, limit, offset]
+                ),
+                db.query(`SELECT COUNT(*)::int AS total FROM contacts c ${where}`, params)
+            ]);
+
+            res.json(req.pagination.buildResponse(
+                dataResult.rows.map(contact => visibleCounts(req.user, contact)),
+                countResult.rows[0].total
+            ));
+        } catch (error) {
+            console.error('List contacts error:', error);
+            res.status(500).json({ success: false, message: 'Failed to retrieve contacts' });
+        }
+    }
+);
+
+/**
+ * GET /api/contacts/lookup?email=
+ * The contact for an email address - the one it's merged into, if it has
+ * been. Used to get from a message, consultation or chat to its contact.
+ */
+router.get('/lookup', authMiddleware, contactAccess, [
+    query('email').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const id = await findContactIdByEmail(req.query.email);
+        if (!id) {
+            return res.status(404).json({ success: false, message: 'No contact with that email' });
+        }
+        res.json({ success: true, data: { id } });
+    } catch (error) {
+        console.error('Contact lookup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to look up contact' });
+    }
+});
+
+/**
+ * GET /api/contacts/:id
+ * A contact's profile: their details, the contacts merged into it, tags,
+ * interaction counts, website visits and newsletter subscription. A
+ * merged contact comes back with merged_into_id set, for the caller to
+ * open that one instead.
+ */
+router.get('/:id', authMiddleware, contactAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const contact = await db.query(
+            `SELECT c.*, ${COUNT_COLUMNS} FROM contacts c WHERE c.id = $1`,
+            [req.params.id]
+        );
+        if (!contact.rows.length) {
+            return res.status(404).json({ success: false, message: 'Contact not found' });
+        }
+        if (contact.rows[0].merged_into_id) {
+            return res.json({ success: true, data: visibleCounts(req.user, contact.rows[0]) });
+        }
+
+        const group = await getContactGroup(req.params.id);
+        const [tags, visits, newsletter] = await Promise.all([
+            // entity_ids: which of the group's contacts carry the tag
+            db.query(
+                `SELECT t.id, t.name, t.color, ARRAY_AGG(et.entity_id) AS entity_ids
+                 FROM tags t
+                 JOIN entity_tags et ON et.tag_id = t.id
+                 WHERE et.entity_type = 'contact' AND et.entity_id = ANY($1)
+                 GROUP BY t.id
+                 ORDER BY t.name`,
+                [group.ids]
+            ),
+            db.query(
+                `SELECT MIN(first_visit) AS first_visit, MAX(last_visit) AS last_visit,
+                        COALESCE(SUM(page_views), 0)::int AS page_views,
+                        (ARRAY_AGG(source ORDER BY first_visit) FILTER (WHERE source IS NOT NULL))[1] AS first_source
+                 FROM visitors WHERE LOWER(TRIM(email)) = ANY($1)`,
+                [group.emails]
+            ),
+            db.query(
+                `SELECT email, is_active, subscribed_at, unsubscribed_at
+                 FROM newsletter_subscribers WHERE LOWER(TRIM(email)) = ANY($1)`,
+                [group.emails]
+            )
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...visibleCounts(req.user, contact.rows[0]),
+                merged: group.merged.map(({ id, email, name, company, merged_at, merged_by_name }) => ({
+                    id, email, name, company, merged_at, merged_by_name
+                })),
+                tags: tags.rows,
+                visits: visits.rows[0].first_visit ? visits.rows[0] : null,
+                newsletter: newsletter.rows
+            }
+        });
+    } catch (error) {
+        console.error('Get contact error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve contact' });
+    }
+});
+
+/**
+ * GET /api/contacts/:id/timeline
+ * Every interaction with the contact (and the contacts merged into it),
+ * newest first: messages and the email replies on them, consultations,
+ * chats, first website visits, newsletter sign-ups and internal notes.
+ * ?limit= caps the number of items (default 100, at most 500).
+ */
+router.get('/:id/timeline', authMiddleware, contactAccess, [
+    param('id').isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const group = await getContactGroup(req.params.id);
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Contact not found' });
+        }
+        if (group.contact.merged_into_id) {
+            return res.status(409).json({
+                success: false,
+                message: 'This contact has been merged - open the contact it was merged into',
+                data: { mergedIntoId: group.contact.merged_into_id }
+            });
+        }
+
+        const items = await getTimeline(group, req.user, { limit: req.query.limit });
+        res.json({ success: true, data: items });
+    } catch (error) {
+        console.error('Get contact timeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve timeline' });
+    }
+});
+
+/**
+ * POST /api/contacts/:id/merge
+ * Merge another contact (sourceId) into this one - for a client who has
+ * written in from more than one address. Can be undone with unmerge.
+ */
+router.post('/:id/merge', authMiddleware, contactAccess, [
+    param('id').isUUID(),
+    body('sourceId').isUUID().withMessage('Choose the contact to merge in')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const locked = await client.query(
+            'SELECT * FROM contacts WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+            [[req.params.id, req.body.sourceId]]
+        );
+        const target = locked.rows.find(row => row.id === req.params.id);
+        const source = locked.rows.find(row => row.id === req.body.sourceId);
+        const mergeError = getMergeError(target, source);
+        if (mergeError) {
+            await client.query('ROLLBACK');
+            return res.status(!target || !source ? 404 : 400).json({ success: false, message: mergeError });
+        }
+
+        const { moved } = await mergeContacts(target, source, req.user.id, client);
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'contact_merged',
+            entityType: 'contact',
+            entityId: target.id,
+            details: { sourceId: source.id, sourceEmail: source.email, movedContactIds: moved },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: `${source.email} merged into ${target.email}` });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Merge contacts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to merge contacts' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/contacts/:id/unmerge
+ * Split a merged contact back out of the contact it was merged into
+ */
+router.post('/:id/unmerge', authMiddleware, contactAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const existing = await db.query('SELECT * FROM contacts WHERE id = $1', [req.params.id]);
+        const contact = existing.rows[0];
+        if (!contact) {
+            return res.status(404).json({ success: false, message: 'Contact not found' });
+        }
+        if (!contact.merged_into_id) {
+            return res.status(400).json({ success: false, message: 'This contact isn\'t merged into another' });
+        }
+
+        await unmergeContact(contact.id);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'contact_unmerged',
+            entityType: 'contact',
+            entityId: contact.merged_into_id,
+            details: { sourceId: contact.id, sourceEmail: contact.email },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: `${contact.email} unmerged` });
+    } catch (error) {
+        console.error('Unmerge contact error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unmerge contact' });
+    }
+});
+
+module.exports = router;
@@ -2,22 +2,149 @@
  * Contract Routes
  * Department contract templates and generated employment contracts,
  * with auto-PDF-on-hire emailed to the new staff member.
+ *
+ * Amendments and renewals are issued as new versions of the original offer
+ * and signed through the same accept link. Signing seals the PDF (stored
+ * in the document vault, SHA-256 recorded) and the company then
+ * countersigns it - see contractService.js. A version's salary reaches
+ * payroll once it's countersigned, and nobody can issue or countersign
+ * their own contract.
  */
 
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { authMiddleware, hrOrAdmin } = require('../middleware/auth');
 const { contractAcceptLimiter } = require('../middleware/rateLimiter');
 const db = require('../config/database');
 const Staff = require('../models/Staff');
 const AuditService = require('../services/auditService');
-const { generateContractPDF } = require('../services/pdfService');
-const { sendContractEmail } = require('../services/emailService');
+const { sendContractEmail, sendContractExecutedEmail } = require('../services/emailService');
+const { downloadDocument } = require('../services/vaultStorage');
+const {
+    toDateText, buildVersionTerms, diffContractTerms, changesSalary, parseSignatureImage,
+    getPreviousVersion, getCurrentVersion, renderContractPDF, sealContract
+} = require('../services/contractService');
 
 const EMPLOYMENT_STATUSES = ['Full-Time', 'Part-Time', 'Contract'];
 
+// Terms shared by offers, amendments and renewals
+const termValidators = [
+    body('startDate').optional({ checkFalsy: true }).isISO8601(),
+    body('endDate').optional({ checkFalsy: true }).isISO8601(),
+    body('offerExpirationDate').optional({ checkFalsy: true }).isISO8601(),
+    body('employmentStatus').optional({ checkFalsy: true }).isIn(EMPLOYMENT_STATUSES),
+    body('basicSalary').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body('housingAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body('transportAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body('utilityAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body('mealAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
+    body('ptoDays').optional({ checkFalsy: true }).isInt({ min: 0 })
+];
+
+const signatureValidators = [
+    body('signatureName').trim().notEmpty().withMessage('Please type your full name to sign').isLength({ max: 255 }),
+    body('signatureImage').optional({ nullable: true, checkFalsy: true }).isString()
+];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Copy a contract's salary terms into payroll. The contract is the one place
+ * compensation is negotiated and typed in, so payroll follows it instead of
+ * keeping a second number that can drift. Returns the salary it replaced.
+ */
+async function syncContractSalary(contract, client) {
+    const oldSalary = await Staff.getSalaryInfo(contract.staff_id, client);
+    await Staff.updateSalary(contract.staff_id, {
+        baseSalary: contract.basic_salary,
+        housingAllowance: contract.housing_allowance,
+        transportAllowance: contract.transport_allowance,
+        utilityAllowance: contract.utility_allowance,
+        mealAllowance: contract.meal_allowance,
+        currency: contract.currency
+    }, client);
+    return oldSalary;
+}
+
+/**
+ * Insert a contract version with a fresh accept token, email it with its
+ * PDF and audit it. `terms` uses column names. Returns { contract, emailed }.
+ */
+async function issueContract(req, staff, terms, { sendEmail: shouldEmail = true } = {}) {
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const tokenExpiresAt = terms.offer_expiration_date
+        ? new Date(terms.offer_expiration_date)
+        : new Date(Date.now() + 14 * 24 * 60 * 60 * 1000); // default 14-day offer window
+
+    const columns = {
+        staff_id: staff.id,
+        contract_type: terms.contract_type || 'offer',
+        original_contract_id: terms.original_contract_id || null,
+        version: terms.version || 1,
+        department: terms.department || null,
+        job_title: terms.job_title,
+        job_description: terms.job_description || null,
+        start_date: terms.start_date || null,
+        end_date: terms.end_date || null,
+        effective_date: terms.effective_date || null,
+        change_summary: terms.change_summary || null,
+        basic_salary: terms.basic_salary,
+        housing_allowance: terms.housing_allowance,
+        transport_allowance: terms.transport_allowance,
+        utility_allowance: terms.utility_allowance,
+        meal_allowance: terms.meal_allowance,
+        gross_salary: terms.gross_salary,
+        currency: terms.currency || 'NGN',
+        generated_by: req.user.id,
+        reporting_to: terms.reporting_to || null,
+        employment_status: terms.employment_status || 'Full-Time',
+        pto_days: terms.pto_days || null,
+        probation_period: terms.probation_period || null,
+        resignation_notice: terms.resignation_notice || null,
+        termination_notice: terms.termination_notice || null,
+        offer_expiration_date: terms.offer_expiration_date || null,
+        sender_name: terms.sender_name || req.user.name || null,
+        sender_title: terms.sender_title || null,
+        acceptance_token_hash: hashToken(rawToken),
+        acceptance_token_expires_at: tokenExpiresAt
+    };
+    const names = Object.keys(columns);
+    const result = await db.query(
+        `INSERT INTO employee_contracts (${names.join(', ')})
+         VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING *`,
+        Object.values(columns)
+    );
+    const contract = result.rows[0];
+
+    const acceptUrl = `${process.env.SITE_URL || 'http://localhost:5500'}/admin/accept-offer.html?token=${rawToken}`;
+    const pdfBuffer = await renderContractPDF(contract, staff);
+
+    let emailed = false;
+    if (shouldEmail !== false) {
+        try {
+            await sendContractEmail(staff, contract.job_title, pdfBuffer, acceptUrl, contract);
+            await db.query('UPDATE employee_contracts SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1', [contract.id]);
+            emailed = true;
+        } catch (emailError) {
+            console.error('Contract email error (contract still generated):', emailError);
+        }
+    }
+
+    await AuditService.log({
+        staffId: req.user.id,
+        action: contract.contract_type === 'offer' ? 'contract_generated' : `contract_${contract.contract_type}_issued`,
+        entityType: 'employee_contract',
+        entityId: contract.id,
+        details: { forStaffId: staff.id, jobTitle: contract.job_title, version: contract.version, emailed },
+        ipAddress: req.ip
+    });
+
+    return { contract, emailed };
+}
+
 const canAccessStaffContracts = (req, staffId) => {
     return req.user.id === staffId || req.user.role === 'admin' || req.user.role === 'hr';
 };
@@ -88,15 +215,7 @@ router.put('/templates/:department', authMiddleware, hrOrAdmin, [
  */
 router.post('/staff/:id', authMiddleware, hrOrAdmin, [
     body('jobTitle').trim().notEmpty().withMessage('Job title is required'),
-    body('startDate').optional({ checkFalsy: true }).isISO8601(),
-    body('offerExpirationDate').optional({ checkFalsy: true }).isISO8601(),
-    body('employmentStatus').optional({ checkFalsy: true }).isIn(EMPLOYMENT_STATUSES),
-    body('basicSalary').optional({ checkFalsy: true }).isFloat({ min: 0 }),
-    body('housingAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
-    body('transportAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
-    body('utilityAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
-    body('mealAllowance').optional({ checkFalsy: true }).isFloat({ min: 0 }),
-    body('ptoDays').optional({ checkFalsy: true }).isInt({ min: 0 })
+    ...termValidators
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -108,10 +227,13 @@ router.post('/staff/:id', authMiddleware, hrOrAdmin, [
         if (!staff) {
             return res.status(404).json({ success: false, message: 'Staff member not found' });
         }
+        if (staff.id === req.user.id) {
+            return res.status(403).json({ success: false, message: 'Someone else has to issue your own contract' });
+        }
         const payrollSalary = await Staff.getSalaryInfo(req.params.id);
 
         const {
-            jobTitle, jobDescription, startDate, sendEmail: shouldEmail,
+            jobTitle, jobDescription, startDate, endDate, sendEmail: shouldEmail,
             department, reportingTo, employmentStatus, ptoDays,
             probationPeriod, resignationNotice, terminationNotice,
             offerExpirationDate, senderName, senderTitle,
@@ -128,58 +250,184 @@ router.post('/staff/:id', authMiddleware, hrOrAdmin, [
         if (basic <= 0) {
             return res.status(400).json({ success: false, message: 'Enter a basic salary for this offer, or set one on the Payroll page first' });
         }
+        if (employmentStatus === 'Contract' && !endDate) {
+            return res.status(400).json({ success: false, message: 'A fixed-term contract needs an end date' });
+        }
+        if (endDate && startDate && endDate <= startDate) {
+            return res.status(400).json({ success: false, message: 'The end date must be after the start date' });
+        }
 
-        const rawToken = crypto.randomBytes(32).toString('hex');
-        const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
-        const tokenExpiresAt = offerExpirationDate
-            ? new Date(offerExpirationDate)
-            : new Date(Date.now() + 14 * 24 * 60 * 60 * 1000); // default 14-day offer window
+        const { contract, emailed } = await issueContract(req, staff, {
+            department: department || staff.department,
+            job_title: jobTitle,
+            job_description: jobDescription,
+            start_date: startDate,
+            end_date: endDate,
+            basic_salary: basic,
+            housing_allowance: housing,
+            transport_allowance: transport,
+            utility_allowance: utility,
+            meal_allowance: meal,
+            gross_salary: gross,
+            currency: payrollSalary?.salary_currency || 'NGN',
+            reporting_to: reportingTo,
+            employment_status: employmentStatus,
+            pto_days: ptoDays,
+            probation_period: probationPeriod,
+            resignation_notice: resignationNotice,
+            termination_notice: terminationNotice,
+            offer_expiration_date: offerExpirationDate,
+            sender_name: senderName,
+            sender_title: senderTitle
+        }, { sendEmail: shouldEmail });
 
-        const result = await db.query(
-            `INSERT INTO employee_contracts (
-                staff_id, department, job_title, job_description, start_date,
-                basic_salary, housing_allowance, transport_allowance, utility_allowance,
-                meal_allowance, gross_salary, currency, generated_by,
-                reporting_to, employment_status, pto_days, probation_period,
-                resignation_notice, termination_notice, offer_expiration_date,
-                sender_name, sender_title, acceptance_token_hash, acceptance_token_expires_at
-            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)
-            RETURNING *`,
-            [req.params.id, department || staff.department, jobTitle, jobDescription || null, startDate || null,
-                basic, housing, transport, utility, meal, gross, payrollSalary?.salary_currency || 'NGN', req.user.id,
-                reportingTo || null, employmentStatus || 'Full-Time', ptoDays || null, probationPeriod || null,
-                resignationNotice || null, terminationNotice || null, offerExpirationDate || null,
-                senderName || req.user.name || null, senderTitle || null, tokenHash, tokenExpiresAt]
-        );
-        const contract = result.rows[0];
+        res.status(201).json({ success: true, data: contract, emailed });
+    } catch (error) {
+        console.error('Generate contract error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate contract' });
+    }
+});
 
-        const acceptUrl = `${process.env.SITE_URL || 'http://localhost:5500'}/admin/accept-offer.html?token=${rawToken}`;
-        const pdfBuffer = await generateContractPDF(contract, staff);
+/**
+ * POST /api/contracts/:id/amend
+ * POST /api/contracts/:id/renew
+ * Issue a new version of a contract for the employee to sign (HR/Admin).
+ * It starts from the signed version in force and changes only what's sent
+ * (same fields as an offer). An amendment needs an effectiveDate; a renewal
+ * of a fixed-term contract needs a later endDate and starts the day after
+ * the current one ends unless told otherwise. Versions that change pay can
+ * only be issued by an Admin, and never for your own contract. Any older
+ * version still waiting for a signature is voided.
+ */
+const issueVersion = (contractType) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
 
-        let emailed = false;
-        if (shouldEmail !== false) {
-            try {
-                await sendContractEmail(staff, jobTitle, pdfBuffer, acceptUrl, contract);
-                await db.query('UPDATE employee_contracts SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1', [contract.id]);
-                emailed = true;
-            } catch (emailError) {
-                console.error('Contract email error (contract still generated):', emailError);
+        const current = await getCurrentVersion(req.params.id);
+        if (!current) {
+            const exists = await db.query('SELECT 1 FROM employee_contracts WHERE id = $1', [req.params.id]);
+            return exists.rows.length
+                ? res.status(409).json({ success: false, message: 'This contract has not been signed yet - send a new offer instead' })
+                : res.status(404).json({ success: false, message: 'Contract not found' });
+        }
+        if (current.staff_id === req.user.id) {
+            return res.status(403).json({ success: false, message: 'Someone else has to amend or renew your own contract' });
+        }
+        const staff = await Staff.findById(current.staff_id);
+        if (!staff) {
+            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        }
+
+        const terms = buildVersionTerms(current, req.body);
+        if (contractType === 'renewal') {
+            const currentEnd = toDateText(current.end_date);
+            if (current.employment_status !== 'Contract' || !currentEnd) {
+                return res.status(400).json({ success: false, message: 'Only fixed-term contracts (employment status "Contract") with an end date can be renewed' });
+            }
+            if (!req.body.endDate || terms.end_date <= currentEnd) {
+                return res.status(400).json({ success: false, message: `The renewed contract must end after the current one (${currentEnd})` });
+            }
+            if (!req.body.startDate) {
+                const dayAfter = new Date(`${currentEnd}T00:00:00Z`);
+                dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+                terms.start_date = dayAfter.toISOString().slice(0, 10);
             }
+        } else if (!diffContractTerms(current, terms).length && !req.body.jobDescription) {
+            return res.status(400).json({ success: false, message: 'Nothing in this amendment differs from the current contract' });
+        }
+        if (terms.employment_status === 'Contract' && !terms.end_date) {
+            return res.status(400).json({ success: false, message: 'A fixed-term contract needs an end date' });
+        }
+        if (terms.basic_salary <= 0) {
+            return res.status(400).json({ success: false, message: 'The basic salary must be more than zero' });
+        }
+        if (changesSalary(current, terms) && req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Only an Admin can issue a contract change that changes pay' });
         }
 
-        await AuditService.log({
-            staffId: req.user.id,
-            action: 'contract_generated',
-            entityType: 'employee_contract',
-            entityId: contract.id,
-            details: { forStaffId: req.params.id, jobTitle, emailed },
-            ipAddress: req.ip
-        });
+        const originalId = current.original_contract_id || current.id;
+        const latest = await db.query(
+            'SELECT MAX(version) AS version FROM employee_contracts WHERE id = $1 OR original_contract_id = $1',
+            [originalId]
+        );
+
+        // Only one version at a time waits for a signature
+        await db.query(
+            `UPDATE employee_contracts SET voided_at = CURRENT_TIMESTAMP
+             WHERE (id = $1 OR original_contract_id = $1) AND accepted_at IS NULL AND voided_at IS NULL`,
+            [originalId]
+        );
+
+        const { contract, emailed } = await issueContract(req, staff, {
+            ...terms,
+            contract_type: contractType,
+            original_contract_id: originalId,
+            version: Number(latest.rows[0].version) + 1,
+            effective_date: contractType === 'amendment' ? req.body.effectiveDate : terms.start_date,
+            change_summary: req.body.changeSummary,
+            offer_expiration_date: req.body.offerExpirationDate,
+            sender_name: req.body.senderName,
+            sender_title: req.body.senderTitle
+        }, { sendEmail: req.body.sendEmail });
 
         res.status(201).json({ success: true, data: contract, emailed });
     } catch (error) {
-        console.error('Generate contract error:', error);
-        res.status(500).json({ success: false, message: 'Failed to generate contract' });
+        console.error(`Issue contract ${contractType} error:`, error);
+        res.status(500).json({ success: false, message: `Failed to issue contract ${contractType}` });
+    }
+};
+
+const versionValidators = [
+    body('jobTitle').optional().trim().notEmpty(),
+    body('changeSummary').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+    ...termValidators
+];
+router.post('/:id/amend', authMiddleware, hrOrAdmin, [
+    body('effectiveDate').isISO8601().withMessage('An effective date is required'),
+    ...versionValidators
+], issueVersion('amendment'));
+router.post('/:id/renew', authMiddleware, hrOrAdmin, versionValidators, issueVersion('renewal'));
+
+/**
+ * GET /api/contracts/expiring?days=60
+ * Fixed-term contracts ending within the next `days` days (or already
+ * ended), with whether a renewal is waiting for a signature (HR/Admin)
+ */
+router.get('/expiring', authMiddleware, hrOrAdmin, [
+    query('days').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const result = await db.query(
+            `SELECT * FROM (
+                SELECT DISTINCT ON (COALESCE(c.original_contract_id, c.id))
+                       c.id, c.staff_id, c.job_title, c.version, c.employment_status,
+                       c.end_date::text AS end_date, s.name AS staff_name, s.department,
+                       EXISTS (
+                           SELECT 1 FROM employee_contracts p
+                           WHERE COALESCE(p.original_contract_id, p.id) = COALESCE(c.original_contract_id, c.id)
+                             AND p.accepted_at IS NULL AND p.voided_at IS NULL
+                       ) AS version_pending
+                FROM employee_contracts c
+                JOIN staff s ON s.id = c.staff_id
+                WHERE c.accepted_at IS NOT NULL AND s.is_active = true
+                ORDER BY COALESCE(c.original_contract_id, c.id), c.version DESC
+             ) current_versions
+             WHERE employment_status = 'Contract' AND end_date::date <= CURRENT_DATE + $1::int
+             ORDER BY end_date`,
+            [parseInt(req.query.days, 10) || 60]
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Expiring contracts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load expiring contracts' });
     }
 });
 
@@ -189,30 +437,34 @@ router.post('/staff/:id', authMiddleware, hrOrAdmin, [
  * their offer before accepting. Token is looked up by hash, never stored
  * raw, same pattern as password-reset tokens. Returns just enough to render
  * the offer; salary fields intentionally included since the candidate is
- * the one person for whom that isn't sensitive.
+ * the one person for whom that isn't sensitive. Amendments come with the
+ * list of terms that change.
  */
 router.get('/accept/:token', contractAcceptLimiter, async (req, res) => {
     try {
-        const tokenHash = crypto.createHash('sha256').update(req.params.token).digest('hex');
         const result = await db.query(
             `SELECT ec.*, s.name AS staff_name, s.email AS staff_email
              FROM employee_contracts ec
              JOIN staff s ON s.id = ec.staff_id
              WHERE ec.acceptance_token_hash = $1`,
-            [tokenHash]
+            [hashToken(req.params.token)]
         );
         const contract = result.rows[0];
         if (!contract) {
             return res.status(404).json({ success: false, message: 'This offer link is invalid.' });
         }
         if (contract.accepted_at) {
-            return res.status(200).json({ success: true, alreadyAccepted: true, data: { acceptedAt: contract.accepted_at, staffName: contract.staff_name } });
+            return res.status(200).json({ success: true, alreadyAccepted: true, data: { acceptedAt: contract.accepted_at, staffName: contract.staff_name, contractType: contract.contract_type } });
+        }
+        if (contract.voided_at) {
+            return res.status(410).json({ success: false, message: 'This document has been replaced by a newer version. Please use the link in the most recent email from HR.' });
         }
         if (contract.acceptance_token_expires_at && new Date(contract.acceptance_token_expires_at) < new Date()) {
             return res.status(410).json({ success: false, message: 'This offer link has expired. Please contact HR for a new offer.' });
         }
 
-        res.json({ success: true, data: contract });
+        const previous = await getPreviousVersion(contract);
+        res.json({ success: true, data: { ...contract, changes: previous ? diffContractTerms(previous, contract) : null } });
     } catch (error) {
         console.error('Get offer for acceptance error:', error);
         res.status(500).json({ success: false, message: 'Failed to load offer' });
@@ -221,22 +473,21 @@ router.get('/accept/:token', contractAcceptLimiter, async (req, res) => {
 
 /**
  * POST /api/contracts/accept/:token
- * Public (unauthenticated) - records the candidate's electronic acceptance:
- * typed full name, timestamp, and IP, then auto-marks the staff record's
- * offer as accepted so Workspace provisioning unlocks without an admin
- * having to manually flip the toggle.
+ * Public (unauthenticated) - records the employee's electronic signature:
+ * typed full name, optionally a drawn signature (PNG data URL), timestamp,
+ * IP and browser. The PDF is sealed with these on it and its SHA-256
+ * recorded. Accepting an offer also marks the staff record's offer as
+ * accepted so Workspace provisioning unlocks without an admin having to
+ * manually flip the toggle. Pay changes wait for the countersignature.
  */
-router.post('/accept/:token', contractAcceptLimiter, [
-    body('signatureName').trim().notEmpty().withMessage('Please type your full name to accept')
-], async (req, res) => {
+router.post('/accept/:token', contractAcceptLimiter, signatureValidators, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const tokenHash = crypto.createHash('sha256').update(req.params.token).digest('hex');
-        const result = await db.query('SELECT * FROM employee_contracts WHERE acceptance_token_hash = $1', [tokenHash]);
+        const result = await db.query('SELECT * FROM employee_contracts WHERE acceptance_token_hash = $1', [hashToken(req.params.token)]);
         const contract = result.rows[0];
         if (!contract) {
             return res.status(404).json({ success: false, message: 'This offer link is invalid.' });
@@ -244,42 +495,85 @@ router.post('/accept/:token', contractAcceptLimiter, [
         if (contract.accepted_at) {
             return res.status(409).json({ success: false, message: 'This offer has already been accepted.' });
         }
+        if (contract.voided_at) {
+            return res.status(410).json({ success: false, message: 'This document has been replaced by a newer version. Please use the link in the most recent email from HR.' });
+        }
         if (contract.acceptance_token_expires_at && new Date(contract.acceptance_token_expires_at) < new Date()) {
             return res.status(410).json({ success: false, message: 'This offer link has expired. Please contact HR for a new offer.' });
         }
 
-        const updated = await db.query(
-            `UPDATE employee_contracts
-             SET accepted_at = CURRENT_TIMESTAMP, accepted_ip = $1, accepted_signature_name = $2
-             WHERE id = $3 RETURNING *`,
-            [req.ip, req.body.signatureName.trim(), contract.id]
-        );
+        const signatureName = req.body.signatureName.trim();
+        const signatureImage = req.body.signatureImage || null;
+        if (signatureImage) {
+            try {
+                parseSignatureImage(signatureImage);
+            } catch (imageError) {
+                return res.status(400).json({ success: false, message: imageError.message });
+            }
+        }
 
-        // Acceptance is what actually makes this person a staff member, not
-        // the earlier Add Staff form submission - they couldn't log in or
-        // use any permission until this moment.
-        await Staff.update(contract.staff_id, { offerAcceptedAt: new Date().toISOString(), isActive: true });
-
-        // The offer's salary terms are the one place compensation is
-        // negotiated and typed in - syncing them into Payroll here (instead
-        // of also accepting manual entry on the Staff/Payroll pages at hire
-        // time) means there's a single source of truth instead of two
-        // numbers that can quietly drift apart.
-        await Staff.updateSalary(contract.staff_id, {
-            baseSalary: contract.basic_salary,
-            housingAllowance: contract.housing_allowance,
-            transportAllowance: contract.transport_allowance,
-            utilityAllowance: contract.utility_allowance,
-            mealAllowance: contract.meal_allowance,
-            currency: contract.currency
-        });
+        const staff = await Staff.findById(contract.staff_id);
+        const signed = {
+            ...contract,
+            accepted_at: new Date(),
+            accepted_ip: req.ip,
+            accepted_signature_name: signatureName,
+            accepted_signature_method: signatureImage ? 'drawn' : 'typed',
+            accepted_signature_image: signatureImage,
+            accepted_user_agent: (req.get('user-agent') || '').slice(0, 500) || null
+        };
+
+        // Sealed before anything is recorded, so a vault outage leaves the
+        // contract unsigned (and the link still usable), never signed
+        // without its PDF
+        const sealed = await sealContract(signed, staff);
+
+        // The signature and the activation it brings land together or not at
+        // all, so the link stays usable if either fails
+        const client = await db.getClient();
+        let updated;
+        try {
+            await client.query('BEGIN');
+            updated = await client.query(
+                `UPDATE employee_contracts
+                 SET accepted_at = $1, accepted_ip = $2, accepted_signature_name = $3,
+                     accepted_signature_method = $4, accepted_signature_image = $5,
+                     accepted_user_agent = $6, sealed_pdf_path = $7, accepted_pdf_sha256 = $8
+                 WHERE id = $9 AND accepted_at IS NULL
+                 RETURNING id, contract_type, version, accepted_at, accepted_pdf_sha256`,
+                [signed.accepted_at, signed.accepted_ip, signatureName, signed.accepted_signature_method,
+                    signatureImage, signed.accepted_user_agent, sealed.path, sealed.hash, contract.id]
+            );
+            if (!updated.rows.length) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, message: 'This offer has already been accepted.' });
+            }
+
+            // Acceptance is what actually makes this person a staff member, not
+            // the earlier Add Staff form submission - they couldn't log in or
+            // use any permission until this moment.
+            if (contract.contract_type === 'offer') {
+                await Staff.update(contract.staff_id, { offerAcceptedAt: new Date().toISOString(), isActive: true }, client);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
         await AuditService.log({
             staffId: contract.staff_id,
-            action: 'offer_accepted',
+            action: contract.contract_type === 'offer' ? 'offer_accepted' : 'contract_signed',
             entityType: 'employee_contract',
             entityId: contract.id,
-            details: { signatureName: req.body.signatureName.trim() },
+            details: {
+                signatureName,
+                signatureMethod: signed.accepted_signature_method,
+                version: contract.version,
+                sha256: sealed.hash
+            },
             ipAddress: req.ip
         });
 
@@ -290,9 +584,144 @@ router.post('/accept/:token', contractAcceptLimiter, [
     }
 });
 
+/**
+ * POST /api/contracts/:id/countersign
+ * Countersign a signed contract for the company (HR/Admin, never your own
+ * contract). The PDF is sealed again with both signatures and the
+ * employee is emailed the fully executed copy. If it's the version in
+ * force, its salary terms go to payroll in the same transaction - a
+ * countersigned amendment or renewal is how a raise reaches payroll.
+ */
+router.post('/:id/countersign', authMiddleware, hrOrAdmin, signatureValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const result = await db.query('SELECT * FROM employee_contracts WHERE id = $1', [req.params.id]);
+        const contract = result.rows[0];
+        if (!contract) {
+            return res.status(404).json({ success: false, message: 'Contract not found' });
+        }
+        if (contract.staff_id === req.user.id) {
+            return res.status(403).json({ success: false, message: 'Someone else has to countersign your own contract' });
+        }
+        if (!contract.accepted_at) {
+            return res.status(409).json({ success: false, message: 'The employee hasn\'t signed this contract yet' });
+        }
+        if (contract.countersigned_at) {
+            return res.status(409).json({ success: false, message: 'This contract has already been countersigned' });
+        }
+
+        const signatureImage = req.body.signatureImage || null;
+        if (signatureImage) {
+            try {
+                parseSignatureImage(signatureImage);
+            } catch (imageError) {
+                return res.status(400).json({ success: false, message: imageError.message });
+            }
+        }
+
+        const staff = await Staff.findById(contract.staff_id);
+        const countersigned = {
+            ...contract,
+            countersigned_at: new Date(),
+            countersigned_by: req.user.id,
+            countersigned_signature_name: req.body.signatureName.trim(),
+            countersigned_signature_image: signatureImage,
+            countersigned_ip: req.ip
+        };
+        const sealed = await sealContract(countersigned, staff);
+
+        const client = await db.getClient();
+        let updated;
+        let oldSalary = null;
+        try {
+            await client.query('BEGIN');
+            updated = await client.query(
+                `UPDATE employee_contracts
+                 SET countersigned_at = $1, countersigned_by = $2, countersigned_signature_name = $3,
+                     countersigned_signature_image = $4, countersigned_ip = $5,
+                     sealed_pdf_path = $6, countersigned_pdf_sha256 = $7
+                 WHERE id = $8 AND countersigned_at IS NULL
+                 RETURNING *`,
+                [countersigned.countersigned_at, req.user.id, countersigned.countersigned_signature_name,
+                    signatureImage, req.ip, sealed.path, sealed.hash, contract.id]
+            );
+            if (!updated.rows.length) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, message: 'This contract has already been countersigned' });
+            }
+
+            // An older version countersigned late mustn't undo a newer one's pay
+            const inForce = await getCurrentVersion(contract.id, client);
+            if (inForce && inForce.id === contract.id) {
+                oldSalary = await syncContractSalary(contract, client);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (contract.contract_type !== 'offer' && oldSalary && changesSalary({
+            basic_salary: oldSalary.base_salary,
+            housing_allowance: oldSalary.housing_allowance,
+            transport_allowance: oldSalary.transport_allowance,
+            utility_allowance: oldSalary.utility_allowance,
+            meal_allowance: oldSalary.meal_allowance
+        }, contract)) {
+            await AuditService.logStaffChange(req.user.id, 'salary_updated', contract.staff_id, {
+                old: {
+                    basic: oldSalary.base_salary, housing: oldSalary.housing_allowance,
+                    transport: oldSalary.transport_allowance, utility: oldSalary.utility_allowance,
+                    meal: oldSalary.meal_allowance
+                },
+                new: {
+                    basic: contract.basic_salary, housing: contract.housing_allowance,
+                    transport: contract.transport_allowance, utility: contract.utility_allowance,
+                    meal: contract.meal_allowance
+                },
+                contractId: contract.id,
+                issuedBy: contract.generated_by
+            }, req.ip);
+        }
+
+        let emailed = false;
+        try {
+            await sendContractExecutedEmail(staff, updated.rows[0], sealed.buffer);
+            emailed = true;
+        } catch (emailError) {
+            console.error('Executed contract email error (countersignature still recorded):', emailError);
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'contract_countersigned',
+            entityType: 'employee_contract',
+            entityId: contract.id,
+            details: { forStaffId: contract.staff_id, version: contract.version, sha256: sealed.hash, emailed },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            data: { id: contract.id, countersignedAt: countersigned.countersigned_at, sha256: sealed.hash },
+            emailed
+        });
+    } catch (error) {
+        console.error('Countersign contract error:', error);
+        res.status(500).json({ success: false, message: 'Failed to countersign contract' });
+    }
+});
+
 /**
  * GET /api/contracts/staff/:id
- * List a staff member's contract history (self, or HR/Admin)
+ * List a staff member's contract history - every version, with where it
+ * is in signing (self, or HR/Admin)
  */
 router.get('/staff/:id', authMiddleware, async (req, res) => {
     try {
@@ -300,8 +729,16 @@ router.get('/staff/:id', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
         const result = await db.query(
-            `SELECT id, job_title, department, start_date, gross_salary, currency, emailed_at, generated_at
-             FROM employee_contracts WHERE staff_id = $1 ORDER BY generated_at DESC`,
+            `SELECT ec.id, ec.contract_type, ec.version, ec.original_contract_id, ec.job_title, ec.department,
+                    ec.job_description, ec.reporting_to, ec.employment_status,
+                    ec.start_date::text AS start_date, ec.end_date::text AS end_date,
+                    ec.effective_date::text AS effective_date, ec.basic_salary, ec.housing_allowance,
+                    ec.transport_allowance, ec.utility_allowance, ec.meal_allowance, ec.gross_salary, ec.currency,
+                    ec.pto_days, ec.probation_period, ec.resignation_notice, ec.termination_notice,
+                    ec.emailed_at, ec.generated_at, ec.voided_at, ec.accepted_at, ec.accepted_signature_name,
+                    ec.countersigned_at, ec.countersigned_signature_name,
+                    ec.accepted_pdf_sha256, ec.countersigned_pdf_sha256
+             FROM employee_contracts ec WHERE ec.staff_id = $1 ORDER BY ec.generated_at DESC`,
             [req.params.id]
         );
         res.json({ success: true, data: result.rows });
@@ -313,7 +750,9 @@ router.get('/staff/:id', authMiddleware, async (req, res) => {
 
 /**
  * GET /api/contracts/:id/pdf
- * Download a generated contract PDF (self, or HR/Admin)
+ * Download a contract PDF (self, or HR/Admin). Signed contracts return the
+ * sealed copy from the vault byte for byte, so its SHA-256 matches the
+ * recorded one; unsigned ones are rendered on the fly.
  */
 router.get('/:id/pdf', authMiddleware, async (req, res) => {
     try {
@@ -326,11 +765,20 @@ router.get('/:id/pdf', authMiddleware, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
 
-        const staff = await Staff.findById(contract.staff_id);
-        const pdfBuffer = await generateContractPDF(contract, staff);
+        let pdfBuffer;
+        if (contract.sealed_pdf_path) {
+            pdfBuffer = await downloadDocument(contract.sealed_pdf_path);
+            res.setHeader('X-Content-SHA256', contract.countersigned_pdf_sha256 || contract.accepted_pdf_sha256);
+        } else {
+            const staff = await Staff.findById(contract.staff_id);
+            pdfBuffer = await renderContractPDF(contract, staff);
+        }
 
+        const filename = contract.contract_type === 'offer'
+            ? 'employment-contract.pdf'
+            : `contract-${contract.contract_type}-v${contract.version}.pdf`;
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', 'attachment; filename=employment-contract.pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
         res.send(pdfBuffer);
     } catch (error) {
         console.error('Contract PDF error:', error);
@@ -0,0 +1,492 @@
+/**
+ * Data Request Routes
+ * Data subject requests under the NDPA (see services/dataSubjectService.js):
+ * staff log access and erasure requests, the person confirms from an
+ * emailed link, and staff then download the export or run the erasure.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const { dataRequestLimiter, exportLimiter } = require('../middleware/rateLimiter');
+const AuditService = require('../services/auditService');
+const DataSubjectService = require('../services/dataSubjectService');
+
+const REQUEST_TYPES = ['access', 'erasure'];
+const STATUSES = ['awaiting_verification', 'verified', 'completed', 'rejected'];
+const RECEIVED_VIA = ['email', 'phone', 'letter', 'in_person'];
+
+function validationFailed(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+}
+
+const idValidation = [param('id').isUUID().withMessage('Invalid request ID')];
+
+const createValidation = [
+    body('email').trim().isEmail().withMessage('Valid email is required'),
+    body('name').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('requestType').isIn(REQUEST_TYPES).withMessage('Request type must be access or erasure'),
+    body('receivedVia').optional().isIn(RECEIVED_VIA).withMessage('Invalid channel'),
+    body('receivedAt').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid date received'),
+    body('notes').optional({ checkFalsy: true }).trim().isLength({ max: 5000 })
+];
+
+async function loadRequest(req, res) {
+    const request = await DataSubjectService.getRequest(req.params.id);
+    if (!request) {
+        res.status(404).json({
+            success: false,
+            message: 'Request not found'
+        });
+        return null;
+    }
+    return request;
+}
+
+/**
+ * GET /api/data-requests/verify/:token
+ * Public - what the emailed link is for, so the page can ask the person to
+ * confirm it
+ */
+router.get('/verify/:token', dataRequestLimiter, async (req, res) => {
+    try {
+        const request = await DataSubjectService.findByVerificationToken(req.params.token);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'This link is invalid or has already been used.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                requestType: request.request_type,
+                status: request.status,
+                expired: DataSubjectService.verificationExpired(request)
+            }
+        });
+    } catch (error) {
+        console.error('Get data request verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load your request.'
+        });
+    }
+});
+
+/**
+ * POST /api/data-requests/verify/:token
+ * Public - the person confirms the request is theirs
+ */
+router.post('/verify/:token', dataRequestLimiter, async (req, res) => {
+    try {
+        const request = await DataSubjectService.findByVerificationToken(req.params.token);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'This link is invalid or has already been used.'
+            });
+        }
+        if (DataSubjectService.verificationExpired(request)) {
+            return res.status(410).json({
+                success: false,
+                message: 'This link has expired. Please contact us and we\'ll send you a new one.'
+            });
+        }
+
+        if (request.status === 'awaiting_verification') {
+            await DataSubjectService.verifyRequest(request, req.ip);
+
+            await AuditService.log({
+                staffId: null,
+                action: 'data_request_verified',
+                entityType: 'data_subject_request',
+                entityId: request.id,
+                details: { email: request.email, requestType: request.request_type },
+                ipAddress: req.ip
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { requestType: request.request_type },
+            message: 'Thank you - your request is confirmed. We\'ll be in touch by email.'
+        });
+    } catch (error) {
+        console.error('Verify data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm your request. Please try again.'
+        });
+    }
+});
+
+/**
+ * GET /api/data-requests
+ * All requests, open ones first by due date (?status= to filter)
+ */
+router.get('/', authMiddleware, adminOnly, [
+    query('status').optional().isIn(STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const requests = await DataSubjectService.listRequests(req.query.status);
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('List data requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch data requests.'
+        });
+    }
+});
+
+/**
+ * POST /api/data-requests
+ * Log a request and email the person a link to confirm it
+ */
+router.post('/', authMiddleware, adminOnly, createValidation, async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await DataSubjectService.createRequest({
+            email: req.body.email,
+            name: req.body.name,
+            requestType: req.body.requestType,
+            receivedVia: req.body.receivedVia,
+            receivedAt: req.body.receivedAt,
+            notes: req.body.notes,
+            staffId: req.user.id
+        });
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'data_request_created',
+            entityType: 'data_subject_request',
+            entityId: request.id,
+            details: { email: request.email, requestType: request.request_type, receivedVia: request.received_via },
+            ipAddress: req.ip
+        });
+
+        delete request.verification_token_hash;
+        res.status(201).json({
+            success: true,
+            data: request,
+            message: 'Request logged. We\'ve emailed a link to confirm it.'
+        });
+    } catch (error) {
+        console.error('Create data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log the request.'
+        });
+    }
+});
+
+/**
+ * GET /api/data-requests/:id
+ * A request, with how many records of each kind we hold for its email
+ */
+router.get('/:id', authMiddleware, adminOnly, idValidation, async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await loadRequest(req, res);
+        if (!request) {
+            return;
+        }
+        const records = await DataSubjectService.countPersonalData(request.email);
+
+        delete request.verification_token_hash;
+        res.json({
+            success: true,
+            data: { ...request, records }
+        });
+    } catch (error) {
+        console.error('Get data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch the request.'
+        });
+    }
+});
+
+/**
+ * POST /api/data-requests/:id/resend
+ * Email a new confirmation link (the old one stops working)
+ */
+router.post('/:id/resend', authMiddleware, adminOnly, idValidation, async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await loadRequest(req, res);
+        if (!request) {
+            return;
+        }
+        if (request.status !== 'awaiting_verification') {
+            return res.status(400).json({
+                success: false,
+                message: 'This request has already been confirmed or closed.'
+            });
+        }
+
+        await DataSubjectService.sendVerification(request);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'data_request_verification_resent',
+            entityType: 'data_subject_request',
+            entityId: request.id,
+            details: { email: request.email },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: 'A new confirmation link has been sent.'
+        });
+    } catch (error) {
+        console.error('Resend data request verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend the confirmation link.'
+        });
+    }
+});
+
+/**
+ * GET /api/data-requests/:id/export
+ * Download everything we hold for a confirmed request's email as a zip
+ */
+router.get('/:id/export', authMiddleware, adminOnly, exportLimiter, idValidation, async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await loadRequest(req, res);
+        if (!request) {
+            return;
+        }
+        const allowed = request.status === 'verified'
+            || (request.status === 'completed' && request.request_type === 'access');
+        if (!allowed) {
+            return res.status(400).json({
+                success: false,
+                message: request.status === 'awaiting_verification'
+                    ? 'The person hasn\'t confirmed this request yet.'
+                    : 'This request is closed.'
+            });
+        }
+
+        const bundle = await DataSubjectService.exportPersonalData(request);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'data_request_exported',
+            entityType: 'data_subject_request',
+            entityId: request.id,
+            details: { email: request.email, bytes: bundle.length },
+            ipAddress: req.ip
+        });
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="personal-data-${date}.zip"`);
+        res.send(bundle);
+    } catch (error) {
+        console.error('Export data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build the export.'
+        });
+    }
+});
+
+/**
+ * POST /api/data-requests/:id/erase
+ * Erase everything we hold for a confirmed erasure request's email and
+ * complete the request. confirmEmail must repeat the address.
+ */
+router.post('/:id/erase', authMiddleware, adminOnly, [
+    ...idValidation,
+    body('confirmEmail').trim().notEmpty().withMessage('Type the email address to confirm')
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await loadRequest(req, res);
+        if (!request) {
+            return;
+        }
+        if (request.request_type !== 'erasure' || request.status !== 'verified') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed erasure requests can be erased.'
+            });
+        }
+        if (req.body.confirmEmail.toLowerCase() !== request.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'The email address doesn\'t match the request.'
+            });
+        }
+
+        const summary = await DataSubjectService.erasePersonalData(request, req.user.id);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'data_request_erased',
+            entityType: 'data_subject_request',
+            entityId: request.id,
+            details: summary,
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            data: summary,
+            message: 'The personal data has been erased.'
+        });
+    } catch (error) {
+        console.error('Erase data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to erase the data. Nothing was changed.'
+        });
+    }
+});
+
+/**
+ * POST /api/data-requests/:id/complete
+ * Close a confirmed request as done, e.g. once the export has been sent
+ */
+router.post('/:id/complete', authMiddleware, adminOnly, [
+    ...idValidation,
+    body('resolution').optional({ checkFalsy: true }).trim().isLength({ max: 5000 })
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await loadRequest(req, res);
+        if (!request) {
+            return;
+        }
+        if (request.status !== 'verified') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed requests can be completed.'
+            });
+        }
+
+        const closed = await DataSubjectService.closeRequest(request.id, {
+            status: 'completed',
+            resolution: req.body.resolution,
+            staffId: req.user.id
+        });
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'data_request_completed',
+            entityType: 'data_subject_request',
+            entityId: request.id,
+            details: { email: request.email, requestType: request.request_type },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            data: closed,
+            message: 'Request completed.'
+        });
+    } catch (error) {
+        console.error('Complete data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete the request.'
+        });
+    }
+});
+
+/**
+ * POST /api/data-requests/:id/reject
+ * Close an open request without acting on it, with the reason
+ */
+router.post('/:id/reject', authMiddleware, adminOnly, [
+    ...idValidation,
+    body('resolution').trim().notEmpty().withMessage('Give the reason for rejecting the request')
+        .isLength({ max: 5000 })
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const request = await loadRequest(req, res);
+        if (!request) {
+            return;
+        }
+
+        const closed = await DataSubjectService.closeRequest(request.id, {
+            status: 'rejected',
+            resolution: req.body.resolution,
+            staffId: req.user.id
+        });
+        if (!closed) {
+            return res.status(400).json({
+                success: false,
+                message: 'This request is already closed.'
+            });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'data_request_rejected',
+            entityType: 'data_subject_request',
+            entityId: request.id,
+            details: { email: request.email, resolution: req.body.resolution },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            data: closed,
+            message: 'Request rejected.'
+        });
+    } catch (error) {
+        console.error('Reject data request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject the request.'
+        });
+    }
+});
+
+module.exports = router;
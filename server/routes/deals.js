@@ -0,0 +1,382 @@
+/**
+ * Deals Routes
+ * The sales pipeline (see services/dealService.js). A deal is opened from
+ * the message, consultation or chat a lead came in through, and filed
+ * under that person's contact. Pipeline and forecast reports are under
+ * /api/analytics/pipeline.
+ *
+ * Anyone who handles messages, consultations or chats can work the
+ * pipeline; opening a deal from a lead needs access to that lead.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authMiddleware, hasPermission, managerOrAbove, userHasPermission } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+const { findContactIdByEmail, recordInteraction } = require('../services/contactService');
+const {
+    DEAL_STAGES,
+    SOURCE_TYPES,
+    isClosedStage,
+    loadDealSource,
+    loadDeal,
+    recordStageChange
+} = require('../services/dealService');
+
+const dealAccess = hasPermission('can_manage_messages', 'can_manage_consultations', 'can_manage_chats');
+
+const SOURCE_PERMISSION = {
+    message: 'can_manage_messages',
+    consultation: 'can_manage_consultations',
+    chat: 'can_manage_chats'
+};
+
+// How long won and lost deals stay on the board by default
+const DEFAULT_CLOSED_DAYS = 90;
+
+/**
+ * GET /api/deals
+ * Deals for the board: every open deal, plus those won or lost in the last
+ * ?closedDays= days (default 90). Filter with ?stage=, ?ownerId= and
+ * ?contactId= (which takes in the contacts merged into it).
+ */
+router.get('/', authMiddleware, dealAccess, [
+    query('stage').optional().isIn(DEAL_STAGES),
+    query('ownerId').optional().isUUID(),
+    query('contactId').optional().isUUID(),
+    query('closedDays').optional().isInt({ min: 0, max: 3650 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { stage, ownerId, contactId } = req.query;
+        const closedDays = req.query.closedDays !== undefined ? parseInt(req.query.closedDays) : DEFAULT_CLOSED_DAYS;
+        const params = [closedDays];
+        const conditions = [
+            `(d.stage NOT IN ('won', 'lost')
+              OR d.closed_at >= CURRENT_TIMESTAMP - make_interval(days => $1::int))`
+        ];
+
+        if (stage) {
+            params.push(stage);
+            conditions.push(`d.stage = $${params.length}`);
+        }
+        if (ownerId) {
+            params.push(ownerId);
+            conditions.push(`d.owner_id = $${params.length}`);
+        }
+        if (contactId) {
+            params.push(contactId);
+            // Including contacts merged into it since
+            conditions.push(`d.contact_id IN (SELECT id FROM contacts WHERE id = $${params.length} OR merged_into_id = $${params.length})`);
+        }
+
+        const result = await db.query(
+            `SELECT d.*, d.expected_close_date::text AS expected_close_date,
+                    c.name AS contact_name, c.email AS contact_email, c.company AS contact_company,
+                    o.name AS owner_name
+             FROM deals d
+             LEFT JOIN contacts c ON c.id = d.contact_id
+             LEFT JOIN staff o ON o.id = d.owner_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY d.expected_close_date ASC NULLS LAST, d.created_at DESC`,
+            params
+        );
+
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List deals error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve deals' });
+    }
+});
+
+/**
+ * GET /api/deals/:id
+ * A deal with the stages it has been through
+ */
+router.get('/:id', authMiddleware, dealAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const deal = await loadDeal(req.params.id);
+        if (!deal) {
+            return res.status(404).json({ success: false, message: 'Deal not found' });
+        }
+
+        const history = await db.query(
+            `SELECT h.*, s.name AS changed_by_name
+             FROM deal_stage_history h
+             LEFT JOIN staff s ON s.id = h.changed_by
+             WHERE h.deal_id = $1
+             ORDER BY h.changed_at`,
+            [deal.id]
+        );
+
+        res.json({ success: true, data: { ...deal, history: history.rows } });
+    } catch (error) {
+        console.error('Get deal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve deal' });
+    }
+});
+
+/**
+ * POST /api/deals
+ * Open a deal from a message, consultation or chat. A message the deal is
+ * opened from is marked converted. Each lead can have one open deal at a
+ * time.
+ */
+router.post('/', authMiddleware, dealAccess, [
+    body('sourceType').isIn(SOURCE_TYPES).withMessage('Deals are opened from a message, consultation or chat'),
+    body('sourceId').isUUID(),
+    body('title').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
+    body('value').isFloat({ min: 0 }).withMessage('Enter the deal value in NGN'),
+    body('expectedCloseDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid expected close date'),
+    body('stage').optional().isIn(DEAL_STAGES.filter(stage => !isClosedStage(stage))),
+    body('ownerId').optional({ checkFalsy: true }).isUUID(),
+    body('notes').optional({ checkFalsy: true }).trim().isLength({ max: 5000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { sourceType, sourceId, title, value, expectedCloseDate, stage, ownerId, notes } = req.body;
+    if (!userHasPermission(req.user, SOURCE_PERMISSION[sourceType])) {
+        return res.status(403).json({ success: false, message: `You don't have access to this ${sourceType}` });
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const source = await loadDealSource(sourceType, sourceId, client);
+        if (!source) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: `The ${sourceType} was not found` });
+        }
+
+        let contactId = await findContactIdByEmail(source.email, client);
+        if (!contactId) {
+            const contact = await recordInteraction(source, client);
+            contactId = contact ? contact.id : null;
+        }
+
+        const who = source.company || source.name;
+        const result = await client.query(
+            `INSERT INTO deals (title, contact_id, source_type, source_id, stage, value,
+                                expected_close_date, owner_id, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id, stage`,
+            [
+                title || (source.service ? `${source.service} - ${who}` : who),
+                contactId,
+                sourceType,
+                sourceId,
+                stage || 'qualified',
+                value,
+                expectedCloseDate || null,
+                ownerId || req.user.id,
+                notes || null,
+                req.user.id
+            ]
+        );
+        const created = result.rows[0];
+        await recordStageChange(created.id, null, created.stage, req.user.id, client);
+
+        const convertMessage = sourceType === 'message' && source.status !== 'converted';
+        if (convertMessage) {
+            await client.query(
+                `UPDATE messages SET status = 'converted', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [sourceId]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        if (convertMessage) {
+            await AuditService.logStatusChange(req.user.id, 'message', sourceId, source.status, 'converted', req.ip);
+        }
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'deal_created',
+            entityType: 'deal',
+            entityId: created.id,
+            details: { sourceType, sourceId, value, stage: created.stage },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: await loadDeal(created.id) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: `There is already an open deal for this ${sourceType}` });
+        }
+        console.error('Create deal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create deal' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * PATCH /api/deals/:id
+ * Update a deal or move it to another stage. Marking a deal lost needs a
+ * lostReason; moving a won or lost deal back to an open stage reopens it.
+ */
+router.patch('/:id', authMiddleware, dealAccess, [
+    param('id').isUUID(),
+    body('title').optional().trim().notEmpty().isLength({ max: 255 }),
+    body('value').optional().isFloat({ min: 0 }),
+    body('expectedCloseDate').optional({ nullable: true }).custom(value => value === '' || !isNaN(Date.parse(value)))
+        .withMessage('Invalid expected close date'),
+    body('stage').optional().isIn(DEAL_STAGES),
+    body('ownerId').optional({ nullable: true, checkFalsy: true }).isUUID(),
+    body('notes').optional({ nullable: true }).trim().isLength({ max: 5000 }),
+    body('lostReason').optional({ nullable: true }).trim().isLength({ max: 1000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT * FROM deals WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const deal = existing.rows[0];
+        if (!deal) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Deal not found' });
+        }
+
+        const { title, value, expectedCloseDate, stage, ownerId, notes, lostReason } = req.body;
+        const stageChanged = stage !== undefined && stage !== deal.stage;
+        if (stageChanged && stage === 'lost' && !lostReason) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: 'Say why the deal was lost' });
+        }
+
+        const updates = [];
+        const params = [];
+        const set = (column, val) => {
+            params.push(val);
+            updates.push(`${column} = $${params.length}`);
+        };
+
+        if (title !== undefined) {
+            set('title', title);
+        }
+        if (value !== undefined) {
+            set('value', value);
+        }
+        if (expectedCloseDate !== undefined) {
+            set('expected_close_date', expectedCloseDate || null);
+        }
+        if (ownerId !== undefined) {
+            set('owner_id', ownerId || null);
+        }
+        if (notes !== undefined) {
+            set('notes', notes || null);
+        }
+        if (stageChanged) {
+            set('stage', stage);
+            // Closing stamps the date; reopening clears it and the lost reason
+            if (isClosedStage(stage)) {
+                updates.push('closed_at = CURRENT_TIMESTAMP');
+            } else {
+                updates.push('closed_at = NULL');
+            }
+            set('lost_reason', stage === 'lost' ? lostReason : null);
+        } else if (lostReason !== undefined && deal.stage === 'lost') {
+            set('lost_reason', lostReason);
+        }
+
+        if (!updates.length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: 'Nothing to update' });
+        }
+
+        params.push(deal.id);
+        await client.query(
+            `UPDATE deals SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length}`,
+            params
+        );
+        if (stageChanged) {
+            await recordStageChange(deal.id, deal.stage, stage, req.user.id, client);
+        }
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: stageChanged ? 'deal_stage_changed' : 'deal_updated',
+            entityType: 'deal',
+            entityId: deal.id,
+            details: stageChanged
+                ? { from: deal.stage, to: stage, lostReason: stage === 'lost' ? lostReason : undefined }
+                : { fields: Object.keys(req.body) },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await loadDeal(deal.id) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'There is already an open deal for this lead' });
+        }
+        console.error('Update deal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update deal' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * DELETE /api/deals/:id
+ * Delete a deal opened by mistake (managers and above). Lost deals should
+ * be marked lost instead, so they count towards the win rate.
+ */
+router.delete('/:id', authMiddleware, managerOrAbove, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query('DELETE FROM deals WHERE id = $1 RETURNING *', [req.params.id]);
+        if (!result.rows.length) {
+            return res.status(404).json({ success: false, message: 'Deal not found' });
+        }
+
+        const deal = result.rows[0];
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'deal_deleted',
+            entityType: 'deal',
+            entityId: deal.id,
+            details: { title: deal.title, stage: deal.stage, value: deal.value, sourceType: deal.source_type, sourceId: deal.source_id },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Deal deleted' });
+    } catch (error) {
+        console.error('Delete deal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete deal' });
+    }
+});
+
+module.exports = router;
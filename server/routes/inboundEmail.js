@@ -0,0 +1,88 @@
+/**
+ * Inbound Email Routes
+ * Webhook for the mail provider to post clients' emailed replies to
+ * contact messages (see services/inboundEmailService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const db = require('../config/database');
+const AuditService = require('../services/auditService');
+const { receiveInboundEmail } = require('../services/inboundEmailService');
+const { sendClientReplyNotification } = require('../services/emailService');
+const { recordInteraction } = require('../services/contactService');
+
+const secretMatches = (provided) => {
+    const expected = Buffer.from(process.env.INBOUND_EMAIL_SECRET);
+    const given = Buffer.from(String(provided || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * POST /api/inbound-email
+ * Public webhook - the body is one raw RFC 822 email (Content-Type
+ * message/rfc822). Authenticated by the shared INBOUND_EMAIL_SECRET, sent
+ * in an X-Inbound-Secret header or as ?secret= for providers that can only
+ * be given a URL. Answers 200 for anything that shouldn't be retried -
+ * including mail that matches no message - and reports what happened.
+ */
+router.post('/', express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: '10mb' }), async (req, res) => {
+    try {
+        if (!process.env.INBOUND_EMAIL_SECRET) {
+            return res.status(503).json({ success: false, message: 'Inbound email is not configured' });
+        }
+        if (!secretMatches(req.get('x-inbound-secret') || req.query.secret)) {
+            return res.status(401).json({ success: false, message: 'Invalid inbound email secret' });
+        }
+        if (!Buffer.isBuffer(req.body) || !req.body.length) {
+            return res.status(400).json({ success: false, message: 'Post the raw email with Content-Type message/rfc822' });
+        }
+
+        const result = await receiveInboundEmail(req.body);
+        if (result.status !== 'recorded') {
+            if (result.status === 'unmatched') {
+                console.warn('Inbound email matched no contact message');
+            }
+            return res.json({
+                success: true,
+                data: { status: result.status, reason: result.reason, messageId: result.message ? result.message.id : undefined }
+            });
+        }
+
+        const { message, reply } = result;
+        await AuditService.log({
+            staffId: null,
+            action: 'client_reply',
+            entityType: 'message',
+            entityId: message.id,
+            details: { from: reply.from_email, matchedBy: result.matchedBy, replyId: reply.id },
+            ipAddress: req.ip
+        });
+        if (result.reopened) {
+            await AuditService.logStatusChange(null, 'message', message.id, result.previousStatus, message.status, req.ip);
+        }
+        recordInteraction({ email: message.email }).catch(err => console.error('Contact update error (non-fatal):', err));
+
+        // Let whoever has the message know - the admin inbox if nobody does
+        const assignee = message.assigned_to
+            ? await db.query('SELECT email FROM staff WHERE id = $1 AND is_active = true', [message.assigned_to])
+            : { rows: [] };
+        const notifyTo = assignee.rows[0] ? assignee.rows[0].email : process.env.ADMIN_EMAIL;
+        if (notifyTo) {
+            sendClientReplyNotification(notifyTo, message, reply, { reopened: result.reopened }).catch(err => {
+                console.error('Failed to send client reply notification:', err);
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { status: 'recorded', messageId: message.id, replyId: reply.id, reopened: result.reopened }
+        });
+    } catch (error) {
+        console.error('Inbound email error:', error);
+        res.status(500).json({ success: false, message: 'Failed to process inbound email' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+/**
+ * Background Job Routes
+ * Admin visibility into the job scheduler: what's registered, when it
+ * last/next runs, per-run history, and a manual "run now". Admin-only -
+ * jobs send customer email and delete data, so triggering one isn't
+ * something to hand to every staff member.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
+const JobScheduler = require('../services/jobScheduler');
+const AuditService = require('../services/auditService');
+
+/**
+ * GET /api/admin/jobs
+ * List all jobs with schedule, next/last run, and the latest run's result
+ */
+router.get('/', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const jobs = await JobScheduler.listJobs();
+        res.json({ success: true, data: jobs });
+    } catch (error) {
+        console.error('List jobs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load jobs' });
+    }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history for one job, newest first
+ */
+router.get('/:name/runs', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const runs = await JobScheduler.getRuns(req.params.name, {
+            limit: Math.min(parseInt(req.query.limit) || 50, 200),
+            offset: parseInt(req.query.offset) || 0
+        });
+        res.json({ success: true, data: runs });
+    } catch (error) {
+        console.error('Get job runs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load job history' });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Trigger a job immediately. Runs synchronously so the response carries
+ * the result; 409 if another instance currently holds the job's lease.
+ */
+router.post('/:name/run', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        if (!JobScheduler.has(req.params.name)) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        const run = await JobScheduler.runJob(req.params.name, {
+            trigger: 'manual',
+            triggeredBy: req.user.id
+        });
+        if (!run) {
+            return res.status(409).json({ success: false, message: 'This job is already running - try again shortly' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'job_triggered',
+            entityType: 'job_run',
+            entityId: run.id,
+            details: { job: req.params.name, status: run.status },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: run });
+    } catch (error) {
+        console.error('Trigger job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to run job' });
+    }
+});
+
+/**
+ * PATCH /api/admin/jobs/:name
+ * Enable or disable a job's schedule (manual runs still work while disabled)
+ */
+router.patch('/:name', authMiddleware, adminOnly, [
+    body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const job = await JobScheduler.setEnabled(req.params.name, req.body.enabled);
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: req.body.enabled ? 'job_enabled' : 'job_disabled',
+            entityType: 'scheduled_job',
+            details: { job: req.params.name },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: job });
+    } catch (error) {
+        console.error('Update job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update job' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,518 @@
+/**
+ * Leave Routes
+ * Staff request leave from the dashboard; their department's manager, HR
+ * or an Admin approves or rejects it. Balances come from leaveService.js
+ * (annual leave accrues from the contract's PTO days, other types have a
+ * yearly allowance, unused annual leave carries over up to a cap).
+ *
+ * Approved unpaid leave is picked up by payroll runs for the month it falls
+ * in. Cancelling leave in a month that's already been approved needs that
+ * month run again to produce the adjustment - see payrollService.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { authMiddleware, hrOrAdmin } = require('../middleware/auth');
+const db = require('../config/database');
+const AuditService = require('../services/auditService');
+const { countWorkingDays, monthBounds, getBalances } = require('../services/leaveService');
+const { getNigerianHolidays } = require('../utils/nigerianHolidays');
+const { sendLeaveRequestNotification, sendLeaveDecisionEmail } = require('../services/emailService');
+
+const isLeaveAdmin = (req) => req.user.role === 'admin' || req.user.role === 'hr';
+
+/**
+ * The signed-in user's department (not carried in the JWT)
+ */
+const getOwnDepartment = async (req) => {
+    const result = await db.query('SELECT department FROM staff WHERE id = $1', [req.user.id]);
+    return result.rows[0]?.department || null;
+};
+
+/**
+ * HR and Admin review anyone's leave; a manager reviews their own
+ * department's, but never their own requests
+ */
+const canReview = async (req, staff) => {
+    if (staff.id === req.user.id) {
+        return false;
+    }
+    if (isLeaveAdmin(req)) {
+        return true;
+    }
+    if (req.user.role !== 'manager' || !staff.department) {
+        return false;
+    }
+    return staff.department === await getOwnDepartment(req);
+};
+
+/**
+ * A leave request with the employee, type and reviewer names
+ */
+const loadRequest = async (id, client = db) => {
+    const result = await client.query(
+        `SELECT r.*, r.start_date::text AS start_date, r.end_date::text AS end_date,
+                s.name AS staff_name, s.email AS staff_email, s.department,
+                t.name AS leave_type_name, t.code AS leave_type_code, t.is_paid,
+                rv.name AS reviewed_by_name
+         FROM leave_requests r
+         JOIN staff s ON s.id = r.staff_id
+         JOIN leave_types t ON t.id = r.leave_type_id
+         LEFT JOIN staff rv ON rv.id = r.reviewed_by
+         WHERE r.id = $1`,
+        [id]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * GET /api/leave/types
+ * Leave types - active ones for everyone, all of them for HR/Admin
+ */
+router.get('/types', authMiddleware, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT * FROM leave_types
+             WHERE is_active = true OR $1
+             ORDER BY sort_order, name`,
+            [isLeaveAdmin(req)]
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List leave types error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load leave types' });
+    }
+});
+
+/**
+ * PUT /api/leave/types/:id
+ * Change a leave type's allowance, carry-over cap or availability (HR/Admin).
+ * Annual leave's allowance comes from each contract; its default_days is
+ * only the fallback for contracts without PTO days.
+ */
+router.put('/types/:id', authMiddleware, hrOrAdmin, [
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+    body('defaultDays').optional().isFloat({ min: 0, max: 366 }),
+    body('maxCarryOverDays').optional().isFloat({ min: 0, max: 366 }),
+    body('isActive').optional().isBoolean()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const { name, defaultDays, maxCarryOverDays, isActive } = req.body;
+        const result = await db.query(
+            `UPDATE leave_types SET
+                name = COALESCE($1, name),
+                default_days = COALESCE($2, default_days),
+                max_carry_over_days = COALESCE($3, max_carry_over_days),
+                is_active = COALESCE($4, is_active),
+                updated_by = $5, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6
+             RETURNING *`,
+            [name ?? null, defaultDays ?? null, maxCarryOverDays ?? null, isActive ?? null, req.user.id, req.params.id]
+        );
+        if (!result.rows.length) {
+            return res.status(404).json({ success: false, message: 'Leave type not found' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'leave_type_updated',
+            entityType: 'leave_type',
+            entityId: req.params.id,
+            details: { name, defaultDays, maxCarryOverDays, isActive },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: result.rows[0] });
+    } catch (error) {
+        console.error('Update leave type error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update leave type' });
+    }
+});
+
+/**
+ * GET /api/leave/balances?staffId=&year=
+ * Leave balances for a year - your own, or (HR/Admin/department manager)
+ * another employee's
+ */
+router.get('/balances', authMiddleware, [
+    query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const staffId = req.query.staffId || req.user.id;
+        if (staffId !== req.user.id) {
+            const staff = await db.query('SELECT id, department FROM staff WHERE id = $1', [staffId]);
+            if (!staff.rows.length) {
+                return res.status(404).json({ success: false, message: 'Staff member not found' });
+            }
+            if (!await canReview(req, staff.rows[0])) {
+                return res.status(403).json({ success: false, message: 'Access denied' });
+            }
+        }
+
+        const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+        res.json({ success: true, data: await getBalances(staffId, year) });
+    } catch (error) {
+        console.error('Leave balances error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load leave balances' });
+    }
+});
+
+/**
+ * GET /api/leave/requests?scope=mine|review&status=
+ * Your own requests (scope=mine, the default), or the ones you can review:
+ * everyone's for HR/Admin, your department's for a manager
+ */
+router.get('/requests', authMiddleware, [
+    query('scope').optional().isIn(['mine', 'review']),
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled'])
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const scope = req.query.scope || 'mine';
+        const conditions = [];
+        const params = [];
+
+        if (scope === 'mine') {
+            params.push(req.user.id);
+            conditions.push(`r.staff_id = $${params.length}`);
+        } else {
+            if (!isLeaveAdmin(req)) {
+                if (req.user.role !== 'manager') {
+                    return res.status(403).json({ success: false, message: 'Manager, HR or admin access required' });
+                }
+                params.push(await getOwnDepartment(req));
+                conditions.push(`s.department = $${params.length}`);
+            }
+            params.push(req.user.id);
+            conditions.push(`r.staff_id <> $${params.length}`);
+        }
+        if (req.query.status) {
+            params.push(req.query.status);
+            conditions.push(`r.status = $${params.length}`);
+        }
+
+        const result = await db.query(
+            `SELECT r.id, r.staff_id, r.leave_type_id, r.start_date::text AS start_date,
+                    r.end_date::text AS end_date, r.days, r.reason, r.status, r.review_note,
+                    r.reviewed_at, r.created_at, s.name AS staff_name, s.department,
+                    t.name AS leave_type_name, t.code AS leave_type_code, t.is_paid,
+                    rv.name AS reviewed_by_name
+             FROM leave_requests r
+             JOIN staff s ON s.id = r.staff_id
+             JOIN leave_types t ON t.id = r.leave_type_id
+             LEFT JOIN staff rv ON rv.id = r.reviewed_by
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY (r.status = 'pending') DESC, r.start_date DESC
+             LIMIT 200`,
+            params
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List leave requests error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load leave requests' });
+    }
+});
+
+/**
+ * POST /api/leave/requests
+ * Request leave. Dates are inclusive; only working days are counted. A
+ * request has to stay within one calendar year and can't overlap your other
+ * pending or approved leave, and paid leave can't exceed what you'll have
+ * accrued by its end date.
+ */
+router.post('/requests', authMiddleware, [
+    body('leaveTypeId').isUUID(),
+    body('startDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+    body('endDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { leaveTypeId, startDate, endDate, reason } = req.body;
+    if (endDate < startDate) {
+        return res.status(400).json({ success: false, message: 'End date must be on or after the start date' });
+    }
+    if (startDate.slice(0, 4) !== endDate.slice(0, 4)) {
+        return res.status(400).json({ success: false, message: 'Leave crossing into a new year must be requested as two requests, one per year' });
+    }
+
+    try {
+        const type = await db.query('SELECT * FROM leave_types WHERE id = $1 AND is_active = true', [leaveTypeId]);
+        if (!type.rows.length) {
+            return res.status(400).json({ success: false, message: 'Unknown leave type' });
+        }
+
+        const days = countWorkingDays(startDate, endDate);
+        if (days === 0) {
+            return res.status(400).json({ success: false, message: 'Those dates have no working days in them' });
+        }
+
+        const overlap = await db.query(
+            `SELECT 1 FROM leave_requests
+             WHERE staff_id = $1 AND status IN ('pending', 'approved')
+               AND start_date <= $3 AND end_date >= $2
+             LIMIT 1`,
+            [req.user.id, startDate, endDate]
+        );
+        if (overlap.rows.length) {
+            return res.status(409).json({ success: false, message: 'You already have leave requested for some of those dates' });
+        }
+
+        const balances = await getBalances(req.user.id, Number(startDate.slice(0, 4)), { asOf: endDate });
+        const balance = balances.find(b => b.leaveTypeId === leaveTypeId);
+        if (balance && balance.requestable !== null && days > balance.requestable) {
+            return res.status(400).json({
+                success: false,
+                message: `That's ${days} working days, but you only have ${Math.max(0, balance.requestable)} days of ${balance.name} available by then (including pending requests)`
+            });
+        }
+
+        const result = await db.query(
+            `INSERT INTO leave_requests (staff_id, leave_type_id, start_date, end_date, days, reason)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id`,
+            [req.user.id, leaveTypeId, startDate, endDate, days, reason || null]
+        );
+        const request = await loadRequest(result.rows[0].id);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'leave_requested',
+            entityType: 'leave_request',
+            entityId: request.id,
+            details: { leaveType: request.leave_type_code, startDate, endDate, days },
+            ipAddress: req.ip
+        });
+
+        // Department manager(s) plus HR and Admin
+        const approvers = await db.query(
+            `SELECT email FROM staff
+             WHERE is_active = true AND id <> $1
+               AND (role IN ('admin', 'hr') OR (role = 'manager' AND department IS NOT NULL AND department = $2))`,
+            [req.user.id, request.department]
+        );
+        if (approvers.rows.length) {
+            sendLeaveRequestNotification(approvers.rows, request)
+                .catch(err => console.error('Leave request notification error:', err));
+        }
+
+        res.status(201).json({ success: true, data: request });
+    } catch (error) {
+        console.error('Create leave request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit leave request' });
+    }
+});
+
+/**
+ * POST /api/leave/requests/:id/approve
+ * POST /api/leave/requests/:id/reject
+ * Decide a pending request (department manager, HR or Admin), with an
+ * optional note to the employee. Approval re-checks the balance, since
+ * other leave may have been approved since the request was made.
+ */
+const reviewRequest = (decision) => async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const client = await db.getClient();
+    try {
+        const request = await loadRequest(req.params.id);
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+        if (request.staff_id === req.user.id) {
+            return res.status(403).json({ success: false, message: 'You can\'t decide your own leave request' });
+        }
+        if (!await canReview(req, { id: request.staff_id, department: request.department })) {
+            return res.status(403).json({ success: false, message: 'Only their department manager, HR or an admin can decide this request' });
+        }
+
+        // Decisions on one employee's leave take turns (the staff row lock),
+        // so two approvals can't both spend the same balance and a request
+        // can't be decided twice
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM staff WHERE id = $1 FOR UPDATE', [request.staff_id]);
+        const current = await client.query('SELECT status FROM leave_requests WHERE id = $1 FOR UPDATE', [request.id]);
+        if (current.rows[0].status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: `This request has already been ${current.rows[0].status}` });
+        }
+
+        if (decision === 'approved') {
+            const balances = await getBalances(request.staff_id, Number(request.start_date.slice(0, 4)), {
+                asOf: request.end_date,
+                excludeRequestId: request.id,
+                client
+            });
+            const balance = balances.find(b => b.leaveTypeId === request.leave_type_id);
+            if (balance && balance.available !== null && Number(request.days) > balance.available) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    success: false,
+                    message: `${request.staff_name} only has ${Math.max(0, balance.available)} days of ${balance.name} available for these dates`
+                });
+            }
+        }
+
+        await client.query(
+            `UPDATE leave_requests
+             SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+                 review_note = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4 AND status = 'pending'`,
+            [decision, req.user.id, req.body.note || null, request.id]
+        );
+        await client.query('COMMIT');
+        const updated = await loadRequest(request.id);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: decision === 'approved' ? 'leave_approved' : 'leave_rejected',
+            entityType: 'leave_request',
+            entityId: request.id,
+            details: { forStaffId: request.staff_id, leaveType: request.leave_type_code, days: Number(request.days) },
+            ipAddress: req.ip
+        });
+
+        sendLeaveDecisionEmail({ name: updated.staff_name, email: updated.staff_email }, updated)
+            .catch(err => console.error('Leave decision email error:', err));
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Review leave request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update leave request' });
+    } finally {
+        client.release();
+    }
+};
+
+const reviewValidators = [body('note').optional({ nullable: true }).isString().isLength({ max: 2000 })];
+router.post('/requests/:id/approve', authMiddleware, reviewValidators, reviewRequest('approved'));
+router.post('/requests/:id/reject', authMiddleware, reviewValidators, reviewRequest('rejected'));
+
+/**
+ * POST /api/leave/requests/:id/cancel
+ * Withdraw a request - the employee while it's pending or hasn't started
+ * yet, HR/Admin at any time
+ */
+router.post('/requests/:id/cancel', authMiddleware, async (req, res) => {
+    try {
+        const request = await loadRequest(req.params.id);
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+        const isOwner = request.staff_id === req.user.id;
+        if (!isOwner && !isLeaveAdmin(req)) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+        if (!['pending', 'approved'].includes(request.status)) {
+            return res.status(409).json({ success: false, message: `This request has already been ${request.status}` });
+        }
+        const today = new Date().toISOString().slice(0, 10);
+        if (isOwner && !isLeaveAdmin(req) && request.status === 'approved' && request.start_date <= today) {
+            return res.status(409).json({ success: false, message: 'This leave has already started - ask HR to change it' });
+        }
+
+        const cancelled = await db.query(
+            `UPDATE leave_requests SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = $2`,
+            [request.id, request.status]
+        );
+        if (!cancelled.rowCount) {
+            // Decided or cancelled by someone else in the meantime
+            return res.status(409).json({ success: false, message: 'This request has changed since it was loaded - refresh and try again' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'leave_cancelled',
+            entityType: 'leave_request',
+            entityId: request.id,
+            details: { forStaffId: request.staff_id, previousStatus: request.status },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Leave request cancelled' });
+    } catch (error) {
+        console.error('Cancel leave request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel leave request' });
+    }
+});
+
+/**
+ * GET /api/leave/calendar?month=&year=&department=
+ * Approved and pending leave overlapping a month, for the team calendar.
+ * Everyone sees their own department; HR/Admin can pick any department or
+ * all. The kind of leave (sick, maternity...) is only shown to those who
+ * could review it - colleagues just see "On leave". The month's public
+ * holidays come back alongside, for shading the grid.
+ */
+router.get('/calendar', authMiddleware, [
+    query('month').isInt({ min: 1, max: 12 }),
+    query('year').isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const month = parseInt(req.query.month, 10);
+        const year = parseInt(req.query.year, 10);
+        const { first, last } = monthBounds(month, year);
+        const holidays = getNigerianHolidays(year).filter(h => h.date >= first && h.date <= last);
+        const ownDepartment = await getOwnDepartment(req);
+        const department = isLeaveAdmin(req) ? (req.query.department || null) : ownDepartment;
+        if (!isLeaveAdmin(req) && !department) {
+            return res.json({ success: true, data: [], holidays });
+        }
+        const seesLeaveType = isLeaveAdmin(req) || req.user.role === 'manager';
+
+        const result = await db.query(
+            `SELECT r.id, r.staff_id, r.start_date::text AS start_date, r.end_date::text AS end_date,
+                    r.days, r.status, s.name AS staff_name, s.department, t.name AS leave_type_name
+             FROM leave_requests r
+             JOIN staff s ON s.id = r.staff_id
+             JOIN leave_types t ON t.id = r.leave_type_id
+             WHERE r.status IN ('pending', 'approved')
+               AND r.start_date <= $2 AND r.end_date >= $1
+               AND ($3::text IS NULL OR s.department = $3)
+             ORDER BY s.name, r.start_date`,
+            [first, last, department]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows.map(r => ({
+                ...r,
+                leave_type_name: seesLeaveType || r.staff_id === req.user.id ? r.leave_type_name : 'On leave'
+            })),
+            holidays
+        });
+    } catch (error) {
+        console.error('Leave calendar error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load leave calendar' });
+    }
+});
+
+module.exports = router;
@@ -11,11 +11,14 @@ const { authMiddleware, hasPermission } = require('../middleware/auth');
 const { paginationMiddleware, setPaginationHeaders } = require('../middleware/pagination');
 const QueryBuilder = require('../utils/queryBuilder');
 const AuditService = require('../services/auditService');
+const { buildThreadHeaders } = require('../services/inboundEmailService');
+const { attachSla } = require('../services/slaService');
 const db = require('../config/database');
 
 /**
  * GET /api/admin/messages
- * List all messages with search, filters & pagination
+ * List all messages with search, filters & pagination. Each message has an
+ * `sla` field (see services/slaService.js) flagging those at risk.
  */
 router.get('/',
     authMiddleware,
@@ -77,7 +80,8 @@ router.get('/',
                 db.query(countQuery.query, countQuery.params)
             ]);
 
-            const messages = dataResult.rows;
+            // Each with where it stands against its SLA policy
+            const messages = await attachSla('message', dataResult.rows);
             const total = parseInt(countResult.rows[0].total || countResult.rows[0].count, 10);
 
             // Build pagination response
@@ -328,14 +332,18 @@ router.post('/:id/reply',
             }
 
             // Create reply
-            const reply = await Message.addReply(req.params.id, req.user.id, content);
+            const reply = await Message.addReply(req.params.id, req.user.id, content, sendEmail);
 
-            // Send email reply to the visitor
+            // Send email reply to the visitor, threaded so their answer
+            // comes back to this message
             if (sendEmail) {
                 const { sendReplyEmail } = require('../services/emailService');
-                sendReplyEmail(message.email, content, message.name).catch(err => {
-                    console.error('Failed to send reply email:', err);
-                });
+                buildThreadHeaders(message, reply.id)
+                    .then(thread => sendReplyEmail(message.email, content, message.name, thread)
+                        .then(() => Message.setReplyEmailId(reply.id, thread.messageId)))
+                    .catch(err => {
+                        console.error('Failed to send reply email:', err);
+                    });
             }
 
             // Log action
@@ -1,24 +1,49 @@
 /**
  * Newsletter Routes
- * Handles newsletter subscriptions
+ * Handles newsletter subscriptions (double opt-in, and the preference page
+ * for topics and unsubscribing), and campaigns sent to subscribers (see
+ * services/newsletterService.js): composing, previewing, test sends,
+ * scheduling, open/click tracking and one-click unsubscribe.
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { v4: uuidv4 } = require('uuid');
 const { authMiddleware, adminOnly } = require('../middleware/auth');
+const { newsletterPreferencesLimiter } = require('../middleware/rateLimiter');
+const AuditService = require('../services/auditService');
+const NewsletterService = require('../services/newsletterService');
+const { BLOCK_TYPES, validateBlocks, cleanBlocks, renderCampaign } = require('../utils/newsletterBlocks');
+const { NEWSLETTER_TOPICS, cleanTopics } = require('../utils/newsletterTopics');
+
+// 1x1 transparent GIF for open tracking
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function validationFailed(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+}
 
 // Validation rules
 const subscribeValidation = [
-    body('email').isEmail().withMessage('Valid email is required'),
-    body('name').optional().trim()
+    body('email').trim().isEmail().withMessage('Valid email is required').toLowerCase(),
+    body('name').optional().trim().isLength({ max: 255 }),
+    body('topics').optional().isArray().withMessage('Topics must be a list')
 ];
 
 /**
  * POST /api/newsletter/subscribe
- * Subscribe to newsletter
+ * Subscribe to newsletter (double opt-in): emails a link to confirm the
+ * address. The response is the same whether or not it's already
+ * subscribed.
  */
 router.post('/subscribe', subscribeValidation, async (req, res) => {
     try {
@@ -30,44 +55,17 @@ router.post('/subscribe', subscribeValidation, async (req, res) => {
             });
         }
 
-        const { email, name } = req.body;
-
-        // Check if already subscribed
-        const existing = await pool.query(
-            'SELECT id, is_active FROM newsletter_subscribers WHERE email = $1',
-            [email]
-        );
-
-        if (existing.rows.length > 0) {
-            // Reactivate if previously unsubscribed
-            if (!existing.rows[0].is_active) {
-                await pool.query(
-                    `UPDATE newsletter_subscribers
-                     SET is_active = true, unsubscribed_at = NULL, subscribed_at = CURRENT_TIMESTAMP
-                     WHERE id = $1`,
-                    [existing.rows[0].id]
-                );
-                return res.json({
-                    success: true,
-                    message: 'Welcome back! You have been resubscribed.'
-                });
-            }
-            return res.json({
-                success: true,
-                message: 'You are already subscribed to our newsletter.'
-            });
-        }
-
-        // Create new subscriber
-        await pool.query(
-            `INSERT INTO newsletter_subscribers (id, email, name, source)
-             VALUES ($1, $2, $3, $4)`,
-            [uuidv4(), email, name || null, 'website']
-        );
+        await NewsletterService.requestSubscription({
+            email: req.body.email,
+            name: req.body.name,
+            topics: req.body.topics,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+        });
 
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Thank you for subscribing! We\'ll keep you updated.'
+            message: 'Almost done! Please check your inbox and click the link to confirm your subscription.'
         });
     } catch (error) {
         console.error('Newsletter subscription error:', error);
@@ -95,9 +93,10 @@ router.post('/unsubscribe', async (req, res) => {
 
         const result = await pool.query(
             `UPDATE newsletter_subscribers
-             SET is_active = false, unsubscribed_at = CURRENT_TIMESTAMP
-             WHERE email = $1`,
-            [email]
+             SET status = 'unsubscribed', is_active = false,
+                 unsubscribed_at = COALESCE(unsubscribed_at, CURRENT_TIMESTAMP), unsubscribe_ip = $2
+             WHERE LOWER(email) = LOWER($1)`,
+            [email, req.ip]
         );
 
         if (result.rowCount === 0) {
@@ -122,28 +121,26 @@ router.post('/unsubscribe', async (req, res) => {
 
 /**
  * GET /api/newsletter/subscribers
- * List all subscribers (admin only)
+ * List all subscribers with their consent record (admin only).
+ * ?status=pending|confirmed|unsubscribed, or ?active=true|false
  */
 router.get('/subscribers', authMiddleware, adminOnly, async (req, res) => {
     try {
-        const { active } = req.query;
+        const { status, active } = req.query;
 
-        let query = 'SELECT * FROM newsletter_subscribers';
-        const params = [];
-
-        if (active !== undefined) {
-            query += ' WHERE is_active = $1';
-            params.push(active === 'true');
+        let statuses = null;
+        if (status) {
+            statuses = [status];
+        } else if (active !== undefined) {
+            statuses = active === 'true' ? ['confirmed'] : ['pending', 'unsubscribed'];
         }
 
-        query += ' ORDER BY subscribed_at DESC';
-
-        const result = await pool.query(query, params);
+        const subscribers = await NewsletterService.listSubscribers(statuses);
 
         res.json({
             success: true,
-            data: result.rows,
-            total: result.rows.length
+            data: subscribers,
+            total: subscribers.length
         });
     } catch (error) {
         console.error('List subscribers error:', error);
@@ -154,4 +151,684 @@ router.get('/subscribers', authMiddleware, adminOnly, async (req, res) => {
     }
 });
 
+// ========================================
+// Preference page (links in newsletter emails)
+// ========================================
+
+/**
+ * Look up the subscriber for a preference page request, or respond 404
+ */
+async function loadSubscriber(req, res) {
+    const subscriber = await NewsletterService.findSubscriberByToken(req.params.token);
+    if (!subscriber) {
+        res.status(404).json({
+            success: false,
+            message: 'This link is invalid. Please use the link from your most recent newsletter email.'
+        });
+        return null;
+    }
+    return subscriber;
+}
+
+/**
+ * GET /api/newsletter/preferences/:token
+ * Public - the subscriber's status and topics, and the topics on offer
+ */
+router.get('/preferences/:token', newsletterPreferencesLimiter, async (req, res) => {
+    try {
+        const subscriber = await loadSubscriber(req, res);
+        if (!subscriber) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            data: NewsletterService.preferencesOf(subscriber),
+            topics: NEWSLETTER_TOPICS
+        });
+    } catch (error) {
+        console.error('Get newsletter preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load your preferences.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/preferences/:token/confirm
+ * Public - confirm a subscription (the link in the confirmation email), or
+ * resubscribe after unsubscribing
+ */
+router.post('/preferences/:token/confirm', newsletterPreferencesLimiter, async (req, res) => {
+    try {
+        const subscriber = await loadSubscriber(req, res);
+        if (!subscriber) {
+            return;
+        }
+        if (NewsletterService.confirmationExpired(subscriber)) {
+            return res.status(410).json({
+                success: false,
+                message: 'This confirmation link has expired. Please sign up again to get a new one.'
+            });
+        }
+
+        const wasStatus = subscriber.status;
+        const confirmed = await NewsletterService.confirmSubscriber(subscriber, req.ip);
+
+        if (wasStatus !== 'confirmed') {
+            await AuditService.log({
+                staffId: null,
+                action: wasStatus === 'pending' ? 'newsletter_subscription_confirmed' : 'newsletter_resubscribed',
+                entityType: 'newsletter_subscriber',
+                entityId: subscriber.id,
+                details: { email: subscriber.email },
+                ipAddress: req.ip
+            });
+        }
+
+        res.json({
+            success: true,
+            data: NewsletterService.preferencesOf(confirmed)
+        });
+    } catch (error) {
+        console.error('Confirm newsletter subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm your subscription. Please try again.'
+        });
+    }
+});
+
+/**
+ * PUT /api/newsletter/preferences/:token
+ * Public - choose which topics to get
+ */
+router.put('/preferences/:token', newsletterPreferencesLimiter, [
+    body('topics').isArray({ min: 1 }).withMessage('Choose at least one topic, or unsubscribe')
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const topics = cleanTopics(req.body.topics);
+        if (!topics.length) {
+            return res.status(400).json({ success: false, message: 'Choose at least one topic, or unsubscribe' });
+        }
+
+        const subscriber = await loadSubscriber(req, res);
+        if (!subscriber) {
+            return;
+        }
+        if (subscriber.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please confirm your subscription first.'
+            });
+        }
+
+        const updated = await NewsletterService.updateTopics(subscriber, topics);
+
+        await AuditService.log({
+            staffId: null,
+            action: 'newsletter_preferences_updated',
+            entityType: 'newsletter_subscriber',
+            entityId: subscriber.id,
+            details: { email: subscriber.email, from: subscriber.topics, to: topics },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            data: NewsletterService.preferencesOf(updated),
+            message: 'Your preferences have been saved.'
+        });
+    } catch (error) {
+        console.error('Update newsletter preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save your preferences. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/preferences/:token/unsubscribe
+ * Public - unsubscribe from the preference page
+ */
+router.post('/preferences/:token/unsubscribe', newsletterPreferencesLimiter, async (req, res) => {
+    try {
+        const subscriber = await loadSubscriber(req, res);
+        if (!subscriber) {
+            return;
+        }
+
+        await NewsletterService.unsubscribeSubscriber(subscriber, req.ip);
+        if (subscriber.status !== 'unsubscribed') {
+            await AuditService.log({
+                staffId: null,
+                action: 'newsletter_unsubscribed',
+                entityType: 'newsletter_subscriber',
+                entityId: subscriber.id,
+                details: { email: subscriber.email, via: 'preferences' },
+                ipAddress: req.ip
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'You have been unsubscribed from our newsletter.'
+        });
+    } catch (error) {
+        console.error('Newsletter preferences unsubscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unsubscribe. Please try again.'
+        });
+    }
+});
+
+// ========================================
+// Campaigns (admin only)
+// ========================================
+
+const campaignValidators = [
+    body('subject').trim().notEmpty().withMessage('Subject is required').isLength({ max: 200 }),
+    body('preheader').optional({ nullable: true }).trim().isLength({ max: 200 }),
+    body('blocks').isArray().withMessage('Blocks must be a list'),
+    body('topics').optional().isArray().withMessage('Topics must be a list')
+];
+
+const campaignIdValidator = param('id').isUUID().withMessage('Invalid campaign');
+
+async function findCampaign(id) {
+    const result = await pool.query('SELECT * FROM newsletter_campaigns WHERE id = $1', [id]);
+    return result.rows[0];
+}
+
+/**
+ * GET /api/newsletter/campaigns
+ * Campaign history with delivery, open, click and unsubscribe counts, the
+ * block types and topics the composer offers, and subscriber counts by
+ * status and topic
+ */
+router.get('/campaigns', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const [campaigns, subscribers] = await Promise.all([
+            NewsletterService.listCampaigns(),
+            NewsletterService.countSubscribers()
+        ]);
+
+        res.json({
+            success: true,
+            data: campaigns,
+            blockTypes: BLOCK_TYPES,
+            topics: NEWSLETTER_TOPICS,
+            subscribers
+        });
+    } catch (error) {
+        console.error('List campaigns error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch campaigns.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/campaigns/preview
+ * The email for unsaved content, as subscribers would see it
+ */
+router.post('/campaigns/preview', authMiddleware, adminOnly, campaignValidators, (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    const problem = validateBlocks(req.body.blocks);
+    if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+    }
+
+    const { html, text } = renderCampaign({
+        subject: req.body.subject,
+        preheader: req.body.preheader,
+        blocks: cleanBlocks(req.body.blocks)
+    }, { unsubscribeUrl: '#', preferencesUrl: '#' });
+    res.json({ success: true, data: { html, text } });
+});
+
+/**
+ * POST /api/newsletter/campaigns
+ * Create a draft campaign
+ */
+router.post('/campaigns', authMiddleware, adminOnly, campaignValidators, async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const problem = validateBlocks(req.body.blocks);
+        if (problem) {
+            return res.status(400).json({ success: false, message: problem });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO newsletter_campaigns (subject, preheader, blocks, topics, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [
+                req.body.subject,
+                req.body.preheader || null,
+                JSON.stringify(cleanBlocks(req.body.blocks)),
+                JSON.stringify(cleanTopics(req.body.topics)),
+                req.user.id
+            ]
+        );
+        const campaign = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_created',
+            entityType: 'newsletter_campaign',
+            entityId: campaign.id,
+            details: { subject: campaign.subject },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Create campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create campaign.'
+        });
+    }
+});
+
+/**
+ * GET /api/newsletter/campaigns/:id
+ * A campaign with its counts, clicks per link and failed deliveries
+ */
+router.get('/campaigns/:id', authMiddleware, adminOnly, [campaignIdValidator], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const campaign = await NewsletterService.getCampaignReport(req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Get campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch campaign.'
+        });
+    }
+});
+
+/**
+ * PUT /api/newsletter/campaigns/:id
+ * Edit a draft (unschedule a scheduled campaign to edit it)
+ */
+router.put('/campaigns/:id', authMiddleware, adminOnly, [campaignIdValidator, ...campaignValidators], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const problem = validateBlocks(req.body.blocks);
+        if (problem) {
+            return res.status(400).json({ success: false, message: problem });
+        }
+
+        const result = await pool.query(
+            `UPDATE newsletter_campaigns
+             SET subject = $2, preheader = $3, blocks = $4, topics = $5, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+             RETURNING *`,
+            [
+                req.params.id,
+                req.body.subject,
+                req.body.preheader || null,
+                JSON.stringify(cleanBlocks(req.body.blocks)),
+                JSON.stringify(cleanTopics(req.body.topics))
+            ]
+        );
+        if (!result.rows.length) {
+            const existing = await findCampaign(req.params.id);
+            return existing
+                ? res.status(400).json({ success: false, message: 'Only draft campaigns can be edited.' })
+                : res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+        const campaign = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_updated',
+            entityType: 'newsletter_campaign',
+            entityId: campaign.id,
+            details: { subject: campaign.subject },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Update campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update campaign.'
+        });
+    }
+});
+
+/**
+ * DELETE /api/newsletter/campaigns/:id
+ * Delete a draft. Campaigns that have been sent stay in the history.
+ */
+router.delete('/campaigns/:id', authMiddleware, adminOnly, [campaignIdValidator], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const result = await pool.query(
+            "DELETE FROM newsletter_campaigns WHERE id = $1 AND status = 'draft' RETURNING id, subject",
+            [req.params.id]
+        );
+        if (!result.rows.length) {
+            const existing = await findCampaign(req.params.id);
+            return existing
+                ? res.status(400).json({ success: false, message: 'Only draft campaigns can be deleted.' })
+                : res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_deleted',
+            entityType: 'newsletter_campaign',
+            entityId: req.params.id,
+            details: { subject: result.rows[0].subject },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Campaign deleted.' });
+    } catch (error) {
+        console.error('Delete campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete campaign.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/campaigns/:id/duplicate
+ * Start a new draft from any campaign's content
+ */
+router.post('/campaigns/:id/duplicate', authMiddleware, adminOnly, [campaignIdValidator], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO newsletter_campaigns (subject, preheader, blocks, topics, created_by)
+             SELECT subject, preheader, blocks, topics, $2 FROM newsletter_campaigns WHERE id = $1
+             RETURNING *`,
+            [req.params.id, req.user.id]
+        );
+        if (!result.rows.length) {
+            return res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+        const campaign = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_created',
+            entityType: 'newsletter_campaign',
+            entityId: campaign.id,
+            details: { subject: campaign.subject, copiedFrom: req.params.id },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Duplicate campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to copy campaign.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/campaigns/:id/test
+ * Email the campaign to one address (default: your own) to check it
+ */
+router.post('/campaigns/:id/test', authMiddleware, adminOnly, [
+    campaignIdValidator,
+    body('email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required').normalizeEmail()
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const campaign = await findCampaign(req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+
+        const to = req.body.email || req.user.email;
+        await NewsletterService.sendTestEmail(campaign, to);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_test_sent',
+            entityType: 'newsletter_campaign',
+            entityId: campaign.id,
+            details: { subject: campaign.subject, to },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: `Test sent to ${to}.` });
+    } catch (error) {
+        console.error('Test campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send the test email.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/campaigns/:id/schedule
+ * Schedule a draft for scheduledAt, or to go out now if it's left out.
+ * The newsletter-send job picks it up within a minute of that time.
+ */
+router.post('/campaigns/:id/schedule', authMiddleware, adminOnly, [
+    campaignIdValidator,
+    body('scheduledAt').optional({ nullable: true }).isISO8601().withMessage('Invalid send time')
+], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const campaign = await findCampaign(req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+        if (campaign.status !== 'draft') {
+            return res.status(400).json({ success: false, message: 'Only draft campaigns can be scheduled.' });
+        }
+        const problem = validateBlocks(campaign.blocks);
+        if (problem) {
+            return res.status(400).json({ success: false, message: problem });
+        }
+        if (await NewsletterService.countAudience(campaign.topics) === 0) {
+            return res.status(400).json({
+                success: false,
+                message: campaign.topics.length
+                    ? 'No confirmed subscribers have chosen this campaign\'s topics.'
+                    : 'There are no confirmed subscribers to send to.'
+            });
+        }
+
+        const result = await pool.query(
+            `UPDATE newsletter_campaigns
+             SET status = 'scheduled', scheduled_at = COALESCE($2::timestamptz, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'draft'
+             RETURNING *`,
+            [campaign.id, req.body.scheduledAt || null]
+        );
+        if (!result.rows.length) {
+            return res.status(400).json({ success: false, message: 'Only draft campaigns can be scheduled.' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_scheduled',
+            entityType: 'newsletter_campaign',
+            entityId: campaign.id,
+            details: { subject: campaign.subject, scheduledAt: result.rows[0].scheduled_at },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: result.rows[0] });
+    } catch (error) {
+        console.error('Schedule campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule campaign.'
+        });
+    }
+});
+
+/**
+ * POST /api/newsletter/campaigns/:id/cancel
+ * Unschedule a scheduled campaign (it becomes a draft again), or stop one
+ * that is sending
+ */
+router.post('/campaigns/:id/cancel', authMiddleware, adminOnly, [campaignIdValidator], async (req, res) => {
+    if (validationFailed(req, res)) {
+        return;
+    }
+
+    try {
+        const campaign = await NewsletterService.cancelCampaign(req.params.id);
+        if (!campaign) {
+            const existing = await findCampaign(req.params.id);
+            return existing
+                ? res.status(400).json({ success: false, message: 'Only scheduled or sending campaigns can be cancelled.' })
+                : res.status(404).json({ success: false, message: 'Campaign not found.' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'newsletter_campaign_cancelled',
+            entityType: 'newsletter_campaign',
+            entityId: campaign.id,
+            details: { subject: campaign.subject, status: campaign.status },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Cancel campaign error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel campaign.'
+        });
+    }
+});
+
+// ========================================
+// Tracking and unsubscribe (links in campaign emails)
+// ========================================
+
+/**
+ * GET /api/newsletter/t/:token/open.gif
+ * Open-tracking pixel
+ */
+router.get('/t/:token/open.gif', async (req, res) => {
+    try {
+        await NewsletterService.recordOpen(req.params.token);
+    } catch (error) {
+        console.error('Newsletter open tracking error:', error);
+    }
+
+    res.set({
+        'Content-Type': 'image/gif',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+    });
+    res.send(TRACKING_PIXEL);
+});
+
+/**
+ * GET /api/newsletter/t/:token/click/:index
+ * Tracked link: counts the click, then redirects to the campaign's link.
+ * Only the campaign's own links can be reached this way.
+ */
+router.get('/t/:token/click/:index', async (req, res) => {
+    try {
+        const url = await NewsletterService.recordClick(req.params.token, parseInt(req.params.index, 10));
+        res.redirect(url || '/');
+    } catch (error) {
+        console.error('Newsletter click tracking error:', error);
+        res.redirect('/');
+    }
+});
+
+/**
+ * GET /api/newsletter/t/:token/unsubscribe
+ * A mail app opening the List-Unsubscribe link in a browser - confirm on
+ * the unsubscribe page rather than unsubscribing on a GET
+ */
+router.get('/t/:token/unsubscribe', (req, res) => {
+    res.redirect(`/unsubscribe.html?token=${encodeURIComponent(req.params.token)}`);
+});
+
+/**
+ * POST /api/newsletter/t/:token/unsubscribe
+ * One-click unsubscribe (List-Unsubscribe-Post, and the unsubscribe page)
+ */
+router.post('/t/:token/unsubscribe', async (req, res) => {
+    try {
+        const result = await NewsletterService.unsubscribeByToken(req.params.token, req.ip);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'This unsubscribe link is invalid.'
+            });
+        }
+        if (result.changed) {
+            await AuditService.log({
+                staffId: null,
+                action: 'newsletter_unsubscribed',
+                entityType: 'newsletter_subscriber',
+                entityId: result.id,
+                details: { email: result.email, via: 'email_link' },
+                ipAddress: req.ip
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'You have been unsubscribed from our newsletter.'
+        });
+    } catch (error) {
+        console.error('Newsletter one-click unsubscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unsubscribe. Please try again.'
+        });
+    }
+});
+
 module.exports = router;
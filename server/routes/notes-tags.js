@@ -1,6 +1,6 @@
 /**
  * Notes & Tags Routes
- * Handles internal notes and tagging for leads
+ * Handles internal notes and tagging for leads and contacts
  */
 
 const express = require('express');
@@ -13,20 +13,22 @@ const AuditService = require('../services/auditService');
 // Notes/tags attach to messages, consultations, or chats - gate access to
 // an entity's notes/tags by the same permission that gates the entity
 // itself, so someone without can_manage_messages can't read internal notes
-// about a message via this side door.
+// about a message via this side door. A contact spans all three, so any
+// one of them will do.
 const ENTITY_PERMISSION = {
-    message: 'can_manage_messages',
-    consultation: 'can_manage_consultations',
-    chat: 'can_manage_chats'
+    message: ['can_manage_messages'],
+    consultation: ['can_manage_consultations'],
+    chat: ['can_manage_chats'],
+    contact: ['can_manage_messages', 'can_manage_consultations', 'can_manage_chats']
 };
 
 function entityPermission(req, res, next) {
     const entityType = req.params.entityType || req.body.entityType;
-    const permission = ENTITY_PERMISSION[entityType];
-    if (!permission) {
+    const permissions = ENTITY_PERMISSION[entityType];
+    if (!permissions) {
         return res.status(400).json({ success: false, message: 'Unknown entity type' });
     }
-    return hasPermission(permission)(req, res, next);
+    return hasPermission(...permissions)(req, res, next);
 }
 
 // ==========================================
@@ -0,0 +1,471 @@
+/**
+ * Payroll Run Routes
+ * A month's payroll as one batch: an Accountant opens a run (draft paystubs
+ * for every active employee), reviews "other deductions", and an Admin
+ * approves it - locking every paystub in the run. Payslips are then emailed
+ * as PDFs in bulk.
+ *
+ * Approved runs are immutable (also enforced by a trigger on paystubs).
+ * Running a month again after approval drafts adjustment paystubs holding
+ * only the difference - see payrollService.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authMiddleware, accountantOrAdmin, adminOnly } = require('../middleware/auth');
+const db = require('../config/database');
+const Staff = require('../models/Staff');
+const AuditService = require('../services/auditService');
+const { generatePaystubPDF } = require('../services/pdfService');
+const { sendPaystubEmail } = require('../services/emailService');
+const { draftRunPaystubs, getRunDetail } = require('../services/payrollService');
+
+const DRAFT_OPEN_MESSAGE = 'This month already has a payroll run in draft - review or discard it first';
+
+/**
+ * Load a run that must still be a draft; sends the error response and
+ * returns null otherwise
+ */
+const loadDraftRun = async (req, res) => {
+    const result = await db.query('SELECT * FROM payroll_runs WHERE id = $1', [req.params.id]);
+    const run = result.rows[0];
+    if (!run) {
+        res.status(404).json({ success: false, message: 'Payroll run not found' });
+        return null;
+    }
+    if (run.status !== 'draft') {
+        res.status(409).json({ success: false, message: 'This payroll run is approved and locked - run the month again to make adjustments' });
+        return null;
+    }
+    return run;
+};
+
+/**
+ * GET /api/payroll-runs?year=
+ * List payroll runs with headcount and totals (Accountant/Admin)
+ */
+router.get('/', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const year = parseInt(req.query.year, 10);
+        const result = await db.query(
+            `SELECT r.*, a.name AS approved_by_name,
+                    COUNT(p.id)::int AS paystub_count,
+                    COUNT(p.emailed_at)::int AS emailed_count,
+                    COALESCE(SUM(p.gross_pay), 0) AS total_gross,
+                    COALESCE(SUM(p.net_pay), 0) AS total_net
+             FROM payroll_runs r
+             LEFT JOIN paystubs p ON p.payroll_run_id = r.id
+             LEFT JOIN staff a ON a.id = r.approved_by
+             WHERE ($1::int IS NULL OR r.pay_period_year = $1)
+             GROUP BY r.id, a.name
+             ORDER BY r.pay_period_year DESC, r.pay_period_month DESC, r.run_number DESC`,
+            [year || null]
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List payroll runs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load payroll runs' });
+    }
+});
+
+/**
+ * GET /api/payroll-runs/:id
+ * A run with all of its paystubs, for review (Accountant/Admin)
+ */
+router.get('/:id', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const run = await getRunDetail(req.params.id);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+        res.json({ success: true, data: run });
+    } catch (error) {
+        console.error('Get payroll run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load payroll run' });
+    }
+});
+
+/**
+ * POST /api/payroll-runs
+ * Open a run for a month and draft paystubs for all active staff
+ * (Accountant/Admin). If the month already has an approved run, this is an
+ * adjustment run: only differences from what was issued are drafted.
+ */
+router.post('/', authMiddleware, accountantOrAdmin, [
+    body('month').isInt({ min: 1, max: 12 }),
+    body('year').isInt({ min: 2020, max: 2100 }),
+    body('notes').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const month = parseInt(req.body.month, 10);
+    const year = parseInt(req.body.year, 10);
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            `SELECT
+                 MAX(run_number) AS last_run,
+                 BOOL_OR(status = 'draft') AS has_draft
+             FROM payroll_runs WHERE pay_period_month = $1 AND pay_period_year = $2`,
+            [month, year]
+        );
+        if (existing.rows[0].has_draft) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: DRAFT_OPEN_MESSAGE });
+        }
+
+        const issued = await client.query(
+            `SELECT COUNT(*)::int AS count FROM paystubs
+             WHERE pay_period_month = $1 AND pay_period_year = $2 AND locked_at IS NOT NULL`,
+            [month, year]
+        );
+        const runType = issued.rows[0].count > 0 ? 'adjustment' : 'regular';
+
+        const runResult = await client.query(
+            `INSERT INTO payroll_runs (pay_period_month, pay_period_year, run_number, run_type, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [month, year, (existing.rows[0].last_run || 0) + 1, runType, req.body.notes || null, req.user.id]
+        );
+        const run = runResult.rows[0];
+
+        const { drafted, skipped } = await draftRunPaystubs(client, run, req.user.id);
+        if (drafted === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: runType === 'adjustment'
+                    ? 'Nothing has changed since this month was approved - no adjustments are needed'
+                    : 'No active staff have a salary on file yet - set salaries on the Payroll page first',
+                skipped
+            });
+        }
+
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'payroll_run_opened',
+            entityType: 'payroll_run',
+            entityId: run.id,
+            details: { month, year, runNumber: run.run_number, runType, paystubs: drafted, skipped: skipped.length },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: await getRunDetail(run.id), skipped });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        // Another run for the month was opened at the same moment and got
+        // in first (idx_payroll_runs_one_draft / the run number)
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: DRAFT_OPEN_MESSAGE });
+        }
+        console.error('Open payroll run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to open payroll run' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/payroll-runs/:id/regenerate
+ * Re-draft a draft run from current salaries (e.g. after a salary fix),
+ * keeping any "other deductions" already entered (Accountant/Admin)
+ */
+router.post('/:id/regenerate', authMiddleware, accountantOrAdmin, async (req, res) => {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const runResult = await client.query('SELECT * FROM payroll_runs WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const run = runResult.rows[0];
+        if (!run) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+        if (run.status !== 'draft') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: 'This payroll run is approved and locked - run the month again to make adjustments' });
+        }
+
+        const previous = await client.query(
+            'DELETE FROM paystubs WHERE payroll_run_id = $1 RETURNING staff_id, deductions, deductions_note',
+            [run.id]
+        );
+        const carried = new Map(previous.rows
+            .filter(p => parseFloat(p.deductions) !== 0 || p.deductions_note)
+            .map(p => [p.staff_id, p]));
+
+        const { drafted, skipped } = await draftRunPaystubs(client, run, req.user.id, carried);
+        await client.query('COMMIT');
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'payroll_run_regenerated',
+            entityType: 'payroll_run',
+            entityId: run.id,
+            details: { paystubs: drafted, skipped: skipped.length },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await getRunDetail(run.id), skipped });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Regenerate payroll run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to regenerate payroll run' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * PATCH /api/payroll-runs/:id/paystubs/:paystubId
+ * Adjust a draft paystub's "other deductions" (Accountant/Admin)
+ */
+router.patch('/:id/paystubs/:paystubId', authMiddleware, accountantOrAdmin, [
+    body('deductions').isFloat(),
+    body('deductionsNote').optional({ nullable: true }).isString().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const run = await loadDraftRun(req, res);
+        if (!run) {
+            return;
+        }
+
+        const current = await db.query(
+            'SELECT * FROM paystubs WHERE id = $1 AND payroll_run_id = $2',
+            [req.params.paystubId, run.id]
+        );
+        const paystub = current.rows[0];
+        if (!paystub) {
+            return res.status(404).json({ success: false, message: 'Paystub not found in this run' });
+        }
+
+        const deductions = Math.round(parseFloat(req.body.deductions) * 100) / 100;
+        const statutoryTotal = ['paye_tax', 'development_levy', 'pension_employee', 'nhf_contribution']
+            .reduce((sum, field) => sum + (parseFloat(paystub[field]) || 0), 0);
+        const netPay = Math.round((parseFloat(paystub.gross_pay) - statutoryTotal - deductions) * 100) / 100;
+        // Adjustments carry differences and may go negative; a regular
+        // payslip can't take back more than it pays
+        if (paystub.entry_type === 'regular' && (deductions < 0 || netPay < 0)) {
+            return res.status(400).json({ success: false, message: 'Deductions must be between zero and the pay left after statutory deductions' });
+        }
+
+        const result = await db.query(
+            `UPDATE paystubs
+             SET deductions = $1, deductions_note = $2, net_pay = $3,
+                 generated_by = $4, generated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [deductions, req.body.deductionsNote || null, netPay, req.user.id, paystub.id]
+        );
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'paystub_deductions_updated',
+            entityType: 'paystub',
+            entityId: req.params.paystubId,
+            details: { payrollRunId: run.id, forStaffId: paystub.staff_id, deductions },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: result.rows[0] });
+    } catch (error) {
+        console.error('Update draft paystub error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update paystub' });
+    }
+});
+
+/**
+ * DELETE /api/payroll-runs/:id/paystubs/:paystubId
+ * Leave an employee out of a draft run (Accountant/Admin)
+ */
+router.delete('/:id/paystubs/:paystubId', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const run = await loadDraftRun(req, res);
+        if (!run) {
+            return;
+        }
+
+        const result = await db.query(
+            'DELETE FROM paystubs WHERE id = $1 AND payroll_run_id = $2 RETURNING staff_id',
+            [req.params.paystubId, run.id]
+        );
+        if (!result.rows[0]) {
+            return res.status(404).json({ success: false, message: 'Paystub not found in this run' });
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'paystub_removed_from_run',
+            entityType: 'payroll_run',
+            entityId: run.id,
+            details: { forStaffId: result.rows[0].staff_id },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Paystub removed from run' });
+    } catch (error) {
+        console.error('Remove draft paystub error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove paystub' });
+    }
+});
+
+/**
+ * DELETE /api/payroll-runs/:id
+ * Discard a draft run and its paystubs (Accountant/Admin)
+ */
+router.delete('/:id', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const run = await loadDraftRun(req, res);
+        if (!run) {
+            return;
+        }
+
+        await db.query('DELETE FROM payroll_runs WHERE id = $1', [run.id]);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'payroll_run_discarded',
+            entityType: 'payroll_run',
+            entityId: run.id,
+            details: { month: run.pay_period_month, year: run.pay_period_year, runNumber: run.run_number },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Payroll run discarded' });
+    } catch (error) {
+        console.error('Discard payroll run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to discard payroll run' });
+    }
+});
+
+/**
+ * POST /api/payroll-runs/:id/approve
+ * Approve and lock a run (Admin only - like salary changes, payroll needs
+ * Admin sign-off, so an Accountant can't approve their own run)
+ */
+router.post('/:id/approve', authMiddleware, adminOnly, async (req, res) => {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const runResult = await client.query('SELECT * FROM payroll_runs WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const run = runResult.rows[0];
+        if (!run) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+        if (run.status !== 'draft') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: 'This payroll run is already approved' });
+        }
+
+        const locked = await client.query(
+            `UPDATE paystubs SET locked_at = CURRENT_TIMESTAMP
+             WHERE payroll_run_id = $1
+             RETURNING net_pay`,
+            [run.id]
+        );
+        if (locked.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: 'This payroll run has no paystubs to approve' });
+        }
+
+        await client.query(
+            `UPDATE payroll_runs SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [req.user.id, run.id]
+        );
+        await client.query('COMMIT');
+
+        const totalNet = locked.rows.reduce((sum, p) => sum + parseFloat(p.net_pay), 0);
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'payroll_run_approved',
+            entityType: 'payroll_run',
+            entityId: run.id,
+            details: { month: run.pay_period_month, year: run.pay_period_year, runNumber: run.run_number, paystubs: locked.rows.length, totalNet },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await getRunDetail(run.id) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Approve payroll run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to approve payroll run' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /api/payroll-runs/:id/email
+ * Email each employee their payslip PDF from an approved run (Accountant/
+ * Admin). Skips payslips already emailed unless { resend: true }. One
+ * failed address doesn't stop the rest - failures are returned.
+ */
+router.post('/:id/email', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const runResult = await db.query('SELECT * FROM payroll_runs WHERE id = $1', [req.params.id]);
+        const run = runResult.rows[0];
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Payroll run not found' });
+        }
+        if (run.status !== 'approved') {
+            return res.status(409).json({ success: false, message: 'Payslips can only be emailed once the run is approved' });
+        }
+
+        const paystubs = await db.query(
+            `SELECT * FROM paystubs
+             WHERE payroll_run_id = $1 AND ($2 OR emailed_at IS NULL)`,
+            [run.id, req.body.resend === true]
+        );
+
+        let sent = 0;
+        const failed = [];
+        for (const paystub of paystubs.rows) {
+            const staff = await Staff.findById(paystub.staff_id);
+            try {
+                const pdfBuffer = await generatePaystubPDF(paystub, staff);
+                await sendPaystubEmail(staff, paystub, pdfBuffer);
+                await db.query('UPDATE paystubs SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1', [paystub.id]);
+                sent++;
+            } catch (emailError) {
+                console.error(`Payslip email error for ${staff?.email}:`, emailError);
+                failed.push({ paystubId: paystub.id, name: staff?.name, email: staff?.email });
+            }
+        }
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'payroll_run_emailed',
+            entityType: 'payroll_run',
+            entityId: run.id,
+            details: { sent, failed: failed.length, resend: req.body.resend === true },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: `${sent} payslip${sent === 1 ? '' : 's'} emailed${failed.length ? `, ${failed.length} failed` : ''}`,
+            data: { sent, failed }
+        });
+    } catch (error) {
+        console.error('Email payroll run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to email payslips' });
+    }
+});
+
+module.exports = router;
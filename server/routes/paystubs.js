@@ -1,23 +1,35 @@
 /**
  * Paystub Routes
- * Monthly paystub generation and retrieval. PAYE tax and the DBIR
- * Development Levy are auto-calculated (see payeService.js); pension and
- * NHF are deliberately not included yet. "Other deductions" (advances,
- * etc.) are still entered manually by the Accountant.
+ * Paystub retrieval, the monthly remittance schedule exports (DBIR PAYE,
+ * pension), and the year-end documents: each employee's annual tax
+ * deduction certificate and the company's annual PAYE return. Paystubs
+ * themselves are generated in monthly payroll runs (see payrollRuns.js).
+ * PAYE tax, the DBIR Development Levy, pension and NHF are auto-calculated
+ * (see payrollService.js). "Other deductions" (advances, etc.) are still
+ * entered manually by the Accountant.
+ *
+ * Employees only ever see paystubs from approved (locked) runs.
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
 const { authMiddleware, accountantOrAdmin } = require('../middleware/auth');
 const db = require('../config/database');
 const Staff = require('../models/Staff');
-const AuditService = require('../services/auditService');
-const { generatePaystubPDF } = require('../services/pdfService');
-const { calculateMonthlyPAYE, monthlyDevelopmentLevy } = require('../services/payeService');
+const { generatePaystubPDF, generateTaxCertificatePDF, generateAnnualPayeReturnPDF } = require('../services/pdfService');
+const { getAnnualTaxSummary, getEmployerTaxDetails } = require('../services/payrollService');
+
+const isPayrollUser = (req) => req.user.role === 'admin' || req.user.role === 'accountant';
 
 const canAccessStaffPaystubs = (req, staffId) => {
-    return req.user.id === staffId || req.user.role === 'admin' || req.user.role === 'accountant';
+    return req.user.id === staffId || isPayrollUser(req);
+};
+
+// A tax year that has started (certificates for the current year so far
+// are allowed - staff ask for them mid-year for loan applications)
+const parseTaxYear = (value) => {
+    const year = parseInt(value, 10);
+    return year >= 2000 && year <= new Date().getFullYear() ? year : null;
 };
 
 /**
@@ -32,11 +44,12 @@ router.get('/staff/:staffId', authMiddleware, async (req, res) => {
 
         const result = await db.query(
             `SELECT id, staff_id, pay_period_month, pay_period_year, gross_pay,
-                    paye_tax, cra_amount, development_levy, deductions, deductions_note,
-                    net_pay, currency, generated_at
-             FROM paystubs WHERE staff_id = $1
-             ORDER BY pay_period_year DESC, pay_period_month DESC`,
-            [req.params.staffId]
+                    paye_tax, cra_amount, development_levy, pension_employee, pension_employer,
+                    nhf_contribution, deductions, deductions_note,
+                    net_pay, currency, generated_at, payroll_run_id, entry_type, locked_at
+             FROM paystubs WHERE staff_id = $1 AND ($2 OR locked_at IS NOT NULL)
+             ORDER BY pay_period_year DESC, pay_period_month DESC, generated_at DESC`,
+            [req.params.staffId, isPayrollUser(req)]
         );
         res.json({ success: true, data: result.rows });
     } catch (error) {
@@ -46,80 +59,33 @@ router.get('/staff/:staffId', authMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/paystubs
- * Generate a paystub for a staff member's pay period (Accountant/Admin only).
- * Pulls the staff member's CURRENT salary structure as a snapshot - later
- * salary changes won't retroactively alter an already-generated paystub.
+ * GET /api/paystubs/staff/:staffId/tax-certificate?year=
+ * Annual tax deduction certificate (Form H1 / P9 style) PDF for one tax
+ * year, from approved paystubs (self, or Accountant/Admin)
  */
-router.post('/', authMiddleware, accountantOrAdmin, [
-    body('staffId').notEmpty(),
-    body('month').isInt({ min: 1, max: 12 }),
-    body('year').isInt({ min: 2020, max: 2100 }),
-    body('deductions').optional().isFloat({ min: 0 })
-], async (req, res) => {
+router.get('/staff/:staffId/tax-certificate', authMiddleware, async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ success: false, errors: errors.array() });
-        }
-
-        const { staffId, month, year, deductions, deductionsNote } = req.body;
-
-        const salary = await Staff.getSalaryInfo(staffId);
-        if (!salary) {
-            return res.status(404).json({ success: false, message: 'Staff member not found' });
+        if (!canAccessStaffPaystubs(req, req.params.staffId)) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
         }
-        if (!salary.base_salary) {
-            return res.status(400).json({ success: false, message: 'This staff member has no salary on file yet - set it on the Payroll page first' });
+        const year = parseTaxYear(req.query.year);
+        if (!year) {
+            return res.status(400).json({ success: false, message: 'A valid tax year is required' });
         }
 
-        const basic = parseFloat(salary.base_salary) || 0;
-        const housing = parseFloat(salary.housing_allowance) || 0;
-        const transport = parseFloat(salary.transport_allowance) || 0;
-        const utility = parseFloat(salary.utility_allowance) || 0;
-        const meal = parseFloat(salary.meal_allowance) || 0;
-        const gross = basic + housing + transport + utility + meal;
-
-        const paye = calculateMonthlyPAYE(gross);
-        const devLevy = monthlyDevelopmentLevy();
-        const otherDeductions = parseFloat(deductions) || 0;
-        const net = gross - paye.monthlyTax - devLevy - otherDeductions;
-
-        const result = await db.query(
-            `INSERT INTO paystubs (
-                staff_id, pay_period_month, pay_period_year, basic_salary,
-                housing_allowance, transport_allowance, utility_allowance, meal_allowance,
-                gross_pay, paye_tax, cra_amount, development_levy,
-                deductions, deductions_note, net_pay, currency, generated_by
-            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
-            ON CONFLICT (staff_id, pay_period_month, pay_period_year)
-            DO UPDATE SET
-                basic_salary = EXCLUDED.basic_salary, housing_allowance = EXCLUDED.housing_allowance,
-                transport_allowance = EXCLUDED.transport_allowance, utility_allowance = EXCLUDED.utility_allowance,
-                meal_allowance = EXCLUDED.meal_allowance, gross_pay = EXCLUDED.gross_pay,
-                paye_tax = EXCLUDED.paye_tax, cra_amount = EXCLUDED.cra_amount,
-                development_levy = EXCLUDED.development_levy,
-                deductions = EXCLUDED.deductions, deductions_note = EXCLUDED.deductions_note,
-                net_pay = EXCLUDED.net_pay, generated_by = EXCLUDED.generated_by, generated_at = CURRENT_TIMESTAMP
-            RETURNING *`,
-            [staffId, month, year, basic, housing, transport, utility, meal,
-                gross, paye.monthlyTax, paye.monthlyCRA, devLevy,
-                otherDeductions, deductionsNote || null, net, salary.salary_currency || 'NGN', req.user.id]
-        );
+        const [summary] = await getAnnualTaxSummary(year, req.params.staffId);
+        if (!summary) {
+            return res.status(404).json({ success: false, message: `No approved paystubs for ${year}` });
+        }
 
-        await AuditService.log({
-            staffId: req.user.id,
-            action: 'paystub_generated',
-            entityType: 'paystub',
-            entityId: result.rows[0].id,
-            details: { forStaffId: staffId, month, year, netPay: net },
-            ipAddress: req.ip
-        });
+        const pdfBuffer = await generateTaxCertificatePDF(summary, year, await getEmployerTaxDetails());
 
-        res.status(201).json({ success: true, data: result.rows[0] });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=tax-certificate-${year}.pdf`);
+        res.send(pdfBuffer);
     } catch (error) {
-        console.error('Generate paystub error:', error);
-        res.status(500).json({ success: false, message: 'Failed to generate paystub' });
+        console.error('Tax certificate error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate tax certificate' });
     }
 });
 
@@ -137,12 +103,16 @@ router.get('/:id/pdf', authMiddleware, async (req, res) => {
         if (!canAccessStaffPaystubs(req, paystub.staff_id)) {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
+        if (!paystub.locked_at && !isPayrollUser(req)) {
+            return res.status(404).json({ success: false, message: 'Paystub not found' });
+        }
 
         const staff = await Staff.findById(paystub.staff_id);
         const pdfBuffer = await generatePaystubPDF(paystub, staff);
 
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=payslip-${paystub.pay_period_year}-${String(paystub.pay_period_month).padStart(2, '0')}.pdf`);
+        const suffix = paystub.entry_type === 'adjustment' ? '-adjustment' : '';
+        res.setHeader('Content-Disposition', `attachment; filename=payslip-${paystub.pay_period_year}-${String(paystub.pay_period_month).padStart(2, '0')}${suffix}.pdf`);
         res.send(pdfBuffer);
     } catch (error) {
         console.error('Paystub PDF error:', error);
@@ -154,7 +124,8 @@ router.get('/:id/pdf', authMiddleware, async (req, res) => {
  * GET /api/paystubs/dbir-schedule?month=&year=
  * Monthly DBIR PAYE Schedule export (Employee Name, Tax ID, Gross Income,
  * CRA, PAYE Tax Deducted) as CSV, ready for upload to the Delta State
- * Board of Internal Revenue portal. Accountant/Admin only.
+ * Board of Internal Revenue portal. Accountant/Admin only. Covers approved
+ * paystubs only, with any adjustments summed into each employee's line.
  */
 router.get('/dbir-schedule', authMiddleware, accountantOrAdmin, async (req, res) => {
     try {
@@ -165,10 +136,13 @@ router.get('/dbir-schedule', authMiddleware, accountantOrAdmin, async (req, res)
         }
 
         const result = await db.query(
-            `SELECT s.name, s.nin, s.tin, p.gross_pay, p.cra_amount, p.paye_tax, p.development_levy
+            `SELECT s.name, s.nin, s.tin,
+                    SUM(p.gross_pay) AS gross_pay, SUM(p.cra_amount) AS cra_amount,
+                    SUM(p.paye_tax) AS paye_tax, SUM(p.development_levy) AS development_levy
              FROM paystubs p
              JOIN staff s ON s.id = p.staff_id
-             WHERE p.pay_period_month = $1 AND p.pay_period_year = $2
+             WHERE p.pay_period_month = $1 AND p.pay_period_year = $2 AND p.locked_at IS NOT NULL
+             GROUP BY s.id, s.name, s.nin, s.tin
              ORDER BY s.name`,
             [month, year]
         );
@@ -193,4 +167,109 @@ router.get('/dbir-schedule', authMiddleware, accountantOrAdmin, async (req, res)
     }
 });
 
+/**
+ * GET /api/paystubs/pension-schedule?month=&year=
+ * Monthly pension remittance schedule (Employee, PFA, RSA PIN, pensionable
+ * pay, employee and employer contributions) as CSV, for remitting to each
+ * employee's PFA. Approved paystubs only, adjustments summed in.
+ * Accountant/Admin only.
+ */
+router.get('/pension-schedule', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const month = parseInt(req.query.month, 10);
+        const year = parseInt(req.query.year, 10);
+        if (!month || month < 1 || month > 12 || !year) {
+            return res.status(400).json({ success: false, message: 'Valid month and year are required' });
+        }
+
+        const result = await db.query(
+            `SELECT s.name, s.pfa_name, s.rsa_pin,
+                    SUM(p.basic_salary + p.housing_allowance + p.transport_allowance) AS pensionable_pay,
+                    SUM(p.pension_employee) AS pension_employee,
+                    SUM(p.pension_employer) AS pension_employer
+             FROM paystubs p
+             JOIN staff s ON s.id = p.staff_id
+             WHERE p.pay_period_month = $1 AND p.pay_period_year = $2 AND p.locked_at IS NOT NULL
+             GROUP BY s.id, s.name, s.pfa_name, s.rsa_pin
+             HAVING SUM(p.pension_employee) <> 0 OR SUM(p.pension_employer) <> 0
+             ORDER BY s.pfa_name NULLS LAST, s.name`,
+            [month, year]
+        );
+
+        const csvText = (value) => `"${(value || '').replace(/"/g, '""')}"`;
+        const header = 'Employee Name,PFA,RSA PIN,Pensionable Pay (NGN),Employee Contribution (NGN),Employer Contribution (NGN),Total Remittance (NGN)\n';
+        const rows = result.rows.map(r => [
+            csvText(r.name),
+            r.pfa_name ? csvText(r.pfa_name) : 'MISSING',
+            r.rsa_pin || 'MISSING',
+            Number(r.pensionable_pay).toFixed(2),
+            Number(r.pension_employee).toFixed(2),
+            Number(r.pension_employer).toFixed(2),
+            (Number(r.pension_employee) + Number(r.pension_employer)).toFixed(2)
+        ].join(',')).join('\n');
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=pension-remittance-${year}-${String(month).padStart(2, '0')}.csv`);
+        res.send(header + rows);
+    } catch (error) {
+        console.error('Pension schedule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate pension schedule' });
+    }
+});
+
+/**
+ * GET /api/paystubs/annual-return?year=&format=json|csv|pdf
+ * Company annual PAYE return for a tax year: every employee paid in the
+ * year (leavers included) with gross, CRA, pension/NHF relief, taxable
+ * income and PAYE, from approved paystubs. JSON for the Payroll page, CSV
+ * and PDF for filing with DBIR. Accountant/Admin only.
+ */
+router.get('/annual-return', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        const year = parseTaxYear(req.query.year);
+        if (!year) {
+            return res.status(400).json({ success: false, message: 'A valid tax year is required' });
+        }
+        const format = req.query.format || 'json';
+        if (!['json', 'csv', 'pdf'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Format must be json, csv or pdf' });
+        }
+
+        const employees = await getAnnualTaxSummary(year);
+
+        if (format === 'json') {
+            return res.json({ success: true, data: employees });
+        }
+
+        if (format === 'pdf') {
+            const pdfBuffer = await generateAnnualPayeReturnPDF(employees, year, await getEmployerTaxDetails());
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename=annual-paye-return-${year}.pdf`);
+            return res.send(pdfBuffer);
+        }
+
+        const header = 'Employee Name,NIN,Tax ID (TIN),Months Paid,Gross Income (NGN),CRA (NGN),Pension (NGN),NHF (NGN),Taxable Income (NGN),PAYE Tax (NGN),Development Levy (NGN)\n';
+        const rows = employees.map(e => [
+            `"${(e.name || '').replace(/"/g, '""')}"`,
+            e.nin || 'MISSING',
+            e.tin || 'PENDING',
+            e.months.length,
+            e.totals.gross_pay.toFixed(2),
+            e.totals.cra_amount.toFixed(2),
+            e.totals.pension_employee.toFixed(2),
+            e.totals.nhf_contribution.toFixed(2),
+            e.totals.taxable_income.toFixed(2),
+            e.totals.paye_tax.toFixed(2),
+            e.totals.development_levy.toFixed(2)
+        ].join(',')).join('\n');
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=annual-paye-return-${year}.csv`);
+        res.send(header + rows);
+    } catch (error) {
+        console.error('Annual PAYE return error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate annual PAYE return' });
+    }
+});
+
 module.exports = router;
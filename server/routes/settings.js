@@ -8,6 +8,7 @@ const router = express.Router();
 const db = require('../config/database');
 const { authMiddleware, adminOnly } = require('../middleware/auth');
 const AuditService = require('../services/auditService');
+const RetentionService = require('../services/retentionService');
 
 /**
  * GET /api/settings/chat/public
@@ -94,6 +95,21 @@ router.get('/', authMiddleware, adminOnly, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/settings/retention/preview
+ * How many rows each data retention policy would purge if the job ran now,
+ * and the last run (admin only)
+ */
+router.get('/retention/preview', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const preview = await RetentionService.previewRetention();
+        res.json({ success: true, data: preview });
+    } catch (error) {
+        console.error('Retention preview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview data retention' });
+    }
+});
+
 /**
  * GET /api/settings/:key
  * Get a specific setting (admin only - genuinely public settings, like
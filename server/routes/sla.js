@@ -0,0 +1,304 @@
+/**
+ * SLA Routes
+ * SLA policies for contact messages, live chats and tickets, the
+ * compliance report, and what the sla-escalation job has escalated (see
+ * services/slaService.js). Where each open item stands against its policy
+ * is shown in the message, chat and ticket lists.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authMiddleware, managerOrAbove } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+const { ENTITY_TYPES, ESCALATION_ACTIONS, getComplianceReport } = require('../services/slaService');
+
+const TICKET_CATEGORIES = ['it_support', 'development'];
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// A report covers at most this many days
+const MAX_REPORT_DAYS = 366;
+
+const policyValidators = [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    body('entityType').isIn(ENTITY_TYPES).withMessage('Policies apply to messages, chats or tickets'),
+    body('matchService').optional({ checkFalsy: true }).trim().isLength({ max: 100 }),
+    body('matchCategory').optional({ checkFalsy: true }).isIn(TICKET_CATEGORIES),
+    body('matchPriority').optional({ checkFalsy: true }).isIn(TICKET_PRIORITIES),
+    body('firstResponseMinutes').isInt({ min: 1, max: 100000 }).withMessage('First response target must be a number of minutes'),
+    body('resolutionMinutes').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 1000000 })
+        .withMessage('Resolution target must be a number of minutes'),
+    body('warnAtPercent').optional().isInt({ min: 1, max: 100 }).withMessage('Warn at must be between 1 and 100%'),
+    body('escalationAction').optional().isIn(ESCALATION_ACTIONS),
+    body('escalateTo').optional({ nullable: true, checkFalsy: true }).isUUID(),
+    body('isActive').optional().isBoolean().toBoolean()
+];
+
+/**
+ * Rules the validators can't express: which match fields and targets make
+ * sense for the type, and reassigning needs someone to reassign to
+ */
+function checkPolicy(policy) {
+    const { entityType, matchService, matchCategory, matchPriority, resolutionMinutes, escalationAction, escalateTo } = policy;
+    if (matchService && entityType !== 'message') {
+        return 'Only message policies can match on service';
+    }
+    if ((matchCategory || matchPriority) && entityType !== 'ticket') {
+        return 'Only ticket policies can match on category or priority';
+    }
+    if (resolutionMinutes && entityType === 'message') {
+        return "Messages don't have a resolution target - set a first response target only";
+    }
+    if (escalationAction === 'reassign' && !escalateTo) {
+        return 'Choose who to reassign to';
+    }
+    return null;
+}
+
+function policyValues(reqBody) {
+    return [
+        reqBody.name,
+        reqBody.entityType,
+        reqBody.matchService || null,
+        reqBody.matchCategory || null,
+        reqBody.matchPriority || null,
+        parseInt(reqBody.firstResponseMinutes),
+        reqBody.resolutionMinutes ? parseInt(reqBody.resolutionMinutes) : null,
+        reqBody.warnAtPercent !== undefined ? parseInt(reqBody.warnAtPercent) : 80,
+        reqBody.escalationAction || 'notify',
+        reqBody.escalateTo || null,
+        reqBody.isActive !== false
+    ];
+}
+
+/**
+ * GET /api/sla/policies
+ * Every policy, active or not
+ */
+router.get('/policies', authMiddleware, managerOrAbove, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT p.*, e.name AS escalate_to_name
+             FROM sla_policies p
+             LEFT JOIN staff e ON e.id = p.escalate_to
+             ORDER BY p.entity_type, p.is_active DESC, p.name`
+        );
+
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List SLA policies error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve SLA policies' });
+    }
+});
+
+/**
+ * POST /api/sla/policies
+ * Create a policy. Targets are in business minutes.
+ */
+router.post('/policies', authMiddleware, managerOrAbove, policyValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const problem = checkPolicy(req.body);
+    if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+    }
+
+    try {
+        const result = await db.query(
+            `INSERT INTO sla_policies (name, entity_type, match_service, match_category, match_priority,
+                                       first_response_minutes, resolution_minutes, warn_at_percent,
+                                       escalation_action, escalate_to, is_active, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+             RETURNING *`,
+            [...policyValues(req.body), req.user.id]
+        );
+        const policy = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'sla_policy_created',
+            entityType: 'sla_policy',
+            entityId: policy.id,
+            details: { name: policy.name, entityType: policy.entity_type },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, data: policy });
+    } catch (error) {
+        console.error('Create SLA policy error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create SLA policy' });
+    }
+});
+
+/**
+ * PUT /api/sla/policies/:id
+ * Replace a policy. Items already escalated under it stay escalated.
+ */
+router.put('/policies/:id', authMiddleware, managerOrAbove, [
+    param('id').isUUID(),
+    ...policyValidators
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const problem = checkPolicy(req.body);
+    if (problem) {
+        return res.status(400).json({ success: false, message: problem });
+    }
+
+    try {
+        const existing = await db.query('SELECT * FROM sla_policies WHERE id = $1', [req.params.id]);
+        if (!existing.rows.length) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        const result = await db.query(
+            `UPDATE sla_policies
+             SET name = $1, entity_type = $2, match_service = $3, match_category = $4, match_priority = $5,
+                 first_response_minutes = $6, resolution_minutes = $7, warn_at_percent = $8,
+                 escalation_action = $9, escalate_to = $10, is_active = $11, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $12
+             RETURNING *`,
+            [...policyValues(req.body), req.params.id]
+        );
+        const before = existing.rows[0];
+        const policy = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'sla_policy_updated',
+            entityType: 'sla_policy',
+            entityId: policy.id,
+            details: {
+                name: policy.name,
+                before: {
+                    firstResponseMinutes: before.first_response_minutes,
+                    resolutionMinutes: before.resolution_minutes,
+                    escalationAction: before.escalation_action,
+                    isActive: before.is_active
+                },
+                after: {
+                    firstResponseMinutes: policy.first_response_minutes,
+                    resolutionMinutes: policy.resolution_minutes,
+                    escalationAction: policy.escalation_action,
+                    isActive: policy.is_active
+                }
+            },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        console.error('Update SLA policy error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update SLA policy' });
+    }
+});
+
+/**
+ * DELETE /api/sla/policies/:id
+ * Delete a policy. Deactivate it instead to keep it in past reports.
+ */
+router.delete('/policies/:id', authMiddleware, managerOrAbove, [
+    param('id').isUUID()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query('DELETE FROM sla_policies WHERE id = $1 RETURNING id, name, entity_type', [req.params.id]);
+        if (!result.rows.length) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        const policy = result.rows[0];
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'sla_policy_deleted',
+            entityType: 'sla_policy',
+            entityId: policy.id,
+            details: { name: policy.name, entityType: policy.entity_type },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'SLA policy deleted' });
+    } catch (error) {
+        console.error('Delete SLA policy error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete SLA policy' });
+    }
+});
+
+/**
+ * GET /api/sla/report
+ * SLA compliance for messages, chats and tickets opened between ?from= and
+ * ?to= (default: the last 30 days), overall and per active policy
+ */
+router.get('/report', authMiddleware, managerOrAbove, [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const to = (req.query.to || today).slice(0, 10);
+    const from = (req.query.from || new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString()).slice(0, 10);
+    const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+    if (days < 0 || days > MAX_REPORT_DAYS) {
+        return res.status(400).json({ success: false, message: `Choose a range of up to ${MAX_REPORT_DAYS} days` });
+    }
+
+    try {
+        res.json({ success: true, data: await getComplianceReport(from, to) });
+    } catch (error) {
+        console.error('SLA report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build SLA report' });
+    }
+});
+
+/**
+ * GET /api/sla/escalations
+ * The latest escalations (?limit=, default 50), newest first
+ */
+router.get('/escalations', authMiddleware, managerOrAbove, [
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const result = await db.query(
+            `SELECT e.*, p.name AS policy_name,
+                    pa.name AS previous_assignee_name, ra.name AS reassigned_to_name,
+                    COALESCE(m.name, cs.visitor_name, t.title) AS label
+             FROM sla_escalations e
+             LEFT JOIN sla_policies p ON p.id = e.policy_id
+             LEFT JOIN staff pa ON pa.id = e.previous_assignee
+             LEFT JOIN staff ra ON ra.id = e.reassigned_to
+             LEFT JOIN messages m ON e.entity_type = 'message' AND m.id = e.entity_id
+             LEFT JOIN chat_sessions cs ON e.entity_type = 'chat' AND cs.id = e.entity_id
+             LEFT JOIN tickets t ON e.entity_type = 'ticket' AND t.id = e.entity_id
+             ORDER BY e.created_at DESC
+             LIMIT $1`,
+            [parseInt(req.query.limit) || 50]
+        );
+
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('List SLA escalations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retrieve SLA escalations' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Satisfaction Survey Routes
+ * Public endpoints for visitors rating a chat and clients answering the
+ * survey emailed after a consultation. The reports are in
+ * /api/analytics/satisfaction and /api/performance.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { surveyLimiter } = require('../middleware/rateLimiter');
+const { validateResponse } = require('../utils/satisfaction');
+const SurveyService = require('../services/surveyService');
+
+const responseValidation = [
+    body('csatScore').optional({ nullable: true }).isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body('npsScore').optional({ nullable: true }).isInt({ min: 0, max: 10 }).withMessage('Recommendation score must be between 0 and 10'),
+    body('comment').optional({ nullable: true }).isString().isLength({ max: SurveyService.MAX_COMMENT_LENGTH })
+        .withMessage(`Comments can be up to ${SurveyService.MAX_COMMENT_LENGTH} characters`)
+];
+
+/**
+ * Validation errors, or a response with neither score, as a 400
+ * @returns {boolean} whether a response was sent
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+        return true;
+    }
+
+    const problem = validateResponse(req.body);
+    if (problem) {
+        res.status(400).json({ success: false, message: problem });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * POST /api/surveys/chat/:sessionId
+ * Rate a chat after it has closed (from the chat widget)
+ */
+router.post('/chat/:sessionId', surveyLimiter, [
+    param('sessionId').isUUID().withMessage('Invalid chat'),
+    ...responseValidation
+], async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) {
+            return;
+        }
+
+        const result = await SurveyService.rateChat(req.params.sessionId, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({ success: true, message: 'Thanks for your feedback!', data: result.survey });
+    } catch (error) {
+        console.error('Rate chat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save your rating'
+        });
+    }
+});
+
+/**
+ * GET /api/surveys/:token
+ * An emailed survey, for the feedback page
+ */
+router.get('/:token', surveyLimiter, async (req, res) => {
+    try {
+        const survey = await SurveyService.findByToken(req.params.token);
+        if (!survey) {
+            return res.status(404).json({ success: false, message: 'This survey link is invalid' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                service: survey.service,
+                staffName: survey.staff_name,
+                clientName: survey.client_name,
+                bookingDate: survey.booking_date,
+                answered: Boolean(survey.responded_at),
+                closed: Boolean(SurveyService.isExpired(survey))
+            }
+        });
+    } catch (error) {
+        console.error('Get survey error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load the survey'
+        });
+    }
+});
+
+/**
+ * POST /api/surveys/:token
+ * Answer an emailed survey (once)
+ */
+router.post('/:token', surveyLimiter, responseValidation, async (req, res) => {
+    try {
+        if (rejectInvalid(req, res)) {
+            return;
+        }
+
+        const result = await SurveyService.respondByToken(req.params.token, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, message: 'Thanks for your feedback!', data: result.survey });
+    } catch (error) {
+        console.error('Answer survey error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save your answers'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+/**
+ * Tax Table Routes
+ * Versioned PAYE tax tables (bands, CRA, minimum tax, Development Levy),
+ * each with the date it takes effect. Payroll runs pick the table in effect
+ * for their pay period - see taxTableService.js.
+ *
+ * Tables are never edited: when the law changes, an Admin adds a new table.
+ * A table can only be deleted while no paystub has been calculated with it.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authMiddleware, accountantOrAdmin, adminOnly } = require('../middleware/auth');
+const db = require('../config/database');
+const AuditService = require('../services/auditService');
+const { listTaxTables, validateTaxTable } = require('../services/taxTableService');
+
+/**
+ * GET /api/tax-tables
+ * All tax tables, newest first, with the number of paystubs that used each
+ * (Accountant/Admin)
+ */
+router.get('/', authMiddleware, accountantOrAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, data: await listTaxTables() });
+    } catch (error) {
+        console.error('List tax tables error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load tax tables' });
+    }
+});
+
+/**
+ * POST /api/tax-tables
+ * Add a tax table taking effect from the 1st of a month (Admin only).
+ * Rates are percentages; the last band has "amount": null.
+ */
+router.post('/', authMiddleware, adminOnly, [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const problems = validateTaxTable(req.body);
+    if (problems.length) {
+        return res.status(400).json({ success: false, message: problems[0], errors: problems.map(msg => ({ msg })) });
+    }
+
+    const {
+        name, effectiveFrom, bands, craFixedAmount, craGrossPercent,
+        craAdditionalPercent, minimumTaxPercent, developmentLevyAnnual, notes
+    } = req.body;
+
+    try {
+        const existing = await db.query('SELECT id FROM tax_tables WHERE effective_from = $1', [effectiveFrom]);
+        if (existing.rows.length) {
+            return res.status(409).json({ success: false, message: 'A tax table already takes effect on that date' });
+        }
+
+        const result = await db.query(
+            `INSERT INTO tax_tables (
+                name, effective_from, bands, cra_fixed_amount, cra_gross_percent,
+                cra_additional_percent, minimum_tax_percent, development_levy_annual, notes, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id, name, effective_from::text AS effective_from`,
+            [name, effectiveFrom, JSON.stringify(bands.map(b => ({ amount: b.amount, rate: b.rate }))),
+                craFixedAmount, craGrossPercent, craAdditionalPercent, minimumTaxPercent,
+                developmentLevyAnnual, notes || null, req.user.id]
+        );
+        const table = result.rows[0];
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'tax_table_added',
+            entityType: 'tax_table',
+            entityId: table.id,
+            details: { name, effectiveFrom, bands: bands.length },
+            ipAddress: req.ip
+        });
+
+        // Months already approved under the previous table are not touched;
+        // running one of them again drafts adjustments under the new table.
+        const affected = await db.query(
+            `SELECT COUNT(DISTINCT (pay_period_year, pay_period_month))::int AS count
+             FROM paystubs
+             WHERE locked_at IS NOT NULL AND make_date(pay_period_year, pay_period_month, 1) >= $1::date`,
+            [effectiveFrom]
+        );
+
+        res.status(201).json({
+            success: true,
+            data: table,
+            approvedMonthsAffected: affected.rows[0].count
+        });
+    } catch (error) {
+        console.error('Add tax table error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add tax table' });
+    }
+});
+
+/**
+ * DELETE /api/tax-tables/:id
+ * Remove a tax table that no paystub has used yet, e.g. one added with a
+ * mistake (Admin only)
+ */
+router.delete('/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT t.id, t.name, t.effective_from::text AS effective_from,
+                    (SELECT COUNT(*)::int FROM paystubs p WHERE p.tax_table_id = t.id) AS paystub_count,
+                    (SELECT COUNT(*)::int FROM tax_tables) AS table_count
+             FROM tax_tables t WHERE t.id = $1`,
+            [req.params.id]
+        );
+        const table = result.rows[0];
+        if (!table) {
+            return res.status(404).json({ success: false, message: 'Tax table not found' });
+        }
+        if (table.paystub_count > 0) {
+            return res.status(409).json({ success: false, message: 'Paystubs have been calculated with this table, so it has to stay on record' });
+        }
+        if (table.table_count === 1) {
+            return res.status(409).json({ success: false, message: 'At least one tax table is required' });
+        }
+
+        await db.query('DELETE FROM tax_tables WHERE id = $1', [table.id]);
+
+        await AuditService.log({
+            staffId: req.user.id,
+            action: 'tax_table_deleted',
+            entityType: 'tax_table',
+            entityId: table.id,
+            details: { name: table.name, effectiveFrom: table.effective_from },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Tax table deleted' });
+    } catch (error) {
+        console.error('Delete tax table error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete tax table' });
+    }
+});
+
+module.exports = router;
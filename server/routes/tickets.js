@@ -11,6 +11,8 @@ const { body, validationResult } = require('express-validator');
 const { authMiddleware, hasPermission, adminOnly } = require('../middleware/auth');
 const db = require('../config/database');
 const AuditService = require('../services/auditService');
+const { attachSla } = require('../services/slaService');
+const { runAutomationRules } = require('../services/automationService');
 
 const canManageTickets = (req) => {
     return req.user.role === 'admin' || req.user.role === 'manager' ||
@@ -20,7 +22,8 @@ const canManageTickets = (req) => {
 /**
  * GET /api/tickets
  * List tickets. Staff with queue access see all (optionally filtered);
- * everyone else sees only tickets they submitted.
+ * everyone else sees only tickets they submitted. For the queue, each
+ * ticket has an `sla` field (see services/slaService.js).
  */
 router.get('/', authMiddleware, async (req, res) => {
     try {
@@ -55,7 +58,9 @@ router.get('/', authMiddleware, async (req, res) => {
                 t.created_at DESC`,
             values
         );
-        res.json({ success: true, data: result.rows });
+        // The queue shows where each ticket stands against its SLA policy
+        const tickets = canManageTickets(req) ? await attachSla('ticket', result.rows) : result.rows;
+        res.json({ success: true, data: tickets });
     } catch (error) {
         console.error('List tickets error:', error);
         res.status(500).json({ success: false, message: 'Failed to load tickets' });
@@ -84,8 +89,19 @@ router.post('/', authMiddleware, [
              VALUES ($1, $2, $3, $4, $5) RETURNING *`,
             [title, description, category, priority || 'medium', req.user.id]
         );
+        let ticket = result.rows[0];
 
-        res.status(201).json({ success: true, data: result.rows[0] });
+        // Automation rules may assign, prioritise or notify (non-critical)
+        try {
+            const automation = await runAutomationRules('ticket', ticket.id);
+            if (automation.matched.length) {
+                ticket = (await db.query('SELECT * FROM tickets WHERE id = $1', [ticket.id])).rows[0];
+            }
+        } catch (automationError) {
+            console.error('Automation rules error (non-fatal):', automationError);
+        }
+
+        res.status(201).json({ success: true, data: ticket });
     } catch (error) {
         console.error('Create ticket error:', error);
         res.status(500).json({ success: false, message: 'Failed to create ticket' });
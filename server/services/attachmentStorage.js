@@ -0,0 +1,135 @@
+/**
+ * Attachment Storage Service
+ * Where chat attachments are kept, behind a small driver interface so the
+ * backend can change without touching the routes:
+ *
+ *   save(key, buffer, mimeType) -> Promise<void>
+ *   read(key)                   -> Promise<Buffer>
+ *   remove(key)                 -> Promise<void>
+ *
+ * Two drivers are built in:
+ * - local: files on disk under ATTACHMENT_DIR (default uploads/chat). For
+ *   development - Cloud Run's filesystem is lost on every redeploy.
+ * - gcs: a Google Cloud Storage bucket (CHAT_ATTACHMENTS_BUCKET), the same
+ *   way the document vault stores files (see vaultStorage.js).
+ *
+ * ATTACHMENT_STORAGE picks the driver for new files (default gcs in
+ * production, local otherwise). Each attachment records the driver it was
+ * saved with, so files saved before a switch can still be read.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCAL_DIR = path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads/chat'));
+
+// Keys are generated here, never taken from a request, but check anyway so
+// a bad key can't reach outside the storage directory
+const KEY_PATTERN = /^[a-f0-9]{2}\/[a-f0-9-]{36}$/;
+
+function localPath(key) {
+    if (!KEY_PATTERN.test(key)) {
+        throw new Error('Invalid attachment key');
+    }
+    return path.join(LOCAL_DIR, key);
+}
+
+const localDriver = {
+    async save(key, buffer) {
+        const filePath = localPath(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+        return fs.readFile(localPath(key));
+    },
+
+    async remove(key) {
+        await fs.rm(localPath(key), { force: true });
+    }
+};
+
+// Loaded on first use so development doesn't need Google credentials
+let gcsBucket = null;
+function bucket() {
+    if (!gcsBucket) {
+        const { Storage } = require('@google-cloud/storage');
+        gcsBucket = new Storage().bucket(process.env.CHAT_ATTACHMENTS_BUCKET || 'tekvwa-chat-attachments');
+    }
+    return gcsBucket;
+}
+
+const gcsDriver = {
+    async save(key, buffer, mimeType) {
+        await bucket().file(key).save(buffer, {
+            contentType: mimeType,
+            resumable: false
+        });
+    },
+
+    async read(key) {
+        const [buffer] = await bucket().file(key).download();
+        return buffer;
+    },
+
+    async remove(key) {
+        await bucket().file(key).delete({ ignoreNotFound: true });
+    }
+};
+
+const drivers = {
+    local: localDriver,
+    gcs: gcsDriver
+};
+
+/**
+ * Add (or replace) a storage driver, e.g. for S3
+ */
+function registerDriver(name, driver) {
+    drivers[name] = driver;
+}
+
+function getDriver(name) {
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown attachment storage driver "${name}"`);
+    }
+    return driver;
+}
+
+/**
+ * The driver new attachments are saved with
+ */
+function defaultDriverName() {
+    return process.env.ATTACHMENT_STORAGE || (process.env.NODE_ENV === 'production' ? 'gcs' : 'local');
+}
+
+/**
+ * Save a file under a new random key
+ * @returns {Promise<{ driver: string, key: string }>} what to record to read it back
+ */
+async function saveAttachment(buffer, mimeType) {
+    const driver = defaultDriverName();
+    const id = crypto.randomUUID();
+    // Spread files over folders by the first two characters
+    const key = `${id.slice(0, 2)}/${id}`;
+    await getDriver(driver).save(key, buffer, mimeType);
+    return { driver, key };
+}
+
+async function readAttachment(driver, key) {
+    return getDriver(driver).read(key);
+}
+
+async function removeAttachment(driver, key) {
+    await getDriver(driver).remove(key);
+}
+
+module.exports = {
+    registerDriver,
+    saveAttachment,
+    readAttachment,
+    removeAttachment
+};
@@ -0,0 +1,265 @@
+/**
+ * Automation Service
+ * Runs automation rules (see utils/ruleMatcher.js for what they can test
+ * and do) against new contact messages and tickets. Rules run in position
+ * order; each matching rule's actions run in turn, and later rules see
+ * what earlier ones changed (a priority set by one rule can be matched by
+ * the next). A rule marked stop_processing ends the run when it matches.
+ *
+ * Rules never hold up the thing that triggered them: a failed action is
+ * recorded in the rule's run log and the rest carry on.
+ */
+
+const db = require('../config/database');
+const Message = require('../models/Message');
+const { matchesConditions } = require('../utils/ruleMatcher');
+const { sendReplyEmail, sendAutomationNotification } = require('./emailService');
+const { buildThreadHeaders } = require('./inboundEmailService');
+
+// Items as rules see them, with the derived fields conditions can test
+const ITEM_QUERIES = {
+    message: `SELECT m.*, a.name AS assigned_to_name
+              FROM messages m
+              LEFT JOIN staff a ON a.id = m.assigned_to`,
+    ticket: `SELECT t.*, r.name AS requester_name, r.department AS requester_department,
+                    a.name AS assigned_to_name
+             FROM tickets t
+             LEFT JOIN staff r ON r.id = t.requested_by
+             LEFT JOIN staff a ON a.id = t.assigned_to`
+};
+
+const TABLES = { message: 'messages', ticket: 'tickets' };
+
+// How many past items a dry run checks by default, and at most
+const DRY_RUN_LIMIT = 100;
+const MAX_DRY_RUN_LIMIT = 500;
+
+function itemLabel(entityType, item) {
+    if (entityType === 'ticket') {
+        return item.title;
+    }
+    return item.company ? `${item.name} (${item.company})` : item.name;
+}
+
+async function loadItem(entityType, id) {
+    const prefix = entityType === 'ticket' ? 't' : 'm';
+    const result = await db.query(`${ITEM_QUERIES[entityType]} WHERE ${prefix}.id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+async function findActiveStaff(id) {
+    const result = await db.query('SELECT id, name, email FROM staff WHERE id = $1 AND is_active = true', [id]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Active rules for messages or tickets, in the order they run
+ */
+async function loadActiveRules(entityType) {
+    const result = await db.query(
+        `SELECT * FROM automation_rules
+         WHERE entity_type = $1 AND is_active = true
+         ORDER BY position, created_at`,
+        [entityType]
+    );
+    return result.rows;
+}
+
+/**
+ * Check the staff, tags and saved replies a rule's actions name exist
+ * @returns {Promise<string|null>} what's wrong, or null
+ */
+async function checkActionReferences(actions) {
+    for (const action of actions) {
+        if (action.staffId && !await findActiveStaff(action.staffId)) {
+            return 'A staff member the rule names is no longer active';
+        }
+        if (action.tagId) {
+            const tag = await db.query('SELECT id FROM tags WHERE id = $1', [action.tagId]);
+            if (!tag.rows.length) {
+                return 'The tag the rule adds no longer exists';
+            }
+        }
+        if (action.savedReplyId) {
+            const reply = await db.query('SELECT id FROM saved_replies WHERE id = $1 AND is_global = true', [action.savedReplyId]);
+            if (!reply.rows.length) {
+                return 'Rules can only send shared (global) saved replies';
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Carry out one action on an item, updating `run.item` to match
+ * @returns {Promise<string>} what was done, for the run log
+ */
+async function applyAction(entityType, action, run, rule) {
+    const { item } = run;
+    const table = TABLES[entityType];
+
+    switch (action.type) {
+        case 'assign': {
+            const staff = await findActiveStaff(action.staffId);
+            if (!staff) {
+                throw new Error('The staff member to assign to is no longer active');
+            }
+            await db.query(`UPDATE ${table} SET assigned_to = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`, [staff.id, item.id]);
+            item.assigned_to = staff.id;
+            item.assigned_to_name = staff.name;
+            run.assignedStaff = staff;
+            return `Assigned to ${staff.name}`;
+        }
+        case 'tag': {
+            const tag = await db.query('SELECT name FROM tags WHERE id = $1', [action.tagId]);
+            if (!tag.rows.length) {
+                throw new Error('The tag no longer exists');
+            }
+            await db.query(
+                `INSERT INTO entity_tags (tag_id, entity_type, entity_id)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (tag_id, entity_type, entity_id) DO NOTHING`,
+                [action.tagId, entityType, item.id]
+            );
+            return `Tagged ${tag.rows[0].name}`;
+        }
+        case 'set_status': {
+            const resolved = entityType === 'ticket' && (action.status === 'resolved' || action.status === 'closed');
+            await db.query(
+                `UPDATE ${table} SET status = $1, updated_at = CURRENT_TIMESTAMP${resolved ? ', resolved_at = CURRENT_TIMESTAMP' : ''}
+                 WHERE id = $2`,
+                [action.status, item.id]
+            );
+            item.status = action.status;
+            return `Status set to ${action.status.replace('_', ' ')}`;
+        }
+        case 'set_priority': {
+            await db.query('UPDATE tickets SET priority = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [action.priority, item.id]);
+            item.priority = action.priority;
+            return `Priority set to ${action.priority}`;
+        }
+        case 'send_saved_reply': {
+            const saved = await db.query('SELECT title, content FROM saved_replies WHERE id = $1', [action.savedReplyId]);
+            if (!saved.rows.length) {
+                throw new Error('The saved reply no longer exists');
+            }
+            const { title, content } = saved.rows[0];
+            // No staff_id: sent by the rule, not a person
+            const reply = await db.query(
+                'INSERT INTO message_replies (message_id, content) VALUES ($1, $2) RETURNING id',
+                [item.id, content]
+            );
+            const replyId = reply.rows[0].id;
+            const thread = await buildThreadHeaders(item, replyId);
+            await sendReplyEmail(item.email, content, item.name, thread);
+            await Message.setReplyEmailId(replyId, thread.messageId);
+            await db.query(
+                'UPDATE saved_replies SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [action.savedReplyId]
+            );
+            return `Sent saved reply "${title}"`;
+        }
+        case 'notify': {
+            const staffId = action.staffId || item.assigned_to;
+            if (!staffId) {
+                throw new Error('Nobody to notify - it isn\'t assigned');
+            }
+            const staff = await findActiveStaff(staffId);
+            if (!staff) {
+                throw new Error('The staff member to notify is no longer active');
+            }
+            await sendAutomationNotification([staff], {
+                entityType,
+                label: itemLabel(entityType, item),
+                ruleName: rule.name,
+                assignedToName: item.assigned_to_name
+            });
+            return `Notified ${staff.name}`;
+        }
+        default:
+            throw new Error(`Unknown action "${action.type}"`);
+    }
+}
+
+/**
+ * Run the active rules against a new message or ticket
+ * @returns {Promise<{ assignedStaff: object|null, matched: string[] }>}
+ *   assignedStaff: who a rule assigned it to, if any
+ */
+async function runAutomationRules(entityType, itemId) {
+    const rules = await loadActiveRules(entityType);
+    const run = { item: null, assignedStaff: null };
+    const matched = [];
+    if (!rules.length) {
+        return { assignedStaff: null, matched };
+    }
+
+    run.item = await loadItem(entityType, itemId);
+    if (!run.item) {
+        return { assignedStaff: null, matched };
+    }
+
+    for (const rule of rules) {
+        if (!matchesConditions(run.item, rule.conditions, rule.match_type)) {
+            continue;
+        }
+        matched.push(rule.id);
+
+        const results = [];
+        for (const action of rule.actions) {
+            try {
+                results.push({ type: action.type, ok: true, detail: await applyAction(entityType, action, run, rule) });
+            } catch (error) {
+                console.error(`Automation rule ${rule.id} ${action.type} failed for ${entityType} ${itemId}:`, error.message);
+                results.push({ type: action.type, ok: false, detail: error.message });
+            }
+        }
+
+        const succeeded = results.filter(r => r.ok).length;
+        const status = succeeded === results.length ? 'success' : succeeded ? 'partial' : 'failed';
+        await db.query(
+            `INSERT INTO automation_rule_runs (rule_id, entity_type, entity_id, status, results)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [rule.id, entityType, itemId, status, JSON.stringify(results)]
+        );
+
+        if (rule.stop_processing) {
+            break;
+        }
+    }
+
+    return { assignedStaff: run.assignedStaff, matched };
+}
+
+/**
+ * Which of the latest messages or tickets a rule's conditions would have
+ * matched. Nothing is changed; conditions are tested against each item as
+ * it is now.
+ */
+async function dryRunRule({ entityType, conditions, matchType }, limit = DRY_RUN_LIMIT) {
+    const prefix = entityType === 'ticket' ? 't' : 'm';
+    const result = await db.query(
+        `${ITEM_QUERIES[entityType]} ORDER BY ${prefix}.created_at DESC LIMIT $1`,
+        [Math.min(limit, MAX_DRY_RUN_LIMIT)]
+    );
+
+    const matches = result.rows
+        .filter(item => matchesConditions(item, conditions, matchType))
+        .map(item => ({
+            id: item.id,
+            label: itemLabel(entityType, item),
+            status: item.status,
+            priority: item.priority,
+            assignedToName: item.assigned_to_name,
+            createdAt: item.created_at
+        }));
+    return { checked: result.rows.length, matches };
+}
+
+module.exports = {
+    DRY_RUN_LIMIT,
+    MAX_DRY_RUN_LIMIT,
+    checkActionReferences,
+    runAutomationRules,
+    dryRunRule
+};
@@ -0,0 +1,313 @@
+/**
+ * Consultation Availability Service
+ * Computes bookable consultation slots from consultant working hours,
+ * public holidays and blackout dates, existing bookings, buffers and
+ * per-day caps.
+ *
+ * All schedule data is wall-clock time in the business timezone
+ * (booking_timezone setting). Slots are returned as real UTC instants plus
+ * the visitor's own local date/time, so the booking page never has to do
+ * timezone math itself.
+ *
+ * The calculation (computeSlots) is a pure function over pre-loaded data -
+ * everything a date range needs is fetched in a fixed handful of queries by
+ * loadAvailabilityData(), however many days or consultants are involved.
+ */
+
+const db = require('../config/database');
+const { getNigerianHolidays } = require('../utils/nigerianHolidays');
+const {
+    toZonedParts, zonedTimeToUtc, addDays, toDateString, timeToMinutes, minutesToTime
+} = require('../utils/timezone');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Used when a setting row is missing (e.g. a DB that predates migration 022)
+const DEFAULT_SETTINGS = {
+    timezone: 'Africa/Lagos',
+    slotDuration: 60,
+    buffer: 15,
+    maxPerDay: 4,
+    leadTimeHours: 24,
+    windowDays: 60,
+    businessHoursStart: '09:00',
+    businessHoursEnd: '17:00',
+    workingDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
+};
+
+/**
+ * Booking-related system settings, parsed and defaulted
+ */
+async function getBookingSettings(client = db) {
+    const result = await client.query(
+        `SELECT setting_key, setting_value FROM system_settings
+         WHERE category = 'booking' OR setting_key IN ('business_hours_start', 'business_hours_end', 'working_days')`
+    );
+    const raw = Object.fromEntries(result.rows.map(r => [r.setting_key, r.setting_value]));
+
+    const num = (key, fallback) => {
+        const value = parseInt(raw[key], 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    let workingDays = DEFAULT_SETTINGS.workingDays;
+    try {
+        if (raw.working_days) {
+            workingDays = JSON.parse(raw.working_days);
+        }
+    } catch {
+        // keep default
+    }
+
+    return {
+        timezone: raw.booking_timezone || DEFAULT_SETTINGS.timezone,
+        slotDuration: num('booking_slot_duration_minutes', DEFAULT_SETTINGS.slotDuration) || DEFAULT_SETTINGS.slotDuration,
+        buffer: num('booking_buffer_minutes', DEFAULT_SETTINGS.buffer),
+        maxPerDay: num('booking_max_per_day', DEFAULT_SETTINGS.maxPerDay),
+        leadTimeHours: num('booking_lead_time_hours', DEFAULT_SETTINGS.leadTimeHours),
+        windowDays: num('booking_window_days', DEFAULT_SETTINGS.windowDays),
+        businessHoursStart: raw.business_hours_start || DEFAULT_SETTINGS.businessHoursStart,
+        businessHoursEnd: raw.business_hours_end || DEFAULT_SETTINGS.businessHoursEnd,
+        workingDays
+    };
+}
+
+/**
+ * Everything computeSlots() needs for a range of business-timezone dates
+ */
+async function loadAvailabilityData(fromDate, toDate, { excludeConsultationId = null, client = db } = {}) {
+    const settings = await getBookingSettings(client);
+
+    const [consultants, weeklyHours, blackouts, bookings] = await Promise.all([
+        client.query(
+            `SELECT id, name FROM staff
+             WHERE is_active = true AND can_manage_consultations = true
+               AND COALESCE(accepts_bookings, true) = true`
+        ),
+        client.query('SELECT staff_id, day_of_week, start_time, end_time FROM consultant_availability'),
+        client.query(
+            `SELECT blackout_date::text AS date, staff_id FROM booking_blackouts
+             WHERE blackout_date BETWEEN $1 AND $2`,
+            [fromDate, toDate]
+        ),
+        client.query(
+            `SELECT id, assigned_to, booking_date::text AS date, booking_time::text AS time, duration_minutes
+             FROM consultations
+             WHERE booking_date BETWEEN $1 AND $2 AND status != 'cancelled'
+               AND ($3::uuid IS NULL OR id != $3::uuid)`,
+            [fromDate, toDate, excludeConsultationId]
+        )
+    ]);
+
+    const holidays = [];
+    for (let year = Number(fromDate.slice(0, 4)); year <= Number(toDate.slice(0, 4)); year++) {
+        holidays.push(...getNigerianHolidays(year));
+    }
+
+    return {
+        settings,
+        consultants: consultants.rows,
+        weeklyHours: weeklyHours.rows,
+        blackouts: blackouts.rows,
+        holidays,
+        bookings: bookings.rows
+    };
+}
+
+/**
+ * Working windows (minutes since midnight) for one consultant on a weekday.
+ * Consultants with no rows of their own get the company business hours.
+ */
+function windowsFor(staffId, dayOfWeek, weeklyHours, settings) {
+    const own = weeklyHours.filter(h => h.staff_id === staffId);
+    if (own.length) {
+        return own
+            .filter(h => Number(h.day_of_week) === dayOfWeek)
+            .map(h => [timeToMinutes(h.start_time), timeToMinutes(h.end_time)]);
+    }
+    if (!settings.workingDays.includes(DAY_NAMES[dayOfWeek])) {
+        return [];
+    }
+    return [[timeToMinutes(settings.businessHoursStart), timeToMinutes(settings.businessHoursEnd)]];
+}
+
+/**
+ * Compute every free slot across a range of business-timezone dates.
+ * Pure - takes the output of loadAvailabilityData() plus the current time.
+ *
+ * @returns {Array<{ start: Date, date: string, time: string, staffIds: string[] }>}
+ *   date/time are business-timezone wall clock; staffIds are the
+ *   consultants free for that slot, least-booked-that-day first
+ */
+function computeSlots({ settings, consultants, weeklyHours, blackouts, holidays, bookings }, fromDate, toDate, now = new Date()) {
+    const { slotDuration, buffer, maxPerDay, timezone } = settings;
+    const earliest = now.getTime() + settings.leadTimeHours * 60 * 60 * 1000;
+    const latest = now.getTime() + settings.windowDays * 24 * 60 * 60 * 1000;
+    const holidayDates = new Set(holidays.map(h => h.date));
+
+    const slots = new Map(); // "date time" -> slot
+
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+        if (holidayDates.has(date) || blackouts.some(b => b.date === date && !b.staff_id)) {
+            continue;
+        }
+        const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+        const dayBookings = bookings.filter(b => b.date === date);
+
+        // Unassigned bookings can't be attributed to anyone yet, so they
+        // block their time for every consultant - conservative on purpose,
+        // since double-booking is worse than hiding one slot
+        const unassigned = dayBookings.filter(b => !b.assigned_to);
+
+        for (const consultant of consultants) {
+            if (blackouts.some(b => b.date === date && b.staff_id === consultant.id)) {
+                continue;
+            }
+            const own = dayBookings.filter(b => b.assigned_to === consultant.id);
+            if (own.length >= maxPerDay) {
+                continue;
+            }
+            const busy = [...own, ...unassigned].map(b => {
+                const start = timeToMinutes(b.time);
+                return [start, start + (b.duration_minutes || slotDuration)];
+            });
+
+            for (const [windowStart, windowEnd] of windowsFor(consultant.id, dayOfWeek, weeklyHours, settings)) {
+                for (let start = windowStart; start + slotDuration <= windowEnd; start += slotDuration + buffer) {
+                    const end = start + slotDuration;
+                    // Buffer applies on both sides: no slot may start within
+                    // `buffer` minutes of another booking ending, or end
+                    // within `buffer` minutes of one starting
+                    const clashes = busy.some(([bStart, bEnd]) => start < bEnd + buffer && bStart < end + buffer);
+                    if (clashes) {
+                        continue;
+                    }
+
+                    const time = minutesToTime(start);
+                    const instant = zonedTimeToUtc(date, time, timezone);
+                    if (instant.getTime() < earliest || instant.getTime() > latest) {
+                        continue;
+                    }
+
+                    const key = `${date} ${time}`;
+                    if (!slots.has(key)) {
+                        slots.set(key, { start: instant, date, time, staffIds: [], load: {} });
+                    }
+                    const slot = slots.get(key);
+                    slot.staffIds.push(consultant.id);
+                    slot.load[consultant.id] = own.length;
+                }
+            }
+        }
+    }
+
+    return [...slots.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(({ load, ...slot }) => ({
+            ...slot,
+            staffIds: slot.staffIds.sort((a, b) => load[a] - load[b])
+        }));
+}
+
+/**
+ * Free slots on a date as the VISITOR sees it. A visitor's calendar day can
+ * overlap two business-timezone days (a Toronto morning is a Lagos
+ * afternoon), so the business days either side are computed too and the
+ * result filtered to the visitor's date.
+ */
+async function getSlotsForVisitorDate(visitorDate, visitorTimeZone, options = {}) {
+    const from = addDays(visitorDate, -1);
+    const to = addDays(visitorDate, 1);
+    const data = await loadAvailabilityData(from, to, options);
+
+    return computeSlots(data, from, to)
+        .map(slot => ({ ...slot, local: toZonedParts(slot.start, visitorTimeZone) }))
+        .filter(slot => slot.local.date === visitorDate)
+        .map(slot => ({
+            start: slot.start.toISOString(),
+            date: slot.date,
+            time: slot.time,
+            localDate: slot.local.date,
+            localTime: slot.local.time,
+            available: slot.staffIds.length
+        }));
+}
+
+/**
+ * Visitor-local dates in a range that have at least one free slot - lets
+ * the booking calendar grey out full days, holidays and weekends without
+ * fetching each day separately.
+ */
+async function getAvailableDates(visitorFrom, visitorTo, visitorTimeZone, options = {}) {
+    const from = addDays(visitorFrom, -1);
+    const to = addDays(visitorTo, 1);
+    const data = await loadAvailabilityData(from, to, options);
+
+    const dates = new Set();
+    for (const slot of computeSlots(data, from, to)) {
+        const local = toZonedParts(slot.start, visitorTimeZone).date;
+        if (local >= visitorFrom && local <= visitorTo) {
+            dates.add(local);
+        }
+    }
+    return [...dates].sort();
+}
+
+/**
+ * Re-check a specific business-timezone slot at booking time (the visitor
+ * may have had the page open a while) and pick the consultant to assign.
+ * When rescheduling, pass the booking's own id so it doesn't block itself,
+ * and its current consultant so they keep it if they're free. To book the
+ * slot safely, call it inside withBookingDateLock() with that client.
+ * @returns {string|null} staff id of the preferred or least-booked free
+ *   consultant, or null if the slot is no longer available
+ */
+async function findConsultantForSlot(date, time, { excludeConsultationId = null, preferStaffId = null, client = db, now = new Date() } = {}) {
+    const data = await loadAvailabilityData(date, date, { excludeConsultationId, client });
+    const slot = computeSlots(data, date, date, now).find(s => s.time === time.slice(0, 5));
+    if (!slot) {
+        return null;
+    }
+    return slot.staffIds.includes(preferStaffId) ? preferStaffId : slot.staffIds[0];
+}
+
+/**
+ * Run a slot check and the booking it leads to in one transaction, holding
+ * a lock on the booking date so two clients can't both find the same slot
+ * free and take it. Bookings and reschedules into that date wait their turn.
+ * @param {Function} callback - (client) => result, run inside the transaction
+ */
+async function withBookingDateLock(date, callback) {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`consultation-slots:${date}`]);
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * The real instant a booking starts (booking_date/booking_time are
+ * business-timezone wall clock)
+ */
+async function getBookingStart(bookingDate, bookingTime) {
+    const settings = await getBookingSettings();
+    return zonedTimeToUtc(toDateString(bookingDate), String(bookingTime).slice(0, 5), settings.timezone);
+}
+
+module.exports = {
+    getBookingSettings,
+    loadAvailabilityData,
+    computeSlots,
+    getSlotsForVisitorDate,
+    getAvailableDates,
+    findConsultantForSlot,
+    withBookingDateLock,
+    getBookingStart
+};
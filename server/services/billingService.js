@@ -0,0 +1,208 @@
+/**
+ * Billing Service
+ * Quote and invoice figures, numbering and payment status.
+ *
+ * VAT is charged on the subtotal. Withholding tax (WHT) is also worked
+ * out on the subtotal - VAT is never subject to WHT - and is deducted by
+ * the client, who pays it to FIRS on our behalf and sends us a credit
+ * note. So a document's amount due, what we actually collect, is the
+ * total less WHT.
+ */
+
+const db = require('../config/database');
+
+const DEFAULT_BILLING = {
+    vatRate: 7.5,
+    quoteValidityDays: 30,
+    paymentTermsDays: 30,
+    bankDetails: '',
+    defaultTerms: ''
+};
+
+// WHT rates a client may deduct on our services (WHT Regulations 2024)
+const WHT_RATES = [0, 2, 5, 10];
+
+const PAYMENT_METHODS = ['bank_transfer', 'cash', 'card', 'cheque', 'other'];
+
+const NUMBER_PREFIX = {
+    quote: 'QT',
+    invoice: 'INV'
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Billing settings (Settings > Billing), falling back to the defaults for
+ * anything missing or out of range
+ */
+async function getBillingSettings() {
+    const result = await db.query(
+        "SELECT setting_key, setting_value FROM system_settings WHERE category = 'billing'"
+    );
+    const raw = Object.fromEntries(result.rows.map(r => [r.setting_key, r.setting_value]));
+
+    const number = (key, fallback, max) => {
+        const value = parseFloat(raw[key]);
+        return Number.isFinite(value) && value >= 0 && value <= max ? value : fallback;
+    };
+
+    return {
+        vatRate: number('vat_rate', DEFAULT_BILLING.vatRate, 100),
+        quoteValidityDays: number('quote_validity_days', DEFAULT_BILLING.quoteValidityDays, 365),
+        paymentTermsDays: number('invoice_payment_terms_days', DEFAULT_BILLING.paymentTermsDays, 365),
+        bankDetails: raw.invoice_bank_details || '',
+        defaultTerms: raw.invoice_default_terms || ''
+    };
+}
+
+/**
+ * Line amounts and document totals. Each line is rounded to the kobo
+ * before it's added up, so the lines printed always sum to the subtotal.
+ * @param {{ description, quantity, unitPrice }[]} items
+ * @param {{ vatRate: number, whtRate: number }} rates - percentages
+ */
+function calculateTotals(items, { vatRate = 0, whtRate = 0 } = {}) {
+    const lines = items.map((item, i) => {
+        const quantity = parseFloat(item.quantity);
+        const unitPrice = parseFloat(item.unitPrice);
+        return {
+            position: i + 1,
+            description: String(item.description).trim(),
+            quantity,
+            unitPrice,
+            amount: roundMoney(quantity * unitPrice)
+        };
+    });
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+    const vatAmount = roundMoney(subtotal * vatRate / 100);
+    const total = roundMoney(subtotal + vatAmount);
+    const whtAmount = roundMoney(subtotal * whtRate / 100);
+
+    return {
+        items: lines,
+        vatRate,
+        whtRate,
+        subtotal,
+        vatAmount,
+        total,
+        whtAmount,
+        amountDue: roundMoney(total - whtAmount)
+    };
+}
+
+/**
+ * An invoice's status from what's been paid against what's due
+ */
+function getPaymentStatus(amountDue, amountPaid) {
+    const due = roundMoney(parseFloat(amountDue));
+    const paid = roundMoney(parseFloat(amountPaid));
+    if (paid >= due) {
+        return 'paid';
+    }
+    return paid > 0 ? 'partially_paid' : 'issued';
+}
+
+function formatDocumentNumber(documentType, year, number) {
+    return `${NUMBER_PREFIX[documentType]}-${year}-${String(number).padStart(4, '0')}`;
+}
+
+/**
+ * Take the next quote or invoice number for a year. Must run inside the
+ * transaction that creates the document: the counter row stays locked
+ * until it commits, and a rollback gives the number back.
+ */
+async function nextDocumentNumber(documentType, year, client) {
+    const result = await client.query(
+        `INSERT INTO billing_counters (document_type, year, last_number)
+         VALUES ($1, $2, 1)
+         ON CONFLICT (document_type, year)
+         DO UPDATE SET last_number = billing_counters.last_number + 1
+         RETURNING last_number`,
+        [documentType, year]
+    );
+    return formatDocumentNumber(documentType, year, result.rows[0].last_number);
+}
+
+/**
+ * Replace a quote's or invoice's line items with the calculated lines
+ */
+async function saveLineItems(documentType, documentId, lines, client) {
+    const table = documentType === 'quote' ? 'quote_items' : 'invoice_items';
+    const column = documentType === 'quote' ? 'quote_id' : 'invoice_id';
+
+    await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [documentId]);
+    for (const line of lines) {
+        await client.query(
+            `INSERT INTO ${table} (${column}, position, description, quantity, unit_price, amount)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [documentId, line.position, line.description, line.quantity, line.unitPrice, line.amount]
+        );
+    }
+}
+
+/**
+ * A quote with its line items and the invoice raised from it, or null
+ */
+async function loadQuote(id, client = db) {
+    const result = await client.query(
+        `SELECT q.*, q.issue_date::text AS issue_date, q.valid_until::text AS valid_until,
+                s.name AS created_by_name, i.id AS invoice_id, i.invoice_number
+         FROM quotes q
+         LEFT JOIN staff s ON s.id = q.created_by
+         LEFT JOIN invoices i ON i.quote_id = q.id
+         WHERE q.id = $1`,
+        [id]
+    );
+    if (!result.rows.length) {
+        return null;
+    }
+    const items = await client.query(
+        'SELECT * FROM quote_items WHERE quote_id = $1 ORDER BY position',
+        [id]
+    );
+    return { ...result.rows[0], items: items.rows };
+}
+
+/**
+ * An invoice with its line items and payments, or null
+ */
+async function loadInvoice(id, client = db) {
+    const result = await client.query(
+        `SELECT i.*, i.issue_date::text AS issue_date, i.due_date::text AS due_date,
+                s.name AS created_by_name, q.quote_number
+         FROM invoices i
+         LEFT JOIN staff s ON s.id = i.created_by
+         LEFT JOIN quotes q ON q.id = i.quote_id
+         WHERE i.id = $1`,
+        [id]
+    );
+    if (!result.rows.length) {
+        return null;
+    }
+    const [items, payments] = await Promise.all([
+        client.query('SELECT * FROM invoice_items WHERE invoice_id = $1 ORDER BY position', [id]),
+        client.query(
+            `SELECT p.*, p.paid_on::text AS paid_on, s.name AS recorded_by_name
+             FROM invoice_payments p
+             LEFT JOIN staff s ON s.id = p.recorded_by
+             WHERE p.invoice_id = $1
+             ORDER BY p.paid_on, p.created_at`,
+            [id]
+        )
+    ]);
+    return { ...result.rows[0], items: items.rows, payments: payments.rows };
+}
+
+module.exports = {
+    DEFAULT_BILLING,
+    WHT_RATES,
+    PAYMENT_METHODS,
+    getBillingSettings,
+    calculateTotals,
+    getPaymentStatus,
+    formatDocumentNumber,
+    nextDocumentNumber,
+    saveLineItems,
+    loadQuote,
+    loadInvoice
+};
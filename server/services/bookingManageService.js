@@ -0,0 +1,110 @@
+/**
+ * Booking Manage Service
+ * Self-service changes to a consultation through the link in the client's
+ * booking email (manage-booking.html). The link carries a random token,
+ * stored only as its hash, that works until the consultation starts.
+ */
+
+const crypto = require('crypto');
+const Consultation = require('../models/Consultation');
+const AvailabilityService = require('./availabilityService');
+const { toDateString } = require('../utils/timezone');
+
+// Bookings in these states can't be changed any more
+const CLOSED_STATUSES = ['cancelled', 'completed'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * The booking a manage link belongs to, if any
+ */
+async function findByToken(token) {
+    return Consultation.findByManageToken(hashToken(token));
+}
+
+/**
+ * Whether the link has passed its cut-off (the consultation's start)
+ */
+function isExpired(consultation, now = new Date()) {
+    return Boolean(consultation.manage_token_expires_at) && new Date(consultation.manage_token_expires_at) < now;
+}
+
+/**
+ * Why a booking can't be changed online any more, or null if it can
+ * @returns {{ status: number, message: string }|null}
+ */
+function getChangeError(consultation, now = new Date()) {
+    if (CLOSED_STATUSES.includes(consultation.status)) {
+        return { status: 409, message: `This consultation has already been ${consultation.status}.` };
+    }
+    if (isExpired(consultation, now)) {
+        return {
+            status: 410,
+            message: 'This consultation has already started, so it can no longer be changed online. Please contact us at info@tekvwa.org.'
+        };
+    }
+    return null;
+}
+
+/**
+ * The fields a client sees about their own booking - nothing staff-internal
+ */
+async function toManagedView(consultation, now = new Date()) {
+    const startsAt = await AvailabilityService.getBookingStart(consultation.booking_date, consultation.booking_time);
+    return {
+        name: consultation.name,
+        service: consultation.service,
+        status: consultation.status,
+        bookingDate: toDateString(consultation.booking_date),
+        bookingTime: String(consultation.booking_time).slice(0, 5),
+        start: startsAt.toISOString(),
+        durationMinutes: consultation.duration_minutes,
+        timezone: consultation.timezone,
+        cancellationReason: consultation.cancelled_by === 'client' ? consultation.cancellation_reason : null,
+        canChange: getChangeError(consultation, now) === null
+    };
+}
+
+/**
+ * Move a booking into a free slot. The slot check and the move happen in
+ * one transaction under the booking date's lock, so two clients can't take
+ * the same consultant and slot. The current consultant keeps the booking if
+ * they're free at the new time; otherwise it goes to whoever is.
+ * @returns {Promise<{ consultation?: Object, assignedTo?: string, error?: 'unavailable'|'closed' }>}
+ */
+async function rescheduleBooking(consultation, { bookingDate, bookingTime, timezone = null }) {
+    const manageTokenExpiresAt = await AvailabilityService.getBookingStart(bookingDate, bookingTime);
+
+    return AvailabilityService.withBookingDateLock(bookingDate, async (client) => {
+        const assignedTo = await AvailabilityService.findConsultantForSlot(bookingDate, bookingTime, {
+            excludeConsultationId: consultation.id,
+            preferStaffId: consultation.assigned_to,
+            client
+        });
+        if (!assignedTo) {
+            return { error: 'unavailable' };
+        }
+
+        const updated = await Consultation.reschedule(consultation.id, {
+            bookingDate,
+            bookingTime,
+            assignedTo,
+            timezone,
+            manageTokenExpiresAt
+        }, client);
+        if (!updated) {
+            // Cancelled or completed since the link was opened
+            return { error: 'closed' };
+        }
+        return { consultation: updated, assignedTo };
+    });
+}
+
+module.exports = {
+    hashToken,
+    findByToken,
+    isExpired,
+    getChangeError,
+    toManagedView,
+    rescheduleBooking
+};
@@ -0,0 +1,119 @@
+/**
+ * Calendar Service
+ * Turns consultations into iCalendar events - email invites for clients
+ * (METHOD REQUEST / CANCEL) and per-staff subscription feeds (PUBLISH).
+ *
+ * Every consultation has one stable UID, so a calendar app that received
+ * the original invite updates or removes that same event when a reschedule
+ * or cancellation arrives. consultations.ics_sequence is bumped whenever
+ * the time moves or the booking is cancelled (see the Consultation model),
+ * which is what tells the app the newer copy wins.
+ */
+
+const { buildEvent, buildCalendar } = require('../utils/icalendar');
+const { zonedTimeToUtc, toDateString } = require('../utils/timezone');
+const { getBookingSettings } = require('./availabilityService');
+
+const UID_DOMAIN = 'tekvwa.org';
+
+function consultationUid(consultation) {
+    return `consultation-${consultation.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * One consultation as VEVENT lines.
+ * audience 'client' describes it from the client's side (emailed invite);
+ * 'staff' includes the client's contact details and notes (private feed).
+ */
+function consultationEvent(consultation, settings, { audience = 'client', status } = {}) {
+    const start = zonedTimeToUtc(
+        toDateString(consultation.booking_date),
+        String(consultation.booking_time).slice(0, 5),
+        settings.timezone
+    );
+    const duration = consultation.duration_minutes || settings.slotDuration;
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    const service = consultation.service || 'General Consultation';
+
+    const eventStatus = status || (consultation.status === 'cancelled'
+        ? 'CANCELLED'
+        : consultation.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED');
+
+    if (audience === 'staff') {
+        const description = [
+            `Client: ${consultation.name} <${consultation.email}>`,
+            consultation.phone ? `Phone: ${consultation.phone}` : null,
+            consultation.company ? `Company: ${consultation.company}` : null,
+            `Status: ${consultation.status}`,
+            consultation.notes ? `\nNotes:\n${consultation.notes}` : null
+        ].filter(Boolean).join('\n');
+
+        return buildEvent({
+            uid: consultationUid(consultation),
+            sequence: consultation.ics_sequence || 0,
+            start,
+            end,
+            summary: `Consultation: ${consultation.name} (${service})`,
+            description,
+            url: `${process.env.SITE_URL || 'http://localhost:3000'}/admin/consultations.html`,
+            status: eventStatus
+        });
+    }
+
+    return buildEvent({
+        uid: consultationUid(consultation),
+        sequence: consultation.ics_sequence || 0,
+        start,
+        end,
+        summary: `Consultation with Tekvwa IT Solutions - ${service}`,
+        description: eventStatus === 'TENTATIVE'
+            ? 'Requested - we\'ll email you as soon as the time is confirmed.'
+            : `${service} consultation with Tekvwa IT Solutions Ltd.`,
+        organizer: { name: 'Tekvwa IT Solutions', email: process.env.EMAIL_FROM || process.env.SMTP_USER },
+        attendees: [{ name: consultation.name, email: consultation.email }],
+        status: eventStatus
+    });
+}
+
+/**
+ * Email attachment carrying a client invite for a consultation.
+ * method REQUEST adds/updates the event in the client's calendar; CANCEL
+ * removes it. Returns null (and logs) rather than throwing, so a calendar
+ * problem never stops the email itself going out.
+ */
+async function buildConsultationInvite(consultation, method = 'REQUEST') {
+    try {
+        const settings = await getBookingSettings();
+        const event = consultationEvent(consultation, settings, {
+            audience: 'client',
+            status: method === 'CANCEL' ? 'CANCELLED' : undefined
+        });
+        return {
+            filename: method === 'CANCEL' ? 'cancellation.ics' : 'invite.ics',
+            content: buildCalendar({ method, events: [event] }),
+            contentType: `text/calendar; charset=utf-8; method=${method}`
+        };
+    } catch (error) {
+        console.error('Calendar invite error (email sent without it):', error);
+        return null;
+    }
+}
+
+/**
+ * A staff member's subscription feed of their assigned consultations
+ */
+async function buildStaffFeed(staff, consultations) {
+    const settings = await getBookingSettings();
+    return buildCalendar({
+        method: 'PUBLISH',
+        name: `Tekvwa Consultations - ${staff.name}`,
+        events: consultations.map(c => consultationEvent(c, settings, { audience: 'staff' }))
+    });
+}
+
+module.exports = {
+    consultationUid,
+    consultationEvent,
+    buildConsultationInvite,
+    buildStaffFeed
+};
@@ -0,0 +1,108 @@
+/**
+ * Chat Transcript Service
+ * Builds chat transcripts as PDF or plain text, for staff downloads and for
+ * emailing visitors who asked for one when their chat is closed. Every
+ * download and email is recorded in the audit log.
+ */
+
+const Chat = require('../models/Chat');
+const AuditService = require('./auditService');
+const { generateChatTranscriptPDF } = require('./pdfService');
+const { sendChatTranscriptEmail } = require('./emailService');
+const { buildTranscript, transcriptToText, transcriptFileName } = require('../utils/chatTranscript');
+
+const FORMATS = {
+    pdf: 'application/pdf',
+    txt: 'text/plain; charset=utf-8'
+};
+
+function siteUrl() {
+    return process.env.SITE_URL || 'http://localhost:3000';
+}
+
+async function renderTranscript(session, format) {
+    const messages = await Chat.getMessages(session.id);
+    const transcript = buildTranscript(session, messages, { siteUrl: siteUrl() });
+    const body = format === 'pdf'
+        ? await generateChatTranscriptPDF(transcript, { startedAt: session.started_at, reference: session.id.slice(0, 8) })
+        : transcriptToText(transcript);
+
+    return {
+        transcript,
+        body,
+        contentType: FORMATS[format],
+        fileName: transcriptFileName(session, format)
+    };
+}
+
+/**
+ * A chat's transcript for download
+ * @param {string} format - pdf or txt
+ * @returns {Promise<{ body: Buffer|string, contentType: string, fileName: string }|null>}
+ *   null if the chat doesn't exist
+ */
+async function exportTranscript(sessionId, format, { staffId, ipAddress }) {
+    const session = await Chat.getSession(sessionId);
+    if (!session) {
+        return null;
+    }
+
+    const file = await renderTranscript(session, format);
+
+    await AuditService.log({
+        staffId,
+        action: 'chat_transcript_exported',
+        entityType: 'chat',
+        entityId: session.id,
+        details: { format, visitorEmail: session.visitor_email },
+        ipAddress
+    });
+
+    return file;
+}
+
+/**
+ * Email the visitor their transcript, if they asked for one and it hasn't
+ * been sent. Called whenever a chat is closed.
+ * @returns {Promise<boolean>} whether it was sent
+ */
+async function emailTranscriptIfRequested(sessionId, { staffId = null, ipAddress = null } = {}) {
+    // Claim the send first so a chat closed twice (WebSocket and REST) is
+    // only emailed once
+    const session = await Chat.claimTranscriptSend(sessionId);
+    if (!session) {
+        return false;
+    }
+
+    try {
+        const pdf = await renderTranscript(session, 'pdf');
+        const text = transcriptToText(pdf.transcript);
+        await sendChatTranscriptEmail(session, pdf.transcript, {
+            pdfBuffer: pdf.body,
+            text,
+            pdfFileName: pdf.fileName,
+            textFileName: transcriptFileName(session, 'txt')
+        });
+    } catch (error) {
+        // Let a later close try again
+        await Chat.releaseTranscriptSend(sessionId);
+        throw error;
+    }
+
+    await AuditService.log({
+        staffId,
+        action: 'chat_transcript_emailed',
+        entityType: 'chat',
+        entityId: session.id,
+        details: { to: session.visitor_email },
+        ipAddress
+    });
+
+    return true;
+}
+
+module.exports = {
+    TRANSCRIPT_FORMATS: Object.keys(FORMATS),
+    exportTranscript,
+    emailTranscriptIfRequested
+};
@@ -0,0 +1,108 @@
+/**
+ * Consent Service
+ * Cookie banner choices, recorded server-side (consent_records) so the
+ * tracking endpoint can check them (utils/trackingConsent.js). Each browser
+ * has a random consent ID kept in its consent cookie; every choice adds a
+ * row, and the latest row for a consent ID is the one that counts.
+ */
+
+const validator = require('validator');
+const db = require('../config/database');
+const { truncateIp } = require('../utils/retentionPolicies');
+
+/**
+ * The latest choice made under a consent ID, or null if there isn't one
+ */
+async function latestConsent(consentId) {
+    if (typeof consentId !== 'string' || !validator.isUUID(consentId)) {
+        return null;
+    }
+    const result = await db.query(
+        `SELECT * FROM consent_records
+         WHERE consent_id = $1
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [consentId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Record a choice from the cookie banner. The visitor is only linked when
+ * they've said yes to analytics, and the IP address is kept truncated.
+ */
+async function recordConsent({
+    consentId, visitorId = null, analytics, marketing, functional, policyVersion,
+    gpc = false, dnt = false, ipAddress, userAgent
+}) {
+    let linkedVisitor = null;
+    if (analytics && visitorId) {
+        const visitor = await db.query('SELECT id FROM visitors WHERE id = $1', [visitorId]);
+        linkedVisitor = visitor.rows.length ? visitorId : null;
+    }
+
+    const result = await db.query(
+        `INSERT INTO consent_records
+         (consent_id, visitor_id, analytics, marketing, functional, policy_version, gpc, dnt, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [consentId, linkedVisitor, analytics, marketing, functional, policyVersion,
+            gpc, dnt, truncateIp(ipAddress), userAgent ? String(userAgent).slice(0, 500) : null]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Link the visitor created on a consented browser's first tracked event to
+ * its latest choice
+ */
+async function linkVisitor(consentId, visitorId) {
+    await db.query(
+        `UPDATE consent_records SET visitor_id = $2
+         WHERE id = (SELECT id FROM consent_records WHERE consent_id = $1 ORDER BY created_at DESC LIMIT 1)
+           AND visitor_id IS NULL`,
+        [consentId, visitorId]
+    );
+}
+
+/**
+ * The latest choice of each browser that chose in a date range
+ */
+async function getChoices(startDate, endDate) {
+    const result = await db.query(
+        `SELECT DISTINCT ON (consent_id) consent_id, analytics, marketing, functional,
+                policy_version, gpc, dnt, created_at
+         FROM consent_records
+         WHERE created_at >= $1 AND created_at < $2::date + interval '1 day'
+         ORDER BY consent_id, created_at DESC`,
+        [startDate, endDate]
+    );
+    return result.rows;
+}
+
+/**
+ * Page views in a date range, split into those tracked with consent and
+ * those counted anonymously, by why they were anonymous
+ */
+async function getPageViewsByConsent(startDate, endDate) {
+    const result = await db.query(
+        `SELECT CASE WHEN visitor_id IS NOT NULL THEN 'consent'
+                     ELSE COALESCE(metadata->>'consent', 'unknown') END AS reason,
+                COUNT(*)::int AS count
+         FROM analytics_events
+         WHERE event_type = 'page_view'
+           AND created_at >= $1 AND created_at < $2::date + interval '1 day'
+         GROUP BY 1
+         ORDER BY count DESC`,
+        [startDate, endDate]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    latestConsent,
+    recordConsent,
+    linkVisitor,
+    getChoices,
+    getPageViewsByConsent
+};
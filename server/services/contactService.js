@@ -0,0 +1,340 @@
+/**
+ * Contact Service
+ * One contact per person, keyed by normalized email, tying together their
+ * contact form messages (and the email conversation on them),
+ * consultations, live chats and website visits.
+ *
+ * Interactions aren't copied onto the contact - they're found by email, so
+ * a contact's timeline also picks up everything filed under the emails of
+ * contacts merged into it. Merges are one level deep: merging a contact
+ * that others were merged into moves those across too, and unmerging just
+ * splits the one contact back out.
+ */
+
+const db = require('../config/database');
+const { userHasPermission } = require('../middleware/auth');
+
+const DEFAULT_TIMELINE_LIMIT = 100;
+const MAX_TIMELINE_LIMIT = 500;
+const SUMMARY_LENGTH = 300;
+
+/**
+ * The form a contact's email is stored in - trimmed and lower-cased, or
+ * null when it isn't an email address at all
+ */
+function normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return /^[^@\s]+@[^@\s]+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Create or refresh the contact for someone who's just been in touch. The
+ * latest details they gave win; ones they left out are kept.
+ * @returns {Promise<object|null>} the contact, or null for a bad email
+ */
+async function recordInteraction({ email, name, phone, company }, client = db) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) {
+        return null;
+    }
+    const result = await client.query(
+        `INSERT INTO contacts (email, name, phone, company, last_interaction_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (email) DO UPDATE
+         SET name = COALESCE(EXCLUDED.name, contacts.name),
+             phone = COALESCE(EXCLUDED.phone, contacts.phone),
+             company = COALESCE(EXCLUDED.company, contacts.company),
+             last_interaction_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [normalized, name || null, phone || null, company || null]
+    );
+    return result.rows[0];
+}
+
+/**
+ * The id of the contact for an email - the one it's merged into, if it
+ * has been - or null
+ */
+async function findContactIdByEmail(email, client = db) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) {
+        return null;
+    }
+    const result = await client.query(
+        `SELECT COALESCE(c.merged_into_id, c.id) AS id
+         FROM contacts c
+         WHERE c.email = $1`,
+        [normalized]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+}
+
+/**
+ * A contact with the contacts merged into it (oldest merge first)
+ * @returns {Promise<{ contact, merged: object[], ids: string[], emails: string[] }|null>}
+ */
+async function getContactGroup(contactId, client = db) {
+    const result = await client.query(
+        `SELECT c.*, s.name AS merged_by_name
+         FROM contacts c
+         LEFT JOIN staff s ON s.id = c.merged_by
+         WHERE c.id = $1 OR c.merged_into_id = $1
+         ORDER BY (c.id = $1) DESC, c.merged_at`,
+        [contactId]
+    );
+    const [contact, ...merged] = result.rows;
+    if (!contact || contact.id !== contactId) {
+        return null;
+    }
+    return {
+        contact,
+        merged,
+        ids: result.rows.map(row => row.id),
+        emails: result.rows.map(row => row.email)
+    };
+}
+
+/**
+ * Why one contact can't be merged into another, or null if it can. Both
+ * have to be stand-alone contacts.
+ */
+function getMergeError(target, source) {
+    if (!target || !source) {
+        return 'Contact not found';
+    }
+    if (target.id === source.id) {
+        return 'A contact can\'t be merged into itself';
+    }
+    if (target.merged_into_id) {
+        return 'That contact has been merged into another - merge into that one instead';
+    }
+    if (source.merged_into_id) {
+        return 'The contact being merged is already part of another contact - unmerge it first';
+    }
+    return null;
+}
+
+/**
+ * Merge the source contact into the target (checked with getMergeError).
+ * Anything already merged into the source moves to the target with it.
+ * @returns {Promise<{ source, moved: string[] }>} the merged contact and
+ * the ids of the contacts that moved along with it
+ */
+async function mergeContacts(target, source, staffId, client = db) {
+    const moved = await client.query(
+        `UPDATE contacts
+         SET merged_into_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE merged_into_id = $2
+         RETURNING id`,
+        [target.id, source.id]
+    );
+    const merged = await client.query(
+        `UPDATE contacts
+         SET merged_into_id = $1, merged_at = CURRENT_TIMESTAMP, merged_by = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [target.id, source.id, staffId]
+    );
+    return { source: merged.rows[0], moved: moved.rows.map(row => row.id) };
+}
+
+/**
+ * Split a merged contact back out into a contact of its own
+ */
+async function unmergeContact(contactId, client = db) {
+    const result = await client.query(
+        `UPDATE contacts
+         SET merged_into_id = NULL, merged_at = NULL, merged_by = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [contactId]
+    );
+    return result.rows[0] || null;
+}
+
+const truncate = (text) => {
+    const value = String(text || '');
+    return value.length > SUMMARY_LENGTH ? `${value.slice(0, SUMMARY_LENGTH)}…` : value;
+};
+
+/**
+ * Turn each kind of interaction into timeline items and put them all in
+ * one list, newest first
+ */
+function buildTimeline({ messages = [], replies = [], consultations = [], chats = [], visits = [], newsletter = [], notes = [] }, limit = DEFAULT_TIMELINE_LIMIT) {
+    const items = [
+        ...messages.map(m => ({
+            type: 'message',
+            id: m.id,
+            at: m.created_at,
+            email: m.email,
+            status: m.status,
+            service: m.service,
+            assignedToName: m.assigned_to_name || null,
+            summary: truncate(m.message)
+        })),
+        ...replies.map(r => ({
+            type: 'message_reply',
+            id: r.id,
+            at: r.created_at,
+            messageId: r.message_id,
+            direction: r.direction,
+            staffName: r.staff_name || null,
+            fromEmail: r.from_email || null,
+            summary: truncate(r.content)
+        })),
+        ...consultations.map(c => ({
+            type: 'consultation',
+            id: c.id,
+            at: c.created_at,
+            email: c.email,
+            status: c.status,
+            service: c.service,
+            bookingDate: c.booking_date,
+            bookingTime: c.booking_time,
+            assignedToName: c.assigned_to_name || null,
+            summary: truncate(c.notes)
+        })),
+        ...chats.map(c => ({
+            type: 'chat',
+            id: c.id,
+            at: c.started_at,
+            email: c.visitor_email,
+            status: c.status,
+            endedAt: c.ended_at,
+            messageCount: Number(c.message_count || 0),
+            assignedToName: c.assigned_to_name || null,
+            summary: truncate(c.first_message)
+        })),
+        ...visits.map(v => ({
+            type: 'first_visit',
+            id: v.id,
+            at: v.first_visit,
+            source: v.source,
+            pageViews: Number(v.page_views || 0),
+            lastVisit: v.last_visit
+        })),
+        ...newsletter.flatMap(n => [
+            { type: 'newsletter_subscribed', id: n.id, at: n.subscribed_at, source: n.source },
+            ...(n.confirmed_at ? [{ type: 'newsletter_confirmed', id: n.id, at: n.confirmed_at }] : []),
+            ...(n.unsubscribed_at ? [{ type: 'newsletter_unsubscribed', id: n.id, at: n.unsubscribed_at }] : [])
+        ]),
+        ...notes.map(n => ({
+            type: 'note',
+            id: n.id,
+            at: n.created_at,
+            entityType: n.entity_type,
+            entityId: n.entity_id,
+            staffId: n.staff_id,
+            staffName: n.staff_name || null,
+            summary: n.content
+        }))
+    ].filter(item => item.at);
+
+    return items
+        .sort((a, b) => new Date(b.at) - new Date(a.at))
+        .slice(0, limit);
+}
+
+/**
+ * Everything on file for a contact group, limited to what the user is
+ * allowed to see: messages, consultations and chats (and their notes) each
+ * need that area's permission.
+ */
+async function getTimeline(group, user, { limit = DEFAULT_TIMELINE_LIMIT } = {}) {
+    const max = Math.min(Math.max(parseInt(limit) || DEFAULT_TIMELINE_LIMIT, 1), MAX_TIMELINE_LIMIT);
+    const { emails, ids } = group;
+    const can = (permission) => userHasPermission(user, permission);
+    const none = { rows: [] };
+
+    // Each source is cut to the newest `max` rows - the newest `max` items
+    // overall can't be further back than that in any one of them
+    const [messages, replies, consultations, chats, visits, newsletter] = await Promise.all([
+        can('can_manage_messages') ? db.query(
+            `SELECT m.*, s.name AS assigned_to_name
+             FROM messages m
+             LEFT JOIN staff s ON s.id = m.assigned_to
+             WHERE LOWER(TRIM(m.email)) = ANY($1)
+             ORDER BY m.created_at DESC LIMIT $2`,
+            [emails, max]
+        ) : none,
+        can('can_manage_messages') ? db.query(
+            `SELECT r.*, s.name AS staff_name
+             FROM message_replies r
+             JOIN messages m ON m.id = r.message_id
+             LEFT JOIN staff s ON s.id = r.staff_id
+             WHERE LOWER(TRIM(m.email)) = ANY($1)
+             ORDER BY r.created_at DESC LIMIT $2`,
+            [emails, max]
+        ) : none,
+        can('can_manage_consultations') ? db.query(
+            `SELECT c.*, c.booking_date::text AS booking_date, s.name AS assigned_to_name
+             FROM consultations c
+             LEFT JOIN staff s ON s.id = c.assigned_to
+             WHERE LOWER(TRIM(c.email)) = ANY($1)
+             ORDER BY c.created_at DESC LIMIT $2`,
+            [emails, max]
+        ) : none,
+        can('can_manage_chats') ? db.query(
+            `SELECT cs.*, s.name AS assigned_to_name,
+                    (SELECT COUNT(*) FROM chat_messages cm WHERE cm.session_id = cs.id) AS message_count,
+                    (SELECT cm.content FROM chat_messages cm
+                     WHERE cm.session_id = cs.id AND cm.sender_type = 'visitor'
+                     ORDER BY cm.created_at LIMIT 1) AS first_message
+             FROM chat_sessions cs
+             LEFT JOIN staff s ON s.id = cs.assigned_to
+             WHERE LOWER(TRIM(cs.visitor_email)) = ANY($1)
+             ORDER BY cs.started_at DESC LIMIT $2`,
+            [emails, max]
+        ) : none,
+        db.query(
+            'SELECT * FROM visitors WHERE LOWER(TRIM(email)) = ANY($1) ORDER BY first_visit DESC LIMIT $2',
+            [emails, max]
+        ),
+        db.query(
+            'SELECT * FROM newsletter_subscribers WHERE LOWER(TRIM(email)) = ANY($1)',
+            [emails]
+        )
+    ]);
+
+    // Notes on the contact itself, and on the interactions the user can see
+    const noteTargets = [
+        ['contact', ids],
+        ['message', messages.rows.map(m => m.id)],
+        ['consultation', consultations.rows.map(c => c.id)],
+        ['chat', chats.rows.map(c => c.id)]
+    ].filter(([, entityIds]) => entityIds.length);
+    const notes = await db.query(
+        `SELECT n.*, s.name AS staff_name
+         FROM internal_notes n
+         LEFT JOIN staff s ON s.id = n.staff_id
+         WHERE ${noteTargets.map((_, i) => `(n.entity_type = $${i * 2 + 1} AND n.entity_id = ANY($${i * 2 + 2}))`).join(' OR ')}
+         ORDER BY n.created_at DESC LIMIT $${noteTargets.length * 2 + 1}`,
+        [...noteTargets.flat(), max]
+    );
+
+    return buildTimeline({
+        messages: messages.rows,
+        replies: replies.rows,
+        consultations: consultations.rows,
+        chats: chats.rows,
+        visits: visits.rows,
+        newsletter: newsletter.rows,
+        notes: notes.rows
+    }, max);
+}
+
+module.exports = {
+    normalizeEmail,
+    recordInteraction,
+    findContactIdByEmail,
+    getContactGroup,
+    getMergeError,
+    mergeContacts,
+    unmergeContact,
+    buildTimeline,
+    getTimeline
+};
@@ -0,0 +1,227 @@
+/**
+ * Contract Service
+ * Versioning and signing for employee contracts (routes/contracts.js).
+ *
+ * An offer is version 1. Amendments (raise, new title...) and renewals of
+ * fixed-term contracts are later versions linked to it by
+ * original_contract_id; each copies the current signed terms and changes
+ * what HR asks for. Issuing a new version voids any older one still
+ * waiting for a signature.
+ *
+ * Signing seals the contract: the PDF is rendered with the signature,
+ * time and IP on it, stored in the document vault, and its SHA-256 kept on
+ * the row. Countersigning re-seals it with the company's signature (and
+ * the employee-signed copy's hash printed on it).
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { generateContractPDF } = require('./pdfService');
+const { uploadDocument } = require('./vaultStorage');
+
+// Drawn signatures arrive as a PNG data URL from a canvas
+const MAX_SIGNATURE_BYTES = 150 * 1024;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const SALARY_FIELDS = ['basic_salary', 'housing_allowance', 'transport_allowance', 'utility_allowance', 'meal_allowance'];
+
+// Terms a new version can change, with how they're labelled on letters
+const CONTRACT_TERMS = [
+    ['job_title', 'Job Title'],
+    ['department', 'Department'],
+    ['reporting_to', 'Reporting To'],
+    ['employment_status', 'Employment Status'],
+    ['basic_salary', 'Monthly Basic Salary'],
+    ['housing_allowance', 'Housing Allowance'],
+    ['transport_allowance', 'Transport Allowance'],
+    ['utility_allowance', 'Utility Allowance'],
+    ['meal_allowance', 'Meal / Entertainment Allowance'],
+    ['gross_salary', 'Monthly Gross Salary'],
+    ['pto_days', 'Annual PTO Days'],
+    ['probation_period', 'Probation Period'],
+    ['resignation_notice', 'Resignation Notice'],
+    ['termination_notice', 'Termination Notice'],
+    ['end_date', 'Contract End Date']
+];
+
+// Request body names for the terms above
+const TERM_INPUTS = {
+    jobTitle: 'job_title',
+    jobDescription: 'job_description',
+    department: 'department',
+    reportingTo: 'reporting_to',
+    employmentStatus: 'employment_status',
+    basicSalary: 'basic_salary',
+    housingAllowance: 'housing_allowance',
+    transportAllowance: 'transport_allowance',
+    utilityAllowance: 'utility_allowance',
+    mealAllowance: 'meal_allowance',
+    ptoDays: 'pto_days',
+    probationPeriod: 'probation_period',
+    resignationNotice: 'resignation_notice',
+    terminationNotice: 'termination_notice',
+    startDate: 'start_date',
+    endDate: 'end_date'
+};
+
+// pg hands DATE columns back as local-midnight Dates
+const toDateText = (value) => {
+    if (!value) {
+        return null;
+    }
+    if (value instanceof Date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+};
+
+const normalizeTerm = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (SALARY_FIELDS.includes(field) || field === 'gross_salary' || field === 'pto_days') {
+        return Number(value);
+    }
+    if (field === 'end_date' || field === 'start_date') {
+        return toDateText(value);
+    }
+    return String(value);
+};
+
+/**
+ * The terms of a new version: the base contract's terms with the request's
+ * changes applied (anything not sent stays as it was). Gross is
+ * recalculated from the components.
+ * @param {Object} base - the employee_contracts row being amended/renewed
+ * @param {Object} input - request body (camelCase names, see TERM_INPUTS)
+ */
+function buildVersionTerms(base, input) {
+    const terms = {};
+    for (const [inputName, field] of Object.entries(TERM_INPUTS)) {
+        const changed = input[inputName] !== undefined && input[inputName] !== '';
+        terms[field] = normalizeTerm(field, changed ? input[inputName] : base[field]);
+    }
+    SALARY_FIELDS.forEach(field => {
+        terms[field] = terms[field] || 0;
+    });
+    terms.gross_salary = SALARY_FIELDS.reduce((sum, field) => sum + terms[field], 0);
+    terms.currency = base.currency || 'NGN';
+    return terms;
+}
+
+/**
+ * Terms that differ between two versions, for the amendment letter and
+ * the accept page: [{ field, label, from, to }]
+ */
+function diffContractTerms(previous, next) {
+    return CONTRACT_TERMS
+        .map(([field, label]) => ({
+            field,
+            label,
+            from: normalizeTerm(field, previous[field]),
+            to: normalizeTerm(field, next[field])
+        }))
+        .filter(change => change.from !== change.to);
+}
+
+/**
+ * Whether a version changes pay - amendments that do need an Admin, the
+ * same as editing a salary on the Payroll page
+ */
+function changesSalary(previous, next) {
+    return SALARY_FIELDS.some(field => Number(previous[field] || 0) !== Number(next[field] || 0));
+}
+
+/**
+ * Decode a drawn signature (PNG data URL). Returns the image bytes, or
+ * throws with a message fit for the signer.
+ */
+function parseSignatureImage(dataUrl) {
+    const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl || '');
+    if (!match) {
+        throw new Error('The drawn signature must be a PNG image');
+    }
+    const buffer = Buffer.from(match[1], 'base64');
+    if (buffer.length > MAX_SIGNATURE_BYTES) {
+        throw new Error('The drawn signature image is too large');
+    }
+    if (buffer.length < PNG_MAGIC.length || !buffer.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC)) {
+        throw new Error('The drawn signature must be a PNG image');
+    }
+    return buffer;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * The signed version this one was issued against (null for an offer)
+ */
+async function getPreviousVersion(contract, client = db) {
+    if (!contract.original_contract_id) {
+        return null;
+    }
+    const result = await client.query(
+        `SELECT * FROM employee_contracts
+         WHERE (id = $1 OR original_contract_id = $1) AND version < $2 AND accepted_at IS NOT NULL
+         ORDER BY version DESC LIMIT 1`,
+        [contract.original_contract_id, contract.version]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * The signed version currently in force in a contract's chain (the offer
+ * and everything issued from it), or null if none has been signed
+ */
+async function getCurrentVersion(contractId, client = db) {
+    const result = await client.query(
+        `SELECT c.* FROM employee_contracts c
+         JOIN employee_contracts t ON COALESCE(t.original_contract_id, t.id) = COALESCE(c.original_contract_id, c.id)
+         WHERE t.id = $1 AND c.accepted_at IS NOT NULL
+         ORDER BY c.version DESC
+         LIMIT 1`,
+        [contractId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * The PDF for a contract, with the changes from the previous version when
+ * it's an amendment
+ */
+async function renderContractPDF(contract, staff, client = db) {
+    let changes = null;
+    if (contract.contract_type === 'amendment') {
+        const previous = await getPreviousVersion(contract, client);
+        changes = previous ? diffContractTerms(previous, contract) : [];
+    }
+    return generateContractPDF(contract, staff, { changes });
+}
+
+/**
+ * Render the contract as it stands (signed, or signed and countersigned),
+ * store it in the vault and return { path, hash, buffer }
+ */
+async function sealContract(contract, staff, client = db) {
+    const buffer = await renderContractPDF(contract, staff, client);
+    const stage = contract.countersigned_at ? 'countersigned' : 'signed';
+    const path = await uploadDocument(buffer, `contract-${contract.id}-v${contract.version}-${stage}.pdf`, 'application/pdf');
+    return { path, hash: sha256(buffer), buffer };
+}
+
+module.exports = {
+    CONTRACT_TERMS,
+    toDateText,
+    buildVersionTerms,
+    diffContractTerms,
+    changesSalary,
+    parseSignatureImage,
+    sha256,
+    getPreviousVersion,
+    getCurrentVersion,
+    renderContractPDF,
+    sealContract
+};
@@ -0,0 +1,408 @@
+/**
+ * Data Subject Request Service
+ * Access and erasure requests under the NDPA (see DATA_PROTECTION_POLICY.md).
+ *
+ * - Staff log a request; the person is emailed a link (token stored hashed)
+ *   to prove the address is theirs. Nothing is exported or erased until
+ *   they follow it.
+ * - Everything we hold about an email address is found across contact
+ *   messages, consultations, chats, surveys, the newsletter, website visits
+ *   and analytics, the CRM contact, deals opened from their enquiries and
+ *   staff notes on them.
+ * - Access: a zip of all of it (utils/dataExport.js).
+ * - Erasure: names, addresses, message text and other details are scrubbed
+ *   and the rows kept, so counts, dates, services and scores still add up
+ *   in reports. Deals keep their stage and value for the pipeline figures.
+ *   Chat files, the newsletter subscription, the contact and staff notes
+ *   are deleted. Quotes and invoices are kept, as tax law requires.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { normalizeEmail } = require('./contactService');
+const { readAttachment, removeAttachment } = require('./attachmentStorage');
+const { sendDataRequestVerificationEmail } = require('./emailService');
+const { buildExportBundle } = require('../utils/dataExport');
+const { ERASED, ERASED_EMAIL } = require('../utils/erasure');
+
+const VERIFY_LINK_DAYS = 7;
+// The NDPA's deadline for answering a request
+const RESPONSE_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const siteUrl = () => process.env.SITE_URL || 'http://localhost:3000';
+
+/**
+ * Email the person a new link to confirm the request is theirs. Any earlier
+ * link stops working.
+ */
+async function sendVerification(request) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await db.query(
+        `UPDATE data_subject_requests
+         SET verification_token_hash = $2, verification_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [request.id, hashToken(token)]
+    );
+    await sendDataRequestVerificationEmail(result.rows[0], `${siteUrl()}/data-request.html?token=${token}`);
+    return result.rows[0];
+}
+
+/**
+ * Log a request and email the verification link
+ */
+async function createRequest({ email, name, requestType, receivedVia, receivedAt, notes, staffId }) {
+    const result = await db.query(
+        `INSERT INTO data_subject_requests
+            (email, name, request_type, received_via, received_at, due_at, notes, created_by)
+         VALUES ($1, $2, $3, $4, COALESCE($5::timestamp, CURRENT_TIMESTAMP),
+                 COALESCE($5::timestamp, CURRENT_TIMESTAMP) + $6 * INTERVAL '1 day', $7, $8)
+         RETURNING *`,
+        [normalizeEmail(email), name || null, requestType, receivedVia || 'email', receivedAt || null, RESPONSE_DAYS, notes || null, staffId]
+    );
+    return sendVerification(result.rows[0]);
+}
+
+async function listRequests(status) {
+    const result = await db.query(
+        `SELECT r.id, r.email, r.name, r.request_type, r.status, r.received_via, r.received_at, r.due_at,
+                r.verification_sent_at, r.verified_at, r.exported_at, r.erased_at, r.completed_at,
+                s.name AS created_by_name
+         FROM data_subject_requests r
+         LEFT JOIN staff s ON s.id = r.created_by
+         WHERE $1::varchar IS NULL OR r.status = $1
+         ORDER BY (r.status IN ('awaiting_verification', 'verified')) DESC, r.due_at`,
+        [status || null]
+    );
+    return result.rows;
+}
+
+async function getRequest(id) {
+    const result = await db.query(
+        `SELECT r.*, s.name AS created_by_name, c.name AS completed_by_name
+         FROM data_subject_requests r
+         LEFT JOIN staff s ON s.id = r.created_by
+         LEFT JOIN staff c ON c.id = r.completed_by
+         WHERE r.id = $1`,
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+async function findByVerificationToken(token) {
+    const result = await db.query(
+        'SELECT * FROM data_subject_requests WHERE verification_token_hash = $1',
+        [hashToken(String(token || ''))]
+    );
+    return result.rows[0] || null;
+}
+
+function verificationExpired(request) {
+    return request.status === 'awaiting_verification' && request.verification_sent_at
+        && Date.now() - new Date(request.verification_sent_at).getTime() > VERIFY_LINK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * The person confirmed the request from the emailed link
+ */
+async function verifyRequest(request, ipAddress) {
+    const result = await db.query(
+        `UPDATE data_subject_requests
+         SET status = 'verified', verified_at = CURRENT_TIMESTAMP, verified_ip = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'awaiting_verification'
+         RETURNING *`,
+        [request.id, ipAddress || null]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Close a request: done (e.g. the export was sent) or rejected
+ */
+async function closeRequest(id, { status, resolution, staffId }) {
+    const result = await db.query(
+        `UPDATE data_subject_requests
+         SET status = $2, resolution = $3, completed_at = CURRENT_TIMESTAMP, completed_by = $4,
+             verification_token_hash = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status IN ('awaiting_verification', 'verified')
+         RETURNING *`,
+        [id, status, resolution || null, staffId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Everything we hold about an email address, by table (the keys of
+ * EXPORT_SECTIONS in utils/dataExport.js)
+ */
+async function findPersonalData(email, client = db) {
+    const address = normalizeEmail(email);
+    const byEmail = (table, column = 'email') => client.query(
+        `SELECT * FROM ${table} WHERE LOWER(TRIM(${column})) = $1 ORDER BY created_at`,
+        [address]
+    );
+
+    const [messages, consultations, chatSessions, contacts, subscribers, recipients] = await Promise.all([
+        byEmail('messages'),
+        byEmail('consultations'),
+        byEmail('chat_sessions', 'visitor_email'),
+        client.query('SELECT * FROM contacts WHERE email = $1', [address]),
+        byEmail('newsletter_subscribers'),
+        client.query(
+            `SELECT r.*, c.subject AS campaign_subject
+             FROM newsletter_campaign_recipients r
+             JOIN newsletter_campaigns c ON c.id = r.campaign_id
+             WHERE LOWER(TRIM(r.email)) = $1
+             ORDER BY r.created_at`,
+            [address]
+        )
+    ]);
+
+    const ids = (result) => result.rows.map(row => row.id);
+    const messageIds = ids(messages);
+    const consultationIds = ids(consultations);
+    const chatIds = ids(chatSessions);
+    const contactIds = ids(contacts);
+    const linkedVisitorIds = [...messages.rows, ...consultations.rows, ...chatSessions.rows]
+        .map(row => row.visitor_id)
+        .filter(Boolean);
+
+    const [replies, chatMessages, attachments, surveys, visitors, notes, deals] = await Promise.all([
+        client.query('SELECT * FROM message_replies WHERE message_id = ANY($1) ORDER BY created_at', [messageIds]),
+        client.query('SELECT * FROM chat_messages WHERE session_id = ANY($1) ORDER BY created_at', [chatIds]),
+        client.query('SELECT * FROM chat_attachments WHERE session_id = ANY($1) ORDER BY created_at', [chatIds]),
+        client.query(
+            `SELECT * FROM satisfaction_surveys
+             WHERE LOWER(TRIM(respondent_email)) = $1
+                OR (source_type = 'chat' AND source_id = ANY($2))
+                OR (source_type = 'consultation' AND source_id = ANY($3))
+             ORDER BY created_at`,
+            [address, chatIds, consultationIds]
+        ),
+        client.query(
+            'SELECT * FROM visitors WHERE LOWER(TRIM(email)) = $1 OR id = ANY($2) ORDER BY first_visit',
+            [address, linkedVisitorIds]
+        ),
+        client.query(
+            `SELECT * FROM internal_notes
+             WHERE (entity_type = 'contact' AND entity_id = ANY($1))
+                OR (entity_type = 'message' AND entity_id = ANY($2))
+                OR (entity_type = 'consultation' AND entity_id = ANY($3))
+                OR (entity_type = 'chat' AND entity_id = ANY($4))
+             ORDER BY created_at`,
+            [contactIds, messageIds, consultationIds, chatIds]
+        ),
+        client.query(
+            `SELECT * FROM deals
+             WHERE contact_id = ANY($1)
+                OR (source_type = 'message' AND source_id = ANY($2))
+                OR (source_type = 'consultation' AND source_id = ANY($3))
+                OR (source_type = 'chat' AND source_id = ANY($4))
+             ORDER BY created_at`,
+            [contactIds, messageIds, consultationIds, chatIds]
+        )
+    ]);
+
+    // Quotes and invoices sent to them, or raised on their deals
+    const byEmailOrDeal = (table) => client.query(
+        `SELECT * FROM ${table}
+         WHERE LOWER(TRIM(client_email)) = $1 OR deal_id = ANY($2)
+         ORDER BY created_at`,
+        [address, ids(deals)]
+    );
+    const [events, consents, quotes, invoices] = await Promise.all([
+        client.query('SELECT * FROM analytics_events WHERE visitor_id = ANY($1) ORDER BY created_at', [ids(visitors)]),
+        client.query('SELECT * FROM consent_records WHERE visitor_id = ANY($1) ORDER BY created_at', [ids(visitors)]),
+        byEmailOrDeal('quotes'),
+        byEmailOrDeal('invoices')
+    ]);
+
+    return {
+        contacts: contacts.rows,
+        messages: messages.rows,
+        message_replies: replies.rows,
+        consultations: consultations.rows,
+        chat_sessions: chatSessions.rows,
+        chat_messages: chatMessages.rows,
+        chat_attachments: attachments.rows,
+        satisfaction_surveys: surveys.rows,
+        newsletter_subscribers: subscribers.rows,
+        newsletter_campaign_recipients: recipients.rows,
+        visitors: visitors.rows,
+        analytics_events: events.rows,
+        consent_records: consents.rows,
+        internal_notes: notes.rows,
+        deals: deals.rows,
+        quotes: quotes.rows,
+        invoices: invoices.rows
+    };
+}
+
+/**
+ * How many records of each kind we hold, for reviewing a request
+ */
+async function countPersonalData(email) {
+    const data = await findPersonalData(email);
+    return Object.fromEntries(Object.entries(data).map(([key, rows]) => [key, rows.length]));
+}
+
+/**
+ * The export zip for a verified request
+ * @returns {Promise<Buffer>}
+ */
+async function exportPersonalData(request) {
+    const data = await findPersonalData(request.email);
+
+    const files = [];
+    for (const attachment of data.chat_attachments) {
+        try {
+            files.push({
+                id: attachment.id,
+                file_name: attachment.file_name,
+                content: await readAttachment(attachment.storage_driver, attachment.storage_key)
+            });
+        } catch (error) {
+            console.error(`Data export: couldn't read attachment ${attachment.id}:`, error);
+        }
+    }
+
+    const bundle = await buildExportBundle(request, data, files);
+    await db.query(
+        'UPDATE data_subject_requests SET exported_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [request.id]
+    );
+    return bundle;
+}
+
+/**
+ * Erase everything we hold about a verified request's email address, in
+ * one transaction, and complete the request
+ * @returns {Promise<{ erased: Object, kept: Object }>} rows changed per table
+ */
+async function erasePersonalData(request, staffId) {
+    const client = await db.getClient();
+    let summary;
+    let removedFiles = [];
+    try {
+        await client.query('BEGIN');
+        const data = await findPersonalData(request.email, client);
+        const ids = (key) => data[key].map(row => row.id);
+
+        const erased = {};
+        const run = async (key, sql, params) => {
+            const result = await client.query(sql, params);
+            erased[key] = result.rowCount;
+            return result;
+        };
+
+        await run('messages',
+            `UPDATE messages
+             SET name = $2, email = ${ERASED_EMAIL}, company = NULL, message = $2, reply_token = NULL
+             WHERE id = ANY($1)`,
+            [ids('messages'), ERASED]);
+        await run('message_replies',
+            'UPDATE message_replies SET content = $2, from_email = NULL WHERE id = ANY($1)',
+            [ids('message_replies'), ERASED]);
+        await run('consultations',
+            `UPDATE consultations
+             SET name = $2, email = ${ERASED_EMAIL}, phone = NULL, company = NULL, notes = NULL,
+                 cancellation_reason = NULL, manage_token_hash = NULL
+             WHERE id = ANY($1)`,
+            [ids('consultations'), ERASED]);
+        await run('chat_sessions',
+            `UPDATE chat_sessions SET visitor_name = $2, visitor_email = ${ERASED_EMAIL} WHERE id = ANY($1)`,
+            [ids('chat_sessions'), ERASED]);
+        await run('chat_messages',
+            'UPDATE chat_messages SET content = $2 WHERE id = ANY($1)',
+            [ids('chat_messages'), ERASED]);
+        const attachments = await run('chat_attachments',
+            'DELETE FROM chat_attachments WHERE id = ANY($1) RETURNING storage_driver, storage_key',
+            [ids('chat_attachments')]);
+        removedFiles = attachments.rows;
+        // Scores stay in the CSAT/NPS figures
+        await run('satisfaction_surveys',
+            'UPDATE satisfaction_surveys SET respondent_email = NULL, comment = NULL, token_hash = NULL WHERE id = ANY($1)',
+            [ids('satisfaction_surveys')]);
+        // Campaign open and click counts stay
+        await run('newsletter_campaign_recipients',
+            `UPDATE newsletter_campaign_recipients SET email = ${ERASED_EMAIL}, token_hash = NULL, error = NULL WHERE id = ANY($1)`,
+            [ids('newsletter_campaign_recipients')]);
+        await run('newsletter_subscribers',
+            'DELETE FROM newsletter_subscribers WHERE id = ANY($1)',
+            [ids('newsletter_subscribers')]);
+        // Visits and events stay in the traffic figures, without who or
+        // where from, and without query strings that might carry details
+        await run('visitors',
+            `UPDATE visitors
+             SET name = NULL, email = NULL, ip_address = NULL, user_agent = NULL, source = split_part(source, '?', 1)
+             WHERE id = ANY($1)`,
+            [ids('visitors')]);
+        await run('analytics_events',
+            `UPDATE analytics_events
+             SET metadata = NULL, page_url = split_part(page_url, '?', 1), referrer = split_part(referrer, '?', 1)
+             WHERE id = ANY($1)`,
+            [ids('analytics_events')]);
+        // The choices themselves stay as the record of consent, unlinked
+        await run('consent_records',
+            'UPDATE consent_records SET visitor_id = NULL, ip_address = NULL, user_agent = NULL WHERE id = ANY($1)',
+            [ids('consent_records')]);
+        await run('internal_notes',
+            'DELETE FROM internal_notes WHERE id = ANY($1)',
+            [ids('internal_notes')]);
+        // Stage, value and dates stay in the pipeline figures
+        await run('deals',
+            'UPDATE deals SET title = $2, notes = NULL, lost_reason = NULL WHERE id = ANY($1)',
+            [ids('deals'), ERASED]);
+        await run('contacts',
+            'DELETE FROM contacts WHERE id = ANY($1)',
+            [ids('contacts')]);
+
+        summary = {
+            erased,
+            kept: { quotes: data.quotes.length, invoices: data.invoices.length }
+        };
+
+        await client.query(
+            `UPDATE data_subject_requests
+             SET status = 'completed', erasure_summary = $2, erased_at = CURRENT_TIMESTAMP,
+                 completed_at = CURRENT_TIMESTAMP, completed_by = $3, verification_token_hash = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [request.id, JSON.stringify(summary), staffId]
+        );
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // The rows are gone; a file left behind can't be reached, so log and carry on
+    for (const file of removedFiles) {
+        try {
+            await removeAttachment(file.storage_driver, file.storage_key);
+        } catch (error) {
+            console.error(`Data erasure: couldn't remove attachment file ${file.storage_key}:`, error);
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    createRequest,
+    sendVerification,
+    listRequests,
+    getRequest,
+    findByVerificationToken,
+    verificationExpired,
+    verifyRequest,
+    closeRequest,
+    findPersonalData,
+    countPersonalData,
+    exportPersonalData,
+    erasePersonalData
+};
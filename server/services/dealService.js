@@ -0,0 +1,176 @@
+/**
+ * Deal Service
+ * The sales pipeline. A deal moves qualified -> proposal -> negotiation and
+ * ends won or lost; closed deals can be reopened. Forecasts weight each
+ * open deal's value by how likely deals at its stage are to close.
+ */
+
+const db = require('../config/database');
+
+const DEAL_STAGES = ['qualified', 'proposal', 'negotiation', 'won', 'lost'];
+const OPEN_STAGES = ['qualified', 'proposal', 'negotiation'];
+const SOURCE_TYPES = ['message', 'consultation', 'chat'];
+
+// Chance an open deal at each stage closes as won
+const STAGE_PROBABILITY = {
+    qualified: 0.2,
+    proposal: 0.5,
+    negotiation: 0.75,
+    won: 1,
+    lost: 0
+};
+
+const isClosedStage = (stage) => stage === 'won' || stage === 'lost';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * A deal's value weighted by its stage's win probability
+ */
+function weightedValue(deal) {
+    return roundMoney(parseFloat(deal.value || 0) * (STAGE_PROBABILITY[deal.stage] || 0));
+}
+
+/**
+ * Count, total and weighted value of open deals per stage, every open
+ * stage listed even when empty
+ */
+function summarizePipeline(deals) {
+    const stages = OPEN_STAGES.map(stage => {
+        const inStage = deals.filter(d => d.stage === stage);
+        return {
+            stage,
+            probability: STAGE_PROBABILITY[stage],
+            count: inStage.length,
+            value: roundMoney(inStage.reduce((sum, d) => sum + parseFloat(d.value || 0), 0)),
+            weightedValue: roundMoney(inStage.reduce((sum, d) => sum + weightedValue(d), 0))
+        };
+    });
+    return {
+        stages,
+        openCount: stages.reduce((sum, s) => sum + s.count, 0),
+        openValue: roundMoney(stages.reduce((sum, s) => sum + s.value, 0)),
+        weightedValue: roundMoney(stages.reduce((sum, s) => sum + s.weightedValue, 0))
+    };
+}
+
+/**
+ * Open deals by the month they're expected to close, from the given month
+ * for `months` months. Deals whose close date has passed are counted as
+ * overdue, and ones with no date as undated, rather than in a month.
+ * @param {object[]} deals - open deals, expected_close_date as YYYY-MM-DD
+ * @param {string} fromMonth - YYYY-MM
+ */
+function buildForecast(deals, fromMonth, months = 6) {
+    const [year, month] = fromMonth.split('-').map(Number);
+    const buckets = Array.from({ length: months }, (_, i) => {
+        const date = new Date(Date.UTC(year, month - 1 + i, 1));
+        return { month: date.toISOString().slice(0, 7), count: 0, value: 0, weightedValue: 0 };
+    });
+    const overdue = { count: 0, value: 0, weightedValue: 0 };
+    const undated = { count: 0, value: 0, weightedValue: 0 };
+
+    const add = (bucket, deal) => {
+        bucket.count += 1;
+        bucket.value = roundMoney(bucket.value + parseFloat(deal.value || 0));
+        bucket.weightedValue = roundMoney(bucket.weightedValue + weightedValue(deal));
+    };
+
+    for (const deal of deals) {
+        if (!OPEN_STAGES.includes(deal.stage)) {
+            continue;
+        }
+        const closeMonth = deal.expected_close_date ? String(deal.expected_close_date).slice(0, 7) : null;
+        if (!closeMonth) {
+            add(undated, deal);
+        } else if (closeMonth < fromMonth) {
+            add(overdue, deal);
+        } else {
+            const bucket = buckets.find(b => b.month === closeMonth);
+            if (bucket) {
+                add(bucket, deal);
+            }
+        }
+    }
+    return { months: buckets, overdue, undated };
+}
+
+/**
+ * Win rate, won value, average won deal size and average days from
+ * opening to closing (won deals only) for deals closed in a period
+ */
+function summarizeClosedDeals(deals) {
+    const won = deals.filter(d => d.stage === 'won');
+    const lost = deals.filter(d => d.stage === 'lost');
+    const wonValue = roundMoney(won.reduce((sum, d) => sum + parseFloat(d.value || 0), 0));
+    const days = won.map(d => (new Date(d.closed_at) - new Date(d.created_at)) / (24 * 60 * 60 * 1000));
+    const closed = won.length + lost.length;
+
+    return {
+        won: won.length,
+        lost: lost.length,
+        winRate: closed ? Math.round((won.length / closed) * 1000) / 10 : null,
+        wonValue,
+        lostValue: roundMoney(lost.reduce((sum, d) => sum + parseFloat(d.value || 0), 0)),
+        averageDealSize: won.length ? roundMoney(wonValue / won.length) : null,
+        averageDaysToClose: days.length ? Math.round((days.reduce((sum, d) => sum + d, 0) / days.length) * 10) / 10 : null
+    };
+}
+
+/**
+ * The lead a deal is opened from, with the person's name, email and
+ * company, or null if it doesn't exist
+ */
+async function loadDealSource(sourceType, sourceId, client = db) {
+    const queries = {
+        message: 'SELECT id, name, email, company, service, status FROM messages WHERE id = $1',
+        consultation: 'SELECT id, name, email, company, service, status FROM consultations WHERE id = $1',
+        chat: `SELECT id, visitor_name AS name, visitor_email AS email, NULL AS company, NULL AS service, status
+               FROM chat_sessions WHERE id = $1`
+    };
+    const result = await client.query(queries[sourceType], [sourceId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * A deal with its contact, owner and lead details
+ */
+async function loadDeal(id, client = db) {
+    const result = await client.query(
+        `SELECT d.*, d.expected_close_date::text AS expected_close_date,
+                c.name AS contact_name, c.email AS contact_email, c.company AS contact_company,
+                o.name AS owner_name
+         FROM deals d
+         LEFT JOIN contacts c ON c.id = d.contact_id
+         LEFT JOIN staff o ON o.id = d.owner_id
+         WHERE d.id = $1`,
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Record a stage change in the deal's history
+ */
+async function recordStageChange(dealId, fromStage, toStage, staffId, client = db) {
+    await client.query(
+        `INSERT INTO deal_stage_history (deal_id, from_stage, to_stage, changed_by)
+         VALUES ($1, $2, $3, $4)`,
+        [dealId, fromStage, toStage, staffId]
+    );
+}
+
+module.exports = {
+    DEAL_STAGES,
+    OPEN_STAGES,
+    SOURCE_TYPES,
+    STAGE_PROBABILITY,
+    isClosedStage,
+    weightedValue,
+    summarizePipeline,
+    buildForecast,
+    summarizeClosedDeals,
+    loadDealSource,
+    loadDeal,
+    recordStageChange
+};
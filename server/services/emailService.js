@@ -9,6 +9,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const { buildConsultationInvite } = require('./calendarService');
 
 // Create transporter based on provider
 const createTransporter = () => {
@@ -35,8 +36,11 @@ const createTransporter = () => {
 
 /**
  * Send email
+ * replyTo, messageId, inReplyTo and references are for threaded
+ * conversations (see inboundEmailService.buildThreadHeaders); headers are
+ * any others (e.g. List-Unsubscribe on newsletters)
  */
-const sendEmail = async ({ to, subject, html, text, attachments }) => {
+const sendEmail = async ({ to, subject, html, text, attachments, replyTo, messageId, inReplyTo, references, headers }) => {
     try {
         const transporter = createTransporter();
 
@@ -46,7 +50,12 @@ const sendEmail = async ({ to, subject, html, text, attachments }) => {
             subject,
             html,
             text,
-            attachments
+            attachments,
+            replyTo,
+            messageId,
+            inReplyTo,
+            references,
+            headers
         };
 
         const result = await transporter.sendMail(mailOptions);
@@ -108,9 +117,10 @@ const sendContactNotification = async (message) => {
 };
 
 /**
- * Send contact form confirmation to visitor
+ * Send contact form confirmation to visitor. thread carries the reply
+ * address and Message-ID, so answering this email also reaches the message.
  */
-const sendContactConfirmation = async (message) => {
+const sendContactConfirmation = async (message, thread = {}) => {
     const html = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <h2 style="color: #0066CC;">Thank You for Contacting Us!</h2>
@@ -141,14 +151,16 @@ const sendContactConfirmation = async (message) => {
     return sendEmail({
         to: message.email,
         subject: 'Thank You for Contacting Tekvwa IT Solutions',
-        html
+        html,
+        ...thread
     });
 };
 
 /**
- * Send reply to contact message
+ * Send reply to contact message. thread carries the Reply-To and
+ * threading headers, so the client's answer comes back to the message.
  */
-const sendReplyEmail = async (to, content, name) => {
+const sendReplyEmail = async (to, content, name, thread = {}) => {
     const html = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <p>Hi ${name},</p>
@@ -165,14 +177,52 @@ const sendReplyEmail = async (to, content, name) => {
     return sendEmail({
         to,
         subject: 'Re: Your Inquiry - Tekvwa IT Solutions',
+        html,
+        ...thread
+    });
+};
+
+// Emailed-in text isn't run through the request sanitizer
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Tell the staff member handling a message that the client has replied by
+ * email
+ */
+const sendClientReplyNotification = async (to, message, reply, { reopened = false } = {}) => {
+    const messageUrl = `${process.env.SITE_URL || 'http://localhost:3000'}/admin/messages.html`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">${escapeHtml(message.name)} replied</h2>
+            <p><strong>${escapeHtml(message.name)}</strong> (${escapeHtml(reply.from_email)}) answered by email about their ${escapeHtml(message.service || 'general')} inquiry:</p>
+            <div style="background: #F5F6FA; padding: 16px 20px; border-radius: 8px; white-space: pre-line; margin: 20px 0;">${escapeHtml(reply.content)}</div>
+            ${reopened ? '<p>The message was archived and has been reopened.</p>' : ''}
+            <p><a href="${messageUrl}" style="display: inline-block; background: #0066CC; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Open Messages</a></p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441<br>
+                This is an automated email, please do not reply.
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to,
+        subject: `Reply from ${message.name} - Your Inquiry`,
         html
     });
 };
 
 /**
- * Send booking-received acknowledgment to visitor (not yet staff-reviewed)
+ * Send booking-received acknowledgment to visitor (not yet staff-reviewed).
+ * manageUrl is the self-service reschedule/cancel link - the raw token only
+ * ever exists in this email.
  */
-const sendBookingConfirmation = async (consultation) => {
+const sendBookingConfirmation = async (consultation, manageUrl = null) => {
     const dateStr = new Date(consultation.booking_date).toLocaleDateString('en-US', {
         weekday: 'long',
         year: 'numeric',
@@ -192,7 +242,13 @@ const sendBookingConfirmation = async (consultation) => {
                 ${consultation.notes ? `<p><strong>Notes:</strong> ${consultation.notes}</p>` : ''}
             </div>
             <p>You'll get a separate email as soon as we confirm the time.</p>
-            <p>If you need to reschedule, please contact us at info@tekvwa.org</p>
+            ${manageUrl ? `
+            <p>Need a different time, or can't make it after all? You can reschedule or cancel yourself:</p>
+            <p style="text-align: center; margin: 30px 0;">
+                <a href="${manageUrl}" style="background-color: #0066CC; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">Manage Your Booking</a>
+            </p>
+            <p style="font-size: 12px; color: #666;">Keep this email - the link is personal to your booking and works until the consultation starts.</p>
+            ` : '<p>If you need to reschedule, please contact us at info@tekvwa.org</p>'}
             <p>Best regards,<br>The Tekvwa Team</p>
             <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
             <p style="font-size: 12px; color: #666;">
@@ -202,10 +258,13 @@ const sendBookingConfirmation = async (consultation) => {
         </div>
     `;
 
+    const invite = await buildConsultationInvite(consultation, 'REQUEST');
+
     return sendEmail({
         to: consultation.email,
         subject: `Booking Request Received - ${dateStr}`,
-        html
+        html,
+        attachments: invite ? [invite] : undefined
     });
 };
 
@@ -230,6 +289,7 @@ const sendBookingStatusConfirmed = async (consultation) => {
                 <p><strong>Time:</strong> ${consultation.booking_time}</p>
                 ${consultation.service ? `<p><strong>Service:</strong> ${consultation.service}</p>` : ''}
             </div>
+            <p>A calendar invite is attached - add it to your calendar and it will stay up to date if anything changes.</p>
             <p>We'll send you a reminder 24 hours before your consultation.</p>
             <p>If you need to reschedule, please contact us at info@tekvwa.org</p>
             <p>Best regards,<br>The Tekvwa Team</p>
@@ -241,10 +301,13 @@ const sendBookingStatusConfirmed = async (consultation) => {
         </div>
     `;
 
+    const invite = await buildConsultationInvite(consultation, 'REQUEST');
+
     return sendEmail({
         to: consultation.email,
         subject: `Consultation Confirmed - ${dateStr}`,
-        html
+        html,
+        attachments: invite ? [invite] : undefined
     });
 };
 
@@ -274,9 +337,161 @@ const sendBookingStatusCancelled = async (consultation) => {
         </div>
     `;
 
+    const invite = await buildConsultationInvite(consultation, 'CANCEL');
+
     return sendEmail({
         to: consultation.email,
         subject: `Consultation Cancelled - ${dateStr}`,
+        html,
+        attachments: invite ? [invite] : undefined
+    });
+};
+
+/**
+ * Send the 24-hour reminder for a confirmed consultation (sent by the
+ * consultation-reminders background job, see server/jobs/index.js)
+ */
+const sendBookingReminder = async (consultation) => {
+    const dateStr = new Date(consultation.booking_date).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Reminder: Your Consultation Is Tomorrow</h2>
+            <p>Hi ${consultation.name},</p>
+            <p>Just a reminder that your consultation with Tekvwa IT Solutions is coming up:</p>
+            <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                <p><strong>Date:</strong> ${dateStr}</p>
+                <p><strong>Time:</strong> ${consultation.booking_time}</p>
+                ${consultation.service ? `<p><strong>Service:</strong> ${consultation.service}</p>` : ''}
+            </div>
+            <p>If you can no longer make it, please let us know at info@tekvwa.org so we can offer the slot to someone else.</p>
+            <p>Best regards,<br>The Tekvwa Team</p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd<br>
+                Nigeria: +234 906 577 9323
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: consultation.email,
+        subject: `Reminder: Consultation Tomorrow - ${dateStr}`,
+        html
+    });
+};
+
+/**
+ * Tell the visitor their booking has moved - whether they moved it via the
+ * manage link (manageUrl given) or staff did. The attached invite carries
+ * the bumped SEQUENCE, so it replaces the event already in their calendar.
+ */
+const sendBookingRescheduled = async (consultation, manageUrl = null) => {
+    const dateStr = new Date(consultation.booking_date).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Your Consultation Has Been Moved</h2>
+            <p>Hi ${consultation.name},</p>
+            <p>Your booking has been updated. Your consultation is now:</p>
+            <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                <p><strong>Date:</strong> ${dateStr}</p>
+                <p><strong>Time:</strong> ${consultation.booking_time}</p>
+                ${consultation.service ? `<p><strong>Service:</strong> ${consultation.service}</p>` : ''}
+            </div>
+            <p>The attached calendar invite updates the event already in your calendar.</p>
+            ${manageUrl ? `
+            <p>You can still reschedule or cancel using the same link as before:</p>
+            <p style="text-align: center; margin: 30px 0;">
+                <a href="${manageUrl}" style="background-color: #0066CC; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">Manage Your Booking</a>
+            </p>
+            ` : '<p>To change it again, use the "Manage Your Booking" link in your original booking email, or contact us at info@tekvwa.org.</p>'}
+            <p>Best regards,<br>The Tekvwa Team</p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd<br>
+                Nigeria: +234 906 577 9323
+            </p>
+        </div>
+    `;
+
+    const invite = await buildConsultationInvite(consultation, 'REQUEST');
+
+    return sendEmail({
+        to: consultation.email,
+        subject: `Consultation Rescheduled - ${dateStr}`,
+        html,
+        attachments: invite ? [invite] : undefined
+    });
+};
+
+/**
+ * Tell the consultant(s) involved (and admin) that a client rescheduled or
+ * cancelled their own booking via the manage link.
+ * change: { action: 'rescheduled' | 'cancelled', previousDate, previousTime, reason }
+ */
+const sendBookingClientChangeNotification = async (consultation, change, staffToNotify = []) => {
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    const dateStr = formatDate(consultation.booking_date);
+    const rescheduled = change.action === 'rescheduled';
+
+    const html = `
+        <h2>Consultation ${rescheduled ? 'Rescheduled' : 'Cancelled'} by Client</h2>
+        <p>${consultation.name} (${consultation.email}) ${rescheduled ? 'moved' : 'cancelled'} their consultation using the link in their booking email.</p>
+        <table style="border-collapse: collapse; width: 100%; max-width: 600px;">
+            ${rescheduled ? `
+            <tr>
+                <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold;">Was</td>
+                <td style="padding: 10px; border: 1px solid #ddd;">${formatDate(change.previousDate)} at ${change.previousTime}</td>
+            </tr>
+            <tr>
+                <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold;">Now</td>
+                <td style="padding: 10px; border: 1px solid #ddd;">${dateStr} at ${consultation.booking_time}</td>
+            </tr>
+            ` : `
+            <tr>
+                <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold;">Was Booked For</td>
+                <td style="padding: 10px; border: 1px solid #ddd;">${dateStr} at ${consultation.booking_time}</td>
+            </tr>
+            <tr>
+                <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold;">Reason</td>
+                <td style="padding: 10px; border: 1px solid #ddd;">${change.reason || 'No reason given'}</td>
+            </tr>
+            `}
+            ${consultation.service ? `
+            <tr>
+                <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold;">Service</td>
+                <td style="padding: 10px; border: 1px solid #ddd;">${consultation.service}</td>
+            </tr>
+            ` : ''}
+        </table>
+        <p style="margin-top: 20px;">
+            <a href="${process.env.SITE_URL || 'http://localhost:3000'}/admin/consultations.html"
+               style="background-color: #0066CC; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+                View in Dashboard
+            </a>
+        </p>
+    `;
+
+    const recipients = [...staffToNotify.map(staff => staff?.email), process.env.ADMIN_EMAIL].filter(Boolean);
+    return sendEmail({
+        to: [...new Set(recipients)].join(', '),
+        subject: `Consultation ${rescheduled ? 'Rescheduled' : 'Cancelled'} by Client - ${consultation.name}`,
         html
     });
 };
@@ -345,20 +560,65 @@ const sendBookingNotification = async (consultation) => {
     });
 };
 
+/**
+ * Ask a client how their completed consultation went. The link opens the
+ * survey page (feedback.html) - see surveyService.sendConsultationSurvey
+ */
+const sendSatisfactionSurveyEmail = async (consultation, surveyUrl) => {
+    const ratingLinks = [1, 2, 3, 4, 5].map(score => `
+                    <a href="${surveyUrl}&amp;rating=${score}" style="display: inline-block; width: 40px; line-height: 40px; margin: 0 4px; border-radius: 50%; background: #EAF2FF; color: #0066CC; font-weight: bold; text-decoration: none;">${score}</a>`).join('');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">How Did We Do?</h2>
+
+            <p>Hi ${escapeHtml(consultation.name)},</p>
+
+            <p>Thank you for your ${escapeHtml(consultation.service || 'consultation')} consultation with Tekvwa IT Solutions. We'd love to know how it went - it takes less than a minute.</p>
+
+            <div style="text-align: center; margin: 25px 0;">
+                <p style="margin-bottom: 12px;"><strong>How satisfied were you?</strong> (1 = not at all, 5 = very)</p>
+                ${ratingLinks}
+            </div>
+
+            <p style="text-align: center;">
+                <a href="${surveyUrl}" style="display: inline-block; padding: 12px 24px; background: #0066CC; color: white; text-decoration: none; border-radius: 6px;">Share Your Feedback</a>
+            </p>
+
+            <p style="color: #666; font-size: 14px;">This link is just for you and works for 30 days.</p>
+
+            <p>Best regards,<br>Tekvwa IT Solutions Team</p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: consultation.email,
+        subject: 'How was your consultation? - Tekvwa IT Solutions',
+        html
+    });
+};
+
 /**
  * Send missed chat response to visitor's email
  */
-const sendMissedChatResponse = async (visitorEmail, visitorName, messages, _sessionId) => {
+const sendMissedChatResponse = async (visitorEmail, visitorName, messages, sessionId) => {
+    const siteUrl = process.env.SITE_URL || 'http://localhost:3000';
+
     // Format the conversation
     const conversationHtml = messages.map(msg => {
         const sender = msg.sender_type === 'agent' ? 'Our Team' : visitorName;
         const time = new Date(msg.created_at).toLocaleString();
         const bgColor = msg.sender_type === 'agent' ? '#e3f2fd' : '#f5f5f5';
+        // Files shared in the chat, as links
+        const attachmentsHtml = (msg.attachments || []).map(attachment => `
+                <div style="margin-top: 4px;">
+                    <a href="${siteUrl}/api/chat/sessions/${sessionId}/attachments/${attachment.id}" style="color: #0066CC;">${escapeHtml(attachment.file_name)}</a>
+                </div>`).join('');
 
         return `
             <div style="background: ${bgColor}; padding: 12px; border-radius: 8px; margin-bottom: 10px;">
                 <div style="font-weight: bold; color: #333; margin-bottom: 4px;">${sender}</div>
-                <div style="color: #555;">${msg.content}</div>
+                <div style="color: #555;">${msg.content}</div>${attachmentsHtml}
                 <div style="font-size: 11px; color: #888; margin-top: 4px;">${time}</div>
             </div>
         `;
@@ -395,6 +655,50 @@ const sendMissedChatResponse = async (visitorEmail, visitorName, messages, _sess
     });
 };
 
+/**
+ * Send a visitor the transcript of their closed chat (built with
+ * chatTranscript.buildTranscript), with the PDF and plain-text versions
+ * attached
+ */
+const sendChatTranscriptEmail = async (session, transcript, { pdfBuffer, text, pdfFileName, textFileName }) => {
+    const conversationHtml = transcript.entries.map(entry => `
+            <div style="background: ${entry.fromVisitor ? '#f5f5f5' : '#e3f2fd'}; padding: 12px; border-radius: 8px; margin-bottom: 10px;">
+                <div style="font-weight: bold; color: #333; margin-bottom: 4px;">${escapeHtml(entry.sender)}</div>
+                ${entry.content ? `<div style="color: #555; white-space: pre-wrap;">${escapeHtml(entry.content)}</div>` : ''}
+                ${entry.attachments.map(attachment => `<div style="margin-top: 4px;"><a href="${escapeHtml(attachment.url)}" style="color: #0066CC;">${escapeHtml(attachment.name)}</a></div>`).join('')}
+                <div style="font-size: 11px; color: #888; margin-top: 4px;">${escapeHtml(entry.time)}</div>
+            </div>`).join('');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Your Chat Transcript</h2>
+
+            <p>Hi ${escapeHtml(session.visitor_name || 'there')},</p>
+
+            <p>Thanks for chatting with Tekvwa IT Solutions. As you asked, here is a copy of your conversation. It is also attached as a PDF and a text file.</p>
+
+            <div style="border: 1px solid #ddd; border-radius: 8px; padding: 15px; margin: 20px 0;">
+                ${conversationHtml || '<p style="color: #666;">No messages.</p>'}
+            </div>
+
+            <p>If you need anything else, reply to this email or start a new chat on our website.</p>
+
+            <p>Best regards,<br>Tekvwa IT Solutions Team</p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: session.visitor_email,
+        subject: 'Your Chat Transcript - Tekvwa IT Solutions',
+        html,
+        text,
+        attachments: [
+            { filename: pdfFileName, content: pdfBuffer, contentType: 'application/pdf' },
+            { filename: textFileName, content: text, contentType: 'text/plain; charset=utf-8' }
+        ]
+    });
+};
+
 /**
  * Send password reset email
  */
@@ -478,23 +782,48 @@ const sendAccountSetupEmail = async (email, name, setupToken) => {
 };
 
 /**
- * Send an employment contract PDF to a new hire
+ * Send an employment contract PDF to a new hire - or, for an amendment or
+ * renewal, to the employee - with the link to sign it
  */
 const sendContractEmail = async (staff, jobTitle, pdfBuffer, acceptUrl, contract) => {
     const expiryLine = contract?.offer_expiration_date
-        ? `<p style="color: #666; font-size: 14px;">This offer is open until <strong>${new Date(contract.offer_expiration_date).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' })}</strong>.</p>`
+        ? `<p style="color: #666; font-size: 14px;">${contract.contract_type && contract.contract_type !== 'offer' ? 'The signing link' : 'This offer'} is open until <strong>${new Date(contract.offer_expiration_date).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' })}</strong>.</p>`
         : '';
 
+    const letter = {
+        offer: {
+            heading: 'Your Offer from Tekvwa IT Solutions Ltd',
+            intro: `We're pleased to offer you the position of <strong>${jobTitle}</strong>. The full offer letter, including compensation, benefits, and terms, is attached to this email as a PDF.`,
+            button: 'Review &amp; Accept Offer',
+            subject: `Your Offer of Employment - ${jobTitle}`,
+            filename: 'employment-offer-letter.pdf'
+        },
+        amendment: {
+            heading: 'Changes to Your Employment Contract',
+            intro: 'We\'ve prepared an amendment to your employment contract. The letter attached to this email lists exactly what changes and when; everything else stays the same.',
+            button: 'Review &amp; Sign Amendment',
+            subject: 'Amendment to Your Employment Contract',
+            filename: `contract-amendment-v${contract?.version}.pdf`
+        },
+        renewal: {
+            heading: 'Your Contract Renewal',
+            intro: `We're pleased to renew your fixed-term contract as <strong>${jobTitle}</strong>. The renewed contract is attached to this email as a PDF.`,
+            button: 'Review &amp; Sign Renewal',
+            subject: `Renewal of Your Contract - ${jobTitle}`,
+            filename: `contract-renewal-v${contract?.version}.pdf`
+        }
+    }[contract?.contract_type || 'offer'];
+
     const html = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #0066CC;">Your Offer from Tekvwa IT Solutions Ltd</h2>
+            <h2 style="color: #0066CC;">${letter.heading}</h2>
             <p>Hi ${staff.name},</p>
-            <p>We're pleased to offer you the position of <strong>${jobTitle}</strong>. The full offer letter, including compensation, benefits, and terms, is attached to this email as a PDF.</p>
-            <p>Please review it carefully, then accept using the secure button below - no printing or scanning needed.</p>
+            <p>${letter.intro}</p>
+            <p>Please review it carefully, then sign using the secure button below - no printing or scanning needed.</p>
             <div style="text-align: center; margin: 30px 0;">
                 <a href="${acceptUrl}"
                    style="background-color: #0066CC; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-size: 16px;">
-                    Review &amp; Accept Offer
+                    ${letter.button}
                 </a>
             </div>
             ${expiryLine}
@@ -513,11 +842,82 @@ const sendContractEmail = async (staff, jobTitle, pdfBuffer, acceptUrl, contract
 
     return sendEmail({
         to: staff.email,
-        subject: `Your Offer of Employment - ${jobTitle}`,
+        subject: letter.subject,
+        html,
+        attachments: [
+            {
+                filename: letter.filename,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }
+        ]
+    });
+};
+
+/**
+ * Send the employee their fully executed contract once the company has
+ * countersigned it
+ */
+const sendContractExecutedEmail = async (staff, contract, pdfBuffer) => {
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Your Signed Contract</h2>
+            <p>Hi ${staff.name},</p>
+            <p>Tekvwa IT Solutions Ltd has countersigned your ${contract.contract_type === 'offer' ? 'employment contract' : `contract ${contract.contract_type}`} (${contract.job_title}). The fully signed copy is attached for your records.</p>
+            <p style="color: #666; font-size: 14px;">You can download it again any time from My Profile in the staff dashboard.</p>
+            <p style="font-size: 12px; color: #666;">Document fingerprint (SHA-256): ${contract.countersigned_pdf_sha256}</p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: staff.email,
+        subject: `Your Signed Contract - ${contract.job_title}`,
+        html,
+        attachments: [
+            {
+                filename: contract.contract_type === 'offer' ? 'employment-contract-signed.pdf' : `contract-${contract.contract_type}-v${contract.version}-signed.pdf`,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }
+        ]
+    });
+};
+
+/**
+ * Send an employee their payslip PDF from an approved payroll run
+ */
+const sendPaystubEmail = async (staff, paystub, pdfBuffer) => {
+    const period = new Date(paystub.pay_period_year, paystub.pay_period_month - 1, 1)
+        .toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+    const isAdjustment = paystub.entry_type === 'adjustment';
+    const monthPart = String(paystub.pay_period_month).padStart(2, '0');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">${isAdjustment ? 'Payslip Adjustment' : 'Your Payslip'} - ${period}</h2>
+            <p>Hi ${staff.name},</p>
+            ${isAdjustment
+        ? `<p>We've made a correction to your ${period} pay. The attached adjustment payslip shows only the difference from the payslip you already received.</p>`
+        : `<p>Your payslip for <strong>${period}</strong> is attached as a PDF.</p>`}
+            <p>You can also download all of your payslips any time from <strong>My Profile</strong> in the staff dashboard.</p>
+            <p style="color: #666; font-size: 14px;">Questions about your pay? Reply to this email or speak to the Accounts team.</p>
+            <p style="font-size: 12px; color: #666; margin-top: 20px;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: staff.email,
+        subject: `${isAdjustment ? 'Payslip Adjustment' : 'Your Payslip'} - ${period}`,
         html,
         attachments: [
             {
-                filename: 'employment-offer-letter.pdf',
+                filename: `payslip-${paystub.pay_period_year}-${monthPart}${isAdjustment ? '-adjustment' : ''}.pdf`,
                 content: pdfBuffer,
                 contentType: 'application/pdf'
             }
@@ -594,19 +994,377 @@ const sendCompanyNoticeEmail = async ({ staffEmail, staffName, title, content, p
     });
 };
 
+const formatLeaveDates = (request) => {
+    const format = (iso) => new Date(`${iso}T00:00:00Z`)
+        .toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+    return request.start_date === request.end_date
+        ? format(request.start_date)
+        : `${format(request.start_date)} - ${format(request.end_date)}`;
+};
+
+/**
+ * Tell the people who can approve it (department manager, HR, Admin) that
+ * a leave request is waiting
+ */
+const sendLeaveRequestNotification = async (approvers, request) => {
+    const leaveUrl = `${process.env.SITE_URL || 'http://localhost:5500'}/admin/leave.html`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Leave Request: ${request.staff_name}</h2>
+            <p><strong>${request.staff_name}</strong> has requested <strong>${request.leave_type_name}</strong>:</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr>
+                    <td style="padding: 8px; background: #F5F6FA; font-weight: bold; width: 160px;">Dates</td>
+                    <td style="padding: 8px; background: #F5F6FA;">${formatLeaveDates(request)}</td>
+                </tr>
+                <tr>
+                    <td style="padding: 8px; font-weight: bold;">Working Days</td>
+                    <td style="padding: 8px;">${Number(request.days)}</td>
+                </tr>
+            </table>
+            <p><a href="${leaveUrl}" style="display: inline-block; background: #0066CC; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Review on the Leave page</a></p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441<br>
+                This is an automated email, please do not reply.
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: approvers.map(a => a.email).join(', '),
+        subject: `Leave request from ${request.staff_name} - ${formatLeaveDates(request)}`,
+        html
+    });
+};
+
+/**
+ * Tell an employee their leave request was approved or rejected
+ */
+const sendLeaveDecisionEmail = async (staff, request) => {
+    const approved = request.status === 'approved';
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: ${approved ? '#0066CC' : '#B91C1C'};">Leave ${approved ? 'Approved' : 'Not Approved'}</h2>
+            <p>Hi ${staff.name},</p>
+            <p>Your ${request.leave_type_name} request for <strong>${formatLeaveDates(request)}</strong> (${Number(request.days)} working day${Number(request.days) === 1 ? '' : 's'}) has been ${approved ? 'approved' : 'declined'}${request.reviewed_by_name ? ` by ${request.reviewed_by_name}` : ''}.</p>
+            ${request.review_note ? `<div style="background: #F5F6FA; padding: 16px 20px; border-radius: 8px; white-space: pre-line; margin: 20px 0;">${request.review_note}</div>` : ''}
+            <p>Your balances and requests are on the <strong>Leave</strong> page of the staff dashboard.</p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441<br>
+                This is an automated email, please do not reply.
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: staff.email,
+        subject: `Leave ${approved ? 'approved' : 'not approved'} - ${formatLeaveDates(request)}`,
+        html
+    });
+};
+
+const formatBillingAmount = (amount) => '&#8358;' + Number(amount).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatBillingDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00`)
+    .toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+/**
+ * Send a client their quote as a PDF, with an optional covering note
+ */
+const sendQuoteEmail = async (quote, pdfBuffer, coverNote = '') => {
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Quotation ${quote.quote_number}</h2>
+            <p>Hi ${escapeHtml(quote.client_name)},</p>
+            ${coverNote ? `<div style="white-space: pre-line; margin: 20px 0;">${escapeHtml(coverNote)}</div>` : ''}
+            <p>Please find attached our quotation for <strong>${escapeHtml(quote.title)}</strong>, totalling <strong>${formatBillingAmount(quote.total)}</strong> including VAT. It is valid until ${formatBillingDate(quote.valid_until)}.</p>
+            <p>To go ahead, or if you have any questions, just reply to this email.</p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: quote.client_email,
+        subject: `Quotation ${quote.quote_number} - ${quote.title}`,
+        html,
+        attachments: [
+            {
+                filename: `${quote.quote_number}.pdf`,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }
+        ]
+    });
+};
+
+/**
+ * Send a client their invoice as a PDF, with an optional covering note.
+ * Resending a part-paid invoice asks for the balance.
+ */
+const sendInvoiceEmail = async (invoice, pdfBuffer, coverNote = '') => {
+    const balance = Number(invoice.amount_due) - Number(invoice.amount_paid);
+    const partPaid = Number(invoice.amount_paid) > 0;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Invoice ${invoice.invoice_number}</h2>
+            <p>Hi ${escapeHtml(invoice.client_name)},</p>
+            ${coverNote ? `<div style="white-space: pre-line; margin: 20px 0;">${escapeHtml(coverNote)}</div>` : ''}
+            <p>Please find attached our invoice for <strong>${escapeHtml(invoice.title)}</strong>.</p>
+            <p>${partPaid ? 'Balance due' : 'Amount due'}: <strong>${formatBillingAmount(balance)}</strong>, by ${formatBillingDate(invoice.due_date)}. Payment details are on the invoice.</p>
+            ${Number(invoice.wht_rate) ? `<p style="color: #666; font-size: 14px;">This is after ${Number(invoice.wht_rate)}% withholding tax (${formatBillingAmount(invoice.wht_amount)}), which you remit to FIRS - please send us the WHT credit note.</p>` : ''}
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: invoice.client_email,
+        subject: `Invoice ${invoice.invoice_number} - ${invoice.title}`,
+        html,
+        attachments: [
+            {
+                filename: `${invoice.invoice_number}.pdf`,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }
+        ]
+    });
+};
+
+/**
+ * Warn staff that a message, chat or ticket is about to miss (or has
+ * missed) its SLA target
+ * @param {{ email }[]} recipients
+ * @param {{ entityType, label, target, status, dueAt, policyName, reassignedTo }} escalation
+ */
+const sendSlaEscalationEmail = async (recipients, escalation) => {
+    const pages = { message: 'messages.html', chat: 'chats.html', ticket: 'tickets.html' };
+    const pageUrl = `${process.env.SITE_URL || 'http://localhost:5500'}/admin/${pages[escalation.entityType]}`;
+    const targetName = escalation.target === 'first_response' ? 'first response' : 'resolution';
+    const breached = escalation.status === 'breached';
+    const due = escalation.dueAt
+        ? new Date(escalation.dueAt).toLocaleString('en-GB', { timeZone: 'Africa/Lagos', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+        : 'unknown';
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: ${breached ? '#B91C1C' : '#D97706'};">SLA ${breached ? 'Breached' : 'at Risk'}</h2>
+            <p>The ${targetName} target for this ${escalation.entityType} ${breached ? 'has been missed' : 'is about to be missed'}:</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr>
+                    <td style="padding: 8px; background: #F5F6FA; font-weight: bold; width: 160px;">${escalation.entityType === 'ticket' ? 'Ticket' : 'From'}</td>
+                    <td style="padding: 8px; background: #F5F6FA;">${escapeHtml(escalation.label)}</td>
+                </tr>
+                <tr>
+                    <td style="padding: 8px; font-weight: bold;">Due</td>
+                    <td style="padding: 8px;">${due} (Lagos time)</td>
+                </tr>
+                <tr>
+                    <td style="padding: 8px; background: #F5F6FA; font-weight: bold;">Policy</td>
+                    <td style="padding: 8px; background: #F5F6FA;">${escapeHtml(escalation.policyName)}</td>
+                </tr>
+            </table>
+            ${escalation.reassignedTo ? `<p>It has been reassigned to <strong>${escapeHtml(escalation.reassignedTo)}</strong>.</p>` : ''}
+            <p><a href="${pageUrl}" style="display: inline-block; background: #0066CC; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Open in the dashboard</a></p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441<br>
+                This is an automated email, please do not reply.
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: recipients.map(r => r.email).join(', '),
+        subject: `SLA ${breached ? 'breached' : 'at risk'}: ${escalation.entityType} ${targetName} - ${escalation.label}`,
+        html
+    });
+};
+
+/**
+ * Tell staff that an automation rule picked out a new message or ticket
+ * @param {{ email }[]} recipients
+ * @param {{ entityType, label, ruleName, assignedToName }} notice
+ */
+const sendAutomationNotification = async (recipients, notice) => {
+    const page = notice.entityType === 'ticket' ? 'tickets.html' : 'messages.html';
+    const pageUrl = `${process.env.SITE_URL || 'http://localhost:5500'}/admin/${page}`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">New ${notice.entityType === 'ticket' ? 'Ticket' : 'Message'}: ${escapeHtml(notice.ruleName)}</h2>
+            <p>A new ${notice.entityType} matched the automation rule <strong>${escapeHtml(notice.ruleName)}</strong>:</p>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+                <tr>
+                    <td style="padding: 8px; background: #F5F6FA; font-weight: bold; width: 160px;">${notice.entityType === 'ticket' ? 'Ticket' : 'From'}</td>
+                    <td style="padding: 8px; background: #F5F6FA;">${escapeHtml(notice.label)}</td>
+                </tr>
+                <tr>
+                    <td style="padding: 8px; font-weight: bold;">Assigned to</td>
+                    <td style="padding: 8px;">${escapeHtml(notice.assignedToName || 'Nobody yet')}</td>
+                </tr>
+            </table>
+            <p><a href="${pageUrl}" style="display: inline-block; background: #0066CC; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Open in the dashboard</a></p>
+            <hr style="margin-top: 30px; border: none; border-top: 1px solid #ddd;">
+            <p style="font-size: 12px; color: #666;">
+                Tekvwa IT Solutions Ltd &bull; Ughelli, Delta State, Nigeria &bull; RC 9748441<br>
+                This is an automated email, please do not reply.
+            </p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: recipients.map(r => r.email).join(', '),
+        subject: `${notice.ruleName}: ${notice.label}`,
+        html
+    });
+};
+
+/**
+ * Ask someone who signed up for the newsletter to confirm their address
+ * (double opt-in). Nothing else is sent until they do.
+ */
+const sendNewsletterConfirmationEmail = async ({ email, name }, confirmUrl) => {
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Confirm Your Subscription</h2>
+
+            <p>Hi${name ? ` ${escapeHtml(name)}` : ''},</p>
+
+            <p>Thanks for signing up for the Tekvwa IT Solutions newsletter. Please confirm this is your email address - you can then choose the topics you'd like to hear about.</p>
+
+            <p style="text-align: center;">
+                <a href="${confirmUrl}" style="display: inline-block; padding: 12px 24px; background: #0066CC; color: white; text-decoration: none; border-radius: 6px;">Confirm Subscription</a>
+            </p>
+
+            <p style="color: #666; font-size: 14px;">This link works for 7 days. If you didn't sign up, just ignore this email - you won't hear from us again.</p>
+
+            <p>Best regards,<br>Tekvwa IT Solutions Team</p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: email,
+        subject: 'Please confirm your subscription - Tekvwa IT Solutions',
+        html
+    });
+};
+
+/**
+ * Someone signed up with an address that's already subscribed: send its
+ * preference page link rather than saying so on the website
+ */
+const sendNewsletterPreferencesEmail = async ({ email, name }, preferencesUrl) => {
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">You're Already Subscribed</h2>
+
+            <p>Hi${name ? ` ${escapeHtml(name)}` : ''},</p>
+
+            <p>Someone (hopefully you) just signed up for our newsletter with this address, which is already subscribed. You can change the topics you get or unsubscribe on your preference page.</p>
+
+            <p style="text-align: center;">
+                <a href="${preferencesUrl}" style="display: inline-block; padding: 12px 24px; background: #0066CC; color: white; text-decoration: none; border-radius: 6px;">Manage Preferences</a>
+            </p>
+
+            <p>Best regards,<br>Tekvwa IT Solutions Team</p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: email,
+        subject: 'Your newsletter preferences - Tekvwa IT Solutions',
+        html
+    });
+};
+
+/**
+ * Ask someone who made a data protection request to confirm it's theirs,
+ * before we send them their data or erase it
+ */
+const sendDataRequestVerificationEmail = async (request, verifyUrl) => {
+    const what = request.request_type === 'erasure'
+        ? 'erase the personal data we hold about you'
+        : 'send you a copy of the personal data we hold about you';
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #0066CC;">Confirm Your Data Request</h2>
+
+            <p>Hi${request.name ? ` ${escapeHtml(request.name)}` : ''},</p>
+
+            <p>We've received a request to ${what} under the Nigeria Data Protection Act. To make sure it really came from you, please confirm it:</p>
+
+            <p style="text-align: center;">
+                <a href="${verifyUrl}" style="display: inline-block; padding: 12px 24px; background: #0066CC; color: white; text-decoration: none; border-radius: 6px;">Confirm My Request</a>
+            </p>
+
+            <p style="color: #666; font-size: 14px;">This link works for 7 days. If you didn't make this request, ignore this email and nothing will happen - or let us know at info@tekvwa.org.</p>
+
+            <p>Best regards,<br>Tekvwa IT Solutions Team</p>
+        </div>
+    `;
+
+    return sendEmail({
+        to: request.email,
+        subject: 'Please confirm your data request - Tekvwa IT Solutions',
+        html
+    });
+};
+
+/**
+ * Send one newsletter campaign email (rendered by utils/newsletterBlocks).
+ * unsubscribeUrl takes a one-click POST (RFC 8058), so mail apps can show
+ * their own Unsubscribe button.
+ */
+const sendNewsletterEmail = async ({ to, subject, html, text, unsubscribeUrl }) => {
+    return sendEmail({
+        to,
+        subject,
+        html,
+        text,
+        headers: unsubscribeUrl ? {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        } : undefined
+    });
+};
+
 module.exports = {
     sendEmail,
     sendContactNotification,
     sendContactConfirmation,
     sendReplyEmail,
+    sendClientReplyNotification,
     sendBookingConfirmation,
     sendBookingStatusConfirmed,
     sendBookingStatusCancelled,
+    sendBookingReminder,
+    sendBookingRescheduled,
+    sendBookingClientChangeNotification,
     sendBookingNotification,
     sendMissedChatResponse,
+    sendChatTranscriptEmail,
+    sendSatisfactionSurveyEmail,
     sendPasswordResetEmail,
     sendContractEmail,
+    sendContractExecutedEmail,
+    sendPaystubEmail,
     sendWelcomeEmail,
     sendAccountSetupEmail,
-    sendCompanyNoticeEmail
+    sendCompanyNoticeEmail,
+    sendLeaveRequestNotification,
+    sendLeaveDecisionEmail,
+    sendQuoteEmail,
+    sendInvoiceEmail,
+    sendSlaEscalationEmail,
+    sendAutomationNotification,
+    sendNewsletterConfirmationEmail,
+    sendNewsletterPreferencesEmail,
+    sendDataRequestVerificationEmail,
+    sendNewsletterEmail
 };
@@ -0,0 +1,224 @@
+/**
+ * Inbound Email Service
+ * Threads email conversations with clients onto their contact messages.
+ *
+ * Outgoing: staff replies (and the contact form confirmation) are sent
+ * with Reply-To set to the message's own address, replies+<token>@<inbound
+ * domain>, and a Message-ID that names the message or reply, plus
+ * In-Reply-To/References to the earlier emails in the conversation.
+ *
+ * Incoming: the mail provider posts the client's answer as raw RFC 822 to
+ * /api/inbound-email. It's matched to a message by the token in the address
+ * it was sent to or, failing that, by the Message-IDs it's replying to
+ * (only when it comes from the message's own email address). The quoted
+ * conversation is stripped and the rest stored as an inbound reply, and an
+ * archived message is reopened.
+ */
+
+const db = require('../config/database');
+const Message = require('../models/Message');
+const { parseMail, htmlToText, stripQuotedText } = require('../utils/mailParser');
+
+const MAX_REPLY_LENGTH = 10000;
+const REPLY_TOKEN_PATTERN = /\+([a-f0-9]{24})@/i;
+const THREAD_ID_PATTERN = /^<(message|reply)-([0-9a-f-]{36})@/i;
+
+/**
+ * Domain for our Message-IDs - the sending address's
+ */
+function getThreadDomain() {
+    const from = process.env.EMAIL_FROM || process.env.SMTP_USER || '';
+    return from.includes('@') ? from.split('@').pop().trim() : 'tekvwa.org';
+}
+
+/**
+ * replies@inbound.example.com + token -> replies+token@inbound.example.com,
+ * or null when inbound email isn't set up (INBOUND_EMAIL_ADDRESS)
+ */
+function getReplyAddress(token) {
+    const address = process.env.INBOUND_EMAIL_ADDRESS;
+    if (!address || !token || !address.includes('@')) {
+        return null;
+    }
+    const [local, domain] = address.split('@');
+    return `${local}+${token}@${domain}`;
+}
+
+/**
+ * Headers for the contact form confirmation email
+ */
+function buildConfirmationHeaders(message) {
+    return {
+        messageId: `<message-${message.id}@${getThreadDomain()}>`,
+        replyTo: getReplyAddress(message.reply_token) || undefined
+    };
+}
+
+/**
+ * Headers for a staff reply: its own Message-ID, the message's reply
+ * address, and references to every earlier email in the conversation
+ */
+async function buildThreadHeaders(message, replyId, client = db) {
+    const token = message.reply_token || await Message.ensureReplyToken(message.id);
+    const earlier = await client.query(
+        `SELECT email_message_id FROM message_replies
+         WHERE message_id = $1 AND email_message_id IS NOT NULL AND id <> $2
+         ORDER BY created_at`,
+        [message.id, replyId]
+    );
+    const references = [
+        `<message-${message.id}@${getThreadDomain()}>`,
+        ...earlier.rows.map(row => row.email_message_id)
+    ];
+    return {
+        messageId: `<reply-${replyId}@${getThreadDomain()}>`,
+        replyTo: getReplyAddress(token) || undefined,
+        inReplyTo: references[references.length - 1],
+        references
+    };
+}
+
+/**
+ * Out-of-office and other automatic replies (RFC 3834 and the common
+ * non-standard headers) - these mustn't reopen a message
+ */
+function isAutoReply(mail) {
+    const header = (name) => ((mail.headers[name] || [])[0] || '').toLowerCase();
+    return (header('auto-submitted') && header('auto-submitted') !== 'no')
+        || ['auto_reply', 'bulk', 'junk', 'list'].includes(header('precedence'))
+        || Boolean(mail.headers['x-autoreply'] || mail.headers['x-autorespond']);
+}
+
+/**
+ * Find the contact message an email belongs to.
+ * @returns {Promise<{ message, matchedBy: 'address'|'thread' }|null>}
+ */
+async function findThreadMessage(mail, client = db) {
+    // 1. The token in the address it was sent to. Forwarding services put
+    // the original recipient in Delivered-To / X-Original-To.
+    const recipients = [
+        ...mail.to.map(a => a.address),
+        ...mail.cc.map(a => a.address),
+        ...['delivered-to', 'x-original-to', 'envelope-to'].flatMap(name => mail.headers[name] || [])
+    ];
+    for (const recipient of recipients) {
+        const match = REPLY_TOKEN_PATTERN.exec(recipient);
+        if (match) {
+            const result = await client.query('SELECT * FROM messages WHERE reply_token = $1', [match[1].toLowerCase()]);
+            if (result.rows[0]) {
+                return { message: result.rows[0], matchedBy: 'address' };
+            }
+        }
+    }
+
+    // 2. The emails it's answering, most recent first. Message-IDs aren't
+    // secret, so the sender has to be the person who wrote in.
+    const ids = [...mail.inReplyTo, ...[...mail.references].reverse()];
+    for (const id of ids) {
+        const match = THREAD_ID_PATTERN.exec(id);
+        if (!match) {
+            continue;
+        }
+        const result = match[1].toLowerCase() === 'message'
+            ? await client.query('SELECT * FROM messages WHERE id = $1', [match[2]])
+            : await client.query(
+                'SELECT m.* FROM messages m JOIN message_replies r ON r.message_id = m.id WHERE r.id = $1',
+                [match[2]]
+            );
+        const message = result.rows[0];
+        if (message && mail.from && message.email.toLowerCase() === mail.from.address) {
+            return { message, matchedBy: 'thread' };
+        }
+    }
+    return null;
+}
+
+/**
+ * The text of the client's reply, without the quoted conversation
+ */
+function extractReplyText(mail) {
+    const text = mail.text !== null ? mail.text : htmlToText(mail.html);
+    const reply = stripQuotedText(text) || String(text || '').trim();
+    const attachments = mail.attachments.length
+        ? `\n\n[${mail.attachments.length} attachment${mail.attachments.length === 1 ? '' : 's'} not imported: ${mail.attachments.map(a => a.filename || a.contentType).join(', ')}]`
+        : '';
+    return (reply + attachments).trim().slice(0, MAX_REPLY_LENGTH);
+}
+
+/**
+ * Record a raw inbound email against its message.
+ * @param {Buffer|string} raw - the RFC 822 message
+ * @returns {Promise<{ status: 'recorded'|'duplicate'|'unmatched'|'ignored', reason?, message?, reply?, matchedBy?, reopened? }>}
+ */
+async function receiveInboundEmail(raw) {
+    const mail = parseMail(raw);
+    if (!mail.from) {
+        return { status: 'ignored', reason: 'no_sender' };
+    }
+    if (isAutoReply(mail)) {
+        return { status: 'ignored', reason: 'auto_reply' };
+    }
+
+    const thread = await findThreadMessage(mail);
+    if (!thread) {
+        return { status: 'unmatched' };
+    }
+
+    const content = extractReplyText(mail);
+    if (!content) {
+        return { status: 'ignored', reason: 'empty', message: thread.message };
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const inserted = await client.query(
+            `INSERT INTO message_replies (message_id, staff_id, content, direction, from_email, email_message_id)
+             VALUES ($1, NULL, $2, 'inbound', $3, $4)
+             ON CONFLICT (email_message_id) WHERE email_message_id IS NOT NULL DO NOTHING
+             RETURNING *`,
+            [thread.message.id, content, mail.from.address, mail.messageId]
+        );
+        if (!inserted.rows.length) {
+            await client.query('ROLLBACK');
+            return { status: 'duplicate', message: thread.message };
+        }
+
+        // Archived messages come back; converted ones keep their status
+        const reopened = thread.message.status === 'archived';
+        const updated = await client.query(
+            `UPDATE messages
+             SET status = CASE WHEN status = 'archived' THEN 'in_progress' ELSE status END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [thread.message.id]
+        );
+
+        await client.query('COMMIT');
+        return {
+            status: 'recorded',
+            message: updated.rows[0],
+            previousStatus: thread.message.status,
+            reply: inserted.rows[0],
+            matchedBy: thread.matchedBy,
+            reopened
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    getReplyAddress,
+    buildConfirmationHeaders,
+    buildThreadHeaders,
+    isAutoReply,
+    findThreadMessage,
+    extractReplyText,
+    receiveInboundEmail
+};
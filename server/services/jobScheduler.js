@@ -0,0 +1,227 @@
+/**
+ * Background Job Scheduler
+ * In-process, cron-style scheduler for periodic maintenance work
+ * (consultation reminders, token cleanup, draft expiry - see
+ * server/jobs/index.js for what's registered).
+ *
+ * Every Cloud Run instance runs this same loop, so job state lives in
+ * Postgres (scheduled_jobs), not memory: an instance only runs a job after
+ * winning a conditional UPDATE that takes a time-limited lease on its row.
+ * Two instances ticking at the same moment can't both win, so a reminder
+ * email can't go out twice.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const db = require('../config/database');
+const { parseCron, nextRun } = require('../utils/cron');
+
+const TICK_INTERVAL_MS = 30 * 1000;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000; // a job running longer than this is presumed dead
+
+// Identifies this process in locked_by/instance_id, so a stuck lease can
+// be traced back to the instance that took it
+const INSTANCE_ID = `${process.env.K_REVISION || os.hostname()}-${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+let tickTimer = null;
+
+const JobScheduler = {
+    /**
+     * Register a job. Must be called before start().
+     * @param {Object} job
+     * @param {string} job.name - Unique, stable identifier (the DB primary key)
+     * @param {string} job.schedule - 5-field cron expression, UTC
+     * @param {Function} job.handler - async () => result object, stored on the run
+     * @param {string} [job.description]
+     * @param {number} [job.lockTtlMs] - How long the lease is held before presumed dead
+     */
+    register({ name, schedule, handler, description, lockTtlMs }) {
+        if (jobs.has(name)) {
+            throw new Error(`Job already registered: ${name}`);
+        }
+        // Parse eagerly so a typo in a schedule fails at boot, not silently never runs
+        parseCron(schedule);
+        jobs.set(name, { name, schedule, handler, description, lockTtlMs: lockTtlMs || DEFAULT_LOCK_TTL_MS });
+    },
+
+    /**
+     * Upsert every registered job into scheduled_jobs. A schedule edited in
+     * code recomputes next_run_at; `enabled` is left alone, so a job an
+     * admin switched off stays off across deploys.
+     */
+    async sync() {
+        for (const job of jobs.values()) {
+            await db.query(
+                `INSERT INTO scheduled_jobs (name, description, schedule, next_run_at)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (name) DO UPDATE SET
+                    description = EXCLUDED.description,
+                    schedule = EXCLUDED.schedule,
+                    next_run_at = CASE WHEN scheduled_jobs.schedule = EXCLUDED.schedule
+                        THEN scheduled_jobs.next_run_at ELSE EXCLUDED.next_run_at END,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [job.name, job.description || null, job.schedule, nextRun(job.schedule)]
+            );
+        }
+    },
+
+    /**
+     * Sync registered jobs, then start the tick loop
+     */
+    async start() {
+        if (tickTimer) {
+            return;
+        }
+
+        await this.sync();
+
+        tickTimer = setInterval(() => {
+            this.tick().catch(err => console.error('Job scheduler tick error:', err));
+        }, TICK_INTERVAL_MS);
+        // Never hold the process open just for the scheduler
+        tickTimer.unref();
+
+        console.log(`Job scheduler started (${jobs.size} jobs, instance ${INSTANCE_ID})`);
+    },
+
+    stop() {
+        if (tickTimer) {
+            clearInterval(tickTimer);
+            tickTimer = null;
+        }
+    },
+
+    /**
+     * Run every registered job that's due and not leased by another
+     * instance. Jobs run one after another, not concurrently - none of
+     * them are time-critical to the second, and it keeps a burst of due
+     * jobs from competing for pool connections with live requests.
+     */
+    async tick() {
+        const result = await db.query(
+            `SELECT name FROM scheduled_jobs
+             WHERE enabled = true AND next_run_at <= $1
+               AND (locked_until IS NULL OR locked_until < $1)`,
+            [new Date()]
+        );
+
+        for (const row of result.rows) {
+            if (jobs.has(row.name)) {
+                await this.runJob(row.name, { trigger: 'schedule' });
+            }
+        }
+    },
+
+    /**
+     * Claim and run a single job. Scheduled runs only claim a job that's
+     * actually due; manual runs skip that check but still respect the
+     * lease, so "Run now" can't overlap a run already in progress.
+     * @returns {Object|null} The job_runs row, or null if the lease wasn't won
+     */
+    async runJob(name, { trigger = 'schedule', triggeredBy = null } = {}) {
+        const job = jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        const now = new Date();
+        const lockedUntil = new Date(now.getTime() + job.lockTtlMs);
+        const claim = await db.query(
+            `UPDATE scheduled_jobs
+             SET locked_by = $1, locked_until = $2
+             WHERE name = $3
+               AND (locked_until IS NULL OR locked_until < $4)
+               ${trigger === 'schedule' ? 'AND enabled = true AND next_run_at <= $4' : ''}
+             RETURNING name`,
+            [INSTANCE_ID, lockedUntil, name, now]
+        );
+        if (claim.rows.length === 0) {
+            return null;
+        }
+
+        const runResult = await db.query(
+            `INSERT INTO job_runs (job_name, trigger_type, triggered_by, instance_id, started_at)
+             VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+            [name, trigger, triggeredBy, INSTANCE_ID, now]
+        );
+        const runId = runResult.rows[0].id;
+
+        let status = 'success';
+        let output = null;
+        let errorMessage = null;
+        try {
+            output = await job.handler();
+        } catch (error) {
+            status = 'failed';
+            errorMessage = error.message;
+            console.error(`Job ${name} failed:`, error);
+        }
+
+        const finishedAt = new Date();
+        const finished = await db.query(
+            `UPDATE job_runs SET status = $1, result = $2, error = $3, finished_at = $4
+             WHERE id = $5 RETURNING *`,
+            [status, output ? JSON.stringify(output) : null, errorMessage, finishedAt, runId]
+        );
+
+        // A manual run doesn't shift the regular schedule - next_run_at is
+        // always computed from the cron expression, never from "now + interval"
+        await db.query(
+            `UPDATE scheduled_jobs
+             SET last_run_at = $1, last_status = $2, next_run_at = $3,
+                 locked_by = NULL, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE name = $4`,
+            [now, status, nextRun(job.schedule, finishedAt), name]
+        );
+
+        return finished.rows[0];
+    },
+
+    has(name) {
+        return jobs.has(name);
+    },
+
+    /**
+     * All jobs with their persisted state and most recent run
+     */
+    async listJobs() {
+        const result = await db.query(
+            `SELECT sj.*, lr.id AS last_run_id, lr.result AS last_result, lr.error AS last_error,
+                    lr.finished_at AS last_finished_at
+             FROM scheduled_jobs sj
+             LEFT JOIN LATERAL (
+                SELECT id, result, error, finished_at FROM job_runs
+                WHERE job_name = sj.name ORDER BY started_at DESC LIMIT 1
+             ) lr ON true
+             ORDER BY sj.name`
+        );
+        // Rows for jobs removed from code stay in the table (their history
+        // is still useful) but are flagged so the UI doesn't offer "Run now"
+        return result.rows.map(row => ({ ...row, registered: jobs.has(row.name) }));
+    },
+
+    async getRuns(name, { limit = 50, offset = 0 } = {}) {
+        const result = await db.query(
+            `SELECT jr.*, s.name AS triggered_by_name
+             FROM job_runs jr
+             LEFT JOIN staff s ON s.id = jr.triggered_by
+             WHERE jr.job_name = $1
+             ORDER BY jr.started_at DESC
+             LIMIT $2 OFFSET $3`,
+            [name, limit, offset]
+        );
+        return result.rows;
+    },
+
+    async setEnabled(name, enabled) {
+        const result = await db.query(
+            `UPDATE scheduled_jobs SET enabled = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE name = $2 RETURNING *`,
+            [enabled, name]
+        );
+        return result.rows[0];
+    }
+};
+
+module.exports = JobScheduler;
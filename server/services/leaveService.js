@@ -0,0 +1,268 @@
+/**
+ * Leave Service
+ * Working-day counting, entitlements, balances and carry-over for the leave
+ * module (routes/leave.js), plus the unpaid leave figures payroll runs use.
+ *
+ * - Leave is counted in working days: Monday to Friday, less the federal
+ *   public holidays in utils/nigerianHolidays.js.
+ * - Annual leave ("contract" entitlement) accrues monthly from the PTO days
+ *   on the employee's latest contract - from their hire month in the year
+ *   they joined. Other paid types give their full allowance from January.
+ * - A balance is entitlement + carried over - approved days taken. Pending
+ *   requests are shown separately and count against what can be requested.
+ * - At the start of each year the leave-carry-over job brings forward unused
+ *   days, capped per type (max_carry_over_days).
+ */
+
+const db = require('../config/database');
+const { getNigerianHolidays } = require('../utils/nigerianHolidays');
+
+// What the contract PDF promises when a contract leaves pto_days blank
+const DEFAULT_PTO_DAYS = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+// Accrued leave is credited in half days
+const roundHalf = (n) => Math.floor(n * 2) / 2;
+
+const toUtcDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Working days from start to end inclusive (YYYY-MM-DD strings)
+ */
+function countWorkingDays(startDate, endDate) {
+    if (endDate < startDate) {
+        return 0;
+    }
+    const holidays = new Set();
+    for (let year = Number(startDate.slice(0, 4)); year <= Number(endDate.slice(0, 4)); year++) {
+        getNigerianHolidays(year).forEach(h => holidays.add(h.date));
+    }
+
+    let days = 0;
+    const end = toUtcDate(endDate).getTime();
+    for (let t = toUtcDate(startDate).getTime(); t <= end; t += DAY_MS) {
+        const date = new Date(t);
+        const weekday = date.getUTCDay();
+        if (weekday !== 0 && weekday !== 6 && !holidays.has(isoDate(date))) {
+            days++;
+        }
+    }
+    return days;
+}
+
+/**
+ * First and last day of a month, as YYYY-MM-DD
+ */
+function monthBounds(month, year) {
+    const first = isoDate(new Date(Date.UTC(year, month - 1, 1)));
+    const last = isoDate(new Date(Date.UTC(year, month, 0)));
+    return { first, last };
+}
+
+/**
+ * Working days of a leave period that fall inside the given month
+ */
+function countWorkingDaysInMonth(startDate, endDate, month, year) {
+    const { first, last } = monthBounds(month, year);
+    return countWorkingDays(startDate > first ? startDate : first, endDate < last ? endDate : last);
+}
+
+/**
+ * A leave type's allowance for a year, as of a date in it (YYYY-MM-DD).
+ * Null means unlimited (no allowance to count against).
+ * @param {Object} type - leave_types row
+ * @param {Object} employee - { ptoDays, hireDate } (hireDate YYYY-MM-DD or null)
+ */
+function calculateEntitlement(type, { ptoDays, hireDate } = {}, year, asOf) {
+    if (type.entitlement_source === 'none') {
+        return null;
+    }
+    const hireYear = hireDate ? Number(hireDate.slice(0, 4)) : null;
+    if (hireYear && hireYear > year) {
+        return 0;
+    }
+    if (type.entitlement_source === 'fixed') {
+        return Number(type.default_days);
+    }
+
+    // Annual leave: 1/12 of the contract's days for each month started,
+    // counting from the hire month in the year the employee joined
+    const yearly = ptoDays ?? Number(type.default_days);
+    const firstMonth = hireYear === year ? Number(hireDate.slice(5, 7)) : 1;
+    const asOfYear = Number(asOf.slice(0, 4));
+    let lastMonth = 12;
+    if (asOfYear < year) {
+        lastMonth = 0;
+    } else if (asOfYear === year) {
+        lastMonth = Number(asOf.slice(5, 7));
+    }
+    const months = Math.max(0, lastMonth - firstMonth + 1);
+    return roundHalf(yearly * months / 12);
+}
+
+/**
+ * Balance figures for one leave type
+ */
+function calculateBalance({ entitlement, carriedOver = 0, taken = 0, pending = 0 }) {
+    if (entitlement === null) {
+        return { entitlement: null, carriedOver: 0, taken: round1(taken), pending: round1(pending), available: null, requestable: null };
+    }
+    const available = round1(entitlement + carriedOver - taken);
+    return {
+        entitlement,
+        carriedOver: round1(carriedOver),
+        taken: round1(taken),
+        pending: round1(pending),
+        available,
+        requestable: round1(available - pending)
+    };
+}
+
+/**
+ * Days to bring into the next year: what's left, capped by the type's rule
+ */
+function calculateCarryOver(type, closingBalance) {
+    if (closingBalance === null || closingBalance <= 0) {
+        return 0;
+    }
+    return Math.min(closingBalance, Number(type.max_carry_over_days));
+}
+
+/**
+ * PTO days and hire date for entitlement purposes. PTO comes from the most
+ * recent contract, preferring accepted ones.
+ */
+async function getEmployeeLeaveProfile(staffId, client = db) {
+    const result = await client.query(
+        `SELECT s.hire_date::text AS hire_date,
+                (SELECT ec.pto_days FROM employee_contracts ec
+                 WHERE ec.staff_id = s.id
+                 ORDER BY ec.accepted_at DESC NULLS LAST, ec.generated_at DESC
+                 LIMIT 1) AS pto_days
+         FROM staff s WHERE s.id = $1`,
+        [staffId]
+    );
+    const row = result.rows[0];
+    if (!row) {
+        return null;
+    }
+    return { hireDate: row.hire_date, ptoDays: row.pto_days ?? DEFAULT_PTO_DAYS };
+}
+
+/**
+ * Every active leave type's balance for an employee and year
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - accrual date (YYYY-MM-DD); defaults to
+ *   today. Requests use their end date, so leave can be booked against
+ *   what will have accrued by then.
+ * @param {string} [options.excludeRequestId] - leave a request out of the
+ *   pending total (when approving it)
+ */
+async function getBalances(staffId, year, { asOf, excludeRequestId = null, client = db } = {}) {
+    const profile = await getEmployeeLeaveProfile(staffId, client);
+    if (!profile) {
+        return [];
+    }
+    const [types, usage, carried] = await Promise.all([
+        client.query('SELECT * FROM leave_types WHERE is_active = true ORDER BY sort_order, name'),
+        client.query(
+            `SELECT leave_type_id,
+                    COALESCE(SUM(days) FILTER (WHERE status = 'approved'), 0) AS taken,
+                    COALESCE(SUM(days) FILTER (WHERE status = 'pending' AND ($3::uuid IS NULL OR id <> $3)), 0) AS pending
+             FROM leave_requests
+             WHERE staff_id = $1 AND EXTRACT(YEAR FROM start_date) = $2
+             GROUP BY leave_type_id`,
+            [staffId, year, excludeRequestId]
+        ),
+        client.query(
+            'SELECT leave_type_id, days FROM leave_carry_overs WHERE staff_id = $1 AND year = $2',
+            [staffId, year]
+        )
+    ]);
+
+    const usageByType = new Map(usage.rows.map(r => [r.leave_type_id, r]));
+    const carriedByType = new Map(carried.rows.map(r => [r.leave_type_id, Number(r.days)]));
+    const accrualDate = asOf || isoDate(new Date());
+
+    return types.rows.map(type => ({
+        leaveTypeId: type.id,
+        code: type.code,
+        name: type.name,
+        isPaid: type.is_paid,
+        ...calculateBalance({
+            entitlement: calculateEntitlement(type, profile, year, accrualDate),
+            carriedOver: carriedByType.get(type.id) || 0,
+            taken: Number(usageByType.get(type.id)?.taken || 0),
+            pending: Number(usageByType.get(type.id)?.pending || 0)
+        })
+    }));
+}
+
+/**
+ * Record carry-over from `fromYear` into the next year for every active
+ * employee. Already recorded rows are left alone, so re-running is safe.
+ * Returns the number of rows written.
+ */
+async function recordCarryOver(fromYear) {
+    const staff = await db.query('SELECT id FROM staff WHERE is_active = true');
+    const types = await db.query(
+        "SELECT * FROM leave_types WHERE is_active = true AND max_carry_over_days > 0 AND entitlement_source <> 'none'"
+    );
+    const yearEnd = `${fromYear}-12-31`;
+    let recorded = 0;
+
+    for (const { id: staffId } of staff.rows) {
+        const balances = await getBalances(staffId, fromYear, { asOf: yearEnd });
+        for (const type of types.rows) {
+            const balance = balances.find(b => b.leaveTypeId === type.id);
+            const days = calculateCarryOver(type, balance ? balance.available : null);
+            const result = await db.query(
+                `INSERT INTO leave_carry_overs (staff_id, leave_type_id, year, days)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (staff_id, leave_type_id, year) DO NOTHING`,
+                [staffId, type.id, fromYear + 1, days]
+            );
+            recorded += result.rowCount;
+        }
+    }
+    return recorded;
+}
+
+/**
+ * Approved unpaid leave per employee for a pay period, in working days.
+ * Used by payroll runs (payrollService.draftRunPaystubs).
+ * @returns {Promise<Map<string, number>>} staff id -> days
+ */
+async function getUnpaidLeaveDays(month, year, client = db) {
+    const { first, last } = monthBounds(month, year);
+    const result = await client.query(
+        `SELECT r.staff_id, r.start_date::text AS start_date, r.end_date::text AS end_date
+         FROM leave_requests r
+         JOIN leave_types t ON t.id = r.leave_type_id
+         WHERE r.status = 'approved' AND t.is_paid = false
+           AND r.start_date <= $2 AND r.end_date >= $1`,
+        [first, last]
+    );
+    const days = new Map();
+    for (const r of result.rows) {
+        days.set(r.staff_id, (days.get(r.staff_id) || 0) + countWorkingDaysInMonth(r.start_date, r.end_date, month, year));
+    }
+    return days;
+}
+
+module.exports = {
+    DEFAULT_PTO_DAYS,
+    countWorkingDays,
+    countWorkingDaysInMonth,
+    monthBounds,
+    calculateEntitlement,
+    calculateBalance,
+    calculateCarryOver,
+    getEmployeeLeaveProfile,
+    getBalances,
+    recordCarryOver,
+    getUnpaidLeaveDays
+};
@@ -0,0 +1,619 @@
+/**
+ * Newsletter Service
+ * Subscriptions use double opt-in: signing up emails a confirmation link,
+ * and only confirmed subscribers get campaigns. Each subscriber has a link
+ * token (stored hashed) for confirming and their preference page, where
+ * they choose topics (utils/newsletterTopics.js) or unsubscribe.
+ *
+ * Sending newsletter campaigns (content in utils/newsletterBlocks.js):
+ * - a scheduled campaign starts once its time comes: the confirmed
+ *   subscribers who want its topics at that moment become its recipients
+ * - the newsletter-send job then emails up to NEWSLETTER_BATCH_SIZE of them
+ *   a minute, NEWSLETTER_SEND_INTERVAL_MS apart, to stay under the SMTP
+ *   provider's sending limits
+ * - each recipient's email carries its own token (stored hashed) for the
+ *   open pixel, tracked links, one-click unsubscribe and the preference page
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { campaignLinks, renderCampaign } = require('../utils/newsletterBlocks');
+const { TOPIC_KEYS, cleanTopics, wantsCampaign } = require('../utils/newsletterTopics');
+const {
+    sendNewsletterEmail,
+    sendNewsletterConfirmationEmail,
+    sendNewsletterPreferencesEmail
+} = require('./emailService');
+
+const BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE) || 50;
+const SEND_INTERVAL_MS = parseInt(process.env.NEWSLETTER_SEND_INTERVAL_MS) || 1000;
+const CONFIRM_LINK_DAYS = 7;
+// Signing the same address up again within this long doesn't email it again
+const RESEND_AFTER_MINUTES = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const siteUrl = () => process.env.SITE_URL || 'http://localhost:3000';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const preferencesUrl = (token) => `${siteUrl()}/newsletter-preferences.html?token=${token}`;
+
+/**
+ * The links in one recipient's email
+ */
+function trackingUrls(token) {
+    const base = `${siteUrl()}/api/newsletter/t/${token}`;
+    return {
+        trackLink: (index) => `${base}/click/${index}`,
+        openPixelUrl: `${base}/open.gif`,
+        unsubscribeUrl: `${siteUrl()}/unsubscribe.html?token=${token}`,
+        preferencesUrl: preferencesUrl(token),
+        oneClickUnsubscribeUrl: `${base}/unsubscribe`
+    };
+}
+
+// ========================================
+// Subscriptions
+// ========================================
+
+/**
+ * Sign an address up. A new, pending or unsubscribed address gets a
+ * confirmation email and stays pending until it's confirmed; an address
+ * that's already confirmed is emailed its preference page instead, so the
+ * website never says which addresses are subscribed. The sign-up's time,
+ * IP address and browser are kept as consent evidence.
+ * @returns {Promise<{ status: string, emailed: boolean }>}
+ */
+async function requestSubscription({ email, name, topics, ipAddress, userAgent }) {
+    const existing = await db.query(
+        `SELECT *, confirmation_sent_at > CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute' AS recently_emailed
+         FROM newsletter_subscribers WHERE LOWER(email) = LOWER($1)`,
+        [email, RESEND_AFTER_MINUTES]
+    );
+    let subscriber = existing.rows[0];
+    if (subscriber && subscriber.recently_emailed) {
+        return { status: subscriber.status, emailed: false };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const chosenTopics = cleanTopics(topics);
+
+    if (subscriber && subscriber.status === 'confirmed') {
+        await db.query(
+            `UPDATE newsletter_subscribers
+             SET token_hash = $2, confirmation_sent_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [subscriber.id, hashToken(token)]
+        );
+        await sendNewsletterPreferencesEmail(subscriber, preferencesUrl(token));
+        return { status: 'confirmed', emailed: true };
+    }
+
+    const evidence = [
+        hashToken(token),
+        JSON.stringify(chosenTopics.length ? chosenTopics : TOPIC_KEYS),
+        ipAddress || null,
+        (userAgent || '').slice(0, 500) || null
+    ];
+    if (subscriber) {
+        const result = await db.query(
+            `UPDATE newsletter_subscribers
+             SET status = 'pending', is_active = false, name = COALESCE($6, name),
+                 token_hash = $2, topics = $3, subscribe_ip = $4, subscribe_user_agent = $5,
+                 subscribed_at = CURRENT_TIMESTAMP, confirmation_sent_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [subscriber.id, ...evidence, name || null]
+        );
+        subscriber = result.rows[0];
+    } else {
+        const result = await db.query(
+            `INSERT INTO newsletter_subscribers
+                (email, name, source, status, is_active, token_hash, topics, subscribe_ip, subscribe_user_agent, confirmation_sent_at)
+             VALUES ($1, $2, 'website', 'pending', false, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+             ON CONFLICT (email) DO NOTHING
+             RETURNING *`,
+            [email, name || null, ...evidence]
+        );
+        subscriber = result.rows[0];
+        if (!subscriber) {
+            // Signed up twice at the same moment - the other request emails them
+            return { status: 'pending', emailed: false };
+        }
+    }
+
+    await sendNewsletterConfirmationEmail(subscriber, `${preferencesUrl(token)}&confirm=1`);
+    return { status: 'pending', emailed: true };
+}
+
+/**
+ * The subscriber a link token belongs to: their own token (confirmation
+ * and preference emails), or one from a campaign email they were sent.
+ * recipientId is set for a campaign token.
+ */
+async function findSubscriberByToken(token) {
+    const hash = hashToken(String(token || ''));
+    const result = await db.query(
+        `SELECT s.*, NULL::uuid AS recipient_id FROM newsletter_subscribers s WHERE s.token_hash = $1
+         UNION ALL
+         SELECT s.*, r.id AS recipient_id
+         FROM newsletter_campaign_recipients r
+         JOIN newsletter_subscribers s ON s.id = r.subscriber_id
+         WHERE r.token_hash = $1
+         LIMIT 1`,
+        [hash]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Whether a pending subscriber's confirmation link has run out
+ */
+function confirmationExpired(subscriber) {
+    return subscriber.status === 'pending' && subscriber.confirmation_sent_at
+        && Date.now() - new Date(subscriber.confirmation_sent_at).getTime() > CONFIRM_LINK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * What the preference page shows
+ */
+function preferencesOf(subscriber) {
+    return {
+        email: subscriber.email,
+        name: subscriber.name,
+        status: subscriber.status,
+        topics: subscriber.topics || [],
+        confirmedAt: subscriber.confirmed_at,
+        expired: Boolean(confirmationExpired(subscriber))
+    };
+}
+
+/**
+ * Confirm a pending subscriber, or resubscribe one who unsubscribed, from
+ * a link only they were sent. Records when and from where.
+ */
+async function confirmSubscriber(subscriber, ipAddress) {
+    if (subscriber.status === 'confirmed') {
+        return subscriber;
+    }
+    const result = await db.query(
+        `UPDATE newsletter_subscribers
+         SET status = 'confirmed', is_active = true, confirmed_at = CURRENT_TIMESTAMP,
+             confirm_ip = $2, unsubscribed_at = NULL,
+             topics = CASE WHEN jsonb_array_length(topics) = 0 THEN $3::jsonb ELSE topics END
+         WHERE id = $1
+         RETURNING *`,
+        [subscriber.id, ipAddress || null, JSON.stringify(TOPIC_KEYS)]
+    );
+    return result.rows[0];
+}
+
+async function updateTopics(subscriber, topics) {
+    const result = await db.query(
+        `UPDATE newsletter_subscribers
+         SET topics = $2, topics_updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [subscriber.id, JSON.stringify(cleanTopics(topics))]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Unsubscribe, recording when and from where. Safe to repeat. A campaign
+ * token also counts the unsubscribe against that campaign.
+ */
+async function unsubscribeSubscriber(subscriber, ipAddress) {
+    if (subscriber.status !== 'unsubscribed') {
+        await db.query(
+            `UPDATE newsletter_subscribers
+             SET status = 'unsubscribed', is_active = false,
+                 unsubscribed_at = CURRENT_TIMESTAMP, unsubscribe_ip = $2
+             WHERE id = $1`,
+            [subscriber.id, ipAddress || null]
+        );
+    }
+    if (subscriber.recipient_id) {
+        await db.query(
+            `UPDATE newsletter_campaign_recipients
+             SET unsubscribed_at = COALESCE(unsubscribed_at, CURRENT_TIMESTAMP)
+             WHERE id = $1`,
+            [subscriber.recipient_id]
+        );
+    }
+}
+
+/**
+ * Subscribers for the admin list, without their link tokens
+ * @param {string[]} [statuses] - any of pending, confirmed, unsubscribed
+ */
+async function listSubscribers(statuses) {
+    const result = await db.query(
+        `SELECT id, email, name, status, is_active, source, topics, subscribed_at,
+                subscribe_ip, confirmation_sent_at, confirmed_at, confirm_ip,
+                unsubscribed_at, unsubscribe_ip, topics_updated_at, created_at
+         FROM newsletter_subscribers
+         WHERE $1::varchar[] IS NULL OR status = ANY($1)
+         ORDER BY subscribed_at DESC`,
+        [statuses || null]
+    );
+    return result.rows;
+}
+
+/**
+ * Email a campaign as it stands to one address, marked as a test. Links
+ * aren't tracked and there's no unsubscribe link.
+ */
+async function sendTestEmail(campaign, to) {
+    const { html, text } = renderCampaign(campaign);
+    return sendNewsletterEmail({ to, subject: `[Test] ${campaign.subject}`, html, text });
+}
+
+/**
+ * Subscribers by status, and confirmed subscribers by topic
+ */
+async function countSubscribers() {
+    const [statuses, topics] = await Promise.all([
+        db.query('SELECT status, COUNT(*)::int AS count FROM newsletter_subscribers GROUP BY status'),
+        db.query(
+            `SELECT topic, COUNT(*)::int AS count
+             FROM newsletter_subscribers, jsonb_array_elements_text(topics) AS topic
+             WHERE status = 'confirmed'
+             GROUP BY topic`
+        )
+    ]);
+
+    const counts = { pending: 0, confirmed: 0, unsubscribed: 0, byTopic: {} };
+    statuses.rows.forEach(row => {
+        counts[row.status] = row.count;
+    });
+    topics.rows.forEach(row => {
+        counts.byTopic[row.topic] = row.count;
+    });
+    return counts;
+}
+
+// Confirmed subscribers who want a campaign aimed at topics $1 (see wantsCampaign)
+const AUDIENCE_CONDITION = `s.status = 'confirmed'
+    AND (jsonb_array_length($1::jsonb) = 0
+         OR s.topics ?| ARRAY(SELECT jsonb_array_elements_text($1::jsonb)))`;
+
+/**
+ * How many subscribers a campaign aimed at these topics would go to now
+ */
+async function countAudience(topics) {
+    const result = await db.query(
+        `SELECT COUNT(*)::int AS count FROM newsletter_subscribers s WHERE ${AUDIENCE_CONDITION}`,
+        [JSON.stringify(topics || [])]
+    );
+    return result.rows[0].count;
+}
+
+/**
+ * Start sending scheduled campaigns that are due
+ * @returns {Promise<number>} campaigns started
+ */
+async function startDueCampaigns() {
+    const due = await db.query(
+        `SELECT id FROM newsletter_campaigns
+         WHERE status = 'scheduled' AND scheduled_at <= CURRENT_TIMESTAMP
+         ORDER BY scheduled_at`
+    );
+
+    let started = 0;
+    for (const { id } of due.rows) {
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+            const claimed = await client.query(
+                `UPDATE newsletter_campaigns
+                 SET status = 'sending', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'scheduled'
+                 RETURNING id, topics`,
+                [id]
+            );
+            if (claimed.rows.length) {
+                await client.query(
+                    `INSERT INTO newsletter_campaign_recipients (campaign_id, subscriber_id, email)
+                     SELECT $2, s.id, s.email FROM newsletter_subscribers s WHERE ${AUDIENCE_CONDITION}
+                     ON CONFLICT (campaign_id, email) DO NOTHING`,
+                    [JSON.stringify(claimed.rows[0].topics), id]
+                );
+                started++;
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+    return started;
+}
+
+/**
+ * Email the next batch of recipients of campaigns that are sending, and
+ * mark campaigns with nobody left as sent. Anyone who unsubscribed, or
+ * dropped the campaign's topics, since it started is skipped.
+ */
+async function sendPendingBatch(limit = BATCH_SIZE) {
+    const campaigns = await db.query(
+        "SELECT * FROM newsletter_campaigns WHERE status = 'sending' ORDER BY started_at"
+    );
+
+    let remaining = limit;
+    let sent = 0;
+    let failed = 0;
+    let skipped = 0;
+    let completed = 0;
+
+    for (const campaign of campaigns.rows) {
+        const recipients = remaining > 0
+            ? (await db.query(
+                `SELECT r.id, r.email, s.status AS subscriber_status, s.topics AS subscriber_topics
+                 FROM newsletter_campaign_recipients r
+                 LEFT JOIN newsletter_subscribers s ON s.id = r.subscriber_id
+                 WHERE r.campaign_id = $1 AND r.status = 'pending'
+                 ORDER BY r.created_at
+                 LIMIT $2`,
+                [campaign.id, remaining]
+            )).rows
+            : [];
+
+        for (const recipient of recipients) {
+            remaining--;
+            if (recipient.subscriber_status !== 'confirmed'
+                || !wantsCampaign(recipient.subscriber_topics, campaign.topics)) {
+                await db.query(
+                    "UPDATE newsletter_campaign_recipients SET status = 'skipped' WHERE id = $1",
+                    [recipient.id]
+                );
+                skipped++;
+                continue;
+            }
+
+            if (sent + failed > 0) {
+                await wait(SEND_INTERVAL_MS);
+            }
+
+            const token = crypto.randomBytes(32).toString('hex');
+            const urls = trackingUrls(token);
+            const { html, text } = renderCampaign(campaign, urls);
+            await db.query(
+                'UPDATE newsletter_campaign_recipients SET token_hash = $2 WHERE id = $1',
+                [recipient.id, hashToken(token)]
+            );
+
+            try {
+                await sendNewsletterEmail({
+                    to: recipient.email,
+                    subject: campaign.subject,
+                    html,
+                    text,
+                    unsubscribeUrl: urls.oneClickUnsubscribeUrl
+                });
+                await db.query(
+                    "UPDATE newsletter_campaign_recipients SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1",
+                    [recipient.id]
+                );
+                sent++;
+            } catch (error) {
+                console.error(`Newsletter ${campaign.id} to ${recipient.email} failed:`, error);
+                await db.query(
+                    "UPDATE newsletter_campaign_recipients SET status = 'failed', error = $2 WHERE id = $1",
+                    [recipient.id, String(error.message || error).slice(0, 500)]
+                );
+                failed++;
+            }
+        }
+
+        const done = await db.query(
+            `UPDATE newsletter_campaigns
+             SET status = 'sent', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'sending'
+               AND NOT EXISTS (SELECT 1 FROM newsletter_campaign_recipients
+                               WHERE campaign_id = $1 AND status = 'pending')
+             RETURNING id`,
+            [campaign.id]
+        );
+        completed += done.rowCount;
+    }
+
+    return { sent, failed, skipped, completed };
+}
+
+/**
+ * The newsletter-send job: start what's due, then send a batch
+ */
+async function runNewsletterSends() {
+    const started = await startDueCampaigns();
+    return { started, ...(await sendPendingBatch()) };
+}
+
+/**
+ * Stop a campaign: a scheduled one goes back to being a draft, one that's
+ * sending is cancelled and nobody else is emailed
+ * @returns {Promise<Object|null>} the campaign, or null if neither
+ */
+async function cancelCampaign(campaignId) {
+    const unscheduled = await db.query(
+        `UPDATE newsletter_campaigns
+         SET status = 'draft', scheduled_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'scheduled'
+         RETURNING *`,
+        [campaignId]
+    );
+    if (unscheduled.rows.length) {
+        return unscheduled.rows[0];
+    }
+
+    const cancelled = await db.query(
+        `UPDATE newsletter_campaigns
+         SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'sending'
+         RETURNING *`,
+        [campaignId]
+    );
+    if (!cancelled.rows.length) {
+        return null;
+    }
+    await db.query(
+        "UPDATE newsletter_campaign_recipients SET status = 'skipped' WHERE campaign_id = $1 AND status = 'pending'",
+        [campaignId]
+    );
+    return cancelled.rows[0];
+}
+
+async function findRecipientByToken(token) {
+    const result = await db.query(
+        `SELECT r.id, r.campaign_id, r.subscriber_id, r.email, c.blocks
+         FROM newsletter_campaign_recipients r
+         JOIN newsletter_campaigns c ON c.id = r.campaign_id
+         WHERE r.token_hash = $1`,
+        [hashToken(String(token || ''))]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Count an open (the tracking pixel loaded)
+ */
+async function recordOpen(token) {
+    await db.query(
+        `UPDATE newsletter_campaign_recipients
+         SET open_count = open_count + 1, opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+         WHERE token_hash = $1`,
+        [hashToken(String(token || ''))]
+    );
+}
+
+/**
+ * Count a click on one of the campaign's links. A click also counts as an
+ * open, as many mail apps block the pixel.
+ * @returns {Promise<string|null>} where the link goes, or null if unknown
+ */
+async function recordClick(token, index) {
+    const recipient = await findRecipientByToken(token);
+    const url = recipient ? campaignLinks(recipient.blocks)[index] : null;
+    if (!url) {
+        return null;
+    }
+
+    await db.query(
+        `UPDATE newsletter_campaign_recipients
+         SET click_count = click_count + 1,
+             clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP),
+             opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+         WHERE id = $1`,
+        [recipient.id]
+    );
+    await db.query(
+        'INSERT INTO newsletter_campaign_clicks (campaign_id, recipient_id, url) VALUES ($1, $2, $3)',
+        [recipient.campaign_id, recipient.id, url]
+    );
+    return url;
+}
+
+/**
+ * Unsubscribe whoever a campaign email went to. Safe to repeat.
+ * @returns {Promise<{ id: string, email: string, changed: boolean }|null>}
+ *   null if the token is unknown; changed is false if already unsubscribed
+ */
+async function unsubscribeByToken(token, ipAddress) {
+    const subscriber = await findSubscriberByToken(token);
+    if (!subscriber) {
+        return null;
+    }
+
+    await unsubscribeSubscriber(subscriber, ipAddress);
+    return { id: subscriber.id, email: subscriber.email, changed: subscriber.status !== 'unsubscribed' };
+}
+
+const STATS_COLUMNS = `
+    COUNT(r.id)::int AS recipients,
+    COUNT(r.id) FILTER (WHERE r.status = 'sent')::int AS sent,
+    COUNT(r.id) FILTER (WHERE r.status = 'failed')::int AS failed,
+    COUNT(r.id) FILTER (WHERE r.status = 'pending')::int AS pending,
+    COUNT(r.opened_at)::int AS opened,
+    COUNT(r.clicked_at)::int AS clicked,
+    COUNT(r.unsubscribed_at)::int AS unsubscribed`;
+
+/**
+ * Every campaign with its delivery, open, click and unsubscribe counts,
+ * latest first
+ */
+async function listCampaigns() {
+    const result = await db.query(
+        `SELECT c.*, s.name AS created_by_name, ${STATS_COLUMNS}
+         FROM newsletter_campaigns c
+         LEFT JOIN staff s ON s.id = c.created_by
+         LEFT JOIN newsletter_campaign_recipients r ON r.campaign_id = c.id
+         GROUP BY c.id, s.name
+         ORDER BY COALESCE(c.completed_at, c.started_at, c.scheduled_at, c.created_at) DESC`
+    );
+    return result.rows;
+}
+
+/**
+ * One campaign with its counts, clicks per link and failed deliveries
+ */
+async function getCampaignReport(campaignId) {
+    const campaign = await db.query(
+        `SELECT c.*, s.name AS created_by_name, ${STATS_COLUMNS}
+         FROM newsletter_campaigns c
+         LEFT JOIN staff s ON s.id = c.created_by
+         LEFT JOIN newsletter_campaign_recipients r ON r.campaign_id = c.id
+         WHERE c.id = $1
+         GROUP BY c.id, s.name`,
+        [campaignId]
+    );
+    if (!campaign.rows.length) {
+        return null;
+    }
+
+    const [links, failures] = await Promise.all([
+        db.query(
+            `SELECT url, COUNT(*)::int AS clicks, COUNT(DISTINCT recipient_id)::int AS unique_clicks
+             FROM newsletter_campaign_clicks
+             WHERE campaign_id = $1
+             GROUP BY url
+             ORDER BY clicks DESC`,
+            [campaignId]
+        ),
+        db.query(
+            `SELECT email, error FROM newsletter_campaign_recipients
+             WHERE campaign_id = $1 AND status = 'failed'
+             ORDER BY email
+             LIMIT 100`,
+            [campaignId]
+        )
+    ]);
+
+    return { ...campaign.rows[0], links: links.rows, failures: failures.rows };
+}
+
+module.exports = {
+    BATCH_SIZE,
+    requestSubscription,
+    findSubscriberByToken,
+    confirmationExpired,
+    preferencesOf,
+    confirmSubscriber,
+    updateTopics,
+    unsubscribeSubscriber,
+    listSubscribers,
+    sendTestEmail,
+    countSubscribers,
+    countAudience,
+    startDueCampaigns,
+    sendPendingBatch,
+    runNewsletterSends,
+    cancelCampaign,
+    recordOpen,
+    recordClick,
+    unsubscribeByToken,
+    listCampaigns,
+    getCampaignReport
+};
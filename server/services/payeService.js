@@ -1,18 +1,22 @@
 /**
  * Nigerian PAYE Tax Calculation Service
  *
- * Implements the standard federal graduated tax table under the Personal
+ * Implements the federal graduated PAYE calculation under the Personal
  * Income Tax Act (as amended). This is federal law - Delta State's DBIR is
  * the *collector* for residents (PAYE is remitted to the state where the
  * employee resides), not a different rate table.
  *
- * IMPORTANT: Nigeria's tax rules have been under active reform. Have an
- * accountant verify these bands are still current before relying on this
- * for real payroll - this implementation reflects the long-standing
- * published table as of this writing, not a live/verified feed.
+ * The rules themselves are versioned in the tax_tables table (see
+ * taxTableService.js) and passed in here, so a payroll run uses the table in
+ * effect for its pay period and old paystubs can be reproduced exactly.
+ * Nigeria's tax rules have been under active reform - when they change, an
+ * Admin adds a new table with the date it takes effect; nothing here is
+ * edited.
  *
- * Deliberately excludes pension (PRA 2014) and NHF deductions - not
- * something this company is enrolling in yet.
+ * Employee pension contributions (PRA 2014) and NHF contributions are
+ * tax-exempt: they're passed in as reliefs and come off taxable income
+ * after CRA. CRA itself is still calculated on full gross income. The
+ * contributions themselves are worked out in payrollService.js.
  */
 
 const ANNUAL_TAX_BANDS = [
@@ -24,28 +28,48 @@ const ANNUAL_TAX_BANDS = [
     { amount: Infinity, rate: 0.24 }
 ];
 
-const DEVELOPMENT_LEVY_ANNUAL = 100; // NGN, flat per employee per year (DBIR)
+// The long-standing published table (PITA as amended in 2011), which was
+// all this service knew before tax tables were stored. Seeded by migration
+// 027 and used when no stored table applies.
+const DEFAULT_TAX_TABLE = {
+    id: null,
+    name: 'Personal Income Tax Act (as amended 2011)',
+    effectiveFrom: '2011-01-01',
+    bands: ANNUAL_TAX_BANDS,
+    craFixedAmount: 200000,
+    craGrossRate: 0.01,
+    craAdditionalRate: 0.2,
+    minimumTaxRate: 0.01,
+    developmentLevyAnnual: 100 // NGN, flat per employee per year (DBIR)
+};
 
 /**
- * Consolidated Relief Allowance = higher of NGN 200,000 or 1% of gross
- * annual income, plus 20% of gross annual income.
+ * Consolidated Relief Allowance = higher of the fixed amount (NGN 200,000)
+ * or a percentage (1%) of gross annual income, plus a further percentage
+ * (20%) of gross annual income.
  */
-function calculateCRA(grossAnnual) {
-    return Math.max(200000, 0.01 * grossAnnual) + 0.2 * grossAnnual;
+function calculateCRA(grossAnnual, table = DEFAULT_TAX_TABLE) {
+    return Math.max(table.craFixedAmount, table.craGrossRate * grossAnnual) + table.craAdditionalRate * grossAnnual;
 }
 
 /**
  * Calculate monthly PAYE tax from a monthly gross salary.
  * Returns the annual and monthly breakdown for transparency/reporting.
+ * @param {number} grossMonthly
+ * @param {Object} [options]
+ * @param {number} [options.monthlyReliefs] - tax-exempt contributions
+ *   (employee pension + NHF) deducted from taxable income
+ * @param {Object} [options.table] - tax table for the pay period
  */
-function calculateMonthlyPAYE(grossMonthly) {
+function calculateMonthlyPAYE(grossMonthly, { monthlyReliefs = 0, table = DEFAULT_TAX_TABLE } = {}) {
     const grossAnnual = grossMonthly * 12;
-    const cra = calculateCRA(grossAnnual);
-    const taxableAnnual = Math.max(0, grossAnnual - cra);
+    const cra = calculateCRA(grossAnnual, table);
+    const reliefsAnnual = monthlyReliefs * 12;
+    const taxableAnnual = Math.max(0, grossAnnual - cra - reliefsAnnual);
 
     let remaining = taxableAnnual;
     let bandTax = 0;
-    for (const band of ANNUAL_TAX_BANDS) {
+    for (const band of table.bands) {
         if (remaining <= 0) break;
         const amountInBand = Math.min(remaining, band.amount);
         bandTax += amountInBand * band.rate;
@@ -53,15 +77,16 @@ function calculateMonthlyPAYE(grossMonthly) {
     }
 
     // Minimum tax rule: if the graduated-band calculation comes out below
-    // 1% of gross income (common for very low earners after CRA), 1% of
-    // gross applies instead.
-    const minimumTax = 0.01 * grossAnnual;
+    // the minimum rate of gross income (1% under the 2011 table; common for
+    // very low earners after CRA), the minimum applies instead.
+    const minimumTax = table.minimumTaxRate * grossAnnual;
     const annualTax = Math.max(bandTax, minimumTax);
     const minimumTaxApplied = minimumTax > bandTax;
 
     return {
         grossAnnual,
         cra,
+        reliefsAnnual,
         taxableAnnual,
         annualTax,
         monthlyTax: annualTax / 12,
@@ -70,8 +95,8 @@ function calculateMonthlyPAYE(grossMonthly) {
     };
 }
 
-function monthlyDevelopmentLevy() {
-    return DEVELOPMENT_LEVY_ANNUAL / 12;
+function monthlyDevelopmentLevy(table = DEFAULT_TAX_TABLE) {
+    return table.developmentLevyAnnual / 12;
 }
 
-module.exports = { calculateMonthlyPAYE, calculateCRA, monthlyDevelopmentLevy, ANNUAL_TAX_BANDS };
+module.exports = { calculateMonthlyPAYE, calculateCRA, monthlyDevelopmentLevy, ANNUAL_TAX_BANDS, DEFAULT_TAX_TABLE };
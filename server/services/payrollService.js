@@ -0,0 +1,372 @@
+/**
+ * Payroll Service
+ * Paystub figures for payroll runs (see routes/payrollRuns.js).
+ *
+ * Statutory contributions are configured under Settings > Payroll:
+ * - Pension (PRA 2014): employee and employer percentages of basic +
+ *   housing + transport. Only the employee share comes out of net pay; the
+ *   employer share is recorded for the remittance schedule.
+ * - NHF: a percentage of basic salary.
+ * Both are off until enabled, and both reduce taxable income for PAYE.
+ *
+ * PAYE and the Development Levy come from the tax table in effect for the
+ * run's pay period (taxTableService.js); each paystub records which one.
+ *
+ * Approved unpaid leave in the pay period (leaveService.js) reduces every
+ * earnings line pro rata by the working days missed, before tax.
+ *
+ * A regular run drafts one paystub per active employee from their salary on
+ * file. Once a month has an approved run, anything run for that month again
+ * is compared against what was already issued, and only the difference is
+ * drafted - as an "adjustment" paystub pointing at the original.
+ *
+ * It also totals a tax year of approved paystubs for the annual tax
+ * deduction certificate and the company's annual PAYE return.
+ */
+
+const db = require('../config/database');
+const { calculateMonthlyPAYE, monthlyDevelopmentLevy, DEFAULT_TAX_TABLE } = require('./payeService');
+const { getTaxTableForPeriod } = require('./taxTableService');
+const { getUnpaidLeaveDays, countWorkingDays, monthBounds } = require('./leaveService');
+
+// Every money column on a paystub, in payslip order, plus the unpaid leave
+// days behind unpaid_leave_deduction (adjustments carry both as deltas)
+const AMOUNT_FIELDS = [
+    'basic_salary', 'housing_allowance', 'transport_allowance', 'utility_allowance', 'meal_allowance',
+    'unpaid_leave_days', 'unpaid_leave_deduction',
+    'gross_pay', 'paye_tax', 'cra_amount', 'development_levy', 'pension_employee', 'nhf_contribution',
+    'deductions', 'net_pay', 'pension_employer'
+];
+
+// PRA 2014 minimums and the NHF Act rate
+const DEFAULT_STATUTORY = {
+    pensionEnabled: false,
+    pensionEmployeeRate: 8,
+    pensionEmployerRate: 10,
+    nhfEnabled: false,
+    nhfRate: 2.5
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Pension/NHF settings from system_settings (category 'payroll')
+ */
+async function getStatutorySettings() {
+    const result = await db.query(
+        "SELECT setting_key, setting_value FROM system_settings WHERE category = 'payroll'"
+    );
+    const raw = Object.fromEntries(result.rows.map(r => [r.setting_key, r.setting_value]));
+
+    const rate = (key, fallback) => {
+        const value = parseFloat(raw[key]);
+        return Number.isFinite(value) && value >= 0 && value <= 100 ? value : fallback;
+    };
+
+    return {
+        pensionEnabled: raw.pension_enabled === 'true',
+        pensionEmployeeRate: rate('pension_employee_rate', DEFAULT_STATUTORY.pensionEmployeeRate),
+        pensionEmployerRate: rate('pension_employer_rate', DEFAULT_STATUTORY.pensionEmployerRate),
+        nhfEnabled: raw.nhf_enabled === 'true',
+        nhfRate: rate('nhf_rate', DEFAULT_STATUTORY.nhfRate)
+    };
+}
+
+/**
+ * Paystub figures from a salary structure (a Staff.getSalaryInfo() row).
+ * "Other deductions" (advances, etc.) are entered by the Accountant.
+ * Unpaid leave days out of the month's working days reduce each earnings
+ * line pro rata.
+ */
+function calculatePaystub(salary, {
+    deductions = 0,
+    statutory = DEFAULT_STATUTORY,
+    taxTable = DEFAULT_TAX_TABLE,
+    unpaidLeaveDays = 0,
+    workingDays = 0
+} = {}) {
+    const payFraction = unpaidLeaveDays > 0 && workingDays > 0
+        ? Math.max(0, 1 - unpaidLeaveDays / workingDays)
+        : 1;
+    const fullGross = ['base_salary', 'housing_allowance', 'transport_allowance', 'utility_allowance', 'meal_allowance']
+        .reduce((sum, field) => sum + (parseFloat(salary[field]) || 0), 0);
+
+    const basic = round2((parseFloat(salary.base_salary) || 0) * payFraction);
+    const housing = round2((parseFloat(salary.housing_allowance) || 0) * payFraction);
+    const transport = round2((parseFloat(salary.transport_allowance) || 0) * payFraction);
+    const utility = round2((parseFloat(salary.utility_allowance) || 0) * payFraction);
+    const meal = round2((parseFloat(salary.meal_allowance) || 0) * payFraction);
+    const gross = basic + housing + transport + utility + meal;
+
+    const pensionable = basic + housing + transport;
+    const pensionEmployee = statutory.pensionEnabled ? round2(pensionable * statutory.pensionEmployeeRate / 100) : 0;
+    const pensionEmployer = statutory.pensionEnabled ? round2(pensionable * statutory.pensionEmployerRate / 100) : 0;
+    const nhf = statutory.nhfEnabled ? round2(basic * statutory.nhfRate / 100) : 0;
+
+    const paye = calculateMonthlyPAYE(gross, { monthlyReliefs: pensionEmployee + nhf, table: taxTable });
+    const devLevy = monthlyDevelopmentLevy(taxTable);
+    const otherDeductions = parseFloat(deductions) || 0;
+
+    return {
+        basic_salary: round2(basic),
+        housing_allowance: round2(housing),
+        transport_allowance: round2(transport),
+        utility_allowance: round2(utility),
+        meal_allowance: round2(meal),
+        unpaid_leave_days: payFraction < 1 ? unpaidLeaveDays : 0,
+        unpaid_leave_deduction: round2(fullGross - gross),
+        gross_pay: round2(gross),
+        paye_tax: round2(paye.monthlyTax),
+        cra_amount: round2(paye.monthlyCRA),
+        development_levy: round2(devLevy),
+        pension_employee: pensionEmployee,
+        nhf_contribution: nhf,
+        deductions: round2(otherDeductions),
+        net_pay: round2(gross - paye.monthlyTax - devLevy - pensionEmployee - nhf - otherDeductions),
+        pension_employer: pensionEmployer
+    };
+}
+
+/**
+ * Field-by-field totals of already issued paystubs (a regular payslip plus
+ * any earlier adjustments)
+ */
+function sumPaystubs(paystubs) {
+    const totals = Object.fromEntries(AMOUNT_FIELDS.map(f => [f, 0]));
+    for (const paystub of paystubs) {
+        for (const field of AMOUNT_FIELDS) {
+            totals[field] += parseFloat(paystub[field]) || 0;
+        }
+    }
+    return Object.fromEntries(AMOUNT_FIELDS.map(f => [f, round2(totals[f])]));
+}
+
+/**
+ * What an adjustment has to carry: current figures minus issued totals.
+ * Returns null when nothing changed.
+ */
+function calculateAdjustment(current, issued) {
+    const delta = Object.fromEntries(AMOUNT_FIELDS.map(f => [f, round2((current[f] || 0) - (issued[f] || 0))]));
+    return AMOUNT_FIELDS.some(f => Math.abs(delta[f]) >= 0.01) ? delta : null;
+}
+
+/**
+ * Draft paystubs for a run, inserted through the given transaction client.
+ * Active staff without a salary on file are skipped and reported back.
+ * "Other deductions" already entered on the run's drafts are carried over
+ * when a draft run is regenerated.
+ */
+async function draftRunPaystubs(client, run, generatedBy, carriedDeductions = new Map()) {
+    const statutory = await getStatutorySettings();
+    const taxTable = await getTaxTableForPeriod(run.pay_period_month, run.pay_period_year, client);
+    const unpaidLeave = await getUnpaidLeaveDays(run.pay_period_month, run.pay_period_year, client);
+    const { first, last } = monthBounds(run.pay_period_month, run.pay_period_year);
+    const workingDays = countWorkingDays(first, last);
+    const staffResult = await client.query(
+        `SELECT id, name, base_salary, housing_allowance, transport_allowance,
+                utility_allowance, meal_allowance, salary_currency
+         FROM staff WHERE is_active = true ORDER BY name`
+    );
+    const issuedResult = await client.query(
+        `SELECT * FROM paystubs
+         WHERE pay_period_month = $1 AND pay_period_year = $2 AND locked_at IS NOT NULL`,
+        [run.pay_period_month, run.pay_period_year]
+    );
+
+    const issuedByStaff = new Map();
+    for (const paystub of issuedResult.rows) {
+        if (!issuedByStaff.has(paystub.staff_id)) {
+            issuedByStaff.set(paystub.staff_id, []);
+        }
+        issuedByStaff.get(paystub.staff_id).push(paystub);
+    }
+
+    const skipped = [];
+    let drafted = 0;
+
+    for (const salary of staffResult.rows) {
+        const issued = issuedByStaff.get(salary.id) || [];
+        if (!salary.base_salary && !issued.length) {
+            skipped.push({ staffId: salary.id, name: salary.name, reason: 'No salary on file' });
+            continue;
+        }
+
+        const carried = carriedDeductions.get(salary.id);
+        const original = issued.find(p => p.entry_type === 'regular');
+
+        let entry;
+        let entryType = 'regular';
+        if (original) {
+            // Already paid for this month - draft only the difference. Other
+            // deductions already taken stay taken; any entered on this run
+            // come on top.
+            const issuedTotals = sumPaystubs(issued);
+            const current = calculatePaystub(salary, {
+                deductions: issuedTotals.deductions + (parseFloat(carried?.deductions) || 0),
+                statutory,
+                taxTable,
+                unpaidLeaveDays: unpaidLeave.get(salary.id) || 0,
+                workingDays
+            });
+            entry = calculateAdjustment(current, issuedTotals);
+            entryType = 'adjustment';
+            if (!entry) {
+                continue;
+            }
+        } else {
+            entry = calculatePaystub(salary, {
+                deductions: carried?.deductions,
+                statutory,
+                taxTable,
+                unpaidLeaveDays: unpaidLeave.get(salary.id) || 0,
+                workingDays
+            });
+        }
+
+        await client.query(
+            `INSERT INTO paystubs (
+                staff_id, pay_period_month, pay_period_year, basic_salary,
+                housing_allowance, transport_allowance, utility_allowance, meal_allowance,
+                gross_pay, paye_tax, cra_amount, development_levy,
+                deductions, deductions_note, net_pay, currency, generated_by,
+                payroll_run_id, entry_type, adjusts_paystub_id,
+                pension_employee, pension_employer, nhf_contribution, tax_table_id,
+                unpaid_leave_days, unpaid_leave_deduction
+            ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26)`,
+            [salary.id, run.pay_period_month, run.pay_period_year,
+                entry.basic_salary, entry.housing_allowance, entry.transport_allowance,
+                entry.utility_allowance, entry.meal_allowance, entry.gross_pay,
+                entry.paye_tax, entry.cra_amount, entry.development_levy,
+                entry.deductions, carried?.deductions_note || null, entry.net_pay,
+                salary.salary_currency || 'NGN', generatedBy,
+                run.id, entryType, original ? original.id : null,
+                entry.pension_employee, entry.pension_employer, entry.nhf_contribution, taxTable.id,
+                entry.unpaid_leave_days, entry.unpaid_leave_deduction]
+        );
+        drafted++;
+    }
+
+    return { drafted, skipped };
+}
+
+/**
+ * A run with its paystubs and totals, for the review screen
+ */
+async function getRunDetail(runId) {
+    const runResult = await db.query(
+        `SELECT r.*, c.name AS created_by_name, a.name AS approved_by_name,
+                (SELECT t.name FROM paystubs p JOIN tax_tables t ON t.id = p.tax_table_id
+                 WHERE p.payroll_run_id = r.id LIMIT 1) AS tax_table_name
+         FROM payroll_runs r
+         LEFT JOIN staff c ON c.id = r.created_by
+         LEFT JOIN staff a ON a.id = r.approved_by
+         WHERE r.id = $1`,
+        [runId]
+    );
+    const run = runResult.rows[0];
+    if (!run) {
+        return null;
+    }
+
+    const paystubs = await db.query(
+        `SELECT p.*, s.name AS staff_name, s.email AS staff_email, s.department
+         FROM paystubs p
+         JOIN staff s ON s.id = p.staff_id
+         WHERE p.payroll_run_id = $1
+         ORDER BY s.name`,
+        [runId]
+    );
+
+    return { ...run, paystubs: paystubs.rows, totals: sumPaystubs(paystubs.rows) };
+}
+
+// What the annual tax certificate and return report, per month and in total
+const TAX_YEAR_FIELDS = [
+    'gross_pay', 'cra_amount', 'pension_employee', 'nhf_contribution', 'paye_tax', 'development_levy'
+];
+
+/**
+ * Group per-staff, per-month paystub totals (rows from getAnnualTaxSummary's
+ * query) into one entry per employee with monthly figures, year totals and
+ * taxable income (gross less CRA and the pension/NHF relief)
+ */
+function summarizeTaxYear(rows) {
+    const byStaff = new Map();
+    for (const row of rows) {
+        if (!byStaff.has(row.staff_id)) {
+            byStaff.set(row.staff_id, {
+                staffId: row.staff_id,
+                name: row.name,
+                email: row.email,
+                department: row.department,
+                role: row.role,
+                nin: row.nin,
+                tin: row.tin,
+                months: [],
+                totals: Object.fromEntries(TAX_YEAR_FIELDS.map(f => [f, 0]))
+            });
+        }
+        const employee = byStaff.get(row.staff_id);
+        const month = { month: row.pay_period_month };
+        for (const field of TAX_YEAR_FIELDS) {
+            month[field] = round2(parseFloat(row[field]) || 0);
+            employee.totals[field] += month[field];
+        }
+        employee.months.push(month);
+    }
+
+    return [...byStaff.values()].map(employee => {
+        const totals = Object.fromEntries(TAX_YEAR_FIELDS.map(f => [f, round2(employee.totals[f])]));
+        totals.taxable_income = round2(Math.max(0,
+            totals.gross_pay - totals.cra_amount - totals.pension_employee - totals.nhf_contribution));
+        employee.months.sort((a, b) => a.month - b.month);
+        return { ...employee, totals };
+    });
+}
+
+/**
+ * PAYE for a tax year (January - December) from approved paystubs, per
+ * employee, with adjustments counted in the month they correct. Covers
+ * leavers too. Pass a staff id for one employee's certificate.
+ */
+async function getAnnualTaxSummary(year, staffId = null) {
+    const result = await db.query(
+        `SELECT p.staff_id, s.name, s.email, s.department, s.role, s.nin, s.tin, p.pay_period_month,
+                SUM(p.gross_pay) AS gross_pay, SUM(p.cra_amount) AS cra_amount,
+                SUM(p.pension_employee) AS pension_employee, SUM(p.nhf_contribution) AS nhf_contribution,
+                SUM(p.paye_tax) AS paye_tax, SUM(p.development_levy) AS development_levy
+         FROM paystubs p
+         JOIN staff s ON s.id = p.staff_id
+         WHERE p.pay_period_year = $1 AND p.locked_at IS NOT NULL
+           AND ($2::uuid IS NULL OR p.staff_id = $2)
+         GROUP BY p.staff_id, s.name, s.email, s.department, s.role, s.nin, s.tin, p.pay_period_month
+         ORDER BY s.name, p.pay_period_month`,
+        [year, staffId]
+    );
+    return summarizeTaxYear(result.rows);
+}
+
+/**
+ * The company's own tax details for certificates and returns
+ */
+async function getEmployerTaxDetails() {
+    const result = await db.query(
+        "SELECT setting_value FROM system_settings WHERE setting_key = 'employer_tin'"
+    );
+    return { tin: result.rows[0]?.setting_value || null };
+}
+
+module.exports = {
+    AMOUNT_FIELDS,
+    TAX_YEAR_FIELDS,
+    DEFAULT_STATUTORY,
+    getStatutorySettings,
+    calculatePaystub,
+    sumPaystubs,
+    calculateAdjustment,
+    draftRunPaystubs,
+    getRunDetail,
+    summarizeTaxYear,
+    getAnnualTaxSummary,
+    getEmployerTaxDetails
+};
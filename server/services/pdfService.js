@@ -2,8 +2,9 @@
  * PDF Generation Service
  * Uses pdfkit (pure JS, no headless browser) to keep the container light.
  * Shared branded letterhead (logo + brand block + contact info + doc-ref
- * metadata + footer) used by paystubs, contracts, and the standalone
- * letterhead generator, so every generated document looks consistent.
+ * metadata + footer) used by paystubs, contracts, client quotes and
+ * invoices, and the standalone letterhead generator, so every generated
+ * document looks consistent.
  */
 
 const PDFDocument = require('pdfkit');
@@ -135,6 +136,9 @@ function labelValueRow(doc, x, y, label, value, width) {
 
 /**
  * Generate a monthly paystub PDF. Returns a Buffer.
+ * Adjustment paystubs (from a re-run of an approved payroll month) carry
+ * only the difference from what was already paid, so their amounts may be
+ * negative.
  */
 function generatePaystubPDF(paystub, staff) {
     return new Promise((resolve, reject) => {
@@ -146,7 +150,8 @@ function generatePaystubPDF(paystub, staff) {
             doc.on('error', reject);
 
             const periodLabel = `${MONTH_NAMES[paystub.pay_period_month - 1]} ${paystub.pay_period_year}`;
-            let y = drawHeader(doc, 'Payslip', paystub.generated_at);
+            const isAdjustment = paystub.entry_type === 'adjustment';
+            let y = drawHeader(doc, isAdjustment ? 'Payslip Adjustment' : 'Payslip', paystub.generated_at);
 
             // Employee info block
             const colWidth = (doc.page.width - 100) / 2;
@@ -157,6 +162,12 @@ function generatePaystubPDF(paystub, staff) {
             labelValueRow(doc, 50 + colWidth, y, 'Pay Period', periodLabel, colWidth);
             y += 40;
 
+            if (isAdjustment) {
+                doc.fontSize(9.5).font('Helvetica').fillColor(GRAY)
+                    .text(`Correction to the payslip already issued for ${periodLabel}. Amounts shown are the difference only.`, 50, y, { width: doc.page.width - 100 });
+                y += 24;
+            }
+
             doc.moveTo(50, y).lineTo(doc.page.width - 50, y).strokeColor(BORDER).stroke();
             y += 20;
 
@@ -182,23 +193,43 @@ function generatePaystubPDF(paystub, staff) {
             y += 10;
             doc.fontSize(11).font('Helvetica-Bold').fillColor(DARK).text('Gross Pay', 50, y, { width: 300 });
             doc.text(formatNaira(paystub.gross_pay), 350, y, { width: doc.page.width - 400, align: 'right' });
-            y += 30;
+            y += 18;
+
+            const unpaidDays = parseFloat(paystub.unpaid_leave_days) || 0;
+            if (unpaidDays !== 0) {
+                doc.fontSize(9).font('Helvetica').fillColor(GRAY)
+                    .text(`Earnings above are reduced by ${formatNaira(paystub.unpaid_leave_deduction)} for ${unpaidDays} working day(s) of unpaid leave.`, 50, y, { width: doc.page.width - 100 });
+                doc.fillColor(DARK);
+                y += 16;
+            }
+            y += 12;
 
             // Deductions
             doc.fontSize(12).font('Helvetica-Bold').text('Deductions', 50, y);
             y += 20;
 
+            const pensionEmployee = parseFloat(paystub.pension_employee) || 0;
+            const nhf = parseFloat(paystub.nhf_contribution) || 0;
+            const reliefNote = pensionEmployee || nhf ? ` and pension/NHF relief of ${formatNaira(pensionEmployee + nhf)}` : '';
             const deductionRows = [
-                [`PAYE Tax (after CRA of ${formatNaira(paystub.cra_amount)})`, paystub.paye_tax],
+                [`PAYE Tax (after CRA of ${formatNaira(paystub.cra_amount)}${reliefNote})`, paystub.paye_tax],
                 ['Development Levy (DBIR)', paystub.development_levy]
             ];
-            if (parseFloat(paystub.deductions) > 0) {
+            if (pensionEmployee !== 0) {
+                deductionRows.push(['Pension - Employee Contribution (PRA 2014)', pensionEmployee]);
+            }
+            if (nhf !== 0) {
+                deductionRows.push(['National Housing Fund (NHF)', nhf]);
+            }
+            if (parseFloat(paystub.deductions) !== 0) {
                 deductionRows.push([paystub.deductions_note || 'Other Deductions', paystub.deductions]);
             }
 
             deductionRows.forEach(([label, value]) => {
+                // A negative deduction (adjustments only) is money given back
+                const sign = parseFloat(value) < 0 ? '+' : '-';
                 doc.fontSize(10).font('Helvetica').fillColor(DARK).text(label, 50, y, { width: 320 });
-                doc.text('-' + formatNaira(value), 370, y, { width: doc.page.width - 420, align: 'right' });
+                doc.text(sign + formatNaira(Math.abs(value)), 370, y, { width: doc.page.width - 420, align: 'right' });
                 y += 20;
             });
             y += 10;
@@ -206,8 +237,17 @@ function generatePaystubPDF(paystub, staff) {
             // Net pay - highlighted
             doc.rect(50, y, doc.page.width - 100, 44).fill(LIGHT);
             doc.fontSize(13).font('Helvetica-Bold').fillColor(BRAND_BLUE)
-                .text('Net Pay', 66, y + 14);
+                .text(isAdjustment ? 'Net Pay Adjustment' : 'Net Pay', 66, y + 14);
             doc.fontSize(15).text(formatNaira(paystub.net_pay), 50, y + 12, { width: doc.page.width - 116, align: 'right' });
+            y += 56;
+
+            // Employer's share is paid on top of salary, so it's shown for
+            // information rather than as a deduction
+            if (parseFloat(paystub.pension_employer)) {
+                const pfa = [staff.pfa_name, staff.rsa_pin ? `RSA PIN ${staff.rsa_pin}` : null].filter(Boolean).join(', ');
+                doc.fontSize(9).font('Helvetica').fillColor(GRAY)
+                    .text(`Employer pension contribution (paid by the Company, not deducted): ${formatNaira(paystub.pension_employer)}${pfa ? ` - remitted to ${pfa}` : ''}`, 50, y, { width: doc.page.width - 100 });
+            }
 
             drawFooter(doc, `This document is confidential and intended solely for ${staff.name}.`);
 
@@ -218,10 +258,36 @@ function generatePaystubPDF(paystub, staff) {
     });
 }
 
+const CONTRACT_TITLES = {
+    offer: 'Employment Offer Letter',
+    amendment: 'Contract Amendment',
+    renewal: 'Contract Renewal'
+};
+
+const formatLetterDate = (value) => new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' });
+
+// A contract term as printed in an amendment's table of changes
+function formatContractTerm(field, value) {
+    if (value === null || value === undefined || value === '') {
+        return '—';
+    }
+    if (/salary|allowance/.test(field)) {
+        return formatNaira(value);
+    }
+    if (field === 'end_date') {
+        return formatLetterDate(value);
+    }
+    return String(value);
+}
+
 /**
  * Generate an employment contract PDF. Returns a Buffer.
+ * Offers and renewals are full letters; an amendment lists only what
+ * changed (pass `changes` from contractService.diffContractTerms). Once
+ * signed, the signature, time and IP are printed in the acceptance
+ * section, followed by the company's countersignature when there is one.
  */
-function generateContractPDF(contract, staff) {
+function generateContractPDF(contract, staff, { changes = null } = {}) {
     return new Promise((resolve, reject) => {
         try {
             const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 15, left: 50, right: 50 } });
@@ -261,7 +327,8 @@ function generateContractPDF(contract, staff) {
                 return yPos + h + 14;
             };
 
-            let y = drawHeader(doc, 'Employment Offer Letter', contract.generated_at);
+            const contractType = contract.contract_type || 'offer';
+            let y = drawHeader(doc, CONTRACT_TITLES[contractType], contract.generated_at);
 
             // Recipient + subject
             y = ensureSpace(y, 90);
@@ -272,101 +339,186 @@ function generateContractPDF(contract, staff) {
             doc.fillColor(GRAY).font('Helvetica').fontSize(9.5).text(staff.email, 50, y);
             y += 26;
 
-            const subject = `Re: Offer of Employment - ${contract.job_title}`;
+            const subject = {
+                offer: `Re: Offer of Employment - ${contract.job_title}`,
+                amendment: `Re: Amendment to Your Employment Contract (Version ${contract.version})`,
+                renewal: `Re: Renewal of Your Fixed-Term Contract - ${contract.job_title}`
+            }[contractType];
             doc.fillColor(DARK).font('Helvetica-Bold').fontSize(11).text(subject, 50, y, { width: contentWidth });
             y += doc.heightOfString(subject, { width: contentWidth, fontSize: 11 }) + 20;
 
             const firstName = (staff.name || '').trim().split(/\s+/)[0] || 'there';
             y = paragraph(y, `Dear ${firstName},`);
-            y = paragraph(y, `On behalf of Tekvwa IT Solutions Ltd (the "Company"), I am pleased to offer you the ` +
-                `position of ${contract.job_title}. We were impressed with your background and believe your ` +
-                `skills will be a valuable addition to our team. The terms and conditions of your employment ` +
-                `are outlined below.`);
-
-            // 1. Position & Scope of Work
-            y = heading(y, '1. Position & Scope of Work');
-            y = ensureSpace(y, 120);
-            labelValueRow(doc, 50, y, 'Job Title', contract.job_title, colWidth);
-            labelValueRow(doc, 50 + colWidth, y, 'Department', contract.department || '—', colWidth);
-            y += 40;
-            labelValueRow(doc, 50, y, 'Reporting To', contract.reporting_to || 'To be advised', colWidth);
-            labelValueRow(doc, 50 + colWidth, y, 'Employment Status', contract.employment_status || 'Full-Time', colWidth);
-            y += 40;
-            labelValueRow(doc, 50, y, 'Start Date', contract.start_date ? new Date(contract.start_date).toLocaleDateString('en-GB') : 'To be confirmed', colWidth);
-            labelValueRow(doc, 50 + colWidth, y, 'Offer Expires', contract.offer_expiration_date ? new Date(contract.offer_expiration_date).toLocaleDateString('en-GB') : '—', colWidth);
-            y += 46;
-
-            y = paragraph(y, 'Key Responsibilities:', { continued: false });
-            y = paragraph(y, contract.job_description || 'To be discussed with your manager.');
-
-            // 2. Compensation & Benefits
-            y = heading(y, '2. Compensation & Benefits');
-            y = ensureSpace(y, 30);
-            doc.fontSize(10).font('Helvetica-Bold').fillColor(DARK).text('Monthly Basic Salary', 50, y, { width: 300 });
-            doc.text(formatNaira(contract.basic_salary), 350, y, { width: contentWidth - 300, align: 'right' });
-            y += 22;
-
-            const allowances = [
-                ['Housing Allowance', contract.housing_allowance],
-                ['Transport Allowance', contract.transport_allowance],
-                ['Utility Allowance', contract.utility_allowance],
-                ['Meal / Entertainment Allowance', contract.meal_allowance]
-            ];
-            allowances.forEach(([label, value]) => {
-                y = ensureSpace(y, 18);
-                doc.fontSize(10).font('Helvetica').fillColor(DARK).text(label, 50, y, { width: 300 });
-                doc.text(formatNaira(value), 350, y, { width: contentWidth - 300, align: 'right' });
-                y += 18;
-            });
-            y = ensureSpace(y, 34);
-            doc.moveTo(50, y).lineTo(50 + contentWidth, y).strokeColor(BORDER).stroke();
-            y += 10;
-            doc.fontSize(11).font('Helvetica-Bold').fillColor(BRAND_BLUE).text('Monthly Gross Salary', 50, y, { width: 300 });
-            doc.text(formatNaira(contract.gross_salary), 350, y, { width: contentWidth - 300, align: 'right' });
-            y += 28;
-
-            y = paragraph(y, 'Salary is payable in accordance with the Company\'s regular payroll schedule. ' +
-                'You will be assigned a corporate email account and granted role-specific system permissions ' +
-                'upon onboarding.');
-
-            // 3. Leave & Vacation Policy
-            y = heading(y, '3. Leave & Vacation Policy');
-            y = paragraph(y, `Paid Time Off (PTO): You will be entitled to ${contract.pto_days || 15} days of ` +
-                `paid vacation per calendar year, accrued on a pro-rata basis.`);
-            y = paragraph(y, 'Statutory & Sick Leave: You are entitled to paid sick leave and official public ' +
-                'holidays in accordance with standard company policy and the Nigerian Labour Act.');
-
-            // 4. Termination & Resignation Terms
-            y = heading(y, '4. Termination & Resignation Terms');
-            y = paragraph(y, `Probationary Period: Your employment is subject to an initial probationary period ` +
-                `of ${contract.probation_period || '3 months'} from your start date.`);
-            y = paragraph(y, `Resignation Notice: Should you wish to resign, you are required to provide the ` +
-                `Company with a minimum of ${contract.resignation_notice || '2 weeks'} written notice.`);
-            y = paragraph(y, `Termination Notice: The Company reserves the right to terminate employment at any ` +
-                `time with or without cause by providing ${contract.termination_notice || '2 weeks'} notice or ` +
-                `pay in lieu of notice, or immediately in cases of gross misconduct.`);
-
-            // 5. Confidentiality & Intellectual Property
-            y = heading(y, '5. Confidentiality & Intellectual Property');
-            y = paragraph(y, 'During and after your employment, you agree to maintain strict confidentiality ' +
-                'regarding all proprietary information, software code, customer data, and trade secrets of ' +
-                'Tekvwa IT Solutions Ltd. All work products created during your employment remain the exclusive ' +
-                'property of the Company.');
-
-            // 6. Acceptance
-            y = heading(y, '6. Acceptance');
-            if (contract.accepted_at) {
-                y = ensureSpace(y, 70);
-                doc.roundedRect(50, y, contentWidth, 56, 4).fillColor(BADGE_BG).fill();
-                doc.fillColor(BRAND_BLUE_DARK).font('Helvetica-Bold').fontSize(10).text('ELECTRONICALLY ACCEPTED', 64, y + 10);
-                doc.fillColor(DARK).font('Helvetica').fontSize(9)
-                    .text(`Accepted by ${contract.accepted_signature_name} on ${new Date(contract.accepted_at).toLocaleString('en-GB')}`, 64, y + 26, { width: contentWidth - 28 });
-                doc.fillColor(GRAY).fontSize(8).text(`IP address: ${contract.accepted_ip || '—'}`, 64, y + 40);
-                y += 70;
+
+            // The acceptance section closes every kind of letter
+            const drawSignatures = (yPos) => {
+                if (contract.accepted_at) {
+                    const drawn = contract.accepted_signature_method === 'drawn' && contract.accepted_signature_image;
+                    const boxHeight = drawn ? 108 : 56;
+                    yPos = ensureSpace(yPos, boxHeight + 14);
+                    doc.roundedRect(50, yPos, contentWidth, boxHeight, 4).fillColor(BADGE_BG).fill();
+                    doc.fillColor(BRAND_BLUE_DARK).font('Helvetica-Bold').fontSize(10).text('ELECTRONICALLY SIGNED BY THE EMPLOYEE', 64, yPos + 10);
+                    let lineY = yPos + 26;
+                    if (drawn) {
+                        const image = Buffer.from(contract.accepted_signature_image.split(',')[1], 'base64');
+                        doc.image(image, 64, lineY, { fit: [200, 50] });
+                        lineY += 54;
+                    }
+                    doc.fillColor(DARK).font('Helvetica').fontSize(9)
+                        .text(`Signed by ${contract.accepted_signature_name} on ${new Date(contract.accepted_at).toLocaleString('en-GB')}`, 64, lineY, { width: contentWidth - 28 });
+                    doc.fillColor(GRAY).fontSize(8).text(`IP address: ${contract.accepted_ip || '—'}`, 64, lineY + 14);
+                    yPos += boxHeight + 14;
+                } else {
+                    yPos = paragraph(yPos, `To accept, please use the secure link emailed to you at ${staff.email}` +
+                        `${contract.offer_expiration_date ? ` before ${new Date(contract.offer_expiration_date).toLocaleDateString('en-GB')}` : ''}.`);
+                }
+
+                if (contract.countersigned_at) {
+                    const drawn = Boolean(contract.countersigned_signature_image);
+                    const boxHeight = drawn ? 120 : 68;
+                    yPos = ensureSpace(yPos, boxHeight + 14);
+                    doc.roundedRect(50, yPos, contentWidth, boxHeight, 4).fillColor(LIGHT).fill();
+                    doc.fillColor(BRAND_BLUE_DARK).font('Helvetica-Bold').fontSize(10).text('COUNTERSIGNED FOR TEKVWA IT SOLUTIONS LTD', 64, yPos + 10);
+                    let lineY = yPos + 26;
+                    if (drawn) {
+                        const image = Buffer.from(contract.countersigned_signature_image.split(',')[1], 'base64');
+                        doc.image(image, 64, lineY, { fit: [200, 50] });
+                        lineY += 54;
+                    }
+                    doc.fillColor(DARK).font('Helvetica').fontSize(9)
+                        .text(`Signed by ${contract.countersigned_signature_name} on ${new Date(contract.countersigned_at).toLocaleString('en-GB')}`, 64, lineY, { width: contentWidth - 28 });
+                    doc.fillColor(GRAY).fontSize(8)
+                        .text(`Employee-signed copy SHA-256: ${contract.accepted_pdf_sha256 || '—'}`, 64, lineY + 14, { width: contentWidth - 28 });
+                    yPos += boxHeight + 14;
+                }
+                return yPos;
+            };
+
+            if (contractType === 'amendment') {
+                y = paragraph(y, 'This letter sets out changes to the terms of your employment with Tekvwa IT ' +
+                    'Solutions Ltd (the "Company")' +
+                    `${contract.effective_date ? `, with effect from ${formatLetterDate(contract.effective_date)}` : ''}.`);
+                if (contract.change_summary) {
+                    y = paragraph(y, contract.change_summary);
+                }
+
+                y = heading(y, '1. Changes to Your Terms');
+                const termX = 50;
+                const fromX = 50 + contentWidth * 0.38;
+                const toX = 50 + contentWidth * 0.69;
+                const colW = contentWidth * 0.31 - 6;
+                y = ensureSpace(y, 20);
+                doc.fontSize(8.5).font('Helvetica-Bold').fillColor(GRAY);
+                doc.text('TERM', termX, y);
+                doc.text('PREVIOUSLY', fromX, y);
+                doc.text('FROM NOW ON', toX, y);
+                y += 16;
+                (changes || []).forEach(change => {
+                    y = ensureSpace(y, 20);
+                    doc.fontSize(10).font('Helvetica').fillColor(DARK).text(change.label, termX, y, { width: fromX - termX - 6 });
+                    doc.fillColor(GRAY).text(formatContractTerm(change.field, change.from), fromX, y, { width: colW });
+                    doc.font('Helvetica-Bold').fillColor(DARK).text(formatContractTerm(change.field, change.to), toX, y, { width: colW });
+                    y += 20;
+                });
+                if (!changes || !changes.length) {
+                    y = paragraph(y, 'No terms change in this version.');
+                }
+                y += 8;
+                y = paragraph(y, 'All other terms and conditions of your employment remain unchanged.');
+
+                y = heading(y, '2. Acceptance');
+                y = drawSignatures(y);
             } else {
-                y = paragraph(y, `This offer is contingent upon successful completion of onboarding ` +
-                    `verification. To accept, please use the secure link emailed to you at ${staff.email}` +
-                    `${contract.offer_expiration_date ? ` before ${new Date(contract.offer_expiration_date).toLocaleDateString('en-GB')}` : ''}.`);
+                y = paragraph(y, contractType === 'renewal'
+                    ? 'On behalf of Tekvwa IT Solutions Ltd (the "Company"), I am pleased to renew your fixed-term ' +
+                        `contract as ${contract.job_title}. The terms and conditions of the renewed contract are ` +
+                        'outlined below.'
+                    : `On behalf of Tekvwa IT Solutions Ltd (the "Company"), I am pleased to offer you the ` +
+                        `position of ${contract.job_title}. We were impressed with your background and believe your ` +
+                        `skills will be a valuable addition to our team. The terms and conditions of your employment ` +
+                        `are outlined below.`);
+
+                // 1. Position & Scope of Work
+                y = heading(y, '1. Position & Scope of Work');
+                y = ensureSpace(y, 120);
+                labelValueRow(doc, 50, y, 'Job Title', contract.job_title, colWidth);
+                labelValueRow(doc, 50 + colWidth, y, 'Department', contract.department || '—', colWidth);
+                y += 40;
+                labelValueRow(doc, 50, y, 'Reporting To', contract.reporting_to || 'To be advised', colWidth);
+                labelValueRow(doc, 50 + colWidth, y, 'Employment Status', contract.employment_status || 'Full-Time', colWidth);
+                y += 40;
+                labelValueRow(doc, 50, y, 'Start Date', contract.start_date ? new Date(contract.start_date).toLocaleDateString('en-GB') : 'To be confirmed', colWidth);
+                labelValueRow(doc, 50 + colWidth, y, 'Offer Expires', contract.offer_expiration_date ? new Date(contract.offer_expiration_date).toLocaleDateString('en-GB') : '—', colWidth);
+                y += 40;
+                if (contract.end_date) {
+                    labelValueRow(doc, 50, y, 'End Date', new Date(contract.end_date).toLocaleDateString('en-GB'), colWidth);
+                    y += 40;
+                }
+                y += 6;
+
+                y = paragraph(y, 'Key Responsibilities:', { continued: false });
+                y = paragraph(y, contract.job_description || 'To be discussed with your manager.');
+
+                // 2. Compensation & Benefits
+                y = heading(y, '2. Compensation & Benefits');
+                y = ensureSpace(y, 30);
+                doc.fontSize(10).font('Helvetica-Bold').fillColor(DARK).text('Monthly Basic Salary', 50, y, { width: 300 });
+                doc.text(formatNaira(contract.basic_salary), 350, y, { width: contentWidth - 300, align: 'right' });
+                y += 22;
+
+                const allowances = [
+                    ['Housing Allowance', contract.housing_allowance],
+                    ['Transport Allowance', contract.transport_allowance],
+                    ['Utility Allowance', contract.utility_allowance],
+                    ['Meal / Entertainment Allowance', contract.meal_allowance]
+                ];
+                allowances.forEach(([label, value]) => {
+                    y = ensureSpace(y, 18);
+                    doc.fontSize(10).font('Helvetica').fillColor(DARK).text(label, 50, y, { width: 300 });
+                    doc.text(formatNaira(value), 350, y, { width: contentWidth - 300, align: 'right' });
+                    y += 18;
+                });
+                y = ensureSpace(y, 34);
+                doc.moveTo(50, y).lineTo(50 + contentWidth, y).strokeColor(BORDER).stroke();
+                y += 10;
+                doc.fontSize(11).font('Helvetica-Bold').fillColor(BRAND_BLUE).text('Monthly Gross Salary', 50, y, { width: 300 });
+                doc.text(formatNaira(contract.gross_salary), 350, y, { width: contentWidth - 300, align: 'right' });
+                y += 28;
+
+                y = paragraph(y, 'Salary is payable in accordance with the Company\'s regular payroll schedule. ' +
+                    'You will be assigned a corporate email account and granted role-specific system permissions ' +
+                    'upon onboarding.');
+
+                // 3. Leave & Vacation Policy
+                y = heading(y, '3. Leave & Vacation Policy');
+                y = paragraph(y, `Paid Time Off (PTO): You will be entitled to ${contract.pto_days || 15} days of ` +
+                    `paid vacation per calendar year, accrued on a pro-rata basis.`);
+                y = paragraph(y, 'Statutory & Sick Leave: You are entitled to paid sick leave and official public ' +
+                    'holidays in accordance with standard company policy and the Nigerian Labour Act.');
+
+                // 4. Termination & Resignation Terms
+                y = heading(y, '4. Termination & Resignation Terms');
+                y = paragraph(y, `Probationary Period: Your employment is subject to an initial probationary period ` +
+                    `of ${contract.probation_period || '3 months'} from your start date.`);
+                y = paragraph(y, `Resignation Notice: Should you wish to resign, you are required to provide the ` +
+                    `Company with a minimum of ${contract.resignation_notice || '2 weeks'} written notice.`);
+                y = paragraph(y, `Termination Notice: The Company reserves the right to terminate employment at any ` +
+                    `time with or without cause by providing ${contract.termination_notice || '2 weeks'} notice or ` +
+                    `pay in lieu of notice, or immediately in cases of gross misconduct.`);
+
+                // 5. Confidentiality & Intellectual Property
+                y = heading(y, '5. Confidentiality & Intellectual Property');
+                y = paragraph(y, 'During and after your employment, you agree to maintain strict confidentiality ' +
+                    'regarding all proprietary information, software code, customer data, and trade secrets of ' +
+                    'Tekvwa IT Solutions Ltd. All work products created during your employment remain the exclusive ' +
+                    'property of the Company.');
+
+                // 6. Acceptance
+                y = heading(y, '6. Acceptance');
+                if (!contract.accepted_at && contractType === 'offer') {
+                    y = paragraph(y, 'This offer is contingent upon successful completion of onboarding verification.');
+                }
+                y = drawSignatures(y);
             }
 
             y = ensureSpace(y, 75) + 20;
@@ -448,4 +600,477 @@ function generateLetterheadPDF({ subject, recipient, date, body, signatureName,
     });
 }
 
-module.exports = { generatePaystubPDF, generateContractPDF, generateLetterheadPDF, formatNaira };
+/**
+ * Amount without the currency prefix, for tables whose headings say NGN
+ */
+function formatAmount(amount) {
+    const n = Number(amount) || 0;
+    return n.toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Draw a table of rows that may run over several pages. Each column is
+ * { label, width, align }; a row is an array of cell strings. The last row
+ * is drawn bold when options.totalsRow is set. On a page break the footer is
+ * drawn, a new page added and the column headings repeated. Returns the y
+ * position below the table.
+ */
+function drawTable(doc, y, columns, rows, { totalsRow = false, footerNote } = {}) {
+    const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+    const rowHeight = 18;
+    const pageBottom = doc.page.height - 110;
+
+    const drawHeadings = (top) => {
+        doc.rect(MARGIN, top, tableWidth, rowHeight + 4).fill(LIGHT);
+        let x = MARGIN;
+        columns.forEach(col => {
+            doc.fillColor(GRAY).font('Helvetica-Bold').fontSize(7.5)
+                .text(col.label.toUpperCase(), x + 4, top + 7, { width: col.width - 8, align: col.align || 'left', lineBreak: false });
+            x += col.width;
+        });
+        return top + rowHeight + 8;
+    };
+
+    y = drawHeadings(y);
+    rows.forEach((row, i) => {
+        if (y + rowHeight > pageBottom) {
+            drawFooter(doc, footerNote);
+            doc.addPage();
+            y = drawHeadings(MARGIN);
+        }
+        const isTotals = totalsRow && i === rows.length - 1;
+        if (isTotals) {
+            doc.moveTo(MARGIN, y - 3).lineTo(MARGIN + tableWidth, y - 3).lineWidth(1).strokeColor(BORDER).stroke();
+        }
+        let x = MARGIN;
+        row.forEach((cell, c) => {
+            doc.fillColor(DARK).font(isTotals ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5)
+                .text(cell, x + 4, y + 2, { width: columns[c].width - 8, align: columns[c].align || 'left', lineBreak: false, ellipsis: true });
+            x += columns[c].width;
+        });
+        y += rowHeight;
+    });
+
+    doc.font('Helvetica').fillColor(DARK);
+    return y + 6;
+}
+
+/**
+ * Generate an employee's annual tax deduction certificate (Form H1 / P9
+ * style) for a tax year: employer and employee tax details, PAYE month by
+ * month, year totals and a signature block. `summary` is one entry from
+ * payrollService.getAnnualTaxSummary(). Returns a Buffer.
+ */
+function generateTaxCertificatePDF(summary, year, employer = {}) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 15, left: 50, right: 50 } });
+            const chunks = [];
+            doc.on('data', (chunk) => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const contentWidth = doc.page.width - 100;
+            const confidential = `This document is confidential and intended solely for ${summary.name}.`;
+            let y = drawHeader(doc, `Tax Certificate ${year}`);
+
+            doc.fillColor(DARK).font('Helvetica-Bold').fontSize(15).text('Annual Tax Deduction Certificate', MARGIN, y);
+            y += 20;
+            doc.fillColor(GRAY).font('Helvetica').fontSize(9.5)
+                .text(`PAYE (Form H1 / P9) - tax year 1 January to 31 December ${year}`, MARGIN, y);
+            y += 26;
+
+            const colWidth = contentWidth / 2;
+            labelValueRow(doc, MARGIN, y, 'Employer', 'Tekvwa IT Solutions Ltd (RC 9748441)', colWidth);
+            labelValueRow(doc, MARGIN + colWidth, y, 'Employer TIN', employer.tin || 'Not recorded', colWidth);
+            y += 36;
+            labelValueRow(doc, MARGIN, y, 'Employee', summary.name, colWidth);
+            labelValueRow(doc, MARGIN + colWidth, y, 'Tax ID (TIN)', summary.tin || 'Pending', colWidth);
+            y += 36;
+            labelValueRow(doc, MARGIN, y, 'Department', summary.department || '—', colWidth);
+            labelValueRow(doc, MARGIN + colWidth, y, 'NIN', summary.nin || 'Not recorded', colWidth);
+            y += 40;
+
+            const columns = [
+                { label: 'Month', width: 105 },
+                { label: 'Gross Pay (NGN)', width: 100, align: 'right' },
+                { label: 'CRA (NGN)', width: 95, align: 'right' },
+                { label: 'Pension + NHF (NGN)', width: 100, align: 'right' },
+                { label: 'PAYE (NGN)', width: contentWidth - 400, align: 'right' }
+            ];
+            const rows = summary.months.map(m => [
+                MONTH_NAMES[m.month - 1],
+                formatAmount(m.gross_pay),
+                formatAmount(m.cra_amount),
+                formatAmount(m.pension_employee + m.nhf_contribution),
+                formatAmount(m.paye_tax)
+            ]);
+            const t = summary.totals;
+            rows.push(['Total', formatAmount(t.gross_pay), formatAmount(t.cra_amount),
+                formatAmount(t.pension_employee + t.nhf_contribution), formatAmount(t.paye_tax)]);
+            y = drawTable(doc, y, columns, rows, { totalsRow: true, footerNote: confidential });
+            y += 4;
+
+            // Gross, CRA and pension/NHF totals are in the table's last row
+            doc.fontSize(9.5).font('Helvetica').fillColor(DARK).text(
+                `Taxable income: ${formatNaira(t.taxable_income)}    Development Levy (DBIR): ${formatNaira(t.development_levy)}`,
+                MARGIN, y, { width: contentWidth }
+            );
+            y += 20;
+            doc.rect(MARGIN, y, contentWidth, 44).fill(LIGHT);
+            doc.fontSize(13).font('Helvetica-Bold').fillColor(BRAND_BLUE).text('Total PAYE Deducted', 66, y + 14);
+            doc.fontSize(15).text(formatNaira(t.paye_tax), MARGIN, y + 12, { width: contentWidth - 16, align: 'right' });
+            y += 56;
+
+            const statement = `This is to certify that the PAYE tax shown above was deducted from the emoluments of ${summary.name} `
+                + `under the PAYE system for the ${year} tax year, for remittance to the Delta State Board of Internal Revenue.`;
+            doc.fontSize(9.5).font('Helvetica').fillColor(DARK).text(statement, MARGIN, y, { width: contentWidth, lineGap: 2 });
+            y += doc.heightOfString(statement, { width: contentWidth, lineGap: 2 }) + 30;
+
+            doc.moveTo(MARGIN, y).lineTo(MARGIN + 220, y).lineWidth(1).strokeColor(BORDER).stroke();
+            doc.fillColor(GRAY).font('Helvetica').fontSize(9).text('Authorised Signatory and Company Stamp', MARGIN, y + 8);
+
+            drawFooter(doc, confidential);
+
+            doc.end();
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Generate the company's annual PAYE return for a tax year: one line per
+ * employee paid in the year with their tax details and totals, then the
+ * company total. `employees` is payrollService.getAnnualTaxSummary().
+ * A4 landscape. Returns a Buffer.
+ */
+function generateAnnualPayeReturnPDF(employees, year, employer = {}) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margins: { top: 50, bottom: 15, left: 50, right: 50 } });
+            const chunks = [];
+            doc.on('data', (chunk) => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const contentWidth = doc.page.width - 100;
+            const confidential = 'Confidential - contains employee tax records.';
+            let y = drawHeader(doc, `PAYE Return ${year}`);
+
+            doc.fillColor(DARK).font('Helvetica-Bold').fontSize(15).text(`Annual PAYE Return - ${year}`, MARGIN, y);
+            y += 20;
+            doc.fillColor(GRAY).font('Helvetica').fontSize(9.5).text(
+                `Tekvwa IT Solutions Ltd (RC 9748441) - Employer TIN: ${employer.tin || 'Not recorded'} - `
+                + 'Delta State Board of Internal Revenue. Approved payroll only; adjustments included.',
+                MARGIN, y, { width: contentWidth }
+            );
+            y += 26;
+
+            const columns = [
+                { label: '#', width: 24 },
+                { label: 'Employee', width: 128 },
+                { label: 'NIN', width: 78 },
+                { label: 'TIN', width: 72 },
+                { label: 'Months', width: 42, align: 'right' },
+                { label: 'Gross (NGN)', width: 82, align: 'right' },
+                { label: 'CRA (NGN)', width: 76, align: 'right' },
+                { label: 'Pension+NHF', width: 70, align: 'right' },
+                { label: 'Taxable (NGN)', width: 82, align: 'right' },
+                { label: 'PAYE (NGN)', width: contentWidth - 654, align: 'right' }
+            ];
+            const sum = (field) => employees.reduce((total, e) => total + e.totals[field], 0);
+            const rows = employees.map((e, i) => [
+                String(i + 1),
+                e.name,
+                e.nin || 'MISSING',
+                e.tin || 'PENDING',
+                String(e.months.length),
+                formatAmount(e.totals.gross_pay),
+                formatAmount(e.totals.cra_amount),
+                formatAmount(e.totals.pension_employee + e.totals.nhf_contribution),
+                formatAmount(e.totals.taxable_income),
+                formatAmount(e.totals.paye_tax)
+            ]);
+            rows.push(['', `Total (${employees.length} employees)`, '', '', '',
+                formatAmount(sum('gross_pay')), formatAmount(sum('cra_amount')),
+                formatAmount(sum('pension_employee') + sum('nhf_contribution')),
+                formatAmount(sum('taxable_income')), formatAmount(sum('paye_tax'))]);
+            y = drawTable(doc, y, columns, rows, { totalsRow: true, footerNote: confidential });
+            y += 8;
+
+            doc.fontSize(9).font('Helvetica').fillColor(GRAY).text(
+                `Development Levy deducted in the year: ${formatNaira(sum('development_levy'))}. `
+                + 'Employees with a missing NIN or pending TIN must be registered with DBIR before filing.',
+                MARGIN, y, { width: contentWidth }
+            );
+
+            drawFooter(doc, confidential);
+
+            doc.end();
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+const formatDocumentDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00`)
+    .toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' });
+
+/**
+ * Body of a quote or invoice: bill-to and dates, the line items, the VAT
+ * and WHT totals, then notes, terms and (invoices) payment details.
+ * `dates` is a list of [label, value] shown beside the client.
+ */
+function drawBillingDocument(doc, document, { heading, dates, footerLines = [] }) {
+    const contentWidth = doc.page.width - MARGIN * 2;
+    const footerNote = `${heading} ${document.number} - ${document.client_name}`;
+    let y = drawHeader(doc, document.number, document.issue_date);
+
+    doc.fillColor(DARK).font('Helvetica-Bold').fontSize(15).text(heading, MARGIN, y);
+    y += 20;
+    doc.fillColor(GRAY).font('Helvetica').fontSize(9.5).text(document.title, MARGIN, y, { width: contentWidth });
+    y += doc.heightOfString(document.title, { width: contentWidth }) + 16;
+
+    // Bill-to (left), dates (right)
+    const billTo = [document.client_company, document.client_name, document.client_address, document.client_email]
+        .filter(Boolean).join('\n');
+    doc.fillColor(MUTED).font('Helvetica-Bold').fontSize(7.5).text('BILL TO', MARGIN, y);
+    doc.fillColor(DARK).font('Helvetica').fontSize(10).text(billTo, MARGIN, y + 13, { width: contentWidth / 2 });
+    let dy = y;
+    dates.forEach(([label, value]) => {
+        doc.fillColor(MUTED).font('Helvetica-Bold').fontSize(7.5)
+            .text(label.toUpperCase(), MARGIN + contentWidth / 2, dy, { width: contentWidth / 2, align: 'right' });
+        doc.fillColor(DARK).font('Helvetica-Bold').fontSize(10)
+            .text(value, MARGIN + contentWidth / 2, dy + 11, { width: contentWidth / 2, align: 'right' });
+        dy += 30;
+    });
+    y = Math.max(y + 13 + doc.heightOfString(billTo, { width: contentWidth / 2 }), dy) + 18;
+
+    const columns = [
+        { label: '#', width: 24 },
+        { label: 'Description', width: contentWidth - 264 },
+        { label: 'Qty', width: 50, align: 'right' },
+        { label: 'Unit Price (NGN)', width: 95, align: 'right' },
+        { label: 'Amount (NGN)', width: 95, align: 'right' }
+    ];
+    const rows = document.items.map(item => [
+        String(item.position),
+        item.description,
+        String(Number(item.quantity)),
+        formatAmount(item.unit_price),
+        formatAmount(item.amount)
+    ]);
+    y = drawTable(doc, y, columns, rows, { footerNote });
+    y += 6;
+
+    // Totals, right-aligned under the amount column
+    const vatRate = Number(document.vat_rate);
+    const whtRate = Number(document.wht_rate);
+    const totals = [
+        ['Subtotal', formatNaira(document.subtotal)],
+        [`VAT (${vatRate}%)`, formatNaira(document.vat_amount)],
+        ['Total', formatNaira(document.total)]
+    ];
+    if (whtRate) {
+        totals.push([`Less WHT (${whtRate}%) deducted at source`, `-${formatNaira(document.wht_amount)}`]);
+    }
+    const labelX = MARGIN + contentWidth - 330;
+    if (y + totals.length * 16 + 140 > doc.page.height - 110) {
+        drawFooter(doc, footerNote);
+        doc.addPage();
+        y = MARGIN;
+    }
+    totals.forEach(([label, value]) => {
+        doc.fillColor(DARK).font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica').fontSize(9.5)
+            .text(label, labelX, y, { width: 200 });
+        doc.text(value, labelX + 200, y, { width: 130, align: 'right' });
+        y += 16;
+    });
+    y += 6;
+
+    doc.rect(MARGIN, y, contentWidth, 44).fill(LIGHT);
+    doc.fontSize(13).font('Helvetica-Bold').fillColor(BRAND_BLUE).text(document.dueLabel, 66, y + 14);
+    doc.fontSize(15).text(formatNaira(document.dueAmount), MARGIN, y + 12, { width: contentWidth - 16, align: 'right' });
+    y += 58;
+
+    if (whtRate) {
+        const whtNote = `Please remit the ${formatNaira(document.wht_amount)} withholding tax to FIRS and send us the WHT credit note.`;
+        doc.fontSize(8.5).font('Helvetica').fillColor(GRAY).text(whtNote, MARGIN, y, { width: contentWidth });
+        y += doc.heightOfString(whtNote, { width: contentWidth }) + 10;
+    }
+
+    [['Notes', document.notes], ['Terms', document.terms], ...footerLines]
+        .filter(([, text]) => text)
+        .forEach(([label, text]) => {
+            if (y + 12 + doc.heightOfString(text, { width: contentWidth, lineGap: 2 }) > doc.page.height - 90) {
+                drawFooter(doc, footerNote);
+                doc.addPage();
+                y = MARGIN;
+            }
+            doc.fillColor(MUTED).font('Helvetica-Bold').fontSize(7.5).text(label.toUpperCase(), MARGIN, y);
+            y += 12;
+            doc.fillColor(DARK).font('Helvetica').fontSize(9).text(text, MARGIN, y, { width: contentWidth, lineGap: 2 });
+            y += doc.heightOfString(text, { width: contentWidth, lineGap: 2 }) + 12;
+        });
+
+    drawFooter(doc, footerNote);
+}
+
+/**
+ * Generate a client quote (billingService.loadQuote()). Returns a Buffer.
+ */
+function generateQuotePDF(quote) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 15, left: 50, right: 50 } });
+            const chunks = [];
+            doc.on('data', (chunk) => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            drawBillingDocument(doc, {
+                ...quote,
+                number: quote.quote_number,
+                dueLabel: Number(quote.wht_rate) ? 'Payable After WHT' : 'Quote Total',
+                dueAmount: quote.amount_due
+            }, {
+                heading: 'Quotation',
+                dates: [
+                    ['Quote Date', formatDocumentDate(quote.issue_date)],
+                    ['Valid Until', formatDocumentDate(quote.valid_until)]
+                ]
+            });
+
+            doc.end();
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Generate a client invoice (billingService.loadInvoice()) with what has
+ * been paid so far and the bank details to pay into. Returns a Buffer.
+ */
+function generateInvoicePDF(invoice, { bankDetails = '', tin = null } = {}) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 15, left: 50, right: 50 } });
+            const chunks = [];
+            doc.on('data', (chunk) => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const paid = Number(invoice.amount_paid);
+            const balance = Number(invoice.amount_due) - paid;
+            const dates = [
+                ['Invoice Date', formatDocumentDate(invoice.issue_date)],
+                ['Due Date', formatDocumentDate(invoice.due_date)]
+            ];
+            if (invoice.quote_number) {
+                dates.push(['Quote Ref', invoice.quote_number]);
+            }
+            const footerLines = [];
+            if (paid) {
+                footerLines.push(['Payments Received', invoice.payments
+                    .map(p => `${formatDocumentDate(p.paid_on)}: ${formatNaira(p.amount)}${p.reference ? ` (${p.reference})` : ''}`)
+                    .join('\n')]);
+            }
+            footerLines.push(['Payment Details', bankDetails]);
+            if (tin) {
+                dates.push(['Our TIN', tin]);
+            }
+
+            drawBillingDocument(doc, {
+                ...invoice,
+                number: invoice.invoice_number,
+                dueLabel: invoice.status === 'void' ? 'Void' : balance <= 0 ? 'Paid in Full' : paid ? 'Balance Due' : 'Amount Due',
+                dueAmount: invoice.status === 'void' ? 0 : Math.max(balance, 0)
+            }, {
+                heading: invoice.status === 'void' ? 'Invoice (Void)' : 'Invoice',
+                dates,
+                footerLines
+            });
+
+            doc.end();
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Generate a chat transcript PDF from chatTranscript.buildTranscript().
+ * Returns a Buffer.
+ */
+function generateChatTranscriptPDF(transcript, { startedAt, reference }) {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 15, left: 50, right: 50 } });
+            const chunks = [];
+            doc.on('data', (chunk) => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const contentWidth = doc.page.width - MARGIN * 2;
+            const footerNote = 'This transcript contains personal data. Please store and share it accordingly.';
+            let y = drawHeader(doc, `Chat ${reference}`, startedAt);
+
+            doc.fillColor(DARK).font('Helvetica-Bold').fontSize(15).text(transcript.title, MARGIN, y);
+            y += 26;
+            transcript.details.forEach(([label, value]) => {
+                doc.fillColor(GRAY).font('Helvetica').fontSize(9).text(label, MARGIN, y, { width: 80 });
+                doc.fillColor(DARK).font('Helvetica').fontSize(9.5).text(value, MARGIN + 80, y, { width: contentWidth - 80 });
+                y += 15;
+            });
+            y += 12;
+
+            if (!transcript.entries.length) {
+                doc.fillColor(GRAY).font('Helvetica-Oblique').fontSize(10).text('No messages.', MARGIN, y);
+            }
+
+            transcript.entries.forEach(entry => {
+                const needed = 16 + doc.fontSize(10).heightOfString(entry.content, { width: contentWidth, lineGap: 2 }) + entry.attachments.length * 14;
+                if (y + needed > doc.page.height - 90) {
+                    drawFooter(doc, footerNote);
+                    doc.addPage();
+                    y = MARGIN;
+                }
+
+                doc.fillColor(entry.fromVisitor ? DARK : BRAND_BLUE).font('Helvetica-Bold').fontSize(9.5).text(entry.sender, MARGIN, y);
+                doc.fillColor(MUTED).font('Helvetica').fontSize(8.5).text(entry.time, MARGIN, y + 1, { width: contentWidth, align: 'right' });
+                y += 15;
+
+                if (entry.content) {
+                    doc.fillColor(DARK).font('Helvetica').fontSize(10).text(entry.content, MARGIN, y, { width: contentWidth, lineGap: 2 });
+                    y += doc.heightOfString(entry.content, { width: contentWidth, lineGap: 2 });
+                }
+                entry.attachments.forEach(attachment => {
+                    doc.fillColor(BRAND_BLUE).font('Helvetica').fontSize(9)
+                        .text(`Attachment: ${attachment.name}`, MARGIN, y + 2, { width: contentWidth, link: attachment.url, underline: true });
+                    y += 14;
+                });
+                y += 12;
+            });
+
+            drawFooter(doc, footerNote);
+
+            doc.end();
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+module.exports = {
+    generatePaystubPDF,
+    generateContractPDF,
+    generateLetterheadPDF,
+    generateTaxCertificatePDF,
+    generateAnnualPayeReturnPDF,
+    generateQuotePDF,
+    generateInvoicePDF,
+    generateChatTranscriptPDF,
+    formatNaira
+};
@@ -4,6 +4,8 @@
  */
 
 const db = require('../config/database');
+const SurveyService = require('./surveyService');
+const { groupSatisfaction } = require('../utils/satisfaction');
 
 const PerformanceService = {
     /**
@@ -15,13 +17,15 @@ const PerformanceService = {
             consultationMetrics,
             chatMetrics,
             responseTimeMetrics,
-            activityMetrics
+            activityMetrics,
+            satisfactionMetrics
         ] = await Promise.all([
             this.getMessageMetrics(staffId, startDate, endDate),
             this.getConsultationMetrics(staffId, startDate, endDate),
             this.getChatMetrics(staffId, startDate, endDate),
             this.getAverageResponseTime(staffId, startDate, endDate),
-            this.getActivityMetrics(staffId, startDate, endDate)
+            this.getActivityMetrics(staffId, startDate, endDate),
+            SurveyService.getStaffSatisfaction(staffId, startDate, endDate)
         ]);
 
         // Calculate performance score (0-100)
@@ -30,7 +34,8 @@ const PerformanceService = {
             consultationMetrics,
             chatMetrics,
             responseTimeMetrics,
-            activityMetrics
+            activityMetrics,
+            satisfactionMetrics
         });
 
         return {
@@ -41,6 +46,7 @@ const PerformanceService = {
             chats: chatMetrics,
             responseTime: responseTimeMetrics,
             activity: activityMetrics,
+            satisfaction: satisfactionMetrics,
             performanceScore
         };
     },
@@ -220,8 +226,17 @@ const PerformanceService = {
             ORDER BY total_actions DESC
         `, [startDate, endDate]);
 
+        // CSAT/NPS from surveys answered in the period
+        const satisfaction = new Map(
+            groupSatisfaction(await SurveyService.getResponses(startDate, endDate), r => r.staff_id, r => r.staff_name)
+                .map(group => [group.key, group])
+        );
+
         return result.rows.map(row => ({
             ...row,
+            survey_responses: satisfaction.get(row.id)?.responses || 0,
+            csat: satisfaction.get(row.id)?.csat ?? null,
+            nps: satisfaction.get(row.id)?.nps ?? null,
             messages_assigned: parseInt(row.messages_assigned),
             messages_converted: parseInt(row.messages_converted),
             consultations_assigned: parseInt(row.consultations_assigned),
@@ -240,7 +255,7 @@ const PerformanceService = {
     /**
      * Calculate overall performance score (0-100)
      */
-    calculatePerformanceScore({ messageMetrics, consultationMetrics, chatMetrics, responseTimeMetrics, activityMetrics }) {
+    calculatePerformanceScore({ messageMetrics, consultationMetrics, chatMetrics, responseTimeMetrics, activityMetrics, satisfactionMetrics }) {
         let score = 50; // Base score
 
         // Message conversion rate (up to 20 points)
@@ -261,7 +276,13 @@ const PerformanceService = {
         const activityScore = Math.min((activityMetrics.activeDays / expectedDays) * 10, 10);
         score += activityScore;
 
-        return Math.min(Math.round(score), 100);
+        // Customer satisfaction (-10 to +10 points): average CSAT above or
+        // below the neutral 3, once customers have rated anything
+        if (satisfactionMetrics && satisfactionMetrics.csat !== null) {
+            score += (satisfactionMetrics.csat - 3) * 5;
+        }
+
+        return Math.max(0, Math.min(Math.round(score), 100));
     },
 
     /**
@@ -300,6 +321,8 @@ const PerformanceService = {
                     messagesConverted: s.messages_converted,
                     consultationsCompleted: s.consultations_completed,
                     chatsHandled: s.chats_handled,
+                    csat: s.csat,
+                    nps: s.nps,
                     performanceScore: metrics.performanceScore
                 };
             })
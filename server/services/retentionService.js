@@ -0,0 +1,225 @@
+/**
+ * Data Retention Service
+ * Purges data that's past its retention period (utils/retentionPolicies.js,
+ * set under Settings > Data Retention), run nightly by the data-retention
+ * job:
+ *
+ * - Analytics events: deleted.
+ * - Closed chats: anonymized - the visitor's name and email, message text,
+ *   survey comments and staff notes are scrubbed and files deleted, but the
+ *   chat and its message times stay for chat, SLA and satisfaction reports.
+ * - Visitor IP addresses: truncated (utils/retentionPolicies.truncateIp).
+ * - Audit logs: deleted.
+ *
+ * Rows go in batches so no one statement locks a large table for long, and
+ * each run stops after MAX_BATCHES per policy; anything left is picked up
+ * the next night. Every run is recorded in the audit log.
+ */
+
+const db = require('../config/database');
+const AuditService = require('./auditService');
+const { removeAttachment } = require('./attachmentStorage');
+const { RETENTION_POLICIES, readRetentionSettings, retentionCutoff, truncateIp } = require('../utils/retentionPolicies');
+// The same placeholders a data subject erasure leaves
+const { ERASED, ERASED_EMAIL } = require('../utils/erasure');
+
+const BATCH_SIZE = 1000;
+const MAX_BATCHES = 50;
+
+// Which rows each policy applies to, given its cutoff as $1
+const ELIGIBLE = {
+    analytics_events: 'FROM analytics_events WHERE created_at < $1',
+    closed_chats: "FROM chat_sessions WHERE status = 'closed' AND anonymized_at IS NULL AND COALESCE(ended_at, started_at) < $1",
+    // Addresses already truncated end in .0 (IPv4) or :: (IPv6)
+    visitor_ips: "FROM visitors WHERE last_visit < $1 AND ip_address IS NOT NULL AND ip_address NOT LIKE '%.0' AND ip_address NOT LIKE '%::'",
+    audit_logs: 'FROM audit_logs WHERE created_at < $1'
+};
+
+async function getRetentionSettings() {
+    const result = await db.query(
+        "SELECT setting_key, setting_value FROM system_settings WHERE category = 'retention'"
+    );
+    return readRetentionSettings(result.rows);
+}
+
+/**
+ * Anonymize one batch of closed chats
+ * @returns {Promise<number>} chats anonymized
+ */
+async function anonymizeChats(cutoff) {
+    const client = await db.getClient();
+    let removedFiles = [];
+    let count = 0;
+    try {
+        await client.query('BEGIN');
+        const sessions = await client.query(
+            `SELECT id ${ELIGIBLE.closed_chats} ORDER BY COALESCE(ended_at, started_at) LIMIT $2 FOR UPDATE SKIP LOCKED`,
+            [cutoff, BATCH_SIZE]
+        );
+        const ids = sessions.rows.map(row => row.id);
+        count = ids.length;
+
+        if (count) {
+            const attachments = await client.query(
+                'DELETE FROM chat_attachments WHERE session_id = ANY($1) RETURNING storage_driver, storage_key',
+                [ids]
+            );
+            removedFiles = attachments.rows;
+            await client.query('UPDATE chat_messages SET content = $2 WHERE session_id = ANY($1)', [ids, ERASED]);
+            await client.query(
+                `UPDATE satisfaction_surveys SET respondent_email = NULL, comment = NULL, token_hash = NULL
+                 WHERE source_type = 'chat' AND source_id = ANY($1)`,
+                [ids]
+            );
+            await client.query("DELETE FROM internal_notes WHERE entity_type = 'chat' AND entity_id = ANY($1)", [ids]);
+            await client.query(
+                `UPDATE chat_sessions
+                 SET visitor_name = $2, visitor_email = ${ERASED_EMAIL}, search_vector = NULL, anonymized_at = CURRENT_TIMESTAMP
+                 WHERE id = ANY($1)`,
+                [ids, ERASED]
+            );
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    for (const file of removedFiles) {
+        try {
+            await removeAttachment(file.storage_driver, file.storage_key);
+        } catch (error) {
+            console.error(`Data retention: couldn't remove attachment file ${file.storage_key}:`, error);
+        }
+    }
+    return count;
+}
+
+/**
+ * Truncate one batch of visitor IP addresses
+ * @returns {Promise<number>} visitors updated
+ */
+async function truncateVisitorIps(cutoff) {
+    const visitors = await db.query(
+        `SELECT id, ip_address ${ELIGIBLE.visitor_ips} LIMIT $2`,
+        [cutoff, BATCH_SIZE]
+    );
+    if (!visitors.rows.length) {
+        return 0;
+    }
+
+    await db.query(
+        `UPDATE visitors v SET ip_address = u.ip_address
+         FROM unnest($1::uuid[], $2::varchar[]) AS u(id, ip_address)
+         WHERE v.id = u.id`,
+        [visitors.rows.map(row => row.id), visitors.rows.map(row => truncateIp(row.ip_address))]
+    );
+    return visitors.rows.length;
+}
+
+/**
+ * Delete one batch of rows from a table
+ * @returns {Promise<number>} rows deleted
+ */
+async function deleteBatch(key, table, cutoff) {
+    const result = await db.query(
+        `DELETE FROM ${table} WHERE id IN (SELECT id ${ELIGIBLE[key]} LIMIT $2)`,
+        [cutoff, BATCH_SIZE]
+    );
+    return result.rowCount;
+}
+
+const PURGE_BATCH = {
+    analytics_events: (cutoff) => deleteBatch('analytics_events', 'analytics_events', cutoff),
+    closed_chats: anonymizeChats,
+    visitor_ips: truncateVisitorIps,
+    audit_logs: (cutoff) => deleteBatch('audit_logs', 'audit_logs', cutoff)
+};
+
+/**
+ * How many rows each policy would purge if the job ran now
+ */
+async function previewRetention(now = new Date()) {
+    const { enabled, periods } = await getRetentionSettings();
+
+    const policies = await Promise.all(Object.entries(RETENTION_POLICIES).map(async ([key, policy]) => {
+        const cutoff = retentionCutoff(periods[key], policy.unit, now);
+        let affected = 0;
+        if (cutoff) {
+            const result = await db.query(`SELECT COUNT(*)::int AS count ${ELIGIBLE[key]}`, [cutoff]);
+            affected = result.rows[0].count;
+        }
+        return {
+            key,
+            label: policy.label,
+            action: policy.action,
+            unit: policy.unit,
+            period: periods[key],
+            cutoff,
+            affected
+        };
+    }));
+
+    const lastRun = await db.query(
+        `SELECT created_at, details FROM audit_logs
+         WHERE action = 'data_retention_purge'
+         ORDER BY created_at DESC
+         LIMIT 1`
+    );
+
+    return { enabled, policies, lastRun: lastRun.rows[0] || null };
+}
+
+/**
+ * Purge everything past its retention period, in batches. Does nothing
+ * while retention is switched off.
+ * @returns {Promise<Object>} rows purged per policy, for the job run
+ */
+async function runRetentionPurge(now = new Date()) {
+    const { enabled, periods } = await getRetentionSettings();
+    if (!enabled) {
+        return { skipped: 'Data retention is switched off' };
+    }
+
+    const purged = {};
+    const details = {};
+    let finished = true;
+    for (const [key, policy] of Object.entries(RETENTION_POLICIES)) {
+        const cutoff = retentionCutoff(periods[key], policy.unit, now);
+        purged[key] = 0;
+        if (!cutoff) {
+            continue;
+        }
+
+        let batches = 0;
+        let count;
+        do {
+            count = await PURGE_BATCH[key](cutoff);
+            purged[key] += count;
+            batches++;
+        } while (count === BATCH_SIZE && batches < MAX_BATCHES);
+        if (count === BATCH_SIZE) {
+            finished = false;
+        }
+
+        details[key] = { period: periods[key], unit: policy.unit, cutoff: cutoff.toISOString(), [policy.action]: purged[key] };
+    }
+
+    // Logged after the audit log purge, so the record of this run is kept
+    await AuditService.log({
+        staffId: null,
+        action: 'data_retention_purge',
+        entityType: 'data_retention',
+        details: { policies: details, finished }
+    });
+
+    return { ...purged, finished };
+}
+
+module.exports = {
+    getRetentionSettings,
+    previewRetention,
+    runRetentionPurge
+};
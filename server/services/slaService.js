@@ -0,0 +1,538 @@
+/**
+ * SLA Service
+ * Response and resolution targets for contact messages, live chats and
+ * tickets (sla_policies), measured in business hours: the company's
+ * business_hours_start/end on its working_days, in the business timezone,
+ * less federal public holidays and company-wide holiday blackouts.
+ *
+ * What counts as responded and resolved:
+ * - message: the first reply sent by staff (not a saved reply sent by an
+ *   automation rule). Messages have no resolution target - the reply is
+ *   the service.
+ * - chat: the first message from a staff member (the automatic greeting
+ *   doesn't count); resolved when the chat is closed.
+ * - ticket: the first comment from someone other than the requester, or
+ *   resolving it if that comes first; resolved when resolved or closed.
+ * Something closed without a response (a spam message archived, a visitor
+ * who left before anyone answered) isn't held to the first response target.
+ *
+ * The timing functions are pure, taking a calendar from getSlaCalendar(),
+ * so they can be tested without a database.
+ */
+
+const db = require('../config/database');
+const { getBookingSettings } = require('./availabilityService');
+const { getNigerianHolidays } = require('../utils/nigerianHolidays');
+const { toZonedParts, zonedTimeToUtc, addDays } = require('../utils/timezone');
+const { sendSlaEscalationEmail } = require('./emailService');
+
+const ENTITY_TYPES = ['message', 'chat', 'ticket'];
+const ESCALATION_ACTIONS = ['none', 'notify', 'reassign'];
+const TARGETS = ['first_response', 'resolution'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTE_MS = 60 * 1000;
+
+// Worst first, for an item's overall status
+const STATUS_ORDER = ['breached', 'at_risk', 'on_track', 'met'];
+
+// Stop looking for business time after this many days (no working days set)
+const MAX_CALENDAR_DAYS = 3660;
+
+/**
+ * Business hours, working days and holidays. Holidays are loaded from
+ * fromYear up to next year.
+ */
+async function getSlaCalendar(fromYear = new Date().getFullYear() - 1) {
+    const settings = await getBookingSettings();
+    const toYear = new Date().getFullYear() + 1;
+
+    const holidays = new Set();
+    for (let year = fromYear; year <= toYear; year++) {
+        getNigerianHolidays(year).forEach(h => holidays.add(h.date));
+    }
+    const blackouts = await db.query(
+        `SELECT blackout_date::text AS date FROM booking_blackouts
+         WHERE staff_id IS NULL AND blackout_type = 'holiday'
+           AND blackout_date BETWEEN $1::date AND $2::date`,
+        [`${fromYear}-01-01`, `${toYear}-12-31`]
+    );
+    blackouts.rows.forEach(b => holidays.add(b.date));
+
+    return {
+        timezone: settings.timezone,
+        businessHoursStart: settings.businessHoursStart,
+        businessHoursEnd: settings.businessHoursEnd,
+        workingDays: settings.workingDays,
+        holidays
+    };
+}
+
+/**
+ * A business-timezone date's opening hours as [open, close] instants, or
+ * null on a day off
+ */
+function businessWindow(date, calendar) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (!calendar.workingDays.includes(DAY_NAMES[dayOfWeek]) || calendar.holidays.has(date)) {
+        return null;
+    }
+    return [
+        zonedTimeToUtc(date, calendar.businessHoursStart, calendar.timezone),
+        zonedTimeToUtc(date, calendar.businessHoursEnd, calendar.timezone)
+    ];
+}
+
+/**
+ * Business minutes between two instants
+ */
+function businessMinutesBetween(from, to, calendar) {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (end <= start) {
+        return 0;
+    }
+
+    let total = 0;
+    const lastDate = toZonedParts(end, calendar.timezone).date;
+    for (let date = toZonedParts(start, calendar.timezone).date; date <= lastDate; date = addDays(date, 1)) {
+        const window = businessWindow(date, calendar);
+        if (window) {
+            const overlap = Math.min(window[1], end) - Math.max(window[0], start);
+            if (overlap > 0) {
+                total += overlap;
+            }
+        }
+    }
+    return total / MINUTE_MS;
+}
+
+/**
+ * The instant a number of business minutes after `from` - when a target
+ * falls due. Null if there are no business hours to count.
+ */
+function addBusinessMinutes(from, minutes, calendar) {
+    const start = new Date(from);
+    let remaining = minutes * MINUTE_MS;
+    let date = toZonedParts(start, calendar.timezone).date;
+
+    for (let i = 0; i < MAX_CALENDAR_DAYS; i++, date = addDays(date, 1)) {
+        const window = businessWindow(date, calendar);
+        if (!window) {
+            continue;
+        }
+        const open = Math.max(window[0], start);
+        const available = window[1] - open;
+        if (available <= 0) {
+            continue;
+        }
+        if (remaining <= available) {
+            return new Date(open + remaining);
+        }
+        remaining -= available;
+    }
+    return null;
+}
+
+/**
+ * The policy for an item: an active policy for its type whose match fields
+ * are all blank or equal to the item's, preferring the one that matches on
+ * the most fields, then the oldest
+ * @param {{ service?, category?, priority? }} attributes
+ */
+function matchPolicy(policies, entityType, attributes = {}) {
+    const fields = [
+        ['match_service', attributes.service],
+        ['match_category', attributes.category],
+        ['match_priority', attributes.priority]
+    ];
+    const specificity = (policy) => fields.filter(([column]) => policy[column]).length;
+
+    return policies
+        .filter(policy => policy.is_active !== false && policy.entity_type === entityType)
+        .filter(policy => fields.every(([column, value]) => !policy[column] || policy[column] === value))
+        .sort((a, b) => specificity(b) - specificity(a) || new Date(a.created_at) - new Date(b.created_at))[0] || null;
+}
+
+/**
+ * Where one target stands: met or breached once done, otherwise on track,
+ * at risk (past warnAtPercent of the target) or breached
+ */
+function evaluateTarget({ startedAt, doneAt, targetMinutes, warnAtPercent, now, calendar }) {
+    const elapsed = businessMinutesBetween(startedAt, doneAt || now, calendar);
+    let status;
+    if (doneAt) {
+        status = elapsed <= targetMinutes ? 'met' : 'breached';
+    } else if (elapsed >= targetMinutes) {
+        status = 'breached';
+    } else {
+        status = elapsed >= targetMinutes * warnAtPercent / 100 ? 'at_risk' : 'on_track';
+    }
+
+    return {
+        targetMinutes,
+        elapsedMinutes: Math.round(elapsed),
+        dueAt: addBusinessMinutes(startedAt, targetMinutes, calendar),
+        status
+    };
+}
+
+/**
+ * An item's SLA against its policy
+ * @param {{ startedAt, respondedAt, resolvedAt, closed }} item - closed:
+ *   finished with, whether or not it was resolved
+ * @returns {{ policyId, policyName, status, firstResponse, resolution }}
+ *   firstResponse/resolution are null where they don't apply
+ */
+function evaluateSla(item, policy, calendar, now = new Date()) {
+    const common = { startedAt: item.startedAt, warnAtPercent: policy.warn_at_percent, now, calendar };
+
+    const firstResponse = item.closed && !item.respondedAt
+        ? null
+        : evaluateTarget({ ...common, doneAt: item.respondedAt, targetMinutes: policy.first_response_minutes });
+    const resolution = policy.resolution_minutes
+        ? evaluateTarget({ ...common, doneAt: item.resolvedAt, targetMinutes: policy.resolution_minutes })
+        : null;
+
+    const statuses = [firstResponse, resolution].filter(Boolean).map(t => t.status);
+    return {
+        policyId: policy.id,
+        policyName: policy.name,
+        status: STATUS_ORDER.find(s => statuses.includes(s)) || null,
+        firstResponse,
+        resolution
+    };
+}
+
+/**
+ * Met and breached counts for a set of evaluated items, per target.
+ * Targets still running are counted as pending, not in the compliance %.
+ * @param {{ sla }[]} items - from attachSla()
+ */
+function summarizeCompliance(items) {
+    const empty = () => ({ met: 0, breached: 0, pending: 0, compliance: null, averageMinutes: null });
+    const summary = { total: 0, firstResponse: empty(), resolution: empty() };
+    const minutes = { firstResponse: [], resolution: [] };
+
+    for (const item of items) {
+        if (!item.sla) {
+            continue;
+        }
+        summary.total++;
+        for (const key of ['firstResponse', 'resolution']) {
+            const target = item.sla[key];
+            if (!target) {
+                continue;
+            }
+            if (target.status === 'met' || target.status === 'breached') {
+                summary[key][target.status]++;
+                minutes[key].push(target.elapsedMinutes);
+            } else if (target.status === 'at_risk' || target.status === 'on_track') {
+                summary[key].pending++;
+            }
+        }
+    }
+
+    for (const key of ['firstResponse', 'resolution']) {
+        const done = summary[key].met + summary[key].breached;
+        if (done) {
+            summary[key].compliance = Math.round(summary[key].met / done * 1000) / 10;
+            summary[key].averageMinutes = Math.round(minutes[key].reduce((a, b) => a + b, 0) / minutes[key].length);
+        }
+    }
+    return summary;
+}
+
+// How each kind of item maps onto the SLA timings
+const ENTITIES = {
+    message: {
+        table: 'messages',
+        label: row => row.company ? `${row.name} (${row.company})` : row.name,
+        attributes: row => ({ service: row.service }),
+        timings: (row, respondedAt) => ({
+            startedAt: row.created_at,
+            respondedAt,
+            resolvedAt: null,
+            closed: row.status === 'converted' || row.status === 'archived'
+        })
+    },
+    chat: {
+        table: 'chat_sessions',
+        label: row => row.visitor_name,
+        attributes: () => ({}),
+        timings: (row, respondedAt) => ({
+            startedAt: row.started_at,
+            respondedAt,
+            resolvedAt: row.ended_at || null,
+            closed: row.status === 'closed'
+        })
+    },
+    ticket: {
+        table: 'tickets',
+        label: row => row.title,
+        attributes: row => ({ category: row.category, priority: row.priority }),
+        timings: (row, respondedAt) => ({
+            startedAt: row.created_at,
+            respondedAt: respondedAt || row.resolved_at || null,
+            resolvedAt: row.resolved_at || null,
+            closed: row.status === 'resolved' || row.status === 'closed'
+        })
+    }
+};
+
+/**
+ * When each item was first responded to, by id
+ */
+async function loadFirstResponses(entityType, ids) {
+    const queries = {
+        message: `SELECT message_id AS id, MIN(created_at) AS responded_at
+                  FROM message_replies
+                  WHERE message_id = ANY($1::uuid[]) AND direction = 'outbound' AND staff_id IS NOT NULL
+                  GROUP BY message_id`,
+        chat: `SELECT session_id AS id, MIN(created_at) AS responded_at
+               FROM chat_messages
+               WHERE session_id = ANY($1::uuid[]) AND sender_type = 'staff' AND sender_id IS NOT NULL
+               GROUP BY session_id`,
+        ticket: `SELECT c.ticket_id AS id, MIN(c.created_at) AS responded_at
+                 FROM ticket_comments c
+                 JOIN tickets t ON t.id = c.ticket_id
+                 WHERE c.ticket_id = ANY($1::uuid[]) AND c.staff_id IS DISTINCT FROM t.requested_by
+                 GROUP BY c.ticket_id`
+    };
+    const result = await db.query(queries[entityType], [ids]);
+    return new Map(result.rows.map(r => [r.id, r.responded_at]));
+}
+
+async function loadActivePolicies(entityType = null) {
+    const result = await db.query(
+        `SELECT * FROM sla_policies
+         WHERE is_active = true AND ($1::text IS NULL OR entity_type = $1)
+         ORDER BY created_at`,
+        [entityType]
+    );
+    return result.rows;
+}
+
+/**
+ * Add an `sla` field to each row of a list of messages, chats or tickets
+ * (null where no policy applies). The rows need the item's own columns -
+ * created/started time, status, and the fields policies match on.
+ */
+async function attachSla(entityType, rows, { now = new Date(), policies = null, calendar = null } = {}) {
+    if (!rows.length) {
+        return rows;
+    }
+    const active = policies || await loadActivePolicies(entityType);
+    if (!active.length) {
+        return rows.map(row => ({ ...row, sla: null }));
+    }
+
+    const entity = ENTITIES[entityType];
+    const [slaCalendar, responses] = await Promise.all([
+        calendar || getSlaCalendar(),
+        loadFirstResponses(entityType, rows.map(row => row.id))
+    ]);
+
+    return rows.map(row => {
+        const policy = matchPolicy(active, entityType, entity.attributes(row));
+        return {
+            ...row,
+            sla: policy ? evaluateSla(entity.timings(row, responses.get(row.id) || null), policy, slaCalendar, now) : null
+        };
+    });
+}
+
+/**
+ * SLA compliance for everything opened in a date range (inclusive
+ * YYYY-MM-DD dates): overall and per policy, for each kind of item
+ */
+async function getComplianceReport(from, to) {
+    const [policies, calendar] = await Promise.all([
+        loadActivePolicies(),
+        getSlaCalendar(Number(from.slice(0, 4)))
+    ]);
+
+    const queries = {
+        message: `SELECT id, name, company, service, status, created_at, assigned_to
+                  FROM messages WHERE created_at >= $1::date AND created_at < $2::date + 1`,
+        chat: `SELECT id, visitor_name, status, started_at, ended_at, assigned_to
+               FROM chat_sessions WHERE started_at >= $1::date AND started_at < $2::date + 1`,
+        ticket: `SELECT id, title, category, priority, status, created_at, resolved_at, assigned_to
+                 FROM tickets WHERE created_at >= $1::date AND created_at < $2::date + 1`
+    };
+
+    const report = { period: { from, to } };
+    for (const entityType of ENTITY_TYPES) {
+        const typePolicies = policies.filter(p => p.entity_type === entityType);
+        const result = await db.query(queries[entityType], [from, to]);
+        const items = await attachSla(entityType, result.rows, { policies: typePolicies, calendar });
+
+        report[entityType] = {
+            ...summarizeCompliance(items),
+            byPolicy: typePolicies.map(policy => ({
+                policyId: policy.id,
+                name: policy.name,
+                ...summarizeCompliance(items.filter(item => item.sla && item.sla.policyId === policy.id))
+            }))
+        };
+    }
+
+    const escalations = await db.query(
+        `SELECT entity_type, action, COUNT(*)::int AS count
+         FROM sla_escalations
+         WHERE created_at >= $1::date AND created_at < $2::date + 1
+         GROUP BY entity_type, action`,
+        [from, to]
+    );
+    report.escalations = escalations.rows;
+    return report;
+}
+
+/**
+ * Who to warn about an item: the policy's escalation contact if it has
+ * one, otherwise the managers of the assignee's department, otherwise the
+ * admins
+ */
+async function findEscalationRecipients(policy, assigneeId) {
+    if (policy.escalate_to) {
+        const result = await db.query(
+            'SELECT id, name, email FROM staff WHERE id = $1 AND is_active = true',
+            [policy.escalate_to]
+        );
+        if (result.rows.length) {
+            return result.rows;
+        }
+    }
+    if (assigneeId) {
+        const managers = await db.query(
+            `SELECT m.id, m.name, m.email FROM staff m
+             JOIN staff a ON a.id = $1
+             WHERE m.role = 'manager' AND m.is_active = true AND m.department = a.department AND m.id <> a.id`,
+            [assigneeId]
+        );
+        if (managers.rows.length) {
+            return managers.rows;
+        }
+    }
+    const admins = await db.query("SELECT id, name, email FROM staff WHERE role = 'admin' AND is_active = true");
+    return admins.rows;
+}
+
+/**
+ * Escalate one item's target: record it (once), reassign it if the policy
+ * says to, and email whoever should know
+ */
+async function escalate(entityType, row, policy, target, evaluation) {
+    const reassignTo = policy.escalation_action === 'reassign' && policy.escalate_to && policy.escalate_to !== row.assigned_to
+        ? policy.escalate_to
+        : null;
+
+    const recorded = await db.query(
+        `INSERT INTO sla_escalations (policy_id, entity_type, entity_id, target, sla_status, action,
+                                      previous_assignee, reassigned_to)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (entity_type, entity_id, target) DO NOTHING
+         RETURNING id`,
+        [policy.id, entityType, row.id, target, evaluation.status, reassignTo ? 'reassign' : 'notify', row.assigned_to || null, reassignTo]
+    );
+    if (!recorded.rows.length) {
+        return false;
+    }
+
+    let reassignedName = null;
+    if (reassignTo) {
+        await db.query(`UPDATE ${ENTITIES[entityType].table} SET assigned_to = $1 WHERE id = $2`, [reassignTo, row.id]);
+        const staff = await db.query('SELECT name FROM staff WHERE id = $1', [reassignTo]);
+        reassignedName = staff.rows[0]?.name || null;
+    }
+
+    const recipients = await findEscalationRecipients(policy, reassignTo || row.assigned_to);
+    if (recipients.length) {
+        await sendSlaEscalationEmail(recipients, {
+            entityType,
+            label: ENTITIES[entityType].label(row),
+            target,
+            status: evaluation.status,
+            dueAt: evaluation.dueAt,
+            policyName: policy.name,
+            reassignedTo: reassignedName
+        });
+        await db.query('UPDATE sla_escalations SET notified_count = $1 WHERE id = $2', [recipients.length, recorded.rows[0].id]);
+    }
+    return true;
+}
+
+/**
+ * The sla-escalation job: find open items at risk of missing (or past) a
+ * target whose policy escalates, and escalate each target once
+ */
+async function runSlaEscalations(now = new Date()) {
+    const policies = (await loadActivePolicies()).filter(p => p.escalation_action !== 'none');
+    if (!policies.length) {
+        return { checked: 0, escalated: 0, failed: 0 };
+    }
+
+    const openQueries = {
+        message: `SELECT m.id, m.name, m.company, m.service, m.status, m.created_at, m.assigned_to
+                  FROM messages m
+                  WHERE m.status IN ('new', 'in_progress')
+                    AND NOT EXISTS (SELECT 1 FROM message_replies r
+                                    WHERE r.message_id = m.id AND r.direction = 'outbound' AND r.staff_id IS NOT NULL)`,
+        chat: `SELECT id, visitor_name, status, started_at, ended_at, assigned_to
+               FROM chat_sessions WHERE status <> 'closed'`,
+        ticket: `SELECT id, title, category, priority, status, created_at, resolved_at, assigned_to
+                 FROM tickets WHERE status IN ('open', 'in_progress')`
+    };
+
+    const calendar = await getSlaCalendar();
+    let checked = 0;
+    let escalated = 0;
+    let failed = 0;
+
+    for (const entityType of ENTITY_TYPES) {
+        const typePolicies = policies.filter(p => p.entity_type === entityType);
+        if (!typePolicies.length) {
+            continue;
+        }
+        const result = await db.query(openQueries[entityType]);
+        const items = await attachSla(entityType, result.rows, { now, policies: typePolicies, calendar });
+
+        for (const item of items) {
+            if (!item.sla) {
+                continue;
+            }
+            checked++;
+            const policy = typePolicies.find(p => p.id === item.sla.policyId);
+            for (const target of TARGETS) {
+                const evaluation = item.sla[target === 'first_response' ? 'firstResponse' : 'resolution'];
+                if (!evaluation || (evaluation.status !== 'at_risk' && evaluation.status !== 'breached')) {
+                    continue;
+                }
+                try {
+                    if (await escalate(entityType, item, policy, target, evaluation)) {
+                        escalated++;
+                    }
+                } catch (error) {
+                    console.error(`SLA escalation for ${entityType} ${item.id} failed:`, error);
+                    failed++;
+                }
+            }
+        }
+    }
+
+    return { checked, escalated, failed };
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    ESCALATION_ACTIONS,
+    getSlaCalendar,
+    businessMinutesBetween,
+    addBusinessMinutes,
+    matchPolicy,
+    evaluateSla,
+    summarizeCompliance,
+    attachSla,
+    getComplianceReport,
+    runSlaEscalations
+};
@@ -0,0 +1,186 @@
+/**
+ * Survey Service
+ * Customer satisfaction surveys (CSAT/NPS, see utils/satisfaction.js):
+ * - chats are rated in the widget once closed; the chat's ID is the
+ *   visitor's key, as for attachments
+ * - completed consultations are emailed a link with a one-off token
+ *   (stored hashed, like manage-booking tokens)
+ * Each survey is linked to the staff member who handled it and the service
+ * it was about, for the analytics and performance reports.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { CHAT_SKILLS } = require('../utils/chatRouting');
+const { summarizeSatisfaction } = require('../utils/satisfaction');
+const { sendSatisfactionSurveyEmail } = require('./emailService');
+
+// Survey links stop working after this long
+const SURVEY_LINK_DAYS = 30;
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const surveyUrlFor = (token) => `${process.env.SITE_URL || 'http://localhost:3000'}/feedback.html?token=${token}`;
+
+function cleanComment(comment) {
+    const text = String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH);
+    return text || null;
+}
+
+function toScore(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+/**
+ * Rate a closed chat from the widget
+ * @returns {Promise<{ survey?: Object, error?: string, status?: number }>}
+ */
+async function rateChat(sessionId, { csatScore, npsScore, comment }) {
+    const sessionResult = await db.query(
+        'SELECT id, status, assigned_to, service, visitor_email FROM chat_sessions WHERE id = $1',
+        [sessionId]
+    );
+    const session = sessionResult.rows[0];
+    if (!session) {
+        return { status: 404, error: 'Chat not found' };
+    }
+    if (session.status !== 'closed') {
+        return { status: 400, error: 'You can rate the chat once it has ended' };
+    }
+
+    const result = await db.query(
+        `INSERT INTO satisfaction_surveys (source_type, source_id, staff_id, service, respondent_email,
+                                           csat_score, nps_score, comment, responded_at)
+         VALUES ('chat', $1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+         ON CONFLICT (source_type, source_id) DO NOTHING
+         RETURNING id, csat_score, nps_score, responded_at`,
+        [
+            session.id,
+            session.assigned_to,
+            CHAT_SKILLS[session.service] || 'General',
+            session.visitor_email,
+            toScore(csatScore),
+            toScore(npsScore),
+            cleanComment(comment)
+        ]
+    );
+    if (!result.rows[0]) {
+        return { status: 409, error: 'Thanks - this chat has already been rated' };
+    }
+    return { survey: result.rows[0] };
+}
+
+/**
+ * Email a client a survey about their completed consultation. Each
+ * consultation is only surveyed once.
+ * @returns {Promise<boolean>} whether a survey was sent
+ */
+async function sendConsultationSurvey(consultation) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await db.query(
+        `INSERT INTO satisfaction_surveys (source_type, source_id, staff_id, service, respondent_email, token_hash, sent_at)
+         VALUES ('consultation', $1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+         ON CONFLICT (source_type, source_id) DO NOTHING
+         RETURNING id`,
+        [consultation.id, consultation.assigned_to, consultation.service || 'General Inquiry', consultation.email, hashToken(token)]
+    );
+    if (!result.rows[0]) {
+        return false;
+    }
+
+    await sendSatisfactionSurveyEmail(consultation, surveyUrlFor(token));
+    return true;
+}
+
+/**
+ * An emailed survey by its link token, with what the survey page shows
+ */
+async function findByToken(token) {
+    const result = await db.query(
+        `SELECT ss.id, ss.source_type, ss.service, ss.sent_at, ss.responded_at,
+                s.name as staff_name, c.name as client_name, c.booking_date::text as booking_date
+         FROM satisfaction_surveys ss
+         LEFT JOIN staff s ON ss.staff_id = s.id
+         LEFT JOIN consultations c ON ss.source_type = 'consultation' AND c.id = ss.source_id
+         WHERE ss.token_hash = $1`,
+        [hashToken(String(token || ''))]
+    );
+    return result.rows[0];
+}
+
+function isExpired(survey) {
+    return survey.sent_at && Date.now() - new Date(survey.sent_at).getTime() > SURVEY_LINK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Record the answers to an emailed survey
+ * @returns {Promise<{ survey?: Object, error?: string, status?: number }>}
+ */
+async function respondByToken(token, { csatScore, npsScore, comment }) {
+    const survey = await findByToken(token);
+    if (!survey) {
+        return { status: 404, error: 'This survey link is invalid' };
+    }
+    if (survey.responded_at) {
+        return { status: 409, error: 'Thanks - we already have your answers' };
+    }
+    if (isExpired(survey)) {
+        return { status: 410, error: 'This survey has closed' };
+    }
+
+    const result = await db.query(
+        `UPDATE satisfaction_surveys
+         SET csat_score = $2, nps_score = $3, comment = $4, responded_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND responded_at IS NULL
+         RETURNING id, csat_score, nps_score, responded_at`,
+        [survey.id, toScore(csatScore), toScore(npsScore), cleanComment(comment)]
+    );
+    if (!result.rows[0]) {
+        return { status: 409, error: 'Thanks - we already have your answers' };
+    }
+    return { survey: result.rows[0] };
+}
+
+/**
+ * Answered surveys in a date range, optionally for one staff member
+ */
+async function getResponses(startDate, endDate, { staffId = null } = {}) {
+    const params = [startDate, endDate];
+    let staffFilter = '';
+    if (staffId) {
+        params.push(staffId);
+        staffFilter = `AND ss.staff_id = $${params.length}`;
+    }
+
+    const result = await db.query(
+        `SELECT ss.id, ss.source_type, ss.source_id, ss.staff_id, ss.service, ss.csat_score, ss.nps_score,
+                ss.comment, ss.responded_at, s.name as staff_name
+         FROM satisfaction_surveys ss
+         LEFT JOIN staff s ON ss.staff_id = s.id
+         WHERE ss.responded_at >= $1 AND ss.responded_at < $2::date + interval '1 day'
+         ${staffFilter}
+         ORDER BY ss.responded_at DESC`,
+        params
+    );
+    return result.rows;
+}
+
+/**
+ * One staff member's CSAT and NPS for a date range
+ */
+async function getStaffSatisfaction(staffId, startDate, endDate) {
+    return summarizeSatisfaction(await getResponses(startDate, endDate, { staffId }));
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    rateChat,
+    sendConsultationSurvey,
+    findByToken,
+    isExpired,
+    respondByToken,
+    getResponses,
+    getStaffSatisfaction
+};
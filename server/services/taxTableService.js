@@ -0,0 +1,129 @@
+/**
+ * Tax Table Service
+ * Loads the versioned PAYE tax tables (migration 027) and picks the one in
+ * effect for a pay period. payeService.js does the arithmetic; this turns a
+ * stored row (rates in percent, open-ended top band as null) into the shape
+ * it expects.
+ *
+ * Tables are add-only. A table applies from its effective date until the
+ * next table's, and a payroll run uses the table in effect on the first day
+ * of its pay period - including adjustment runs for earlier months.
+ */
+
+const db = require('../config/database');
+const { DEFAULT_TAX_TABLE } = require('./payeService');
+
+const MAX_BANDS = 20;
+
+// DATE as plain YYYY-MM-DD text, so selection doesn't depend on the server timezone
+const SELECT_COLUMNS = `t.id, t.name, t.effective_from::text AS effective_from, t.bands,
+    t.cra_fixed_amount, t.cra_gross_percent, t.cra_additional_percent,
+    t.minimum_tax_percent, t.development_levy_annual, t.notes, t.created_at`;
+
+/**
+ * A tax_tables row as a payeService table
+ */
+function rowToTaxTable(row) {
+    const bands = typeof row.bands === 'string' ? JSON.parse(row.bands) : row.bands;
+    return {
+        id: row.id,
+        name: row.name,
+        effectiveFrom: row.effective_from,
+        bands: bands.map(band => ({
+            amount: band.amount === null ? Infinity : Number(band.amount),
+            rate: Number(band.rate) / 100
+        })),
+        craFixedAmount: Number(row.cra_fixed_amount),
+        craGrossRate: Number(row.cra_gross_percent) / 100,
+        craAdditionalRate: Number(row.cra_additional_percent) / 100,
+        minimumTaxRate: Number(row.minimum_tax_percent) / 100,
+        developmentLevyAnnual: Number(row.development_levy_annual)
+    };
+}
+
+/**
+ * The table in effect on the 1st of the given month, from a list of tables
+ * (any order). Null if the period is before every table.
+ */
+function selectTaxTable(tables, month, year) {
+    const periodStart = `${year}-${String(month).padStart(2, '0')}-01`;
+    return tables
+        .filter(t => t.effectiveFrom <= periodStart)
+        .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? 1 : -1))[0] || null;
+}
+
+/**
+ * Problems with a proposed table, as messages (empty when it's valid).
+ * Expects the API shape: rates in percent, top band amount null.
+ */
+function validateTaxTable(input) {
+    const errors = [];
+    const isPercent = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 100;
+
+    if (!/^\d{4}-\d{2}-01$/.test(input.effectiveFrom || '') || Number.isNaN(Date.parse(input.effectiveFrom))) {
+        errors.push('Effective date must be the 1st of a month (YYYY-MM-01)');
+    }
+
+    const bands = input.bands;
+    if (!Array.isArray(bands) || bands.length === 0 || bands.length > MAX_BANDS) {
+        errors.push(`Between 1 and ${MAX_BANDS} tax bands are required`);
+    } else {
+        bands.forEach((band, i) => {
+            const isLast = i === bands.length - 1;
+            if (!band || !isPercent(band.rate)) {
+                errors.push(`Band ${i + 1}: rate must be a percentage between 0 and 100`);
+            }
+            if (isLast && band && band.amount !== null) {
+                errors.push('The last band must be open-ended (no amount)');
+            }
+            if (!isLast && !(band && typeof band.amount === 'number' && band.amount > 0)) {
+                errors.push(`Band ${i + 1}: amount must be a positive number of Naira`);
+            }
+        });
+    }
+
+    ['craGrossPercent', 'craAdditionalPercent', 'minimumTaxPercent'].forEach(field => {
+        if (!isPercent(input[field])) {
+            errors.push(`${field} must be a percentage between 0 and 100`);
+        }
+    });
+    ['craFixedAmount', 'developmentLevyAnnual'].forEach(field => {
+        if (typeof input[field] !== 'number' || !Number.isFinite(input[field]) || input[field] < 0) {
+            errors.push(`${field} must be zero or more`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Every stored table, newest first, with how many paystubs used each
+ */
+async function listTaxTables() {
+    const result = await db.query(
+        `SELECT ${SELECT_COLUMNS}, c.name AS created_by_name,
+                (SELECT COUNT(*)::int FROM paystubs p WHERE p.tax_table_id = t.id) AS paystub_count
+         FROM tax_tables t
+         LEFT JOIN staff c ON c.id = t.created_by
+         ORDER BY t.effective_from DESC`
+    );
+    return result.rows;
+}
+
+/**
+ * The table for a pay period. Falls back to the built-in 2011 table if
+ * nothing is stored for the period (e.g. migrations not yet run).
+ * @param {Object} [client] - transaction client; defaults to the pool
+ */
+async function getTaxTableForPeriod(month, year, client = db) {
+    const result = await client.query(`SELECT ${SELECT_COLUMNS} FROM tax_tables t`);
+    return selectTaxTable(result.rows.map(rowToTaxTable), month, year) || DEFAULT_TAX_TABLE;
+}
+
+module.exports = {
+    rowToTaxTable,
+    selectTaxTable,
+    validateTaxTable,
+    listTaxTables,
+    getTaxTableForPeriod
+};
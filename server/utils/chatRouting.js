@@ -0,0 +1,95 @@
+/**
+ * Chat Routing
+ * Who a new chat goes to, and how long a queued visitor can expect to wait.
+ * No database access - the chat handler loads agents and their loads.
+ *
+ * Skills are the service slugs used on the site (data-analytics.html,
+ * the contact form's service values). An agent with no skills takes any
+ * chat.
+ */
+
+const CHAT_SKILLS = {
+    'it-consulting': 'IT Consulting',
+    'software-development': 'Software Development',
+    'website-development': 'Website Development',
+    'data-analytics': 'Data Analytics'
+};
+
+const DEFAULT_MAX_CONCURRENT_CHATS = 3;
+const MAX_CONCURRENT_CHATS_LIMIT = 20;
+
+// Assumed length of a chat when there's no recent history to go on
+const DEFAULT_HANDLE_MINUTES = 10;
+
+/**
+ * The skill a chat needs: the service the visitor chose, otherwise the
+ * service page they started it on (/data-analytics.html), otherwise none
+ */
+function skillForChat({ service, page } = {}) {
+    if (service && CHAT_SKILLS[service]) {
+        return service;
+    }
+    const slug = String(page || '').split('?')[0].split('/').pop().replace(/\.html$/, '');
+    return CHAT_SKILLS[slug] ? slug : null;
+}
+
+function hasRoom(agent) {
+    return Number(agent.active_chat_count) < Number(agent.max_concurrent_chats || DEFAULT_MAX_CONCURRENT_CHATS);
+}
+
+function leastLoaded(agents) {
+    return agents.reduce((best, agent) => (
+        !best || Number(agent.active_chat_count) < Number(best.active_chat_count) ? agent : best
+    ), null);
+}
+
+/**
+ * Pick the agent for a chat from those online: the least busy one with the
+ * skill, otherwise the least busy one without any skills, otherwise the
+ * least busy of the rest. Agents at their max_concurrent_chats are skipped.
+ * Ties go to whoever comes first in `agents`.
+ * @returns {object|null} null when everyone is full
+ */
+function pickAgent(agents, skill = null) {
+    const free = agents.filter(hasRoom);
+    if (skill) {
+        const skilled = free.filter(agent => (agent.chat_skills || []).includes(skill));
+        if (skilled.length) {
+            return leastLoaded(skilled);
+        }
+        const generalists = free.filter(agent => !(agent.chat_skills || []).length);
+        if (generalists.length) {
+            return leastLoaded(generalists);
+        }
+    }
+    return leastLoaded(free);
+}
+
+/**
+ * Rough wait for the visitor at `position` in the queue (1 = next): a chat
+ * slot frees up every avgHandleMinutes / slots minutes, where slots is how
+ * many chats the online agents can hold between them
+ */
+function estimateWaitMinutes(position, agents, avgHandleMinutes = DEFAULT_HANDLE_MINUTES) {
+    const slots = agents.reduce((sum, agent) => sum + Number(agent.max_concurrent_chats || DEFAULT_MAX_CONCURRENT_CHATS), 0);
+    return Math.max(1, Math.ceil(position * avgHandleMinutes / Math.max(slots, 1)));
+}
+
+/**
+ * What a queued visitor is told
+ */
+function queueMessage(position, etaMinutes) {
+    const place = position === 1 ? 'next in the queue' : `number ${position} in the queue`;
+    return `All of our team are helping other visitors right now. You are ${place} - the expected wait is about ${etaMinutes} minute${etaMinutes === 1 ? '' : 's'}.`;
+}
+
+module.exports = {
+    CHAT_SKILLS,
+    DEFAULT_MAX_CONCURRENT_CHATS,
+    MAX_CONCURRENT_CHATS_LIMIT,
+    DEFAULT_HANDLE_MINUTES,
+    skillForChat,
+    pickAgent,
+    estimateWaitMinutes,
+    queueMessage
+};
@@ -0,0 +1,112 @@
+/**
+ * Chat Transcripts
+ * Turns a chat session and its messages (Chat.getMessages) into a
+ * transcript: who said what and when, with links to any files shared. The
+ * same transcript is emailed to the visitor, rendered as a PDF
+ * (pdfService.generateChatTranscriptPDF) and downloaded as plain text.
+ */
+
+const TIMEZONE = 'Africa/Lagos';
+
+function formatTime(value) {
+    if (!value) {
+        return '';
+    }
+    return new Date(value).toLocaleString('en-GB', {
+        timeZone: TIMEZONE,
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Who sent a message, as the visitor would recognise them
+ */
+function senderName(message, session) {
+    if (message.sender_type === 'visitor') {
+        return session.visitor_name || 'Visitor';
+    }
+    // Automatic replies have no staff member
+    return message.staff_name || 'Tekvwa IT Solutions';
+}
+
+/**
+ * @param {Object} session - chat_sessions row (Chat.getSession)
+ * @param {Array} messages - Chat.getMessages(), oldest first
+ * @param {Object} options
+ * @param {string} options.siteUrl - base for attachment links
+ * @returns {{ title: string, details: Array<[string, string]>, entries: Array }}
+ */
+function buildTranscript(session, messages, { siteUrl = '' } = {}) {
+    const details = [
+        ['Visitor', session.visitor_email ? `${session.visitor_name || 'Visitor'} <${session.visitor_email}>` : (session.visitor_name || 'Visitor')],
+        ['Started', formatTime(session.started_at || session.created_at)]
+    ];
+    if (session.ended_at) {
+        details.push(['Ended', formatTime(session.ended_at)]);
+    }
+    if (session.assigned_to_name) {
+        details.push(['Agent', session.assigned_to_name]);
+    }
+    details.push(['Reference', session.id]);
+
+    const entries = (messages || []).map(message => ({
+        sender: senderName(message, session),
+        fromVisitor: message.sender_type === 'visitor',
+        time: formatTime(message.created_at),
+        content: message.content || '',
+        attachments: (message.attachments || []).map(attachment => ({
+            name: attachment.file_name,
+            url: `${siteUrl}/api/chat/sessions/${session.id}/attachments/${attachment.id}`
+        }))
+    }));
+
+    return { title: 'Chat Transcript', details, entries };
+}
+
+/**
+ * Plain-text version of buildTranscript()
+ */
+function transcriptToText(transcript) {
+    const lines = [
+        `${transcript.title} - Tekvwa IT Solutions`,
+        '',
+        ...transcript.details.map(([label, value]) => `${label}: ${value}`),
+        ''
+    ];
+
+    if (!transcript.entries.length) {
+        lines.push('No messages.');
+    }
+
+    transcript.entries.forEach(entry => {
+        lines.push(`[${entry.time}] ${entry.sender}:`);
+        if (entry.content) {
+            lines.push(...entry.content.split(/\r?\n/).map(line => `  ${line}`));
+        }
+        entry.attachments.forEach(attachment => {
+            lines.push(`  Attachment: ${attachment.name} (${attachment.url})`);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * e.g. chat-transcript-2026-10-18-1a2b3c4d.pdf
+ */
+function transcriptFileName(session, extension) {
+    const started = new Date(session.started_at || session.created_at || Date.now());
+    const date = started.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+    return `chat-transcript-${date}-${String(session.id).slice(0, 8)}.${extension}`;
+}
+
+module.exports = {
+    buildTranscript,
+    transcriptToText,
+    transcriptFileName
+};
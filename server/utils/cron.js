@@ -0,0 +1,142 @@
+/**
+ * Cron Expression Utility
+ * Parses standard 5-field cron expressions (minute hour day-of-month month
+ * day-of-week) and computes the next matching time. Evaluated in UTC -
+ * Cloud Run containers run in UTC and Lagos has no DST, so "08:00 Lagos"
+ * is always just "0 7 * * *".
+ *
+ * Supports *, single values, ranges (1-5), lists (1,15), and steps
+ * (star/15, 9-17/2). Day-of-week accepts 0-7, with both 0 and 7 meaning
+ * Sunday. Named months/days and the @daily-style shortcuts are not
+ * supported - nothing in this codebase needs them.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Upper bound on how far ahead nextRun() will look before giving up -
+// an expression like "0 0 31 2 *" (Feb 31st) is syntactically valid but
+// can never match, and would otherwise loop forever.
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseField(part, { name, min, max }) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in cron ${name} field: "${item}"`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = min;
+            end = max;
+        } else if (rangePart.includes('-')) {
+            [start, end] = rangePart.split('-').map(v => parseInt(v, 10));
+        } else {
+            start = parseInt(rangePart, 10);
+            // "5/10" means "from 5, every 10" - same as "5-max/10"
+            end = stepPart === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value in cron ${name} field: "${item}"`);
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression into per-field sets of allowed values.
+ * Throws on anything malformed, so a bad schedule fails loudly at
+ * registration rather than silently never running.
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // 7 is an alias for Sunday
+    if (dayOfWeek.has(7)) {
+        dayOfWeek.delete(7);
+        dayOfWeek.add(0);
+    }
+
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        // Standard cron semantics: when BOTH day fields are restricted, a
+        // day matches if EITHER does ("1 * * 1" = the 1st, and every Monday)
+        domRestricted: parts[2] !== '*',
+        dowRestricted: parts[4] !== '*'
+    };
+}
+
+function dayMatches(parsed, date) {
+    const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+    if (parsed.domRestricted && parsed.dowRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Next time strictly after `from` that matches the expression, to the
+ * minute. Skips whole months/days/hours that can't match rather than
+ * stepping minute by minute.
+ */
+function nextRun(expression, from = new Date()) {
+    const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+
+    throw new Error(`Cron expression never matches: "${expression}"`);
+}
+
+module.exports = { parseCron, nextRun };
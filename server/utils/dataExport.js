@@ -0,0 +1,137 @@
+/**
+ * Data Subject Export
+ * Builds the bundle given to someone who asks for a copy of their personal
+ * data (see services/dataSubjectService.js): a zip with everything in one
+ * JSON file, a CSV file per kind of record, any files they shared in chats
+ * and a README explaining the contents.
+ */
+
+const JSZip = require('jszip');
+
+// What each kind of record is, in the order they appear in the bundle
+const EXPORT_SECTIONS = {
+    contacts: 'Your contact record (name, phone, company)',
+    messages: 'Messages sent through our contact form',
+    message_replies: 'Replies to those messages, from us and from you by email',
+    consultations: 'Consultations you booked',
+    chat_sessions: 'Live chats',
+    chat_messages: 'Messages in those chats',
+    chat_attachments: 'Files shared in those chats (the files are in the attachments folder)',
+    satisfaction_surveys: 'Your answers to our satisfaction surveys',
+    newsletter_subscribers: 'Your newsletter subscription and consent record',
+    newsletter_campaign_recipients: 'Newsletters we sent you, and whether you opened or clicked them',
+    visitors: 'Website visits linked to you',
+    analytics_events: 'Pages viewed and actions taken on our website during those visits',
+    consent_records: 'Your cookie consent choices on those visits',
+    internal_notes: 'Notes our staff made about your enquiries',
+    deals: 'Sales opportunities opened from your enquiries, with our notes on them',
+    quotes: 'Quotes we sent you',
+    invoices: 'Invoices we sent you'
+};
+
+// Columns that are ours, not theirs: link tokens, storage locations and
+// search indexes
+const INTERNAL_COLUMN = /(_hash|^search_vector|^reply_token|^storage_key|^storage_driver)$/;
+
+function exportableRow(row) {
+    return Object.fromEntries(Object.entries(row).filter(([key]) => !INTERNAL_COLUMN.test(key)));
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let str;
+    if (value instanceof Date) {
+        str = value.toISOString();
+    } else if (typeof value === 'object') {
+        str = JSON.stringify(value);
+    } else {
+        str = String(value);
+    }
+    // Stop spreadsheet apps running text that starts like a formula
+    if (/^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Rows as CSV, with a column for every key any row has
+ */
+function toCsv(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [
+        columns.map(csvValue).join(','),
+        ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+    ].join('\r\n');
+}
+
+function readme(request, data, generatedAt) {
+    const lines = [
+        'Your personal data held by Tekvwa IT Solutions Ltd',
+        '',
+        `Email address: ${request.email}`,
+        `Request received: ${new Date(request.received_at).toISOString().slice(0, 10)}`,
+        `Generated: ${generatedAt.toISOString()}`,
+        '',
+        'personal-data.json has everything in one file. The csv folder has the same',
+        'records as one spreadsheet per kind of record:',
+        ''
+    ];
+    Object.entries(EXPORT_SECTIONS).forEach(([key, description]) => {
+        const count = (data[key] || []).length;
+        if (count) {
+            lines.push(`- ${key}.csv (${count}): ${description}`);
+        }
+    });
+    lines.push(
+        '',
+        'Times are in UTC. Questions about this data, or requests to correct or',
+        'erase it: info@tekvwa.org'
+    );
+    return lines.join('\r\n');
+}
+
+/**
+ * The zip for a request
+ * @param {Object} request - the data_subject_requests row
+ * @param {Object} data - rows per EXPORT_SECTIONS key
+ * @param {{ id, file_name, content: Buffer }[]} [files] - chat attachments
+ * @returns {Promise<Buffer>}
+ */
+async function buildExportBundle(request, data, files = [], generatedAt = new Date()) {
+    const sections = {};
+    Object.keys(EXPORT_SECTIONS).forEach(key => {
+        sections[key] = (data[key] || []).map(exportableRow);
+    });
+
+    const zip = new JSZip();
+    zip.file('README.txt', readme(request, sections, generatedAt));
+    zip.file('personal-data.json', JSON.stringify({
+        email: request.email,
+        generatedAt: generatedAt.toISOString(),
+        ...sections
+    }, null, 2));
+    Object.entries(sections).forEach(([key, rows]) => {
+        if (rows.length) {
+            zip.file(`csv/${key}.csv`, toCsv(rows));
+        }
+    });
+    files.forEach(file => {
+        // The id keeps two files with the same name apart
+        zip.file(`attachments/${file.id}-${file.file_name.replace(/[/\\]/g, '_')}`, file.content);
+    });
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    EXPORT_SECTIONS,
+    exportableRow,
+    toCsv,
+    buildExportBundle
+};
@@ -0,0 +1,32 @@
+/**
+ * Erasure Placeholders
+ * What a data subject erasure (services/dataSubjectService.js) and the
+ * data-retention job (services/retentionService.js) leave in place of
+ * personal details they scrub from rows that are kept.
+ *
+ * Scrubbed email addresses are on a reserved domain, so they can never be
+ * delivered to, and anything that builds contacts from the addresses on
+ * file (the backfill in database/migrations/032_contacts.sql) must skip
+ * them - otherwise erased people come back as contacts.
+ */
+
+const ERASED = '[erased]';
+
+const ERASED_EMAIL_DOMAIN = 'erased.invalid';
+
+// SQL for a row's scrubbed email: unique per row, like the addresses it replaces
+const ERASED_EMAIL = `'erased-' || id || '@${ERASED_EMAIL_DOMAIN}'`;
+
+/**
+ * The address ERASED_EMAIL gives the row with this id
+ */
+function erasedEmail(id) {
+    return `erased-${id}@${ERASED_EMAIL_DOMAIN}`;
+}
+
+module.exports = {
+    ERASED,
+    ERASED_EMAIL_DOMAIN,
+    ERASED_EMAIL,
+    erasedEmail
+};
@@ -0,0 +1,105 @@
+/**
+ * File Signatures
+ * Works out what an uploaded file really is from its first bytes ("magic
+ * bytes") rather than trusting the name or the browser's Content-Type, so a
+ * renamed executable or script can't be passed off as a screenshot.
+ *
+ * Only the types listed here are accepted. SVG is deliberately left out -
+ * it can carry script.
+ */
+
+const TEXT_SAMPLE_BYTES = 4096;
+
+const FILE_TYPES = {
+    png: { mimeType: 'image/png', image: true, extensions: ['png'] },
+    jpeg: { mimeType: 'image/jpeg', image: true, extensions: ['jpg', 'jpeg'] },
+    gif: { mimeType: 'image/gif', image: true, extensions: ['gif'] },
+    webp: { mimeType: 'image/webp', image: true, extensions: ['webp'] },
+    pdf: { mimeType: 'application/pdf', image: false, extensions: ['pdf'] },
+    docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', image: false, extensions: ['docx'] },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', image: false, extensions: ['xlsx'] },
+    txt: { mimeType: 'text/plain', image: false, extensions: ['txt', 'log'] },
+    csv: { mimeType: 'text/csv', image: false, extensions: ['csv'] }
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    if (buffer.length < offset + bytes.length) {
+        return false;
+    }
+    return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(text) {
+    return [...text].map(char => char.charCodeAt(0));
+}
+
+/**
+ * Plain text: no NUL bytes and valid UTF-8 in the first few KB
+ */
+function looksLikeText(buffer) {
+    const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+    if (sample.includes(0)) {
+        return false;
+    }
+    try {
+        // stream: a character cut in half at the end of the sample isn't an error
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether the file's bytes match the type its extension claims
+ */
+function matchesSignature(type, buffer) {
+    switch (type) {
+        case 'png':
+            return startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        case 'jpeg':
+            return startsWith(buffer, [0xFF, 0xD8, 0xFF]);
+        case 'gif':
+            return startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'));
+        case 'webp':
+            return startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8);
+        case 'pdf':
+            return startsWith(buffer, ascii('%PDF-'));
+        case 'docx':
+        case 'xlsx':
+            // Office files are zip archives
+            return startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]);
+        case 'txt':
+        case 'csv':
+            return looksLikeText(buffer);
+        default:
+            return false;
+    }
+}
+
+/**
+ * What an uploaded file is, checked against its contents
+ * @returns {{ type: string, mimeType: string, image: boolean }|null} null if
+ *   the extension isn't allowed or the contents don't match it
+ */
+function detectFileType(buffer, fileName) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    const type = Object.keys(FILE_TYPES).find(key => FILE_TYPES[key].extensions.includes(extension));
+    if (!type || !buffer || !buffer.length || !matchesSignature(type, buffer)) {
+        return null;
+    }
+    return { type, mimeType: FILE_TYPES[type].mimeType, image: FILE_TYPES[type].image };
+}
+
+/**
+ * The extensions detectFileType() accepts, e.g. for an <input accept>
+ */
+function allowedExtensions() {
+    return Object.values(FILE_TYPES).flatMap(type => type.extensions);
+}
+
+module.exports = {
+    FILE_TYPES,
+    detectFileType,
+    allowedExtensions
+};
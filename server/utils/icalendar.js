@@ -0,0 +1,137 @@
+/**
+ * iCalendar Utility
+ * Minimal RFC 5545 writer - just enough for consultation invites (METHOD
+ * REQUEST/CANCEL) and read-only subscription feeds (METHOD PUBLISH).
+ *
+ * All times are written in UTC ("Z" form), so no VTIMEZONE blocks are
+ * needed; calendar apps show them in the viewer's own timezone.
+ */
+
+const PRODID = '-//Tekvwa IT Solutions Ltd//Consultations//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1), never splitting a
+ * multi-byte UTF-8 character
+ */
+function foldLine(line) {
+    const chars = Array.from(line);
+    const lines = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of chars) {
+        const bytes = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts toward the 75
+        const limit = lines.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            lines.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/**
+ * Date -> 20261019T080000Z
+ */
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * "Name <email>" style CAL-ADDRESS property with optional parameters
+ */
+function calAddress(property, { name, email }, params = []) {
+    const cn = name ? [`CN="${String(name).replace(/"/g, '\'')}"`] : [];
+    return `${[property, ...cn, ...params].join(';')}:mailto:${email}`;
+}
+
+/**
+ * Lines for one VEVENT.
+ * @param {Object} event
+ * @param {string} event.uid - stable across every update/cancel of the same event
+ * @param {number} event.sequence - bump on every significant change (time moved, cancelled)
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.status - CONFIRMED, TENTATIVE or CANCELLED
+ */
+function buildEvent({ uid, sequence = 0, start, end, summary, description, location, url, organizer, attendees = [], status, stamp = new Date() }) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatUtc(stamp)}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(summary)}`
+    ];
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (location) {
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+    if (url) {
+        lines.push(`URL:${url}`);
+    }
+    if (status) {
+        lines.push(`STATUS:${status}`);
+    }
+    if (organizer?.email) {
+        lines.push(calAddress('ORGANIZER', organizer));
+    }
+    for (const attendee of attendees.filter(a => a?.email)) {
+        lines.push(calAddress('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=FALSE']));
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * A complete VCALENDAR document (CRLF line endings, folded)
+ * @param {Object} options
+ * @param {string} [options.method] - REQUEST, CANCEL or PUBLISH
+ * @param {string} [options.name] - calendar display name (feeds)
+ * @param {Array<string[]>} options.events - buildEvent() results
+ */
+function buildCalendar({ method, name, events }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+    if (method) {
+        lines.push(`METHOD:${method}`);
+    }
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    for (const event of events) {
+        lines.push(...event);
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatUtc,
+    buildEvent,
+    buildCalendar
+};
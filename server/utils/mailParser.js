@@ -0,0 +1,310 @@
+/**
+ * Mail Parser Utility
+ * Minimal RFC 5322 / MIME (RFC 2045-2047) reader - just enough to take a
+ * client's emailed reply apart: headers, the sender, threading headers and
+ * the text of the message. Attachments are listed but not decoded.
+ *
+ * stripQuotedText then cuts the reply down to what the client actually
+ * wrote, dropping the quoted conversation and signatures that mail apps
+ * add underneath.
+ */
+
+const MAX_PART_DEPTH = 10;
+
+/**
+ * Split a raw message (or MIME part) into its header block and body
+ */
+function splitHeaderBody(buffer) {
+    const text = buffer.toString('latin1');
+    const match = /\r?\n\r?\n/.exec(text);
+    if (!match) {
+        return { headerText: text, body: Buffer.alloc(0) };
+    }
+    return {
+        headerText: text.slice(0, match.index),
+        body: Buffer.from(text.slice(match.index + match[0].length), 'latin1')
+    };
+}
+
+/**
+ * Unfold and parse a header block into { 'lower-case-name': [values] }
+ */
+function parseHeaders(headerText) {
+    const headers = {};
+    const unfolded = headerText.replace(/\r?\n[ \t]+/g, ' ');
+    for (const line of unfolded.split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) {
+            continue;
+        }
+        const name = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+        (headers[name] = headers[name] || []).push(value);
+    }
+    return headers;
+}
+
+/**
+ * "text/plain; charset=utf-8" -> { value: 'text/plain', params: { charset: 'utf-8' } }
+ */
+function parseHeaderParams(header) {
+    const [value, ...rest] = String(header || '').split(';');
+    const params = {};
+    const paramPattern = /^\s*([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s]*))\s*$/;
+    for (const part of rest) {
+        const match = paramPattern.exec(part);
+        if (match) {
+            params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+        }
+    }
+    return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Bytes -> string in the given charset, falling back to UTF-8 for charsets
+ * Node doesn't know
+ */
+function decodeCharset(buffer, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(buffer);
+    } catch (error) {
+        return buffer.toString('utf8');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const input = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < input.length; i++) {
+        if (input[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(input.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(input.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(input.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function decodeTransferEncoding(body, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body.toString('latin1'));
+        default:
+            return body;
+    }
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?utf-8?B?...?= / =?iso-8859-1?Q?...?=)
+ * in a header value. Raw 8-bit headers are read as UTF-8.
+ */
+function decodeEncodedWords(value) {
+    const text = Buffer.from(String(value || ''), 'latin1').toString('utf8');
+    return text
+        // Whitespace between two encoded words isn't part of the text
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, encoded) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(encoded, 'base64')
+                : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset);
+        });
+}
+
+/**
+ * Parse an address header into [{ name, address }], lower-casing addresses
+ */
+function parseAddressList(value) {
+    const addresses = [];
+    // Split on commas outside quotes and angle brackets
+    const entries = [];
+    let current = '';
+    let inQuotes = false;
+    let inAngle = false;
+    for (const char of decodeEncodedWords(value)) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === '<' && !inQuotes) {
+            inAngle = true;
+        } else if (char === '>' && !inQuotes) {
+            inAngle = false;
+        }
+        if (char === ',' && !inQuotes && !inAngle) {
+            entries.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    entries.push(current);
+
+    for (const entry of entries) {
+        const angle = /^(.*)<([^>]+)>\s*$/.exec(entry.trim());
+        const address = (angle ? angle[2] : entry.replace(/\(.*?\)/g, '')).trim().toLowerCase();
+        if (!address.includes('@')) {
+            continue;
+        }
+        const name = angle ? angle[1].trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1').trim() : '';
+        addresses.push({ name, address });
+    }
+    return addresses;
+}
+
+/**
+ * All <message-id>s in a Message-ID / In-Reply-To / References header
+ */
+function parseMessageIds(value) {
+    return String(value || '').match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Rough HTML to text, for mail with no text/plain part
+ */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        // Gmail and Outlook wrap the quoted conversation in these
+        .replace(/<blockquote[\s\S]*<\/blockquote>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/gi, '\'')
+        .replace(/&amp;/gi, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Walk a MIME part, collecting the first text/plain and text/html bodies
+ * and a list of attachments
+ */
+function collectParts(buffer, result, depth = 0) {
+    const { headerText, body } = splitHeaderBody(buffer);
+    const headers = parseHeaders(headerText);
+    const contentType = parseHeaderParams((headers['content-type'] || ['text/plain'])[0]);
+    const disposition = parseHeaderParams((headers['content-disposition'] || [''])[0]);
+    const filename = disposition.params.filename || contentType.params.name;
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_PART_DEPTH) {
+        const delimiter = `--${contentType.params.boundary}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const bodyText = body.toString('latin1');
+        const sections = bodyText.split(new RegExp(`(?:^|\\r?\\n)${delimiter}(?:--)?[ \\t]*(?=\\r?\\n|$)`));
+        // The first section is the preamble, and the last the epilogue
+        // unless the message was cut off before the closing delimiter
+        const closed = new RegExp(`(?:^|\\n)${delimiter}--`).test(bodyText);
+        sections.slice(1, closed ? -1 : undefined).forEach(section => {
+            collectParts(Buffer.from(section.replace(/^\r?\n/, ''), 'latin1'), result, depth + 1);
+        });
+        return;
+    }
+
+    if (disposition.value === 'attachment' || (filename && !contentType.value.startsWith('text/'))) {
+        result.attachments.push({
+            filename: filename ? decodeEncodedWords(filename) : null,
+            contentType: contentType.value
+        });
+        return;
+    }
+
+    const encoding = (headers['content-transfer-encoding'] || [''])[0];
+    if (contentType.value === 'text/plain' && result.text === null) {
+        result.text = decodeCharset(decodeTransferEncoding(body, encoding), contentType.params.charset);
+    } else if (contentType.value === 'text/html' && result.html === null) {
+        result.html = decodeCharset(decodeTransferEncoding(body, encoding), contentType.params.charset);
+    }
+}
+
+/**
+ * Parse a raw RFC 822 message
+ * @param {Buffer|string} raw
+ * @returns {{ headers, from, to, cc, subject, messageId, inReplyTo, references, date, text, html, attachments }}
+ */
+function parseMail(raw) {
+    const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+    const headers = parseHeaders(splitHeaderBody(buffer).headerText);
+    const first = (name) => (headers[name] ? headers[name][0] : null);
+    const addresses = (name) => (headers[name] || []).flatMap(parseAddressList);
+
+    const result = { text: null, html: null, attachments: [] };
+    collectParts(buffer, result);
+
+    const date = first('date') ? new Date(first('date')) : null;
+    return {
+        headers,
+        from: addresses('from')[0] || null,
+        to: addresses('to'),
+        cc: addresses('cc'),
+        subject: first('subject') ? decodeEncodedWords(first('subject')) : '',
+        messageId: parseMessageIds(first('message-id'))[0] || null,
+        inReplyTo: parseMessageIds(first('in-reply-to')),
+        references: parseMessageIds((headers.references || []).join(' ')),
+        date: date && !isNaN(date) ? date : null,
+        text: result.text,
+        html: result.html,
+        attachments: result.attachments
+    };
+}
+
+// Lines that start the quoted conversation or a mail app's footer.
+// Everything from the first one down is dropped.
+const QUOTE_HEADERS = [
+    /^On\s.+\swrote:$/i, // Gmail, Apple Mail, Thunderbird
+    /^-{2,}\s*Original Message\s*-{2,}$/i, // Outlook
+    /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+    /^_{10,}$/, // Outlook.com / Outlook for Mac
+    /^Le\s.+\sa écrit\s?:$/i,
+    /^Sent from my\s/i,
+    /^Get Outlook for\s/i,
+    /^-- ?$/ // Signature delimiter
+];
+// Outlook's "From: ... / Sent: ... / To: ..." block
+const OUTLOOK_FROM = /^\*?From:\*?\s/i;
+const OUTLOOK_FIELD = /^\*?(Sent|Date|To|Subject):\*?\s/i;
+
+/**
+ * Cut a reply down to the newly written text
+ */
+function stripQuotedText(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    let end = lines.length;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        // "On <date>, <name> <email>" is often wrapped before "wrote:"
+        const withNext = i + 1 < lines.length ? `${line} ${lines[i + 1].trim()}` : line;
+        if (QUOTE_HEADERS.some(pattern => pattern.test(line) || (line.startsWith('On ') && pattern.test(withNext)))) {
+            end = i;
+            break;
+        }
+        if (OUTLOOK_FROM.test(line) && lines.slice(i + 1, i + 5).some(next => OUTLOOK_FIELD.test(next.trim()))) {
+            end = i;
+            break;
+        }
+    }
+
+    const kept = lines.slice(0, end);
+    // Trailing "> quoted" lines (and blank lines between them)
+    while (kept.length && (/^\s*>/.test(kept[kept.length - 1]) || !kept[kept.length - 1].trim())) {
+        kept.pop();
+    }
+    return kept.join('\n').trim();
+}
+
+module.exports = {
+    parseMail,
+    parseHeaders,
+    parseHeaderParams,
+    parseAddressList,
+    parseMessageIds,
+    decodeEncodedWords,
+    htmlToText,
+    stripQuotedText
+};
@@ -0,0 +1,252 @@
+/**
+ * Newsletter Blocks
+ * A campaign's body is a list of blocks, turned into the email's HTML and
+ * plain-text versions here:
+ *
+ * - heading: { text }
+ * - text: { text } - blank lines start a new paragraph; **bold** and
+ *   [link text](https://...) are supported
+ * - image: { url, alt, link }
+ * - button: { text, url }
+ * - divider: {}
+ *
+ * Links can be rewritten for click tracking: each distinct URL in the
+ * campaign has an index (campaignLinks) and trackLink(index) gives the URL
+ * to use instead.
+ */
+
+const BLOCK_TYPES = {
+    heading: 'Heading',
+    text: 'Text',
+    image: 'Image',
+    button: 'Button',
+    divider: 'Divider'
+};
+
+const MAX_BLOCKS = 50;
+const MAX_TEXT_LENGTH = 10000;
+
+const LINK_PATTERN = /\[([^\]\n]+)\]\((\S+?)\)/g;
+
+const isSafeUrl = (url) => /^(https?:\/\/|mailto:)\S+$/i.test(String(url || ''));
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether a list of blocks can be saved and sent
+ * @returns {string|null} what's wrong, or null
+ */
+function validateBlocks(blocks) {
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+        return 'Add at least one block';
+    }
+    if (blocks.length > MAX_BLOCKS) {
+        return `A campaign can have up to ${MAX_BLOCKS} blocks`;
+    }
+
+    for (const [index, block] of blocks.entries()) {
+        const where = `Block ${index + 1}`;
+        if (!block || !BLOCK_TYPES[block.type]) {
+            return `${where}: unknown block type`;
+        }
+        const text = String(block.text || '').trim();
+        if (['heading', 'text', 'button'].includes(block.type) && !text) {
+            return `${where}: add some text`;
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            return `${where}: text can be up to ${MAX_TEXT_LENGTH} characters`;
+        }
+        if (block.type === 'text') {
+            for (const match of text.matchAll(LINK_PATTERN)) {
+                if (!isSafeUrl(match[2])) {
+                    return `${where}: links must start with http://, https:// or mailto:`;
+                }
+            }
+        }
+        if ((block.type === 'image' || block.type === 'button') && !isSafeUrl(block.url)) {
+            return `${where}: add a link starting with http:// or https://`;
+        }
+        if (block.type === 'image' && block.link && !isSafeUrl(block.link)) {
+            return `${where}: the image link must start with http:// or https://`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Blocks as stored - just the keys each type uses
+ */
+function cleanBlocks(blocks) {
+    return blocks.map(({ type, text, url, alt, link }) => {
+        switch (type) {
+            case 'heading':
+            case 'text':
+                return { type, text: String(text).trim() };
+            case 'image':
+                return { type, url: String(url).trim(), alt: String(alt || '').trim(), link: String(link || '').trim() };
+            case 'button':
+                return { type, text: String(text).trim(), url: String(url).trim() };
+            default:
+                return { type };
+        }
+    });
+}
+
+/**
+ * Every distinct link in the campaign, in order - a click is tracked by
+ * its index in this list
+ */
+function campaignLinks(blocks) {
+    const links = [];
+    const add = (url) => {
+        if (url && isSafeUrl(url) && !links.includes(url)) {
+            links.push(url);
+        }
+    };
+
+    for (const block of blocks) {
+        if (block.type === 'text') {
+            for (const match of String(block.text || '').matchAll(LINK_PATTERN)) {
+                add(match[2]);
+            }
+        } else if (block.type === 'image') {
+            add(block.link);
+        } else if (block.type === 'button') {
+            add(block.url);
+        }
+    }
+    return links;
+}
+
+// Plain text to HTML: escaped, **bold**, line breaks
+function formatPlain(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>');
+}
+
+// A text block's paragraph as HTML, with its [links](...)
+function formatParagraph(text, href) {
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(LINK_PATTERN)) {
+        html += formatPlain(text.slice(last, match.index));
+        html += isSafeUrl(match[2])
+            ? `<a href="${escapeHtml(href(match[2]))}" style="color: #0066CC;">${formatPlain(match[1])}</a>`
+            : formatPlain(match[0]);
+        last = match.index + match[0].length;
+    }
+    return html + formatPlain(text.slice(last));
+}
+
+function blockHtml(block, href) {
+    switch (block.type) {
+        case 'heading':
+            return `<h2 style="margin: 0 0 16px; font-size: 22px; line-height: 1.3; color: #1A1F36;">${escapeHtml(block.text)}</h2>`;
+        case 'text':
+            return block.text.split(/\n{2,}/)
+                .map(paragraph => `<p style="margin: 0 0 16px; font-size: 15px; line-height: 1.6;">${formatParagraph(paragraph, href)}</p>`)
+                .join('\n');
+        case 'image': {
+            const image = `<img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt)}" width="536" style="display: block; width: 100%; max-width: 536px; height: auto; border: 0; border-radius: 6px;">`;
+            return `<div style="margin: 0 0 16px;">${block.link ? `<a href="${escapeHtml(href(block.link))}">${image}</a>` : image}</div>`;
+        }
+        case 'button':
+            return `<p style="margin: 8px 0 24px; text-align: center;"><a href="${escapeHtml(href(block.url))}" style="display: inline-block; padding: 12px 28px; background: #0066CC; color: #ffffff; font-weight: bold; text-decoration: none; border-radius: 6px;">${escapeHtml(block.text)}</a></p>`;
+        case 'divider':
+            return '<hr style="border: 0; border-top: 1px solid #E3E8EE; margin: 24px 0;">';
+        default:
+            return '';
+    }
+}
+
+function blockText(block) {
+    switch (block.type) {
+        case 'heading':
+            return block.text.toUpperCase();
+        case 'text':
+            return block.text
+                .replace(LINK_PATTERN, (match, label, url) => `${label} (${url})`)
+                .replace(/\*\*(.+?)\*\*/g, '$1');
+        case 'image':
+            return block.link ? `${block.alt || 'Image'}: ${block.link}` : '';
+        case 'button':
+            return `${block.text}: ${block.url}`;
+        case 'divider':
+            return '----------';
+        default:
+            return '';
+    }
+}
+
+/**
+ * The email for a campaign ({ subject, preheader, blocks })
+ * @param {Object} [options]
+ * @param {Function} [options.trackLink] - (index) => URL to use for campaignLinks()[index]
+ * @param {string} [options.openPixelUrl] - 1x1 image that records an open
+ * @param {string} [options.unsubscribeUrl] - left out of test sends and previews
+ * @param {string} [options.preferencesUrl] - the subscriber's preference page
+ * @returns {{ html: string, text: string }}
+ */
+function renderCampaign(campaign, { trackLink = null, openPixelUrl = null, unsubscribeUrl = null, preferencesUrl = null } = {}) {
+    const blocks = campaign.blocks || [];
+    const links = campaignLinks(blocks);
+    const href = (url) => (trackLink && links.includes(url) ? trackLink(links.indexOf(url)) : url);
+
+    const footer = 'You are receiving this because you subscribed to the Tekvwa IT Solutions newsletter.';
+    const address = 'Tekvwa IT Solutions Ltd · RC 9748441 · Ughelli, Delta State, Nigeria';
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(campaign.subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #F4F6F8;">
+${campaign.preheader ? `<div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(campaign.preheader)}</div>` : ''}
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #F4F6F8;">
+<tr><td align="center" style="padding: 24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="width: 100%; max-width: 600px; background: #ffffff; border-radius: 8px; font-family: Arial, sans-serif; color: #333333;">
+<tr><td style="padding: 20px 32px; border-bottom: 3px solid #0066CC;"><strong style="font-size: 18px; color: #0066CC;">Tekvwa IT Solutions</strong></td></tr>
+<tr><td style="padding: 28px 32px 12px;">
+${blocks.map(block => blockHtml(block, href)).join('\n')}
+</td></tr>
+<tr><td style="padding: 16px 32px 24px; border-top: 1px solid #E3E8EE; font-size: 12px; line-height: 1.5; color: #888888;">
+${footer}${preferencesUrl ? ` <a href="${escapeHtml(preferencesUrl)}" style="color: #888888;">Update your preferences</a>` : ''}${unsubscribeUrl ? ` <a href="${escapeHtml(unsubscribeUrl)}" style="color: #888888;">Unsubscribe</a>` : ''}<br>
+${escapeHtml(address)}
+</td></tr>
+</table>
+${openPixelUrl ? `<img src="${escapeHtml(openPixelUrl)}" width="1" height="1" alt="" style="display: block; border: 0;">` : ''}
+</td></tr>
+</table>
+</body>
+</html>`;
+
+    const text = [
+        ...blocks.map(blockText).filter(Boolean),
+        '--',
+        footer,
+        preferencesUrl ? `Update your preferences: ${preferencesUrl}` : null,
+        unsubscribeUrl ? `Unsubscribe: ${unsubscribeUrl}` : null,
+        address
+    ].filter(line => line !== null).join('\n\n');
+
+    return { html, text };
+}
+
+module.exports = {
+    BLOCK_TYPES,
+    MAX_BLOCKS,
+    validateBlocks,
+    cleanBlocks,
+    campaignLinks,
+    renderCampaign
+};
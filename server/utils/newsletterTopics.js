@@ -0,0 +1,46 @@
+/**
+ * Newsletter Topics
+ * What subscribers can choose to hear about on the preference page, and
+ * what a campaign can be aimed at. Keys are stored on
+ * newsletter_subscribers.topics and newsletter_campaigns.topics.
+ *
+ * A campaign with no topics goes to every confirmed subscriber; one with
+ * topics goes to those who chose at least one of them.
+ */
+
+const NEWSLETTER_TOPICS = {
+    'data-analytics': 'Data Analytics',
+    'web-development': 'Web Development',
+    'software-development': 'Software Development',
+    'it-consulting': 'IT Consulting',
+    'company-news': 'Company News'
+};
+
+const TOPIC_KEYS = Object.keys(NEWSLETTER_TOPICS);
+
+/**
+ * The known topics in a submitted list, once each, in the usual order
+ * @returns {string[]}
+ */
+function cleanTopics(topics) {
+    const chosen = new Set(Array.isArray(topics) ? topics : []);
+    return TOPIC_KEYS.filter(key => chosen.has(key));
+}
+
+/**
+ * Whether a subscriber with these topics gets a campaign aimed at
+ * campaignTopics
+ */
+function wantsCampaign(subscriberTopics, campaignTopics) {
+    if (!campaignTopics || !campaignTopics.length) {
+        return true;
+    }
+    return campaignTopics.some(topic => (subscriberTopics || []).includes(topic));
+}
+
+module.exports = {
+    NEWSLETTER_TOPICS,
+    TOPIC_KEYS,
+    cleanTopics,
+    wantsCampaign
+};
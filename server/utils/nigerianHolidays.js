@@ -0,0 +1,66 @@
+/**
+ * Nigerian Public Holidays
+ * The federal public holidays that fall on a predictable date. Eid
+ * al-Fitr, Eid al-Adha and Mawlid follow the lunar calendar and are only
+ * confirmed by the Federal Government days beforehand, so they can't be
+ * computed here - add them each year as holiday blackout dates
+ * (POST /api/consultations/blackouts), as you would any ad-hoc
+ * "work-free day" the FG declares.
+ */
+
+const FIXED_HOLIDAYS = [
+    { month: 1, day: 1, name: 'New Year\'s Day' },
+    { month: 5, day: 1, name: 'Workers\' Day' },
+    { month: 6, day: 12, name: 'Democracy Day' },
+    { month: 10, day: 1, name: 'Independence Day' },
+    { month: 12, day: 25, name: 'Christmas Day' },
+    { month: 12, day: 26, name: 'Boxing Day' }
+];
+
+/**
+ * Western (Gregorian) Easter Sunday - the anonymous Gregorian algorithm
+ * (Meeus/Jones/Butcher). Returns a UTC-midnight Date.
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * All computable federal public holidays for a year, sorted by date.
+ * @returns {Array<{ date: string, name: string }>} date as YYYY-MM-DD
+ */
+function getNigerianHolidays(year) {
+    const holidays = FIXED_HOLIDAYS.map(({ month, day, name }) => ({
+        date: isoDate(new Date(Date.UTC(year, month - 1, day))),
+        name
+    }));
+
+    const easter = easterSunday(year);
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    holidays.push(
+        { date: isoDate(new Date(easter.getTime() - 2 * DAY_MS)), name: 'Good Friday' },
+        { date: isoDate(new Date(easter.getTime() + DAY_MS)), name: 'Easter Monday' }
+    );
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { getNigerianHolidays, easterSunday };
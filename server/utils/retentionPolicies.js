@@ -0,0 +1,119 @@
+/**
+ * Retention Policies
+ * How long each kind of data is kept before the data-retention job purges
+ * it (services/retentionService.js). Periods come from system_settings
+ * (category 'retention'); 0 keeps that kind of data forever.
+ */
+
+const net = require('net');
+
+// In the order they're shown and run. action is what happens to a row once
+// it's past its period.
+const RETENTION_POLICIES = {
+    analytics_events: {
+        label: 'Analytics events',
+        setting: 'retention_analytics_events_months',
+        unit: 'months',
+        defaultPeriod: 13,
+        action: 'deleted'
+    },
+    closed_chats: {
+        label: 'Closed chats',
+        setting: 'retention_closed_chats_months',
+        unit: 'months',
+        defaultPeriod: 24,
+        action: 'anonymized'
+    },
+    visitor_ips: {
+        label: 'Visitor IP addresses',
+        setting: 'retention_visitor_ip_days',
+        unit: 'days',
+        defaultPeriod: 30,
+        action: 'truncated'
+    },
+    audit_logs: {
+        label: 'Audit logs',
+        setting: 'retention_audit_logs_months',
+        unit: 'months',
+        defaultPeriod: 36,
+        action: 'deleted'
+    }
+};
+
+// Longest period a setting can ask for: 10 years
+const MAX_PERIOD = { months: 120, days: 3650 };
+
+/**
+ * Whether the job is on and each policy's period, from system_settings
+ * rows. Missing or out-of-range periods fall back to the default.
+ * @param {{ setting_key, setting_value }[]} rows
+ * @returns {{ enabled: boolean, periods: Object }} periods by policy key
+ */
+function readRetentionSettings(rows) {
+    const raw = Object.fromEntries(rows.map(r => [r.setting_key, r.setting_value]));
+
+    const periods = {};
+    Object.entries(RETENTION_POLICIES).forEach(([key, policy]) => {
+        const value = Number(raw[policy.setting]);
+        periods[key] = Number.isInteger(value) && value >= 0 && value <= MAX_PERIOD[policy.unit]
+            ? value
+            : policy.defaultPeriod;
+    });
+
+    return { enabled: raw.retention_enabled === 'true', periods };
+}
+
+/**
+ * The moment before which a policy's data is due, or null if it's kept
+ * forever. Months are calendar months (13 months before 31 March is
+ * 28/29 February the year before).
+ */
+function retentionCutoff(period, unit, now = new Date()) {
+    if (!period) {
+        return null;
+    }
+    const cutoff = new Date(now);
+    if (unit === 'days') {
+        cutoff.setUTCDate(cutoff.getUTCDate() - period);
+        return cutoff;
+    }
+    const day = cutoff.getUTCDate();
+    cutoff.setUTCDate(1);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - period);
+    const lastDay = new Date(Date.UTC(cutoff.getUTCFullYear(), cutoff.getUTCMonth() + 1, 0)).getUTCDate();
+    cutoff.setUTCDate(Math.min(day, lastDay));
+    return cutoff;
+}
+
+/**
+ * An IP address with the part that identifies one connection removed:
+ * the last octet of an IPv4 address (1.2.3.4 -> 1.2.3.0) and all but the
+ * first 48 bits of an IPv6 one (2001:db8:abcd:12::1 -> 2001:db8:abcd::),
+ * which still places a visitor by network and country. Anything that isn't
+ * an IP address gives null.
+ */
+function truncateIp(ip) {
+    const address = String(ip || '').trim();
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return `::ffff:${truncateIp(mapped[1])}`;
+    }
+    if (net.isIPv4(address)) {
+        return address.replace(/\.\d+$/, '.0');
+    }
+    if (net.isIPv6(address)) {
+        const [head, tail = ''] = address.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+        const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+        return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+    }
+    return null;
+}
+
+module.exports = {
+    RETENTION_POLICIES,
+    readRetentionSettings,
+    retentionCutoff,
+    truncateIp
+};
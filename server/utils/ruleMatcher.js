@@ -0,0 +1,224 @@
+/**
+ * Automation Rule Matcher
+ * What automation rules can test and do, checking a rule's definition and
+ * whether a message or ticket meets its conditions. No database access -
+ * running rules is services/automationService.js.
+ *
+ * Text comparisons ignore case and surrounding whitespace.
+ */
+
+// Fields conditions can test, with their labels for the rule editor.
+// email_domain and the requester fields are worked out when the item is
+// loaded (see automationService).
+const FIELDS = {
+    message: {
+        name: 'Name',
+        email: 'Email',
+        email_domain: 'Email domain',
+        company: 'Company',
+        service: 'Service',
+        message: 'Message text'
+    },
+    ticket: {
+        title: 'Title',
+        description: 'Description',
+        category: 'Category',
+        priority: 'Priority',
+        requester_name: 'Requested by',
+        requester_department: 'Requester department'
+    }
+};
+
+const OPERATORS = {
+    equals: 'is',
+    not_equals: 'is not',
+    contains: 'contains',
+    not_contains: 'does not contain',
+    starts_with: 'starts with',
+    ends_with: 'ends with',
+    in: 'is one of',
+    is_empty: 'is empty',
+    is_not_empty: 'is not empty'
+};
+
+// Operators that don't compare against a value
+const UNARY_OPERATORS = ['is_empty', 'is_not_empty'];
+
+const ACTIONS = {
+    message: {
+        assign: 'Assign to',
+        tag: 'Add tag',
+        set_status: 'Set status',
+        send_saved_reply: 'Send saved reply',
+        notify: 'Notify'
+    },
+    ticket: {
+        assign: 'Assign to',
+        set_status: 'Set status',
+        set_priority: 'Set priority',
+        notify: 'Notify'
+    }
+};
+
+const STATUSES = {
+    message: ['new', 'in_progress', 'converted', 'archived'],
+    ticket: ['open', 'in_progress', 'resolved', 'closed']
+};
+
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const MAX_CONDITIONS = 20;
+const MAX_ACTIONS = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function normalize(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * The value a condition tests
+ */
+function fieldValue(item, field) {
+    if (field === 'email_domain') {
+        const email = normalize(item.email);
+        return email.includes('@') ? email.slice(email.lastIndexOf('@') + 1) : '';
+    }
+    return normalize(item[field]);
+}
+
+/**
+ * Whether an item meets one condition. "is one of" takes a comma-separated
+ * list.
+ */
+function evaluateCondition(item, condition) {
+    const actual = fieldValue(item, condition.field);
+    const expected = normalize(condition.value);
+
+    switch (condition.operator) {
+        case 'equals':
+            return actual === expected;
+        case 'not_equals':
+            return actual !== expected;
+        case 'contains':
+            return actual.includes(expected);
+        case 'not_contains':
+            return !actual.includes(expected);
+        case 'starts_with':
+            return actual.startsWith(expected);
+        case 'ends_with':
+            return actual.endsWith(expected);
+        case 'in':
+            return expected.split(',').map(v => v.trim()).filter(Boolean).includes(actual);
+        case 'is_empty':
+            return actual === '';
+        case 'is_not_empty':
+            return actual !== '';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Whether an item meets a rule's conditions - all of them, or any one for
+ * matchType 'any'. A rule with no conditions matches everything.
+ */
+function matchesConditions(item, conditions, matchType = 'all') {
+    if (!conditions || !conditions.length) {
+        return true;
+    }
+    return matchType === 'any'
+        ? conditions.some(condition => evaluateCondition(item, condition))
+        : conditions.every(condition => evaluateCondition(item, condition));
+}
+
+/**
+ * Check conditions make sense for messages or tickets
+ * @returns {string|null} what's wrong, or null
+ */
+function validateConditions(entityType, conditions) {
+    const fields = FIELDS[entityType];
+    if (!fields) {
+        return 'Rules apply to messages or tickets';
+    }
+    if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+        return `A rule can have up to ${MAX_CONDITIONS} conditions`;
+    }
+    for (const condition of conditions) {
+        if (!condition || !fields[condition.field]) {
+            return `Unknown field "${condition && condition.field}"`;
+        }
+        if (!OPERATORS[condition.operator]) {
+            return `Unknown comparison "${condition.operator}"`;
+        }
+        if (!UNARY_OPERATORS.includes(condition.operator) && normalize(condition.value) === '') {
+            return `Enter a value for "${fields[condition.field]}"`;
+        }
+        if (String(condition.value ?? '').length > 500) {
+            return 'Condition values can be up to 500 characters';
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a rule's conditions and actions make sense for its type. Whether
+ * the staff, tags and saved replies it names exist is checked against the
+ * database when it's saved.
+ * @returns {string|null} what's wrong, or null
+ */
+function validateRule({ entityType, conditions = [], actions = [] }) {
+    const conditionProblem = validateConditions(entityType, conditions);
+    if (conditionProblem) {
+        return conditionProblem;
+    }
+
+    if (!Array.isArray(actions) || !actions.length || actions.length > MAX_ACTIONS) {
+        return `A rule needs between 1 and ${MAX_ACTIONS} actions`;
+    }
+    for (const action of actions) {
+        if (!action || !ACTIONS[entityType][action.type]) {
+            return `Rules for ${entityType}s can't "${action && action.type}"`;
+        }
+        const problem = validateAction(entityType, action);
+        if (problem) {
+            return problem;
+        }
+    }
+    if (actions.filter(action => action.type === 'send_saved_reply').length > 1) {
+        return 'A rule can send one saved reply';
+    }
+    return null;
+}
+
+function validateAction(entityType, action) {
+    switch (action.type) {
+        case 'assign':
+            return UUID_PATTERN.test(action.staffId || '') ? null : 'Choose who to assign to';
+        case 'tag':
+            return UUID_PATTERN.test(action.tagId || '') ? null : 'Choose a tag';
+        case 'set_status':
+            return STATUSES[entityType].includes(action.status) ? null : 'Choose a status';
+        case 'set_priority':
+            return TICKET_PRIORITIES.includes(action.priority) ? null : 'Choose a priority';
+        case 'send_saved_reply':
+            return UUID_PATTERN.test(action.savedReplyId || '') ? null : 'Choose a saved reply';
+        case 'notify':
+            // No staffId: whoever the item is assigned to by then
+            return !action.staffId || UUID_PATTERN.test(action.staffId) ? null : 'Invalid staff member to notify';
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    FIELDS,
+    OPERATORS,
+    ACTIONS,
+    STATUSES,
+    TICKET_PRIORITIES,
+    evaluateCondition,
+    matchesConditions,
+    validateConditions,
+    validateRule
+};
@@ -0,0 +1,109 @@
+/**
+ * Satisfaction Scores
+ * CSAT and NPS from survey responses (satisfaction_surveys rows).
+ *
+ * - CSAT: a 1-5 rating. Reported as the average and as the share of
+ *   responses that were satisfied (4 or 5).
+ * - NPS: a 0-10 "how likely are you to recommend us". Promoters score 9-10,
+ *   detractors 0-6; NPS is % promoters minus % detractors, -100 to 100.
+ *
+ * A response can answer either question or both, so each is counted over
+ * the responses that answered it.
+ */
+
+const CSAT_MIN = 1;
+const CSAT_MAX = 5;
+const NPS_MIN = 0;
+const NPS_MAX = 10;
+
+const isScore = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+function toScore(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+/**
+ * Whether a submitted response is usable: valid scores, at least one given
+ * @returns {string|null} what's wrong, or null
+ */
+function validateResponse({ csatScore, npsScore }) {
+    const csat = toScore(csatScore);
+    const nps = toScore(npsScore);
+    if (csat === null && nps === null) {
+        return 'Please choose a rating';
+    }
+    if (csat !== null && !isScore(csat, CSAT_MIN, CSAT_MAX)) {
+        return `Rating must be between ${CSAT_MIN} and ${CSAT_MAX}`;
+    }
+    if (nps !== null && !isScore(nps, NPS_MIN, NPS_MAX)) {
+        return `Recommendation score must be between ${NPS_MIN} and ${NPS_MAX}`;
+    }
+    return null;
+}
+
+/**
+ * CSAT and NPS for a set of responses ({ csat_score, nps_score })
+ */
+function summarizeSatisfaction(responses) {
+    const csatScores = responses.map(r => toScore(r.csat_score)).filter(score => score !== null);
+    const npsScores = responses.map(r => toScore(r.nps_score)).filter(score => score !== null);
+
+    const promoters = npsScores.filter(score => score >= 9).length;
+    const detractors = npsScores.filter(score => score <= 6).length;
+
+    return {
+        responses: responses.length,
+        csat: csatScores.length
+            ? Math.round((csatScores.reduce((sum, score) => sum + score, 0) / csatScores.length) * 10) / 10
+            : null,
+        csatResponses: csatScores.length,
+        satisfiedRate: csatScores.length
+            ? Math.round((csatScores.filter(score => score >= 4).length / csatScores.length) * 100)
+            : null,
+        nps: npsScores.length
+            ? Math.round(((promoters - detractors) / npsScores.length) * 100)
+            : null,
+        npsResponses: npsScores.length,
+        promoters,
+        passives: npsScores.length - promoters - detractors,
+        detractors
+    };
+}
+
+/**
+ * Responses summarized per group, most responses first
+ */
+function groupSatisfaction(responses, keyOf, nameOf) {
+    const groups = new Map();
+    for (const response of responses) {
+        const key = keyOf(response) || null;
+        if (!groups.has(key)) {
+            groups.set(key, { key, name: nameOf(response), responses: [] });
+        }
+        groups.get(key).responses.push(response);
+    }
+    return [...groups.values()]
+        .map(({ key, name, responses: inGroup }) => ({ key, name, ...summarizeSatisfaction(inGroup) }))
+        .sort((a, b) => b.responses - a.responses);
+}
+
+/**
+ * Month-by-month CSAT and NPS (YYYY-MM of responded_at), oldest first
+ */
+function satisfactionTrend(responses) {
+    const monthOf = (response) => new Date(response.responded_at).toISOString().slice(0, 7);
+    const months = [...new Set(responses.map(monthOf))].sort();
+    return months.map(month => ({
+        month,
+        ...summarizeSatisfaction(responses.filter(response => monthOf(response) === month))
+    }));
+}
+
+module.exports = {
+    CSAT_MAX,
+    NPS_MAX,
+    validateResponse,
+    summarizeSatisfaction,
+    groupSatisfaction,
+    satisfactionTrend
+};
@@ -0,0 +1,142 @@
+/**
+ * Timezone Utility
+ * Wall-clock <-> UTC conversion using only the built-in Intl API (full ICU
+ * ships with Node, so every IANA zone name works without a tz library).
+ *
+ * Consultation booking_date/booking_time are stored as wall-clock values in
+ * the business timezone (the booking_timezone setting, Africa/Lagos by
+ * default); these helpers are how they get turned into real instants and
+ * back into a visitor's own local time.
+ */
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Whether a string is a timezone name Intl recognises
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * @returns {{ date: string, time: string, dayOfWeek: number }} date as
+ *   YYYY-MM-DD, time as HH:MM, dayOfWeek 0 (Sun) - 6 (Sat)
+ */
+function toZonedParts(instant, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * The UTC instant at which a timezone's wall clock reads `date` `time`.
+ * Resolves the zone's offset at that moment, so DST zones (a visitor in
+ * Toronto or London) come out right, not just fixed-offset Lagos.
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const asIfUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Guess using the offset at the naive instant, then correct once with
+    // the offset at the guessed instant (handles crossing a DST boundary)
+    let guess = asIfUtc - getOffsetMs(new Date(asIfUtc), timeZone);
+    guess = asIfUtc - getOffsetMs(new Date(guess), timeZone);
+    return new Date(guess);
+}
+
+/**
+ * A timezone's UTC offset at an instant, in ms (Lagos: +3600000)
+ */
+function getOffsetMs(instant, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+        parts[type] = value;
+    }
+    const asIfUtc = Date.UTC(
+        Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour), Number(parts.minute), Number(parts.second)
+    );
+    return asIfUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * YYYY-MM-DD shifted by a number of days (calendar arithmetic, no timezone)
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * A DATE column value as YYYY-MM-DD. node-postgres parses DATE into a Date
+ * at local midnight, so the local getters (not toISOString) give the
+ * stored calendar date back.
+ */
+function toDateString(value) {
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+/**
+ * "HH:MM" or "HH:MM:SS" -> minutes since midnight
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Minutes since midnight -> "HH:MM"
+ */
+function minutesToTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    isValidTimeZone,
+    toZonedParts,
+    zonedTimeToUtc,
+    getOffsetMs,
+    addDays,
+    toDateString,
+    timeToMinutes,
+    minutesToTime
+};
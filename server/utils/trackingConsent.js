@@ -0,0 +1,136 @@
+/**
+ * Tracking Consent
+ * Whether /api/analytics/track may record a visitor, from their latest
+ * consent record (consent_records) and the privacy signals their browser
+ * sends:
+ *
+ * - Global Privacy Control (Sec-GPC: 1) or Do Not Track (DNT: 1) means no,
+ *   whatever the banner says.
+ * - Otherwise it's yes only if they said yes to analytics under the current
+ *   cookie policy version. No choice yet, a no, or a choice made under an
+ *   older policy is no.
+ *
+ * Without consent, page views are still counted but anonymously: no
+ * visitor, IP address, browser or metadata, the page without its query
+ * string and the referrer cut down to its site. Other events are dropped.
+ */
+
+// Must match CookieConsent.version in js/cookie-consent.js. Raising it asks
+// everyone to choose again, and older choices stop counting.
+const CONSENT_POLICY_VERSION = '1.0';
+
+// Events still counted without consent
+const ANONYMOUS_EVENT_TYPES = ['page_view'];
+
+/**
+ * The privacy signal a request carries, if any
+ * @returns {'gpc'|'dnt'|null}
+ */
+function privacySignal(headers = {}) {
+    if (String(headers['sec-gpc'] || '').trim() === '1') {
+        return 'gpc';
+    }
+    if (String(headers.dnt || '').trim() === '1') {
+        return 'dnt';
+    }
+    return null;
+}
+
+/**
+ * Whether a visitor may be tracked, and why
+ * @param {Object|null} record - their latest consent_records row
+ * @param {'gpc'|'dnt'|null} signal - from privacySignal()
+ * @returns {{ allowed: boolean, reason: string }} reason is 'consent',
+ *   'gpc', 'dnt', 'no_choice', 'declined' or 'outdated'
+ */
+function trackingDecision(record, signal) {
+    if (signal) {
+        return { allowed: false, reason: signal };
+    }
+    if (!record) {
+        return { allowed: false, reason: 'no_choice' };
+    }
+    if (record.policy_version !== CONSENT_POLICY_VERSION) {
+        return { allowed: false, reason: 'outdated' };
+    }
+    return record.analytics
+        ? { allowed: true, reason: 'consent' }
+        : { allowed: false, reason: 'declined' };
+}
+
+function pathOnly(pageUrl) {
+    const path = typeof pageUrl === 'string' ? pageUrl.trim().split(/[?#]/)[0] : '';
+    return path ? path.slice(0, 500) : '/unknown';
+}
+
+function siteOnly(referrer) {
+    if (!referrer || referrer === 'direct') {
+        return 'direct';
+    }
+    try {
+        return new URL(referrer).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The anonymous version of an event, or null if it isn't kept without
+ * consent
+ */
+function anonymousEvent({ eventType, pageUrl, referrer }, reason) {
+    if (!ANONYMOUS_EVENT_TYPES.includes(eventType)) {
+        return null;
+    }
+    return {
+        eventType,
+        pageUrl: pathOnly(pageUrl),
+        referrer: siteOnly(referrer),
+        // Only why it's anonymous, for the consent report
+        metadata: { consent: reason }
+    };
+}
+
+const percent = (count, total) => (total ? Math.round((count / total) * 100) : null);
+
+/**
+ * Consent rates for a set of choices (the latest per browser)
+ * @returns {{ total, analytics, marketing, functional, privacySignal, outdated }}
+ *   each category as { count, rate } with rate a whole percentage
+ */
+function summarizeConsent(choices) {
+    const total = choices.length;
+    const rated = (count) => ({ count, rate: percent(count, total) });
+    // An analytics "yes" only counts under the current policy and without a
+    // privacy signal, as on the tracking endpoint
+    const tracked = choices.filter(choice => !choice.gpc && !choice.dnt && trackingDecision(choice, null).allowed);
+    return {
+        total,
+        analytics: rated(tracked.length),
+        marketing: rated(choices.filter(choice => choice.marketing).length),
+        functional: rated(choices.filter(choice => choice.functional).length),
+        privacySignal: rated(choices.filter(choice => choice.gpc || choice.dnt).length),
+        outdated: rated(choices.filter(choice => choice.policy_version !== CONSENT_POLICY_VERSION).length)
+    };
+}
+
+/**
+ * Consent rates by month the choice was made
+ */
+function consentTrend(choices) {
+    const monthOf = (choice) => new Date(choice.created_at).toISOString().slice(0, 7);
+    const months = [...new Set(choices.map(monthOf))].sort();
+    return months.map(month => ({
+        month,
+        ...summarizeConsent(choices.filter(choice => monthOf(choice) === month))
+    }));
+}
+
+module.exports = {
+    CONSENT_POLICY_VERSION,
+    privacySignal,
+    trackingDecision,
+    anonymousEvent,
+    summarizeConsent,
+    consentTrend
+};
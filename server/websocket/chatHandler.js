@@ -10,7 +10,10 @@ const Visitor = require('../models/Visitor');
 const Staff = require('../models/Staff');
 const db = require('../config/database');
 const { sendMissedChatResponse } = require('../services/emailService');
+const { recordInteraction } = require('../services/contactService');
+const { emailTranscriptIfRequested } = require('../services/chatTranscriptService');
 const { sanitizeString, sanitizeEmail } = require('../middleware/sanitizer');
+const { skillForChat, pickAgent, estimateWaitMinutes, queueMessage, DEFAULT_HANDLE_MINUTES } = require('../utils/chatRouting');
 
 // Store active connections
 const connections = new Map(); // sessionId -> { visitor: ws, admin: ws, staffId: number }
@@ -91,6 +94,148 @@ const getOnlineStaffIds = () => {
     return onlineIds;
 };
 
+/**
+ * Online staff who can take chats, with their current chat counts
+ */
+const getOnlineAgents = async () => {
+    const onlineStaffIds = getOnlineStaffIds();
+    return onlineStaffIds.length > 0 ? Staff.getChatAgents(onlineStaffIds) : [];
+};
+
+/**
+ * Assign a chat to a staff member and let them know
+ */
+const assignChat = async (session, staff) => {
+    await Chat.assignSession(session.id, staff.id);
+
+    // Track assignment in memory
+    sessionAssignments.set(session.id, {
+        staffId: staff.id,
+        staffName: staff.name,
+        assignedAt: new Date()
+    });
+
+    if (!connections.has(session.id)) {
+        connections.set(session.id, { visitor: null, admin: null, staffId: null });
+    }
+    connections.get(session.id).staffId = staff.id;
+
+    console.log(`Chat ${session.id} auto-assigned to ${staff.name}`);
+
+    // Notify the assigned staff specifically
+    for (const [adminWs, staffInfo] of adminConnections) {
+        if (staffInfo.staffId === staff.id && adminWs.readyState === WebSocket.OPEN) {
+            adminWs.send(JSON.stringify({
+                type: 'chat_assigned',
+                session: {
+                    id: session.id,
+                    visitor: { name: session.visitor_name, email: session.visitor_email },
+                    created_at: session.created_at,
+                    assigned_to: staff.id,
+                    assigned_to_name: staff.name
+                },
+                message: 'A new chat has been assigned to you'
+            }));
+        }
+    }
+};
+
+/**
+ * Hand queued chats to agents who have room, oldest first, then tell each
+ * visitor still waiting their place and expected wait, and every admin how
+ * long the queue is and how busy each online agent is
+ */
+const routeQueuedChats = async () => {
+    const agents = await getOnlineAgents();
+    const queue = await Chat.getQueue();
+    const waiting = [];
+
+    for (const session of queue) {
+        const agent = pickAgent(agents, session.service);
+        if (!agent) {
+            waiting.push(session);
+            continue;
+        }
+
+        await assignChat(session, agent);
+        agent.active_chat_count += 1;
+
+        const visitorWs = connections.get(session.id)?.visitor;
+        if (visitorWs && visitorWs.readyState === WebSocket.OPEN) {
+            visitorWs.send(JSON.stringify({
+                type: 'agent_assigned',
+                assignedTo: agent.name,
+                message: `${agent.name} will be with you shortly.`
+            }));
+        }
+
+        broadcastToAdmins({
+            type: 'session_claimed',
+            sessionId: session.id,
+            staffId: agent.id,
+            staffName: agent.name
+        });
+    }
+
+    const avgHandleMinutes = waiting.length > 0
+        ? (await Chat.getAverageHandleMinutes()) || DEFAULT_HANDLE_MINUTES
+        : DEFAULT_HANDLE_MINUTES;
+
+    waiting.forEach((session, index) => {
+        const visitorWs = connections.get(session.id)?.visitor;
+        if (visitorWs && visitorWs.readyState === WebSocket.OPEN) {
+            const position = index + 1;
+            const etaMinutes = estimateWaitMinutes(position, agents, avgHandleMinutes);
+            visitorWs.send(JSON.stringify({
+                type: 'queue_update',
+                position,
+                etaMinutes,
+                message: queueMessage(position, etaMinutes)
+            }));
+        }
+    });
+
+    broadcastToAdmins({
+        type: 'queue_status',
+        queue: {
+            depth: waiting.length,
+            oldestQueuedAt: waiting.length > 0 ? waiting[0].queued_at : null,
+            agents: agents.map(agent => ({
+                id: agent.id,
+                name: agent.name,
+                activeChats: agent.active_chat_count,
+                maxChats: agent.max_concurrent_chats
+            }))
+        }
+    });
+};
+
+// Everything that hands out chats (queue updates and new chats) runs one
+// after another, so two chats can't both be given an agent's last free
+// slot and two agents freeing up at the same moment can't both be handed
+// the same queued chat
+let queueRun = Promise.resolve();
+
+/**
+ * Run a task once everything already waiting to hand out chats is done.
+ * The returned promise settles with the task; a failure doesn't hold up
+ * the tasks after it.
+ */
+const inQueueOrder = (task) => {
+    const run = queueRun.then(task);
+    queueRun = run.catch(() => {});
+    return run;
+};
+
+/**
+ * Route the chat queue after anything that changes who is free: a new or
+ * closed chat, a release or transfer, an agent coming online or leaving
+ */
+const updateQueue = () => {
+    return inQueueOrder(routeQueuedChats)
+        .catch(error => console.error('Chat queue error:', error));
+};
+
 /**
  * Initialize WebSocket handling
  */
@@ -206,6 +351,11 @@ const restoreVisitorSession = async (ws, sessionId) => {
 
         console.log(`Visitor session ${sessionId} restored`);
 
+        // Still waiting for an agent: tell them where they are in the queue
+        if (session.queued_at && !session.assigned_to) {
+            await updateQueue();
+        }
+
     } catch (error) {
         console.error('Restore session error:', error);
         ws.send(JSON.stringify({
@@ -244,7 +394,7 @@ const handleAdminMessage = async (ws, message) => {
             break;
 
         case 'close_session':
-            await closeSession(message.sessionId);
+            await closeSession(message.sessionId, adminConnections.get(ws)?.staffId || null);
             break;
 
         case 'get_sessions':
@@ -296,7 +446,8 @@ const startChat = async (ws, data) => {
         // so visitor-supplied name/email get no XSS/format protection unless
         // sanitized here - previously reached the DB, other staff's screens,
         // and outbound emails completely raw.
-        const name = sanitizeString(data.name, { maxLength: 200 }) || 'Visitor';
+        const givenName = sanitizeString(data.name, { maxLength: 200 });
+        const name = givenName || 'Visitor';
         const email = sanitizeEmail(data.email);
 
         // Create or update visitor using upsert
@@ -306,13 +457,25 @@ const startChat = async (ws, data) => {
             source: 'chat'
         });
 
+        // The service the chat is about: chosen in the widget, or the
+        // service page it was started on
+        const page = sanitizeString(data.page, { maxLength: 255 }) || null;
+        const skill = skillForChat({ service: data.service, page });
+
         // Create chat session
         const session = await Chat.createSession({
             visitorId: visitor.id,
             visitorName: name,
-            visitorEmail: email
+            visitorEmail: email,
+            service: skill,
+            page,
+            // "Email me a transcript" in the widget
+            transcriptRequested: data.transcript === true
         });
 
+        // Keep their contact record up to date (non-critical)
+        recordInteraction({ email, name: givenName }).catch(err => console.error('Contact update error (non-fatal):', err));
+
         ws.sessionId = session.id;
         ws.visitorId = visitor.id;
 
@@ -322,62 +485,43 @@ const startChat = async (ws, data) => {
         }
         connections.get(session.id).visitor = ws;
 
-        // Auto-assign to available staff (prefer online staff)
-        let assignedStaff = null;
-        const onlineStaffIds = getOnlineStaffIds();
-
-        if (onlineStaffIds.length > 0) {
-            // Try to assign to an online staff member first
-            assignedStaff = await Staff.getNextAvailableForChats(onlineStaffIds);
-        }
-
-        if (!assignedStaff) {
-            // Fall back to any available staff with chat permission
-            assignedStaff = await Staff.getNextAvailableForChats();
-        }
-
-        // If still no staff available, assign to admin
-        if (!assignedStaff) {
-            // Find an admin user
-            const adminUser = await Staff.findAdminForFallback();
-            if (adminUser) {
-                assignedStaff = adminUser;
-                console.log(`No staff available, falling back to admin: ${adminUser.name}`);
+        // Route to the least busy online agent with the skill and room for
+        // another chat. If agents are online but all at their limit, the
+        // chat waits in the queue for the next one free. Done in queue
+        // order, so the chat counts read here are still true when it's
+        // assigned.
+        const { assignedStaff, queued } = await inQueueOrder(async () => {
+            let staff = null;
+            let waiting = false;
+            const onlineAgents = await getOnlineAgents();
+
+            if (onlineAgents.length > 0) {
+                staff = pickAgent(onlineAgents, skill);
+                waiting = !staff;
+            } else {
+                // Nobody online - fall back to any available staff with chat permission
+                staff = await Staff.getNextAvailableForChats(null, skill);
             }
-        }
 
-        if (assignedStaff) {
-            // Assign session in database
-            await Chat.assignSession(session.id, assignedStaff.id);
-
-            // Track assignment in memory
-            sessionAssignments.set(session.id, {
-                staffId: assignedStaff.id,
-                staffName: assignedStaff.name,
-                assignedAt: new Date()
-            });
-
-            connections.get(session.id).staffId = assignedStaff.id;
-
-            console.log(`Chat ${session.id} auto-assigned to ${assignedStaff.name}`);
-
-            // Notify the assigned staff specifically
-            for (const [adminWs, staffInfo] of adminConnections) {
-                if (staffInfo.staffId === assignedStaff.id && adminWs.readyState === WebSocket.OPEN) {
-                    adminWs.send(JSON.stringify({
-                        type: 'chat_assigned',
-                        session: {
-                            id: session.id,
-                            visitor: { name, email },
-                            created_at: session.created_at,
-                            assigned_to: assignedStaff.id,
-                            assigned_to_name: assignedStaff.name
-                        },
-                        message: 'A new chat has been assigned to you'
-                    }));
+            // If still no staff available, assign to admin
+            if (!staff && !waiting) {
+                // Find an admin user
+                const adminUser = await Staff.findAdminForFallback();
+                if (adminUser) {
+                    staff = adminUser;
+                    console.log(`No staff available, falling back to admin: ${adminUser.name}`);
                 }
             }
 
+            if (staff) {
+                await assignChat(session, staff);
+            } else if (waiting) {
+                await Chat.queueSession(session.id);
+            }
+            return { assignedStaff: staff, queued: waiting };
+        });
+
+        if (assignedStaff) {
             // Update session info for visitor
             ws.send(JSON.stringify({
                 type: 'session_started',
@@ -386,6 +530,17 @@ const startChat = async (ws, data) => {
                 message: `Connected to support. ${assignedStaff.name} will be with you shortly.`
             }));
 
+            // Send auto-reply
+            await sendAutoReply(ws, session.id);
+        } else if (queued) {
+            // Their place in the queue follows from updateQueue() below
+            ws.send(JSON.stringify({
+                type: 'session_started',
+                sessionId: session.id,
+                queued: true,
+                message: 'Connected to support.'
+            }));
+
             // Send auto-reply
             await sendAutoReply(ws, session.id);
         } else {
@@ -408,10 +563,18 @@ const startChat = async (ws, data) => {
                 visitor: { name, email },
                 created_at: session.created_at,
                 assigned_to: assignedStaff?.id || null,
-                assigned_to_name: assignedStaff?.name || null
+                assigned_to_name: assignedStaff?.name || null,
+                queued
             }
         });
 
+        let adminNotice = `New chat from ${name} - NO STAFF AVAILABLE`;
+        if (assignedStaff) {
+            adminNotice = `New chat from ${name} assigned to ${assignedStaff.name}`;
+        } else if (queued) {
+            adminNotice = `New chat from ${name} is waiting in the queue - everyone online is at their chat limit`;
+        }
+
         // Send special admin notification for record keeping
         for (const [adminWs, staffInfo] of adminConnections) {
             if (staffInfo.role === 'admin' && adminWs.readyState === WebSocket.OPEN) {
@@ -425,19 +588,50 @@ const startChat = async (ws, data) => {
                         assigned_to: assignedStaff?.id || null,
                         assigned_to_name: assignedStaff?.name || 'Unassigned'
                     },
-                    message: assignedStaff
-                        ? `New chat from ${name} assigned to ${assignedStaff.name}`
-                        : `New chat from ${name} - NO STAFF AVAILABLE`
+                    message: adminNotice
                 }));
             }
         }
 
+        await updateQueue();
+
     } catch (error) {
         console.error('Start chat error:', error);
         ws.send(JSON.stringify({ type: 'error', message: 'Failed to start chat' }));
     }
 };
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+/**
+ * The files a message sends: ones the sender uploaded to this chat (see
+ * POST /api/chat/sessions/:id/attachments) that aren't in a message yet
+ * @returns {Promise<Array|null>} null if any of them can't be sent
+ */
+const pendingAttachments = async (sessionId, attachmentIds, uploadedByType, staffId) => {
+    if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) {
+        return [];
+    }
+    const ids = [...new Set(attachmentIds.map(String))];
+    if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE || !ids.every(id => UUID_PATTERN.test(id))) {
+        return null;
+    }
+    const attachments = await Chat.getPendingAttachments(sessionId, uploadedByType, staffId, ids);
+    return attachments.length === ids.length ? attachments : null;
+};
+
+/**
+ * Save a chat message and make its attachments part of it
+ */
+const addMessageWithAttachments = async ({ sessionId, senderType, senderId, content, attachments }) => {
+    const chatMessage = await Chat.addMessage({ sessionId, senderType, senderId, content });
+    chatMessage.attachments = attachments.length > 0
+        ? await Chat.attachToMessage(chatMessage.id, attachments.map(attachment => attachment.id))
+        : [];
+    return chatMessage;
+};
+
 /**
  * Send message from visitor
  */
@@ -449,16 +643,22 @@ const sendVisitorMessage = async (ws, data) => {
         }
 
         const content = sanitizeString(data.content, { maxLength: 5000 });
-        if (!content) {
+        const attachments = await pendingAttachments(ws.sessionId, data.attachmentIds, 'visitor', null);
+        if (!attachments) {
+            ws.send(JSON.stringify({ type: 'error', message: 'File not found - please attach it again' }));
+            return;
+        }
+        if (!content && attachments.length === 0) {
             ws.send(JSON.stringify({ type: 'error', message: 'Message content is required' }));
             return;
         }
 
-        const chatMessage = await Chat.addMessage({
+        const chatMessage = await addMessageWithAttachments({
             sessionId: ws.sessionId,
             senderType: 'visitor',
             senderId: null,
-            content
+            content: content || '',
+            attachments
         });
 
         // Send confirmation to visitor
@@ -481,7 +681,7 @@ const sendVisitorMessage = async (ws, data) => {
         broadcastToAdmins({
             type: 'session_message',
             sessionId: ws.sessionId,
-            preview: content.substring(0, 50)
+            preview: (content || `Sent ${attachments[0].file_name}`).substring(0, 50)
         });
 
     } catch (error) {
@@ -538,6 +738,9 @@ const authenticateStaff = async (ws, data) => {
     // Session list is only ever sent to an authenticated, chat-permitted
     // connection - never on raw connect (see handleAdminConnection).
     await sendPendingSessions(ws);
+
+    // Someone new online may have room for queued chats
+    await updateQueue();
 };
 
 /**
@@ -612,6 +815,9 @@ const joinSession = async (ws, sessionId) => {
                 staffId,
                 staffName: staffName || 'Staff'
             });
+
+            // Claiming a queued chat moves everyone behind it up
+            await updateQueue();
         }
 
         // Get session messages
@@ -697,6 +903,8 @@ const transferSession = async (ws, data) => {
             message: `Chat transferred to ${toStaffName}`
         }));
 
+        await updateQueue();
+
     } catch (error) {
         console.error('Transfer session error:', error);
         ws.send(JSON.stringify({ type: 'error', message: 'Failed to transfer session' }));
@@ -743,6 +951,8 @@ const releaseSession = async (ws, sessionId) => {
             message: 'Chat released and available for other staff'
         }));
 
+        await updateQueue();
+
     } catch (error) {
         console.error('Release session error:', error);
         ws.send(JSON.stringify({ type: 'error', message: 'Failed to release session' }));
@@ -773,11 +983,22 @@ const sendAdminMessage = async (ws, data) => {
             return;
         }
 
-        const chatMessage = await Chat.addMessage({
+        const attachments = await pendingAttachments(sessionId, data.attachmentIds, 'staff', staffId);
+        if (!attachments) {
+            ws.send(JSON.stringify({ type: 'error', message: 'File not found - please attach it again' }));
+            return;
+        }
+        if (!data.content && attachments.length === 0) {
+            ws.send(JSON.stringify({ type: 'error', message: 'Message content is required' }));
+            return;
+        }
+
+        const chatMessage = await addMessageWithAttachments({
             sessionId,
             senderType: 'staff',
             senderId: staffId,
-            content: data.content
+            content: data.content || '',
+            attachments
         });
 
         // Send confirmation to admin
@@ -830,9 +1051,13 @@ const sendAdminMessage = async (ws, data) => {
 /**
  * Close a chat session
  */
-const closeSession = async (sessionId) => {
+const closeSession = async (sessionId, staffId = null) => {
     try {
-        await Chat.closeSession(sessionId);
+        const session = await Chat.closeSession(sessionId);
+
+        // Email the transcript if the visitor asked for it (non-critical)
+        emailTranscriptIfRequested(sessionId, { staffId })
+            .catch(err => console.error('Chat transcript email error (non-fatal):', err));
 
         const sessionConn = connections.get(sessionId);
 
@@ -840,7 +1065,9 @@ const closeSession = async (sessionId) => {
         if (sessionConn && sessionConn.visitor) {
             sessionConn.visitor.send(JSON.stringify({
                 type: 'session_closed',
-                message: 'This chat session has been closed. Thank you for contacting us!'
+                message: session && session.transcript_requested
+                    ? 'This chat session has been closed. Thank you for contacting us! A transcript is on its way to your email.'
+                    : 'This chat session has been closed. Thank you for contacting us!'
             }));
         }
 
@@ -852,6 +1079,9 @@ const closeSession = async (sessionId) => {
 
         connections.delete(sessionId);
 
+        // The agent has room for the next queued chat
+        await updateQueue();
+
     } catch (error) {
         console.error('Close session error:', error);
     }
@@ -922,6 +1152,9 @@ const handleDisconnect = (ws, type, sessionId) => {
                 sessionConn.admin = null;
             }
         }
+
+        // One fewer agent to wait for
+        updateQueue();
     } else {
         // Visitor disconnected
         const sid = ws.sessionId || sessionId;
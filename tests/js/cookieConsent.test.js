@@ -0,0 +1,144 @@
+/**
+ * Cookie Consent Tests
+ * Runs js/cookie-consent.js and js/tracking.js in a small stand-in for the
+ * browser: cookies, localStorage, events and fetch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const COOKIE = 'tekvwa_cookie_consent';
+
+const readScript = (name) => fs.readFileSync(path.join(__dirname, '../../js', name), 'utf8');
+
+function createBrowser({ cookies = {}, storage = {}, trackResponse = { success: true, tracked: true } } = {}) {
+    const jar = new Map(Object.entries(cookies));
+    const store = new Map(Object.entries(storage));
+    const requests = [];
+
+    const window = new EventTarget();
+    Object.assign(window, {
+        location: { pathname: '/services.html', hostname: 'tekvwa.org' },
+        innerWidth: 1280,
+        innerHeight: 800,
+        crypto: { randomUUID: () => crypto.randomUUID() }
+    });
+
+    const document = new EventTarget();
+    Object.assign(document, {
+        readyState: 'complete',
+        title: 'Services',
+        referrer: '',
+        body: { classList: { add() {}, remove() {} }, style: {} }
+    });
+    Object.defineProperty(document, 'cookie', {
+        get: () => [...jar].map(([name, value]) => `${name}=${value}`).join('; '),
+        set: (value) => {
+            const [pair, ...attributes] = value.split(';');
+            const name = pair.slice(0, pair.indexOf('='));
+            const expires = attributes.find(attr => attr.trim().startsWith('expires='));
+            if (expires && new Date(expires.split('=')[1]) < new Date()) {
+                jar.delete(name);
+            } else {
+                jar.set(name, pair.slice(pair.indexOf('=') + 1));
+            }
+        }
+    });
+
+    const fetch = jest.fn(async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        const result = url === '/api/analytics/track' ? trackResponse : { success: true };
+        return { json: async () => result };
+    });
+
+    const context = vm.createContext({
+        window,
+        document,
+        navigator: {},
+        localStorage: {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: (key) => store.delete(key)
+        },
+        fetch,
+        CustomEvent,
+        console,
+        setTimeout: (fn, ms) => setTimeout(fn, ms).unref()
+    });
+
+    return {
+        run: (name) => vm.runInContext(readScript(name), context),
+        consent: () => (jar.has(COOKIE) ? JSON.parse(jar.get(COOKIE)) : null),
+        visitorId: () => (store.has('tekvwa_visitor_id') ? store.get('tekvwa_visitor_id') : null),
+        requests
+    };
+}
+
+const settle = async () => {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+describe('Cookie Consent', () => {
+    const legacyConsent = JSON.stringify({
+        necessary: true,
+        analytics: true,
+        marketing: false,
+        functional: true,
+        timestamp: '2026-06-01T09:00:00.000Z',
+        version: '1.0'
+    });
+
+    it('should give a choice made before consent records a consent ID and record it', async () => {
+        const browser = createBrowser({ cookies: { [COOKIE]: legacyConsent }, storage: { tekvwa_visitor_id: 'visitor-1' } });
+        browser.run('cookie-consent.js');
+        await settle();
+
+        const consent = browser.consent();
+        expect(consent.consentId).toMatch(/^[0-9a-f-]{36}$/);
+        expect(consent).toMatchObject({ analytics: true, functional: true, version: '1.0' });
+        expect(browser.requests).toEqual([{
+            url: '/api/analytics/consent',
+            body: {
+                consentId: consent.consentId,
+                visitorId: 'visitor-1',
+                analytics: true,
+                marketing: false,
+                functional: true,
+                version: '1.0'
+            }
+        }]);
+    });
+
+    it('should hold tracking until the migrated choice is recorded, and keep the visitor', async () => {
+        const browser = createBrowser({
+            cookies: { [COOKIE]: legacyConsent },
+            storage: { tekvwa_visitor_id: 'visitor-1' },
+            trackResponse: { success: true, tracked: true, visitorId: 'visitor-1' }
+        });
+        browser.run('tracking.js');
+        browser.run('cookie-consent.js');
+        await settle();
+
+        expect(browser.requests.map(request => request.url)).toEqual(['/api/analytics/consent', '/api/analytics/track']);
+        expect(browser.requests[1].body).toMatchObject({
+            visitorId: 'visitor-1',
+            consentId: browser.consent().consentId,
+            eventType: 'page_view'
+        });
+        expect(browser.visitorId()).toBe('visitor-1');
+    });
+
+    it('should not record again once a choice has a consent ID', async () => {
+        const consentId = crypto.randomUUID();
+        const browser = createBrowser({ cookies: { [COOKIE]: JSON.stringify({ ...JSON.parse(legacyConsent), consentId }) } });
+        browser.run('cookie-consent.js');
+        await settle();
+
+        expect(browser.requests).toEqual([]);
+        expect(browser.consent().consentId).toBe(consentId);
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Consultation Availability Tests
+ */
+
+// Slot re-checks load their data from the database; see answerQuery below
+jest.mock('../../server/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const db = require('../../server/config/database');
+const { computeSlots, findConsultantForSlot } = require('../../server/services/availabilityService');
+const { getNigerianHolidays } = require('../../server/utils/nigerianHolidays');
+
+// 2026-10-19 is a Monday
+const MONDAY = '2026-10-19';
+const NOW = new Date('2026-10-18T00:00:00Z');
+
+function slots({ settings, ...data } = {}, from = MONDAY, to = MONDAY) {
+    return computeSlots({
+        settings: {
+            timezone: 'Africa/Lagos',
+            slotDuration: 60,
+            buffer: 15,
+            maxPerDay: 4,
+            leadTimeHours: 0,
+            windowDays: 60,
+            businessHoursStart: '09:00',
+            businessHoursEnd: '17:00',
+            workingDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+            ...settings
+        },
+        consultants: [{ id: 'a' }],
+        weeklyHours: [],
+        blackouts: [],
+        holidays: [],
+        bookings: [],
+        ...data
+    }, from, to, NOW);
+}
+
+// Canned rows for loadAvailabilityData(): default settings, consultants a
+// and b on company hours, and the given bookings
+function answerQuery(bookings = []) {
+    return async (sql) => {
+        if (sql.includes('FROM staff')) {
+            return { rows: [{ id: 'a', name: 'Ada' }, { id: 'b', name: 'Bola' }] };
+        }
+        if (sql.includes('FROM consultations')) {
+            return { rows: bookings };
+        }
+        return { rows: [] };
+    };
+}
+
+describe('Availability Service', () => {
+    describe('computeSlots', () => {
+        it('should step through business hours by duration plus buffer', () => {
+            const times = slots().map(s => s.time);
+            expect(times).toEqual(['09:00', '10:15', '11:30', '12:45', '14:00', '15:15']);
+        });
+
+        it('should return UTC instants for business-timezone times', () => {
+            const [first] = slots();
+            // Lagos is UTC+1 all year
+            expect(first.start.toISOString()).toBe('2026-10-19T08:00:00.000Z');
+        });
+
+        it('should skip non-working days', () => {
+            expect(slots({}, '2026-10-18', '2026-10-18')).toEqual([]);
+        });
+
+        it('should use a consultant\'s own weekly hours, including split shifts', () => {
+            const times = slots({
+                weeklyHours: [
+                    { staff_id: 'a', day_of_week: 1, start_time: '08:00:00', end_time: '10:00:00' },
+                    { staff_id: 'a', day_of_week: 1, start_time: '13:00:00', end_time: '14:00:00' }
+                ]
+            }).map(s => s.time);
+            expect(times).toEqual(['08:00', '13:00']);
+        });
+
+        it('should close public holidays and company-wide blackouts', () => {
+            // Independence Day 2026 is a Thursday
+            expect(slots({ holidays: getNigerianHolidays(2026) }, '2026-10-01', '2026-10-01')).toEqual([]);
+            expect(slots({ blackouts: [{ date: MONDAY, staff_id: null }] })).toEqual([]);
+        });
+
+        it('should only close a consultant-specific blackout for that consultant', () => {
+            const result = slots({
+                consultants: [{ id: 'a' }, { id: 'b' }],
+                blackouts: [{ date: MONDAY, staff_id: 'a' }]
+            });
+            expect(result.length).toBeGreaterThan(0);
+            expect(result.every(s => s.staffIds.join() === 'b')).toBe(true);
+        });
+
+        it('should keep the buffer either side of an existing booking', () => {
+            const times = slots({
+                bookings: [{ assigned_to: 'a', date: MONDAY, time: '11:00:00', duration_minutes: 60 }]
+            }).map(s => s.time);
+            // 10:15 would end at 11:15 (overlap); 12:45 starts 45 min after 12:00 - fine
+            expect(times).toEqual(['09:00', '12:45', '14:00', '15:15']);
+        });
+
+        it('should let unassigned bookings block every consultant', () => {
+            const result = slots({
+                consultants: [{ id: 'a' }, { id: 'b' }],
+                bookings: [{ assigned_to: null, date: MONDAY, time: '09:00:00', duration_minutes: 60 }]
+            });
+            expect(result.map(s => s.time)).not.toContain('09:00');
+        });
+
+        it('should stop offering a consultant once they reach the daily cap', () => {
+            const result = slots({
+                consultants: [{ id: 'a' }, { id: 'b' }],
+                settings: { maxPerDay: 1 },
+                bookings: [{ assigned_to: 'a', date: MONDAY, time: '16:00:00', duration_minutes: 60 }]
+            });
+            expect(result.every(s => s.staffIds.join() === 'b')).toBe(true);
+        });
+
+        it('should list the least-booked consultant first', () => {
+            const result = slots({
+                consultants: [{ id: 'a' }, { id: 'b' }],
+                bookings: [{ assigned_to: 'a', date: MONDAY, time: '16:00:00', duration_minutes: 30 }]
+            });
+            expect(result[0].staffIds).toEqual(['b', 'a']);
+        });
+
+        it('should respect the lead time and booking window', () => {
+            // 34h after midnight UTC Sunday is 11:00 Monday in Lagos
+            expect(slots({ settings: { leadTimeHours: 34 } }).map(s => s.time)[0]).toBe('11:30');
+            expect(slots({ settings: { windowDays: 1 } })).toEqual([]);
+        });
+    });
+
+    describe('findConsultantForSlot', () => {
+        // a already has the 09:00 slot, so b is the least booked
+        const bookings = [{ id: 'c1', assigned_to: 'a', date: MONDAY, time: '09:00:00', duration_minutes: 60 }];
+
+        beforeEach(() => {
+            db.query.mockImplementation(answerQuery(bookings));
+        });
+
+        it('should keep the preferred consultant when they\'re free', async () => {
+            expect(await findConsultantForSlot(MONDAY, '10:15', { preferStaffId: 'a', now: NOW })).toBe('a');
+        });
+
+        it('should otherwise pick the least-booked free consultant', async () => {
+            expect(await findConsultantForSlot(MONDAY, '10:15:00', { now: NOW })).toBe('b');
+            expect(await findConsultantForSlot(MONDAY, '09:00', { preferStaffId: 'a', now: NOW })).toBe('b');
+        });
+
+        it('should let a booking being moved free up its own slot', async () => {
+            await findConsultantForSlot(MONDAY, '09:00', { excludeConsultationId: 'c1', preferStaffId: 'a', now: NOW });
+            const bookingsQuery = db.query.mock.calls.find(([sql]) => sql.includes('FROM consultations'));
+            expect(bookingsQuery[1]).toEqual([MONDAY, MONDAY, 'c1']);
+        });
+
+        it('should return null for a slot that isn\'t offered', async () => {
+            expect(await findConsultantForSlot(MONDAY, '09:30', { now: NOW })).toBeNull();
+        });
+
+        it('should run its queries on the client it\'s given', async () => {
+            const client = { query: jest.fn(answerQuery(bookings)) };
+            expect(await findConsultantForSlot(MONDAY, '10:15', { client, now: NOW })).toBe('b');
+            expect(db.query).not.toHaveBeenCalled();
+        });
+    });
+});
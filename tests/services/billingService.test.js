@@ -0,0 +1,62 @@
+/**
+ * Billing Service Tests
+ */
+
+const {
+    calculateTotals,
+    getPaymentStatus,
+    formatDocumentNumber
+} = require('../../server/services/billingService');
+
+describe('Billing Service', () => {
+    describe('calculateTotals', () => {
+        const items = [
+            { description: ' Website redesign ', quantity: '1', unitPrice: '1200000' },
+            { description: 'Hosting (months)', quantity: 12, unitPrice: 40000 }
+        ];
+
+        it('should charge VAT on the subtotal', () => {
+            const totals = calculateTotals(items, { vatRate: 7.5 });
+
+            expect(totals.items[0]).toEqual({ position: 1, description: 'Website redesign', quantity: 1, unitPrice: 1200000, amount: 1200000 });
+            expect(totals.items[1].amount).toBe(480000);
+            expect(totals).toMatchObject({ subtotal: 1680000, vatAmount: 126000, total: 1806000, whtAmount: 0, amountDue: 1806000 });
+        });
+
+        it('should deduct WHT worked out on the subtotal, not the VAT', () => {
+            const totals = calculateTotals(items, { vatRate: 7.5, whtRate: 5 });
+
+            expect(totals).toMatchObject({ total: 1806000, whtAmount: 84000, amountDue: 1722000 });
+        });
+
+        it('should round each line to the kobo before adding them up', () => {
+            const totals = calculateTotals([
+                { description: 'Support hours', quantity: 1.5, unitPrice: 333.33 },
+                { description: 'Support hours', quantity: 1.5, unitPrice: 333.33 }
+            ], { vatRate: 7.5 });
+
+            expect(totals.items.map(line => line.amount)).toEqual([500, 500]);
+            expect(totals).toMatchObject({ subtotal: 1000, vatAmount: 75, total: 1075 });
+        });
+
+        it('should leave VAT off for an exempt client', () => {
+            expect(calculateTotals(items, { vatRate: 0 })).toMatchObject({ vatAmount: 0, total: 1680000 });
+        });
+    });
+
+    describe('getPaymentStatus', () => {
+        it('should follow what has been paid against what is due', () => {
+            expect(getPaymentStatus('1722000.00', '0.00')).toBe('issued');
+            expect(getPaymentStatus('1722000.00', '500000.00')).toBe('partially_paid');
+            expect(getPaymentStatus('1722000.00', '1722000.00')).toBe('paid');
+        });
+    });
+
+    describe('formatDocumentNumber', () => {
+        it('should number quotes and invoices by year', () => {
+            expect(formatDocumentNumber('quote', 2026, 1)).toBe('QT-2026-0001');
+            expect(formatDocumentNumber('invoice', 2026, 42)).toBe('INV-2026-0042');
+            expect(formatDocumentNumber('invoice', 2027, 12345)).toBe('INV-2027-12345');
+        });
+    });
+});
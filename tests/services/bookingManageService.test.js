@@ -0,0 +1,227 @@
+/**
+ * Booking Manage Service Tests
+ */
+
+// The database is faked per test; the model's uuid import isn't exercised
+jest.mock('../../server/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('uuid', () => ({ v4: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../../server/config/database');
+const Consultation = require('../../server/models/Consultation');
+const {
+    hashToken, findByToken, isExpired, getChangeError, toManagedView, rescheduleBooking
+} = require('../../server/services/bookingManageService');
+
+// 2026-10-19 is a Monday; Lagos is UTC+1
+const MONDAY = '2026-10-19';
+const NOW = new Date('2026-10-18T00:00:00Z');
+
+const BOOKING = {
+    id: 'c1',
+    name: 'Ada Obi',
+    email: 'ada@example.com',
+    phone: '08012345678',
+    notes: 'Internal: budget 2m',
+    service: 'Website Development',
+    status: 'confirmed',
+    booking_date: MONDAY,
+    booking_time: '09:00:00',
+    duration_minutes: 60,
+    timezone: 'Europe/London',
+    assigned_to: 'a',
+    manage_token_hash: 'hash',
+    manage_token_expires_at: '2026-10-19T08:00:00Z',
+    cancelled_by: null,
+    cancellation_reason: null
+};
+
+describe('Booking Manage Service', () => {
+    describe('token lookup', () => {
+        it('should look bookings up by the hash of their token, never the token', async () => {
+            db.query.mockResolvedValue({ rows: [BOOKING] });
+
+            expect(await findByToken('secret-token')).toBe(BOOKING);
+            const [sql, params] = db.query.mock.calls[0];
+            expect(sql).toContain('WHERE c.manage_token_hash = $1');
+            expect(params).toEqual([crypto.createHash('sha256').update('secret-token').digest('hex')]);
+            expect(params[0]).toBe(hashToken('secret-token'));
+        });
+
+        it('should store only the hash of a new token, with its cut-off', async () => {
+            db.query.mockResolvedValue({ rows: [] });
+            const startsAt = new Date('2026-10-19T08:00:00Z');
+
+            await Consultation.setManageToken('c1', hashToken('secret-token'), startsAt);
+            expect(db.query.mock.calls[0][1]).toEqual([hashToken('secret-token'), startsAt, 'c1']);
+        });
+
+        it('should find nothing for an unknown token', async () => {
+            db.query.mockResolvedValue({ rows: [] });
+            expect(await findByToken('nope')).toBeUndefined();
+        });
+    });
+
+    describe('change cut-off', () => {
+        it('should expire the link once the consultation starts', () => {
+            expect(isExpired(BOOKING, new Date('2026-10-19T07:59:00Z'))).toBe(false);
+            expect(isExpired(BOOKING, new Date('2026-10-19T08:01:00Z'))).toBe(true);
+            expect(isExpired({ ...BOOKING, manage_token_expires_at: null }, NOW)).toBe(false);
+        });
+
+        it('should allow changes to an open booking before it starts', () => {
+            expect(getChangeError(BOOKING, NOW)).toBeNull();
+            expect(getChangeError({ ...BOOKING, status: 'pending' }, NOW)).toBeNull();
+        });
+
+        it('should refuse cancelled and completed bookings', () => {
+            expect(getChangeError({ ...BOOKING, status: 'cancelled' }, NOW))
+                .toEqual({ status: 409, message: 'This consultation has already been cancelled.' });
+            expect(getChangeError({ ...BOOKING, status: 'completed' }, NOW))
+                .toEqual({ status: 409, message: 'This consultation has already been completed.' });
+        });
+
+        it('should refuse changes once the consultation has started', () => {
+            expect(getChangeError(BOOKING, new Date('2026-10-19T08:30:00Z')).status).toBe(410);
+        });
+    });
+
+    describe('toManagedView', () => {
+        beforeEach(() => {
+            db.query.mockResolvedValue({ rows: [] });
+        });
+
+        it('should show the client their booking without staff-internal fields', async () => {
+            expect(await toManagedView(BOOKING, NOW)).toEqual({
+                name: 'Ada Obi',
+                service: 'Website Development',
+                status: 'confirmed',
+                bookingDate: MONDAY,
+                bookingTime: '09:00',
+                start: '2026-10-19T08:00:00.000Z',
+                durationMinutes: 60,
+                timezone: 'Europe/London',
+                cancellationReason: null,
+                canChange: true
+            });
+        });
+
+        it('should only show a cancellation reason the client gave', async () => {
+            const byClient = await toManagedView({ ...BOOKING, status: 'cancelled', cancelled_by: 'client', cancellation_reason: 'Clash' }, NOW);
+            expect(byClient).toMatchObject({ cancellationReason: 'Clash', canChange: false });
+
+            const byStaff = await toManagedView({ ...BOOKING, status: 'cancelled', cancelled_by: 'staff', cancellation_reason: 'Consultant ill' }, NOW);
+            expect(byStaff.cancellationReason).toBeNull();
+        });
+
+        it('should stop offering changes once the link has expired', async () => {
+            expect((await toManagedView(BOOKING, new Date('2026-10-19T09:00:00Z'))).canChange).toBe(false);
+        });
+    });
+
+    describe('client changes', () => {
+        it('should cancel only open bookings, bumping the calendar sequence', async () => {
+            db.query.mockResolvedValue({ rows: [{ ...BOOKING, status: 'cancelled' }] });
+
+            await Consultation.cancelByClient('c1', 'Clash');
+            const [sql, params] = db.query.mock.calls[0];
+            expect(sql).toContain("status = 'cancelled'");
+            expect(sql).toContain('ics_sequence = COALESCE(ics_sequence, 0) + 1');
+            expect(sql).toContain("status NOT IN ('cancelled', 'completed')");
+            expect(params).toEqual(['Clash', 'c1']);
+        });
+
+        it('should return nothing when the booking was already cancelled or completed', async () => {
+            db.query.mockResolvedValue({ rows: [] });
+            expect(await Consultation.cancelByClient('c1', null)).toBeUndefined();
+        });
+    });
+
+    describe('rescheduleBooking', () => {
+        let client;
+        let updateRows;
+        let bookings;
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now: NOW });
+            updateRows = [{ ...BOOKING, booking_time: '10:15:00', ics_sequence: 2 }];
+            bookings = [
+                { id: 'c1', assigned_to: 'a', date: MONDAY, time: '09:00:00', duration_minutes: 60 },
+                { id: 'c2', assigned_to: 'a', date: MONDAY, time: '11:30:00', duration_minutes: 60 }
+            ];
+            client = {
+                query: jest.fn(async (sql) => {
+                    if (sql.includes('FROM staff')) {
+                        return { rows: [{ id: 'a' }, { id: 'b' }] };
+                    }
+                    if (sql.includes('FROM consultations')) {
+                        return { rows: bookings };
+                    }
+                    if (sql.startsWith('UPDATE consultations')) {
+                        return { rows: updateRows };
+                    }
+                    return { rows: [] };
+                }),
+                release: jest.fn()
+            };
+            db.query.mockResolvedValue({ rows: [] });
+            db.getClient.mockResolvedValue(client);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        const statements = () => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+
+        it('should check the slot and move the booking in one locked transaction', async () => {
+            const result = await rescheduleBooking(BOOKING, { bookingDate: MONDAY, bookingTime: '10:15', timezone: null });
+
+            expect(result).toEqual({ consultation: updateRows[0], assignedTo: 'a' });
+            expect(statements()[0]).toBe('BEGIN');
+            expect(client.query.mock.calls[1]).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1))', [`consultation-slots:${MONDAY}`]]);
+            expect(statements()[statements().length - 1]).toBe('COMMIT');
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        it('should bump the calendar sequence and re-arm the reminder on the move', async () => {
+            await rescheduleBooking(BOOKING, { bookingDate: MONDAY, bookingTime: '10:15' });
+
+            const [sql, params] = client.query.mock.calls.find(([text]) => text.startsWith('UPDATE consultations'));
+            expect(sql).toContain('ics_sequence = COALESCE(ics_sequence, 0) + 1');
+            expect(sql).toContain('reminder_sent = false');
+            expect(sql).toContain("status NOT IN ('cancelled', 'completed')");
+            expect(params).toEqual([MONDAY, '10:15', 'a', null, new Date('2026-10-19T09:15:00Z'), 'c1']);
+        });
+
+        it('should hand the booking to whoever is free if its consultant isn\'t', async () => {
+            const result = await rescheduleBooking(BOOKING, { bookingDate: MONDAY, bookingTime: '11:30' });
+            expect(result.assignedTo).toBe('b');
+        });
+
+        it('should report a slot taken meanwhile without changing anything', async () => {
+            bookings.push({ id: 'c3', assigned_to: 'b', date: MONDAY, time: '11:30:00', duration_minutes: 60 });
+
+            expect(await rescheduleBooking(BOOKING, { bookingDate: MONDAY, bookingTime: '11:30' })).toEqual({ error: 'unavailable' });
+            expect(statements()).not.toContain('UPDATE consultations');
+        });
+
+        it('should report a booking cancelled or completed meanwhile', async () => {
+            updateRows = [];
+            expect(await rescheduleBooking(BOOKING, { bookingDate: MONDAY, bookingTime: '10:15' })).toEqual({ error: 'closed' });
+        });
+
+        it('should roll back if anything fails', async () => {
+            client.query.mockImplementation(async (sql) => {
+                if (sql.startsWith('SELECT pg_advisory_xact_lock')) {
+                    throw new Error('connection lost');
+                }
+                return { rows: [] };
+            });
+
+            await expect(rescheduleBooking(BOOKING, { bookingDate: MONDAY, bookingTime: '10:15' })).rejects.toThrow('connection lost');
+            expect(statements()).toContain('ROLLBACK');
+            expect(client.release).toHaveBeenCalled();
+        });
+    });
+});
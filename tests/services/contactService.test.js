@@ -0,0 +1,86 @@
+/**
+ * Contact Service Tests
+ */
+
+const { normalizeEmail, getMergeError, buildTimeline } = require('../../server/services/contactService');
+
+describe('Contact Service', () => {
+    describe('normalizeEmail', () => {
+        it('should trim and lower-case addresses', () => {
+            expect(normalizeEmail('  Ada.Obi@Example.COM ')).toBe('ada.obi@example.com');
+        });
+
+        it('should reject anything that is not an email address', () => {
+            expect(normalizeEmail('')).toBeNull();
+            expect(normalizeEmail(null)).toBeNull();
+            expect(normalizeEmail('ada at example.com')).toBeNull();
+            expect(normalizeEmail('a@b@c.com')).toBeNull();
+        });
+    });
+
+    describe('getMergeError', () => {
+        const ada = { id: 'a', merged_into_id: null };
+        const adaWork = { id: 'b', merged_into_id: null };
+
+        it('should allow merging two stand-alone contacts', () => {
+            expect(getMergeError(ada, adaWork)).toBeNull();
+        });
+
+        it('should refuse missing contacts and merging a contact into itself', () => {
+            expect(getMergeError(ada, undefined)).toBe('Contact not found');
+            expect(getMergeError(ada, ada)).toMatch(/itself/);
+        });
+
+        it('should refuse contacts that are already merged on either side', () => {
+            expect(getMergeError({ ...ada, merged_into_id: 'c' }, adaWork)).toMatch(/merge into that one/);
+            expect(getMergeError(ada, { ...adaWork, merged_into_id: 'c' })).toMatch(/unmerge it first/);
+        });
+    });
+
+    describe('buildTimeline', () => {
+        const sources = {
+            messages: [{ id: 'm1', created_at: '2026-10-01T09:00:00Z', email: 'ada@example.com', status: 'in_progress', message: 'We need a website' }],
+            replies: [
+                { id: 'r1', message_id: 'm1', created_at: '2026-10-02T10:00:00Z', direction: 'outbound', staff_name: 'Bola', content: 'Happy to help' },
+                { id: 'r2', message_id: 'm1', created_at: '2026-10-03T08:30:00Z', direction: 'inbound', from_email: 'ada@example.com', content: 'Great' }
+            ],
+            consultations: [{ id: 'c1', created_at: '2026-10-04T12:00:00Z', booking_date: '2026-10-10', booking_time: '14:00:00', status: 'confirmed' }],
+            chats: [{ id: 's1', started_at: '2026-09-30T16:00:00Z', status: 'closed', message_count: '6', first_message: 'Hi there' }],
+            visits: [{ id: 'v1', first_visit: '2026-09-29T07:00:00Z', page_views: 12, source: 'chat' }],
+            newsletter: [{ id: 'n1', subscribed_at: '2026-09-29T07:05:00Z', unsubscribed_at: '2026-10-05T00:00:00Z' }],
+            notes: [{ id: 'x1', created_at: '2026-10-02T11:00:00Z', entity_type: 'contact', entity_id: 'a', staff_id: 'st1', staff_name: 'Bola', content: 'Budget around 2m naira' }]
+        };
+
+        it('should merge every kind of interaction newest first', () => {
+            const timeline = buildTimeline(sources);
+            expect(timeline.map(item => item.type)).toEqual([
+                'newsletter_unsubscribed',
+                'consultation',
+                'message_reply',
+                'note',
+                'message_reply',
+                'message',
+                'chat',
+                'newsletter_subscribed',
+                'first_visit'
+            ]);
+        });
+
+        it('should carry the details each kind needs', () => {
+            const timeline = buildTimeline(sources);
+            expect(timeline.find(item => item.type === 'chat')).toMatchObject({ messageCount: 6, summary: 'Hi there' });
+            expect(timeline.find(item => item.id === 'r2')).toMatchObject({ direction: 'inbound', messageId: 'm1' });
+            expect(timeline.find(item => item.type === 'note')).toMatchObject({ entityType: 'contact', staffId: 'st1' });
+        });
+
+        it('should cut long text and cap the number of items', () => {
+            const long = buildTimeline({ messages: [{ id: 'm', created_at: '2026-10-01T00:00:00Z', message: 'x'.repeat(400) }] });
+            expect(long[0].summary).toHaveLength(301);
+            expect(buildTimeline(sources, 3)).toHaveLength(3);
+        });
+
+        it('should skip items with no date', () => {
+            expect(buildTimeline({ visits: [{ id: 'v', first_visit: null }] })).toEqual([]);
+        });
+    });
+});
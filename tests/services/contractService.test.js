@@ -0,0 +1,107 @@
+/**
+ * Contract Service Tests
+ */
+
+// Sealing uploads to the document vault, which isn't exercised here
+jest.mock('../../server/services/vaultStorage', () => ({ uploadDocument: jest.fn() }));
+
+const {
+    toDateText,
+    buildVersionTerms,
+    diffContractTerms,
+    changesSalary,
+    parseSignatureImage
+} = require('../../server/services/contractService');
+
+// Smallest valid PNG (1x1 transparent pixel)
+const PNG_1X1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const SIGNED = {
+    job_title: 'Software Developer',
+    job_description: 'Build and maintain client projects',
+    department: 'Development',
+    reporting_to: 'CTO',
+    employment_status: 'Full-Time',
+    basic_salary: '300000.00',
+    housing_allowance: '100000.00',
+    transport_allowance: '50000.00',
+    utility_allowance: '0.00',
+    meal_allowance: '0.00',
+    gross_salary: '450000.00',
+    pto_days: 15,
+    probation_period: '3 months',
+    resignation_notice: '2 weeks',
+    termination_notice: '2 weeks',
+    start_date: new Date(2025, 0, 6),
+    end_date: null,
+    currency: 'NGN'
+};
+
+describe('Contract Service', () => {
+    describe('toDateText', () => {
+        it('should use the local date of pg DATE values', () => {
+            expect(toDateText(new Date(2025, 11, 31))).toBe('2025-12-31');
+            expect(toDateText('2025-06-30T00:00:00.000Z')).toBe('2025-06-30');
+            expect(toDateText(null)).toBeNull();
+        });
+    });
+
+    describe('buildVersionTerms', () => {
+        it('should keep the signed terms and apply only what was sent', () => {
+            const terms = buildVersionTerms(SIGNED, { jobTitle: 'Senior Developer', basicSalary: '400000' });
+            expect(terms.job_title).toBe('Senior Developer');
+            expect(terms.department).toBe('Development');
+            expect(terms.housing_allowance).toBe(100000);
+            expect(terms.start_date).toBe('2025-01-06');
+            expect(terms.gross_salary).toBe(550000);
+        });
+
+        it('should ignore empty inputs', () => {
+            const terms = buildVersionTerms(SIGNED, { jobTitle: '', reportingTo: '' });
+            expect(terms.job_title).toBe('Software Developer');
+            expect(terms.reporting_to).toBe('CTO');
+        });
+    });
+
+    describe('diffContractTerms', () => {
+        it('should list only the terms that change', () => {
+            const next = buildVersionTerms(SIGNED, { basicSalary: '350000', employmentStatus: 'Contract', endDate: '2026-06-30' });
+            expect(diffContractTerms(SIGNED, next)).toEqual([
+                { field: 'employment_status', label: 'Employment Status', from: 'Full-Time', to: 'Contract' },
+                { field: 'basic_salary', label: 'Monthly Basic Salary', from: 300000, to: 350000 },
+                { field: 'gross_salary', label: 'Monthly Gross Salary', from: 450000, to: 500000 },
+                { field: 'end_date', label: 'Contract End Date', from: null, to: '2026-06-30' }
+            ]);
+        });
+
+        it('should not treat numeric strings and numbers as different', () => {
+            expect(diffContractTerms(SIGNED, buildVersionTerms(SIGNED, {}))).toEqual([]);
+        });
+    });
+
+    describe('changesSalary', () => {
+        it('should spot a change to any pay component', () => {
+            expect(changesSalary(SIGNED, buildVersionTerms(SIGNED, { mealAllowance: '20000' }))).toBe(true);
+            expect(changesSalary(SIGNED, buildVersionTerms(SIGNED, { jobTitle: 'Team Lead' }))).toBe(false);
+        });
+    });
+
+    describe('parseSignatureImage', () => {
+        it('should decode a PNG data URL', () => {
+            const buffer = parseSignatureImage(`data:image/png;base64,${PNG_1X1}`);
+            expect(buffer[1]).toBe(0x50);
+        });
+
+        it('should reject other formats and non-PNG content', () => {
+            expect(() => parseSignatureImage('data:image/jpeg;base64,/9j/4AAQ')).toThrow('must be a PNG');
+            const fake = Buffer.from('<svg></svg>').toString('base64');
+            expect(() => parseSignatureImage(`data:image/png;base64,${fake}`)).toThrow('must be a PNG');
+            expect(() => parseSignatureImage(null)).toThrow('must be a PNG');
+        });
+
+        it('should reject oversized images', () => {
+            const big = Buffer.concat([Buffer.from(PNG_1X1, 'base64'), Buffer.alloc(200 * 1024)]).toString('base64');
+            expect(() => parseSignatureImage(`data:image/png;base64,${big}`)).toThrow('too large');
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Deal Service Tests
+ */
+
+const {
+    weightedValue,
+    summarizePipeline,
+    buildForecast,
+    summarizeClosedDeals
+} = require('../../server/services/dealService');
+
+describe('Deal Service', () => {
+    describe('weightedValue', () => {
+        it('should weight a deal by its stage', () => {
+            expect(weightedValue({ stage: 'qualified', value: '1000000.00' })).toBe(200000);
+            expect(weightedValue({ stage: 'negotiation', value: '1000000.00' })).toBe(750000);
+            expect(weightedValue({ stage: 'won', value: 500 })).toBe(500);
+            expect(weightedValue({ stage: 'lost', value: 500 })).toBe(0);
+        });
+    });
+
+    describe('summarizePipeline', () => {
+        it('should total open deals by stage, listing empty stages too', () => {
+            const summary = summarizePipeline([
+                { stage: 'qualified', value: '100000' },
+                { stage: 'qualified', value: '50000' },
+                { stage: 'proposal', value: '200000' }
+            ]);
+
+            expect(summary.stages.map(s => s.stage)).toEqual(['qualified', 'proposal', 'negotiation']);
+            expect(summary.stages[0]).toMatchObject({ count: 2, value: 150000, weightedValue: 30000 });
+            expect(summary.stages[2]).toMatchObject({ count: 0, value: 0, weightedValue: 0 });
+            expect(summary).toMatchObject({ openCount: 3, openValue: 350000, weightedValue: 130000 });
+        });
+    });
+
+    describe('buildForecast', () => {
+        const deals = [
+            { stage: 'proposal', value: '400000', expected_close_date: '2026-10-30' },
+            { stage: 'negotiation', value: '200000', expected_close_date: '2026-12-01' },
+            { stage: 'qualified', value: '100000', expected_close_date: '2026-08-15' },
+            { stage: 'qualified', value: '100000', expected_close_date: null },
+            { stage: 'qualified', value: '100000', expected_close_date: '2027-09-01' },
+            { stage: 'won', value: '900000', expected_close_date: '2026-10-05' }
+        ];
+
+        it('should bucket open deals by expected close month', () => {
+            const forecast = buildForecast(deals, '2026-10');
+
+            expect(forecast.months.map(m => m.month)).toEqual(['2026-10', '2026-11', '2026-12', '2027-01', '2027-02', '2027-03']);
+            expect(forecast.months[0]).toMatchObject({ count: 1, value: 400000, weightedValue: 200000 });
+            expect(forecast.months[2]).toMatchObject({ count: 1, value: 200000, weightedValue: 150000 });
+        });
+
+        it('should keep overdue and undated deals out of the months', () => {
+            const forecast = buildForecast(deals, '2026-10');
+
+            expect(forecast.overdue).toMatchObject({ count: 1, value: 100000 });
+            expect(forecast.undated).toMatchObject({ count: 1, value: 100000 });
+            expect(forecast.months.reduce((sum, m) => sum + m.count, 0)).toBe(2);
+        });
+    });
+
+    describe('summarizeClosedDeals', () => {
+        it('should work out the win rate, deal size and time to close', () => {
+            const summary = summarizeClosedDeals([
+                { stage: 'won', value: '300000', created_at: '2026-09-01T00:00:00Z', closed_at: '2026-09-11T00:00:00Z' },
+                { stage: 'won', value: '100000', created_at: '2026-09-01T00:00:00Z', closed_at: '2026-09-21T00:00:00Z' },
+                { stage: 'lost', value: '500000', created_at: '2026-09-01T00:00:00Z', closed_at: '2026-09-05T00:00:00Z' }
+            ]);
+
+            expect(summary).toEqual({
+                won: 2,
+                lost: 1,
+                winRate: 66.7,
+                wonValue: 400000,
+                lostValue: 500000,
+                averageDealSize: 200000,
+                averageDaysToClose: 15
+            });
+        });
+
+        it('should leave rates empty when nothing closed', () => {
+            expect(summarizeClosedDeals([])).toMatchObject({ winRate: null, averageDealSize: null, averageDaysToClose: null });
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Leave Service Tests
+ */
+
+const {
+    countWorkingDays,
+    countWorkingDaysInMonth,
+    calculateEntitlement,
+    calculateBalance,
+    calculateCarryOver
+} = require('../../server/services/leaveService');
+
+const ANNUAL = { entitlement_source: 'contract', default_days: '15.0', max_carry_over_days: '5.0' };
+const SICK = { entitlement_source: 'fixed', default_days: '12.0', max_carry_over_days: '0.0' };
+const UNPAID = { entitlement_source: 'none', default_days: '0.0', max_carry_over_days: '0.0' };
+
+describe('Leave Service', () => {
+    describe('countWorkingDays', () => {
+        it('should count weekdays only, inclusive of both ends', () => {
+            // Monday to the Sunday after next
+            expect(countWorkingDays('2025-11-03', '2025-11-16')).toBe(10);
+            expect(countWorkingDays('2025-11-08', '2025-11-09')).toBe(0);
+            expect(countWorkingDays('2025-11-03', '2025-11-03')).toBe(1);
+        });
+
+        it('should leave out public holidays', () => {
+            // Christmas and Boxing Day 2025 are a Thursday and Friday
+            expect(countWorkingDays('2025-12-22', '2025-12-26')).toBe(3);
+            // Independence Day, a Wednesday
+            expect(countWorkingDays('2025-09-29', '2025-10-03')).toBe(4);
+        });
+
+        it('should return zero when the end is before the start', () => {
+            expect(countWorkingDays('2025-11-10', '2025-11-03')).toBe(0);
+        });
+    });
+
+    describe('countWorkingDaysInMonth', () => {
+        it('should only count the part of the leave inside the month', () => {
+            // Thu 27 Nov - Wed 3 Dec 2025
+            expect(countWorkingDaysInMonth('2025-11-27', '2025-12-03', 11, 2025)).toBe(2);
+            expect(countWorkingDaysInMonth('2025-11-27', '2025-12-03', 12, 2025)).toBe(3);
+            expect(countWorkingDaysInMonth('2025-11-27', '2025-12-03', 10, 2025)).toBe(0);
+        });
+    });
+
+    describe('calculateEntitlement', () => {
+        it('should accrue annual leave monthly from the contract', () => {
+            const employee = { ptoDays: 20, hireDate: '2020-03-15' };
+            expect(calculateEntitlement(ANNUAL, employee, 2025, '2025-01-10')).toBe(1.5);
+            expect(calculateEntitlement(ANNUAL, employee, 2025, '2025-06-30')).toBe(10);
+            expect(calculateEntitlement(ANNUAL, employee, 2025, '2026-02-01')).toBe(20);
+        });
+
+        it('should start accruing from the hire month in the year an employee joins', () => {
+            const employee = { ptoDays: 24, hireDate: '2025-07-21' };
+            expect(calculateEntitlement(ANNUAL, employee, 2025, '2025-07-21')).toBe(2);
+            expect(calculateEntitlement(ANNUAL, employee, 2025, '2025-12-31')).toBe(12);
+            expect(calculateEntitlement(ANNUAL, employee, 2024, '2024-12-31')).toBe(0);
+        });
+
+        it('should fall back to the type\'s days when the contract has none', () => {
+            expect(calculateEntitlement(ANNUAL, { ptoDays: null, hireDate: null }, 2025, '2025-12-31')).toBe(15);
+        });
+
+        it('should give fixed allowances in full from January', () => {
+            expect(calculateEntitlement(SICK, { ptoDays: 20, hireDate: '2025-11-01' }, 2025, '2025-11-01')).toBe(12);
+        });
+
+        it('should return null for leave without an allowance', () => {
+            expect(calculateEntitlement(UNPAID, { ptoDays: 20 }, 2025, '2025-06-01')).toBeNull();
+        });
+    });
+
+    describe('calculateBalance', () => {
+        it('should count carried-over days and subtract approved leave, then pending', () => {
+            expect(calculateBalance({ entitlement: 10, carriedOver: 3, taken: 4, pending: 2.5 })).toEqual({
+                entitlement: 10,
+                carriedOver: 3,
+                taken: 4,
+                pending: 2.5,
+                available: 9,
+                requestable: 6.5
+            });
+        });
+
+        it('should leave unlimited types without an available figure', () => {
+            const balance = calculateBalance({ entitlement: null, taken: 3 });
+            expect(balance.available).toBeNull();
+            expect(balance.requestable).toBeNull();
+            expect(balance.taken).toBe(3);
+        });
+    });
+
+    describe('calculateCarryOver', () => {
+        it('should carry what is left, up to the cap', () => {
+            expect(calculateCarryOver(ANNUAL, 3.5)).toBe(3.5);
+            expect(calculateCarryOver(ANNUAL, 9)).toBe(5);
+            expect(calculateCarryOver(SICK, 6)).toBe(0);
+        });
+
+        it('should never carry a negative or unlimited balance', () => {
+            expect(calculateCarryOver(ANNUAL, -2)).toBe(0);
+            expect(calculateCarryOver(ANNUAL, null)).toBe(0);
+        });
+    });
+});
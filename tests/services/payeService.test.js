@@ -0,0 +1,107 @@
+/**
+ * PAYE Service Tests
+ * Worked examples per tax table version. Paystubs record the table they
+ * were calculated with, so these pin each version's results: when a new
+ * table is added (migration or Payroll page), add its row and a set of
+ * worked examples here, and leave the older versions untouched.
+ */
+
+const { calculateMonthlyPAYE, monthlyDevelopmentLevy, DEFAULT_TAX_TABLE } = require('../../server/services/payeService');
+const { rowToTaxTable } = require('../../server/services/taxTableService');
+
+const TABLE_VERSIONS = [
+    {
+        // Seeded by migration 027
+        row: {
+            id: 'pita-2011',
+            name: 'Personal Income Tax Act (as amended 2011)',
+            effective_from: '2011-01-01',
+            bands: [
+                { amount: 300000, rate: 7 },
+                { amount: 300000, rate: 11 },
+                { amount: 500000, rate: 15 },
+                { amount: 500000, rate: 19 },
+                { amount: 1600000, rate: 21 },
+                { amount: null, rate: 24 }
+            ],
+            cra_fixed_amount: '200000.00',
+            cra_gross_percent: '1.00',
+            cra_additional_percent: '20.00',
+            minimum_tax_percent: '1.00',
+            development_levy_annual: '100.00'
+        },
+        monthlyLevy: 100 / 12,
+        examples: [
+            {
+                // CRA 200,000 + 720,000; taxable 2,680,000 reaches the 21% band
+                gross: 300000,
+                cra: 920000,
+                taxable: 2680000,
+                annualTax: 21000 + 33000 + 75000 + 95000 + 1080000 * 0.21
+            },
+            {
+                // 1% of gross beats the NGN 200,000 floor; top band reached
+                gross: 1000000,
+                cra: 2600000,
+                taxable: 9400000,
+                annualTax: 21000 + 33000 + 75000 + 95000 + 336000 + 6200000 * 0.24
+            },
+            {
+                // Band tax of 2,800 is under the 1% minimum tax of 3,000
+                gross: 25000,
+                cra: 260000,
+                taxable: 40000,
+                annualTax: 3000,
+                minimumTaxApplied: true
+            },
+            {
+                // Pension + NHF relief of 27,400 a month off taxable income
+                gross: 300000,
+                reliefs: 27400,
+                cra: 920000,
+                taxable: 2351200,
+                annualTax: 21000 + 33000 + 75000 + 95000 + 751200 * 0.21
+            }
+        ]
+    }
+];
+
+describe('PAYE Service', () => {
+    describe.each(TABLE_VERSIONS)('$row.name (from $row.effective_from)', ({ row, monthlyLevy, examples }) => {
+        const table = rowToTaxTable(row);
+
+        it.each(examples)('should tax ₦$gross a month as worked out by hand', (example) => {
+            const result = calculateMonthlyPAYE(example.gross, { monthlyReliefs: example.reliefs || 0, table });
+            expect(result.cra).toBeCloseTo(example.cra, 2);
+            expect(result.taxableAnnual).toBeCloseTo(example.taxable, 2);
+            expect(result.annualTax).toBeCloseTo(example.annualTax, 2);
+            expect(result.monthlyTax).toBeCloseTo(example.annualTax / 12, 2);
+            expect(result.minimumTaxApplied).toBe(Boolean(example.minimumTaxApplied));
+        });
+
+        it('should charge the Development Levy from the table', () => {
+            expect(monthlyDevelopmentLevy(table)).toBeCloseTo(monthlyLevy, 6);
+        });
+    });
+
+    it('should default to the seeded 2011 table', () => {
+        const seeded = rowToTaxTable(TABLE_VERSIONS[0].row);
+        expect(calculateMonthlyPAYE(300000)).toEqual(calculateMonthlyPAYE(300000, { table: seeded }));
+        expect(DEFAULT_TAX_TABLE.bands).toEqual(seeded.bands);
+    });
+
+    it('should allow a table with no CRA and no minimum tax', () => {
+        const table = rowToTaxTable({
+            ...TABLE_VERSIONS[0].row,
+            bands: [{ amount: 800000, rate: 0 }, { amount: null, rate: 15 }],
+            cra_fixed_amount: '0',
+            cra_gross_percent: '0',
+            cra_additional_percent: '0',
+            minimum_tax_percent: '0'
+        });
+        const result = calculateMonthlyPAYE(50000, { table });
+        expect(result.cra).toBe(0);
+        expect(result.annualTax).toBe(0);
+        expect(calculateMonthlyPAYE(100000, { table }).annualTax).toBeCloseTo(400000 * 0.15, 2);
+    });
+});
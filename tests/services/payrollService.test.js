@@ -0,0 +1,167 @@
+/**
+ * Payroll Service Tests
+ */
+
+const { calculatePaystub, sumPaystubs, calculateAdjustment, summarizeTaxYear, DEFAULT_STATUTORY } = require('../../server/services/payrollService');
+const { DEFAULT_TAX_TABLE } = require('../../server/services/payeService');
+
+const SALARY = {
+    base_salary: '200000.00',
+    housing_allowance: '50000.00',
+    transport_allowance: '30000.00',
+    utility_allowance: '10000.00',
+    meal_allowance: '10000.00'
+};
+
+describe('Payroll Service', () => {
+    describe('calculatePaystub', () => {
+        it('should total gross pay and take PAYE, the levy and other deductions off it', () => {
+            const paystub = calculatePaystub(SALARY, { deductions: 5000 });
+            expect(paystub.gross_pay).toBe(300000);
+            expect(paystub.deductions).toBe(5000);
+            expect(paystub.net_pay).toBeCloseTo(300000 - paystub.paye_tax - paystub.development_levy - 5000, 2);
+        });
+
+        it('should treat missing allowances as zero', () => {
+            expect(calculatePaystub({ base_salary: '100000' }).gross_pay).toBe(100000);
+        });
+
+        it('should take PAYE and the levy from the given tax table', () => {
+            const taxTable = { ...DEFAULT_TAX_TABLE, bands: [{ amount: Infinity, rate: 0.1 }], minimumTaxRate: 0, developmentLevyAnnual: 1200 };
+            const paystub = calculatePaystub(SALARY, { taxTable });
+            // (3,600,000 - 920,000 CRA) x 10% / 12
+            expect(paystub.paye_tax).toBeCloseTo(22333.33, 2);
+            expect(paystub.development_levy).toBe(100);
+        });
+
+        it('should leave pension and NHF at zero until they are enabled', () => {
+            const paystub = calculatePaystub(SALARY);
+            expect(paystub.pension_employee).toBe(0);
+            expect(paystub.pension_employer).toBe(0);
+            expect(paystub.nhf_contribution).toBe(0);
+        });
+    });
+
+    describe('unpaid leave', () => {
+        it('should reduce every earning by the share of working days missed', () => {
+            // 5 of 20 working days unpaid - a quarter off
+            const paystub = calculatePaystub(SALARY, { unpaidLeaveDays: 5, workingDays: 20 });
+            expect(paystub.basic_salary).toBe(150000);
+            expect(paystub.housing_allowance).toBe(37500);
+            expect(paystub.gross_pay).toBe(225000);
+            expect(paystub.unpaid_leave_days).toBe(5);
+            expect(paystub.unpaid_leave_deduction).toBe(75000);
+        });
+
+        it('should tax the reduced gross', () => {
+            const full = calculatePaystub(SALARY);
+            const reduced = calculatePaystub(SALARY, { unpaidLeaveDays: 5, workingDays: 20 });
+            expect(reduced.paye_tax).toBe(calculatePaystub({ ...SALARY, base_salary: 150000, housing_allowance: 37500, transport_allowance: 22500, utility_allowance: 7500, meal_allowance: 7500 }).paye_tax);
+            expect(reduced.paye_tax).toBeLessThan(full.paye_tax);
+        });
+
+        it('should not pay below zero when the whole month is unpaid', () => {
+            const paystub = calculatePaystub(SALARY, { unpaidLeaveDays: 23, workingDays: 21 });
+            expect(paystub.gross_pay).toBe(0);
+            expect(paystub.unpaid_leave_deduction).toBe(300000);
+        });
+
+        it('should leave pay untouched without unpaid leave', () => {
+            const paystub = calculatePaystub(SALARY, { workingDays: 21 });
+            expect(paystub.gross_pay).toBe(300000);
+            expect(paystub.unpaid_leave_days).toBe(0);
+            expect(paystub.unpaid_leave_deduction).toBe(0);
+        });
+    });
+
+    describe('pension and NHF', () => {
+        const statutory = { ...DEFAULT_STATUTORY, pensionEnabled: true, nhfEnabled: true };
+
+        it('should take pension on basic + housing + transport and NHF on basic', () => {
+            const paystub = calculatePaystub(SALARY, { statutory });
+            // 8% / 10% of 280,000; 2.5% of 200,000
+            expect(paystub.pension_employee).toBe(22400);
+            expect(paystub.pension_employer).toBe(28000);
+            expect(paystub.nhf_contribution).toBe(5000);
+        });
+
+        it('should deduct only the employee share from net pay', () => {
+            const paystub = calculatePaystub(SALARY, { statutory, deductions: 1000 });
+            expect(paystub.net_pay).toBeCloseTo(
+                paystub.gross_pay - paystub.paye_tax - paystub.development_levy - 22400 - 5000 - 1000, 2
+            );
+        });
+
+        it('should reduce PAYE by treating the contributions as relief', () => {
+            const without = calculatePaystub(SALARY);
+            const withRelief = calculatePaystub(SALARY, { statutory });
+            // 27,400/month relief, all of it within the 21% band here
+            expect(without.paye_tax - withRelief.paye_tax).toBeCloseTo(27400 * 0.21, 2);
+            expect(withRelief.cra_amount).toBe(without.cra_amount);
+        });
+
+        it('should use configured rates', () => {
+            const paystub = calculatePaystub(SALARY, {
+                statutory: { ...statutory, pensionEmployeeRate: 10, pensionEmployerRate: 12, nhfEnabled: false }
+            });
+            expect(paystub.pension_employee).toBe(28000);
+            expect(paystub.pension_employer).toBe(33600);
+            expect(paystub.nhf_contribution).toBe(0);
+        });
+    });
+
+    describe('calculateAdjustment', () => {
+        it('should return null when nothing changed since the payslip was issued', () => {
+            const issued = calculatePaystub(SALARY);
+            expect(calculateAdjustment(calculatePaystub(SALARY), sumPaystubs([issued]))).toBeNull();
+        });
+
+        it('should carry only the difference after a raise', () => {
+            const issued = calculatePaystub(SALARY);
+            const current = calculatePaystub({ ...SALARY, base_salary: '220000.00' });
+            const delta = calculateAdjustment(current, sumPaystubs([issued]));
+
+            expect(delta.basic_salary).toBe(20000);
+            expect(delta.housing_allowance).toBe(0);
+            expect(delta.gross_pay).toBe(20000);
+            expect(delta.paye_tax).toBeGreaterThan(0);
+            expect(issued.net_pay + delta.net_pay).toBeCloseTo(current.net_pay, 2);
+        });
+
+        it('should net earlier adjustments so a second re-run only adds what is still missing', () => {
+            const issued = calculatePaystub(SALARY);
+            const raised = calculatePaystub({ ...SALARY, base_salary: '220000.00' });
+            const firstAdjustment = calculateAdjustment(raised, sumPaystubs([issued]));
+
+            expect(calculateAdjustment(raised, sumPaystubs([issued, firstAdjustment]))).toBeNull();
+
+            const cut = calculatePaystub({ ...SALARY, base_salary: '210000.00' });
+            const second = calculateAdjustment(cut, sumPaystubs([issued, firstAdjustment]));
+            expect(second.basic_salary).toBe(-10000);
+            expect(second.net_pay).toBeLessThan(0);
+        });
+    });
+
+    describe('summarizeTaxYear', () => {
+        const row = (staffId, month, paye) => ({
+            staff_id: staffId, name: staffId, pay_period_month: month,
+            gross_pay: '300000.00', cra_amount: '76666.67', pension_employee: '22400.00',
+            nhf_contribution: '5000.00', paye_tax: paye, development_levy: '8.33'
+        });
+
+        it('should total each employee\'s year and order their months', () => {
+            const [employee] = summarizeTaxYear([row('a', 2, '31812.67'), row('a', 1, '31812.67')]);
+            expect(employee.months.map(m => m.month)).toEqual([1, 2]);
+            expect(employee.totals.gross_pay).toBe(600000);
+            expect(employee.totals.paye_tax).toBe(63625.34);
+            // 600,000 - 153,333.34 CRA - 54,800 pension/NHF
+            expect(employee.totals.taxable_income).toBe(391866.66);
+        });
+
+        it('should keep employees apart and never report negative taxable income', () => {
+            const summary = summarizeTaxYear([row('a', 1, '100'), { ...row('b', 1, '0'), gross_pay: '10000.00' }]);
+            expect(summary).toHaveLength(2);
+            expect(summary[1].totals.taxable_income).toBe(0);
+        });
+    });
+});
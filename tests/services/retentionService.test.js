@@ -0,0 +1,70 @@
+/**
+ * Retention Service Tests
+ */
+
+// The database, audit log and attachment files aren't exercised here
+jest.mock('../../server/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../server/services/auditService', () => ({ log: jest.fn() }));
+jest.mock('../../server/services/attachmentStorage', () => ({ removeAttachment: jest.fn() }));
+
+const db = require('../../server/config/database');
+const { removeAttachment } = require('../../server/services/attachmentStorage');
+const { runRetentionPurge } = require('../../server/services/retentionService');
+const { ERASED, ERASED_EMAIL } = require('../../server/utils/erasure');
+
+// Only closed chats have a retention period, so only they're purged
+const SETTINGS = [
+    { setting_key: 'retention_enabled', setting_value: 'true' },
+    { setting_key: 'retention_analytics_events_months', setting_value: '0' },
+    { setting_key: 'retention_closed_chats_months', setting_value: '24' },
+    { setting_key: 'retention_visitor_ip_days', setting_value: '0' },
+    { setting_key: 'retention_audit_logs_months', setting_value: '0' }
+];
+
+describe('Retention Service', () => {
+    let queries;
+
+    beforeEach(() => {
+        queries = [];
+        db.query.mockResolvedValue({ rows: SETTINGS });
+        db.getClient.mockResolvedValue({
+            query: jest.fn(async (sql, params) => {
+                queries.push({ sql, params });
+                if (sql.startsWith('SELECT id')) {
+                    return { rows: [{ id: 'chat-1' }, { id: 'chat-2' }] };
+                }
+                if (sql.startsWith('DELETE FROM chat_attachments')) {
+                    return { rows: [{ storage_driver: 'local', storage_key: 'chat-1/photo.png' }] };
+                }
+                return { rows: [], rowCount: 2 };
+            }),
+            release: jest.fn()
+        });
+    });
+
+    it('should anonymize closed chats in one transaction and remove their files after', async () => {
+        const result = await runRetentionPurge(new Date('2026-10-18T02:15:00Z'));
+
+        expect(result).toMatchObject({ closed_chats: 2, analytics_events: 0, finished: true });
+        expect(queries[0].sql).toBe('BEGIN');
+        expect(queries[queries.length - 1].sql).toBe('COMMIT');
+        expect(queries.find(q => q.sql.startsWith('UPDATE chat_messages')).params).toEqual([['chat-1', 'chat-2'], ERASED]);
+        expect(removeAttachment).toHaveBeenCalledWith('local', 'chat-1/photo.png');
+    });
+
+    it('should scrub chat emails to the placeholder the contacts backfill skips', async () => {
+        await runRetentionPurge(new Date('2026-10-18T02:15:00Z'));
+
+        const update = queries.find(q => q.sql.includes('UPDATE chat_sessions'));
+        expect(update.sql).toContain(`visitor_email = ${ERASED_EMAIL}`);
+        expect(update.sql).toContain('anonymized_at = CURRENT_TIMESTAMP');
+        expect(update.params).toEqual([['chat-1', 'chat-2'], ERASED]);
+    });
+
+    it('should do nothing while retention is switched off', async () => {
+        db.query.mockResolvedValue({ rows: [] });
+
+        expect(await runRetentionPurge()).toEqual({ skipped: 'Data retention is switched off' });
+        expect(db.getClient).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * SLA Service Tests
+ */
+
+const {
+    businessMinutesBetween,
+    addBusinessMinutes,
+    matchPolicy,
+    evaluateSla,
+    summarizeCompliance
+} = require('../../server/services/slaService');
+
+// Lagos is UTC+1, so 09:00-17:00 local is 08:00-16:00 UTC.
+// 16 October 2026 is a Friday; 1 October is a holiday.
+const calendar = {
+    timezone: 'Africa/Lagos',
+    businessHoursStart: '09:00',
+    businessHoursEnd: '17:00',
+    workingDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    holidays: new Set(['2026-10-01'])
+};
+
+describe('SLA Service', () => {
+    describe('businessMinutesBetween', () => {
+        it('should count only time within business hours', () => {
+            expect(businessMinutesBetween('2026-10-14T07:00:00Z', '2026-10-14T09:30:00Z', calendar)).toBe(90);
+            expect(businessMinutesBetween('2026-10-14T15:00:00Z', '2026-10-14T20:00:00Z', calendar)).toBe(60);
+        });
+
+        it('should skip weekends and holidays', () => {
+            // Friday 16:00 to Monday 10:00
+            expect(businessMinutesBetween('2026-10-16T15:00:00Z', '2026-10-19T09:00:00Z', calendar)).toBe(120);
+            // Wednesday 16:00 to Friday 10:00, over the Thursday holiday
+            expect(businessMinutesBetween('2026-09-30T15:00:00Z', '2026-10-02T09:00:00Z', calendar)).toBe(120);
+        });
+
+        it('should be zero when the end is not after the start', () => {
+            expect(businessMinutesBetween('2026-10-14T10:00:00Z', '2026-10-14T09:00:00Z', calendar)).toBe(0);
+        });
+    });
+
+    describe('addBusinessMinutes', () => {
+        it('should carry what is left of a target over to the next working day', () => {
+            expect(addBusinessMinutes('2026-10-16T15:00:00Z', 120, calendar).toISOString()).toBe('2026-10-19T09:00:00.000Z');
+        });
+
+        it('should start counting at opening time for something received out of hours', () => {
+            expect(addBusinessMinutes('2026-10-17T12:00:00Z', 30, calendar).toISOString()).toBe('2026-10-19T08:30:00.000Z');
+        });
+
+        it('should give up when there are no working days', () => {
+            expect(addBusinessMinutes('2026-10-14T09:00:00Z', 30, { ...calendar, workingDays: [] })).toBeNull();
+        });
+    });
+
+    describe('matchPolicy', () => {
+        const policies = [
+            { id: 'all', entity_type: 'ticket', created_at: '2026-01-01' },
+            { id: 'urgent', entity_type: 'ticket', match_priority: 'urgent', created_at: '2026-01-02' },
+            { id: 'urgent-dev', entity_type: 'ticket', match_priority: 'urgent', match_category: 'development', created_at: '2026-01-03' },
+            { id: 'old', entity_type: 'ticket', match_priority: 'urgent', match_category: 'development', created_at: '2026-01-04', is_active: false },
+            { id: 'chats', entity_type: 'chat', created_at: '2026-01-01' }
+        ];
+
+        it('should pick the policy matching on the most fields', () => {
+            expect(matchPolicy(policies, 'ticket', { category: 'development', priority: 'urgent' }).id).toBe('urgent-dev');
+            expect(matchPolicy(policies, 'ticket', { category: 'it_support', priority: 'urgent' }).id).toBe('urgent');
+            expect(matchPolicy(policies, 'ticket', { category: 'it_support', priority: 'low' }).id).toBe('all');
+        });
+
+        it('should only consider active policies for the type', () => {
+            expect(matchPolicy(policies, 'chat', {}).id).toBe('chats');
+            expect(matchPolicy(policies, 'message', {})).toBeNull();
+        });
+    });
+
+    describe('evaluateSla', () => {
+        const policy = { id: 'p1', name: 'Tickets', first_response_minutes: 60, resolution_minutes: 480, warn_at_percent: 80 };
+        const startedAt = '2026-10-14T08:00:00Z';
+
+        it('should flag a target as at risk once past the warning share', () => {
+            const sla = evaluateSla({ startedAt }, policy, calendar, new Date('2026-10-14T08:50:00Z'));
+
+            expect(sla.firstResponse).toMatchObject({ status: 'at_risk', elapsedMinutes: 50 });
+            expect(sla.firstResponse.dueAt.toISOString()).toBe('2026-10-14T09:00:00.000Z');
+            expect(sla.resolution.status).toBe('on_track');
+            expect(sla.status).toBe('at_risk');
+        });
+
+        it('should judge finished targets on when they were done', () => {
+            const sla = evaluateSla(
+                { startedAt, respondedAt: '2026-10-14T09:30:00Z' },
+                policy,
+                calendar,
+                new Date('2026-10-14T10:00:00Z')
+            );
+
+            expect(sla.firstResponse.status).toBe('breached');
+            expect(sla.resolution.status).toBe('on_track');
+            expect(sla.status).toBe('breached');
+        });
+
+        it('should not hold something closed without a response to the first response target', () => {
+            const sla = evaluateSla(
+                { startedAt, closed: true },
+                { ...policy, resolution_minutes: null },
+                calendar,
+                new Date('2026-10-20T10:00:00Z')
+            );
+
+            expect(sla.firstResponse).toBeNull();
+            expect(sla.resolution).toBeNull();
+            expect(sla.status).toBeNull();
+        });
+    });
+
+    describe('summarizeCompliance', () => {
+        it('should leave targets still running out of the compliance figures', () => {
+            const target = (status, elapsedMinutes) => ({ status, elapsedMinutes });
+            const summary = summarizeCompliance([
+                { sla: { firstResponse: target('met', 30), resolution: target('met', 200) } },
+                { sla: { firstResponse: target('met', 50), resolution: target('breached', 600) } },
+                { sla: { firstResponse: target('breached', 90), resolution: target('on_track', 100) } },
+                { sla: { firstResponse: target('at_risk', 55), resolution: null } },
+                { sla: null }
+            ]);
+
+            expect(summary.total).toBe(4);
+            expect(summary.firstResponse).toEqual({ met: 2, breached: 1, pending: 1, compliance: 66.7, averageMinutes: 57 });
+            expect(summary.resolution).toEqual({ met: 1, breached: 1, pending: 1, compliance: 50, averageMinutes: 400 });
+        });
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tax Table Service Tests
+ */
+
+const { selectTaxTable, validateTaxTable } = require('../../server/services/taxTableService');
+
+const VALID_TABLE = {
+    name: 'Test table',
+    effectiveFrom: '2027-01-01',
+    bands: [{ amount: 800000, rate: 0 }, { amount: 2200000, rate: 15 }, { amount: null, rate: 25 }],
+    craFixedAmount: 0,
+    craGrossPercent: 0,
+    craAdditionalPercent: 0,
+    minimumTaxPercent: 0,
+    developmentLevyAnnual: 100
+};
+
+describe('Tax Table Service', () => {
+    describe('selectTaxTable', () => {
+        const tables = [
+            { id: 'b', effectiveFrom: '2026-01-01' },
+            { id: 'a', effectiveFrom: '2011-01-01' },
+            { id: 'c', effectiveFrom: '2026-07-01' }
+        ];
+
+        it('should use the latest table in effect on the 1st of the pay period', () => {
+            expect(selectTaxTable(tables, 12, 2025).id).toBe('a');
+            expect(selectTaxTable(tables, 1, 2026).id).toBe('b');
+            expect(selectTaxTable(tables, 6, 2026).id).toBe('b');
+            expect(selectTaxTable(tables, 7, 2026).id).toBe('c');
+        });
+
+        it('should return null before the first table', () => {
+            expect(selectTaxTable(tables, 12, 2010)).toBeNull();
+        });
+    });
+
+    describe('validateTaxTable', () => {
+        it('should accept a well-formed table', () => {
+            expect(validateTaxTable(VALID_TABLE)).toEqual([]);
+        });
+
+        it('should require the effective date to be the 1st of a month', () => {
+            expect(validateTaxTable({ ...VALID_TABLE, effectiveFrom: '2027-01-15' })).toHaveLength(1);
+        });
+
+        it('should require an open-ended last band and widths for the rest', () => {
+            expect(validateTaxTable({ ...VALID_TABLE, bands: [{ amount: 800000, rate: 10 }] })).toHaveLength(1);
+            expect(validateTaxTable({ ...VALID_TABLE, bands: [{ amount: null, rate: 10 }, { amount: null, rate: 20 }] })).toHaveLength(1);
+        });
+
+        it('should reject rates outside 0-100 and negative amounts', () => {
+            expect(validateTaxTable({ ...VALID_TABLE, bands: [{ amount: null, rate: 150 }] })).toHaveLength(1);
+            expect(validateTaxTable({ ...VALID_TABLE, craFixedAmount: -1, minimumTaxPercent: '1' })).toHaveLength(2);
+        });
+    });
+});
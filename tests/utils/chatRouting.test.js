@@ -0,0 +1,72 @@
+/**
+ * Chat Routing Tests
+ */
+
+const {
+    skillForChat,
+    pickAgent,
+    estimateWaitMinutes,
+    queueMessage
+} = require('../../server/utils/chatRouting');
+
+describe('Chat Routing', () => {
+    describe('skillForChat', () => {
+        it('should use the service the visitor chose', () => {
+            expect(skillForChat({ service: 'data-analytics', page: '/it-consulting.html' })).toBe('data-analytics');
+        });
+
+        it('should fall back to the service page the chat started on', () => {
+            expect(skillForChat({ service: '', page: '/website-development.html?ref=ad' })).toBe('website-development');
+            expect(skillForChat({ service: 'careers', page: '/about.html' })).toBeNull();
+            expect(skillForChat()).toBeNull();
+        });
+    });
+
+    describe('pickAgent', () => {
+        const agents = [
+            { id: 'ada', chat_skills: ['data-analytics'], max_concurrent_chats: 2, active_chat_count: 2 },
+            { id: 'bola', chat_skills: ['data-analytics'], max_concurrent_chats: 3, active_chat_count: 1 },
+            { id: 'chidi', chat_skills: [], max_concurrent_chats: 3, active_chat_count: 0 },
+            { id: 'dayo', chat_skills: ['website-development'], max_concurrent_chats: 3, active_chat_count: 0 }
+        ];
+
+        it('should prefer the least busy agent with the skill who has room', () => {
+            expect(pickAgent(agents, 'data-analytics').id).toBe('bola');
+        });
+
+        it('should fall back to agents without skills, then anyone with room', () => {
+            expect(pickAgent(agents, 'it-consulting').id).toBe('chidi');
+            expect(pickAgent(agents.filter(a => a.id !== 'chidi'), 'it-consulting').id).toBe('dayo');
+        });
+
+        it('should pick the least busy of everyone when the chat needs no skill', () => {
+            expect(pickAgent(agents.slice(0, 2)).id).toBe('bola');
+        });
+
+        it('should return null when everyone is at their limit', () => {
+            const full = agents.map(agent => ({ ...agent, active_chat_count: agent.max_concurrent_chats }));
+            expect(pickAgent(full, 'data-analytics')).toBeNull();
+            expect(pickAgent([], null)).toBeNull();
+        });
+    });
+
+    describe('estimateWaitMinutes', () => {
+        it('should spread the wait over every chat slot online', () => {
+            const agents = [{ max_concurrent_chats: 3 }, { max_concurrent_chats: 2 }];
+            expect(estimateWaitMinutes(1, agents, 10)).toBe(2);
+            expect(estimateWaitMinutes(6, agents, 10)).toBe(12);
+        });
+
+        it('should never promise less than a minute', () => {
+            expect(estimateWaitMinutes(1, [{ max_concurrent_chats: 20 }], 5)).toBe(1);
+            expect(estimateWaitMinutes(2, [], 10)).toBe(20);
+        });
+    });
+
+    describe('queueMessage', () => {
+        it('should tell the visitor their place and wait', () => {
+            expect(queueMessage(1, 1)).toContain('You are next in the queue - the expected wait is about 1 minute.');
+            expect(queueMessage(3, 8)).toContain('You are number 3 in the queue - the expected wait is about 8 minutes.');
+        });
+    });
+});
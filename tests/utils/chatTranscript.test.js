@@ -0,0 +1,60 @@
+/**
+ * Chat Transcript Tests
+ */
+
+const { buildTranscript, transcriptToText, transcriptFileName } = require('../../server/utils/chatTranscript');
+
+describe('Chat Transcripts', () => {
+    const session = {
+        id: '1a2b3c4d-0000-4000-8000-000000000001',
+        visitor_name: 'Ada Obi',
+        visitor_email: 'ada@example.com',
+        assigned_to_name: 'Tunde',
+        started_at: '2026-10-18T09:05:00Z',
+        ended_at: '2026-10-18T09:20:00Z'
+    };
+
+    const messages = [
+        { sender_type: 'staff', staff_name: null, content: 'Thanks for reaching out!', created_at: '2026-10-18T09:05:01Z', attachments: [] },
+        { sender_type: 'visitor', content: 'My site is down.\nIt shows a 502.', created_at: '2026-10-18T09:06:00Z', attachments: [] },
+        {
+            sender_type: 'staff',
+            staff_name: 'Tunde',
+            content: '',
+            created_at: '2026-10-18T09:10:00Z',
+            attachments: [{ id: 'f1', file_name: 'steps.pdf' }]
+        }
+    ];
+
+    it('should name each sender the way the visitor saw them', () => {
+        const transcript = buildTranscript(session, messages, { siteUrl: 'https://tekvwa.org' });
+
+        expect(transcript.entries.map(entry => entry.sender)).toEqual(['Tekvwa IT Solutions', 'Ada Obi', 'Tunde']);
+        expect(transcript.entries[1].fromVisitor).toBe(true);
+        expect(transcript.details).toContainEqual(['Visitor', 'Ada Obi <ada@example.com>']);
+        expect(transcript.details).toContainEqual(['Agent', 'Tunde']);
+    });
+
+    it('should show times in Lagos time and link attachments', () => {
+        const transcript = buildTranscript(session, messages, { siteUrl: 'https://tekvwa.org' });
+
+        expect(transcript.entries[0].time).toContain('10:05');
+        expect(transcript.entries[2].attachments).toEqual([{
+            name: 'steps.pdf',
+            url: `https://tekvwa.org/api/chat/sessions/${session.id}/attachments/f1`
+        }]);
+    });
+
+    it('should write a readable plain-text transcript', () => {
+        const text = transcriptToText(buildTranscript(session, messages, { siteUrl: 'https://tekvwa.org' }));
+
+        expect(text).toContain('Chat Transcript - Tekvwa IT Solutions');
+        expect(text).toContain('Ada Obi:\n  My site is down.\n  It shows a 502.');
+        expect(text).toContain(`  Attachment: steps.pdf (https://tekvwa.org/api/chat/sessions/${session.id}/attachments/f1)`);
+        expect(transcriptToText(buildTranscript({ ...session, ended_at: null }, []))).toContain('No messages.');
+    });
+
+    it('should name files by start date and chat reference', () => {
+        expect(transcriptFileName(session, 'pdf')).toBe('chat-transcript-2026-10-18-1a2b3c4d.pdf');
+    });
+});
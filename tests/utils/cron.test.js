@@ -0,0 +1,64 @@
+/**
+ * Cron Expression Utility Tests
+ */
+
+const { parseCron, nextRun } = require('../../server/utils/cron');
+
+describe('Cron Utility', () => {
+    describe('parseCron', () => {
+        it('should expand wildcards, ranges, lists and steps', () => {
+            const parsed = parseCron('*/15 9-11 1,15 * 1-5');
+
+            expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+            expect([...parsed.hour]).toEqual([9, 10, 11]);
+            expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+            expect(parsed.month.size).toBe(12);
+            expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        it('should treat day-of-week 7 as Sunday', () => {
+            const parsed = parseCron('0 0 * * 7');
+            expect([...parsed.dayOfWeek]).toEqual([0]);
+        });
+
+        it('should reject malformed expressions', () => {
+            expect(() => parseCron('* * * *')).toThrow();
+            expect(() => parseCron('60 * * * *')).toThrow();
+            expect(() => parseCron('*/0 * * * *')).toThrow();
+            expect(() => parseCron('5-1 * * * *')).toThrow();
+        });
+    });
+
+    describe('nextRun', () => {
+        it('should return the next matching minute strictly after the given time', () => {
+            const from = new Date('2026-10-18T10:05:00Z');
+            expect(nextRun('5 * * * *', from).toISOString()).toBe('2026-10-18T11:05:00.000Z');
+        });
+
+        it('should roll over to the next day', () => {
+            const from = new Date('2026-10-18T02:00:00Z');
+            expect(nextRun('30 1 * * *', from).toISOString()).toBe('2026-10-19T01:30:00.000Z');
+        });
+
+        it('should skip to the next matching weekday', () => {
+            // 2026-10-17 is a Saturday
+            const from = new Date('2026-10-17T12:00:00Z');
+            expect(nextRun('0 8 * * 1-5', from).toISOString()).toBe('2026-10-19T08:00:00.000Z');
+        });
+
+        it('should match either day field when both are restricted', () => {
+            // 1st of the month OR Friday - 2026-10-23 is the next Friday
+            const from = new Date('2026-10-18T00:00:00Z');
+            expect(nextRun('0 0 1 * 5', from).toISOString()).toBe('2026-10-23T00:00:00.000Z');
+        });
+
+        it('should cross month and year boundaries', () => {
+            const from = new Date('2026-12-31T23:59:00Z');
+            expect(nextRun('0 0 1 * *', from).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+        });
+
+        it('should throw for an expression that can never match', () => {
+            expect(() => nextRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).toThrow();
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Data Subject Export Tests
+ */
+
+const JSZip = require('jszip');
+const { exportableRow, toCsv, buildExportBundle } = require('../../server/utils/dataExport');
+
+describe('Data Subject Export', () => {
+    it('should leave out link tokens, storage locations and search indexes', () => {
+        expect(exportableRow({
+            id: 1,
+            email: 'ada@example.com',
+            token_hash: 'abc',
+            manage_token_hash: 'def',
+            reply_token: 'ghi',
+            storage_key: 'chat/1.png',
+            storage_driver: 'local',
+            search_vector: "'ada'",
+            hash_note: 'kept'
+        })).toEqual({ id: 1, email: 'ada@example.com', hash_note: 'kept' });
+    });
+
+    it('should write CSV with every column, quoting and formula guarding values', () => {
+        const csv = toCsv([
+            { name: 'Ada, "Countess"', created_at: new Date('2026-01-02T03:04:05Z') },
+            { name: '=HYPERLINK("x")', metadata: { page: '/about' }, note: null }
+        ]);
+
+        expect(csv.split('\r\n')).toEqual([
+            'name,created_at,metadata,note',
+            '"Ada, ""Countess""",2026-01-02T03:04:05.000Z,,',
+            '"\'=HYPERLINK(""x"")",,"{""page"":""/about""}",'
+        ]);
+    });
+
+    it('should bundle the JSON, a CSV per kind of record, files and a README', async () => {
+        const request = { email: 'ada@example.com', received_at: '2026-10-01T09:00:00Z' };
+        const data = {
+            messages: [{ id: 'm1', message: 'Hello\nthere', reply_token: 'secret' }],
+            chat_attachments: [{ id: 'a1', file_name: 'cv.pdf', storage_key: 'chat/a1' }],
+            quotes: []
+        };
+        const files = [{ id: 'a1', file_name: '../cv.pdf', content: Buffer.from('%PDF') }];
+
+        const zip = await JSZip.loadAsync(await buildExportBundle(request, data, files, new Date('2026-10-18T00:00:00Z')));
+
+        expect(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort()).toEqual([
+            'README.txt',
+            'attachments/a1-.._cv.pdf',
+            'csv/chat_attachments.csv',
+            'csv/messages.csv',
+            'personal-data.json'
+        ]);
+
+        const json = JSON.parse(await zip.file('personal-data.json').async('string'));
+        expect(json.email).toBe('ada@example.com');
+        expect(json.messages).toEqual([{ id: 'm1', message: 'Hello\nthere' }]);
+        expect(json.quotes).toEqual([]);
+        expect(json.invoices).toEqual([]);
+
+        const readme = await zip.file('README.txt').async('string');
+        expect(readme).toContain('- messages.csv (1): Messages sent through our contact form');
+        expect(readme).not.toContain('quotes.csv');
+
+        expect((await zip.file('attachments/a1-.._cv.pdf').async('nodebuffer')).toString()).toBe('%PDF');
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Erasure Placeholder Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ERASED_EMAIL, ERASED_EMAIL_DOMAIN, erasedEmail } = require('../../server/utils/erasure');
+
+// The contacts backfill, re-run from 032_contacts.sql on every boot
+const backfill = fs.readFileSync(path.join(__dirname, '../../database/migrations/032_contacts.sql'), 'utf8')
+    .match(/INSERT INTO contacts[\s\S]*?;/)[0];
+
+const likeToRegExp = (pattern) => new RegExp(`^${pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.')}$`);
+
+// Whether the backfill's WHERE clause keeps an address
+function backfillKeeps(email) {
+    const conditions = [...backfill.matchAll(/email (NOT )?LIKE '([^']*)'/g)];
+    return conditions.every(([, not, pattern]) => likeToRegExp(pattern).test(email) !== Boolean(not));
+}
+
+describe('Erasure Placeholders', () => {
+    it('should give each row an undeliverable address of its own', () => {
+        expect(ERASED_EMAIL).toBe(`'erased-' || id || '@${ERASED_EMAIL_DOMAIN}'`);
+        expect(erasedEmail('4f1c')).toBe('erased-4f1c@erased.invalid');
+        expect(erasedEmail('4f1c')).not.toBe(erasedEmail('9a2b'));
+    });
+
+    it('should keep erased people out of the contacts backfill run on boot', () => {
+        const erasedRows = ['c0a8f3e2-1b5d-4e6f-9a7b-2c3d4e5f6a7b', 'e1f2a3b4-c5d6-4e7f-8a9b-0c1d2e3f4a5b'];
+        erasedRows.forEach(id => expect(backfillKeeps(erasedEmail(id))).toBe(false));
+    });
+
+    it('should still backfill everyone else on file', () => {
+        expect(backfillKeeps('ada.obi@example.com')).toBe(true);
+        expect(backfillKeeps('not-an-address')).toBe(false);
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * File Signature Tests
+ */
+
+const { detectFileType, allowedExtensions } = require('../../server/utils/fileSignature');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0x00, 0x00, 0x00]), Buffer.from('WEBPVP8 ')]);
+const ZIP = Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00]);
+
+describe('File Signatures', () => {
+    it('should accept images whose bytes match their extension', () => {
+        expect(detectFileType(PNG, 'screenshot.PNG')).toEqual({ type: 'png', mimeType: 'image/png', image: true });
+        expect(detectFileType(JPEG, 'photo.jpg').type).toBe('jpeg');
+        expect(detectFileType(Buffer.from('GIF89a...'), 'loader.gif').type).toBe('gif');
+        expect(detectFileType(WEBP, 'banner.webp').image).toBe(true);
+    });
+
+    it('should accept documents and plain text', () => {
+        expect(detectFileType(Buffer.from('%PDF-1.7\n'), 'invoice.pdf').mimeType).toBe('application/pdf');
+        expect(detectFileType(ZIP, 'brief.docx').type).toBe('docx');
+        expect(detectFileType(Buffer.from('name,email\nAda,ada@example.com\n'), 'leads.csv').type).toBe('csv');
+        expect(detectFileType(Buffer.from('Error: connection refused – retrying'), 'server.log').image).toBe(false);
+    });
+
+    it('should reject files renamed to look like something else', () => {
+        const executable = Buffer.from([0x4D, 0x5A, 0x90, 0x00, 0x03, 0x00]);
+        expect(detectFileType(executable, 'screenshot.png')).toBeNull();
+        expect(detectFileType(PNG, 'notes.txt')).toBeNull();
+        expect(detectFileType(Buffer.from('<html><script></script></html>'), 'report.pdf')).toBeNull();
+    });
+
+    it('should reject types that are not allowed', () => {
+        expect(detectFileType(Buffer.from('<svg onload="alert(1)"></svg>'), 'logo.svg')).toBeNull();
+        expect(detectFileType(Buffer.from('echo hi'), 'setup.sh')).toBeNull();
+        expect(detectFileType(Buffer.from('plain'), 'README')).toBeNull();
+        expect(detectFileType(Buffer.alloc(0), 'empty.txt')).toBeNull();
+        expect(allowedExtensions()).not.toContain('svg');
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * iCalendar Utility Tests
+ */
+
+const { escapeText, foldLine, formatUtc, buildEvent, buildCalendar } = require('../../server/utils/icalendar');
+
+describe('iCalendar Utility', () => {
+    describe('escapeText', () => {
+        it('should escape backslashes, separators and newlines', () => {
+            expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+        });
+    });
+
+    describe('foldLine', () => {
+        it('should leave short lines alone', () => {
+            expect(foldLine('SUMMARY:Consultation')).toBe('SUMMARY:Consultation');
+        });
+
+        it('should fold at 75 octets with a leading space on continuations', () => {
+            const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+            const parts = folded.split('\r\n');
+            expect(parts.length).toBe(3);
+            expect(parts.every(p => Buffer.byteLength(p) <= 75)).toBe(true);
+            expect(parts.slice(1).every(p => p.startsWith(' '))).toBe(true);
+            expect(parts.map((p, i) => (i ? p.slice(1) : p)).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+        });
+
+        it('should not split multi-byte characters', () => {
+            const folded = foldLine(`SUMMARY:${'₦'.repeat(40)}`);
+            expect(folded).not.toContain('�');
+            expect(folded.split('\r\n').every(p => Buffer.byteLength(p) <= 75)).toBe(true);
+        });
+    });
+
+    describe('formatUtc', () => {
+        it('should write basic-format UTC date-times', () => {
+            expect(formatUtc(new Date('2026-10-19T08:00:00.000Z'))).toBe('20261019T080000Z');
+        });
+    });
+
+    describe('buildCalendar', () => {
+        const event = (overrides = {}) => buildEvent({
+            uid: 'consultation-1@tekvwa.org',
+            start: new Date('2026-10-19T08:00:00Z'),
+            end: new Date('2026-10-19T09:00:00Z'),
+            summary: 'Consultation',
+            organizer: { name: 'Tekvwa IT Solutions', email: 'info@tekvwa.org' },
+            attendees: [{ name: 'Ada', email: 'ada@example.com' }],
+            stamp: new Date('2026-10-18T00:00:00Z'),
+            ...overrides
+        });
+
+        it('should build a REQUEST invite with CRLF line endings', () => {
+            const ics = buildCalendar({ method: 'REQUEST', events: [event({ status: 'CONFIRMED' })] });
+            expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+            expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+            expect(ics).toContain('METHOD:REQUEST\r\n');
+            expect(ics).toContain('UID:consultation-1@tekvwa.org\r\n');
+            expect(ics).toContain('SEQUENCE:0\r\n');
+            expect(ics).toContain('DTSTART:20261019T080000Z\r\n');
+            expect(ics).toContain('ORGANIZER;CN="Tekvwa IT Solutions":mailto:info@tekvwa.org\r\n');
+            expect(ics.replace(/\r\n /g, '')).toContain('ATTENDEE;CN="Ada";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE:mailto:ada@example.com');
+            expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+        });
+
+        it('should keep the UID and carry the bumped SEQUENCE on a CANCEL', () => {
+            const ics = buildCalendar({ method: 'CANCEL', events: [event({ sequence: 2, status: 'CANCELLED' })] });
+            expect(ics).toContain('METHOD:CANCEL\r\n');
+            expect(ics).toContain('UID:consultation-1@tekvwa.org\r\n');
+            expect(ics).toContain('SEQUENCE:2\r\n');
+            expect(ics).toContain('STATUS:CANCELLED\r\n');
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Mail Parser Utility Tests
+ */
+
+const {
+    parseMail,
+    parseAddressList,
+    decodeEncodedWords,
+    htmlToText,
+    stripQuotedText
+} = require('../../server/utils/mailParser');
+
+const GMAIL_REPLY = [
+    'Delivered-To: replies+0123456789abcdef01234567@inbound.tekvwa.org',
+    'From: =?UTF-8?B?QWTDoSBPYmk=?= <Ada@Example.com>',
+    'To: "Tekvwa IT Solutions" <replies+0123456789abcdef01234567@inbound.tekvwa.org>',
+    'Subject: =?utf-8?Q?Re:_Your_Inquiry_=E2=80=93_Tekvwa?=',
+    'Message-ID: <CAF123@mail.gmail.com>',
+    'In-Reply-To: <reply-4f1c7e8a-1111-2222-3333-444455556666@tekvwa.org>',
+    'References: <message-9a1c7e8a-1111-2222-3333-444455556666@tekvwa.org>',
+    ' <reply-4f1c7e8a-1111-2222-3333-444455556666@tekvwa.org>',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary="inner"',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Thanks! Tuesday works =E2=80=94 see you then.',
+    '',
+    'On Mon, 12 Oct 2026 at 10:04, Tekvwa IT Solutions <info@tekvwa.org>',
+    'wrote:',
+    '',
+    '> Would Tuesday suit you?',
+    '',
+    '--inner',
+    'Content-Type: text/html; charset="UTF-8"',
+    '',
+    '<div>Thanks! Tuesday works</div>',
+    '--inner--',
+    '',
+    '--outer',
+    'Content-Type: application/pdf; name="brief.pdf"',
+    'Content-Disposition: attachment; filename="brief.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    'JVBERi0xLjQK',
+    '--outer--',
+    ''
+].join('\r\n');
+
+describe('Mail Parser Utility', () => {
+    describe('parseMail', () => {
+        const mail = parseMail(Buffer.from(GMAIL_REPLY));
+
+        it('should read the sender, recipients and subject', () => {
+            expect(mail.from).toEqual({ name: 'Adá Obi', address: 'ada@example.com' });
+            expect(mail.to[0].address).toBe('replies+0123456789abcdef01234567@inbound.tekvwa.org');
+            expect(mail.subject).toBe('Re: Your Inquiry – Tekvwa');
+        });
+
+        it('should read the threading headers, including folded ones', () => {
+            expect(mail.messageId).toBe('<CAF123@mail.gmail.com>');
+            expect(mail.inReplyTo).toEqual(['<reply-4f1c7e8a-1111-2222-3333-444455556666@tekvwa.org>']);
+            expect(mail.references).toHaveLength(2);
+        });
+
+        it('should decode the text and html bodies of nested multiparts', () => {
+            expect(mail.text).toContain('Tuesday works — see you then.');
+            expect(mail.html).toBe('<div>Thanks! Tuesday works</div>');
+        });
+
+        it('should list attachments without treating them as the body', () => {
+            expect(mail.attachments).toEqual([{ filename: 'brief.pdf', contentType: 'application/pdf' }]);
+        });
+
+        it('should read a plain single-part message', () => {
+            const plain = parseMail('From: bola@example.com\nSubject: Hi\n\nHello there\n');
+            expect(plain.from.address).toBe('bola@example.com');
+            expect(plain.text).toBe('Hello there\n');
+            expect(plain.inReplyTo).toEqual([]);
+        });
+
+        it('should decode base64 bodies in other charsets', () => {
+            const latin1 = Buffer.from('Merci, à bientôt', 'latin1').toString('base64');
+            const mail = parseMail(`From: a@b.com\nContent-Type: text/plain; charset=iso-8859-1\nContent-Transfer-Encoding: base64\n\n${latin1}\n`);
+            expect(mail.text).toBe('Merci, à bientôt');
+        });
+    });
+
+    describe('parseAddressList', () => {
+        it('should split on commas outside quotes', () => {
+            expect(parseAddressList('"Obi, Ada" <ada@example.com>, bola@example.com (Bola)')).toEqual([
+                { name: 'Obi, Ada', address: 'ada@example.com' },
+                { name: '', address: 'bola@example.com' }
+            ]);
+        });
+    });
+
+    describe('decodeEncodedWords', () => {
+        it('should join adjacent encoded words', () => {
+            expect(decodeEncodedWords('=?UTF-8?Q?Caf=C3=A9?= =?UTF-8?Q?_meeting?=')).toBe('Café meeting');
+        });
+    });
+
+    describe('htmlToText', () => {
+        it('should drop quoted blockquotes and keep line breaks', () => {
+            expect(htmlToText('<p>Yes&nbsp;please</p><div>Thanks<br>Ada</div><blockquote>old</blockquote>'))
+                .toBe('Yes please\nThanks\nAda');
+        });
+    });
+
+    describe('stripQuotedText', () => {
+        it('should cut Gmail-style quotes, even when wrapped', () => {
+            expect(stripQuotedText('Sounds good.\n\nOn Mon, 12 Oct 2026 at 10:04, Tekvwa\n<info@tekvwa.org> wrote:\n> Hi'))
+                .toBe('Sounds good.');
+        });
+
+        it('should cut Outlook header blocks', () => {
+            expect(stripQuotedText('Noted.\r\n\r\nFrom: Tekvwa <info@tekvwa.org>\r\nSent: Monday\r\nTo: Ada\r\n\r\nHi'))
+                .toBe('Noted.');
+            expect(stripQuotedText('Noted.\n-----Original Message-----\nFrom: x')).toBe('Noted.');
+        });
+
+        it('should cut signatures and mobile footers', () => {
+            expect(stripQuotedText('Call me.\n\n-- \nAda Obi\nCTO')).toBe('Call me.');
+            expect(stripQuotedText('Ok\n\nSent from my iPhone')).toBe('Ok');
+        });
+
+        it('should keep inline answers but drop trailing quoted lines', () => {
+            expect(stripQuotedText('> Budget?\nAbout 2m naira\n> Timeline?\nQ1\n\n> Thanks')).toBe('> Budget?\nAbout 2m naira\n> Timeline?\nQ1');
+        });
+
+        it('should keep a reply with nothing quoted as it is', () => {
+            expect(stripQuotedText('  Just this.  \n')).toBe('Just this.');
+        });
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Newsletter Block Tests
+ */
+
+const { validateBlocks, cleanBlocks, campaignLinks, renderCampaign } = require('../../server/utils/newsletterBlocks');
+
+describe('Newsletter Blocks', () => {
+    const blocks = [
+        { type: 'heading', text: 'October <Update>' },
+        { type: 'text', text: 'We shipped **two** things.\nRead [the post](https://tekvwa.org/blog.html?id=1&ref=nl).\n\nSee you soon.' },
+        { type: 'image', url: 'https://tekvwa.org/img/launch.png', alt: 'Launch', link: 'https://tekvwa.org/' },
+        { type: 'button', text: 'Book a Consultation', url: 'https://tekvwa.org/book-consultation.html' },
+        { type: 'divider' }
+    ];
+
+    it('should reject empty campaigns, unknown blocks and unsafe links', () => {
+        expect(validateBlocks(blocks)).toBeNull();
+        expect(validateBlocks([])).toBe('Add at least one block');
+        expect(validateBlocks([{ type: 'video' }])).toBe('Block 1: unknown block type');
+        expect(validateBlocks([{ type: 'heading', text: '  ' }])).toBe('Block 1: add some text');
+        expect(validateBlocks([{ type: 'button', text: 'Go', url: 'javascript:alert(1)' }])).toMatch(/^Block 1: add a link/);
+        expect(validateBlocks([{ type: 'text', text: 'Hi [there](javascript:alert(1))' }])).toMatch(/^Block 1: links must start/);
+    });
+
+    it('should keep only the keys each block type uses', () => {
+        expect(cleanBlocks([
+            { type: 'heading', text: ' Hi ', url: 'https://x.test' },
+            { type: 'divider', text: 'ignored' }
+        ])).toEqual([{ type: 'heading', text: 'Hi' }, { type: 'divider' }]);
+    });
+
+    it('should list each distinct link once, in order, and rewrite them for tracking', () => {
+        const withRepeat = [...blocks, { type: 'button', text: 'Again', url: 'https://tekvwa.org/' }];
+        expect(campaignLinks(withRepeat)).toEqual([
+            'https://tekvwa.org/blog.html?id=1&ref=nl',
+            'https://tekvwa.org/',
+            'https://tekvwa.org/book-consultation.html'
+        ]);
+
+        const { html } = renderCampaign({ subject: 'News', blocks: withRepeat }, {
+            trackLink: (index) => `https://t.test/click/${index}`,
+            openPixelUrl: 'https://t.test/open.gif',
+            unsubscribeUrl: 'https://t.test/unsubscribe',
+            preferencesUrl: 'https://t.test/preferences'
+        });
+        expect(html).toContain('<a href="https://t.test/click/0" style="color: #0066CC;">the post</a>');
+        expect(html.match(/href="https:\/\/t\.test\/click\/1"/g)).toHaveLength(2);
+        expect(html).not.toContain('href="https://tekvwa.org/');
+        expect(html).toContain('<img src="https://t.test/open.gif"');
+        expect(html).toContain('<a href="https://t.test/unsubscribe"');
+        expect(html).toContain('<a href="https://t.test/preferences"');
+    });
+
+    it('should escape content and build a plain-text version', () => {
+        const { html, text } = renderCampaign({ subject: 'News', preheader: 'This month', blocks });
+
+        expect(html).toContain('October &lt;Update&gt;');
+        expect(html).toContain('We shipped <strong>two</strong> things.<br>Read');
+        expect(html).toContain('href="https://tekvwa.org/blog.html?id=1&amp;ref=nl"');
+        expect(html).not.toContain('Unsubscribe');
+
+        expect(text).toContain('OCTOBER <UPDATE>');
+        expect(text).toContain('We shipped two things.\nRead the post (https://tekvwa.org/blog.html?id=1&ref=nl).');
+        expect(text).toContain('Book a Consultation: https://tekvwa.org/book-consultation.html');
+        expect(text).not.toContain('Unsubscribe:');
+        expect(text).not.toContain('Update your preferences:');
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * Newsletter Topic Tests
+ */
+
+const { TOPIC_KEYS, cleanTopics, wantsCampaign } = require('../../server/utils/newsletterTopics');
+
+describe('Newsletter Topics', () => {
+    it('should keep known topics once each, in the usual order', () => {
+        expect(cleanTopics(['company-news', 'crypto', 'data-analytics', 'company-news']))
+            .toEqual(['data-analytics', 'company-news']);
+        expect(cleanTopics('data-analytics')).toEqual([]);
+        expect(cleanTopics(undefined)).toEqual([]);
+        expect(cleanTopics([...TOPIC_KEYS].reverse())).toEqual(TOPIC_KEYS);
+    });
+
+    it('should send untargeted campaigns to everyone and targeted ones to interested subscribers', () => {
+        expect(wantsCampaign(['company-news'], [])).toBe(true);
+        expect(wantsCampaign([], null)).toBe(true);
+        expect(wantsCampaign(['data-analytics', 'company-news'], ['web-development', 'company-news'])).toBe(true);
+        expect(wantsCampaign(['data-analytics'], ['web-development'])).toBe(false);
+        expect(wantsCampaign(null, ['web-development'])).toBe(false);
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * Retention Policy Tests
+ */
+
+const { readRetentionSettings, retentionCutoff, truncateIp } = require('../../server/utils/retentionPolicies');
+
+describe('Retention Policies', () => {
+    it('should read periods from settings, falling back to the defaults', () => {
+        expect(readRetentionSettings([
+            { setting_key: 'retention_enabled', setting_value: 'true' },
+            { setting_key: 'retention_analytics_events_months', setting_value: '6' },
+            { setting_key: 'retention_closed_chats_months', setting_value: '0' },
+            { setting_key: 'retention_visitor_ip_days', setting_value: '-5' },
+            { setting_key: 'retention_audit_logs_months', setting_value: 'soon' }
+        ])).toEqual({
+            enabled: true,
+            periods: { analytics_events: 6, closed_chats: 0, visitor_ips: 30, audit_logs: 36 }
+        });
+        expect(readRetentionSettings([]).enabled).toBe(false);
+    });
+
+    it('should count back calendar months and days, and keep forever at 0', () => {
+        const now = new Date('2026-03-31T02:15:00Z');
+        expect(retentionCutoff(13, 'months', now).toISOString()).toBe('2025-02-28T02:15:00.000Z');
+        expect(retentionCutoff(24, 'months', now).toISOString()).toBe('2024-03-31T02:15:00.000Z');
+        expect(retentionCutoff(30, 'days', now).toISOString()).toBe('2026-03-01T02:15:00.000Z');
+        expect(retentionCutoff(0, 'months', now)).toBeNull();
+    });
+
+    it('should truncate IPv4 and IPv6 addresses to their network', () => {
+        expect(truncateIp('102.89.34.201')).toBe('102.89.34.0');
+        expect(truncateIp('::ffff:102.89.34.201')).toBe('::ffff:102.89.34.0');
+        expect(truncateIp('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::');
+        expect(truncateIp('2001:0DB8::1')).toBe('2001:db8:0::');
+        expect(truncateIp('::1')).toBe('0:0:0::');
+        expect(truncateIp('unknown')).toBeNull();
+        expect(truncateIp(null)).toBeNull();
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Automation Rule Matcher Tests
+ */
+
+const {
+    evaluateCondition,
+    matchesConditions,
+    validateRule
+} = require('../../server/utils/ruleMatcher');
+
+const STAFF_ID = '6f1c2a52-8a9e-4a8b-9d43-2f7f0e6c1b11';
+const TAG_ID = 'a3e1b0c4-1d2f-4e5a-8b6c-7d8e9f0a1b2c';
+
+describe('Automation Rule Matcher', () => {
+    const message = {
+        name: 'Chidi Okafor',
+        email: 'Chidi@Example.NG',
+        company: '',
+        service: 'Data Analytics',
+        message: 'We need this URGENTLY for the board meeting'
+    };
+
+    describe('evaluateCondition', () => {
+        it('should compare text ignoring case and surrounding spaces', () => {
+            expect(evaluateCondition(message, { field: 'service', operator: 'equals', value: ' data analytics ' })).toBe(true);
+            expect(evaluateCondition(message, { field: 'message', operator: 'contains', value: 'urgent' })).toBe(true);
+            expect(evaluateCondition(message, { field: 'message', operator: 'not_contains', value: 'urgent' })).toBe(false);
+            expect(evaluateCondition(message, { field: 'name', operator: 'starts_with', value: 'chidi' })).toBe(true);
+        });
+
+        it('should work out the email domain', () => {
+            expect(evaluateCondition(message, { field: 'email_domain', operator: 'equals', value: 'example.ng' })).toBe(true);
+            expect(evaluateCondition(message, { field: 'email', operator: 'ends_with', value: '.ng' })).toBe(true);
+        });
+
+        it('should match "is one of" against a comma-separated list', () => {
+            const condition = { field: 'service', operator: 'in', value: 'IT Consulting, Data Analytics' };
+            expect(evaluateCondition(message, condition)).toBe(true);
+            expect(evaluateCondition({ ...message, service: 'Data' }, condition)).toBe(false);
+        });
+
+        it('should treat missing and blank fields as empty', () => {
+            expect(evaluateCondition(message, { field: 'company', operator: 'is_empty' })).toBe(true);
+            expect(evaluateCondition({ ...message, company: null }, { field: 'company', operator: 'is_not_empty' })).toBe(false);
+        });
+    });
+
+    describe('matchesConditions', () => {
+        const conditions = [
+            { field: 'service', operator: 'equals', value: 'Data Analytics' },
+            { field: 'company', operator: 'is_not_empty' }
+        ];
+
+        it('should need every condition by default, or any one for "any"', () => {
+            expect(matchesConditions(message, conditions)).toBe(false);
+            expect(matchesConditions(message, conditions, 'any')).toBe(true);
+        });
+
+        it('should match everything when there are no conditions', () => {
+            expect(matchesConditions(message, [])).toBe(true);
+        });
+    });
+
+    describe('validateRule', () => {
+        const conditions = [{ field: 'message', operator: 'contains', value: 'urgent' }];
+
+        it('should accept a well-formed rule', () => {
+            expect(validateRule({
+                entityType: 'message',
+                conditions,
+                actions: [{ type: 'tag', tagId: TAG_ID }, { type: 'assign', staffId: STAFF_ID }, { type: 'notify' }]
+            })).toBeNull();
+        });
+
+        it('should reject fields and actions the type does not have', () => {
+            expect(validateRule({
+                entityType: 'ticket',
+                conditions,
+                actions: [{ type: 'set_priority', priority: 'high' }]
+            })).toBe('Unknown field "message"');
+            expect(validateRule({
+                entityType: 'message',
+                conditions,
+                actions: [{ type: 'set_priority', priority: 'high' }]
+            })).toBe('Rules for messages can\'t "set_priority"');
+        });
+
+        it('should require a value unless the comparison is about emptiness', () => {
+            const actions = [{ type: 'set_status', status: 'in_progress' }];
+            expect(validateRule({ entityType: 'message', conditions: [{ field: 'company', operator: 'contains', value: ' ' }], actions }))
+                .toBe('Enter a value for "Company"');
+            expect(validateRule({ entityType: 'message', conditions: [{ field: 'company', operator: 'is_empty' }], actions })).toBeNull();
+        });
+
+        it('should check each action has what it needs', () => {
+            expect(validateRule({ entityType: 'message', actions: [] })).toBe('A rule needs between 1 and 10 actions');
+            expect(validateRule({ entityType: 'message', actions: [{ type: 'assign' }] })).toBe('Choose who to assign to');
+            expect(validateRule({ entityType: 'ticket', actions: [{ type: 'set_status', status: 'archived' }] })).toBe('Choose a status');
+        });
+    });
+});
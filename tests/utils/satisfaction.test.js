@@ -0,0 +1,67 @@
+/**
+ * Satisfaction Score Tests
+ */
+
+const {
+    validateResponse,
+    summarizeSatisfaction,
+    groupSatisfaction,
+    satisfactionTrend
+} = require('../../server/utils/satisfaction');
+
+describe('Satisfaction Scores', () => {
+    it('should accept either score and reject empty or out-of-range answers', () => {
+        expect(validateResponse({ csatScore: 4 })).toBeNull();
+        expect(validateResponse({ npsScore: '0', csatScore: null })).toBeNull();
+        expect(validateResponse({ csatScore: '', npsScore: undefined })).toBe('Please choose a rating');
+        expect(validateResponse({ csatScore: 6 })).toMatch(/between 1 and 5/);
+        expect(validateResponse({ csatScore: 3, npsScore: 11 })).toMatch(/between 0 and 10/);
+        expect(validateResponse({ csatScore: 2.5 })).toMatch(/between 1 and 5/);
+    });
+
+    it('should average CSAT and score NPS over the responses that answered each', () => {
+        const summary = summarizeSatisfaction([
+            { csat_score: 5, nps_score: 10 },
+            { csat_score: 4, nps_score: 9 },
+            { csat_score: 2, nps_score: 8 },
+            { csat_score: null, nps_score: 3 }
+        ]);
+
+        expect(summary).toEqual({
+            responses: 4,
+            csat: 3.7,
+            csatResponses: 3,
+            satisfiedRate: 67,
+            nps: 25,
+            npsResponses: 4,
+            promoters: 2,
+            passives: 1,
+            detractors: 1
+        });
+    });
+
+    it('should report no scores rather than zero when nothing was answered', () => {
+        const summary = summarizeSatisfaction([]);
+        expect(summary.csat).toBeNull();
+        expect(summary.satisfiedRate).toBeNull();
+        expect(summary.nps).toBeNull();
+    });
+
+    it('should group by staff with the busiest first and trend by month', () => {
+        const responses = [
+            { staff_id: 'a', staff_name: 'Ada', csat_score: 5, nps_score: null, responded_at: '2026-09-30T10:00:00Z' },
+            { staff_id: 'b', staff_name: 'Bayo', csat_score: 3, nps_score: 6, responded_at: '2026-10-02T10:00:00Z' },
+            { staff_id: 'b', staff_name: 'Bayo', csat_score: 4, nps_score: 9, responded_at: '2026-10-05T10:00:00Z' },
+            { staff_id: null, staff_name: null, csat_score: 1, nps_score: null, responded_at: '2026-10-06T10:00:00Z' }
+        ];
+
+        const byStaff = groupSatisfaction(responses, r => r.staff_id, r => r.staff_name || 'Unassigned');
+        expect(byStaff.map(group => [group.key, group.name, group.responses, group.csat]))
+            .toEqual([['b', 'Bayo', 2, 3.5], ['a', 'Ada', 1, 5], [null, 'Unassigned', 1, 1]]);
+        expect(byStaff[0].nps).toBe(0);
+
+        const trend = satisfactionTrend(responses);
+        expect(trend.map(month => [month.month, month.responses, month.csat]))
+            .toEqual([['2026-09', 1, 5], ['2026-10', 3, 2.7]]);
+    });
+});
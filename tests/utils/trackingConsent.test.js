@@ -0,0 +1,78 @@
+/**
+ * Tracking Consent Tests
+ */
+
+const {
+    CONSENT_POLICY_VERSION, privacySignal, trackingDecision, anonymousEvent, summarizeConsent, consentTrend
+} = require('../../server/utils/trackingConsent');
+
+const choice = (overrides = {}) => ({
+    analytics: true,
+    marketing: false,
+    functional: false,
+    policy_version: CONSENT_POLICY_VERSION,
+    gpc: false,
+    dnt: false,
+    created_at: '2026-09-14T10:00:00Z',
+    ...overrides
+});
+
+describe('Tracking Consent', () => {
+    it('should read Global Privacy Control before Do Not Track', () => {
+        expect(privacySignal({ 'sec-gpc': '1', dnt: '1' })).toBe('gpc');
+        expect(privacySignal({ dnt: '1' })).toBe('dnt');
+        expect(privacySignal({ dnt: '0', 'sec-gpc': '0' })).toBeNull();
+        expect(privacySignal()).toBeNull();
+    });
+
+    it('should only allow tracking with analytics consent under the current policy', () => {
+        expect(trackingDecision(choice(), null)).toEqual({ allowed: true, reason: 'consent' });
+        expect(trackingDecision(choice(), 'gpc')).toEqual({ allowed: false, reason: 'gpc' });
+        expect(trackingDecision(choice(), 'dnt')).toEqual({ allowed: false, reason: 'dnt' });
+        expect(trackingDecision(null, null)).toEqual({ allowed: false, reason: 'no_choice' });
+        expect(trackingDecision(choice({ analytics: false }), null)).toEqual({ allowed: false, reason: 'declined' });
+        expect(trackingDecision(choice({ policy_version: '0.9' }), null)).toEqual({ allowed: false, reason: 'outdated' });
+    });
+
+    it('should keep only page views anonymously, without query strings or referrer paths', () => {
+        expect(anonymousEvent({
+            eventType: 'page_view',
+            pageUrl: '/services.html?email=ada@example.com#pricing',
+            referrer: 'https://www.google.com/search?q=tekvwa'
+        }, 'declined')).toEqual({
+            eventType: 'page_view',
+            pageUrl: '/services.html',
+            referrer: 'https://www.google.com',
+            metadata: { consent: 'declined' }
+        });
+        expect(anonymousEvent({ eventType: 'page_view', referrer: 'direct' }, 'gpc')).toMatchObject({
+            pageUrl: '/unknown',
+            referrer: 'direct'
+        });
+        expect(anonymousEvent({ eventType: 'page_view', pageUrl: '/', referrer: 'not a url' }, 'dnt').referrer).toBeNull();
+        expect(anonymousEvent({ eventType: 'click', pageUrl: '/' }, 'no_choice')).toBeNull();
+        expect(anonymousEvent({ pageUrl: '/' }, 'no_choice')).toBeNull();
+    });
+
+    it('should summarize consent rates overall and by month', () => {
+        const choices = [
+            choice(),
+            choice({ marketing: true, functional: true }),
+            choice({ gpc: true }),
+            choice({ analytics: false, created_at: '2026-10-02T08:00:00Z' })
+        ];
+
+        const overall = summarizeConsent(choices);
+        expect(overall.total).toBe(4);
+        expect(overall.analytics).toEqual({ count: 2, rate: 50 });
+        expect(overall.marketing).toEqual({ count: 1, rate: 25 });
+        expect(overall.privacySignal).toEqual({ count: 1, rate: 25 });
+        expect(overall.outdated).toEqual({ count: 0, rate: 0 });
+        expect(summarizeConsent([]).analytics).toEqual({ count: 0, rate: null });
+
+        expect(consentTrend(choices).map(month => [month.month, month.total, month.analytics.rate])).toEqual([
+            ['2026-09', 3, 67],
+            ['2026-10', 1, 0]
+        ]);
+    });
+});